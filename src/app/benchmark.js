@@ -0,0 +1,69 @@
+/**
+ * benchmark.js - Entry point of benchmark.html
+ *
+ * Generates a synthetic diagram of the size asked for, runs every render
+ * mode of RenderBenchmark on it and prints the frame times. Open
+ * benchmark.html?nodes=20000&frames=240&run to start straight away.
+ */
+
+import {
+  RenderBenchmark,
+  RENDER_MODES,
+} from "../core/views/RenderBenchmark.js";
+
+const runBenchmark = async () => {
+  const nodes = Number(document.getElementById("benchmark-nodes").value);
+  const frames = Number(document.getElementById("benchmark-frames").value);
+  const output = document.getElementById("benchmark-output");
+  const button = document.getElementById("benchmark-run");
+  const stage = document.getElementById("benchmark-stage");
+
+  button.disabled = true;
+  try {
+    const benchmark = new RenderBenchmark(stage, { frames });
+    const graph = RenderBenchmark.generateGraph({ nodes });
+    output.textContent = `${graph.nodes.length} nodes, ${graph.edges.length} edges\n`;
+
+    const reports = [];
+    for (const mode of RENDER_MODES) {
+      output.textContent += `running ${mode}...\n`;
+      reports.push(await benchmark.run(graph, mode));
+    }
+
+    output.textContent = [
+      `${graph.nodes.length} nodes, ${graph.edges.length} edges, ` +
+        `${frames} frames, loaded in ${reports[0].load.toFixed(0)} ms`,
+      "",
+      RenderBenchmark.format(reports),
+    ].join("\n");
+    console.table(
+      reports.map(({ mode, materialized, frame, render }) => ({
+        mode,
+        materialized,
+        "frame mean (ms)": frame.mean,
+        "frame p95 (ms)": frame.p95,
+        "render mean (ms)": render.mean,
+      }))
+    );
+  } catch (error) {
+    console.error("Benchmark failed:", error);
+    output.textContent += `\nfailed: ${error.message}`;
+  } finally {
+    button.disabled = false;
+  }
+};
+
+if (typeof window !== "undefined") {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("nodes")) {
+    document.getElementById("benchmark-nodes").value = params.get("nodes");
+  }
+  if (params.get("frames")) {
+    document.getElementById("benchmark-frames").value = params.get("frames");
+  }
+
+  document
+    .getElementById("benchmark-run")
+    .addEventListener("click", runBenchmark);
+  if (params.has("run")) runBenchmark();
+}
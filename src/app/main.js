@@ -5,10 +5,11 @@
 
 import { ServiceProvider } from "../core/container/ServiceProvider.js";
 import { EventBus } from "../core/events/EventBus.js";
+import { EditorState } from "../core/state/EditorState.js";
 import { StateManager } from "../core/state/StateManager.js";
 import { Editor } from "../core/Editor.js";
 import { ShapeRegistry } from "../shapes/registry/ShapeRegistry.js";
-import { getAllShapeClasses } from "../shapes/index.js";
+import { getAllShapeClasses, SHAPE_GROUPS } from "../shapes/index.js";
 
 // Managers
 import { NodeManager } from "../core/managers/NodeManager.js";
@@ -16,11 +17,37 @@ import { EdgeManager } from "../core/managers/EdgeManager.js";
 import { SelectionManager } from "../core/managers/SelectionManager.js";
 import { HistoryManager } from "../core/managers/HistoryManager.js";
 import { ClipboardManager } from "../core/managers/ClipboardManager.js";
+import { SnapManager } from "../core/managers/SnapManager.js";
 //import { GridManager } from "../core/managers/GridManager.js";
 import { ValidationManager } from "../core/managers/ValidationManager.js";
 import { ThemeManager } from "../core/managers/ThemeManager.js";
 import { ExportManager } from "../core/managers/ExportManager.js";
 import { LayerManager } from "../core/managers/LayerManager.js";
+import { LayoutManager } from "../core/managers/LayoutManager.js";
+import { SimulationManager } from "../core/managers/SimulationManager.js";
+import { PluginManager } from "../core/managers/PluginManager.js";
+import { CollaborationManager } from "../core/managers/CollaborationManager.js";
+import { WebSocketTransport } from "../core/collab/CollabTransport.js";
+import { PresenceView } from "../core/views/PresenceView.js";
+import { GuideView } from "../core/views/GuideView.js";
+import { NodeController } from "../core/controllers/NodeController.js";
+import { PersistenceManager } from "../core/managers/PersistenceManager.js";
+import {
+  IndexedDBDocumentStore,
+  MemoryDocumentStore,
+} from "../core/storage/DocumentStore.js";
+import { ValidationIssues } from "../core/validation/ValidationIssues.js";
+import {
+  ContextMenu,
+  DeleteContainerDialog,
+  LibraryDialog,
+  RecoveryDialog,
+} from "../ui/dialogs/Dialog.js";
+import {
+  LeftPalette,
+  SimulationPanel,
+  ProblemsPanel,
+} from "../ui/panels/Panels.js";
 //import { ToolManager } from "../core/managers/ToolManager.js";
 
 class FlowchartApp {
@@ -31,6 +58,7 @@ class FlowchartApp {
     this.stateManager = null;
     this.editor = null;
     this.managers = {};
+    this.controllers = {};
     this.ui = {};
   }
 
@@ -76,7 +104,6 @@ class FlowchartApp {
         <div class="main-content">
           <!-- Left Palette -->
           <div id="left-panel" class="side-panel left-panel">
-            <div class="panel-header">Shapes</div>
             <div id="shape-palette" class="shape-palette"></div>
           </div>
 
@@ -99,9 +126,13 @@ class FlowchartApp {
             <div class="panel-tabs">
               <button class="tab-button active" data-tab="inspector">Inspector</button>
               <button class="tab-button" data-tab="layers">Layers</button>
+              <button class="tab-button" data-tab="simulation">Simulate</button>
+              <button class="tab-button" data-tab="problems">Problems</button>
             </div>
             <div id="inspector-panel" class="panel-content inspector-panel"></div>
             <div id="layers-panel" class="panel-content layers-panel" style="display: none;"></div>
+            <div id="simulation-panel" class="panel-content simulation-panel" style="display: none;"></div>
+            <div id="problems-panel" class="panel-content problems-panel" style="display: none;"></div>
           </div>
         </div>
 
@@ -130,7 +161,7 @@ class FlowchartApp {
     });
     // Register core services
     this.eventBus = new EventBus();
-    this.stateManager = new StateManager(this.eventBus);
+    this.stateManager = new StateManager(new EditorState(this.eventBus));
     const shapeRegistry = new ShapeRegistry();
 
     this.services.register("shapeRegistry", shapeRegistry, { singleton: true });
@@ -165,7 +196,8 @@ class FlowchartApp {
       (provider) => {
         return new SelectionManager(
           provider.resolve("eventBus"),
-          provider.resolve("stateManager")
+          provider.resolve("stateManager"),
+          provider.resolve("nodeManager")
         );
       },
       { singleton: true }
@@ -190,7 +222,8 @@ class FlowchartApp {
           provider.resolve("stateManager"),
           provider.resolve("nodeManager"),
           provider.resolve("edgeManager"),
-          provider.resolve("selectionManager")
+          provider.resolve("selectionManager"),
+          provider.resolve("exportManager")
         );
       },
       { singleton: true }
@@ -207,6 +240,18 @@ class FlowchartApp {
       { singleton: true }
     );
 
+    this.services.register(
+      "snapManager",
+      (provider) => {
+        return new SnapManager(
+          provider.resolve("eventBus"),
+          provider.resolve("stateManager"),
+          { gridSize: 20, nodeManager: provider.resolve("nodeManager") }
+        );
+      },
+      { singleton: true }
+    );
+
     this.services.register(
       "validationManager",
       (provider) => {
@@ -255,6 +300,85 @@ class FlowchartApp {
       { singleton: true }
     );
 
+    this.services.register(
+      "layoutManager",
+      (provider) => {
+        return new LayoutManager(
+          provider.resolve("eventBus"),
+          provider.resolve("stateManager"),
+          provider.resolve("nodeManager"),
+          provider.resolve("edgeManager"),
+          provider.resolve("historyManager")
+        );
+      },
+      { singleton: true }
+    );
+
+    this.services.register(
+      "simulationManager",
+      (provider) => {
+        return new SimulationManager(
+          provider.resolve("eventBus"),
+          provider.resolve("stateManager"),
+          provider.resolve("nodeManager"),
+          provider.resolve("edgeManager")
+        );
+      },
+      { singleton: true }
+    );
+
+    this.services.register(
+      "pluginManager",
+      (provider) => {
+        return new PluginManager(
+          provider.resolve("eventBus"),
+          provider.resolve("stateManager"),
+          provider
+        );
+      },
+      { singleton: true }
+    );
+
+    this.services.register(
+      "collaborationManager",
+      (provider) => {
+        return new CollaborationManager(
+          provider.resolve("eventBus"),
+          provider.resolve("stateManager"),
+          provider.resolve("nodeManager"),
+          provider.resolve("edgeManager"),
+          provider.resolve("layerManager")
+        );
+      },
+      { singleton: true }
+    );
+
+    this.services.register(
+      "documentStore",
+      () => {
+        return IndexedDBDocumentStore.isSupported()
+          ? new IndexedDBDocumentStore()
+          : new MemoryDocumentStore();
+      },
+      { singleton: true }
+    );
+
+    this.services.register(
+      "persistenceManager",
+      (provider) => {
+        return new PersistenceManager(
+          provider.resolve("eventBus"),
+          provider.resolve("stateManager"),
+          provider.resolve("exportManager"),
+          provider.resolve("nodeManager"),
+          provider.resolve("edgeManager"),
+          provider.resolve("layerManager"),
+          provider.resolve("documentStore")
+        );
+      },
+      { singleton: true }
+    );
+
     this.services.register(
       "toolManager",
       (provider) => {
@@ -287,11 +411,26 @@ class FlowchartApp {
   async _loadShapes() {
     const shapeRegistry = this.services.resolve("shapeRegistry");
     const shapes = getAllShapeClasses();
+    const categories = new Map();
+    Object.entries(SHAPE_GROUPS).forEach(([category, types]) =>
+      types.forEach((type) => categories.set(type, category))
+    );
+
+    // Registered in palette order
+    const types = [
+      ...categories.keys(),
+      ...Object.keys(shapes).filter((id) => !categories.has(id)),
+    ].filter((id) => shapes[id]);
 
     let registeredCount = 0;
-    Object.entries(shapes).forEach(([id, ShapeClass]) => {
+    types.forEach((id) => {
+      const category = categories.get(id);
       try {
-        shapeRegistry.registerShape(id, ShapeClass);
+        shapeRegistry.registerShape(
+          id,
+          shapes[id],
+          category ? { category } : {}
+        );
         registeredCount++;
       } catch (error) {
         console.warn(`Failed to register shape "${id}":`, error);
@@ -319,19 +458,45 @@ class FlowchartApp {
       history: this.services.resolve("historyManager"),
       clipboard: this.services.resolve("clipboardManager"),
       grid: this.services.resolve("gridManager"),
+      snap: this.services.resolve("snapManager"),
       validation: this.services.resolve("validationManager"),
       theme: this.services.resolve("themeManager"),
       export: this.services.resolve("exportManager"),
       layer: this.services.resolve("layerManager"),
+      layout: this.services.resolve("layoutManager"),
+      simulation: this.services.resolve("simulationManager"),
+      plugin: this.services.resolve("pluginManager"),
+      collab: this.services.resolve("collaborationManager"),
+      persistence: this.services.resolve("persistenceManager"),
       tool: this.services.resolve("toolManager"),
     };
 
+    // Smart guides while nodes are dragged or resized
+    this.ui.guides = new GuideView(
+      this.eventBus,
+      this.editor.getLayer("overlay"),
+      { color: this.managers.snap.guideColor }
+    );
+
+    // Selecting, dragging and nudging nodes, dropping them into
+    // containers and dragging lane dividers
+    this.controllers.node = new NodeController(
+      this.managers.node,
+      null,
+      this.editor,
+      this.stateManager,
+      this.eventBus,
+      this.managers.selection
+    );
+
     // Initialize UI components (placeholders for now)
     this._initMenuBar();
     this._initToolBar();
     this._initShapePalette();
     this._initInspector();
     this._initLayersPanel();
+    this._initSimulationPanel();
+    this._initProblemsPanel();
     this._initStatusBar();
     this._initMiniMap();
 
@@ -388,6 +553,18 @@ class FlowchartApp {
           <span>⛶</span>
         </button>
       </div>
+      <div class="tool-divider"></div>
+      <div class="tool-group">
+        <button class="tool-btn" data-action="auto-layout" title="Auto Layout (Ctrl+Shift+L)">
+          <span>⇶</span>
+        </button>
+      </div>
+      <div class="tool-divider"></div>
+      <div class="tool-group">
+        <button class="tool-btn" data-action="library" title="Diagrams (Ctrl+O)">
+          <span>📁</span>
+        </button>
+      </div>
     `;
 
     // Tool button handlers
@@ -434,38 +611,57 @@ class FlowchartApp {
       ?.addEventListener("click", () => {
         this.editor.fitToContent();
       });
+
+    toolBar
+      .querySelector('[data-action="auto-layout"]')
+      ?.addEventListener("click", () => {
+        this.autoLayout();
+      });
+
+    toolBar
+      .querySelector('[data-action="library"]')
+      ?.addEventListener("click", () => {
+        this.openLibrary();
+      });
   }
 
   /**
    * Initialize shape palette
    */
   _initShapePalette() {
-    const palette = document.getElementById("shape-palette");
-    const shapes = [
-      { id: "polygon", name: "Polygon", icon: "⬡" },
-      { id: "star", name: "Star", icon: "⭐" },
-      { id: "cloud", name: "Cloud", icon: "☁️" },
-      { id: "database", name: "Database", icon: "🗄️" },
-      { id: "class", name: "Class", icon: "📦" },
-    ];
-
-    palette.innerHTML = shapes
-      .map(
-        (shape) => `
-      <div class="shape-item" data-shape="${shape.id}">
-        <div class="shape-icon">${shape.icon}</div>
-        <div class="shape-name">${shape.name}</div>
-      </div>
-    `
-      )
-      .join("");
-
-    // Shape selection handlers
-    palette.querySelectorAll(".shape-item").forEach((item) => {
-      item.addEventListener("click", (e) => {
-        const shapeId = e.currentTarget.dataset.shape;
-        this.managers.tool.setActiveTool(shapeId);
-        this.eventBus.emit("shape:selected", { type: shapeId });
+    this.ui.palette = new LeftPalette(
+      this.eventBus,
+      this.stateManager,
+      this.services.resolve("shapeRegistry"),
+      this.managers.theme,
+      { getZoom: () => this.editor.viewport.zoom }
+    );
+    this.ui.palette.initialize(document.getElementById("shape-palette"));
+
+    // Drop palette shapes on the canvas, centred under the pointer
+    const container = document.getElementById("editor-container");
+    container.addEventListener("dragover", (e) => {
+      if (e.dataTransfer.types.includes("shape")) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+      }
+    });
+    container.addEventListener("drop", (e) => {
+      const type = e.dataTransfer.getData("shape");
+      if (!type) return;
+      e.preventDefault();
+
+      const point = this.editor.getMousePosition(e);
+      const definition = this.services
+        .resolve("shapeRegistry")
+        .getDefinition(type);
+      const { width = 120, height = 80 } = definition?.defaultSize || {};
+      this.managers.node.createNode({
+        type,
+        x: point.x - width / 2,
+        y: point.y - height / 2,
+        width,
+        height,
       });
     });
   }
@@ -497,21 +693,52 @@ class FlowchartApp {
 
     // Panel tab switching
     document.querySelectorAll(".tab-button").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        const tab = e.currentTarget.dataset.tab;
-        document
-          .querySelectorAll(".tab-button")
-          .forEach((b) => b.classList.remove("active"));
-        e.currentTarget.classList.add("active");
+      btn.addEventListener("click", (e) =>
+        this._showPanelTab(e.currentTarget.dataset.tab)
+      );
+    });
+  }
 
-        document.getElementById("inspector-panel").style.display =
-          tab === "inspector" ? "block" : "none";
-        document.getElementById("layers-panel").style.display =
-          tab === "layers" ? "block" : "none";
-      });
+  /**
+   * Show one of the right panel's tabs
+   */
+  _showPanelTab(tab) {
+    document
+      .querySelectorAll(".tab-button")
+      .forEach((b) => b.classList.toggle("active", b.dataset.tab === tab));
+
+    ["inspector", "layers", "simulation", "problems"].forEach((name) => {
+      document.getElementById(`${name}-panel`).style.display =
+        tab === name ? "block" : "none";
     });
   }
 
+  /**
+   * Initialize simulation panel
+   */
+  _initSimulationPanel() {
+    this.ui.simulation = new SimulationPanel(
+      this.eventBus,
+      this.stateManager,
+      this.managers.simulation,
+      this.managers.node
+    );
+    this.ui.simulation.initialize(document.getElementById("simulation-panel"));
+  }
+
+  /**
+   * Initialize problems panel
+   */
+  _initProblemsPanel() {
+    this.ui.problems = new ProblemsPanel(
+      this.eventBus,
+      this.stateManager,
+      this.managers.validation,
+      this.managers.selection
+    );
+    this.ui.problems.initialize(document.getElementById("problems-panel"));
+  }
+
   /**
    * Initialize status bar
    */
@@ -522,6 +749,8 @@ class FlowchartApp {
         <span id="status-message">Ready</span>
       </div>
       <div class="status-right">
+        <span id="status-problems" title="Show problems">✖ 0  ⚠ 0</span>
+        <span class="status-divider">|</span>
         <span id="status-selection">Selected: 0</span>
         <span class="status-divider">|</span>
         <span id="status-zoom">Zoom: 100%</span>
@@ -539,13 +768,39 @@ class FlowchartApp {
     `;
   }
 
+  /**
+   * Center the canvas on a node, or on the middle of an edge
+   */
+  _focusElement({ nodeId, edgeId }) {
+    const center = (node) => ({
+      x: node.x + node.width / 2,
+      y: node.y + node.height / 2,
+    });
+
+    if (nodeId) {
+      const node = this.managers.node.getNode(nodeId);
+      if (node) this.editor.centerOn(center(node));
+      return;
+    }
+
+    const edge = this.managers.edge.getEdge(edgeId);
+    const source = edge && this.managers.node.getNode(edge.sourceId);
+    const target = edge && this.managers.node.getNode(edge.targetId);
+    if (source && target) {
+      const a = center(source);
+      const b = center(target);
+      this.editor.centerOn({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    }
+  }
+
   /**
    * Setup event handlers and inter-component communication
    */
   _setupEventHandlers() {
     // Handle shape selection from palette
-    this.eventBus.on("shape:selected", (data) => {
-      console.log(`📌 Drawing mode: ${data.type}`);
+    this.eventBus.on("shape:selected", ({ shapeId }) => {
+      this.managers.tool.setActiveTool(shapeId);
+      console.log(`📌 Drawing mode: ${shapeId}`);
     });
 
     // Handle node creation
@@ -572,6 +827,27 @@ class FlowchartApp {
       this._updateSelectionCount(count);
     });
 
+    // Handle validation results and jumps to problem elements
+    this.eventBus.on("validation:complete", ({ errors, warnings }) => {
+      this._updateProblemCounts(
+        ValidationIssues.count(errors),
+        ValidationIssues.count(warnings)
+      );
+    });
+    this.eventBus.on("node:focus", (e) => this._focusElement(e));
+    this.eventBus.on("edge:focus", (e) => this._focusElement(e));
+    this.eventBus.on("problems:show", () => this._showPanelTab("problems"));
+
+    // Container and lane commands on right click
+    this.ui.contextMenu = new ContextMenu(this.eventBus);
+    this.editor.on("canvas:contextmenu", (e) =>
+      this._openContextMenu(e.detail)
+    );
+
+    document
+      .getElementById("status-problems")
+      .addEventListener("click", () => this._showPanelTab("problems"));
+
     // Handle pan/zoom changes
     this.eventBus.on("viewport:changed", (viewport) => {
       this._updateZoom(viewport.zoom);
@@ -580,6 +856,23 @@ class FlowchartApp {
     console.log("🔗 Event handlers connected");
   }
 
+  /**
+   * Show the commands for the node under the pointer, if it has any
+   */
+  _openContextMenu({ point, event }) {
+    const controller = this.controllers.node;
+    const nodeId = controller.getNodeAt(point);
+    const items = nodeId ? controller.getMenuItems(nodeId, point) : [];
+    if (items.length === 0) {
+      this.ui.contextMenu.close();
+      return;
+    }
+
+    // The menu closes on the next contextmenu event to reach the document
+    event.stopPropagation();
+    this.ui.contextMenu.open(event.clientX, event.clientY, items);
+  }
+
   /**
    * Update status message
    */
@@ -600,6 +893,21 @@ class FlowchartApp {
     }
   }
 
+  /**
+   * Update validation problem counts
+   */
+  _updateProblemCounts(errorCount, warningCount) {
+    const statusProblems = document.getElementById("status-problems");
+    if (statusProblems) {
+      statusProblems.textContent = `✖ ${errorCount}  ⚠ ${warningCount}`;
+      statusProblems.classList.toggle("has-errors", errorCount > 0);
+      statusProblems.classList.toggle(
+        "has-warnings",
+        errorCount === 0 && warningCount > 0
+      );
+    }
+  }
+
   /**
    * Update zoom level
    */
@@ -627,9 +935,92 @@ class FlowchartApp {
     // Setup keyboard shortcuts
     this._setupKeyboardShortcuts();
 
+    // Start with nothing to undo
+    this.managers.history.clear();
+
+    this._initPersistence();
+    this._initCollaboration();
+
     console.log("⚙️ Workspace initialized");
   }
 
+  /**
+   * Start autosaving and offer to restore the last session if it ended
+   * unexpectedly (not when joining a collaboration room, which brings its
+   * own diagram)
+   */
+  async _initPersistence() {
+    const persistence = this.managers.persistence;
+
+    this.eventBus.on("persistence:saved", ({ document }) =>
+      this._updateStatusMessage(`Saved "${document.name}"`)
+    );
+    this.eventBus.on("persistence:opened", ({ document }) =>
+      this._updateStatusMessage(`Opened "${document.name}"`)
+    );
+    this.eventBus.on("persistence:error", ({ error }) =>
+      this._updateStatusMessage(`Autosave failed: ${error.message}`)
+    );
+    window.addEventListener("pagehide", () => persistence.markClean());
+
+    const recovery = await persistence.start();
+    const params = new URLSearchParams(window.location.search);
+    if (recovery && !params.get("room")) {
+      new RecoveryDialog(this.eventBus, {
+        document: recovery,
+        onRestore: () => persistence.recover().catch(() => {}),
+        onDiscard: () => persistence.discardRecovery(),
+      }).open();
+    }
+  }
+
+  /**
+   * Join a collaboration room when the URL asks for one:
+   * ?room=<name>[&collab=ws://host:port][&user=<name>]
+   */
+  _initCollaboration() {
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get("room");
+    if (!room) return;
+
+    const collab = this.managers.collab;
+    if (params.get("user")) {
+      collab.user.name = params.get("user");
+    }
+
+    this.ui.presence = new PresenceView(
+      this.eventBus,
+      this.editor.getLayer("overlay"),
+      this.managers.node,
+      this.managers.edge
+    );
+    this.editor.on("canvas:mousemove", (e) =>
+      collab.updateCursor(e.detail.point)
+    );
+    this.editor.on("mouseleave", () => collab.updateCursor(null));
+
+    this.eventBus.on("collab:joined", ({ peers }) =>
+      this._updateStatusMessage(
+        `Joined room "${room}" (${peers.length} other${
+          peers.length === 1 ? "" : "s"
+        })`
+      )
+    );
+    this.eventBus.on("collab:peer:joined", ({ user }) =>
+      this._updateStatusMessage(`${user.name} joined`)
+    );
+    this.eventBus.on("collab:disconnected", () =>
+      this._updateStatusMessage("Disconnected from collaboration server")
+    );
+
+    const url = params.get("collab") || "ws://localhost:8787";
+    collab
+      .connect(new WebSocketTransport(url), room)
+      .catch(() =>
+        this._updateStatusMessage(`Cannot reach collaboration server ${url}`)
+      );
+  }
+
   /**
    * Setup global keyboard shortcuts
    */
@@ -669,12 +1060,6 @@ class FlowchartApp {
         this.managers.clipboard.cut();
       }
 
-      // Ctrl/Cmd + V: Paste
-      if (modifier && e.key === "v") {
-        e.preventDefault();
-        this.managers.clipboard.paste();
-      }
-
       // Ctrl/Cmd + D: Duplicate
       if (modifier && e.key === "d") {
         e.preventDefault();
@@ -686,9 +1071,7 @@ class FlowchartApp {
         e.preventDefault();
         const selection = this.managers.selection.getSelection();
         if (selection.nodes) {
-          selection.nodes.forEach((nodeId) => {
-            this.managers.node.deleteNode(nodeId);
-          });
+          this.deleteNodes(selection.nodes);
         }
         if (selection.edges) {
           selection.edges.forEach((edgeId) => {
@@ -710,11 +1093,87 @@ class FlowchartApp {
         );
       }
 
+      // Ctrl/Cmd + S: Save now (diagrams are also autosaved)
+      if (modifier && e.key === "s") {
+        e.preventDefault();
+        this.managers.persistence.save();
+      }
+
+      // Ctrl/Cmd + O: Diagram library
+      if (modifier && e.key === "o") {
+        e.preventDefault();
+        this.openLibrary();
+      }
+
+      // Ctrl/Cmd + Shift + L: Auto layout
+      if (modifier && e.shiftKey && e.key.toLowerCase() === "l") {
+        e.preventDefault();
+        this.autoLayout();
+      }
+
       // Escape: Clear selection
       if (e.key === "Escape") {
         this.managers.selection.clearSelection();
       }
     });
+
+    // Ctrl/Cmd + V: Paste, from the paste event so other apps' data
+    // (pictures, text, Mermaid) comes along; pasted at the pointer
+    let pointer = null;
+    this.editor.on("canvas:mousemove", (e) => {
+      pointer = e.detail.point;
+    });
+    document.addEventListener("paste", (e) => {
+      if (e.target.closest && e.target.closest("input, textarea")) return;
+      if (e.target.isContentEditable) return;
+
+      e.preventDefault();
+      this.managers.clipboard.pasteFromClipboardEvent(e, {
+        position: pointer,
+      });
+    });
+  }
+
+  /**
+   * Delete nodes, asking first what to do with the contents of any
+   * container among them
+   * @param {Array} nodeIds - Node identifiers
+   */
+  deleteNodes(nodeIds) {
+    const containers = nodeIds.filter(
+      (nodeId) => this.managers.node.getChildren(nodeId).length > 0
+    );
+    if (containers.length === 0) {
+      this.managers.node.deleteNodes(nodeIds);
+      return;
+    }
+
+    new DeleteContainerDialog(this.eventBus, {
+      count: containers.length,
+      onConfirm: (options) => this.managers.node.deleteNodes(nodeIds, options),
+    }).open();
+  }
+
+  /**
+   * Show the library of locally saved diagrams
+   */
+  openLibrary() {
+    new LibraryDialog(this.eventBus, this.managers.persistence).open();
+  }
+
+  /**
+   * Lay out the selected nodes, or the whole diagram if fewer than two
+   * nodes are selected
+   * @param {Object} options - LayoutManager.applyLayout options
+   */
+  autoLayout(options = {}) {
+    const { nodes } = this.managers.selection.getSelection();
+    const nodeIds = nodes.length >= 2 ? nodes : undefined;
+    try {
+      this.managers.layout.applyLayout({ nodeIds, ...options });
+    } catch (error) {
+      // LayoutManager already reported it
+    }
   }
 
   /**
@@ -395,6 +395,18 @@ export class Editor {
     this.emit("viewport:changed", { viewport: this.viewport });
   }
 
+  /**
+   * Pan so a world point is in the middle of the viewport
+   */
+  centerOn(point) {
+    const center = this.getCenter();
+    this.viewport.x = center.x / this.viewport.zoom - point.x;
+    this.viewport.y = center.y / this.viewport.zoom - point.y;
+
+    this._updateLayerTransforms();
+    this.emit("viewport:changed", { viewport: this.viewport });
+  }
+
   /**
    * Fit content in viewport
    */
@@ -0,0 +1,309 @@
+/**
+ * CollabTransport.js - Message transports for collaborative editing
+ *
+ * A transport carries JSON messages between CollaborationManager and a
+ * relay that shares them with the other people in a room:
+ *
+ *   client → relay                      relay → client
+ *   join     { room, siteId, user }     welcome  { ops, peers }
+ *   ops      { ops }                    join     { siteId, user }
+ *   presence { presence }               ops      { siteId, ops }
+ *                                       presence { siteId, user, presence }
+ *                                       leave    { siteId }
+ *
+ * The relay keeps every room's operations in arrival order, sends them to
+ * people who join later, and never echoes a message back to its sender.
+ *
+ * - WebSocketTransport talks to tools/collab-server.mjs (or any relay that
+ *   speaks the same messages)
+ * - MemoryHub/MemoryTransport do the same in-process, for tests and for
+ *   several editors on one page
+ *
+ * @module core/collab/CollabTransport
+ */
+
+/**
+ * Base transport; subclasses implement connect(), send() and close() and
+ * report with _emit("open" | "message" | "close", data)
+ */
+export class CollabTransport {
+  constructor() {
+    this.handlers = { open: new Set(), message: new Set(), close: new Set() };
+    this.connected = false;
+  }
+
+  /**
+   * Open the connection
+   * @returns {Promise<void>}
+   */
+  connect() {
+    throw new Error("CollabTransport.connect() must be implemented");
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - JSON-serializable message
+   */
+  send(message) {
+    throw new Error("CollabTransport.send() must be implemented");
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    throw new Error("CollabTransport.close() must be implemented");
+  }
+
+  /**
+   * Listen for "open", "message" or "close"
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler(data)
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, handler) {
+    if (!this.handlers[event]) {
+      throw new Error(`CollabTransport: unknown event '${event}'`);
+    }
+    this.handlers[event].add(handler);
+    return () => this.handlers[event].delete(handler);
+  }
+
+  /**
+   * @protected
+   */
+  _emit(event, data) {
+    if (event === "open") this.connected = true;
+    if (event === "close") this.connected = false;
+
+    this.handlers[event].forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in transport '${event}' handler:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * Transport over a WebSocket
+ */
+export class WebSocketTransport extends CollabTransport {
+  /**
+   * @param {string} url - Relay URL, e.g. "ws://localhost:8787"
+   * @param {Object} [options]
+   * @param {Function} [options.WebSocket] - WebSocket implementation
+   */
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.socket = null;
+
+    // Messages sent before the socket opened
+    this.pending = [];
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => {
+        this.pending.forEach((text) => socket.send(text));
+        this.pending = [];
+        this._emit("open");
+        resolve();
+      };
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.error("Ignoring malformed collaboration message:", error);
+          return;
+        }
+        this._emit("message", message);
+      };
+      socket.onerror = () => {
+        if (!this.connected) {
+          reject(new Error(`Cannot connect to ${this.url}`));
+        }
+      };
+      socket.onclose = () => {
+        if (this.socket === socket) this.socket = null;
+        this._emit("close");
+      };
+    });
+  }
+
+  send(message) {
+    const text = JSON.stringify(message);
+    if (this.socket && this.connected) {
+      this.socket.send(text);
+    } else {
+      this.pending.push(text);
+    }
+  }
+
+  close() {
+    this.pending = [];
+    if (this.socket) this.socket.close();
+  }
+}
+
+/**
+ * In-process relay with the same behaviour as tools/collab-server.mjs
+ */
+export class MemoryHub {
+  constructor() {
+    // room name -> { ops: [], clients: Map(transport -> client) }
+    this.rooms = new Map();
+  }
+
+  /**
+   * Create a transport connected to this hub
+   * @returns {MemoryTransport}
+   */
+  createTransport() {
+    return new MemoryTransport(this);
+  }
+
+  /**
+   * Operations stored for a room
+   * @param {string} name - Room name
+   * @returns {Array<Object>}
+   */
+  getOps(name) {
+    const room = this.rooms.get(name);
+    return room ? [...room.ops] : [];
+  }
+
+  /**
+   * Handle a message from a transport
+   * @private
+   */
+  _receive(transport, message) {
+    if (message.type === "join") {
+      this._join(transport, message);
+      return;
+    }
+
+    const room = this._roomOf(transport);
+    if (!room) return;
+    const client = room.clients.get(transport);
+
+    if (message.type === "ops" && Array.isArray(message.ops)) {
+      room.ops.push(...message.ops);
+      this._broadcast(room, transport, {
+        type: "ops",
+        siteId: client.siteId,
+        ops: message.ops,
+      });
+    } else if (message.type === "presence") {
+      client.presence = message.presence;
+      this._broadcast(room, transport, {
+        type: "presence",
+        siteId: client.siteId,
+        user: client.user,
+        presence: message.presence,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _join(transport, { room: name, siteId, user }) {
+    this._leave(transport);
+
+    if (!this.rooms.has(name)) {
+      this.rooms.set(name, { ops: [], clients: new Map() });
+    }
+    const room = this.rooms.get(name);
+    const welcome = {
+      type: "welcome",
+      ops: [...room.ops],
+      peers: Array.from(room.clients.values()),
+    };
+
+    // In the room before the welcome, which may be answered synchronously
+    room.clients.set(transport, { siteId, user, presence: null });
+    this._broadcast(room, transport, { type: "join", siteId, user });
+    transport._deliver(welcome);
+  }
+
+  /**
+   * @private
+   */
+  _leave(transport) {
+    const room = this._roomOf(transport);
+    if (!room) return;
+
+    const { siteId } = room.clients.get(transport);
+    room.clients.delete(transport);
+    this._broadcast(room, transport, { type: "leave", siteId });
+  }
+
+  /**
+   * @private
+   */
+  _roomOf(transport) {
+    return (
+      Array.from(this.rooms.values()).find((room) =>
+        room.clients.has(transport)
+      ) || null
+    );
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(room, sender, message) {
+    room.clients.forEach((client, transport) => {
+      if (transport !== sender) transport._deliver(message);
+    });
+  }
+}
+
+/**
+ * Transport to a MemoryHub; messages are copied, as over a socket
+ */
+export class MemoryTransport extends CollabTransport {
+  /**
+   * @param {MemoryHub} hub - Hub to connect to
+   */
+  constructor(hub) {
+    super();
+    this.hub = hub;
+  }
+
+  connect() {
+    this._emit("open");
+    return Promise.resolve();
+  }
+
+  send(message) {
+    if (!this.connected) {
+      throw new Error("MemoryTransport: not connected");
+    }
+    this.hub._receive(this, JSON.parse(JSON.stringify(message)));
+  }
+
+  close() {
+    if (!this.connected) return;
+    this.hub._leave(this);
+    this._emit("close");
+  }
+
+  /**
+   * Receive a message from the hub
+   * @private
+   */
+  _deliver(message) {
+    if (this.connected) {
+      this._emit("message", JSON.parse(JSON.stringify(message)));
+    }
+  }
+}
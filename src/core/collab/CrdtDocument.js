@@ -0,0 +1,258 @@
+/**
+ * CrdtDocument.js - Replicated graph document for collaborative editing
+ *
+ * Nodes, edges and layers are last-writer-wins (LWW) maps: every entity is
+ * a set of field registers plus an "alive" register, and every write
+ * carries a Lamport stamp { counter, site }. Replicas that have applied the
+ * same operations hold the same document whatever order they arrived in,
+ * so concurrent edits merge the same way for everybody:
+ *
+ * - two moves or label edits of one entity: the higher stamp wins (counter
+ *   first, then site id), field by field; fields written by one operation
+ *   win or lose together unless another write touched them
+ * - a delete and a concurrent edit: the edit lands on the deleted entity
+ *   and stays hidden; the entity only comes back when it is put again with
+ *   a newer stamp (e.g. when its owner undoes the delete)
+ *
+ * Operations are plain JSON and go over a CollabTransport as they are:
+ *
+ *   { type: "put",    collection, id, fields, stamp }  // add or re-add
+ *   { type: "set",    collection, id, fields, stamp }  // change fields
+ *   { type: "remove", collection, id, stamp }
+ *
+ * Each site's operations must arrive in the order it made them (the relay
+ * server keeps that order); an operation at or below the highest counter
+ * already seen from its site is a repeat and is ignored.
+ *
+ * @module core/collab/CrdtDocument
+ */
+
+/**
+ * Collections in a document
+ */
+export const COLLECTIONS = ["nodes", "edges", "layers"];
+
+export class CrdtDocument {
+  /**
+   * @param {string} siteId - Unique id of this replica
+   */
+  constructor(siteId) {
+    if (!siteId || typeof siteId !== "string") {
+      throw new Error("CrdtDocument: siteId is required");
+    }
+
+    this.siteId = siteId;
+
+    // Lamport clock: above every counter seen so far
+    this.clock = 0;
+
+    // collection -> Map(id -> { alive: register|null, fields: Map(key -> register) })
+    this.collections = new Map(COLLECTIONS.map((name) => [name, new Map()]));
+
+    // Highest counter applied per site
+    this.versions = new Map();
+  }
+
+  /**
+   * Add (or re-add) an entity
+   * @param {string} collection - "nodes", "edges" or "layers"
+   * @param {string} id - Entity id
+   * @param {Object} fields - All of the entity's fields
+   * @returns {Object} - The operation, already applied
+   */
+  put(collection, id, fields) {
+    return this._local({ type: "put", collection, id, fields });
+  }
+
+  /**
+   * Change some fields of an entity
+   * @param {string} collection - "nodes", "edges" or "layers"
+   * @param {string} id - Entity id
+   * @param {Object} fields - Changed fields
+   * @returns {Object} - The operation, already applied
+   */
+  set(collection, id, fields) {
+    return this._local({ type: "set", collection, id, fields });
+  }
+
+  /**
+   * Remove an entity
+   * @param {string} collection - "nodes", "edges" or "layers"
+   * @param {string} id - Entity id
+   * @returns {Object} - The operation, already applied
+   */
+  remove(collection, id) {
+    return this._local({ type: "remove", collection, id });
+  }
+
+  /**
+   * Apply an operation (local or remote)
+   * @param {Object} op - Operation
+   * @returns {Object|null} - What visibly changed:
+   *   { collection, id, type: "added"|"updated"|"removed", fields },
+   *   or null for repeats and writes that lost
+   * @throws {Error} If the operation is malformed
+   */
+  apply(op) {
+    const entities = this._collection(op && op.collection);
+    if (!op.id || !op.stamp || !["put", "set", "remove"].includes(op.type)) {
+      throw new Error(`CrdtDocument: invalid operation ${JSON.stringify(op)}`);
+    }
+
+    const { counter, site } = op.stamp;
+    if (counter <= (this.versions.get(site) || 0)) {
+      return null;
+    }
+    this.versions.set(site, counter);
+    this.clock = Math.max(this.clock, counter);
+
+    if (!entities.has(op.id)) {
+      entities.set(op.id, { alive: null, fields: new Map() });
+    }
+    const entity = entities.get(op.id);
+    const before = this._values(entity);
+
+    if (op.type !== "set" && newer(op.stamp, entity.alive)) {
+      entity.alive = { value: op.type === "put", stamp: op.stamp };
+    }
+    Object.entries(op.fields || {}).forEach(([key, value]) => {
+      if (newer(op.stamp, entity.fields.get(key))) {
+        entity.fields.set(key, { value: copy(value), stamp: op.stamp });
+      }
+    });
+
+    return this._change(op, before, this._values(entity));
+  }
+
+  /**
+   * Visible fields of an entity
+   * @param {string} collection - "nodes", "edges" or "layers"
+   * @param {string} id - Entity id
+   * @returns {Object|null} - A copy, or null if absent or removed
+   */
+  get(collection, id) {
+    const entity = this._collection(collection).get(id);
+    return entity ? this._values(entity) : null;
+  }
+
+  /**
+   * Ids of the visible entities in a collection
+   * @param {string} collection - "nodes", "edges" or "layers"
+   * @returns {Array<string>}
+   */
+  ids(collection) {
+    return Array.from(this._collection(collection).entries())
+      .filter(([, entity]) => isAlive(entity))
+      .map(([id]) => id);
+  }
+
+  /**
+   * Visible document, { nodes: { id: fields }, edges, layers }
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = {};
+    COLLECTIONS.forEach((collection) => {
+      json[collection] = {};
+      this.ids(collection)
+        .sort()
+        .forEach((id) => {
+          json[collection][id] = this.get(collection, id);
+        });
+    });
+    return json;
+  }
+
+  /**
+   * Stamp and apply a local operation
+   * @private
+   */
+  _local(op) {
+    const stamped = {
+      ...op,
+      ...(op.fields ? { fields: copy(op.fields) } : {}),
+      stamp: { counter: this.clock + 1, site: this.siteId },
+    };
+    this.apply(stamped);
+    return stamped;
+  }
+
+  /**
+   * @private
+   */
+  _collection(name) {
+    const entities = this.collections.get(name);
+    if (!entities) {
+      throw new Error(`CrdtDocument: unknown collection '${name}'`);
+    }
+    return entities;
+  }
+
+  /**
+   * Field values of a live entity, or null
+   * @private
+   */
+  _values(entity) {
+    if (!isAlive(entity)) return null;
+
+    const values = {};
+    entity.fields.forEach((register, key) => {
+      values[key] = copy(register.value);
+    });
+    return values;
+  }
+
+  /**
+   * Describe the visible difference an operation made
+   * @private
+   */
+  _change(op, before, after) {
+    const { collection, id } = op;
+
+    if (!before && !after) return null;
+    if (!before) return { collection, id, type: "added", fields: after };
+    if (!after) return { collection, id, type: "removed", fields: before };
+
+    const fields = {};
+    Object.keys(after).forEach((key) => {
+      if (!sameValue(before[key], after[key])) fields[key] = after[key];
+    });
+    return Object.keys(fields).length > 0
+      ? { collection, id, type: "updated", fields }
+      : null;
+  }
+}
+
+/**
+ * Does a stamp beat a register's? (no register: yes)
+ * @private
+ */
+function newer(stamp, register) {
+  if (!register) return true;
+  const other = register.stamp;
+  if (stamp.counter !== other.counter) return stamp.counter > other.counter;
+  return stamp.site > other.site;
+}
+
+/**
+ * @private
+ */
+function isAlive(entity) {
+  return Boolean(entity.alive && entity.alive.value);
+}
+
+/**
+ * Deep copy of plain data
+ * @private
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Values equal as plain data
+ * @private
+ */
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
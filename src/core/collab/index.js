@@ -0,0 +1,13 @@
+/**
+ * collab/index.js - Barrel export for collaborative editing
+ *
+ * @module core/collab
+ */
+
+export { CrdtDocument, COLLECTIONS } from "./CrdtDocument.js";
+export {
+  CollabTransport,
+  WebSocketTransport,
+  MemoryHub,
+  MemoryTransport,
+} from "./CollabTransport.js";
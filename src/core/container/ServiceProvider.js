@@ -44,6 +44,7 @@ import { ShapeBuilder } from "../../shapes/base/ShapeBuilder.js";
 // Managers (Business Logic)
 import { NodeManager } from "../managers/NodeManager.js";
 import { EdgeManager } from "../managers/EdgeManager.js";
+import { SelectionManager } from "../managers/SelectionManager.js";
 
 // Controllers (User Interaction)
 import { NodeController } from "../controllers/NodeController.js";
@@ -252,6 +253,22 @@ class ServiceProvider {
         { singleton: true }
       );
 
+      /**
+       * SelectionManager - Selected nodes and edges
+       */
+      container.register(
+        "selectionManager",
+        (c) => {
+          console.log("%c  ✓ Registered: selectionManager", "color: #00aa00");
+          return new SelectionManager(
+            c.get("eventBus"),
+            c.get("stateManager"),
+            c.get("nodeManager")
+          );
+        },
+        { singleton: true }
+      );
+
       // ========================================================================
       // PHASE 6: CONTROLLERS
       // These depend on: managers, views, stateManager, eventBus
@@ -270,7 +287,8 @@ class ServiceProvider {
             c.get("nodeView"),
             c.get("editor"),
             c.get("stateManager"),
-            c.get("eventBus")
+            c.get("eventBus"),
+            c.get("selectionManager")
           );
         },
         { singleton: true }
@@ -14,6 +14,7 @@
  * - Handle user interactions with edges
  * - Coordinate edge creation (connection drawing)
  * - Manage edge selection, deletion, and modification
+ * - Let users shape edges by dragging waypoints and segments
  * - Provide visual feedback during edge drawing
  * - Handle connection validation
  * - Support keyboard shortcuts and commands
@@ -26,6 +27,8 @@
  * - Update views based on model changes
  * - Manage connection validation
  * - Provide visual feedback during drawing
+ * - Highlight the edges a running simulation has taken
+ * - Badge edges that fail validation
  * - Emit user-triggered events
  * - Support keyboard shortcuts
  * - Validate valid connections
@@ -33,8 +36,9 @@
  * Architecture:
  * - Event listeners for edge interactions
  * - State machine for edge drawing
+ * - Waypoint drag state (bends and segment midpoints of selected edges)
  * - Connection validation logic
- * - Command pattern for undo/redo
+ * - Undo/redo through HistoryManager (the managers record every change)
  * - Visual preview during drawing
  *
  * @example
@@ -50,8 +54,13 @@
  * // User clicks on node port and drags to another node to create edge
  * // User clicks on edge to select it
  * // User presses Delete to delete selected edges
+ * // User drags a segment midpoint of a selected edge to add a bend
+ * // User double-clicks a bend to remove it
  */
 
+import { WaypointEditor } from "../layout/WaypointEditor.js";
+import { ValidationIssues } from "../validation/ValidationIssues.js";
+
 /**
  * EdgeController Class
  *
@@ -144,9 +153,17 @@ class EdgeController {
     // Selection state
     this.selectedEdgeIds = new Set();
 
-    // Command history for undo/redo
-    this.commandHistory = [];
-    this.commandIndex = -1;
+    // Waypoint drag state (null when not dragging)
+    this.waypointDrag = null;
+
+    // Undo/redo availability, mirrored from HistoryManager
+    this.history = { canUndo: false, canRedo: false };
+
+    // Edges a running simulation has taken
+    this.traversedEdgeIds = new Set();
+
+    // Validation problems by edge id, kept for edges rendered later
+    this.problems = new Map();
 
     // Configuration
     this.config = {
@@ -174,15 +191,23 @@ class EdgeController {
     this.editor.on("canvas:mousemove", (e) => this._onCanvasMouseMove(e));
     this.editor.on("canvas:mouseup", (e) => this._onCanvasMouseUp(e));
     this.editor.on("canvas:mouseleave", (e) => this._onCanvasMouseLeave(e));
+    this.editor.on("canvas:dblclick", (e) => this._onCanvasDoubleClick(e));
 
     // Canvas keyboard events
     this.editor.on("canvas:keydown", (e) => this._onCanvasKeyDown(e));
 
     // Manager events
     this.eventBus.on("edge:created", (e) => this._onEdgeCreated(e));
+    this.eventBus.on("edge:updated", (e) => this._onEdgeUpdated(e));
     this.eventBus.on("edge:deleted", (e) => this._onEdgeDeleted(e));
     this.eventBus.on("edge:selected", (e) => this._onEdgeSelected(e));
     this.eventBus.on("edge:deselected", (e) => this._onEdgeDeselected(e));
+    this.eventBus.on("edge:path:update", (e) => this._onEdgePathUpdate(e));
+    this.eventBus.on("simulation:changed", (e) => this._onSimulationChanged(e));
+    this.eventBus.on("validation:complete", (e) =>
+      this._onValidationComplete(e)
+    );
+    this.eventBus.on("history:changed", (e) => this._onHistoryChanged(e));
   }
 
   /**
@@ -191,6 +216,13 @@ class EdgeController {
    * @private
    */
   _onCanvasMouseDown(e) {
+    // Waypoint handles of selected edges sit above everything else
+    const hit = e.button === 0 ? this._findWaypointHandle(e.x, e.y) : null;
+    if (hit) {
+      this._startWaypointDrag(hit, e.x, e.y);
+      return;
+    }
+
     // Check if clicking on a node (to start edge drawing)
     const nodeId = this.nodeManager.getAtPoint(e.x, e.y);
 
@@ -219,6 +251,11 @@ class EdgeController {
    * @private
    */
   _onCanvasMouseMove(e) {
+    if (this.waypointDrag) {
+      this._dragWaypoint(e.x, e.y);
+      return;
+    }
+
     if (!this.drawingState.isDrawing) {
       return;
     }
@@ -255,6 +292,11 @@ class EdgeController {
    * @private
    */
   _onCanvasMouseUp(e) {
+    if (this.waypointDrag) {
+      this._finishWaypointDrag();
+      return;
+    }
+
     if (!this.drawingState.isDrawing) {
       return;
     }
@@ -288,6 +330,33 @@ class EdgeController {
     if (this.drawingState.isDrawing) {
       this.cancelDrawing();
     }
+
+    // Drop an unfinished waypoint drag
+    if (this.waypointDrag) {
+      const { element, original } = this.waypointDrag;
+      this.waypointDrag = null;
+      this.edgeView.update(element, { waypoints: original });
+    }
+  }
+
+  /**
+   * Handle canvas double click - remove the bend under the pointer
+   *
+   * @private
+   */
+  _onCanvasDoubleClick(e) {
+    const hit = this._findWaypointHandle(e.x, e.y);
+    if (!hit || hit.handle.kind !== "bend") {
+      return;
+    }
+
+    const orthogonal = this._isOrthogonal(hit.edgeId);
+    const waypoints = WaypointEditor.remove(
+      this._editableWaypoints(hit.edgeId, hit.element, orthogonal),
+      hit.handle.index,
+      orthogonal
+    );
+    this.setWaypoints(hit.edgeId, waypoints);
   }
 
   /**
@@ -382,14 +451,6 @@ class EdgeController {
       { reason: "user created" }
     );
 
-    // Record command for undo
-    this._recordCommand({
-      type: "create-edge",
-      edgeId,
-      sourceId: sourceNodeId,
-      targetId: targetNodeId,
-    });
-
     // Clean up drawing state
     this._removePreviewEdge();
     this.drawingState.isDrawing = false;
@@ -496,19 +557,11 @@ class EdgeController {
       return;
     }
 
-    const deletedEdges = [];
-
+    this.eventBus.emit("command:batch:begin", { name: "Delete Edges" });
     for (const edgeId of selected) {
-      const edgeData = this.edgeManager.get(edgeId);
-      deletedEdges.push(edgeData);
       this.edgeManager.delete(edgeId, { reason: "user deleted" });
     }
-
-    // Record command for undo
-    this._recordCommand({
-      type: "delete-edges",
-      edges: deletedEdges,
-    });
+    this.eventBus.emit("command:batch:end");
 
     this.selectedEdgeIds.clear();
 
@@ -532,25 +585,165 @@ class EdgeController {
       throw new Error(`EdgeController: Edge '${edgeId}' not found`);
     }
 
-    const oldEdge = this.edgeManager.get(edgeId);
-
-    // Update edge
+    // Update edge (recorded for undo by the manager)
     this.edgeManager.update(edgeId, updates, { reason: "user edited" });
 
-    // Record command for undo
-    this._recordCommand({
-      type: "edit-edge",
+    this.eventBus.emit("controller:edge-edited", {
       edgeId,
-      from: oldEdge,
-      to: { ...oldEdge, ...updates },
+      updates,
     });
+  }
 
-    this.eventBus.emit("controller:edge-edited", {
+  /**
+   * Replace an edge's waypoints (undoable)
+   *
+   * @param {string} edgeId - Edge to shape
+   * @param {Array} waypoints - Bend points [{x, y}]
+   *
+   * @example
+   * controller.setWaypoints('edge-1', [{ x: 200, y: 80 }]);
+   */
+  setWaypoints(edgeId, waypoints) {
+    if (!this.edgeManager.has(edgeId)) {
+      throw new Error(`EdgeController: Edge '${edgeId}' not found`);
+    }
+
+    const oldWaypoints = this.edgeManager.get(edgeId).waypoints || [];
+    if (JSON.stringify(oldWaypoints) === JSON.stringify(waypoints)) {
+      return;
+    }
+
+    this.edgeManager.update(
       edgeId,
-      updates,
+      { waypoints },
+      { reason: "user edited waypoints" }
+    );
+
+    this.eventBus.emit("controller:edge-waypoints-changed", {
+      edgeId,
+      waypoints,
     });
   }
 
+  /**
+   * Waypoint handle under a point, on any selected edge
+   *
+   * @private
+   */
+  _findWaypointHandle(x, y) {
+    if (this.selectedEdgeIds.size === 0) {
+      return null;
+    }
+
+    const layer = this.editor.getLayer("content");
+    for (const edgeId of this.selectedEdgeIds) {
+      const element = layer.querySelector(`[data-edge-id="${edgeId}"]`);
+      const handle = element && this.edgeView.getHandleAt(element, x, y);
+      if (handle) {
+        return { edgeId, element, handle };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Is an edge routed orthogonally?
+   *
+   * @private
+   */
+  _isOrthogonal(edgeId) {
+    const edge = this.edgeManager.get(edgeId);
+    return (edge.routingType || edge.type) === "orthogonal";
+  }
+
+  /**
+   * Waypoints a drag or removal starts from. On orthogonal edges every
+   * rendered bend becomes a waypoint, so elbows can be edited too.
+   *
+   * @private
+   */
+  _editableWaypoints(edgeId, element, orthogonal) {
+    if (orthogonal) {
+      return element._pathData.points.slice(1, -1);
+    }
+    return this.edgeManager.get(edgeId).waypoints || [];
+  }
+
+  /**
+   * Start dragging a bend or segment handle
+   *
+   * Dragging a segment midpoint inserts a bend there, except on orthogonal
+   * edges where the whole segment moves and stays axis-aligned.
+   *
+   * @private
+   */
+  _startWaypointDrag({ edgeId, element, handle }, x, y) {
+    const orthogonal = this._isOrthogonal(edgeId);
+    const original = (this.edgeManager.get(edgeId).waypoints || []).map(
+      (p) => ({ x: p.x, y: p.y })
+    );
+    let waypoints = this._editableWaypoints(edgeId, element, orthogonal);
+    let mode = "bend";
+
+    if (handle.kind === "segment" && orthogonal) {
+      mode = "segment";
+    } else if (handle.kind === "segment") {
+      waypoints = WaypointEditor.insert(waypoints, handle.index, { x, y });
+    }
+
+    this.waypointDrag = {
+      edgeId,
+      element,
+      mode,
+      index: handle.index,
+      points: element._pathData.points,
+      start: waypoints,
+      original,
+      waypoints: null,
+    };
+
+    this.eventBus.emit("controller:waypoint-drag-started", {
+      edgeId,
+      handle,
+    });
+  }
+
+  /**
+   * Update the dragged waypoint and redraw the edge
+   *
+   * @private
+   */
+  _dragWaypoint(x, y) {
+    const drag = this.waypointDrag;
+
+    drag.waypoints =
+      drag.mode === "segment"
+        ? WaypointEditor.moveSegment(drag.points, drag.index, { x, y }).slice(
+            1,
+            -1
+          )
+        : WaypointEditor.move(drag.start, drag.index, { x, y });
+
+    this.edgeView.update(drag.element, { waypoints: drag.waypoints });
+  }
+
+  /**
+   * Commit the dragged waypoints as one undoable edit
+   *
+   * @private
+   */
+  _finishWaypointDrag() {
+    const { edgeId, element, original, waypoints } = this.waypointDrag;
+    this.waypointDrag = null;
+
+    if (waypoints) {
+      this.setWaypoints(edgeId, waypoints);
+    } else {
+      // Click without movement
+      this.edgeView.update(element, { waypoints: original });
+    }
+  }
+
   /**
    * Create preview edge during drawing
    *
@@ -709,11 +902,63 @@ class EdgeController {
         const edgeElement = this.edgeView.render(edge, { showArrow: true });
         layer.appendChild(edgeElement);
 
+        // Validation may have run before the edge was rendered
+        if (this.problems.has(e.edgeId)) {
+          this.edgeView.setProblem(edgeElement, this.problems.get(e.edgeId));
+        }
+
         this.eventBus.emit("controller:edge-rendered", { edgeId: e.edgeId });
       }
     }
   }
 
+  /**
+   * Handle edge path update event (node moved, route changed)
+   *
+   * @private
+   */
+  _onEdgePathUpdate(e) {
+    const layer = this.editor.getLayer("content");
+    const edgeElement = layer.querySelector(`[data-edge-id="${e.edgeId}"]`);
+    if (!edgeElement) return;
+
+    // Both ends inside the same collapsed container
+    if (e.visible === false) {
+      edgeElement.setAttribute("display", "none");
+      return;
+    }
+    edgeElement.removeAttribute("display");
+
+    const sourceNode = this.nodeManager.get(e.sourceId);
+    const targetNode = this.nodeManager.get(e.targetId);
+    if (sourceNode && targetNode) {
+      this.edgeView.update(
+        edgeElement,
+        { points: e.points },
+        sourceNode,
+        targetNode
+      );
+    }
+  }
+
+  /**
+   * Handle edge updated event - redraw when waypoints change (including
+   * undo and redo)
+   *
+   * @private
+   */
+  _onEdgeUpdated(e) {
+    if (!e.updates || e.updates.waypoints === undefined) {
+      return;
+    }
+
+    const layer = this.editor.getLayer("content");
+    const edgeElement = layer.querySelector(`[data-edge-id="${e.edgeId}"]`);
+    if (edgeElement) {
+      this.edgeView.update(edgeElement, { waypoints: e.updates.waypoints });
+    }
+  }
+
   /**
    * Handle edge deleted event
    *
@@ -721,6 +966,9 @@ class EdgeController {
    */
   _onEdgeDeleted(e) {
     this.selectedEdgeIds.delete(e.edgeId);
+    if (this.waypointDrag && this.waypointDrag.edgeId === e.edgeId) {
+      this.waypointDrag = null;
+    }
   }
 
   /**
@@ -735,6 +983,7 @@ class EdgeController {
 
     if (edgeElement) {
       this.edgeView.setSelected(edgeElement, true);
+      this.edgeView.renderWaypointHandles(edgeElement);
     }
   }
 
@@ -750,120 +999,91 @@ class EdgeController {
 
     if (edgeElement) {
       this.edgeView.setSelected(edgeElement, false);
+      this.edgeView.clearWaypointHandles(edgeElement);
     }
   }
 
   /**
-   * Record command for undo/redo
+   * Handle simulation changed event - highlight the edges taken so far,
+   * animating the ones just taken
    *
    * @private
    */
-  _recordCommand(command) {
-    // Truncate any commands after current index
-    this.commandHistory = this.commandHistory.slice(0, this.commandIndex + 1);
+  _onSimulationChanged(e) {
+    const traversed = new Set(e.running ? e.traversedEdges : []);
+    const layer = this.editor.getLayer("content");
+    const elementOf = (edgeId) =>
+      layer.querySelector(`[data-edge-id="${edgeId}"]`);
 
-    // Add new command
-    this.commandHistory.push(command);
-    this.commandIndex++;
+    this.traversedEdgeIds.forEach((edgeId) => {
+      const element = elementOf(edgeId);
+      if (!traversed.has(edgeId) && element) {
+        this.edgeView.setTraversed(element, false);
+      }
+    });
 
-    // Limit history size
-    const maxHistory = 50;
-    if (this.commandHistory.length > maxHistory) {
-      this.commandHistory.shift();
-      this.commandIndex--;
-    }
+    traversed.forEach((edgeId) => {
+      const element = elementOf(edgeId);
+      if (this.traversedEdgeIds.has(edgeId) || !element) return;
+
+      this.edgeView.setTraversed(element, true);
+      this.edgeView.animate(element, {
+        from: { strokeWidth: this.edgeView.config.strokeWidth },
+        to: { strokeWidth: this.edgeView.config.traversedStrokeWidth },
+        duration: 400,
+      });
+    });
 
-    this.eventBus.emit("controller:command-recorded", { command });
+    this.traversedEdgeIds = traversed;
   }
 
   /**
-   * Undo last command
+   * Handle validation complete event - badge the edges with problems
    *
-   * @example
-   * controller.undo();
+   * @private
    */
-  undo() {
-    if (this.commandIndex < 0) {
-      return;
-    }
-
-    const command = this.commandHistory[this.commandIndex];
-    this._executeUndo(command);
-    this.commandIndex--;
+  _onValidationComplete(e) {
+    const problems = ValidationIssues.byElement(e).edges;
+    const layer = this.editor.getLayer("content");
 
-    this.eventBus.emit("controller:undo", { command });
+    new Set([...this.problems.keys(), ...problems.keys()]).forEach((edgeId) => {
+      const element = layer.querySelector(`[data-edge-id="${edgeId}"]`);
+      if (element) {
+        this.edgeView.setProblem(element, problems.get(edgeId) || null);
+      }
+    });
+    this.problems = problems;
   }
 
   /**
-   * Redo last undone command
+   * Handle history changed event
    *
-   * @example
-   * controller.redo();
+   * @private
    */
-  redo() {
-    if (this.commandIndex >= this.commandHistory.length - 1) {
-      return;
-    }
-
-    this.commandIndex++;
-    const command = this.commandHistory[this.commandIndex];
-    this._executeRedo(command);
-
-    this.eventBus.emit("controller:redo", { command });
+  _onHistoryChanged(e) {
+    this.history = { canUndo: e.canUndo, canRedo: e.canRedo };
   }
 
   /**
-   * Execute undo
+   * Undo the last action (of any kind, not just edge edits)
    *
-   * @private
+   * @example
+   * controller.undo();
    */
-  _executeUndo(command) {
-    switch (command.type) {
-      case "create-edge":
-        this.edgeManager.delete(command.edgeId, { silent: true });
-        break;
-
-      case "delete-edges":
-        for (const edgeData of command.edges) {
-          this.edgeManager.create(edgeData, { silent: true });
-        }
-        break;
-
-      case "edit-edge":
-        this.edgeManager.update(command.edgeId, command.from, {
-          silent: true,
-        });
-        break;
-    }
+  undo() {
+    this.eventBus.emit("command:undo");
+    this.eventBus.emit("controller:undo");
   }
 
   /**
-   * Execute redo
+   * Redo the last undone action
    *
-   * @private
+   * @example
+   * controller.redo();
    */
-  _executeRedo(command) {
-    switch (command.type) {
-      case "create-edge":
-        this.edgeManager.create(
-          {
-            sourceId: command.sourceId,
-            targetId: command.targetId,
-          },
-          { silent: true }
-        );
-        break;
-
-      case "delete-edges":
-        for (const edgeData of command.edges) {
-          this.edgeManager.delete(edgeData.id, { silent: true });
-        }
-        break;
-
-      case "edit-edge":
-        this.edgeManager.update(command.edgeId, command.to, { silent: true });
-        break;
-    }
+  redo() {
+    this.eventBus.emit("command:redo");
+    this.eventBus.emit("controller:redo");
   }
 
   /**
@@ -877,7 +1097,7 @@ class EdgeController {
    * }
    */
   canUndo() {
-    return this.commandIndex >= 0;
+    return this.history.canUndo;
   }
 
   /**
@@ -891,7 +1111,7 @@ class EdgeController {
    * }
    */
   canRedo() {
-    return this.commandIndex < this.commandHistory.length - 1;
+    return this.history.canRedo;
   }
 
   /**
@@ -904,8 +1124,6 @@ class EdgeController {
       isDrawing: this.drawingState.isDrawing,
       sourceNodeId: this.drawingState.sourceNodeId,
       selectedEdgesCount: this.selectedEdgeIds.size,
-      commandHistorySize: this.commandHistory.length,
-      commandIndex: this.commandIndex,
       canUndo: this.canUndo(),
       canRedo: this.canRedo(),
     };
@@ -919,8 +1137,6 @@ class EdgeController {
     console.log("========== EdgeController Debug Info ==========");
     console.log(`Drawing: ${info.isDrawing} (from ${info.sourceNodeId})`);
     console.log(`Selected Edges: ${info.selectedEdgesCount}`);
-    console.log(`Command History: ${info.commandHistorySize} commands`);
-    console.log(`Current Index: ${info.commandIndex}`);
     console.log(`Can Undo: ${info.canUndo}`);
     console.log(`Can Redo: ${info.canRedo}`);
     console.log("=".repeat(44));
@@ -5,7 +5,8 @@
  * Handles user interactions with nodes (clicking, dragging, resizing) and
  * orchestrates the corresponding operations.
  *
- * DEPENDENCIES: NodeManager, NodeView, EditorView, StateManager, EventBus
+ * DEPENDENCIES: NodeManager, NodeView, Editor or EditorView, StateManager,
+ *               EventBus, CommandBus, SelectionManager
  *
  * @module core/controllers/NodeController
  * @version 1.0.0
@@ -25,7 +26,11 @@
  * - Update views based on model changes
  * - Handle selection state
  * - Manage drag operations with constraints
+ * - Resize swimlane lanes by dragging their dividers
+ * - List the container and lane commands for a node's context menu
  * - Provide visual feedback during interactions
+ * - Highlight the node a running simulation is on
+ * - Badge nodes that fail validation
  * - Emit user-triggered events
  * - Support keyboard shortcuts
  *
@@ -33,7 +38,10 @@
  * - Event listeners on canvas for node interactions
  * - State machine for drag operations
  * - Action queuing for complex operations
- * - Command pattern for undo/redo
+ * - Undo/redo through HistoryManager: the managers record every change,
+ *   and multi-step gestures undo as one step. Drags open a batch on
+ *   mousedown and close it on mouseup; nudges and duplicates run inside
+ *   CommandBus.batch()
  *
  * @example
  * const controller = new NodeController(
@@ -41,7 +49,8 @@
  *   nodeView,
  *   editor,
  *   stateManager,
- *   eventBus
+ *   eventBus,
+ *   selectionManager
  * );
  *
  * // User clicks on a node - automatically handled
@@ -49,6 +58,10 @@
  * // User presses Delete - automatically deletes selected nodes
  */
 
+import { CommandBus } from "../events/CommandBus.js";
+import { ValidationIssues } from "../validation/ValidationIssues.js";
+import { PoolLanes } from "../layout/PoolLanes.js";
+
 /**
  * NodeController Class
  *
@@ -59,10 +72,12 @@ class NodeController {
    * Initialize the node controller
    *
    * @param {NodeManager} nodeManager - Node manager
-   * @param {NodeView} nodeView - Node view renderer
-   * @param {EditorView} editor - Main editor instance
+   * @param {NodeView|null} nodeView - Node view renderer, or null when
+   *                                   something else draws the nodes
+   * @param {Editor|EditorView} editor - Main editor instance
    * @param {StateManager} stateManager - State manager
    * @param {EventBus} eventBus - Event emitter
+   * @param {SelectionManager} selectionManager - Selection manager
    *
    * @throws {Error} If any dependency is invalid
    *
@@ -72,30 +87,42 @@ class NodeController {
    *   nodeView,
    *   editor,
    *   stateManager,
-   *   eventBus
+   *   eventBus,
+   *   selectionManager
    * );
    */
-  constructor(nodeManager, nodeView, editor, stateManager, eventBus) {
+  constructor(
+    nodeManager,
+    nodeView,
+    editor,
+    stateManager,
+    eventBus,
+    selectionManager
+  ) {
     // Validate dependencies
-    if (!nodeManager || typeof nodeManager.create !== "function") {
+    if (!nodeManager || typeof nodeManager.createNode !== "function") {
       throw new Error(
         "NodeController: Constructor requires valid NodeManager instance"
       );
     }
 
-    if (!nodeView || typeof nodeView.render !== "function") {
+    if (nodeView && typeof nodeView.render !== "function") {
       throw new Error(
-        "NodeController: Constructor requires valid NodeView instance"
+        "NodeController: Constructor requires a NodeView instance or null"
       );
     }
 
-    if (!editor || typeof editor.getLayer !== "function") {
+    if (
+      !editor ||
+      typeof editor.getLayer !== "function" ||
+      typeof editor.on !== "function"
+    ) {
       throw new Error(
-        "NodeController: Constructor requires valid EditorView instance"
+        "NodeController: Constructor requires valid editor instance"
       );
     }
 
-    if (!stateManager || typeof stateManager.getNode !== "function") {
+    if (!stateManager) {
       throw new Error(
         "NodeController: Constructor requires valid StateManager instance"
       );
@@ -105,12 +132,23 @@ class NodeController {
       throw new Error("NodeController: Constructor requires valid EventBus");
     }
 
+    if (
+      !selectionManager ||
+      typeof selectionManager.selectNode !== "function"
+    ) {
+      throw new Error(
+        "NodeController: Constructor requires valid SelectionManager instance"
+      );
+    }
+
     // Store dependencies
     this.nodeManager = nodeManager;
     this.nodeView = nodeView;
     this.editor = editor;
     this.stateManager = stateManager;
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
+    this.selectionManager = selectionManager;
 
     // Interaction state
     this.dragState = {
@@ -134,6 +172,15 @@ class NodeController {
       originalY: 0,
     };
 
+    this.dividerState = {
+      isDragging: false,
+      nodeId: null,
+      laneId: null,
+      horizontal: true,
+      start: 0,
+      originalSize: 0,
+    };
+
     // Node creation state
     this.creationMode = null; // null, or shape type being created
     this.creationStart = null;
@@ -151,9 +198,14 @@ class NodeController {
       escapeAction: "deselect", // deselect or cancel
     };
 
-    // Command history for undo/redo
-    this.commandHistory = [];
-    this.commandIndex = -1;
+    // Undo/redo availability, mirrored from HistoryManager
+    this.history = { canUndo: false, canRedo: false };
+
+    // Node a running simulation is on
+    this.simulationNodeId = null;
+
+    // Validation problems by node id, kept for nodes rendered later
+    this.problems = new Map();
 
     // Set up event listeners
     this._setupEventListeners();
@@ -165,21 +217,56 @@ class NodeController {
    * @private
    */
   _setupEventListeners() {
-    // Canvas mouse events
-    this.editor.on("canvas:mousedown", (e) => this._onCanvasMouseDown(e));
-    this.editor.on("canvas:mousemove", (e) => this._onCanvasMouseMove(e));
-    this.editor.on("canvas:mouseup", (e) => this._onCanvasMouseUp(e));
-    this.editor.on("canvas:mouseleave", (e) => this._onCanvasMouseLeave(e));
-
-    // Canvas keyboard events
-    this.editor.on("canvas:keydown", (e) => this._onCanvasKeyDown(e));
-    this.editor.on("canvas:keyup", (e) => this._onCanvasKeyUp(e));
+    // Canvas mouse and keyboard events
+    const handlers = {
+      "canvas:mousedown": this._onCanvasMouseDown,
+      "canvas:mousemove": this._onCanvasMouseMove,
+      "canvas:mouseup": this._onCanvasMouseUp,
+      "canvas:mouseleave": this._onCanvasMouseLeave,
+      "canvas:keydown": this._onCanvasKeyDown,
+      "canvas:keyup": this._onCanvasKeyUp,
+    };
+    Object.entries(handlers).forEach(([event, handler]) =>
+      this.editor.on(event, (e) => handler.call(this, this._input(e)))
+    );
 
     // Manager events
     this.eventBus.on("node:created", (e) => this._onNodeCreated(e));
     this.eventBus.on("node:deleted", (e) => this._onNodeDeleted(e));
     this.eventBus.on("node:selected", (e) => this._onNodeSelected(e));
     this.eventBus.on("node:deselected", (e) => this._onNodeDeselected(e));
+    this.eventBus.on("node:visibility:changed", (e) =>
+      this._onNodeVisibilityChanged(e)
+    );
+    this.eventBus.on("simulation:changed", (e) => this._onSimulationChanged(e));
+    this.eventBus.on("validation:complete", (e) =>
+      this._onValidationComplete(e)
+    );
+    this.eventBus.on("history:changed", (e) => this._onHistoryChanged(e));
+  }
+
+  /**
+   * Editor input as { x, y, key, ctrlKey, metaKey, shiftKey, event }.
+   * EditorView passes that already; Editor dispatches DOM events whose
+   * detail is { point, event }.
+   *
+   * @private
+   */
+  _input(e) {
+    if (!e || !e.detail) {
+      return e;
+    }
+
+    const { point = {}, event = {} } = e.detail;
+    return {
+      x: point.x,
+      y: point.y,
+      key: event.key,
+      ctrlKey: event.ctrlKey,
+      metaKey: event.metaKey,
+      shiftKey: event.shiftKey,
+      event,
+    };
   }
 
   /**
@@ -188,8 +275,15 @@ class NodeController {
    * @private
    */
   _onCanvasMouseDown(e) {
+    // Lane dividers sit on top of the pool they resize
+    const divider = this.nodeManager.getLaneDividerAt({ x: e.x, y: e.y });
+    if (divider) {
+      this._startDividerDrag(divider, e);
+      return;
+    }
+
     // Check if clicking on a node
-    const nodeId = this.nodeManager.getAtPoint(e.x, e.y);
+    const nodeId = this.getNodeAt({ x: e.x, y: e.y });
 
     if (nodeId) {
       // Click on node
@@ -211,12 +305,14 @@ class NodeController {
       this.dragState.currentX = e.x;
       this.dragState.currentY = e.y;
 
-      const node = this.nodeManager.get(nodeId);
+      const node = this.nodeManager.getNode(nodeId);
       if (node) {
         this.dragState.originalX = node.x;
         this.dragState.originalY = node.y;
       }
 
+      // Every move of the drag becomes one undo step
+      this.eventBus.emit("command:batch:begin", { name: "Move Node" });
       this.eventBus.emit("controller:drag-start", { nodeId });
     } else {
       // Click on canvas
@@ -233,6 +329,11 @@ class NodeController {
    * @private
    */
   _onCanvasMouseMove(e) {
+    if (this.dividerState.isDragging) {
+      this._dragDivider(e);
+      return;
+    }
+
     if (!this.dragState.isDragging) {
       return;
     }
@@ -258,7 +359,7 @@ class NodeController {
     }
 
     // Move node
-    this.nodeManager.move(nodeId, newX, newY, { reason: "user dragging" });
+    this.nodeManager.updateNodePosition(nodeId, { x: newX, y: newY });
 
     this.dragState.currentX = e.x;
     this.dragState.currentY = e.y;
@@ -278,33 +379,29 @@ class NodeController {
    * @private
    */
   _onCanvasMouseUp(e) {
+    if (this.dividerState.isDragging) {
+      this._finishDividerDrag(e);
+      return;
+    }
+
     if (!this.dragState.isDragging) {
       return;
     }
 
     const nodeId = this.dragState.nodeId;
     const wasChanged =
-      this.dragState.originalX !== this.dragState.currentX ||
-      this.dragState.originalY !== this.dragState.currentY;
+      this.dragState.startX !== this.dragState.currentX ||
+      this.dragState.startY !== this.dragState.currentY;
 
-    // Record command for undo/redo
+    this.dragState.isDragging = false;
+    this.dragState.nodeId = null;
+
+    // Dropping a node onto a container moves it into the container
     if (wasChanged) {
-      this._recordCommand({
-        type: "move",
-        nodeId,
-        from: {
-          x: this.dragState.originalX,
-          y: this.dragState.originalY,
-        },
-        to: {
-          x: this.dragState.currentX,
-          y: this.dragState.currentY,
-        },
-      });
+      this.nodeManager.dropNode(nodeId);
     }
 
-    this.dragState.isDragging = false;
-    this.dragState.nodeId = null;
+    this.eventBus.emit("command:batch:end");
 
     this.eventBus.emit("controller:drag-end", { nodeId, changed: wasChanged });
   }
@@ -315,29 +412,106 @@ class NodeController {
    * @private
    */
   _onCanvasMouseLeave(e) {
+    // Cancel a divider drag: the lane goes back to its size
+    if (this.dividerState.isDragging) {
+      const { nodeId, laneId, originalSize } = this.dividerState;
+      this.nodeManager.resizeLane(nodeId, laneId, originalSize);
+      this.dividerState.isDragging = false;
+
+      this.eventBus.emit("command:batch:end");
+      this.eventBus.emit("controller:lane-resize-cancelled", {
+        nodeId,
+        laneId,
+      });
+    }
+
     // Cancel drag if mouse leaves canvas
     if (this.dragState.isDragging) {
       // Revert to original position
       const nodeId = this.dragState.nodeId;
-      this.nodeManager.move(
-        nodeId,
-        this.dragState.originalX,
-        this.dragState.originalY
-      );
+      this.nodeManager.updateNodePosition(nodeId, {
+        x: this.dragState.originalX,
+        y: this.dragState.originalY,
+      });
 
       this.dragState.isDragging = false;
       this.dragState.nodeId = null;
 
+      // Back where it started, so the batch is dropped as a no-op
+      this.eventBus.emit("command:batch:end");
       this.eventBus.emit("controller:drag-cancelled", { nodeId });
     }
   }
 
+  /**
+   * Start dragging a lane divider; the whole drag is one undo step
+   *
+   * @private
+   */
+  _startDividerDrag(divider, e) {
+    const lane = this.nodeManager
+      .getLanes(divider.nodeId)
+      .find((l) => l.id === divider.laneId);
+    if (!lane) return;
+
+    const horizontal = divider.orientation !== "vertical";
+    Object.assign(this.dividerState, {
+      isDragging: true,
+      nodeId: divider.nodeId,
+      laneId: divider.laneId,
+      horizontal,
+      start: horizontal ? e.y : e.x,
+      originalSize: horizontal ? lane.bounds.height : lane.bounds.width,
+    });
+
+    this.eventBus.emit("command:batch:begin", { name: "Resize Lane" });
+    this.eventBus.emit("controller:lane-resize-start", {
+      nodeId: divider.nodeId,
+      laneId: divider.laneId,
+    });
+  }
+
+  /**
+   * Resize the lane to follow the pointer
+   *
+   * @private
+   */
+  _dragDivider(e) {
+    const { nodeId, laneId, horizontal, start, originalSize } =
+      this.dividerState;
+    let size = originalSize + (horizontal ? e.y : e.x) - start;
+
+    if (this.config.snapToGrid) {
+      size = Math.round(size / this.config.gridSize) * this.config.gridSize;
+    }
+
+    this.nodeManager.resizeLane(nodeId, laneId, size);
+  }
+
+  /**
+   * Finish a divider drag
+   *
+   * @private
+   */
+  _finishDividerDrag(e) {
+    const { nodeId, laneId } = this.dividerState;
+    this.dividerState.isDragging = false;
+
+    this.eventBus.emit("command:batch:end");
+    this.eventBus.emit("controller:lane-resize-end", { nodeId, laneId });
+  }
+
   /**
    * Handle keyboard down
    *
    * @private
    */
   _onCanvasKeyDown(e) {
+    // Leave keys the application already handled
+    if (e.event && e.event.defaultPrevented) {
+      return;
+    }
+
     // Delete selected nodes
     if (e.key === this.config.deleteKey) {
       e.event.preventDefault();
@@ -399,16 +573,14 @@ class NodeController {
    * controller.selectNode('node-2', true); // Multi-select
    */
   selectNode(nodeId, append = false) {
-    if (!this.nodeManager.has(nodeId)) {
+    if (!this.nodeManager.hasNode(nodeId)) {
       console.warn(`NodeController: Node '${nodeId}' not found`);
       return;
     }
 
-    if (!append) {
-      this.clearSelection();
-    }
-
-    this.nodeManager.select(nodeId, append);
+    this.selectionManager.selectNode(nodeId, {
+      mode: append ? "add" : "replace",
+    });
 
     this.eventBus.emit("controller:node-selected", {
       nodeId,
@@ -425,7 +597,7 @@ class NodeController {
    * controller.deselectNode('node-1');
    */
   deselectNode(nodeId) {
-    this.nodeManager.deselect(nodeId);
+    this.selectionManager.deselectNode(nodeId);
 
     this.eventBus.emit("controller:node-deselected", { nodeId });
   }
@@ -437,7 +609,9 @@ class NodeController {
    * controller.selectAll();
    */
   selectAll() {
-    this.stateManager.selectAll();
+    this.selectionManager.selectAll(
+      this.nodeManager.getAllNodes().map((node) => node.id)
+    );
 
     this.eventBus.emit("controller:select-all");
   }
@@ -449,7 +623,7 @@ class NodeController {
    * controller.clearSelection();
    */
   clearSelection() {
-    this.stateManager.clearSelection();
+    this.selectionManager.clearSelection();
 
     this.eventBus.emit("controller:selection-cleared");
   }
@@ -461,25 +635,14 @@ class NodeController {
    * controller.deleteSelected();
    */
   deleteSelected() {
-    const selected = this.nodeManager.getSelected();
+    const selected = this.selectionManager.getSelectedNodes();
 
     if (selected.length === 0) {
       return;
     }
 
-    const deletedNodes = [];
-
-    for (const nodeId of selected) {
-      const nodeData = this.nodeManager.get(nodeId);
-      deletedNodes.push(nodeData);
-      this.nodeManager.delete(nodeId, { reason: "user deleted" });
-    }
-
-    // Record command for undo
-    this._recordCommand({
-      type: "delete-nodes",
-      nodes: deletedNodes,
-    });
+    // One undo step for all of them
+    this.nodeManager.deleteNodes(selected);
 
     this.eventBus.emit("controller:nodes-deleted", { count: selected.length });
   }
@@ -491,44 +654,17 @@ class NodeController {
    * controller.duplicateSelected();
    */
   duplicateSelected() {
-    const selected = this.nodeManager.getSelected();
+    const selected = this.selectionManager.getSelectedNodes();
 
     if (selected.length === 0) {
       return;
     }
 
-    const createdNodes = [];
     const offset = 30;
 
-    for (const nodeId of selected) {
-      const original = this.nodeManager.get(nodeId);
-
-      if (!original) {
-        continue;
-      }
-
-      // Create new node with offset position
-      const newNodeData = {
-        ...original,
-        x: original.x + offset,
-        y: original.y + offset,
-      };
-
-      const newNodeId = this.nodeManager.create(
-        original.shapeType,
-        newNodeData,
-        { reason: "user duplicated" }
-      );
-
-      createdNodes.push(newNodeId);
-    }
-
-    // Record command for undo
-    this._recordCommand({
-      type: "duplicate-nodes",
-      createdNodes,
-      originalCount: selected.length,
-    });
+    const createdNodes = this.commandBus.batch("Duplicate Nodes", () =>
+      this.nodeManager.cloneNodes(selected, { x: offset, y: offset })
+    );
 
     this.eventBus.emit("controller:nodes-duplicated", {
       count: createdNodes.length,
@@ -553,7 +689,7 @@ class NodeController {
     }
 
     this.creationMode = shapeType;
-    this.editor.setViewportMode("create");
+    this.editor.setMode("create");
 
     this.eventBus.emit("controller:creation-started", { shapeType });
   }
@@ -567,7 +703,7 @@ class NodeController {
   cancelCreation() {
     this.creationMode = null;
     this.creationStart = null;
-    this.editor.setViewportMode("select");
+    this.editor.setMode("select");
 
     this.eventBus.emit("controller:creation-cancelled");
   }
@@ -585,22 +721,12 @@ class NodeController {
    * });
    */
   editNode(nodeId, updates) {
-    if (!this.nodeManager.has(nodeId)) {
+    if (!this.nodeManager.hasNode(nodeId)) {
       throw new Error(`NodeController: Node '${nodeId}' not found`);
     }
 
-    const oldNode = this.nodeManager.get(nodeId);
-
-    // Update node
-    this.nodeManager.update(nodeId, updates, { reason: "user edited" });
-
-    // Record command for undo
-    this._recordCommand({
-      type: "edit-node",
-      nodeId,
-      from: oldNode,
-      to: { ...oldNode, ...updates },
-    });
+    // Update node (recorded for undo by the manager)
+    this.nodeManager.updateNode(nodeId, updates);
 
     this.eventBus.emit("controller:node-edited", {
       nodeId,
@@ -614,7 +740,9 @@ class NodeController {
    * @private
    */
   _moveSelectedByArrow(key, isShift) {
-    const selected = this.nodeManager.getSelected();
+    const selected = this._withoutCarried(
+      this.selectionManager.getSelectedNodes()
+    );
     const distance = isShift ? 10 : 1;
 
     let deltaX = 0,
@@ -635,23 +763,18 @@ class NodeController {
         break;
     }
 
-    const moves = [];
-
-    for (const nodeId of selected) {
-      const node = this.nodeManager.get(nodeId);
+    // Repeated presses coalesce into one undo step in HistoryManager
+    this.commandBus.batch("Nudge", () => {
+      for (const nodeId of selected) {
+        const node = this.nodeManager.getNode(nodeId);
 
-      if (node) {
-        this.nodeManager.move(nodeId, node.x + deltaX, node.y + deltaY);
-        moves.push({ nodeId, from: { x: node.x, y: node.y } });
+        if (node) {
+          this.nodeManager.updateNodePosition(nodeId, {
+            x: node.x + deltaX,
+            y: node.y + deltaY,
+          });
+        }
       }
-    }
-
-    // Record command for undo
-    this._recordCommand({
-      type: "move-selected",
-      moves,
-      deltaX,
-      deltaY,
     });
 
     this.eventBus.emit("controller:nodes-moved-by-arrow", {
@@ -661,6 +784,138 @@ class NodeController {
     });
   }
 
+  /**
+   * Leave out nodes whose container is in the list too; they move with it
+   *
+   * @private
+   */
+  _withoutCarried(nodeIds) {
+    const ids = new Set(nodeIds);
+    return nodeIds.filter((nodeId) => {
+      const seen = new Set();
+      let node = this.nodeManager.getNode(nodeId);
+      while (node && node.parentId && !seen.has(node.parentId)) {
+        if (ids.has(node.parentId)) return false;
+        seen.add(node.parentId);
+        node = this.nodeManager.getNode(node.parentId);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Get the node drawn on top at a point: the most deeply nested, then
+   * the newest. Nodes in collapsed containers are skipped.
+   *
+   * @param {Object} point - {x, y} in canvas coordinates
+   * @returns {string|null} Node ID
+   *
+   * @example
+   * const nodeId = controller.getNodeAt({ x: 120, y: 80 });
+   */
+  getNodeAt(point) {
+    const depth = (nodeId) => this.nodeManager.getAncestors(nodeId).length;
+
+    return this.nodeManager
+      .getNodesAtPoint(point)
+      .filter((nodeId) => !this.nodeManager.isNodeHidden(nodeId))
+      .reduce(
+        (top, nodeId) =>
+          top === null || depth(nodeId) >= depth(top) ? nodeId : top,
+        null
+      );
+  }
+
+  /**
+   * Commands for a node's context menu
+   *
+   * @param {string} nodeId - Node under the pointer
+   * @param {Object} [point] - Pointer {x, y}; on a pool, picks the lane
+   * @returns {Array<Object>} Items for ContextMenu: { label, action } or
+   *                          { type: "separator" }
+   *
+   * @example
+   * contextMenu.open(x, y, controller.getMenuItems(nodeId, point));
+   */
+  getMenuItems(nodeId, point = null) {
+    const node = this.nodeManager.getNode(nodeId);
+    if (!node) return [];
+
+    const items = [];
+    if (this.nodeManager.isContainer(node)) {
+      items.push({
+        label: node.collapsed ? "Expand" : "Collapse",
+        action: () => this.nodeManager.toggleCollapsed(nodeId),
+      });
+    }
+    if (node.parentId) {
+      items.push({
+        label: "Move Out of Container",
+        action: () => this.nodeManager.setParent(nodeId, null),
+      });
+    }
+    if (node.type === "swimlane" && !node.collapsed) {
+      items.push({ type: "separator" }, ...this._laneMenuItems(node, point));
+    }
+    return items;
+  }
+
+  /**
+   * Lane commands for a pool, for the lane under the point if any
+   *
+   * @private
+   */
+  _laneMenuItems(node, point) {
+    const laneId = node.pool && point ? PoolLanes.laneAt(node, point) : null;
+    const lanes = node.pool ? node.pool.lanes : [];
+    const index = lanes.findIndex((lane) => lane.id === laneId);
+    const [before, after] = PoolLanes.isHorizontal(node.pool)
+      ? ["Up", "Down"]
+      : ["Left", "Right"];
+
+    const items = [
+      {
+        label: "Add Lane",
+        action: () =>
+          this.nodeManager.insertLane(node.id, {
+            index: index >= 0 ? index + 1 : undefined,
+          }),
+      },
+    ];
+    if (index < 0) {
+      return items;
+    }
+
+    items.push({
+      label: "Rename Lane...",
+      action: () => {
+        const label = prompt("Lane name:", lanes[index].label);
+        if (label !== null) {
+          this.nodeManager.renameLane(node.id, laneId, label);
+        }
+      },
+    });
+    if (index > 0) {
+      items.push({
+        label: `Move Lane ${before}`,
+        action: () => this.nodeManager.moveLane(node.id, laneId, index - 1),
+      });
+    }
+    if (index < lanes.length - 1) {
+      items.push({
+        label: `Move Lane ${after}`,
+        action: () => this.nodeManager.moveLane(node.id, laneId, index + 1),
+      });
+    }
+    if (lanes.length > 1) {
+      items.push({
+        label: "Remove Lane",
+        action: () => this.nodeManager.removeLane(node.id, laneId),
+      });
+    }
+    return items;
+  }
+
   /**
    * Handle node created event
    *
@@ -668,12 +923,17 @@ class NodeController {
    */
   _onNodeCreated(e) {
     // Auto-render the new node
-    const node = this.nodeManager.get(e.nodeId);
+    const node = this.nodeManager.getNode(e.nodeId);
 
-    if (node) {
+    if (node && this.nodeView) {
       const layer = this.editor.getLayer("content");
       const nodeElement = this.nodeView.render(node);
       layer.appendChild(nodeElement);
+
+      // Validation may have run before the node was rendered
+      if (this.problems.has(e.nodeId)) {
+        this.nodeView.setProblem(nodeElement, this.problems.get(e.nodeId));
+      }
     }
 
     this.eventBus.emit("controller:node-rendered", { nodeId: e.nodeId });
@@ -695,8 +955,7 @@ class NodeController {
    */
   _onNodeSelected(e) {
     // Update node visual state
-    const layer = this.editor.getLayer("content");
-    const nodeElement = layer.querySelector(`[data-node-id="${e.nodeId}"]`);
+    const nodeElement = this._nodeElement(e.nodeId);
 
     if (nodeElement) {
       this.nodeView.setSelected(nodeElement, true);
@@ -710,8 +969,7 @@ class NodeController {
    */
   _onNodeDeselected(e) {
     // Update node visual state
-    const layer = this.editor.getLayer("content");
-    const nodeElement = layer.querySelector(`[data-node-id="${e.nodeId}"]`);
+    const nodeElement = this._nodeElement(e.nodeId);
 
     if (nodeElement) {
       this.nodeView.setSelected(nodeElement, false);
@@ -719,114 +977,100 @@ class NodeController {
   }
 
   /**
-   * Record command for undo/redo
+   * Handle node visibility changed event (collapsed containers)
    *
    * @private
    */
-  _recordCommand(command) {
-    // Truncate any commands after current index (redo history)
-    this.commandHistory = this.commandHistory.slice(0, this.commandIndex + 1);
-
-    // Add new command
-    this.commandHistory.push(command);
-    this.commandIndex++;
+  _onNodeVisibilityChanged(e) {
+    const nodeElement = this._nodeElement(e.nodeId);
 
-    // Limit history size
-    const maxHistory = 50;
-    if (this.commandHistory.length > maxHistory) {
-      this.commandHistory.shift();
-      this.commandIndex--;
+    if (nodeElement) {
+      this.nodeView.setHidden(nodeElement, !e.visible);
     }
-
-    this.eventBus.emit("controller:command-recorded", { command });
   }
 
   /**
-   * Undo last command
+   * Handle simulation changed event - highlight the current node
    *
-   * @example
-   * controller.undo();
+   * @private
    */
-  undo() {
-    if (this.commandIndex < 0) {
-      return;
-    }
+  _onSimulationChanged(e) {
+    const nodeId = e.running ? e.currentNodeId : null;
+    if (nodeId === this.simulationNodeId) return;
 
-    const command = this.commandHistory[this.commandIndex];
-    this._executeUndo(command);
-    this.commandIndex--;
+    const previous = this._nodeElement(this.simulationNodeId);
+    if (previous) {
+      this.nodeView.setActive(previous, false);
+    }
 
-    this.eventBus.emit("controller:undo", { command });
+    const current = this._nodeElement(nodeId);
+    if (current) {
+      this.nodeView.setActive(current, true);
+    }
+    this.simulationNodeId = nodeId;
   }
 
   /**
-   * Redo last undone command
+   * Handle validation complete event - badge the nodes with problems
    *
-   * @example
-   * controller.redo();
+   * @private
    */
-  redo() {
-    if (this.commandIndex >= this.commandHistory.length - 1) {
-      return;
-    }
-
-    this.commandIndex++;
-    const command = this.commandHistory[this.commandIndex];
-    this._executeRedo(command);
+  _onValidationComplete(e) {
+    const problems = ValidationIssues.byElement(e).nodes;
 
-    this.eventBus.emit("controller:redo", { command });
+    new Set([...this.problems.keys(), ...problems.keys()]).forEach((nodeId) => {
+      const element = this._nodeElement(nodeId);
+      if (element) {
+        this.nodeView.setProblem(element, problems.get(nodeId) || null);
+      }
+    });
+    this.problems = problems;
   }
 
   /**
-   * Execute undo
+   * A node's element, if this controller draws nodes
    *
    * @private
    */
-  _executeUndo(command) {
-    switch (command.type) {
-      case "move":
-        this.nodeManager.move(command.nodeId, command.from.x, command.from.y, {
-          silent: true,
-        });
-        break;
-
-      case "delete-nodes":
-        for (const nodeData of command.nodes) {
-          this.nodeManager.create(nodeData.shapeType, nodeData, {
-            silent: true,
-          });
-        }
-        break;
-
-      case "edit-node":
-        this.nodeManager.update(command.nodeId, command.from, { silent: true });
-        break;
+  _nodeElement(nodeId) {
+    if (!this.nodeView || !nodeId) {
+      return null;
     }
+
+    return this.editor
+      .getLayer("content")
+      .querySelector(`[data-node-id="${nodeId}"]`);
   }
 
   /**
-   * Execute redo
+   * Handle history changed event
    *
    * @private
    */
-  _executeRedo(command) {
-    switch (command.type) {
-      case "move":
-        this.nodeManager.move(command.nodeId, command.to.x, command.to.y, {
-          silent: true,
-        });
-        break;
+  _onHistoryChanged(e) {
+    this.history = { canUndo: e.canUndo, canRedo: e.canRedo };
+  }
 
-      case "delete-nodes":
-        for (const nodeData of command.nodes) {
-          this.nodeManager.delete(nodeData.id, { silent: true });
-        }
-        break;
+  /**
+   * Undo the last action (of any kind, not just node edits)
+   *
+   * @example
+   * controller.undo();
+   */
+  undo() {
+    this.eventBus.emit("command:undo");
+    this.eventBus.emit("controller:undo");
+  }
 
-      case "edit-node":
-        this.nodeManager.update(command.nodeId, command.to, { silent: true });
-        break;
-    }
+  /**
+   * Redo the last undone action
+   *
+   * @example
+   * controller.redo();
+   */
+  redo() {
+    this.eventBus.emit("command:redo");
+    this.eventBus.emit("controller:redo");
   }
 
   /**
@@ -840,7 +1084,7 @@ class NodeController {
    * }
    */
   canUndo() {
-    return this.commandIndex >= 0;
+    return this.history.canUndo;
   }
 
   /**
@@ -854,7 +1098,7 @@ class NodeController {
    * }
    */
   canRedo() {
-    return this.commandIndex < this.commandHistory.length - 1;
+    return this.history.canRedo;
   }
 
   /**
@@ -867,8 +1111,6 @@ class NodeController {
       isDragging: this.dragState.isDragging,
       draggedNodeId: this.dragState.nodeId,
       creationMode: this.creationMode,
-      commandHistorySize: this.commandHistory.length,
-      commandIndex: this.commandIndex,
       canUndo: this.canUndo(),
       canRedo: this.canRedo(),
     };
@@ -882,8 +1124,6 @@ class NodeController {
     console.log("========== NodeController Debug Info ==========");
     console.log(`Dragging: ${info.isDragging} (${info.draggedNodeId})`);
     console.log(`Creation Mode: ${info.creationMode || "none"}`);
-    console.log(`Command History: ${info.commandHistorySize} commands`);
-    console.log(`Current Index: ${info.commandIndex}`);
     console.log(`Can Undo: ${info.canUndo}`);
     console.log(`Can Redo: ${info.canRedo}`);
     console.log("=".repeat(44));
@@ -0,0 +1,65 @@
+/**
+ * CommandBus.js - Reports applied changes to HistoryManager
+ *
+ * The sending side of the command bus that HistoryManager listens to.
+ * Managers and controllers hold one instead of emitting command:* events
+ * themselves, so every batch is closed even when its work throws.
+ *
+ * DEPENDENCIES: EventBus
+ *
+ * @module core/events/CommandBus
+ *
+ * @example
+ * const commands = new CommandBus(eventBus);
+ * commands.batch("Delete Nodes", () => {
+ *   commands.record(new DeleteNodeCommand(manager, nodeId, data));
+ * });
+ */
+
+class CommandBus {
+  /**
+   * @param {EventBus} eventBus - Bus HistoryManager listens on
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  /**
+   * Report an applied change
+   *
+   * @param {Object} command - Applied command with undo() and redo()
+   */
+  record(command) {
+    this.eventBus.emit("command:record", { command });
+  }
+
+  /**
+   * Report a change unless it left everything as it was
+   *
+   * @param {Object} command - Applied command with isNoop()
+   */
+  recordChange(command) {
+    if (!command.isNoop()) {
+      this.record(command);
+    }
+  }
+
+  /**
+   * Run a function with everything it records as one undo step
+   *
+   * @param {string} name - Name of the undo step
+   * @param {Function} fn - Work to group
+   * @returns {*} What fn returns
+   */
+  batch(name, fn) {
+    this.eventBus.emit("command:batch:begin", { name });
+    try {
+      return fn();
+    } finally {
+      this.eventBus.emit("command:batch:end");
+    }
+  }
+}
+
+// Export for use in other modules
+export { CommandBus };
@@ -15,3 +15,4 @@
  */
 
 export { EventBus } from "./EventBus.js";
+export { CommandBus } from "./CommandBus.js";
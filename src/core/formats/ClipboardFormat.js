@@ -0,0 +1,373 @@
+/**
+ * ClipboardFormat.js - Representations of copied shapes for other apps
+ *
+ * Responsibilities:
+ * - Write and read the editor's own clipboard payload (JSON), also when it
+ *   travels inside text/html
+ * - Turn a copied fragment into plain text: labels in graph order
+ * - Recognise pasted text (Mermaid, DOT or plain lines) and turn plain
+ *   lines and pictures into fragments
+ * - Read picture sizes from PNG and SVG data without decoding them
+ *
+ * A fragment is { nodes, edges } with serialized models, as ClipboardManager
+ * keeps them.
+ *
+ * @module core/formats/ClipboardFormat
+ */
+
+/**
+ * Marks the editor's own payload
+ */
+export const CLIPBOARD_TYPE = "flowchart-editor-clipboard";
+
+/**
+ * Custom clipboard type for the payload, where the browser allows one
+ */
+export const CLIPBOARD_MIME = "web application/vnd.flowchart-editor+json";
+
+// HTML attribute carrying the payload, so it survives apps that keep HTML
+const HTML_ATTRIBUTE = "data-flowchart-clipboard";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const DEFAULT_LINE_OPTIONS = {
+  type: "process",
+  width: 120,
+  height: 60,
+  gap: 40,
+};
+
+export class ClipboardFormat {
+  /**
+   * Serialize a fragment as the editor's payload
+   * @param {Object} fragment - { nodes, edges }
+   * @param {number} [timestamp] - When it was copied
+   * @returns {string}
+   */
+  static serialize(fragment, timestamp = Date.now()) {
+    return JSON.stringify({
+      type: CLIPBOARD_TYPE,
+      version: "1.0",
+      nodes: fragment.nodes || [],
+      edges: fragment.edges || [],
+      timestamp,
+    });
+  }
+
+  /**
+   * Read the editor's payload
+   * @param {string} text - Clipboard text
+   * @returns {Object|null} - { nodes, edges, timestamp }, or null if the
+   *                          text is something else
+   */
+  static parse(text) {
+    if (typeof text !== "string" || !text.trim().startsWith("{")) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(text);
+      if (!data || data.type !== CLIPBOARD_TYPE) return null;
+      return {
+        nodes: Array.isArray(data.nodes) ? data.nodes : [],
+        edges: Array.isArray(data.edges) ? data.edges : [],
+        timestamp: data.timestamp || null,
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Node labels in graph order, one per line: nodes nothing points to
+   * first, then each node after the ones leading to it; ties (and cycles)
+   * go top to bottom, left to right. Nodes without a label are skipped.
+   * @param {Object} fragment - { nodes, edges }
+   * @returns {string}
+   */
+  static toText(fragment) {
+    return ClipboardFormat.graphOrder(fragment)
+      .map((node) => (node.label || "").trim())
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * Nodes in graph order (see toText)
+   * @param {Object} fragment - { nodes, edges }
+   * @returns {Array<Object>}
+   */
+  static graphOrder(fragment) {
+    const nodes = fragment.nodes || [];
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const incoming = new Map(nodes.map((node) => [node.id, 0]));
+    const outgoing = new Map(nodes.map((node) => [node.id, []]));
+
+    (fragment.edges || []).forEach((edge) => {
+      if (
+        !byId.has(edge.sourceId) ||
+        !byId.has(edge.targetId) ||
+        edge.sourceId === edge.targetId
+      ) {
+        return;
+      }
+      outgoing.get(edge.sourceId).push(edge.targetId);
+      incoming.set(edge.targetId, incoming.get(edge.targetId) + 1);
+    });
+
+    const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+    const remaining = new Set(nodes.map((node) => node.id));
+    const order = [];
+
+    while (remaining.size > 0) {
+      const candidates = Array.from(remaining).map((id) => byId.get(id));
+      const ready = candidates.filter((node) => incoming.get(node.id) === 0);
+      // In a cycle nothing is ready; break it at the topmost node
+      const next = (ready.length > 0 ? ready : candidates).sort(byPosition)[0];
+
+      remaining.delete(next.id);
+      order.push(next);
+      outgoing.get(next.id).forEach((targetId) => {
+        incoming.set(targetId, incoming.get(targetId) - 1);
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * HTML for rich-text apps: the labels as a list, with the payload in an
+   * attribute for pasting back into an editor
+   * @param {Object} fragment - { nodes, edges }
+   * @param {string} payload - serialize() output
+   * @returns {string}
+   */
+  static toHTML(fragment, payload) {
+    const items = ClipboardFormat.toText(fragment)
+      .split("\n")
+      .filter(Boolean)
+      .map((label) => `<li>${escapeHTML(label)}</li>`)
+      .join("");
+
+    return (
+      `<meta charset="utf-8"><div ${HTML_ATTRIBUTE}="${escapeHTML(payload)}">` +
+      (items ? `<ol>${items}</ol>` : "") +
+      "</div>"
+    );
+  }
+
+  /**
+   * Find the payload in HTML written by toHTML()
+   * @param {string} html
+   * @returns {string|null} - Payload text
+   */
+  static fromHTML(html) {
+    const match = new RegExp(`${HTML_ATTRIBUTE}="([^"]*)"`).exec(
+      String(html || "")
+    );
+    return match ? unescapeHTML(match[1]) : null;
+  }
+
+  /**
+   * What kind of text was pasted
+   * @param {string} text
+   * @returns {string} - 'mermaid', 'dot' or 'lines'
+   */
+  static detectText(text) {
+    const first = String(text)
+      .split(/\r?\n/)
+      .map((line) => line.replace(/%%.*$/, "").trim())
+      .find(Boolean);
+
+    if (!first) return "lines";
+    if (/^(flowchart|graph)(\s+(TD|TB|BT|LR|RL))?\s*;?$/i.test(first)) {
+      return "mermaid";
+    }
+    if (/^(strict\s+)?(di)?graph\b[^{]*\{/i.test(first)) {
+      return "dot";
+    }
+    return "lines";
+  }
+
+  /**
+   * One node per non-empty line, stacked top to bottom from (0, 0)
+   * @param {string} text
+   * @param {Object} [options] - { type='process', width=120, height=60,
+   *                             gap=40 }
+   * @returns {Object} - { nodes, edges }
+   */
+  static linesToFragment(text, options = {}) {
+    const { type, width, height, gap } = {
+      ...DEFAULT_LINE_OPTIONS,
+      ...options,
+    };
+
+    const nodes = String(text)
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((label, index) => ({
+        id: `line-${index + 1}`,
+        type,
+        x: 0,
+        y: index * (height + gap),
+        width,
+        height,
+        label,
+      }));
+
+    return { nodes, edges: [] };
+  }
+
+  /**
+   * A fragment with one image node at (0, 0)
+   * @param {string} url - Image URL, usually a data: URL
+   * @param {Object|null} size - Natural {width, height}, if known
+   * @param {number} [maxSize=400] - Longest side of the node
+   * @returns {Object} - { nodes, edges }
+   */
+  static imageFragment(url, size, maxSize = 400) {
+    const natural = size || { width: 160, height: 120 };
+    const scale = Math.min(
+      1,
+      maxSize / Math.max(natural.width, natural.height, 1)
+    );
+
+    return {
+      nodes: [
+        {
+          id: "image",
+          type: "image",
+          x: 0,
+          y: 0,
+          width: Math.max(1, Math.round(natural.width * scale)),
+          height: Math.max(1, Math.round(natural.height * scale)),
+          label: "",
+          style: { imageUrl: url },
+        },
+      ],
+      edges: [],
+    };
+  }
+
+  /**
+   * Size of a PNG from its header
+   * @param {Uint8Array} bytes - File contents (the first 24 bytes will do)
+   * @returns {Object|null} - {width, height}
+   */
+  static pngSize(bytes) {
+    if (!bytes || bytes.length < 24) return null;
+    if (PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) return null;
+
+    const read = (offset) =>
+      ((bytes[offset] << 24) |
+        (bytes[offset + 1] << 16) |
+        (bytes[offset + 2] << 8) |
+        bytes[offset + 3]) >>>
+      0;
+    return { width: read(16), height: read(20) };
+  }
+
+  /**
+   * Size of an SVG from its width/height attributes, else its viewBox
+   * @param {string} text - SVG markup
+   * @returns {Object|null} - {width, height}
+   */
+  static svgSize(text) {
+    const tag = /<svg\b[^>]*>/i.exec(String(text || ""));
+    if (!tag) return null;
+
+    const attribute = (name) => {
+      const match = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i").exec(
+        tag[0]
+      );
+      return match ? match[1] : null;
+    };
+    const length = (value) =>
+      value && /^\s*[\d.]+\s*(px)?\s*$/.test(value) ? parseFloat(value) : null;
+
+    const width = length(attribute("width"));
+    const height = length(attribute("height"));
+    if (width && height) return { width, height };
+
+    const viewBox = (attribute("viewBox") || "")
+      .trim()
+      .split(/[\s,]+/)
+      .map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      return { width: viewBox[2], height: viewBox[3] };
+    }
+    return null;
+  }
+
+  /**
+   * data: URL for bytes or text
+   * @param {Uint8Array|string} data
+   * @param {string} mimeType
+   * @returns {string}
+   */
+  static toDataURL(data, mimeType) {
+    if (typeof data === "string") {
+      return `data:${mimeType};charset=utf-8,${encodeURIComponent(data)}`;
+    }
+
+    let binary = "";
+    const chunk = 0x8000;
+    for (let i = 0; i < data.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, data.subarray(i, i + chunk));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Move a fragment so its top-left corner is at a point
+   * @param {Object} fragment - { nodes, edges }
+   * @param {Object} point - {x, y}
+   * @returns {Object} - New fragment
+   */
+  static moveTo(fragment, point) {
+    const nodes = fragment.nodes || [];
+    if (nodes.length === 0) return { nodes: [], edges: fragment.edges || [] };
+
+    const dx = point.x - Math.min(...nodes.map((node) => node.x));
+    const dy = point.y - Math.min(...nodes.map((node) => node.y));
+
+    return {
+      nodes: nodes.map((node) => ({ ...node, x: node.x + dx, y: node.y + dy })),
+      edges: (fragment.edges || []).map((edge) =>
+        edge.waypoints
+          ? {
+              ...edge,
+              waypoints: edge.waypoints.map((p) => ({
+                x: p.x + dx,
+                y: p.y + dy,
+              })),
+            }
+          : edge
+      ),
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * @private
+ */
+function unescapeHTML(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#34;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
@@ -0,0 +1,967 @@
+/**
+ * CodeFormat.js - Pseudocode and JavaScript generation
+ *
+ * Recovers structured control flow from a flowchart document (the shape
+ * written by ExportManager.exportJSON) and prints it as pseudocode or as a
+ * runnable JavaScript function.
+ *
+ * Shape mapping:
+ * - process, preparation  -> statement; `x = expr` labels become
+ *                            assignments, metadata.code is used verbatim
+ * - decision              -> if/else, or the condition of a loop
+ * - manual-input, data    -> input/output; a leading verb (Read, Enter,
+ *                            Print, Display...) decides, otherwise
+ *                            manual-input reads and data writes
+ * - document              -> output
+ * - predefined-process    -> function call
+ * - terminator            -> beginning and end of the program
+ *
+ * Conditions come from metadata.condition or the decision label (without
+ * a trailing "?") in the syntax SimulationManager evaluates; branches are
+ * told apart by yes/no edge labels. Conditions that do not parse become
+ * ask("...") calls in JavaScript.
+ *
+ * Loops are found from back edges: a decision at the top of a loop makes a
+ * while loop, one at the bottom a repeat (do/while) loop. Charts that would
+ * need goto - jumping into a branch, leaving a loop other than through its
+ * condition - are reported as diagnostics naming the node at fault.
+ *
+ * @module core/formats/CodeFormat
+ */
+
+import { FormatUtils } from "./FormatUtils.js";
+import {
+  ExpressionEvaluator,
+  BINARY_PRECEDENCE,
+} from "../simulation/ExpressionEvaluator.js";
+
+const BRANCH_LABELS = {
+  true: ["yes", "true", "y"],
+  false: ["no", "false", "n"],
+};
+
+const INPUT_VERB_RE = /^\s*(input|read|enter|get)\b:?\s*/i;
+const OUTPUT_VERB_RE = /^\s*(output|print|display|write|show)\b:?\s*/i;
+const ASSIGNMENT_RE = /^\s*([A-Za-z_$][\w$]*)\s*(?:=|:=|<-|←)\s*(.+)$/;
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+// Loose comparisons print as strict ones, as the simulation evaluates them
+const JS_OPERATORS = { "==": "===", "!=": "!==" };
+
+// Names generated functions must not take
+const RESERVED_NAMES = new Set(
+  (
+    "break case catch class const continue debugger default delete do else " +
+    "export extends finally for function if import in instanceof let new " +
+    "return super switch this throw try typeof var void while with yield " +
+    "input output ask"
+  ).split(" ")
+);
+
+// Virtual node after every node without outgoing edges
+const EXIT = "\0exit";
+
+export class CodeFormat {
+  /**
+   * Recover the program structure of a document
+   *
+   * Diagnostics are { severity: 'error' | 'warning', nodeId, message };
+   * program is null when there are errors.
+   *
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @returns {Object} - { program, diagnostics }
+   */
+  static analyze(document) {
+    const graph = CodeFormat._graph(document);
+    const diagnostics = [];
+    const report = (severity) => (nodeId, message) =>
+      diagnostics.push({ severity, nodeId, message });
+    const error = report("error");
+    const warn = report("warning");
+
+    const startId = CodeFormat._findStart(graph, warn);
+    if (!startId) {
+      error(null, "No start node: add a terminator labelled Start");
+      return { program: null, diagnostics };
+    }
+
+    const { reachable, backEdges } = CodeFormat._search(graph, startId);
+    graph.nodes.forEach((node) => {
+      if (!reachable.has(node.id)) {
+        warn(
+          node.id,
+          `${CodeFormat._describe(node)} cannot be reached from the start ` +
+            "and was left out"
+        );
+      }
+    });
+
+    reachable.forEach((id) => {
+      const node = graph.nodes.get(id);
+      const count = graph.outgoing.get(id).length;
+      if (node.type === "decision") {
+        if (count !== 2) {
+          error(
+            id,
+            `Decision ${CodeFormat._describe(node)} needs exactly two ` +
+              `outgoing edges (has ${count})`
+          );
+        } else {
+          const { edges, labelled } = CodeFormat._branches(graph, id);
+          if (!labelled) {
+            warn(
+              id,
+              `Branches of ${CodeFormat._describe(node)} are not labelled ` +
+                `yes/no; the one to ${edges[0].targetId} is taken as yes`
+            );
+          }
+        }
+      } else if (count > 1) {
+        error(
+          id,
+          `${CodeFormat._describe(node)} has ${count} outgoing edges; ` +
+            "only a decision can branch"
+        );
+      }
+    });
+
+    const loops = new Map();
+    const byHeader = new Map();
+    backEdges.forEach((edge) => {
+      if (!byHeader.has(edge.targetId)) byHeader.set(edge.targetId, []);
+      byHeader.get(edge.targetId).push(edge);
+    });
+    byHeader.forEach((edges, headerId) => {
+      if (edges.length > 1) {
+        error(
+          headerId,
+          `${CodeFormat._describe(graph.nodes.get(headerId))} is looped ` +
+            `back to from ${edges.length} places; join them so the loop ` +
+            "has one end"
+        );
+        return;
+      }
+      const loop = CodeFormat._loop(graph, reachable, edges[0], error);
+      if (loop) loops.set(headerId, loop);
+    });
+
+    if (diagnostics.some((d) => d.severity === "error")) {
+      return { program: null, diagnostics };
+    }
+
+    const pdom = CodeFormat._postDominators(graph, reachable);
+    const context = {
+      graph,
+      loops,
+      placed: new Set(),
+      open: new Set(),
+      failed: false,
+      merge: (id) => CodeFormat._immediate(pdom, id),
+      fail: (id, message) => {
+        error(id, message);
+        context.failed = true;
+      },
+    };
+    const body = CodeFormat._sequence(context, startId, null);
+
+    return {
+      program: context.failed ? null : { startId, body },
+      diagnostics,
+    };
+  }
+
+  /**
+   * Generate pseudocode
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options
+   * @param {string} [options.indent='  '] - Indentation per nesting level
+   * @returns {string}
+   * @throws {Error} If the flowchart cannot be structured; the error's
+   *                 diagnostics property lists the problems
+   */
+  static toPseudocode(document, options = {}) {
+    const program = CodeFormat._program(document);
+    const indent = options.indent !== undefined ? options.indent : "  ";
+
+    const lines = ["BEGIN"];
+    CodeFormat._writePseudocode(program.body, 1, indent, lines);
+    lines.push("END");
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Generate JavaScript
+   *
+   * The program is a function taking { input(name), output(value),
+   * ask(question) }. Predefined processes get empty functions to fill in.
+   *
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options
+   * @param {string} [options.functionName='main'] - Name of the program
+   * @param {boolean} [options.invoke=true] - Call it with prompt/console
+   * @param {string} [options.indent='  '] - Indentation per nesting level
+   * @returns {string}
+   * @throws {Error} If the flowchart cannot be structured; the error's
+   *                 diagnostics property lists the problems
+   */
+  static toJavaScript(document, options = {}) {
+    const program = CodeFormat._program(document);
+    const name = options.functionName || "main";
+    const indent = options.indent !== undefined ? options.indent : "  ";
+    const context = {
+      indent,
+      variables: new Set(),
+      functions: new Map(), // name -> label
+      reserved: new Set([...RESERVED_NAMES, name]),
+    };
+
+    const body = [];
+    CodeFormat._writeJavaScript(program.body, 1, context, body);
+
+    const lines = [];
+    context.functions.forEach((label, fn) => {
+      lines.push(`function ${fn}() {`, `${indent}// TODO: ${label}`, "}", "");
+    });
+    lines.push(`function ${name}({ input, output, ask }) {`);
+    const variables = [...context.variables].filter(
+      (variable) => !context.reserved.has(variable)
+    );
+    if (variables.length > 0) {
+      lines.push(`${indent}let ${variables.join(", ")};`);
+      if (body.length > 0) lines.push("");
+    }
+    lines.push(...body, "}");
+
+    if (options.invoke !== false) {
+      const pad = (depth) => indent.repeat(depth);
+      lines.push(
+        "",
+        `${name}({`,
+        `${pad(1)}input: (name) => {`,
+        `${pad(2)}const value = prompt(name);`,
+        `${pad(
+          2
+        )}return value !== null && value.trim() !== "" && !isNaN(value)`,
+        `${pad(3)}? Number(value)`,
+        `${pad(3)}: value;`,
+        `${pad(1)}},`,
+        `${pad(1)}output: (value) => console.log(value),`,
+        `${pad(1)}ask: (question) => confirm(question),`,
+        "});"
+      );
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Analyze a document and throw on errors
+   * @private
+   */
+  static _program(document) {
+    const { program, diagnostics } = CodeFormat.analyze(document);
+    if (program) return program;
+
+    const errors = diagnostics.filter((d) => d.severity === "error");
+    const error = new Error(
+      "Flowchart cannot be turned into code:\n" +
+        errors.map((d) => `- ${d.message}`).join("\n")
+    );
+    error.diagnostics = diagnostics;
+    throw error;
+  }
+
+  /**
+   * Index nodes and edges, leaving out containers
+   * @private
+   */
+  static _graph(document) {
+    const nodes = new Map();
+    (document.nodes || []).forEach((node) => {
+      if (!FormatUtils.isContainerType(node.type)) nodes.set(node.id, node);
+    });
+
+    const outgoing = new Map();
+    const incoming = new Map();
+    nodes.forEach((_, id) => {
+      outgoing.set(id, []);
+      incoming.set(id, []);
+    });
+    (document.edges || []).forEach((edge) => {
+      if (!nodes.has(edge.sourceId) || !nodes.has(edge.targetId)) return;
+      outgoing.get(edge.sourceId).push(edge);
+      incoming.get(edge.targetId).push(edge);
+    });
+
+    return { nodes, outgoing, incoming };
+  }
+
+  /**
+   * Start terminator: labelled Start/Begin or with metadata.role 'start',
+   * else the only terminator without incoming edges
+   * @private
+   */
+  static _findStart(graph, warn) {
+    const terminators = [...graph.nodes.values()].filter(
+      (node) => node.type === "terminator"
+    );
+    let candidates = terminators.filter(
+      (node) =>
+        (node.metadata && node.metadata.role === "start") ||
+        /^\s*(start|begin)\s*$/i.test(node.label || "")
+    );
+    if (candidates.length === 0) {
+      candidates = terminators.filter(
+        (node) => graph.incoming.get(node.id).length === 0
+      );
+    }
+    if (candidates.length === 0) return null;
+
+    if (candidates.length > 1) {
+      warn(
+        candidates[0].id,
+        `Several start nodes; starting from ${CodeFormat._describe(
+          candidates[0]
+        )}`
+      );
+    }
+    return candidates[0].id;
+  }
+
+  /**
+   * Depth-first search from the start, collecting back edges
+   * @private
+   */
+  static _search(graph, startId) {
+    const state = new Map(); // id -> 'open' | 'done'
+    const backEdges = [];
+
+    const visit = (id) => {
+      state.set(id, "open");
+      graph.outgoing.get(id).forEach((edge) => {
+        const seen = state.get(edge.targetId);
+        if (seen === "open") {
+          backEdges.push(edge);
+        } else if (!seen) {
+          visit(edge.targetId);
+        }
+      });
+      state.set(id, "done");
+    };
+    visit(startId);
+
+    return { reachable: new Set(state.keys()), backEdges };
+  }
+
+  /**
+   * Describe the loop closed by a back edge, or report why it has no
+   * structured form
+   * @private
+   */
+  static _loop(graph, reachable, backEdge, error) {
+    const headerId = backEdge.targetId;
+    const latchId = backEdge.sourceId;
+    const header = graph.nodes.get(headerId);
+    const latch = graph.nodes.get(latchId);
+
+    // Loop nodes: reachable from the header and leading back to the latch
+    const forward = CodeFormat._walk(headerId, (id) =>
+      graph.outgoing.get(id).map((edge) => edge.targetId)
+    );
+    const nodes = CodeFormat._walk(latchId, (id) =>
+      id === headerId
+        ? []
+        : graph.incoming
+            .get(id)
+            .map((edge) => edge.sourceId)
+            .filter((sourceId) => forward.has(sourceId))
+    );
+    nodes.add(headerId);
+
+    for (const id of nodes) {
+      if (id === headerId) continue;
+      const entry = graph.incoming
+        .get(id)
+        .find(
+          (edge) => reachable.has(edge.sourceId) && !nodes.has(edge.sourceId)
+        );
+      if (entry) {
+        error(
+          entry.sourceId,
+          `${CodeFormat._describe(graph.nodes.get(entry.sourceId))} jumps ` +
+            `into the loop at ${CodeFormat._describe(header)}; a loop can ` +
+            "only be entered at its start"
+        );
+        return null;
+      }
+    }
+
+    const exits = [];
+    nodes.forEach((id) =>
+      graph.outgoing.get(id).forEach((edge) => {
+        if (!nodes.has(edge.targetId)) exits.push(edge);
+      })
+    );
+    const exitFrom = (node) =>
+      node.type === "decision" && graph.outgoing.get(node.id).length === 2
+        ? exits.find((edge) => edge.sourceId === node.id)
+        : null;
+
+    let kind = "while";
+    let exit = exitFrom(header);
+    if (!exit) {
+      kind = "repeat";
+      exit = exitFrom(latch);
+    }
+    if (!exit) {
+      error(
+        headerId,
+        `The loop at ${CodeFormat._describe(header)} never ends; give it ` +
+          "a decision at its start or end that leaves it"
+      );
+      return null;
+    }
+
+    const stray = exits.find((edge) => edge !== exit);
+    if (stray) {
+      error(
+        stray.sourceId,
+        `${CodeFormat._describe(graph.nodes.get(stray.sourceId))} leaves ` +
+          `the loop at ${CodeFormat._describe(header)}; only the loop's ` +
+          "condition can leave it"
+      );
+      return null;
+    }
+
+    const conditionId = exit.sourceId;
+    const [, no] = CodeFormat._branches(graph, conditionId).edges;
+    const stay = graph.outgoing.get(conditionId).find((edge) => edge !== exit);
+
+    return {
+      kind,
+      headerId,
+      latchId,
+      conditionId,
+      bodyId: stay.targetId,
+      exitId: exit.targetId,
+      negate: stay === no,
+    };
+  }
+
+  /**
+   * Nodes reachable from an id through a neighbour function
+   * @private
+   */
+  static _walk(fromId, neighbours) {
+    const seen = new Set();
+    const stack = [fromId];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...neighbours(id));
+    }
+    return seen;
+  }
+
+  /**
+   * Post-dominator sets of the reachable nodes
+   * @private
+   */
+  static _postDominators(graph, reachable) {
+    const ids = [...reachable].reverse();
+    const everything = new Set([...ids, EXIT]);
+    const pdom = new Map(ids.map((id) => [id, everything]));
+    pdom.set(EXIT, new Set([EXIT]));
+
+    const successors = (id) => {
+      const targets = graph.outgoing.get(id).map((edge) => edge.targetId);
+      return targets.length > 0 ? targets : [EXIT];
+    };
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      ids.forEach((id) => {
+        const sets = successors(id).map((s) => pdom.get(s));
+        const next = new Set([id]);
+        sets[0].forEach((candidate) => {
+          if (sets.every((set) => set.has(candidate))) next.add(candidate);
+        });
+        if (next.size !== pdom.get(id).size) {
+          pdom.set(id, next);
+          changed = true;
+        }
+      });
+    }
+    return pdom;
+  }
+
+  /**
+   * Nearest node every path from an id passes through (null for the end)
+   * @private
+   */
+  static _immediate(pdom, id) {
+    const own = pdom.get(id);
+    for (const candidate of own) {
+      if (candidate !== id && pdom.get(candidate).size === own.size - 1) {
+        return candidate === EXIT ? null : candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A decision's edges as [yes, no]
+   * @private
+   */
+  static _branches(graph, decisionId) {
+    const value = (edge) => {
+      const label = (edge.label || "").trim().toLowerCase();
+      if (BRANCH_LABELS.true.includes(label)) return true;
+      if (BRANCH_LABELS.false.includes(label)) return false;
+      return null;
+    };
+
+    const [first, second] = graph.outgoing.get(decisionId);
+    const edges =
+      value(first) === false || value(second) === true
+        ? [second, first]
+        : [first, second];
+    const labelled =
+      value(edges[0]) !== false &&
+      value(edges[1]) !== true &&
+      (value(edges[0]) === true || value(edges[1]) === false);
+
+    return { edges, labelled };
+  }
+
+  /**
+   * Structure the nodes from an id up to (not including) a stop id
+   * @private
+   */
+  static _sequence(context, fromId, stopId) {
+    const { graph } = context;
+    const steps = [];
+    let id = fromId;
+
+    while (id !== null && id !== stopId && !context.failed) {
+      const node = graph.nodes.get(id);
+      if (context.placed.has(id)) {
+        context.fail(
+          id,
+          `${CodeFormat._describe(node)} is reached from more than one ` +
+            "branch without them joining first; it would need a goto"
+        );
+        break;
+      }
+
+      const loop = context.loops.get(id);
+      if (loop && !context.open.has(id)) {
+        context.open.add(id);
+        steps.push(CodeFormat._loopStep(context, loop));
+        id = loop.exitId;
+        continue;
+      }
+
+      context.placed.add(id);
+      const edges = graph.outgoing.get(id);
+
+      if (node.type === "decision") {
+        const [yes, no] = CodeFormat._branches(graph, id).edges;
+        const mergeId = context.merge(id);
+        steps.push({
+          kind: "if",
+          node,
+          then: CodeFormat._sequence(context, yes.targetId, mergeId),
+          else: CodeFormat._sequence(context, no.targetId, mergeId),
+        });
+        id = mergeId;
+        continue;
+      }
+
+      const step = CodeFormat._step(node);
+      if (step) steps.push(step);
+      id = edges.length > 0 ? edges[0].targetId : null;
+    }
+
+    return steps;
+  }
+
+  /**
+   * Structure a loop
+   * @private
+   */
+  static _loopStep(context, loop) {
+    const condition = context.graph.nodes.get(loop.conditionId);
+
+    if (loop.kind === "while") {
+      context.placed.add(loop.headerId);
+      return {
+        kind: "while",
+        node: condition,
+        negate: loop.negate,
+        body: CodeFormat._sequence(context, loop.bodyId, loop.headerId),
+      };
+    }
+
+    const body = CodeFormat._sequence(context, loop.headerId, loop.latchId);
+    context.placed.add(loop.latchId);
+    return { kind: "repeat", node: condition, negate: loop.negate, body };
+  }
+
+  /**
+   * Step for a node that does not branch
+   * @private
+   */
+  static _step(node) {
+    switch (node.type) {
+      case "terminator":
+        return null;
+      case "predefined-process":
+        return { kind: "call", node };
+      case "manual-input":
+      case "data":
+      case "document":
+        return { kind: CodeFormat._ioKind(node), node };
+      default:
+        return { kind: "statement", node };
+    }
+  }
+
+  /**
+   * 'input' or 'output' for an input/output shape
+   * @private
+   */
+  static _ioKind(node) {
+    const text = CodeFormat._text(node);
+    if (INPUT_VERB_RE.test(text)) return "input";
+    if (OUTPUT_VERB_RE.test(text)) return "output";
+    return node.type === "manual-input" ? "input" : "output";
+  }
+
+  /**
+   * Write steps as pseudocode
+   * @private
+   */
+  static _writePseudocode(steps, depth, indent, lines) {
+    const pad = indent.repeat(depth);
+    const condition = (node, negate) => {
+      const text = CodeFormat._condition(node);
+      return negate ? `NOT (${text})` : text;
+    };
+
+    steps.forEach((step) => {
+      const text = CodeFormat._text(step.node);
+      switch (step.kind) {
+        case "statement":
+          lines.push(`${pad}${text}`);
+          break;
+        case "input":
+          lines.push(`${pad}INPUT ${text.replace(INPUT_VERB_RE, "")}`);
+          break;
+        case "output":
+          lines.push(`${pad}OUTPUT ${text.replace(OUTPUT_VERB_RE, "")}`);
+          break;
+        case "call":
+          lines.push(`${pad}CALL ${text}`);
+          break;
+        case "if": {
+          let branch = CodeFormat._ifChain(step);
+          lines.push(`${pad}IF ${condition(step.node, branch.negate)} THEN`);
+          for (;;) {
+            CodeFormat._writePseudocode(branch.then, depth + 1, indent, lines);
+            if (branch.else.length === 0) break;
+            const next = CodeFormat._elseIf(branch);
+            if (next) {
+              lines.push(
+                `${pad}ELSE IF ${condition(next.node, next.negate)} THEN`
+              );
+              branch = next;
+            } else {
+              lines.push(`${pad}ELSE`);
+              CodeFormat._writePseudocode(
+                branch.else,
+                depth + 1,
+                indent,
+                lines
+              );
+              break;
+            }
+          }
+          lines.push(`${pad}END IF`);
+          break;
+        }
+        case "while":
+          lines.push(`${pad}WHILE ${condition(step.node, step.negate)} DO`);
+          CodeFormat._writePseudocode(step.body, depth + 1, indent, lines);
+          lines.push(`${pad}END WHILE`);
+          break;
+        case "repeat":
+          lines.push(`${pad}REPEAT`);
+          CodeFormat._writePseudocode(step.body, depth + 1, indent, lines);
+          // UNTIL takes the condition for leaving
+          lines.push(`${pad}UNTIL ${condition(step.node, !step.negate)}`);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Write steps as JavaScript
+   * @private
+   */
+  static _writeJavaScript(steps, depth, context, lines) {
+    const pad = context.indent.repeat(depth);
+    const condition = (node, negate) =>
+      CodeFormat._jsCondition(node, negate, context);
+
+    steps.forEach((step) => {
+      const text = CodeFormat._text(step.node);
+      switch (step.kind) {
+        case "statement":
+          lines.push(`${pad}${CodeFormat._jsStatement(step.node, context)}`);
+          break;
+        case "input": {
+          const rest = text.replace(INPUT_VERB_RE, "");
+          const names = rest.split(/\s*,\s*|\s+and\s+/);
+          if (names.every((name) => IDENTIFIER_RE.test(name))) {
+            names.forEach((name) => {
+              context.variables.add(name);
+              lines.push(`${pad}${name} = input(${JSON.stringify(name)});`);
+            });
+          } else {
+            lines.push(`${pad}input(${JSON.stringify(rest)});`);
+          }
+          break;
+        }
+        case "output": {
+          const rest = text.replace(OUTPUT_VERB_RE, "");
+          const value = CodeFormat._jsExpression(rest, context);
+          lines.push(`${pad}output(${value || JSON.stringify(rest)});`);
+          break;
+        }
+        case "call": {
+          const name = CodeFormat._functionName(step.node, context);
+          if (!context.functions.has(name)) context.functions.set(name, text);
+          lines.push(`${pad}${name}();`);
+          break;
+        }
+        case "if": {
+          let branch = CodeFormat._ifChain(step);
+          lines.push(`${pad}if (${condition(step.node, branch.negate)}) {`);
+          for (;;) {
+            CodeFormat._writeJavaScript(branch.then, depth + 1, context, lines);
+            if (branch.else.length === 0) break;
+            const next = CodeFormat._elseIf(branch);
+            if (next) {
+              lines.push(
+                `${pad}} else if (${condition(next.node, next.negate)}) {`
+              );
+              branch = next;
+            } else {
+              lines.push(`${pad}} else {`);
+              CodeFormat._writeJavaScript(
+                branch.else,
+                depth + 1,
+                context,
+                lines
+              );
+              break;
+            }
+          }
+          lines.push(`${pad}}`);
+          break;
+        }
+        case "while":
+          lines.push(`${pad}while (${condition(step.node, step.negate)}) {`);
+          CodeFormat._writeJavaScript(step.body, depth + 1, context, lines);
+          lines.push(`${pad}}`);
+          break;
+        case "repeat":
+          lines.push(`${pad}do {`);
+          CodeFormat._writeJavaScript(step.body, depth + 1, context, lines);
+          lines.push(`${pad}} while (${condition(step.node, step.negate)});`);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * An if step with an empty then-branch flipped, so it prints without
+   * an empty block
+   * @private
+   */
+  static _ifChain(step) {
+    if (step.then.length === 0 && step.else.length > 0) {
+      return { node: step.node, negate: true, then: step.else, else: [] };
+    }
+    return { node: step.node, negate: false, then: step.then, else: step.else };
+  }
+
+  /**
+   * The if an else-branch consists of, for ELSE IF chains
+   * @private
+   */
+  static _elseIf(branch) {
+    const [only] = branch.else;
+    if (branch.else.length !== 1 || only.kind !== "if") return null;
+    return CodeFormat._ifChain(only);
+  }
+
+  /**
+   * JavaScript for a statement
+   * @private
+   */
+  static _jsStatement(node, context) {
+    const code = node.metadata && node.metadata.code;
+    if (code) {
+      const trimmed = String(code).trim();
+      return /[;}]$/.test(trimmed) ? trimmed : `${trimmed};`;
+    }
+
+    const text = CodeFormat._text(node);
+    const assignment = ASSIGNMENT_RE.exec(text);
+    if (assignment) {
+      const value = CodeFormat._jsExpression(assignment[2], context);
+      if (value) {
+        context.variables.add(assignment[1]);
+        return `${assignment[1]} = ${value};`;
+      }
+    }
+    return `// ${text}`;
+  }
+
+  /**
+   * JavaScript for a decision's condition
+   * @private
+   */
+  static _jsCondition(node, negate, context) {
+    const source = CodeFormat._condition(node);
+    let tree = null;
+    try {
+      tree = ExpressionEvaluator.parse(source);
+    } catch (error) {
+      const question = JSON.stringify(CodeFormat._text(node) || source);
+      return `${negate ? "!" : ""}ask(${question})`;
+    }
+
+    const value = CodeFormat._printExpression(tree, context.variables);
+    return negate
+      ? tree.type === "binary"
+        ? `!(${value})`
+        : `!${value}`
+      : value;
+  }
+
+  /**
+   * JavaScript for an expression, or null if it does not parse
+   * @private
+   */
+  static _jsExpression(source, context) {
+    try {
+      return CodeFormat._printExpression(
+        ExpressionEvaluator.parse(source),
+        context.variables
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Print an ExpressionEvaluator tree, collecting the variables it reads
+   * @private
+   */
+  static _printExpression(tree, variables) {
+    const print = (node) => CodeFormat._printExpression(node, variables);
+
+    switch (tree.type) {
+      case "literal":
+        return JSON.stringify(tree.value);
+      case "name":
+        variables.add(tree.path[0]);
+        return tree.path.join(".");
+      case "unary": {
+        const operand = print(tree.operand);
+        return tree.operand.type === "literal" || tree.operand.type === "name"
+          ? `${tree.operator}${operand}`
+          : `${tree.operator}(${operand})`;
+      }
+      case "binary": {
+        const precedence = BINARY_PRECEDENCE[tree.operator];
+        const wrap = (child, right) => {
+          const text = print(child);
+          const inner =
+            child.type === "binary" && BINARY_PRECEDENCE[child.operator];
+          return inner &&
+            (inner < precedence || (right && inner === precedence))
+            ? `(${text})`
+            : text;
+        };
+        const operator = JS_OPERATORS[tree.operator] || tree.operator;
+        return `${wrap(tree.left, false)} ${operator} ${wrap(
+          tree.right,
+          true
+        )}`;
+      }
+      default:
+        throw new Error(`Unknown expression node: ${tree.type}`);
+    }
+  }
+
+  /**
+   * Function name for a predefined process: metadata.function, else the
+   * label in camelCase
+   * @private
+   */
+  static _functionName(node, context) {
+    const declared = node.metadata && node.metadata.function;
+    if (declared && IDENTIFIER_RE.test(declared)) return declared;
+
+    const words = CodeFormat._text(node).match(/[A-Za-z0-9]+/g) || [];
+    let name = words
+      .map((word, i) =>
+        i === 0
+          ? word[0].toLowerCase() + word.slice(1)
+          : word[0].toUpperCase() + word.slice(1)
+      )
+      .join("");
+    if (!name) name = `step_${String(node.id).replace(/\W/g, "_")}`;
+    if (/^\d/.test(name)) name = `_${name}`;
+    return context.reserved.has(name) ? `${name}_` : name;
+  }
+
+  /**
+   * Condition text of a decision
+   * @private
+   */
+  static _condition(node) {
+    const condition = node.metadata && node.metadata.condition;
+    return condition
+      ? String(condition).trim()
+      : CodeFormat._text(node).replace(/\?+$/, "").trim();
+  }
+
+  /**
+   * Label on one line
+   * @private
+   */
+  static _text(node) {
+    return String(node.label || "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Node name for diagnostics
+   * @private
+   */
+  static _describe(node) {
+    const text = CodeFormat._text(node);
+    return text ? `"${text}" (${node.id})` : node.id;
+  }
+}
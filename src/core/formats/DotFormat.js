@@ -0,0 +1,1008 @@
+/**
+ * DotFormat.js - Graphviz DOT serializer and parser
+ *
+ * Converts between flowchart documents (the shape written by
+ * ExportManager.exportJSON) and Graphviz `digraph`/`graph` text.
+ *
+ * Shape mapping:
+ * - decision, diamond   <-> shape=diamond
+ * - process, rect       <-> shape=box
+ * - terminator          <-> shape=box, style=rounded
+ * - predefined-process  <-> shape=box, peripheries=2
+ * - ellipse / circle    <-> shape=ellipse / shape=circle
+ * - database            <-> shape=cylinder
+ * - note, document       -> shape=note (imported as note)
+ * - data                <-> shape=parallelogram
+ * - preparation         <-> shape=hexagon
+ * - manual-input        <-> shape=trapezium
+ *
+ * Clusters (`subgraph cluster_*`) map to group containers; their members
+ * name the cluster in parentId. Node positions are written to `pos` (points,
+ * y up, as Graphviz does) and read back when every node has one; otherwise
+ * imported nodes are placed by rank following `rankdir`.
+ *
+ * @module core/formats/DotFormat
+ */
+
+import { FormatUtils } from "./FormatUtils.js";
+
+// Shape type -> DOT node attributes used when exporting
+const EXPORT_SHAPES = {
+  decision: { shape: "diamond" },
+  diamond: { shape: "diamond" },
+  process: { shape: "box" },
+  rect: { shape: "box" },
+  terminator: { shape: "box", style: "rounded" },
+  "predefined-process": { shape: "box", peripheries: 2 },
+  ellipse: { shape: "ellipse" },
+  circle: { shape: "circle" },
+  database: { shape: "cylinder" },
+  note: { shape: "note" },
+  document: { shape: "note" },
+  data: { shape: "parallelogram" },
+  preparation: { shape: "hexagon" },
+  "manual-input": { shape: "trapezium" },
+  triangle: { shape: "triangle" },
+  star: { shape: "star" },
+  label: { shape: "plaintext" },
+};
+
+// DOT shape -> shape type used when importing
+const IMPORT_SHAPES = {
+  box: "process",
+  rect: "process",
+  rectangle: "process",
+  square: "process",
+  record: "process",
+  Mrecord: "process",
+  diamond: "decision",
+  ellipse: "ellipse",
+  oval: "ellipse",
+  circle: "circle",
+  doublecircle: "circle",
+  point: "circle",
+  cylinder: "database",
+  note: "note",
+  parallelogram: "data",
+  hexagon: "preparation",
+  trapezium: "manual-input",
+  invtrapezium: "manual-input",
+  triangle: "triangle",
+  star: "star",
+  plaintext: "label",
+  plain: "label",
+  none: "label",
+};
+
+const KEYWORDS = ["strict", "graph", "digraph", "node", "edge", "subgraph"];
+const PUNCTUATION = "{}[];,=:";
+const ID_RE =
+  /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/;
+const PLAIN_ID_RE = /^[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*$/;
+
+const POINTS_PER_INCH = 72;
+const DASHED = "5,5";
+const DOTTED = "2,4";
+
+const DEFAULT_EDGE_STYLE = {
+  stroke: "#000000",
+  strokeWidth: 2,
+  markerEnd: "url(#arrowhead)",
+};
+
+export class DotFormat {
+  /**
+   * Serialize a document to DOT text
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options
+   * @param {string} [options.name='flowchart'] - Graph name
+   * @param {string} [options.direction='TB'] - rankdir: 'TB', 'BT', 'LR', 'RL'
+   * @param {string} [options.indent='  '] - Indentation per nesting level
+   * @returns {string}
+   */
+  static serialize(document, options = {}) {
+    const name = options.name || "flowchart";
+    const direction = FormatUtils.normalizeDirection(options.direction);
+    const indent = options.indent !== undefined ? options.indent : "  ";
+    const nodes = document.nodes || [];
+    const edges = document.edges || [];
+
+    const parents = FormatUtils.findParents(nodes);
+    const children = new Map();
+    nodes.forEach((node) => {
+      const parentId = parents.get(node.id) || null;
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(node);
+    });
+
+    const lines = [
+      `digraph ${DotFormat._quote(name)} {`,
+      `${indent}rankdir=${direction};`,
+    ];
+
+    const writeNodes = (parentId, depth) => {
+      (children.get(parentId) || []).forEach((node) => {
+        const pad = indent.repeat(depth);
+        if (FormatUtils.isContainerType(node.type)) {
+          const id = /^cluster/.test(node.id) ? node.id : `cluster_${node.id}`;
+          lines.push(`${pad}subgraph ${DotFormat._quote(id)} {`);
+          Object.entries(DotFormat._clusterAttributes(node)).forEach(
+            ([key, value]) =>
+              lines.push(`${pad}${indent}${key}=${DotFormat._value(value)};`)
+          );
+          writeNodes(node.id, depth + 1);
+          lines.push(`${pad}}`);
+        } else {
+          lines.push(
+            `${pad}${DotFormat._quote(node.id)}${DotFormat._formatAttributes(
+              DotFormat._nodeAttributes(node)
+            )};`
+          );
+        }
+      });
+    };
+    writeNodes(null, 1);
+
+    const leafIds = new Set(
+      nodes.filter((n) => !FormatUtils.isContainerType(n.type)).map((n) => n.id)
+    );
+    edges.forEach((edge) => {
+      // DOT edges cannot end on a cluster
+      if (!leafIds.has(edge.sourceId) || !leafIds.has(edge.targetId)) return;
+
+      lines.push(
+        `${indent}${DotFormat._quote(edge.sourceId)} -> ${DotFormat._quote(
+          edge.targetId
+        )}${DotFormat._formatAttributes(DotFormat._edgeAttributes(edge))};`
+      );
+    });
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Parse DOT text into a document
+   *
+   * Only the first graph in the file is read. Unknown node shapes fall back
+   * to process and are listed in metadata.warnings; ports are ignored.
+   *
+   * @param {string} text - DOT source
+   * @param {Object} options
+   * @param {string} [options.clusterType='group'] - 'group' or 'swimlane'
+   * @returns {Object} - Document ready for ExportManager validation
+   * @throws {Error} If the text is not a valid DOT graph
+   */
+  static parse(text, options = {}) {
+    const tokens = DotFormat._tokenize(String(text));
+    const state = {
+      tokens,
+      index: 0,
+      nodes: new Map(), // id -> { node, attributes, line }
+      clusters: new Map(), // container id -> { node, attributes }
+      parentOf: new Map(), // node/container id -> cluster id
+      edges: [],
+      edgeKeys: new Set(),
+      warnings: [],
+      clusterType: options.clusterType || "group",
+      directed: true,
+      strict: false,
+      nextEdgeId: 1,
+    };
+
+    if (tokens.length === 0) {
+      throw new Error("DOT text is empty");
+    }
+
+    const root = DotFormat._parseGraph(state);
+
+    if (state.index < tokens.length) {
+      state.warnings.push({
+        line: tokens[state.index].line,
+        message: "Only the first graph in the file was imported",
+      });
+    }
+
+    const direction = FormatUtils.normalizeDirection(
+      root.graphAttributes.rankdir
+    );
+    const edgeType = DotFormat._mapEdgeType(root.graphAttributes.splines);
+
+    const nodes = [];
+    state.clusters.forEach(({ node, attributes }) => {
+      Object.assign(node, DotFormat._mapClusterAttributes(attributes));
+      nodes.push(node);
+    });
+    state.nodes.forEach(({ node, attributes, line }) => {
+      Object.assign(
+        node,
+        DotFormat._mapNodeAttributes(node.id, attributes, line, state)
+      );
+      nodes.push(node);
+    });
+    state.parentOf.forEach((clusterId, id) => {
+      const member = state.nodes.has(id)
+        ? state.nodes.get(id).node
+        : state.clusters.get(id).node;
+      member.parentId = clusterId;
+    });
+    state.edges.forEach((edge) => {
+      edge.type = edgeType;
+    });
+
+    const leaves = nodes.filter((n) => !FormatUtils.isContainerType(n.type));
+    if (!DotFormat._applyPositions(leaves, state.nodes)) {
+      FormatUtils.placeNodes(leaves, state.edges, { direction });
+    }
+    FormatUtils.fitContainers(nodes);
+
+    return FormatUtils.createDocument(nodes, state.edges, {
+      source: "dot",
+      name: root.name,
+      direction,
+      warnings: state.warnings.sort((a, b) => a.line - b.line),
+    });
+  }
+
+  /**
+   * Split DOT source into tokens
+   * @private
+   */
+  static _tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    const error = (message) => {
+      throw new Error(`DOT line ${line}: ${message}`);
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+      const atLineStart = i === 0 || text[i - 1] === "\n";
+
+      if (char === "\n") {
+        line++;
+        i++;
+      } else if (/\s/.test(char)) {
+        i++;
+      } else if (char === "#" && atLineStart) {
+        // Preprocessor output lines
+        while (i < text.length && text[i] !== "\n") i++;
+      } else if (text.startsWith("//", i)) {
+        while (i < text.length && text[i] !== "\n") i++;
+      } else if (text.startsWith("/*", i)) {
+        const end = text.indexOf("*/", i + 2);
+        if (end === -1) error("unterminated comment");
+        line += (text.slice(i, end).match(/\n/g) || []).length;
+        i = end + 2;
+      } else if (text.startsWith("->", i) || text.startsWith("--", i)) {
+        tokens.push({ kind: "edgeop", value: text.slice(i, i + 2), line });
+        i += 2;
+      } else if (PUNCTUATION.includes(char)) {
+        tokens.push({ kind: char, value: char, line });
+        i++;
+      } else if (char === '"') {
+        const startLine = line;
+        let value = "";
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === "\\" && text[i + 1] === '"') {
+            value += '"';
+            i += 2;
+          } else if (text[i] === "\\" && text[i + 1] === "\n") {
+            line++;
+            i += 2;
+          } else {
+            if (text[i] === "\n") line++;
+            value += text[i++];
+          }
+        }
+        if (i >= text.length) error("unterminated string");
+        i++;
+
+        // "a" + "b" concatenation
+        const previous = tokens[tokens.length - 1];
+        if (previous && previous.kind === "+") {
+          tokens.pop();
+          tokens[tokens.length - 1].value += value;
+        } else {
+          tokens.push({ kind: "id", value, quoted: true, line: startLine });
+        }
+      } else if (char === "+") {
+        tokens.push({ kind: "+", value: char, line });
+        i++;
+      } else if (char === "<") {
+        let depth = 0;
+        let value = "";
+        do {
+          if (i >= text.length) error("unterminated HTML label");
+          if (text[i] === "<") depth++;
+          if (text[i] === ">") depth--;
+          if (text[i] === "\n") line++;
+          value += text[i++];
+        } while (depth > 0);
+        tokens.push({
+          kind: "id",
+          value: value.slice(1, -1),
+          html: true,
+          line,
+        });
+      } else {
+        const match = ID_RE.exec(text.slice(i, i + 256));
+        if (!match) error(`unexpected character "${char}"`);
+
+        const value = match[0];
+        const keyword = value.toLowerCase();
+        tokens.push(
+          KEYWORDS.includes(keyword)
+            ? { kind: keyword, value, line }
+            : { kind: "id", value, line }
+        );
+        i += value.length;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse "[strict] (graph|digraph) [id] { ... }"
+   * @private
+   */
+  static _parseGraph(state) {
+    if (DotFormat._peek(state, "strict")) {
+      state.strict = true;
+      state.index++;
+    }
+
+    const kind =
+      DotFormat._peek(state, "digraph") || DotFormat._peek(state, "graph");
+    if (!kind) {
+      DotFormat._fail(state, 'expected "digraph" or "graph"');
+    }
+    state.directed = kind.kind === "digraph";
+    state.index++;
+
+    const name = DotFormat._peek(state, "id")
+      ? state.tokens[state.index++].value
+      : "";
+    const scope = {
+      nodeDefaults: {},
+      edgeDefaults: {},
+      graphAttributes: {},
+      cluster: null,
+      collected: new Set(),
+    };
+
+    DotFormat._expect(state, "{");
+    DotFormat._parseStatements(state, scope);
+    DotFormat._expect(state, "}");
+
+    return { name, graphAttributes: scope.graphAttributes };
+  }
+
+  /**
+   * Parse statements until the closing brace
+   * @private
+   */
+  static _parseStatements(state, scope) {
+    while (state.index < state.tokens.length && !DotFormat._peek(state, "}")) {
+      DotFormat._parseStatement(state, scope);
+      if (DotFormat._peek(state, ";")) state.index++;
+    }
+  }
+
+  /**
+   * Parse a single statement
+   * @private
+   */
+  static _parseStatement(state, scope) {
+    const token = state.tokens[state.index];
+
+    // graph/node/edge [attributes]
+    if (["graph", "node", "edge"].includes(token.kind)) {
+      state.index++;
+      const attributes = DotFormat._parseAttributeLists(state);
+      const target = {
+        graph: scope.graphAttributes,
+        node: scope.nodeDefaults,
+        edge: scope.edgeDefaults,
+      }[token.kind];
+      Object.assign(target, attributes);
+      return;
+    }
+
+    // key = value
+    if (token.kind === "id" && DotFormat._peek(state, "=", 1)) {
+      scope.graphAttributes[token.value] = DotFormat._expectId(state, 2).value;
+      state.index += 3;
+      return;
+    }
+
+    let endpoint = DotFormat._parseEndpoint(state, scope);
+
+    if (!DotFormat._peek(state, "edgeop")) {
+      if (endpoint.node) {
+        DotFormat._declareNode(
+          endpoint.node,
+          DotFormat._parseAttributeLists(state),
+          scope,
+          token.line,
+          state
+        );
+      }
+      return;
+    }
+
+    // a -> b -> { c d } [attributes]
+    const chain = [endpoint];
+    while (DotFormat._peek(state, "edgeop")) {
+      const operator = state.tokens[state.index++];
+      if (state.directed !== (operator.value === "->")) {
+        DotFormat._fail(
+          state,
+          `"${operator.value}" is not allowed in a ${
+            state.directed ? "digraph" : "graph"
+          }`,
+          operator
+        );
+      }
+      endpoint = DotFormat._parseEndpoint(state, scope);
+      chain.push(endpoint);
+    }
+
+    const attributes = {
+      ...scope.edgeDefaults,
+      ...DotFormat._parseAttributeLists(state),
+    };
+    const idsOf = (item) => (item.node ? [item.node] : Array.from(item.nodes));
+
+    for (let i = 1; i < chain.length; i++) {
+      idsOf(chain[i - 1]).forEach((sourceId) => {
+        idsOf(chain[i]).forEach((targetId) => {
+          DotFormat._addEdge(sourceId, targetId, attributes, token.line, state);
+        });
+      });
+    }
+  }
+
+  /**
+   * Parse a node id (with optional port) or a subgraph
+   * @private
+   */
+  static _parseEndpoint(state, scope) {
+    if (DotFormat._peek(state, "subgraph") || DotFormat._peek(state, "{")) {
+      return { nodes: DotFormat._parseSubgraph(state, scope) };
+    }
+
+    const token = DotFormat._expectId(state);
+    state.index++;
+
+    // Ports (node:port:compass) are not mapped
+    while (DotFormat._peek(state, ":")) {
+      DotFormat._expectId(state, 1);
+      state.index += 2;
+    }
+
+    DotFormat._declareNode(token.value, null, scope, token.line, state);
+    return { node: token.value };
+  }
+
+  /**
+   * Parse "subgraph [id] { ... }" and return the ids it mentions
+   * @private
+   */
+  static _parseSubgraph(state, scope) {
+    let name = "";
+    if (DotFormat._peek(state, "subgraph")) {
+      state.index++;
+      if (DotFormat._peek(state, "id"))
+        name = state.tokens[state.index++].value;
+    }
+
+    const child = {
+      nodeDefaults: { ...scope.nodeDefaults },
+      edgeDefaults: { ...scope.edgeDefaults },
+      graphAttributes: {},
+      cluster: scope.cluster,
+      collected: new Set(),
+    };
+
+    if (/^cluster/.test(name) && !state.clusters.has(name)) {
+      state.clusters.set(name, {
+        node: {
+          id: name,
+          type: state.clusterType,
+          x: 0,
+          y: 0,
+          width: 200,
+          height: 150,
+          label: "",
+          style: {},
+          metadata: {},
+        },
+        attributes: child.graphAttributes,
+      });
+      if (scope.cluster) state.parentOf.set(name, scope.cluster);
+      child.cluster = name;
+    }
+
+    DotFormat._expect(state, "{");
+    DotFormat._parseStatements(state, child);
+    DotFormat._expect(state, "}");
+
+    child.collected.forEach((id) => scope.collected.add(id));
+    return child.collected;
+  }
+
+  /**
+   * Parse one or more "[key=value, ...]" lists
+   * @private
+   */
+  static _parseAttributeLists(state) {
+    const attributes = {};
+
+    while (DotFormat._peek(state, "[")) {
+      state.index++;
+      while (!DotFormat._peek(state, "]")) {
+        const key = DotFormat._expectId(state);
+        DotFormat._expect(state, "=", 1);
+        const value = DotFormat._expectId(state, 2);
+        attributes[key.value] = value.html
+          ? DotFormat._stripHTML(value.value)
+          : value.value;
+        state.index += 3;
+        if (DotFormat._peek(state, ",") || DotFormat._peek(state, ";")) {
+          state.index++;
+        }
+      }
+      state.index++;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Create or update a node
+   *
+   * A node belongs to the first cluster it is mentioned in, as in Graphviz.
+   *
+   * @private
+   */
+  static _declareNode(id, attributes, scope, line, state) {
+    let entry = state.nodes.get(id);
+
+    if (!entry) {
+      entry = {
+        node: {
+          id,
+          type: "ellipse",
+          x: 0,
+          y: 0,
+          width: 120,
+          height: 80,
+          label: id,
+          style: {},
+          metadata: {},
+        },
+        attributes: { ...scope.nodeDefaults },
+        line,
+      };
+      state.nodes.set(id, entry);
+    }
+
+    if (attributes) Object.assign(entry.attributes, attributes);
+    if (scope.cluster && !state.parentOf.has(id)) {
+      state.parentOf.set(id, scope.cluster);
+    }
+    scope.collected.add(id);
+  }
+
+  /**
+   * Add an edge from DOT attributes
+   * @private
+   */
+  static _addEdge(sourceId, targetId, attributes, line, state) {
+    if (sourceId === targetId) {
+      state.warnings.push({
+        line,
+        message: `Skipped self-loop on "${sourceId}"`,
+      });
+      return;
+    }
+
+    if (state.strict) {
+      const key = state.directed
+        ? `${sourceId}\u0000${targetId}`
+        : [sourceId, targetId].sort().join("\u0000");
+      if (state.edgeKeys.has(key)) return;
+      state.edgeKeys.add(key);
+    }
+
+    const label = attributes.label || attributes.xlabel || "";
+    state.edges.push({
+      id: attributes.id || `edge_${state.nextEdgeId++}`,
+      sourceId,
+      targetId,
+      type: "straight",
+      label: DotFormat._unescapeLabel(label, { N: "", E: "" }),
+      style: DotFormat._mapEdgeAttributes(attributes, state.directed),
+      metadata: {},
+    });
+  }
+
+  /**
+   * Map node attributes to type, label, size and style
+   * @private
+   */
+  static _mapNodeAttributes(id, attributes, line, state) {
+    const shape = attributes.shape || "ellipse";
+    const styles = DotFormat._styleList(attributes.style);
+    let type = IMPORT_SHAPES[shape];
+
+    if (!type) {
+      state.warnings.push({
+        line,
+        message: `Unsupported shape "${shape}" on "${id}" imported as process`,
+      });
+      type = "process";
+    } else if (type === "process" && styles.includes("rounded")) {
+      type = "terminator";
+    } else if (type === "process" && Number(attributes.peripheries) >= 2) {
+      type = "predefined-process";
+    }
+
+    const result = {
+      type,
+      label:
+        attributes.label !== undefined
+          ? DotFormat._unescapeLabel(attributes.label, { N: id })
+          : id,
+      style: DotFormat._mapColors(attributes, styles),
+    };
+
+    const width = parseFloat(attributes.width);
+    const height = parseFloat(attributes.height);
+    if (width > 0) result.width = Math.round(width * POINTS_PER_INCH);
+    if (height > 0) result.height = Math.round(height * POINTS_PER_INCH);
+    if (!(width > 0) && type === "circle") result.width = result.height || 80;
+
+    return result;
+  }
+
+  /**
+   * Map cluster graph attributes
+   * @private
+   */
+  static _mapClusterAttributes(attributes) {
+    return {
+      label: DotFormat._unescapeLabel(attributes.label || "", { N: "" }),
+      style: DotFormat._mapColors(
+        attributes,
+        DotFormat._styleList(attributes.style)
+      ),
+    };
+  }
+
+  /**
+   * Map fill, stroke and font colours shared by nodes and clusters
+   * @private
+   */
+  static _mapColors(attributes, styles) {
+    const style = {};
+    const color = DotFormat._firstColor(attributes.color);
+
+    if (styles.includes("filled")) {
+      style.fill =
+        DotFormat._firstColor(attributes.fillcolor) || color || "lightgrey";
+    }
+    if (color) style.stroke = color;
+    if (attributes.penwidth)
+      style.strokeWidth = parseFloat(attributes.penwidth);
+    if (attributes.fontcolor) style.color = attributes.fontcolor;
+
+    return style;
+  }
+
+  /**
+   * Map edge stroke and arrow attributes
+   * @private
+   */
+  static _mapEdgeAttributes(attributes, directed) {
+    const styles = DotFormat._styleList(attributes.style);
+    const style = { ...DEFAULT_EDGE_STYLE };
+
+    const color = DotFormat._firstColor(attributes.color);
+    if (color) style.stroke = color;
+    if (styles.includes("bold")) style.strokeWidth = 4;
+    if (attributes.penwidth)
+      style.strokeWidth = parseFloat(attributes.penwidth);
+    if (styles.includes("dashed")) style.strokeDasharray = DASHED;
+    if (styles.includes("dotted")) style.strokeDasharray = DOTTED;
+
+    const dir = attributes.dir || (directed ? "forward" : "none");
+    const head =
+      ["forward", "both"].includes(dir) && attributes.arrowhead !== "none";
+    const tail =
+      ["back", "both"].includes(dir) && attributes.arrowtail !== "none";
+
+    if (!head) style.markerEnd = "none";
+    if (tail) style.markerStart = "url(#arrowhead)";
+
+    return style;
+  }
+
+  /**
+   * Map the graph "splines" attribute to an edge type
+   * @private
+   */
+  static _mapEdgeType(splines) {
+    if (splines === "ortho") return "orthogonal";
+    if (["curved", "spline", "true"].includes(splines)) return "bezier";
+    return "straight";
+  }
+
+  /**
+   * Use "pos" attributes when every node has one
+   * @private
+   */
+  static _applyPositions(nodes, entries) {
+    const positions = nodes.map((node) => {
+      const pos = entries.get(node.id).attributes.pos;
+      const match = pos && /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/.exec(pos);
+      return match
+        ? { x: parseFloat(match[1]), y: parseFloat(match[2]) }
+        : null;
+    });
+    if (nodes.length === 0 || positions.includes(null)) return false;
+
+    // Graphviz positions are node centres with y pointing up
+    nodes.forEach((node, i) => {
+      node.x = positions[i].x - node.width / 2;
+      node.y = -positions[i].y - node.height / 2;
+    });
+
+    const minX = Math.min(...nodes.map((n) => n.x));
+    const minY = Math.min(...nodes.map((n) => n.y));
+    nodes.forEach((node) => {
+      if (minX < 0) node.x -= minX;
+      if (minY < 0) node.y -= minY;
+    });
+
+    return true;
+  }
+
+  /**
+   * Build DOT attributes for a node
+   * @private
+   */
+  static _nodeAttributes(node) {
+    const shape = EXPORT_SHAPES[node.type] || { shape: "box" };
+    const style = node.style || {};
+    const attributes = { label: node.label || "", shape: shape.shape };
+    const styles = shape.style ? [shape.style] : [];
+
+    if (shape.peripheries) attributes.peripheries = shape.peripheries;
+    if (style.fill && style.fill !== "none") {
+      styles.push("filled");
+      attributes.fillcolor = style.fill;
+    }
+    if (styles.length > 0) attributes.style = styles.join(",");
+    if (style.stroke) attributes.color = style.stroke;
+    if (style.strokeWidth) attributes.penwidth = style.strokeWidth;
+    if (style.color) attributes.fontcolor = style.color;
+
+    attributes.width = DotFormat._inches(node.width);
+    attributes.height = DotFormat._inches(node.height);
+    attributes.pos = `${DotFormat._round(
+      node.x + node.width / 2
+    )},${DotFormat._round(-(node.y + node.height / 2))}`;
+
+    return attributes;
+  }
+
+  /**
+   * Build DOT attributes for a cluster
+   * @private
+   */
+  static _clusterAttributes(node) {
+    const style = node.style || {};
+    const attributes = { label: node.label || "" };
+
+    if (style.fill && style.fill !== "none") {
+      attributes.style = "filled";
+      attributes.fillcolor = style.fill;
+    }
+    if (style.stroke) attributes.color = style.stroke;
+
+    return attributes;
+  }
+
+  /**
+   * Build DOT attributes for an edge
+   * @private
+   */
+  static _edgeAttributes(edge) {
+    const style = edge.style || {};
+    const attributes = { id: edge.id };
+
+    if (edge.label) attributes.label = edge.label;
+    if (style.strokeDasharray) {
+      attributes.style = style.strokeDasharray === DOTTED ? "dotted" : "dashed";
+    }
+    if (style.stroke && style.stroke !== DEFAULT_EDGE_STYLE.stroke) {
+      attributes.color = style.stroke;
+    }
+    if (
+      style.strokeWidth &&
+      style.strokeWidth !== DEFAULT_EDGE_STYLE.strokeWidth
+    ) {
+      attributes.penwidth = style.strokeWidth;
+    }
+
+    const head = style.markerEnd !== "none";
+    const tail = Boolean(style.markerStart) && style.markerStart !== "none";
+    if (head && tail) attributes.dir = "both";
+    else if (tail) attributes.dir = "back";
+    else if (!head) attributes.dir = "none";
+
+    return attributes;
+  }
+
+  /**
+   * Format "[key=value, ...]"
+   * @private
+   */
+  static _formatAttributes(attributes) {
+    const entries = Object.entries(attributes);
+    if (entries.length === 0) return "";
+    return ` [${entries
+      .map(([key, value]) => `${key}=${DotFormat._value(value)}`)
+      .join(", ")}]`;
+  }
+
+  /**
+   * Format an attribute value, quoting only when needed
+   * @private
+   */
+  static _value(value) {
+    const text = String(value);
+    if (typeof value === "number" || PLAIN_ID_RE.test(text)) {
+      return KEYWORDS.includes(text.toLowerCase())
+        ? DotFormat._quote(text)
+        : text;
+    }
+    return DotFormat._quote(text);
+  }
+
+  /**
+   * Quote an id or label, escaping characters DOT interprets
+   * @private
+   */
+  static _quote(text) {
+    return `"${String(text)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\r?\n/g, "\\n")}"`;
+  }
+
+  /**
+   * Decode label escapes (\n, \l, \r, \N...)
+   * @private
+   */
+  static _unescapeLabel(label, names) {
+    return String(label)
+      .replace(/\\([nlrNGE\\])/g, (_, code) => {
+        if ("nlr".includes(code)) return "\n";
+        if (code === "\\") return "\\";
+        return names[code] !== undefined ? names[code] : "";
+      })
+      .replace(/\n$/, "");
+  }
+
+  /**
+   * Turn an HTML-like label into plain text
+   * @private
+   */
+  static _stripHTML(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, "&")
+      .trim();
+  }
+
+  /**
+   * Split a style attribute ("rounded,filled")
+   * @private
+   */
+  static _styleList(style) {
+    return String(style || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * First colour of a colour list ("red:blue", "red;0.3:blue")
+   * @private
+   */
+  static _firstColor(color) {
+    if (!color) return null;
+    return color.split(":")[0].split(";")[0].trim() || null;
+  }
+
+  /**
+   * Points to inches, as DOT sizes are in inches
+   * @private
+   */
+  static _inches(points) {
+    return Math.round((points / POINTS_PER_INCH) * 100) / 100;
+  }
+
+  /**
+   * Round to two decimals
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Look at a token without consuming it
+   * @private
+   */
+  static _peek(state, kind, offset = 0) {
+    const token = state.tokens[state.index + offset];
+    return token && token.kind === kind ? token : null;
+  }
+
+  /**
+   * Consume a token of the given kind
+   * @private
+   */
+  static _expect(state, kind, offset = 0) {
+    const token = DotFormat._peek(state, kind, offset);
+    if (!token) {
+      DotFormat._fail(
+        state,
+        `expected "${kind}"`,
+        state.tokens[state.index + offset]
+      );
+    }
+    if (offset === 0) state.index++;
+    return token;
+  }
+
+  /**
+   * Check that the token at offset is an id
+   * @private
+   */
+  static _expectId(state, offset = 0) {
+    const token = DotFormat._peek(state, "id", offset);
+    if (!token) {
+      DotFormat._fail(
+        state,
+        "expected an id",
+        state.tokens[state.index + offset]
+      );
+    }
+    return token;
+  }
+
+  /**
+   * Throw a parse error pointing at a token
+   * @private
+   */
+  static _fail(state, message, token = state.tokens[state.index]) {
+    if (!token) {
+      const last = state.tokens[state.tokens.length - 1];
+      throw new Error(`DOT line ${last.line}: ${message} at end of input`);
+    }
+    throw new Error(`DOT line ${token.line}: ${message} near "${token.value}"`);
+  }
+}
@@ -0,0 +1,531 @@
+/**
+ * DrawioFormat.js - draw.io / diagrams.net (.drawio) importer
+ *
+ * Reads mxGraphModel XML, either plain or inside an <mxfile><diagram>
+ * wrapper whose payload is base64 + raw deflate + URI encoded.
+ *
+ * - Vertex styles (rhombus, ellipse, shape=process, swimlane, cylinder...)
+ *   map to shape types registered in ShapeRegistry
+ * - Edge cells become edges; waypoints go to the edge's waypoints and labels
+ *   (including child edgeLabel cells) to the edge label
+ * - Child coordinates are made absolute; container children name the
+ *   container in parentId
+ * - Every cell that cannot be mapped is reported in metadata.warnings
+ *   with its cell id
+ *
+ * @module core/formats/DrawioFormat
+ */
+
+import { FormatUtils } from "./FormatUtils.js";
+
+// Style flags / shape= values -> shape type
+const SHAPE_MAP = {
+  rhombus: "decision",
+  ellipse: "ellipse",
+  swimlane: "swimlane",
+  group: "group",
+  text: "label",
+  triangle: "triangle",
+  hexagon: "preparation",
+  process: "predefined-process",
+  cylinder: "database",
+  cylinder3: "database",
+  datastore: "database",
+  parallelogram: "data",
+  document: "document",
+  cloud: "cloud",
+  note: "note",
+  callout: "callout",
+  umlActor: "actor",
+  star: "star",
+  "mxgraph.flowchart.terminator": "terminator",
+  "mxgraph.flowchart.decision": "decision",
+  "mxgraph.flowchart.process": "process",
+  "mxgraph.flowchart.data": "data",
+  "mxgraph.flowchart.document": "document",
+  "mxgraph.flowchart.predefined_process": "predefined-process",
+  "mxgraph.flowchart.manual_input": "manual-input",
+  "mxgraph.flowchart.preparation": "preparation",
+  "mxgraph.flowchart.display": "display",
+  "mxgraph.flowchart.database": "database",
+  "mxgraph.flowchart.start_1": "terminator",
+  "mxgraph.flowchart.start_2": "circle",
+};
+
+export class DrawioFormat {
+  /**
+   * Parse .drawio / mxGraphModel XML into a document
+   * @param {string} xml - File contents
+   * @param {Object} options
+   * @param {number|string} [options.page=0] - Page index or name
+   * @param {Function} [options.hasShape] - (type) => boolean, usually
+   *                                         ShapeRegistry.hasShape
+   * @param {string} [options.fallbackType='process'] - Type used for
+   *                                                    unmapped vertices
+   * @returns {Promise<Object>} - Document ready for ExportManager validation
+   * @throws {Error} If the XML cannot be read
+   */
+  static async parse(xml, options = {}) {
+    const warnings = [];
+    const root = DrawioFormat._parseXML(xml);
+    const model = await DrawioFormat._findModel(root, options, warnings);
+
+    const cells = DrawioFormat._readCells(model);
+    const byId = new Map(cells.map((cell) => [cell.id, cell]));
+
+    // Layers are the children of the root cell; anything parented to a
+    // layer (or to nothing) is top level.
+    const rootIds = new Set(cells.filter((c) => !c.parent).map((c) => c.id));
+    const layerIds = new Set(
+      cells
+        .filter((c) => rootIds.has(c.parent) && !c.vertex && !c.edge)
+        .map((c) => c.id)
+    );
+    const isTopLevel = (cell) =>
+      !cell.parent || rootIds.has(cell.parent) || layerIds.has(cell.parent);
+
+    const hasShape = options.hasShape || (() => true);
+    const fallbackType = options.fallbackType || "process";
+    const nodes = [];
+    const nodeById = new Map();
+
+    // Vertices
+    cells
+      .filter((cell) => cell.vertex)
+      .forEach((cell) => {
+        const parent = byId.get(cell.parent);
+
+        // Labels attached to edges
+        if (parent && parent.edge) {
+          parent.extraLabels.push(cell.label);
+          return;
+        }
+
+        const mapped = DrawioFormat._mapShape(cell.style);
+        let type = mapped.type;
+
+        if (!type) {
+          warnings.push({
+            cellId: cell.id,
+            message: `Unsupported shape "${mapped.name}", imported as ${fallbackType}`,
+          });
+          type = fallbackType;
+        }
+        if (!hasShape(type)) {
+          warnings.push({
+            cellId: cell.id,
+            message: `Shape type "${type}" is not registered, imported as ${fallbackType}`,
+          });
+          type = fallbackType;
+        }
+        if (!hasShape(type)) {
+          warnings.push({
+            cellId: cell.id,
+            message: `Skipped: no registered shape for this cell`,
+          });
+          return;
+        }
+        if (!cell.geometry) {
+          warnings.push({
+            cellId: cell.id,
+            message: "Vertex has no geometry, placed at the origin",
+          });
+        }
+
+        const geometry = cell.geometry || {
+          x: 0,
+          y: 0,
+          width: 120,
+          height: 80,
+        };
+        const node = {
+          id: cell.id,
+          type,
+          x: geometry.x,
+          y: geometry.y,
+          width: geometry.width || 120,
+          height: geometry.height || 80,
+          label: cell.label,
+          style: DrawioFormat._mapNodeStyle(cell.style),
+          metadata: {},
+        };
+
+        if (!isTopLevel(cell)) node.parentCell = cell.parent;
+
+        nodes.push(node);
+        nodeById.set(node.id, node);
+      });
+
+    // Child geometry is relative to the parent vertex
+    const absolute = new Map();
+    const resolve = (node) => {
+      if (absolute.has(node.id)) return absolute.get(node.id);
+      absolute.set(node.id, { x: node.x, y: node.y }); // cycle guard
+
+      let offset = { x: 0, y: 0 };
+      const parentNode = node.parentCell && nodeById.get(node.parentCell);
+      if (parentNode) offset = resolve(parentNode);
+
+      const position = { x: node.x + offset.x, y: node.y + offset.y };
+      absolute.set(node.id, position);
+      return position;
+    };
+    nodes.forEach((node) => resolve(node));
+
+    nodes.forEach((node) => {
+      const position = absolute.get(node.id);
+      node.x = position.x;
+      node.y = position.y;
+
+      if (node.parentCell) {
+        const parentNode = nodeById.get(node.parentCell);
+        if (parentNode && FormatUtils.isContainerType(parentNode.type)) {
+          node.parentId = parentNode.id;
+        } else if (!parentNode) {
+          warnings.push({
+            cellId: node.id,
+            message: `Parent cell "${node.parentCell}" was not imported`,
+          });
+        }
+      }
+      delete node.parentCell;
+    });
+
+    // Edges
+    const edges = [];
+    cells
+      .filter((cell) => cell.edge)
+      .forEach((cell) => {
+        if (!cell.source || !cell.target) {
+          warnings.push({
+            cellId: cell.id,
+            message: "Skipped edge without both source and target",
+          });
+          return;
+        }
+        if (!nodeById.has(cell.source) || !nodeById.has(cell.target)) {
+          warnings.push({
+            cellId: cell.id,
+            message: "Skipped edge connected to a cell that was not imported",
+          });
+          return;
+        }
+        if (cell.source === cell.target) {
+          warnings.push({
+            cellId: cell.id,
+            message: "Skipped self-loop edge",
+          });
+          return;
+        }
+
+        const offset = absolute.get(cell.parent) || { x: 0, y: 0 };
+        const waypoints = ((cell.geometry && cell.geometry.points) || []).map(
+          (p) => ({ x: p.x + offset.x, y: p.y + offset.y })
+        );
+        const label = [cell.label, ...cell.extraLabels]
+          .filter(Boolean)
+          .join("\n");
+
+        edges.push({
+          id: cell.id,
+          sourceId: cell.source,
+          targetId: cell.target,
+          type: DrawioFormat._mapEdgeType(cell.style),
+          label,
+          style: DrawioFormat._mapEdgeStyle(cell.style),
+          waypoints,
+          metadata: {},
+        });
+      });
+
+    // Containers first so they render behind their members
+    nodes.sort(
+      (a, b) =>
+        FormatUtils.isContainerType(b.type) -
+        FormatUtils.isContainerType(a.type)
+    );
+
+    return FormatUtils.createDocument(nodes, edges, {
+      source: "drawio",
+      warnings,
+    });
+  }
+
+  /**
+   * Parse XML text
+   * @private
+   */
+  static _parseXML(xml) {
+    const doc = new DOMParser().parseFromString(String(xml), "text/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+      throw new Error("draw.io file is not valid XML");
+    }
+    return doc.documentElement;
+  }
+
+  /**
+   * Locate the mxGraphModel for the requested page
+   * @private
+   */
+  static async _findModel(root, options, warnings) {
+    if (root.nodeName === "mxGraphModel") return root;
+
+    if (root.nodeName !== "mxfile") {
+      throw new Error(
+        `Expected <mxfile> or <mxGraphModel>, found <${root.nodeName}>`
+      );
+    }
+
+    const diagrams = Array.from(root.getElementsByTagName("diagram"));
+    if (diagrams.length === 0) {
+      throw new Error("draw.io file contains no diagrams");
+    }
+
+    const page = options.page !== undefined ? options.page : 0;
+    const diagram =
+      typeof page === "number"
+        ? diagrams[page]
+        : diagrams.find((d) => d.getAttribute("name") === page);
+
+    if (!diagram) {
+      throw new Error(`draw.io page "${page}" not found`);
+    }
+    if (diagrams.length > 1) {
+      warnings.push({
+        message: `File has ${diagrams.length} pages; imported "${
+          diagram.getAttribute("name") || page
+        }" only`,
+      });
+    }
+
+    const inline = Array.from(diagram.children).find(
+      (el) => el.nodeName === "mxGraphModel"
+    );
+    if (inline) return inline;
+
+    const payload = (diagram.textContent || "").trim();
+    if (!payload) {
+      throw new Error("draw.io diagram is empty");
+    }
+
+    const xml = await DrawioFormat.decompress(payload);
+    return DrawioFormat._parseXML(xml);
+  }
+
+  /**
+   * Decode a compressed <diagram> payload
+   *
+   * draw.io stores pages as base64(deflateRaw(encodeURIComponent(xml))).
+   *
+   * @param {string} payload - Base64 text
+   * @returns {Promise<string>} - mxGraphModel XML
+   */
+  static async decompress(payload) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("Compressed draw.io files need DecompressionStream");
+    }
+
+    const binary = atob(payload.replace(/\s+/g, ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    const stream = new Response(bytes).body.pipeThrough(
+      new DecompressionStream("deflate-raw")
+    );
+    const text = await new Response(stream).text();
+
+    return decodeURIComponent(text);
+  }
+
+  /**
+   * Read all cells into plain objects
+   * @private
+   */
+  static _readCells(model) {
+    const cells = [];
+
+    Array.from(model.getElementsByTagName("mxCell")).forEach((element) => {
+      // <object>/<UserObject> wrappers carry the id and label
+      const wrapper = ["object", "UserObject"].includes(
+        element.parentNode && element.parentNode.nodeName
+      )
+        ? element.parentNode
+        : null;
+      const attr = (name) =>
+        (wrapper && wrapper.getAttribute(name)) || element.getAttribute(name);
+
+      const style = DrawioFormat._parseStyle(element.getAttribute("style"));
+      const rawLabel = wrapper
+        ? wrapper.getAttribute("label")
+        : element.getAttribute("value");
+
+      cells.push({
+        id: attr("id"),
+        parent: element.getAttribute("parent"),
+        vertex: element.getAttribute("vertex") === "1",
+        edge: element.getAttribute("edge") === "1",
+        source: element.getAttribute("source"),
+        target: element.getAttribute("target"),
+        style,
+        label: DrawioFormat._toPlainText(rawLabel, style.html === "1"),
+        geometry: DrawioFormat._readGeometry(element),
+        extraLabels: [],
+      });
+    });
+
+    return cells;
+  }
+
+  /**
+   * Read <mxGeometry> including edge points
+   * @private
+   */
+  static _readGeometry(element) {
+    const geometry = Array.from(element.children).find(
+      (el) => el.nodeName === "mxGeometry"
+    );
+    if (!geometry) return null;
+
+    const num = (el, name) => parseFloat(el.getAttribute(name)) || 0;
+    const pointsArray = Array.from(geometry.children).find(
+      (el) => el.nodeName === "Array" && el.getAttribute("as") === "points"
+    );
+
+    return {
+      x: num(geometry, "x"),
+      y: num(geometry, "y"),
+      width: num(geometry, "width"),
+      height: num(geometry, "height"),
+      points: pointsArray
+        ? Array.from(pointsArray.children)
+            .filter((el) => el.nodeName === "mxPoint")
+            .map((el) => ({ x: num(el, "x"), y: num(el, "y") }))
+        : [],
+    };
+  }
+
+  /**
+   * Parse "rhombus;whiteSpace=wrap;fillColor=#fff" into a map
+   * @private
+   */
+  static _parseStyle(style) {
+    const result = { flags: [] };
+
+    String(style || "")
+      .split(";")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .forEach((part) => {
+        const eq = part.indexOf("=");
+        if (eq === -1) {
+          result.flags.push(part);
+        } else {
+          result[part.slice(0, eq)] = part.slice(eq + 1);
+        }
+      });
+
+    return result;
+  }
+
+  /**
+   * Map a vertex style to a shape type
+   * @private
+   * @returns {Object} - { type, name } where type is null if unmapped
+   */
+  static _mapShape(style) {
+    if (style.shape) {
+      return { type: SHAPE_MAP[style.shape] || null, name: style.shape };
+    }
+
+    const flag = style.flags.find((f) => SHAPE_MAP[f]);
+    if (flag) {
+      // Fixed-aspect ellipses are circles
+      if (flag === "ellipse" && style.aspect === "fixed") {
+        return { type: "circle", name: flag };
+      }
+      return { type: SHAPE_MAP[flag], name: flag };
+    }
+
+    // Any other bare name is a shape or named style we do not know
+    if (style.flags.length > 0) {
+      return { type: null, name: style.flags[0] };
+    }
+
+    // Plain and rounded rectangles; fully rounded ones are terminators
+    if (style.rounded === "1" && parseFloat(style.arcSize) >= 50) {
+      return { type: "terminator", name: "rounded" };
+    }
+    return { type: "process", name: "rectangle" };
+  }
+
+  /**
+   * Map vertex style colours
+   * @private
+   */
+  static _mapNodeStyle(style) {
+    const result = {};
+    if (style.fillColor && style.fillColor !== "none") {
+      result.fill = style.fillColor;
+    }
+    if (style.strokeColor && style.strokeColor !== "none") {
+      result.stroke = style.strokeColor;
+    }
+    if (style.strokeWidth) result.strokeWidth = parseFloat(style.strokeWidth);
+    if (style.fontColor) result.color = style.fontColor;
+    return result;
+  }
+
+  /**
+   * Map edge routing style to an edge type
+   * @private
+   */
+  static _mapEdgeType(style) {
+    if (style.curved === "1") return "bezier";
+    if (
+      style.edgeStyle &&
+      /orthogonal|elbow|entityRelation/.test(style.edgeStyle)
+    ) {
+      return "orthogonal";
+    }
+    return "straight";
+  }
+
+  /**
+   * Map edge stroke and arrow styles
+   * @private
+   */
+  static _mapEdgeStyle(style) {
+    const result = {
+      stroke:
+        style.strokeColor && style.strokeColor !== "none"
+          ? style.strokeColor
+          : "#000000",
+      strokeWidth: parseFloat(style.strokeWidth) || 2,
+      markerEnd: style.endArrow === "none" ? "none" : "url(#arrowhead)",
+    };
+    if (style.dashed === "1") result.strokeDasharray = "5,5";
+    if (style.startArrow && style.startArrow !== "none") {
+      result.markerStart = "url(#arrowhead)";
+    }
+    return result;
+  }
+
+  /**
+   * Turn an (optionally HTML) label into plain text. The markup comes from
+   * the file, so it is parsed into a detached document where scripts and
+   * event handlers never run and nothing is fetched.
+   * @private
+   */
+  static _toPlainText(value, html) {
+    if (!value) return "";
+    if (!html) return value;
+
+    const doc = new DOMParser().parseFromString(
+      value.replace(/<br\s*\/?>|<\/div>|<\/p>/gi, "\n"),
+      "text/html"
+    );
+    return doc.body.textContent.replace(/\n+$/, "").trim();
+  }
+}
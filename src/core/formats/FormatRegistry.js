@@ -0,0 +1,129 @@
+/**
+ * FormatRegistry.js - Import/export formats by id, extension and MIME type
+ *
+ * Responsibilities:
+ * - Store format descriptors and keep ids unique
+ * - Find the format for a file name or MIME type
+ * - List formats that can import, export or go on the clipboard
+ *
+ * A format describes itself and brings its own import and/or export:
+ *
+ *   {
+ *     id: "mermaid",
+ *     name: "Mermaid",
+ *     extensions: ["mmd", "mermaid"],   // first one names downloads
+ *     mimeTypes: ["text/vnd.mermaid"],  // first one types downloads
+ *     binary: false,                    // export gives a Blob, not text
+ *     icon: "🧜",                        // optional, for menus/dialogs
+ *     export: (document, options) => string | Blob | Promise<Blob>,
+ *     import: (text, options) => data | Promise<data>,
+ *   }
+ *
+ * @module core/formats/FormatRegistry
+ */
+
+export class FormatRegistry {
+  constructor() {
+    // Formats by id, in registration order
+    this.formats = new Map();
+  }
+
+  /**
+   * Add a format
+   * @param {Object} format - Format descriptor (see above)
+   * @returns {Object} - The stored descriptor, with defaults filled in
+   * @throws {Error} If the descriptor is incomplete or its id is taken
+   */
+  register(format) {
+    if (!format || typeof format.id !== "string" || !format.id) {
+      throw new Error("FormatRegistry: format id is required");
+    }
+    if (this.formats.has(format.id)) {
+      throw new Error(`Format '${format.id}' is already registered`);
+    }
+    if (
+      typeof format.export !== "function" &&
+      typeof format.import !== "function"
+    ) {
+      throw new Error(
+        `Format '${format.id}' needs an import() or export() function`
+      );
+    }
+
+    const descriptor = {
+      name: format.id,
+      binary: false,
+      ...format,
+      extensions: (format.extensions || [format.id]).map((extension) =>
+        extension.replace(/^\./, "").toLowerCase()
+      ),
+      mimeTypes: (format.mimeTypes || []).map((type) => type.toLowerCase()),
+    };
+    this.formats.set(format.id, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Remove a format
+   * @param {string} id - Format id
+   * @returns {boolean} - Whether it was registered
+   */
+  unregister(id) {
+    return this.formats.delete(id);
+  }
+
+  /**
+   * Get a format
+   * @param {string} id - Format id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.formats.get(id) || null;
+  }
+
+  /**
+   * Check if a format is registered
+   * @param {string} id - Format id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.formats.has(id);
+  }
+
+  /**
+   * List formats
+   * @param {Object} [filter]
+   * @param {boolean} [filter.canImport] - Only formats with import()
+   * @param {boolean} [filter.canExport] - Only formats with export()
+   * @param {boolean} [filter.text] - Only formats that export text
+   * @returns {Array<Object>}
+   */
+  list(filter = {}) {
+    return Array.from(this.formats.values()).filter(
+      (format) =>
+        (!filter.canImport || typeof format.import === "function") &&
+        (!filter.canExport || typeof format.export === "function") &&
+        (!filter.text || !format.binary)
+    );
+  }
+
+  /**
+   * Find an importable format for a file name, then a MIME type
+   * @param {string} [filename] - File name, e.g. "chart.drawio"
+   * @param {string} [mimeType] - MIME type, e.g. "text/vnd.graphviz"
+   * @returns {Object|null}
+   */
+  findImporter(filename = "", mimeType = "") {
+    const importers = this.list({ canImport: true });
+    const name = filename.toLowerCase();
+    const type = mimeType.toLowerCase().split(";")[0].trim();
+
+    return (
+      importers.find((format) =>
+        format.extensions.some((extension) => name.endsWith(`.${extension}`))
+      ) ||
+      (type && importers.find((format) => format.mimeTypes.includes(type))) ||
+      null
+    );
+  }
+}
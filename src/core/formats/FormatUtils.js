@@ -0,0 +1,211 @@
+/**
+ * FormatUtils.js - Helpers shared by the import/export format converters
+ *
+ * Responsibilities:
+ * - Build documents in the same shape ExportManager.exportJSON writes
+ * - Place nodes for text formats that carry no coordinates
+ * - Resolve container membership (group, frame, swimlane)
+ *
+ * @module core/formats/FormatUtils
+ */
+
+import { CURRENT_DOCUMENT_VERSION } from "../schema/documentSchemas.js";
+import { LayeredLayout } from "../layout/LayeredLayout.js";
+
+/**
+ * Shape types that act as containers for other nodes
+ */
+export const CONTAINER_TYPES = ["group", "frame", "swimlane"];
+
+export class FormatUtils {
+  /**
+   * Build an importable document
+   * @param {Array} nodes - Serialized nodes
+   * @param {Array} edges - Serialized edges
+   * @param {Object} metadata - Document metadata (source format, warnings...)
+   * @returns {Object}
+   */
+  static createDocument(nodes, edges, metadata = {}) {
+    return {
+      version: CURRENT_DOCUMENT_VERSION,
+      type: "flowchart",
+      metadata: {
+        created: new Date().toISOString(),
+        editor: "flowchart-editor",
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        warnings: [],
+        ...metadata,
+      },
+      nodes,
+      edges,
+    };
+  }
+
+  /**
+   * Check if a shape type is a container
+   * @param {string} type - Shape type
+   * @returns {boolean}
+   */
+  static isContainerType(type) {
+    return CONTAINER_TYPES.includes(type);
+  }
+
+  /**
+   * Place nodes with the layered layout
+   *
+   * For formats without coordinates. Edges that span several ranks get
+   * their bend points as waypoints so they route around the
+   * nodes in between.
+   *
+   * @param {Array} nodes - Serialized nodes (x/y are overwritten)
+   * @param {Array} edges - Serialized edges
+   * @param {Object} options
+   * @param {string} [options.direction='TB'] - 'TB', 'BT', 'LR', 'RL'
+   * @param {number} [options.rankSpacing=60] - Gap between ranks
+   * @param {number} [options.nodeSpacing=40] - Gap between nodes in a rank
+   */
+  static placeNodes(nodes, edges, options = {}) {
+    const sized = nodes.map((node) => ({
+      id: node.id,
+      width: node.width !== undefined ? node.width : 120,
+      height: node.height !== undefined ? node.height : 60,
+    }));
+    const result = LayeredLayout.compute(sized, edges, {
+      ...options,
+      direction: FormatUtils.normalizeDirection(options.direction),
+    });
+
+    nodes.forEach((node) => {
+      const { x, y } = result.positions.get(node.id);
+      node.x = Math.round(x);
+      node.y = Math.round(y);
+    });
+    result.bends.forEach((points, edge) => {
+      edge.waypoints = points.map((p) => ({
+        x: Math.round(p.x),
+        y: Math.round(p.y),
+      }));
+    });
+  }
+
+  /**
+   * Size containers around their children
+   *
+   * Containers are processed innermost first so nested containers are
+   * included in the bounds of their parents.
+   *
+   * @param {Array} nodes - Serialized nodes; children name their container
+   *                        in parentId
+   * @param {Object} options
+   * @param {number} [options.padding=20] - Space around children
+   * @param {number} [options.headerHeight=30] - Space for the container title
+   */
+  static fitContainers(nodes, options = {}) {
+    const padding = options.padding !== undefined ? options.padding : 20;
+    const headerHeight =
+      options.headerHeight !== undefined ? options.headerHeight : 30;
+    const children = FormatUtils._childrenByParent(nodes);
+
+    const depth = (node, seen = new Set()) => {
+      let max = 0;
+      seen.add(node.id);
+      (children.get(node.id) || []).forEach((child) => {
+        if (!seen.has(child.id) && FormatUtils.isContainerType(child.type)) {
+          max = Math.max(max, depth(child, seen) + 1);
+        }
+      });
+      return max;
+    };
+
+    nodes
+      .filter((n) => FormatUtils.isContainerType(n.type))
+      .sort((a, b) => depth(a) - depth(b))
+      .forEach((container) => {
+        const members = children.get(container.id) || [];
+        if (members.length === 0) return;
+
+        const minX = Math.min(...members.map((m) => m.x));
+        const minY = Math.min(...members.map((m) => m.y));
+        const maxX = Math.max(...members.map((m) => m.x + m.width));
+        const maxY = Math.max(...members.map((m) => m.y + m.height));
+
+        container.x = minX - padding;
+        container.y = minY - padding - headerHeight;
+        container.width = maxX - minX + padding * 2;
+        container.height = maxY - minY + padding * 2 + headerHeight;
+      });
+  }
+
+  /**
+   * Find the innermost container holding each node
+   *
+   * Uses parentId when a node names its container. Nodes inside a
+   * container that no node names fall back to geometric containment.
+   *
+   * @param {Array} nodes - Serialized nodes
+   * @returns {Map} - nodeId -> containerId
+   */
+  static findParents(nodes) {
+    const parents = new Map();
+    const containers = nodes.filter((n) => FormatUtils.isContainerType(n.type));
+    const containerIds = new Set(containers.map((c) => c.id));
+    const declared = FormatUtils._childrenByParent(nodes);
+
+    nodes.forEach((node) => {
+      if (node.parentId && containerIds.has(node.parentId)) {
+        parents.set(node.id, node.parentId);
+      }
+    });
+
+    const area = (n) => n.width * n.height;
+    const inside = (inner, outer) =>
+      inner.x >= outer.x &&
+      inner.y >= outer.y &&
+      inner.x + inner.width <= outer.x + outer.width &&
+      inner.y + inner.height <= outer.y + outer.height;
+
+    nodes.forEach((node) => {
+      if (parents.has(node.id)) return;
+
+      const candidates = containers.filter(
+        (c) =>
+          c.id !== node.id &&
+          !declared.has(c.id) &&
+          inside(node, c) &&
+          area(c) > area(node)
+      );
+      if (candidates.length > 0) {
+        candidates.sort((a, b) => area(a) - area(b));
+        parents.set(node.id, candidates[0].id);
+      }
+    });
+
+    return parents;
+  }
+
+  /**
+   * Normalize a flow direction ('TD' is an alias for 'TB')
+   * @param {string} direction
+   * @returns {string} - 'TB', 'BT', 'LR' or 'RL'
+   */
+  static normalizeDirection(direction) {
+    const value = String(direction || "TB").toUpperCase();
+    if (value === "TD") return "TB";
+    return ["TB", "BT", "LR", "RL"].includes(value) ? value : "TB";
+  }
+
+  /**
+   * Group nodes by the container they name in parentId
+   * @private
+   */
+  static _childrenByParent(nodes) {
+    const children = new Map();
+    nodes.forEach((node) => {
+      if (!node.parentId) return;
+      if (!children.has(node.parentId)) children.set(node.parentId, []);
+      children.get(node.parentId).push(node);
+    });
+    return children;
+  }
+}
@@ -0,0 +1,594 @@
+/**
+ * MermaidFormat.js - Mermaid flowchart serializer and parser
+ *
+ * Converts between flowchart documents (the shape written by
+ * ExportManager.exportJSON) and Mermaid `flowchart`/`graph` text.
+ *
+ * Shape mapping:
+ * - terminator          <-> id([text])
+ * - decision, diamond   <-> id{text}
+ * - data                <-> id[/text/]
+ * - predefined-process  <-> id[[text]]
+ * - preparation         <-> id{{text}}
+ * - database            <-> id[(text)]
+ * - circle, ellipse     <-> id((text))
+ * - manual-input        <-> id[/text\]
+ * - everything else      -> id[text] (imported as process)
+ *
+ * Edge labels map to EdgeModel.label; subgraphs map to group or swimlane
+ * containers, and nodes inside them name the subgraph in parentId.
+ *
+ * @module core/formats/MermaidFormat
+ */
+
+import { FormatUtils } from "./FormatUtils.js";
+
+// Opening bracket -> possible closing brackets and the shape they produce
+const NODE_SHAPES = [
+  { open: "([", close: { "])": "terminator" } },
+  { open: "[[", close: { "]]": "predefined-process" } },
+  { open: "[(", close: { ")]": "database" } },
+  { open: "((", close: { "))": "circle" } },
+  { open: "{{", close: { "}}": "preparation" } },
+  { open: "[/", close: { "/]": "data", "\\]": "manual-input" } },
+  { open: "[\\", close: { "\\]": "data", "/]": "manual-input" } },
+  { open: "[", close: { "]": "process" } },
+  { open: "(", close: { ")": "process" } },
+  { open: "{", close: { "}": "decision" } },
+  { open: ">", close: { "]": "process" } },
+];
+
+// Shape type -> [open, close] used when exporting
+const EXPORT_SHAPES = {
+  terminator: ["([", "])"],
+  decision: ["{", "}"],
+  diamond: ["{", "}"],
+  data: ["[/", "/]"],
+  "predefined-process": ["[[", "]]"],
+  preparation: ["{{", "}}"],
+  database: ["[(", ")]"],
+  circle: ["((", "))"],
+  ellipse: ["((", "))"],
+  "manual-input": ["[/", "\\]"],
+};
+
+const HEADER_RE = /^(flowchart|graph)(?:\s+(TD|TB|BT|LR|RL))?\s*$/i;
+const ID_RE = /^[A-Za-z0-9_]+/;
+const TEXT_LINK_RE =
+  /^(<)?(--|==|-\.)\s+(.+?)\s+(-->|--x|--o|---|==>|===|\.->|\.-)/;
+const LINK_RE = /^(<)?(-{2,}|={2,}|-\.+-)(>|x|o)?/;
+const IGNORED_STATEMENTS = /^(classDef|class|style|linkStyle|click)\b/;
+
+// Text characters written as Mermaid entity codes
+const ENTITY_CODES = {
+  "#": "#35;",
+  ";": "#59;",
+  "<": "#60;",
+  ">": "#62;",
+  '"': "#quot;",
+};
+
+const DEFAULT_EDGE_STYLE = {
+  stroke: "#000000",
+  strokeWidth: 2,
+  markerEnd: "url(#arrowhead)",
+};
+
+export class MermaidFormat {
+  /**
+   * Serialize a document to Mermaid flowchart text
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options
+   * @param {string} [options.direction='TD'] - 'TD', 'TB', 'BT', 'LR', 'RL'
+   * @param {string} [options.indent='    '] - Indentation per nesting level
+   * @returns {string}
+   */
+  static serialize(document, options = {}) {
+    const direction = (options.direction || "TD").toUpperCase();
+    const indent = options.indent !== undefined ? options.indent : "    ";
+    const nodes = document.nodes || [];
+    const edges = document.edges || [];
+
+    const ids = MermaidFormat._createIdMap(nodes);
+    const parents = FormatUtils.findParents(nodes);
+    const children = new Map();
+    nodes.forEach((node) => {
+      const parentId = parents.get(node.id) || null;
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(node);
+    });
+
+    const lines = [`flowchart ${direction}`];
+
+    const writeNodes = (parentId, depth) => {
+      (children.get(parentId) || []).forEach((node) => {
+        const pad = indent.repeat(depth);
+        if (FormatUtils.isContainerType(node.type)) {
+          const title = MermaidFormat._formatText(node.label || node.id);
+          lines.push(`${pad}subgraph ${ids.get(node.id)} [${title}]`);
+          writeNodes(node.id, depth + 1);
+          lines.push(`${pad}end`);
+        } else {
+          lines.push(`${pad}${MermaidFormat._formatNode(node, ids)}`);
+        }
+      });
+    };
+    writeNodes(null, 1);
+
+    edges.forEach((edge) => {
+      if (!ids.has(edge.sourceId) || !ids.has(edge.targetId)) return;
+
+      const link = MermaidFormat._formatLink(edge.style || {});
+      const label = edge.label
+        ? `|${MermaidFormat._escape(edge.label).replace(/\|/g, "#124;")}|`
+        : "";
+      lines.push(
+        `${indent}${ids.get(edge.sourceId)} ${link}${label} ${ids.get(
+          edge.targetId
+        )}`
+      );
+    });
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Parse Mermaid flowchart text into a document
+   *
+   * Unsupported statements (classDef, style, click...) are skipped and
+   * listed in metadata.warnings.
+   *
+   * @param {string} text - Mermaid source
+   * @param {Object} options
+   * @param {string} [options.subgraphType='group'] - 'group' or 'swimlane'
+   * @returns {Object} - Document ready for ExportManager validation
+   * @throws {Error} If the header is missing or a statement cannot be parsed
+   */
+  static parse(text, options = {}) {
+    const state = {
+      nodes: new Map(), // id -> serialized node
+      edges: [],
+      warnings: [],
+      subgraphs: [], // stack of container ids
+      subgraphType: options.subgraphType || "group",
+      direction: "TB",
+      nextEdgeId: 1,
+    };
+
+    const lines = String(text)
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .map((line, index) => ({ line: index + 1, text: line }));
+
+    let headerSeen = false;
+
+    for (const { line, text: raw } of lines) {
+      const statements = MermaidFormat._splitStatements(
+        raw.replace(/%%.*$/, "")
+      );
+
+      for (const statement of statements) {
+        if (!headerSeen) {
+          const header = HEADER_RE.exec(statement);
+          if (!header) {
+            throw new Error(
+              `Mermaid line ${line}: expected "flowchart <direction>" header`
+            );
+          }
+          state.direction = FormatUtils.normalizeDirection(header[2]);
+          headerSeen = true;
+          continue;
+        }
+
+        MermaidFormat._parseStatement(statement, line, state);
+      }
+    }
+
+    if (!headerSeen) {
+      throw new Error("Mermaid text is empty");
+    }
+    if (state.subgraphs.length > 0) {
+      state.warnings.push({
+        line: lines.length,
+        message: `Unclosed subgraph "${state.subgraphs.pop()}"`,
+      });
+    }
+
+    const nodes = Array.from(state.nodes.values());
+    const leaves = nodes.filter((n) => !FormatUtils.isContainerType(n.type));
+    FormatUtils.placeNodes(leaves, state.edges, { direction: state.direction });
+    FormatUtils.fitContainers(nodes);
+
+    // Containers first so they render behind their members
+    nodes.sort(
+      (a, b) =>
+        FormatUtils.isContainerType(b.type) -
+        FormatUtils.isContainerType(a.type)
+    );
+
+    return FormatUtils.createDocument(nodes, state.edges, {
+      source: "mermaid",
+      direction: state.direction,
+      warnings: state.warnings,
+    });
+  }
+
+  /**
+   * Split a line on ";" outside of strings and entity codes like #quot;
+   * @private
+   */
+  static _splitStatements(text) {
+    const statements = [];
+    let current = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') quoted = !quoted;
+
+      if (char === ";" && !quoted && !/#\w+$/.test(current)) {
+        statements.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    statements.push(current);
+
+    return statements.map((s) => s.trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse a single statement
+   * @private
+   */
+  static _parseStatement(statement, line, state) {
+    if (/^subgraph\b/.test(statement)) {
+      MermaidFormat._openSubgraph(statement, line, state);
+      return;
+    }
+
+    if (statement === "end") {
+      if (state.subgraphs.length === 0) {
+        throw new Error(`Mermaid line ${line}: "end" without subgraph`);
+      }
+      state.subgraphs.pop();
+      return;
+    }
+
+    if (/^direction\s+\w+$/.test(statement)) {
+      return; // Per-subgraph direction is not supported by the placement
+    }
+
+    if (IGNORED_STATEMENTS.test(statement)) {
+      state.warnings.push({
+        line,
+        message: `Skipped unsupported statement: ${statement.split(/\s/)[0]}`,
+      });
+      return;
+    }
+
+    MermaidFormat._parseChain(statement, line, state);
+  }
+
+  /**
+   * Parse "A --> B & C -->|x| D"
+   * @private
+   */
+  static _parseChain(statement, line, state) {
+    let rest = statement;
+    let previous = null;
+
+    while (rest.length > 0) {
+      // Node group: A & B & C
+      const group = [];
+      do {
+        rest = rest.replace(/^\s*&?\s*/, "");
+        const parsed = MermaidFormat._parseNode(rest, line, state);
+        group.push(parsed.id);
+        rest = parsed.rest;
+      } while (/^\s*&/.test(rest));
+
+      if (previous) {
+        previous.targets = group;
+        MermaidFormat._addEdges(previous, state);
+      }
+
+      rest = rest.trimStart();
+      if (rest.length === 0) break;
+
+      const link = MermaidFormat._parseLink(rest, line);
+      previous = { sources: group, ...link };
+      rest = link.rest.trimStart();
+
+      if (rest.length === 0) {
+        throw new Error(`Mermaid line ${line}: link without target`);
+      }
+    }
+  }
+
+  /**
+   * Parse a node reference with optional shape and text
+   * @private
+   */
+  static _parseNode(input, line, state) {
+    const idMatch = ID_RE.exec(input);
+    if (!idMatch) {
+      throw new Error(`Mermaid line ${line}: expected node id near "${input}"`);
+    }
+
+    const id = idMatch[0];
+    let rest = input.slice(id.length);
+    let type = null;
+    let label = null;
+
+    const shape = NODE_SHAPES.find((s) => rest.startsWith(s.open));
+    if (shape) {
+      rest = rest.slice(shape.open.length);
+      let textEnd;
+      let close;
+
+      if (rest.startsWith('"')) {
+        textEnd = rest.indexOf('"', 1);
+        if (textEnd === -1) {
+          throw new Error(`Mermaid line ${line}: unterminated string`);
+        }
+        label = rest.slice(1, textEnd);
+        rest = rest.slice(textEnd + 1);
+        close = Object.keys(shape.close).find((c) => rest.startsWith(c));
+        textEnd = 0;
+      } else {
+        const found = Object.keys(shape.close)
+          .map((c) => ({ c, at: rest.indexOf(c) }))
+          .filter((f) => f.at !== -1)
+          .sort((a, b) => a.at - b.at)[0];
+        close = found && found.c;
+        textEnd = found ? found.at : -1;
+        label = found ? rest.slice(0, found.at) : "";
+      }
+
+      if (!close) {
+        throw new Error(
+          `Mermaid line ${line}: missing closing bracket for node ${id}`
+        );
+      }
+
+      type = shape.close[close];
+      rest = rest.slice(textEnd + close.length);
+      label = MermaidFormat._unescape(label.trim());
+
+      if (shape.open === ">") {
+        state.warnings.push({
+          line,
+          nodeId: id,
+          message: "Asymmetric shape imported as process",
+        });
+      }
+    }
+
+    MermaidFormat._declareNode(id, type, label, state);
+
+    return { id, rest };
+  }
+
+  /**
+   * Create or update a node declaration
+   * @private
+   */
+  static _declareNode(id, type, label, state) {
+    const parentId = state.subgraphs[state.subgraphs.length - 1] || null;
+    let node = state.nodes.get(id);
+
+    if (!node) {
+      node = {
+        id,
+        type: type || "process",
+        x: 0,
+        y: 0,
+        width: type === "circle" ? 80 : 120,
+        height: 80,
+        label: label !== null ? label : id,
+        style: {},
+        metadata: {},
+        parentId: parentId || null,
+      };
+      state.nodes.set(id, node);
+    } else {
+      if (type && !FormatUtils.isContainerType(node.type)) node.type = type;
+      if (label !== null) node.label = label;
+    }
+  }
+
+  /**
+   * Parse "subgraph id [title]" / "subgraph title"
+   * @private
+   */
+  static _openSubgraph(statement, line, state) {
+    const body = statement.replace(/^subgraph\s*/, "");
+    let id;
+    let title;
+
+    const bracketed = /^([A-Za-z0-9_]+)\s*\[\s*(.*?)\s*\]$/.exec(body);
+    if (bracketed) {
+      id = bracketed[1];
+      title = bracketed[2].replace(/^"(.*)"$/, "$1");
+    } else {
+      title = body.replace(/^"(.*)"$/, "$1");
+      id = title.replace(/[^A-Za-z0-9_]+/g, "_") || `subgraph_${line}`;
+    }
+
+    if (state.nodes.has(id)) {
+      throw new Error(`Mermaid line ${line}: duplicate id "${id}"`);
+    }
+
+    const parentId = state.subgraphs[state.subgraphs.length - 1] || null;
+    state.nodes.set(id, {
+      id,
+      type: state.subgraphType,
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 150,
+      label: MermaidFormat._unescape(title),
+      style: {},
+      metadata: {},
+      parentId,
+    });
+    state.subgraphs.push(id);
+  }
+
+  /**
+   * Parse a link and its optional |label|
+   * @private
+   */
+  static _parseLink(input, line) {
+    let match = TEXT_LINK_RE.exec(input);
+    let label = "";
+    let start;
+    let body;
+    let head;
+
+    if (match) {
+      start = match[1];
+      label = match[3];
+      body = match[2] + match[4];
+      head = /[>xo]$/.test(match[4]) ? match[4].slice(-1) : null;
+    } else {
+      match = LINK_RE.exec(input);
+      if (!match) {
+        throw new Error(
+          `Mermaid line ${line}: expected a link near "${input}"`
+        );
+      }
+      start = match[1];
+      body = match[2];
+      head = match[3] || null;
+    }
+
+    let rest = input.slice(match[0].length);
+    const pipe = /^\s*\|("[^"]*"|[^|]*)\|/.exec(rest);
+    if (pipe) {
+      label = pipe[1];
+      rest = rest.slice(pipe[0].length);
+    }
+
+    const style = { ...DEFAULT_EDGE_STYLE };
+    if (body.includes(".")) style.strokeDasharray = "5,5";
+    if (body.includes("=")) style.strokeWidth = 4;
+    if (!head) style.markerEnd = "none";
+    if (start && head) style.markerStart = "url(#arrowhead)";
+
+    return {
+      label: MermaidFormat._unescape(label.trim().replace(/^"(.*)"$/, "$1")),
+      style,
+      rest,
+    };
+  }
+
+  /**
+   * Add edges for every source/target pair of a link
+   * @private
+   */
+  static _addEdges(link, state) {
+    link.sources.forEach((sourceId) => {
+      link.targets.forEach((targetId) => {
+        state.edges.push({
+          id: `edge_${state.nextEdgeId++}`,
+          sourceId,
+          targetId,
+          type: "straight",
+          label: link.label,
+          style: { ...link.style },
+          metadata: {},
+        });
+      });
+    });
+  }
+
+  /**
+   * Build Mermaid-safe ids for every node
+   * @private
+   */
+  static _createIdMap(nodes) {
+    const ids = new Map();
+    const used = new Set();
+
+    nodes.forEach((node) => {
+      let base = String(node.id).replace(/[^A-Za-z0-9_]/g, "_");
+      // "end" and friends are keywords in Mermaid
+      if (/^(end|subgraph|graph|flowchart)$/i.test(base)) base = `n_${base}`;
+
+      let id = base;
+      let suffix = 2;
+      while (used.has(id)) id = `${base}_${suffix++}`;
+
+      used.add(id);
+      ids.set(node.id, id);
+    });
+
+    return ids;
+  }
+
+  /**
+   * Format a node declaration
+   * @private
+   */
+  static _formatNode(node, ids) {
+    const [open, close] = EXPORT_SHAPES[node.type] || ["[", "]"];
+    return `${ids.get(node.id)}${open}${MermaidFormat._formatText(
+      node.label
+    )}${close}`;
+  }
+
+  /**
+   * Format a link from edge style
+   * @private
+   */
+  static _formatLink(style) {
+    const arrow = style.markerEnd !== "none";
+    let link;
+
+    if (style.strokeDasharray) {
+      link = arrow ? "-.->" : "-.-";
+    } else if ((style.strokeWidth || 2) >= 4) {
+      link = arrow ? "==>" : "===";
+    } else {
+      link = arrow ? "-->" : "---";
+    }
+
+    return arrow && style.markerStart ? `<${link}` : link;
+  }
+
+  /**
+   * Quote node text when it contains Mermaid syntax characters
+   * @private
+   */
+  static _formatText(text) {
+    const value = String(text || "").trim();
+    if (/^[\w .,:?!'-]+$/.test(value)) return value;
+    return `"${MermaidFormat._escape(value) || " "}"`;
+  }
+
+  /**
+   * Escape characters Mermaid cannot take literally. Entity codes go in
+   * one pass, before line breaks, so text that looks like an entity code,
+   * a statement end or <br> stays literal
+   * @private
+   */
+  static _escape(text) {
+    return String(text)
+      .replace(/[#;<>"]/g, (char) => ENTITY_CODES[char])
+      .replace(/\n/g, "<br/>");
+  }
+
+  /**
+   * Decode Mermaid line breaks, then entity codes
+   * @private
+   */
+  static _unescape(text) {
+    return String(text)
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/#quot;/g, '"')
+      .replace(/#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * PdfFormat.js - Print-ready PDF writer
+ *
+ * Lays a flowchart document out on one or more pages and writes it as a
+ * vector PDF. The drawing comes from SvgFormat (so it matches the SVG
+ * export exactly) and is converted to PDF operators by PdfPainter. It is
+ * stored once as a Form XObject that every page draws through its own
+ * clip window.
+ *
+ * Two layouts:
+ * - fit:  the whole diagram scaled to one page
+ * - tile: the diagram at a fixed print scale, split across as many pages
+ *         as needed (row by row), with optional overlap for assembly
+ *
+ * Units: page sizes, margins and overlap are in points (1/72 in). At
+ * scale 1 one diagram pixel prints as one CSS pixel (0.75 pt).
+ *
+ * @module core/formats/PdfFormat
+ */
+
+import { SvgFormat } from "./SvgFormat.js";
+import { PdfPainter } from "./PdfPainter.js";
+import { PdfWriter } from "./PdfWriter.js";
+
+/**
+ * Paper sizes in points, portrait
+ */
+export const PAGE_SIZES = {
+  A5: { width: 419.53, height: 595.28 },
+  A4: { width: 595.28, height: 841.89 },
+  A3: { width: 841.89, height: 1190.55 },
+  A2: { width: 1190.55, height: 1683.78 },
+  Letter: { width: 612, height: 792 },
+  Legal: { width: 612, height: 1008 },
+  Tabloid: { width: 792, height: 1224 },
+};
+
+const PX_TO_PT = 0.75;
+
+// Height of the header/footer bands, and their font sizes
+const BAND_HEIGHT = 24;
+const HEADER_FONT_SIZE = 10;
+const FOOTER_FONT_SIZE = 8;
+const BAND_TEXT_COLOR = "0.33 0.33 0.33";
+const BAND_RULE_COLOR = "0.75 0.75 0.75";
+
+// Refuse layouts that would produce an unprintable stack of paper
+const MAX_PAGES = 500;
+
+const DEFAULT_OPTIONS = {
+  format: "A4",
+  orientation: "landscape",
+  margins: 36,
+  mode: "fit",
+  scale: 1,
+  overlap: 0,
+  header: true,
+  footer: true,
+  title: "",
+  padding: 20,
+  background: null,
+};
+
+export class PdfFormat {
+  /**
+   * Write a document as PDF
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options
+   * @param {string|Object} [options.format='A4'] - Key of PAGE_SIZES or
+   *                                    {width, height} in points
+   * @param {string} [options.orientation='landscape'] - 'portrait' or
+   *                                    'landscape'
+   * @param {number|Object} [options.margins=36] - Points, or
+   *                                    {top, right, bottom, left}
+   * @param {string} [options.mode='fit'] - 'fit' or 'tile'
+   * @param {number} [options.scale=1] - Print scale for 'tile'
+   * @param {number} [options.overlap=0] - Points repeated on neighbouring
+   *                                    tiles
+   * @param {boolean} [options.header=true] - Title at the top of each page
+   * @param {boolean} [options.footer=true] - Page numbers at the bottom
+   * @param {string} [options.title=''] - Header text and PDF title
+   * @param {number} [options.padding=20] - Space around the drawing
+   * @param {string} [options.background=null] - Fill behind the drawing
+   * @param {Object} [options.shapes] - type -> shape class, see SvgFormat
+   * @returns {Uint8Array} - PDF file bytes
+   */
+  static serialize(document, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const bounds = SvgFormat.getBounds(document, opts);
+    const layout = PdfFormat.layout(bounds, opts);
+
+    const writer = new PdfWriter();
+    const svg = SvgFormat.render(document, {
+      shapes: opts.shapes,
+      padding: opts.padding,
+      background: opts.background,
+    });
+    const form = writer.addForm(bounds, new PdfPainter(writer).paint(svg));
+
+    layout.tiles.forEach((tile) => {
+      writer.addPage(
+        layout.width,
+        layout.height,
+        PdfFormat._pageContent(form, tile, layout, opts)
+      );
+    });
+
+    return writer.toBytes({ title: opts.title });
+  }
+
+  /**
+   * Work out the pages for a drawing
+   *
+   * Page-space values are in points measured from the top-left corner of
+   * the page; tile rectangles are in diagram units.
+   *
+   * @param {Object} bounds - Drawing area {x, y, width, height}, see
+   *                          SvgFormat.getBounds()
+   * @param {Object} options - See serialize()
+   * @returns {Object} - { width, height, margins, area, header, footer,
+   *                       scale, rows, columns,
+   *                       tiles: [{page, row, column, x, y, width, height}] }
+   * @throws {Error} If the page size, mode or scale is invalid, or the
+   *                 layout needs more than MAX_PAGES pages
+   */
+  static layout(bounds, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const page = PdfFormat.pageSize(opts.format, opts.orientation);
+    const margins = PdfFormat.margins(opts.margins);
+
+    const headerHeight = opts.header ? BAND_HEIGHT : 0;
+    const footerHeight = opts.footer ? BAND_HEIGHT : 0;
+    const area = {
+      x: margins.left,
+      y: margins.top + headerHeight,
+      width: page.width - margins.left - margins.right,
+      height:
+        page.height -
+        margins.top -
+        margins.bottom -
+        headerHeight -
+        footerHeight,
+    };
+    if (area.width <= 0 || area.height <= 0) {
+      throw new Error("PDF margins leave no room for the drawing");
+    }
+
+    const layout = {
+      width: page.width,
+      height: page.height,
+      margins,
+      area,
+      header: opts.header
+        ? { x: area.x, y: margins.top, width: area.width, height: headerHeight }
+        : null,
+      footer: opts.footer
+        ? {
+            x: area.x,
+            y: area.y + area.height,
+            width: area.width,
+            height: footerHeight,
+          }
+        : null,
+      scale: 1,
+      rows: 1,
+      columns: 1,
+      tiles: [],
+    };
+
+    const width = Math.max(bounds.width, 1);
+    const height = Math.max(bounds.height, 1);
+
+    if (opts.mode === "fit") {
+      const scale = Math.min(area.width / width, area.height / height);
+      const tileWidth = area.width / scale;
+      const tileHeight = area.height / scale;
+
+      // Centre the drawing on the page
+      layout.scale = scale;
+      layout.tiles.push({
+        page: 1,
+        row: 1,
+        column: 1,
+        x: bounds.x - (tileWidth - width) / 2,
+        y: bounds.y - (tileHeight - height) / 2,
+        width: tileWidth,
+        height: tileHeight,
+      });
+      return layout;
+    }
+
+    if (opts.mode !== "tile") {
+      throw new Error(`Unknown PDF layout mode "${opts.mode}"`);
+    }
+    if (!(opts.scale > 0)) {
+      throw new Error("PDF scale must be greater than 0");
+    }
+
+    const scale = opts.scale * PX_TO_PT;
+    const tileWidth = area.width / scale;
+    const tileHeight = area.height / scale;
+    const overlap = Math.max(0, opts.overlap || 0) / scale;
+    if (overlap >= tileWidth || overlap >= tileHeight) {
+      throw new Error("PDF tile overlap must be smaller than the page");
+    }
+
+    const columns = Math.max(
+      1,
+      Math.ceil((width - overlap) / (tileWidth - overlap))
+    );
+    const rows = Math.max(
+      1,
+      Math.ceil((height - overlap) / (tileHeight - overlap))
+    );
+    if (rows * columns > MAX_PAGES) {
+      throw new Error(
+        `PDF would need ${
+          rows * columns
+        } pages (limit ${MAX_PAGES}); use a smaller scale`
+      );
+    }
+
+    layout.scale = scale;
+    layout.rows = rows;
+    layout.columns = columns;
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        layout.tiles.push({
+          page: layout.tiles.length + 1,
+          row: row + 1,
+          column: column + 1,
+          x: bounds.x + column * (tileWidth - overlap),
+          y: bounds.y + row * (tileHeight - overlap),
+          width: tileWidth,
+          height: tileHeight,
+        });
+      }
+    }
+    return layout;
+  }
+
+  /**
+   * Page size in points
+   * @param {string|Object} format - Key of PAGE_SIZES (any case) or
+   *                                 {width, height}
+   * @param {string} [orientation='portrait']
+   * @returns {Object} - {width, height}
+   * @throws {Error} If the format is unknown
+   */
+  static pageSize(format, orientation = "portrait") {
+    let size = null;
+    if (format && typeof format === "object") {
+      if (format.width > 0 && format.height > 0) size = format;
+    } else {
+      const key = Object.keys(PAGE_SIZES).find(
+        (name) => name.toLowerCase() === String(format).toLowerCase()
+      );
+      size = key ? PAGE_SIZES[key] : null;
+    }
+    if (!size) {
+      throw new Error(`Unknown PDF page size "${format}"`);
+    }
+
+    const long = Math.max(size.width, size.height);
+    const short = Math.min(size.width, size.height);
+    return orientation === "landscape"
+      ? { width: long, height: short }
+      : { width: short, height: long };
+  }
+
+  /**
+   * Normalize margins to {top, right, bottom, left}
+   * @param {number|Object} margins - Points
+   * @returns {Object}
+   */
+  static margins(margins) {
+    if (typeof margins === "number") {
+      return { top: margins, right: margins, bottom: margins, left: margins };
+    }
+    const fallback = DEFAULT_OPTIONS.margins;
+    const side = (name) =>
+      margins && typeof margins[name] === "number" ? margins[name] : fallback;
+    return {
+      top: side("top"),
+      right: side("right"),
+      bottom: side("bottom"),
+      left: side("left"),
+    };
+  }
+
+  /**
+   * Operators for one page: the clipped drawing plus header and footer
+   * @private
+   */
+  static _pageContent(form, tile, layout, opts) {
+    const num = PdfWriter.number;
+    const { area, scale } = layout;
+    const top = (y) => layout.height - y; // page-space y to PDF y
+
+    // Diagram (x, y) lands at (left + scale * (x - tile.x), from the top)
+    const ops = [
+      "q",
+      `${[area.x, top(area.y + area.height), area.width, area.height]
+        .map(num)
+        .join(" ")} re W n`,
+      `${[
+        scale,
+        0,
+        0,
+        -scale,
+        area.x - scale * tile.x,
+        top(area.y) + scale * tile.y,
+      ]
+        .map(num)
+        .join(" ")} cm`,
+      `/${form} Do`,
+      "Q",
+    ];
+
+    if (layout.header) {
+      const band = layout.header;
+      const baseline = top(band.y + band.height - 8);
+      ops.push(
+        PdfFormat._rule(band.x, top(band.y + band.height), band.width),
+        PdfFormat._text(
+          PdfFormat._truncate(opts.title || "Flowchart", band.width, true),
+          band.x,
+          baseline,
+          HEADER_FONT_SIZE,
+          true
+        )
+      );
+    }
+
+    if (layout.footer) {
+      const band = layout.footer;
+      const baseline = top(band.y + 8 + FOOTER_FONT_SIZE);
+      const pages = layout.tiles.length;
+      ops.push(
+        PdfFormat._rule(band.x, top(band.y), band.width),
+        PdfFormat._text(
+          `Page ${tile.page} of ${pages}`,
+          band.x + band.width / 2,
+          baseline,
+          FOOTER_FONT_SIZE,
+          false,
+          "middle"
+        )
+      );
+      if (pages > 1) {
+        ops.push(
+          PdfFormat._text(
+            `Row ${tile.row}, column ${tile.column}`,
+            band.x + band.width,
+            baseline,
+            FOOTER_FONT_SIZE,
+            false,
+            "end"
+          )
+        );
+      }
+    }
+
+    return ops.join("\n");
+  }
+
+  /**
+   * Header/footer text in page coordinates
+   * @private
+   */
+  static _text(text, x, y, size, bold, anchor = "start") {
+    const num = PdfWriter.number;
+    const width = PdfWriter.textWidth(text, size, bold);
+    const left =
+      anchor === "middle" ? x - width / 2 : anchor === "end" ? x - width : x;
+    return [
+      "BT",
+      `/${bold ? "F2" : "F1"} ${num(size)} Tf`,
+      `${BAND_TEXT_COLOR} rg`,
+      `${num(left)} ${num(y)} Td`,
+      `${PdfWriter.string(text)} Tj`,
+      "ET",
+    ].join("\n");
+  }
+
+  /**
+   * Thin horizontal line separating a band from the drawing
+   * @private
+   */
+  static _rule(x, y, width) {
+    const num = PdfWriter.number;
+    return `q ${BAND_RULE_COLOR} RG 0.5 w ${num(x)} ${num(y)} m ${num(
+      x + width
+    )} ${num(y)} l S Q`;
+  }
+
+  /**
+   * Shorten text with an ellipsis so it fits a width
+   * @private
+   */
+  static _truncate(text, width, bold) {
+    if (PdfWriter.textWidth(text, HEADER_FONT_SIZE, bold) <= width) {
+      return text;
+    }
+    let end = text.length;
+    while (
+      end > 0 &&
+      PdfWriter.textWidth(`${text.slice(0, end)}…`, HEADER_FONT_SIZE, bold) >
+        width
+    ) {
+      end--;
+    }
+    return `${text.slice(0, end)}…`;
+  }
+}
@@ -0,0 +1,1041 @@
+/**
+ * PdfPainter.js - Draws an SVG element tree as PDF content-stream operators
+ *
+ * Covers the SVG that shapes and SvgFormat produce: g, rect, circle,
+ * ellipse, line, polyline, polygon, path (all commands, arcs included),
+ * text/tspan, transforms, dash patterns, opacity and arrow markers.
+ * Everything stays vector, so printed diagrams are sharp at any scale.
+ *
+ * Operators are written in SVG user units with y pointing down; the caller
+ * sets up the matrix that maps them onto the page. Text is flipped back
+ * upright per run.
+ *
+ * @module core/formats/PdfPainter
+ */
+
+import { PdfWriter } from "./PdfWriter.js";
+import { SvgElement } from "./SvgDocument.js";
+
+// Elements that never draw anything directly
+const SKIPPED_ELEMENTS = [
+  "defs",
+  "marker",
+  "title",
+  "desc",
+  "metadata",
+  "style",
+  "script",
+  "clipPath",
+  "mask",
+  "foreignObject",
+];
+
+const INHERITED_PROPERTIES = [
+  "color",
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-opacity",
+  "stroke-width",
+  "stroke-dasharray",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+  "visibility",
+];
+
+const DEFAULT_STYLE = {
+  color: "#000000",
+  fill: "#000000",
+  "fill-opacity": "1",
+  stroke: "none",
+  "stroke-opacity": "1",
+  "stroke-width": "1",
+  "stroke-dasharray": "none",
+  "stroke-linecap": "butt",
+  "stroke-linejoin": "miter",
+  "font-size": "16",
+  "font-weight": "normal",
+  "text-anchor": "start",
+  "dominant-baseline": "auto",
+  visibility: "visible",
+  alpha: 1, // product of opacity on the element and its ancestors
+};
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  navy: [0, 0, 128],
+  teal: [0, 128, 128],
+  maroon: [128, 0, 0],
+  lightgray: [211, 211, 211],
+  lightgrey: [211, 211, 211],
+  darkgray: [169, 169, 169],
+  darkgrey: [169, 169, 169],
+};
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+// Bezier handle length for a quarter ellipse
+const KAPPA = 0.5522847498;
+
+// Baseline shift (in em) for dominant-baseline values, y pointing down
+const BASELINE_SHIFTS = {
+  middle: 0.35,
+  central: 0.35,
+  hanging: 0.8,
+  "text-before-edge": 0.8,
+  "text-after-edge": -0.2,
+};
+
+const NUMBER = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+
+const num = PdfWriter.number;
+
+export class PdfPainter {
+  /**
+   * @param {PdfWriter} writer - Receives opacity states
+   */
+  constructor(writer) {
+    this.writer = writer;
+    this.markers = new Map(); // id -> <marker> element
+  }
+
+  /**
+   * Content-stream operators for an element tree
+   * @param {Element|SvgElement} root - Usually an <svg> element
+   * @returns {string}
+   */
+  paint(root) {
+    this.markers.clear();
+    this._collectMarkers(root);
+
+    const ops = [];
+    this._paintChildren(
+      root,
+      PdfPainter._resolveStyle(root, DEFAULT_STYLE),
+      ops
+    );
+    return ops.join("\n");
+  }
+
+  /**
+   * Parse path data into absolute M/L/C/Z segments
+   *
+   * Quadratic curves and arcs are converted to cubic curves; H/V/S/T are
+   * expanded.
+   *
+   * @param {string} d - SVG path data
+   * @returns {Array<Object>} - [{type: 'M'|'L', x, y} |
+   *                             {type: 'C', x1, y1, x2, y2, x, y} |
+   *                             {type: 'Z'}]
+   */
+  static parsePath(d) {
+    const tokens =
+      String(d).match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ||
+      [];
+    const segments = [];
+    let index = 0;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let control = null; // last cubic control point, for S
+    let quadratic = null; // last quadratic control point, for T
+
+    const isNumber = () =>
+      index < tokens.length && !/^[a-zA-Z]$/.test(tokens[index]);
+    const next = () => parseFloat(tokens[index++]);
+    // Arc flags may be packed together with what follows ("a1 1 0 01 1 1")
+    const flag = () => {
+      const token = tokens[index];
+      if (token.length > 1 && (token[0] === "0" || token[0] === "1")) {
+        tokens[index] = token.slice(1);
+        return token[0] === "1";
+      }
+      index++;
+      return parseFloat(token) !== 0;
+    };
+
+    while (index < tokens.length) {
+      if (!isNumber()) {
+        command = tokens[index++];
+      } else if (!command) {
+        break;
+      }
+
+      const relative = command === command.toLowerCase();
+      const dx = relative ? x : 0;
+      const dy = relative ? y : 0;
+      const upper = command.toUpperCase();
+      let nextControl = null;
+      let nextQuadratic = null;
+
+      if (upper === "Z") {
+        segments.push({ type: "Z" });
+        x = startX;
+        y = startY;
+        command = null;
+      } else if (upper === "M") {
+        x = next() + dx;
+        y = next() + dy;
+        startX = x;
+        startY = y;
+        segments.push({ type: "M", x, y });
+        // Further pairs are implicit line-tos
+        command = relative ? "l" : "L";
+      } else if (upper === "L") {
+        x = next() + dx;
+        y = next() + dy;
+        segments.push({ type: "L", x, y });
+      } else if (upper === "H") {
+        x = next() + dx;
+        segments.push({ type: "L", x, y });
+      } else if (upper === "V") {
+        y = next() + dy;
+        segments.push({ type: "L", x, y });
+      } else if (upper === "C" || upper === "S") {
+        let x1;
+        let y1;
+        if (upper === "C") {
+          x1 = next() + dx;
+          y1 = next() + dy;
+        } else {
+          x1 = control ? 2 * x - control.x : x;
+          y1 = control ? 2 * y - control.y : y;
+        }
+        const x2 = next() + dx;
+        const y2 = next() + dy;
+        x = next() + dx;
+        y = next() + dy;
+        segments.push({ type: "C", x1, y1, x2, y2, x, y });
+        nextControl = { x: x2, y: y2 };
+      } else if (upper === "Q" || upper === "T") {
+        let qx;
+        let qy;
+        if (upper === "Q") {
+          qx = next() + dx;
+          qy = next() + dy;
+        } else {
+          qx = quadratic ? 2 * x - quadratic.x : x;
+          qy = quadratic ? 2 * y - quadratic.y : y;
+        }
+        const endX = next() + dx;
+        const endY = next() + dy;
+        segments.push({
+          type: "C",
+          x1: x + ((qx - x) * 2) / 3,
+          y1: y + ((qy - y) * 2) / 3,
+          x2: endX + ((qx - endX) * 2) / 3,
+          y2: endY + ((qy - endY) * 2) / 3,
+          x: endX,
+          y: endY,
+        });
+        x = endX;
+        y = endY;
+        nextQuadratic = { x: qx, y: qy };
+      } else if (upper === "A") {
+        const rx = next();
+        const ry = next();
+        const rotation = next();
+        const largeArc = flag();
+        const sweep = flag();
+        const endX = next() + dx;
+        const endY = next() + dy;
+        segments.push(
+          ...PdfPainter._arcToCurves(
+            x,
+            y,
+            rx,
+            ry,
+            rotation,
+            largeArc,
+            sweep,
+            endX,
+            endY
+          )
+        );
+        x = endX;
+        y = endY;
+      } else {
+        // Unknown command: stop rather than draw garbage
+        break;
+      }
+
+      control = nextControl;
+      quadratic = nextQuadratic;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Parse a transform attribute into a matrix
+   * @param {string} transform - e.g. "translate(10 20) rotate(45 50 50)"
+   * @returns {Array<number>} - [a, b, c, d, e, f]
+   */
+  static parseTransform(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const pattern =
+      /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = pattern.exec(transform)) !== null) {
+      const args = (match[2].match(NUMBER) || []).map(parseFloat);
+      let next;
+
+      switch (match[1]) {
+        case "matrix":
+          next = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+          break;
+        case "translate":
+          next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+          break;
+        case "scale": {
+          const sx = args[0] !== undefined ? args[0] : 1;
+          const sy = args[1] !== undefined ? args[1] : sx;
+          next = [sx, 0, 0, sy, 0, 0];
+          break;
+        }
+        case "rotate": {
+          const angle = ((args[0] || 0) * Math.PI) / 180;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          const cx = args[1] || 0;
+          const cy = args[2] || 0;
+          next = [
+            cos,
+            sin,
+            -sin,
+            cos,
+            cx - cos * cx + sin * cy,
+            cy - sin * cx - cos * cy,
+          ];
+          break;
+        }
+        case "skewX":
+          next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+          break;
+        case "skewY":
+          next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+          break;
+      }
+
+      matrix = PdfPainter.multiply(matrix, next);
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Matrix product: apply `inner` first, then `outer`
+   * @param {Array<number>} outer - [a, b, c, d, e, f]
+   * @param {Array<number>} inner
+   * @returns {Array<number>}
+   */
+  static multiply(outer, inner) {
+    const [a1, b1, c1, d1, e1, f1] = outer;
+    const [a2, b2, c2, d2, e2, f2] = inner;
+    return [
+      a1 * a2 + c1 * b2,
+      b1 * a2 + d1 * b2,
+      a1 * c2 + c1 * d2,
+      b1 * c2 + d1 * d2,
+      a1 * e2 + c1 * f2 + e1,
+      b1 * e2 + d1 * f2 + f1,
+    ];
+  }
+
+  /**
+   * Parse a CSS colour
+   * @param {string} value - #rgb, #rrggbb, rgb(), rgba() or a basic name
+   * @returns {Object|null} - { rgb: [r, g, b] in 0..1, alpha }, null for
+   *                          none/transparent
+   */
+  static parseColor(value) {
+    const color = String(value || "")
+      .trim()
+      .toLowerCase();
+    if (!color || color === "none" || color === "transparent") return null;
+
+    let rgb = null;
+    let alpha = 1;
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    const functional = color.match(/^rgba?\(([^)]*)\)$/);
+
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3 || digits.length === 4) {
+        digits = digits.replace(/./g, (c) => c + c);
+      }
+      rgb = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+      if (digits.length === 8) alpha = parseInt(digits.slice(6, 8), 16) / 255;
+    } else if (functional) {
+      const parts = functional[1].split(/[\s,/]+/).filter(Boolean);
+      rgb = parts
+        .slice(0, 3)
+        .map((part) =>
+          part.endsWith("%") ? (parseFloat(part) * 255) / 100 : parseFloat(part)
+        );
+      if (parts[3] !== undefined) {
+        alpha = parts[3].endsWith("%")
+          ? parseFloat(parts[3]) / 100
+          : parseFloat(parts[3]);
+      }
+    } else if (NAMED_COLORS[color]) {
+      rgb = NAMED_COLORS[color];
+    }
+
+    if (!rgb || rgb.some((c) => Number.isNaN(c))) {
+      rgb = [0, 0, 0];
+    }
+    return {
+      rgb: rgb.map((c) => Math.min(255, Math.max(0, c)) / 255),
+      alpha: Number.isNaN(alpha) ? 1 : alpha,
+    };
+  }
+
+  /**
+   * Remember marker definitions by id
+   * @private
+   */
+  _collectMarkers(node) {
+    Array.from(node.childNodes || []).forEach((child) => {
+      if (child.nodeType !== 1) return;
+      if (PdfPainter._tag(child) === "marker" && child.getAttribute("id")) {
+        this.markers.set(child.getAttribute("id"), child);
+      }
+      this._collectMarkers(child);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _paintChildren(node, style, ops) {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === 1) this._paintElement(child, style, ops);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _paintElement(element, parentStyle, ops) {
+    const tag = PdfPainter._tag(element);
+    if (SKIPPED_ELEMENTS.includes(tag)) return;
+
+    const style = PdfPainter._resolveStyle(element, parentStyle);
+    if (style.display === "none") return;
+
+    const inner = [];
+    if (tag === "g" || tag === "svg" || tag === "a" || tag === "switch") {
+      this._paintChildren(element, style, inner);
+    } else if (tag === "text") {
+      if (style.visibility !== "hidden") this._paintText(element, style, inner);
+    } else if (style.visibility !== "hidden") {
+      const segments = PdfPainter._segments(element, tag);
+      if (segments && segments.length > 0) {
+        this._paintPath(element, segments, style, inner);
+      }
+    }
+    if (inner.length === 0) return;
+
+    const transform = element.getAttribute("transform");
+    if (transform) {
+      ops.push(
+        "q",
+        `${PdfPainter.parseTransform(transform).map(num).join(" ")} cm`,
+        ...inner,
+        "Q"
+      );
+    } else {
+      ops.push(...inner);
+    }
+  }
+
+  /**
+   * Fill and/or stroke a path, then draw its markers
+   * @private
+   */
+  _paintPath(element, segments, style, ops) {
+    const fill = PdfPainter.parseColor(
+      PdfPainter._currentColor(style.fill, style)
+    );
+    const stroke = PdfPainter.parseColor(
+      PdfPainter._currentColor(style.stroke, style)
+    );
+    const strokeWidth = PdfPainter._length(style["stroke-width"], 1);
+    const strokes = stroke && strokeWidth > 0;
+    if (!fill && !strokes) return;
+
+    const body = ["q"];
+    const fillAlpha = fill
+      ? style.alpha * fill.alpha * parseFloat(style["fill-opacity"])
+      : 1;
+    const strokeAlpha = strokes
+      ? style.alpha * stroke.alpha * parseFloat(style["stroke-opacity"])
+      : 1;
+    if (fillAlpha < 1 || strokeAlpha < 1) {
+      body.push(`/${this.writer.opacity(fillAlpha, strokeAlpha)} gs`);
+    }
+
+    if (fill) body.push(`${fill.rgb.map(num).join(" ")} rg`);
+    if (strokes) {
+      body.push(`${stroke.rgb.map(num).join(" ")} RG`, `${num(strokeWidth)} w`);
+      body.push(`${LINE_CAPS[style["stroke-linecap"]] || 0} J`);
+      body.push(`${LINE_JOINS[style["stroke-linejoin"]] || 0} j`);
+      const dashes = PdfPainter._dashArray(style["stroke-dasharray"]);
+      if (dashes.length > 0) body.push(`[${dashes.map(num).join(" ")}] 0 d`);
+    }
+
+    body.push(PdfPainter._pathOperators(segments));
+    body.push(fill && strokes ? "B" : fill ? "f" : "S");
+    body.push("Q");
+    ops.push(...body);
+
+    if (strokes) {
+      this._paintMarkers(element, segments, strokeWidth, ops);
+    }
+  }
+
+  /**
+   * Draw marker-start / marker-end at the path ends
+   * @private
+   */
+  _paintMarkers(element, segments, strokeWidth, ops) {
+    const ends = PdfPainter._pathEnds(segments);
+    if (!ends) return;
+
+    [
+      ["marker-start", ends.start, ends.startAngle, true],
+      ["marker-end", ends.end, ends.endAngle, false],
+    ].forEach(([attribute, point, angle, atStart]) => {
+      const reference = element.getAttribute(attribute);
+      const match = reference && reference.match(/url\(\s*#([^)\s]+)\s*\)/);
+      const marker = match && this.markers.get(match[1]);
+      if (!marker) return;
+
+      const orient = marker.getAttribute("orient") || "0";
+      let rotation = (parseFloat(orient) || 0) * (Math.PI / 180);
+      if (orient === "auto") rotation = angle;
+      if (orient === "auto-start-reverse") {
+        rotation = atStart ? angle + Math.PI : angle;
+      }
+
+      const viewBox = (marker.getAttribute("viewBox") || "")
+        .split(/[\s,]+/)
+        .map(parseFloat);
+      const markerWidth = PdfPainter._length(
+        marker.getAttribute("markerWidth"),
+        3
+      );
+      const markerHeight = PdfPainter._length(
+        marker.getAttribute("markerHeight"),
+        3
+      );
+      let scale =
+        viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+          ? Math.min(markerWidth / viewBox[2], markerHeight / viewBox[3])
+          : 1;
+      if (marker.getAttribute("markerUnits") !== "userSpaceOnUse") {
+        scale *= strokeWidth;
+      }
+      const refX = PdfPainter._length(marker.getAttribute("refX"), 0);
+      const refY = PdfPainter._length(marker.getAttribute("refY"), 0);
+
+      const cos = Math.cos(rotation);
+      const sin = Math.sin(rotation);
+      const inner = [];
+      this._paintChildren(
+        marker,
+        PdfPainter._resolveStyle(marker, DEFAULT_STYLE),
+        inner
+      );
+      if (inner.length === 0) return;
+
+      ops.push(
+        "q",
+        `${[cos, sin, -sin, cos, point.x, point.y].map(num).join(" ")} cm`,
+        `${[scale, 0, 0, scale, -refX * scale, -refY * scale]
+          .map(num)
+          .join(" ")} cm`,
+        ...inner,
+        "Q"
+      );
+    });
+  }
+
+  /**
+   * Draw text and tspans with the standard Helvetica fonts
+   * @private
+   */
+  _paintText(element, style, ops) {
+    const fontSize = PdfPainter._length(style["font-size"], 16);
+    let x = PdfPainter._length(element.getAttribute("x"), 0);
+    let y = PdfPainter._length(element.getAttribute("y"), 0);
+    const runs = [];
+
+    const addRun = (text, runStyle) => {
+      const content = text.replace(/\s+/g, " ").trim();
+      if (!content) return;
+      runs.push({ text: content, x, y, style: runStyle });
+      x += PdfWriter.textWidth(
+        content,
+        PdfPainter._length(runStyle["font-size"], fontSize),
+        PdfPainter._isBold(runStyle)
+      );
+    };
+
+    Array.from(element.childNodes).forEach((child) => {
+      if (child.nodeType === 3) {
+        addRun(child.nodeValue, style);
+      } else if (child.nodeType === 1 && PdfPainter._tag(child) === "tspan") {
+        const spanStyle = PdfPainter._resolveStyle(child, style);
+        const size = PdfPainter._length(spanStyle["font-size"], fontSize);
+        if (child.getAttribute("x") !== null) {
+          x = PdfPainter._length(child.getAttribute("x"), x);
+        }
+        if (child.getAttribute("y") !== null) {
+          y = PdfPainter._length(child.getAttribute("y"), y);
+        }
+        x += PdfPainter._length(child.getAttribute("dx"), 0, size);
+        y += PdfPainter._length(child.getAttribute("dy"), 0, size);
+        addRun(child.textContent, spanStyle);
+      }
+    });
+
+    runs.forEach((run) => {
+      const fill = PdfPainter.parseColor(
+        PdfPainter._currentColor(run.style.fill, run.style)
+      );
+      if (!fill) return;
+
+      const size = PdfPainter._length(run.style["font-size"], fontSize);
+      const bold = PdfPainter._isBold(run.style);
+      const width = PdfWriter.textWidth(run.text, size, bold);
+      const anchor = run.style["text-anchor"];
+      const left =
+        run.x -
+        (anchor === "middle" ? width / 2 : anchor === "end" ? width : 0);
+      const baseline =
+        run.y + (BASELINE_SHIFTS[run.style["dominant-baseline"]] || 0) * size;
+      const alpha =
+        run.style.alpha * fill.alpha * parseFloat(run.style["fill-opacity"]);
+
+      ops.push("q");
+      if (alpha < 1) ops.push(`/${this.writer.opacity(alpha, 1)} gs`);
+      ops.push(
+        "BT",
+        `/${bold ? "F2" : "F1"} ${num(size)} Tf`,
+        `${fill.rgb.map(num).join(" ")} rg`,
+        `1 0 0 -1 ${num(left)} ${num(baseline)} Tm`,
+        `${PdfWriter.string(run.text)} Tj`,
+        "ET",
+        "Q"
+      );
+    });
+  }
+
+  /**
+   * Geometry of a basic shape element as path segments
+   * @private
+   */
+  static _segments(element, tag) {
+    const attr = (name, fallback = 0) =>
+      PdfPainter._length(element.getAttribute(name), fallback);
+
+    switch (tag) {
+      case "path":
+        return PdfPainter.parsePath(element.getAttribute("d") || "");
+      case "rect": {
+        const width = attr("width");
+        const height = attr("height");
+        if (width <= 0 || height <= 0) return null;
+        let rx = element.getAttribute("rx");
+        let ry = element.getAttribute("ry");
+        rx = rx !== null ? attr("rx") : ry !== null ? attr("ry") : 0;
+        ry = ry !== null ? attr("ry") : rx;
+        return PdfPainter._rectSegments(
+          attr("x"),
+          attr("y"),
+          width,
+          height,
+          Math.min(rx, width / 2),
+          Math.min(ry, height / 2)
+        );
+      }
+      case "circle":
+        return PdfPainter._ellipseSegments(
+          attr("cx"),
+          attr("cy"),
+          attr("r"),
+          attr("r")
+        );
+      case "ellipse":
+        return PdfPainter._ellipseSegments(
+          attr("cx"),
+          attr("cy"),
+          attr("rx"),
+          attr("ry")
+        );
+      case "line":
+        return [
+          { type: "M", x: attr("x1"), y: attr("y1") },
+          { type: "L", x: attr("x2"), y: attr("y2") },
+        ];
+      case "polyline":
+      case "polygon": {
+        const values = (
+          (element.getAttribute("points") || "").match(NUMBER) || []
+        ).map(parseFloat);
+        const segments = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          segments.push({
+            type: i === 0 ? "M" : "L",
+            x: values[i],
+            y: values[i + 1],
+          });
+        }
+        if (tag === "polygon" && segments.length > 0) {
+          segments.push({ type: "Z" });
+        }
+        return segments;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _rectSegments(x, y, width, height, rx, ry) {
+    if (rx <= 0 || ry <= 0) {
+      return [
+        { type: "M", x, y },
+        { type: "L", x: x + width, y },
+        { type: "L", x: x + width, y: y + height },
+        { type: "L", x, y: y + height },
+        { type: "Z" },
+      ];
+    }
+
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    const right = x + width;
+    const bottom = y + height;
+    return [
+      { type: "M", x: x + rx, y },
+      { type: "L", x: right - rx, y },
+      curve(right - rx + kx, y, right, y + ry - ky, right, y + ry),
+      { type: "L", x: right, y: bottom - ry },
+      curve(
+        right,
+        bottom - ry + ky,
+        right - rx + kx,
+        bottom,
+        right - rx,
+        bottom
+      ),
+      { type: "L", x: x + rx, y: bottom },
+      curve(x + rx - kx, bottom, x, bottom - ry + ky, x, bottom - ry),
+      { type: "L", x, y: y + ry },
+      curve(x, y + ry - ky, x + rx - kx, y, x + rx, y),
+      { type: "Z" },
+    ];
+  }
+
+  /**
+   * @private
+   */
+  static _ellipseSegments(cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return null;
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    return [
+      { type: "M", x: cx + rx, y: cy },
+      curve(cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry),
+      curve(cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy),
+      curve(cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry),
+      curve(cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy),
+      { type: "Z" },
+    ];
+  }
+
+  /**
+   * Convert an SVG elliptical arc to cubic curves (SVG spec, appendix F.6)
+   * @private
+   */
+  static _arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [{ type: "L", x: x2, y: y2 }];
+
+    const phi = (rotation * Math.PI) / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const hx = (x1 - x2) / 2;
+    const hy = (y1 - y2) / 2;
+    const px = cos * hx + sin * hy;
+    const py = -sin * hx + cos * hy;
+
+    // Scale radii up when they cannot span the endpoints
+    const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+    const denominator = rx * rx * py * py + ry * ry * px * px;
+    let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) coefficient = -coefficient;
+    const cxp = (coefficient * rx * py) / ry;
+    const cyp = (-coefficient * ry * px) / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) =>
+      Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (px - cxp) / rx, (py - cyp) / ry);
+    let delta = angle(
+      (px - cxp) / rx,
+      (py - cyp) / ry,
+      (-px - cxp) / rx,
+      (-py - cyp) / ry
+    );
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2)));
+    const step = delta / count;
+    const k = (4 / 3) * Math.tan(step / 4);
+    const point = (t) => ({
+      x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+      y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+    });
+    const tangent = (t) => ({
+      x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+      y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+    });
+
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+      const t1 = theta + step * i;
+      const t2 = t1 + step;
+      const from = point(t1);
+      const to = i === count - 1 ? { x: x2, y: y2 } : point(t2);
+      const d1 = tangent(t1);
+      const d2 = tangent(t2);
+      segments.push(
+        curve(
+          from.x + k * d1.x,
+          from.y + k * d1.y,
+          to.x - k * d2.x,
+          to.y - k * d2.y,
+          to.x,
+          to.y
+        )
+      );
+    }
+    return segments;
+  }
+
+  /**
+   * Path construction operators for segments
+   * @private
+   */
+  static _pathOperators(segments) {
+    return segments
+      .map((segment) => {
+        switch (segment.type) {
+          case "M":
+            return `${num(segment.x)} ${num(segment.y)} m`;
+          case "L":
+            return `${num(segment.x)} ${num(segment.y)} l`;
+          case "C":
+            return `${[
+              segment.x1,
+              segment.y1,
+              segment.x2,
+              segment.y2,
+              segment.x,
+              segment.y,
+            ]
+              .map(num)
+              .join(" ")} c`;
+          default:
+            return "h";
+        }
+      })
+      .join(" ");
+  }
+
+  /**
+   * First/last points of a path and the direction it travels there
+   * @private
+   */
+  static _pathEnds(segments) {
+    let start = null;
+    let startAngle = null;
+    let end = null;
+    let endAngle = 0;
+    let current = null;
+    let subpathStart = null;
+
+    const direction = (from, candidates) => {
+      const to = candidates.find((p) => p.x !== from.x || p.y !== from.y);
+      return to ? Math.atan2(to.y - from.y, to.x - from.x) : null;
+    };
+
+    segments.forEach((segment) => {
+      if (segment.type === "M") {
+        current = { x: segment.x, y: segment.y };
+        subpathStart = current;
+        if (!start) start = current;
+        return;
+      }
+      if (!current) return;
+
+      let target;
+      let entry; // direction at the start of this segment
+      let exit; // direction at its end
+      if (segment.type === "C") {
+        target = { x: segment.x, y: segment.y };
+        const c1 = { x: segment.x1, y: segment.y1 };
+        const c2 = { x: segment.x2, y: segment.y2 };
+        entry = direction(current, [c1, c2, target]);
+        const back = direction(target, [c2, c1, current]);
+        exit = back === null ? null : back + Math.PI;
+      } else {
+        target = segment.type === "Z" ? subpathStart : segment;
+        target = { x: target.x, y: target.y };
+        entry = direction(current, [target]);
+        exit = entry;
+      }
+
+      if (startAngle === null && entry !== null) startAngle = entry;
+      if (exit !== null) endAngle = exit;
+      end = target;
+      current = target;
+    });
+
+    if (!start || !end) return null;
+    return { start, startAngle: startAngle || 0, end, endAngle };
+  }
+
+  /**
+   * Computed style: inherited properties from the parent, then
+   * presentation attributes, then inline style
+   * @private
+   */
+  static _resolveStyle(element, parentStyle) {
+    const style = { ...parentStyle, display: "inline" };
+    const declared = {};
+
+    ["display", "opacity", ...INHERITED_PROPERTIES].forEach((name) => {
+      const value = element.getAttribute(name);
+      if (value !== null) declared[name] = value;
+    });
+
+    const css = element.getAttribute("style");
+    if (css) {
+      css.split(";").forEach((declaration) => {
+        const colon = declaration.indexOf(":");
+        if (colon === -1) return;
+        declared[declaration.slice(0, colon).trim()] = declaration
+          .slice(colon + 1)
+          .trim();
+      });
+    }
+
+    // SvgElement keeps inline styles in a plain object
+    if (element instanceof SvgElement) {
+      Object.entries(element.style).forEach(([key, value]) => {
+        declared[key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)] =
+          String(value);
+      });
+    }
+
+    Object.entries(declared).forEach(([name, value]) => {
+      if (value === "inherit" || value === "") return;
+      if (name === "opacity") {
+        const opacity = parseFloat(value);
+        if (!Number.isNaN(opacity)) style.alpha = parentStyle.alpha * opacity;
+      } else if (name === "display" || INHERITED_PROPERTIES.includes(name)) {
+        style[name] = value;
+      }
+    });
+
+    return style;
+  }
+
+  /**
+   * Resolve currentColor against the inherited color property
+   * @private
+   */
+  static _currentColor(value, style) {
+    return value === "currentColor" ? style.color : value;
+  }
+
+  /**
+   * @private
+   */
+  static _isBold(style) {
+    const weight = style["font-weight"];
+    return (
+      weight === "bold" || weight === "bolder" || parseFloat(weight) >= 600
+    );
+  }
+
+  /**
+   * Parse a length ("12", "12px", "1.2em"); em is relative to fontSize
+   * @private
+   */
+  static _length(value, fallback, fontSize = 16) {
+    if (value === null || value === undefined || value === "") return fallback;
+    const number = parseFloat(value);
+    if (Number.isNaN(number)) return fallback;
+    return /em\s*$/.test(String(value)) ? number * fontSize : number;
+  }
+
+  /**
+   * Dash lengths from stroke-dasharray; empty for solid lines
+   * @private
+   */
+  static _dashArray(value) {
+    if (!value || value === "none") return [];
+    const dashes = (String(value).match(NUMBER) || []).map(parseFloat);
+    if (dashes.length === 0 || dashes.every((d) => d === 0)) return [];
+    // An odd count is repeated to make it even, as in SVG
+    return dashes.length % 2 === 1 ? [...dashes, ...dashes] : dashes;
+  }
+
+  /**
+   * Local name of an element
+   * @private
+   */
+  static _tag(element) {
+    return element.localName || element.tagName;
+  }
+}
+
+function curve(x1, y1, x2, y2, x, y) {
+  return { type: "C", x1, y1, x2, y2, x, y };
+}
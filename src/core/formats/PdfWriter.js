@@ -0,0 +1,283 @@
+/**
+ * PdfWriter.js - Minimal PDF 1.4 file writer
+ *
+ * Collects pages and Form XObjects as content-stream text and assembles
+ * them into a PDF file with a cross-reference table. Text uses the standard
+ * Helvetica fonts (no embedding) with WinAnsi encoding, so content streams
+ * are plain ASCII and the output is deterministic.
+ *
+ * Shared resources: fonts /F1 (Helvetica) and /F2 (Helvetica-Bold), the
+ * opacity states handed out by opacity() and every form added with
+ * addForm().
+ *
+ * @module core/formats/PdfWriter
+ */
+
+const FONTS = [
+  { name: "F1", baseFont: "Helvetica" },
+  { name: "F2", baseFont: "Helvetica-Bold" },
+];
+
+// Advance widths (1/1000 em) for character codes 32-126
+// prettier-ignore
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+// prettier-ignore
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Width used for characters outside the table
+const DEFAULT_WIDTH = 556;
+
+// Unicode characters that WinAnsi places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "‚": 0x82,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "™": 0x99,
+};
+
+export class PdfWriter {
+  constructor() {
+    this.pages = []; // [{ width, height, content }]
+    this.forms = []; // [{ name, bbox, content }]
+    this.opacities = new Map(); // "fill stroke" -> state name
+  }
+
+  /**
+   * Add a page
+   * @param {number} width - Points
+   * @param {number} height - Points
+   * @param {string} content - Content stream operators
+   */
+  addPage(width, height, content) {
+    this.pages.push({ width, height, content });
+  }
+
+  /**
+   * Add a Form XObject that pages can draw with "/Name Do"
+   * @param {Object} bbox - {x, y, width, height} in form space
+   * @param {string} content - Content stream operators
+   * @returns {string} - Resource name, e.g. "Fm1"
+   */
+  addForm(bbox, content) {
+    const name = `Fm${this.forms.length + 1}`;
+    this.forms.push({ name, bbox, content });
+    return name;
+  }
+
+  /**
+   * Graphics state name for a fill/stroke opacity pair
+   * @param {number} fill - 0..1
+   * @param {number} [stroke=fill] - 0..1
+   * @returns {string} - Resource name, e.g. "GS1"
+   */
+  opacity(fill, stroke = fill) {
+    const key = `${PdfWriter.number(fill)} ${PdfWriter.number(stroke)}`;
+    if (!this.opacities.has(key)) {
+      this.opacities.set(key, `GS${this.opacities.size + 1}`);
+    }
+    return this.opacities.get(key);
+  }
+
+  /**
+   * Assemble the PDF file
+   * @param {Object} [info] - { title, author, subject }
+   * @returns {Uint8Array}
+   */
+  toBytes(info = {}) {
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const define = (id, body) => {
+      objects[id - 1] = body;
+      return id;
+    };
+    const stream = (dictionary, content) =>
+      `<< ${dictionary} /Length ${content.length} >>\nstream\n${content}\nendstream`;
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const resourcesId = reserve();
+
+    const fontIds = FONTS.map(({ name, baseFont }) => [
+      name,
+      define(
+        reserve(),
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`
+      ),
+    ]);
+    const stateIds = Array.from(this.opacities, ([key, name]) => {
+      const [fill, stroke] = key.split(" ");
+      return [
+        name,
+        define(reserve(), `<< /Type /ExtGState /ca ${fill} /CA ${stroke} >>`),
+      ];
+    });
+    const formIds = this.forms.map(({ name, bbox, content }) => [
+      name,
+      define(
+        reserve(),
+        stream(
+          `/Type /XObject /Subtype /Form /BBox [${PdfWriter._rect(
+            bbox
+          )}] /Resources ${resourcesId} 0 R`,
+          content
+        )
+      ),
+    ]);
+
+    const dictionary = (entries) =>
+      entries.map(([name, id]) => `/${name} ${id} 0 R`).join(" ");
+    let resources = `/Font << ${dictionary(fontIds)} >>`;
+    if (stateIds.length > 0) {
+      resources += ` /ExtGState << ${dictionary(stateIds)} >>`;
+    }
+    if (formIds.length > 0) {
+      resources += ` /XObject << ${dictionary(formIds)} >>`;
+    }
+    define(resourcesId, `<< ${resources} >>`);
+
+    const pageIds = this.pages.map(({ width, height, content }) => {
+      const contentId = define(reserve(), stream("", content));
+      return define(
+        reserve(),
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PdfWriter.number(
+          width
+        )} ${PdfWriter.number(
+          height
+        )}] /Resources ${resourcesId} 0 R /Contents ${contentId} 0 R >>`
+      );
+    });
+    define(
+      pagesId,
+      `<< /Type /Pages /Kids [${pageIds
+        .map((id) => `${id} 0 R`)
+        .join(" ")}] /Count ${pageIds.length} >>`
+    );
+    define(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    const infoEntries = [["Producer", "flowchart-editor"]];
+    if (info.title) infoEntries.push(["Title", info.title]);
+    if (info.author) infoEntries.push(["Author", info.author]);
+    if (info.subject) infoEntries.push(["Subject", info.subject]);
+    const infoId = define(
+      reserve(),
+      `<< ${infoEntries
+        .map(([key, value]) => `/${key} ${PdfWriter.string(value)}`)
+        .join(" ")} >>`
+    );
+
+    // The binary comment marks the file as binary for transfer tools
+    let out = "%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n";
+    const offsets = objects.map((body, index) => {
+      const offset = out.length;
+      out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+      out += `${String(offset).padStart(10, "0")} 00000 n \n`;
+    });
+    out += `trailer\n<< /Size ${
+      objects.length + 1
+    } /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    out += `startxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) {
+      bytes[i] = out.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Width of a string in the standard Helvetica fonts
+   * @param {string} text
+   * @param {number} fontSize - Points
+   * @param {boolean} [bold=false]
+   * @returns {number} - Points
+   */
+  static textWidth(text, fontSize, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * fontSize) / 1000;
+  }
+
+  /**
+   * PDF string literal in WinAnsi encoding
+   *
+   * Characters WinAnsi cannot represent become "?". Everything outside
+   * printable ASCII is written as an octal escape.
+   *
+   * @param {string} text
+   * @returns {string} - e.g. "(Hello \\(world\\))"
+   */
+  static string(text) {
+    let out = "";
+    for (const char of String(text)) {
+      let code = char.charCodeAt(0);
+      if (WIN_ANSI_EXTRAS[char] !== undefined) {
+        code = WIN_ANSI_EXTRAS[char];
+      } else if (code > 255 || (code >= 0x80 && code < 0xa0)) {
+        code = 0x3f; // "?"
+      }
+
+      if (char === "(" || char === ")" || char === "\\") {
+        out += `\\${char}`;
+      } else if (code < 32 || code > 126) {
+        out += `\\${code.toString(8).padStart(3, "0")}`;
+      } else {
+        out += String.fromCharCode(code);
+      }
+    }
+    return `(${out})`;
+  }
+
+  /**
+   * Format a number for a content stream (at most three decimals, never
+   * exponent notation)
+   * @param {number} value
+   * @returns {string}
+   */
+  static number(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    if (Object.is(rounded, -0) || !Number.isFinite(rounded)) return "0";
+    return rounded.toFixed(3).replace(/\.?0+$/, "");
+  }
+
+  /**
+   * "x1 y1 x2 y2" for a rect
+   * @private
+   */
+  static _rect({ x, y, width, height }) {
+    return [x, y, x + width, y + height].map(PdfWriter.number).join(" ");
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * SvgDocument.js - Minimal in-memory document for building SVG
+ *
+ * Implements the small part of the DOM that shape render methods use
+ * (createElementNS, setAttribute, appendChild, textContent, classList,
+ * style) so shapes can be rendered without a browser, e.g. in Node for
+ * documentation builds and snapshot tests.
+ *
+ * Elements expose nodeType, tagName, attributes and childNodes like real
+ * DOM nodes, so SvgFormat serializes both the same way.
+ *
+ * @module core/formats/SvgDocument
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Text node
+ */
+export class SvgText {
+  constructor(text) {
+    this.nodeType = 3;
+    this.nodeValue = String(text);
+    this.parentNode = null;
+  }
+
+  get textContent() {
+    return this.nodeValue;
+  }
+
+  set textContent(value) {
+    this.nodeValue = String(value);
+  }
+}
+
+/**
+ * Element node
+ */
+export class SvgElement {
+  constructor(tagName, namespaceURI = SVG_NS) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.localName = tagName;
+    this.namespaceURI = namespaceURI;
+    this.attributes = []; // [{ name, value }] in insertion order
+    this.childNodes = [];
+    this.parentNode = null;
+    this.style = {};
+    this.classList = {
+      add: (...names) => this._setClasses([...this._classes(), ...names]),
+      remove: (...names) =>
+        this._setClasses(this._classes().filter((c) => !names.includes(c))),
+      contains: (name) => this._classes().includes(name),
+      toggle: (name, force) => {
+        const has = this._classes().includes(name);
+        const add = force !== undefined ? force : !has;
+        if (add && !has) this.classList.add(name);
+        if (!add && has) this.classList.remove(name);
+        return add;
+      },
+    };
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node.nodeType === 1);
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join("");
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((node) => {
+      node.parentNode = null;
+    });
+    this.childNodes = [];
+    if (value !== null && value !== undefined && value !== "") {
+      this.appendChild(new SvgText(value));
+    }
+  }
+
+  setAttribute(name, value) {
+    const attribute = this.attributes.find((a) => a.name === name);
+    if (attribute) {
+      attribute.value = String(value);
+    } else {
+      this.attributes.push({ name, value: String(value) });
+    }
+  }
+
+  setAttributeNS(namespace, name, value) {
+    this.setAttribute(name, value);
+  }
+
+  getAttribute(name) {
+    const attribute = this.attributes.find((a) => a.name === name);
+    return attribute ? attribute.value : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.some((a) => a.name === name);
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter((a) => a.name !== name);
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  append(...children) {
+    children.forEach((child) =>
+      this.appendChild(typeof child === "string" ? new SvgText(child) : child)
+    );
+  }
+
+  insertBefore(child, reference) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) {
+      this.childNodes.push(child);
+    } else {
+      this.childNodes.splice(index, 0, child);
+    }
+    child.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  /**
+   * Find descendants by tag name
+   * @param {string} tagName
+   * @returns {Array<SvgElement>}
+   */
+  getElementsByTagName(tagName) {
+    const found = [];
+    this.children.forEach((child) => {
+      if (child.tagName === tagName) found.push(child);
+      found.push(...child.getElementsByTagName(tagName));
+    });
+    return found;
+  }
+
+  /**
+   * Class names from the class attribute
+   * @private
+   */
+  _classes() {
+    return (this.getAttribute("class") || "").split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Write class names back to the class attribute
+   * @private
+   */
+  _setClasses(names) {
+    const unique = Array.from(new Set(names));
+    if (unique.length > 0) {
+      this.setAttribute("class", unique.join(" "));
+    } else {
+      this.removeAttribute("class");
+    }
+  }
+}
+
+/**
+ * Document that creates SvgElement and SvgText nodes
+ */
+export class SvgDocument {
+  createElementNS(namespaceURI, tagName) {
+    return new SvgElement(tagName, namespaceURI);
+  }
+
+  createElement(tagName) {
+    return new SvgElement(tagName, null);
+  }
+
+  createTextNode(text) {
+    return new SvgText(text);
+  }
+
+  /**
+   * Run a function with this document as the global `document`
+   *
+   * Many shapes call `document.createElementNS` directly. Outside a browser
+   * there is no global document, so one is provided for the duration of
+   * the (synchronous) call. In a browser the real document is left alone.
+   *
+   * @param {Function} fn
+   * @returns {*} - Return value of fn
+   */
+  run(fn) {
+    if (typeof globalThis.document !== "undefined") {
+      return fn();
+    }
+
+    globalThis.document = this;
+    try {
+      return fn();
+    } finally {
+      delete globalThis.document;
+    }
+  }
+}
@@ -0,0 +1,731 @@
+/**
+ * SvgFormat.js - Standalone SVG writer
+ *
+ * Renders a flowchart document (the shape written by ExportManager.exportJSON)
+ * straight from node and edge data through the shapes' own render methods.
+ * Nothing is read from the editor canvas, so the output never contains
+ * selection boxes, handles, the grid or theme CSS variables, and it can be
+ * produced outside a browser.
+ *
+ * Output is self-contained (colours and arrow markers are inlined) and
+ * deterministic: the same document always produces the same string.
+ *
+ * Drawing order: containers, then edges, then the remaining nodes.
+ *
+ * @module core/formats/SvgFormat
+ */
+
+import { getAllShapeClasses } from "../../shapes/index.js";
+import { ShapeRenderer } from "../../shapes/helpers/ShapeRenderer.js";
+import { GeometryUtils } from "../../utils/geometry/geometry.js";
+import { FormatUtils } from "./FormatUtils.js";
+import { SvgDocument, SvgElement } from "./SvgDocument.js";
+import { OrthogonalRouter } from "../layout/OrthogonalRouter.js";
+import { WaypointEditor } from "../layout/WaypointEditor.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Written on one line so indentation does not end up in the text
+const INLINE_ELEMENTS = ["text", "tspan", "title", "desc"];
+
+const DEFAULT_OPTIONS = {
+  padding: 20,
+  background: "#ffffff",
+  scale: 1,
+  fontFamily: "Arial, sans-serif",
+  fontSize: 12,
+  title: "",
+};
+
+const DEFAULT_EDGE_STYLE = {
+  stroke: "#000000",
+  strokeWidth: 2,
+};
+
+// Control point offset for curved edges, as in EdgeView
+const CURVE_OFFSET_FACTOR = 0.2;
+const MIN_CURVE_OFFSET = 50;
+
+export class SvgFormat {
+  /**
+   * Serialize a document to SVG text
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options
+   * @param {Object} [options.shapes] - type -> shape class; defaults to the
+   *                                    built-in shape library
+   * @param {number} [options.padding=20] - Space around the drawing
+   * @param {string} [options.background='#ffffff'] - Fill behind the
+   *                                    drawing; null or 'transparent' for none
+   * @param {number} [options.scale=1] - Multiplier for width/height
+   * @param {string} [options.fontFamily='Arial, sans-serif'] - Edge labels
+   * @param {number} [options.fontSize=12] - Edge labels
+   * @param {string} [options.title=''] - Written to <title> when set
+   * @returns {string}
+   */
+  static serialize(document, options = {}) {
+    return SvgFormat.stringify(SvgFormat.render(document, options)) + "\n";
+  }
+
+  /**
+   * Render a document to an <svg> element tree
+   *
+   * The tree is built with the global document when there is one (browser),
+   * otherwise with an in-memory SvgDocument. It is never attached to the
+   * page.
+   *
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options - See serialize()
+   * @returns {Element|SvgElement}
+   */
+  static render(document, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const shapes = opts.shapes || getAllShapeClasses();
+    const nodes = (document.nodes || []).filter((n) => n.visible !== false);
+    const edges = document.edges || [];
+    const bounds = SvgFormat.getBounds(document, opts);
+
+    return new SvgDocument().run(() => {
+      const doc = globalThis.document;
+      const svg = SvgFormat._element(doc, "svg", {
+        xmlns: SVG_NS,
+        width: SvgFormat._number(bounds.width * opts.scale),
+        height: SvgFormat._number(bounds.height * opts.scale),
+        viewBox: [bounds.x, bounds.y, bounds.width, bounds.height]
+          .map(SvgFormat._number)
+          .join(" "),
+      });
+
+      if (opts.title) {
+        const title = SvgFormat._element(doc, "title");
+        title.textContent = opts.title;
+        svg.appendChild(title);
+      }
+
+      const markers = SvgFormat._renderMarkers(doc, edges);
+      if (markers.defs) svg.appendChild(markers.defs);
+
+      if (opts.background && opts.background !== "transparent") {
+        svg.appendChild(
+          SvgFormat._element(doc, "rect", {
+            x: SvgFormat._number(bounds.x),
+            y: SvgFormat._number(bounds.y),
+            width: SvgFormat._number(bounds.width),
+            height: SvgFormat._number(bounds.height),
+            fill: opts.background,
+          })
+        );
+      }
+
+      const byId = new Map(nodes.map((n) => [n.id, n]));
+      const containers = SvgFormat._sortContainers(
+        nodes.filter((n) => FormatUtils.isContainerType(n.type))
+      );
+      const leaves = nodes.filter((n) => !FormatUtils.isContainerType(n.type));
+
+      const layers = {
+        containers: SvgFormat._element(doc, "g", { class: "containers" }),
+        edges: SvgFormat._element(doc, "g", { class: "edges" }),
+        nodes: SvgFormat._element(doc, "g", { class: "nodes" }),
+      };
+
+      containers.forEach((node) =>
+        layers.containers.appendChild(SvgFormat._renderNode(doc, node, shapes))
+      );
+      edges.forEach((edge) => {
+        const source = byId.get(edge.sourceId);
+        const target = byId.get(edge.targetId);
+        if (!source || !target) return;
+        layers.edges.appendChild(
+          SvgFormat._renderEdge(doc, edge, source, target, markers.ids, {
+            ...opts,
+            obstacles: leaves,
+          })
+        );
+      });
+      leaves.forEach((node) =>
+        layers.nodes.appendChild(SvgFormat._renderNode(doc, node, shapes))
+      );
+
+      Object.values(layers).forEach((layer) => svg.appendChild(layer));
+
+      return svg;
+    });
+  }
+
+  /**
+   * Area covered by the drawing, padding included
+   * @param {Object} document - { nodes, edges }
+   * @param {Object} options - { padding }
+   * @returns {Object} - {x, y, width, height}
+   */
+  static getBounds(document, options = {}) {
+    const padding =
+      options.padding !== undefined ? options.padding : DEFAULT_OPTIONS.padding;
+    const points = [];
+
+    (document.nodes || [])
+      .filter((n) => n.visible !== false)
+      .forEach((node) => {
+        points.push({ x: node.x, y: node.y });
+        points.push({ x: node.x + node.width, y: node.y + node.height });
+      });
+    (document.edges || []).forEach((edge) => {
+      points.push(...SvgFormat._waypoints(edge));
+    });
+
+    const box = GeometryUtils.boundingBox(points) || {
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+    };
+
+    return {
+      x: box.x - padding,
+      y: box.y - padding,
+      width: box.width + padding * 2,
+      height: box.height + padding * 2,
+    };
+  }
+
+  /**
+   * Serialize an element tree (DOM or SvgElement) to markup
+   *
+   * Elements with only element children are indented one per line; text
+   * elements are written inline so no whitespace is added to labels.
+   *
+   * @param {Element|SvgElement} node
+   * @param {string} [indent=''] - Current indentation
+   * @returns {string}
+   */
+  static stringify(node, indent = "") {
+    if (node.nodeType === 3) {
+      return SvgFormat._escapeText(node.nodeValue);
+    }
+
+    const attributes = SvgFormat._attributesOf(node)
+      .map(([name, value]) => ` ${name}="${SvgFormat._escapeAttribute(value)}"`)
+      .join("");
+    const children = Array.from(node.childNodes).filter(
+      (child) => child.nodeType === 1 || child.nodeType === 3
+    );
+    const open = `${indent}<${node.tagName}${attributes}`;
+
+    if (children.length === 0) {
+      return `${open}/>`;
+    }
+    if (
+      INLINE_ELEMENTS.includes(node.tagName) ||
+      children.some((child) => child.nodeType === 3)
+    ) {
+      const inline = children
+        .map((child) => SvgFormat.stringify(child))
+        .join("");
+      return `${open}>${inline}</${node.tagName}>`;
+    }
+
+    const inner = children
+      .map((child) => SvgFormat.stringify(child, `${indent}  `))
+      .join("\n");
+    return `${open}>\n${inner}\n${indent}</${node.tagName}>`;
+  }
+
+  /**
+   * Render one node through its shape class
+   * @private
+   */
+  static _renderNode(doc, node, shapes) {
+    const group = SvgFormat._element(doc, "g", { "data-node-id": node.id });
+    const style = node.style || {};
+
+    if (node.rotation) {
+      const cx = node.x + node.width / 2;
+      const cy = node.y + node.height / 2;
+      group.setAttribute(
+        "transform",
+        `rotate(${node.rotation} ${SvgFormat._number(cx)} ${SvgFormat._number(
+          cy
+        )})`
+      );
+    }
+
+    let element = null;
+    const ShapeClass = shapes[node.type];
+    if (ShapeClass) {
+      try {
+        element = SvgFormat._renderShape(doc, ShapeClass, node);
+      } catch (error) {
+        console.warn(`SvgFormat: could not render "${node.type}":`, error);
+      }
+    }
+
+    if (!element) {
+      element = SvgFormat._element(doc, "rect", {
+        x: node.x,
+        y: node.y,
+        width: node.width,
+        height: node.height,
+        fill: style.fill || "#ffffff",
+        stroke: style.stroke || "#000000",
+        "stroke-width": style.strokeWidth || 2,
+      });
+    }
+    group.appendChild(element);
+
+    // Some shapes only draw their outline
+    const hasText =
+      element.tagName === "text" ||
+      element.getElementsByTagName("text").length > 0;
+    if (node.label && !hasText) {
+      group.appendChild(
+        SvgFormat._renderText(
+          doc,
+          node.label,
+          node.x + node.width / 2,
+          node.y + node.height / 2,
+          {
+            fill: style.textColor || style.color || "#000000",
+            fontFamily: DEFAULT_OPTIONS.fontFamily,
+            fontSize: style.fontSize || 14,
+          }
+        )
+      );
+    }
+
+    return group;
+  }
+
+  /**
+   * Draw a node with its shape class
+   * @private
+   */
+  static _renderShape(doc, ShapeClass, node) {
+    return SvgFormat.renderShape(
+      doc,
+      new ShapeClass(SvgFormat.shapeConfig(node)),
+      node
+    );
+  }
+
+  /**
+   * Options for a node's shape class constructor
+   * @param {Object} node - Serialized node
+   * @returns {Object}
+   */
+  static shapeConfig(node) {
+    const style = node.style || {};
+    const textStyle = {};
+    if (style.textColor || style.color) {
+      textStyle.color = style.textColor || style.color;
+    }
+    if (style.fontSize) textStyle.fontSize = style.fontSize;
+
+    return {
+      id: node.id,
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+      label: node.label || "",
+      style: { ...style },
+      textStyle,
+    };
+  }
+
+  /**
+   * Call a shape's render method
+   *
+   * Shapes come in three styles: render() returning an element,
+   * render(context) drawing with context.document, and
+   * render(container, node) appending to a container.
+   *
+   * @param {Document|SvgDocument} doc - Creates the elements
+   * @param {Object} shape - Instance made with shapeConfig(node)
+   * @param {Object} node - Serialized node
+   * @returns {Element|SvgElement}
+   */
+  static renderShape(doc, shape, node) {
+    if (shape.render.length >= 2) {
+      const container = SvgFormat._element(doc, "g");
+      shape.render(container, {
+        ...SvgFormat.shapeConfig(node),
+        type: node.type,
+      });
+      return container;
+    }
+
+    if (shape.render.length === 1) {
+      return shape.render({ type: "svg", document: doc });
+    }
+
+    const element = ShapeRenderer.toSVG(shape);
+    const text = ShapeRenderer.renderSVGText(shape);
+    if (!text) return element;
+
+    const container = SvgFormat._element(doc, "g");
+    container.appendChild(element);
+    container.appendChild(text);
+    return container;
+  }
+
+  /**
+   * Render one edge with its label
+   * @private
+   */
+  static _renderEdge(doc, edge, source, target, markerIds, opts) {
+    const style = { ...DEFAULT_EDGE_STYLE, ...(edge.style || {}) };
+    const group = SvgFormat._element(doc, "g", { "data-edge-id": edge.id });
+    const geometry = SvgFormat._edgeGeometry(
+      edge,
+      source,
+      target,
+      opts.obstacles
+    );
+
+    const path = SvgFormat._element(doc, "path", {
+      d: geometry.d,
+      fill: "none",
+      stroke: style.stroke,
+      "stroke-width": style.strokeWidth,
+    });
+    if (style.strokeDasharray) {
+      path.setAttribute("stroke-dasharray", style.strokeDasharray);
+    }
+    if (style.markerEnd !== "none") {
+      path.setAttribute("marker-end", `url(#${markerIds.get(style.stroke)})`);
+    }
+    if (style.markerStart && style.markerStart !== "none") {
+      path.setAttribute("marker-start", `url(#${markerIds.get(style.stroke)})`);
+    }
+    group.appendChild(path);
+
+    if (edge.label) {
+      const lines = String(edge.label).split("\n");
+      const width =
+        Math.max(...lines.map((line) => line.length)) * opts.fontSize * 0.6 + 8;
+      const height = lines.length * opts.fontSize * 1.2 + 4;
+
+      group.appendChild(
+        SvgFormat._element(doc, "rect", {
+          x: SvgFormat._number(geometry.labelPoint.x - width / 2),
+          y: SvgFormat._number(geometry.labelPoint.y - height / 2),
+          width: SvgFormat._number(width),
+          height: SvgFormat._number(height),
+          fill: "#ffffff",
+        })
+      );
+      group.appendChild(
+        SvgFormat._renderText(
+          doc,
+          edge.label,
+          geometry.labelPoint.x,
+          geometry.labelPoint.y,
+          {
+            fill: style.labelColor || "#333333",
+            fontFamily: opts.fontFamily,
+            fontSize: opts.fontSize,
+          }
+        )
+      );
+    }
+
+    return group;
+  }
+
+  /**
+   * Path data and label position for an edge
+   *
+   * Ends are clipped to the node bounds so arrowheads stay visible.
+   * Orthogonal edges without waypoints are routed around the obstacles;
+   * with waypoints they get elbows between them. Curved edges bend
+   * smoothly through their waypoints.
+   *
+   * @private
+   */
+  static _edgeGeometry(edge, source, target, obstacles = []) {
+    const sourceCenter = GeometryUtils.rectCenter(source);
+    const targetCenter = GeometryUtils.rectCenter(target);
+    const waypoints = SvgFormat._waypoints(edge);
+    const type = edge.type || "straight";
+
+    if ((type === "bezier" || type === "curved") && waypoints.length === 0) {
+      const dx = targetCenter.x - sourceCenter.x;
+      const dy = targetCenter.y - sourceCenter.y;
+      const offset = Math.max(
+        Math.sqrt(dx * dx + dy * dy) * CURVE_OFFSET_FACTOR,
+        MIN_CURVE_OFFSET
+      );
+      const angle = Math.atan2(dy, dx);
+      const control = {
+        x: (sourceCenter.x + targetCenter.x) / 2 + Math.sin(angle) * offset,
+        y: (sourceCenter.y + targetCenter.y) / 2 - Math.cos(angle) * offset,
+      };
+      const start = SvgFormat._clip(sourceCenter, control, source);
+      const end = SvgFormat._clip(targetCenter, control, target);
+
+      return {
+        d: `M ${SvgFormat._point(start)} Q ${SvgFormat._point(
+          control
+        )} ${SvgFormat._point(end)}`,
+        labelPoint: GeometryUtils.quadraticBezierPoint(
+          0.5,
+          start,
+          control,
+          end
+        ),
+      };
+    }
+
+    if (type === "orthogonal") {
+      const sides = {
+        sourceSide: OrthogonalRouter.sideOf(source.ports, edge.sourcePort),
+        targetSide: OrthogonalRouter.sideOf(target.ports, edge.targetPort),
+      };
+      const points =
+        waypoints.length > 0
+          ? WaypointEditor.orthogonalRoute(source, target, waypoints, sides)
+          : OrthogonalRouter.route(
+              source,
+              target,
+              obstacles.filter((n) => n !== source && n !== target),
+              sides
+            ).points;
+      return {
+        d: points
+          .map((p, i) => `${i === 0 ? "M" : "L"} ${SvgFormat._point(p)}`)
+          .join(" "),
+        labelPoint: SvgFormat._polylineMidpoint(points),
+      };
+    }
+
+    const inner = waypoints;
+    const points = [
+      SvgFormat._clip(sourceCenter, inner[0] || targetCenter, source),
+      ...inner,
+      SvgFormat._clip(
+        targetCenter,
+        inner[inner.length - 1] || sourceCenter,
+        target
+      ),
+    ];
+
+    return {
+      d:
+        type === "bezier" || type === "curved"
+          ? WaypointEditor.smoothPath(
+              points.map((p) => ({
+                x: SvgFormat._number(p.x),
+                y: SvgFormat._number(p.y),
+              }))
+            )
+          : points
+              .map((p, i) => `${i === 0 ? "M" : "L"} ${SvgFormat._point(p)}`)
+              .join(" "),
+      labelPoint: SvgFormat._polylineMidpoint(points),
+    };
+  }
+
+  /**
+   * Point where the line from a node centre towards another point leaves
+   * the node bounds
+   * @private
+   */
+  static _clip(center, toward, rect) {
+    return GeometryUtils.lineRectIntersection(center, toward, rect) || center;
+  }
+
+  /**
+   * Point halfway along a polyline
+   * @private
+   */
+  static _polylineMidpoint(points) {
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      const length = GeometryUtils.distance(points[i - 1], points[i]);
+      lengths.push(length);
+      total += length;
+    }
+
+    let remaining = total / 2;
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i] && lengths[i] > 0) {
+        return GeometryUtils.lerpPoint(
+          points[i],
+          points[i + 1],
+          remaining / lengths[i]
+        );
+      }
+      remaining -= lengths[i];
+    }
+    return points[0];
+  }
+
+  /**
+   * One arrow marker per edge colour, in order of first use
+   * @private
+   */
+  static _renderMarkers(doc, edges) {
+    const ids = new Map(); // stroke colour -> marker id
+    const defs = SvgFormat._element(doc, "defs");
+
+    edges.forEach((edge) => {
+      const style = { ...DEFAULT_EDGE_STYLE, ...(edge.style || {}) };
+      const needsMarker =
+        style.markerEnd !== "none" ||
+        (style.markerStart && style.markerStart !== "none");
+      if (!needsMarker || ids.has(style.stroke)) return;
+
+      const id = `arrow-${ids.size + 1}`;
+      ids.set(style.stroke, id);
+
+      const marker = SvgFormat._element(doc, "marker", {
+        id,
+        viewBox: "0 0 10 10",
+        refX: 10,
+        refY: 5,
+        markerWidth: 6,
+        markerHeight: 6,
+        markerUnits: "strokeWidth",
+        orient: "auto-start-reverse",
+      });
+      marker.appendChild(
+        SvgFormat._element(doc, "path", {
+          d: "M 0 0 L 10 5 L 0 10 Z",
+          fill: style.stroke,
+        })
+      );
+      defs.appendChild(marker);
+    });
+
+    return { ids, defs: ids.size > 0 ? defs : null };
+  }
+
+  /**
+   * Centred, possibly multi-line text
+   * @private
+   */
+  static _renderText(doc, label, x, y, style) {
+    const lines = String(label).split("\n");
+    const text = SvgFormat._element(doc, "text", {
+      x: SvgFormat._number(x),
+      y: SvgFormat._number(y),
+      "text-anchor": "middle",
+      "dominant-baseline": "middle",
+      "font-family": style.fontFamily,
+      "font-size": style.fontSize,
+      fill: style.fill,
+    });
+
+    if (lines.length === 1) {
+      text.textContent = label;
+      return text;
+    }
+
+    lines.forEach((line, i) => {
+      const tspan = SvgFormat._element(doc, "tspan", {
+        x: SvgFormat._number(x),
+        dy: i === 0 ? `${-0.6 * (lines.length - 1)}em` : "1.2em",
+      });
+      tspan.textContent = line;
+      text.appendChild(tspan);
+    });
+    return text;
+  }
+
+  /**
+   * Containers sorted outermost first so they stack correctly
+   * @private
+   */
+  static _sortContainers(containers) {
+    const area = (n) => n.width * n.height;
+    return containers
+      .map((node, index) => ({ node, index }))
+      .sort((a, b) => area(b.node) - area(a.node) || a.index - b.index)
+      .map(({ node }) => node);
+  }
+
+  /**
+   * Edge waypoints (metadata.waypoints in documents older than 1.1)
+   * @private
+   */
+  static _waypoints(edge) {
+    if (Array.isArray(edge.waypoints) && edge.waypoints.length > 0) {
+      return edge.waypoints;
+    }
+    const waypoints = edge.metadata && edge.metadata.waypoints;
+    return Array.isArray(waypoints) ? waypoints : [];
+  }
+
+  /**
+   * Create an element with attributes
+   * @private
+   */
+  static _element(doc, tagName, attributes = {}) {
+    const element = doc.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    return element;
+  }
+
+  /**
+   * Attribute list of a DOM element or SvgElement
+   * @private
+   */
+  static _attributesOf(node) {
+    const attributes = Array.from(node.attributes, (a) => [a.name, a.value]);
+
+    // SvgElement keeps inline styles in a plain object
+    if (node instanceof SvgElement) {
+      const css = Object.entries(node.style)
+        .map(
+          ([key, value]) =>
+            `${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}: ${value};`
+        )
+        .join(" ");
+      if (css) attributes.push(["style", css]);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Format "x y" with rounded coordinates
+   * @private
+   */
+  static _point(point) {
+    return `${SvgFormat._number(point.x)} ${SvgFormat._number(point.y)}`;
+  }
+
+  /**
+   * Round to two decimals so output does not depend on float noise
+   * @private
+   */
+  static _number(value) {
+    const rounded = Math.round(value * 100) / 100;
+    return Object.is(rounded, -0) ? 0 : rounded;
+  }
+
+  /**
+   * Escape an attribute value
+   * @private
+   */
+  static _escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Escape text content
+   * @private
+   */
+  static _escapeText(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * formats/index.js - Barrel export for import/export format converters
+ *
+ * @module core/formats
+ */
+
+export { FormatUtils, CONTAINER_TYPES } from "./FormatUtils.js";
+export { MermaidFormat } from "./MermaidFormat.js";
+export { DrawioFormat } from "./DrawioFormat.js";
+export { DotFormat } from "./DotFormat.js";
+export { SvgFormat } from "./SvgFormat.js";
+export { SvgDocument, SvgElement, SvgText } from "./SvgDocument.js";
+export { PdfFormat, PAGE_SIZES } from "./PdfFormat.js";
+export { PdfPainter } from "./PdfPainter.js";
+export { PdfWriter } from "./PdfWriter.js";
+export { CodeFormat } from "./CodeFormat.js";
+export { FormatRegistry } from "./FormatRegistry.js";
+export {
+  ClipboardFormat,
+  CLIPBOARD_TYPE,
+  CLIPBOARD_MIME,
+} from "./ClipboardFormat.js";
@@ -0,0 +1,595 @@
+/**
+ * LayeredLayout.js - Hierarchical (Sugiyama-style) graph layout
+ *
+ * Pure layout engine: takes node sizes and edges, returns positions. It
+ * never touches managers, so it is shared by LayoutManager (undoable
+ * layout of the live graph) and the importers (placing nodes that arrive
+ * without coordinates).
+ *
+ * Phases:
+ * 1. Cycle breaking   - depth-first search; back edges are reversed
+ * 2. Layer assignment - longest path, then sources pulled down next to
+ *                       their successors
+ * 3. Normalization    - edges spanning several layers get a chain of
+ *                       dummy nodes so they reserve room between nodes;
+ *                       their positions become the edge's bend points
+ * 4. Crossing minimization - alternating barycenter sweeps plus adjacent
+ *                       swaps, keeping the best ordering seen
+ * 5. Coordinate assignment - nodes pulled towards their neighbours
+ *                       (dummies weigh more, so long edges run straight),
+ *                       solved per layer as a least-squares problem with
+ *                       minimum spacing between neighbours
+ *
+ * Layout is computed top to bottom and then rotated/mirrored for the
+ * LR, BT and RL directions. Node sizes are honoured in both axes.
+ *
+ * @module core/layout/LayeredLayout
+ */
+
+export const LAYOUT_DIRECTIONS = ["TB", "LR", "BT", "RL"];
+
+const DEFAULT_OPTIONS = {
+  direction: "TB",
+  rankSpacing: 60, // gap between layers
+  nodeSpacing: 40, // gap between neighbours in a layer
+  edgeSpacing: 20, // gap reserved for a long edge passing a layer
+  iterations: 24, // crossing-minimization sweeps
+};
+
+// Edge weights for coordinate assignment (Sugiyama's suggestion: keep
+// long edges straight first)
+const WEIGHT_REAL = 1;
+const WEIGHT_MIXED = 2;
+const WEIGHT_DUMMY = 8;
+
+// Adjacent-swap passes per layer
+const TRANSPOSE_PASSES = 4;
+
+export class LayeredLayout {
+  /**
+   * Compute positions for a graph
+   * @param {Array} nodes - [{id, width, height}]
+   * @param {Array} edges - [{sourceId, targetId}]; edges to unknown nodes
+   *                        and self-loops are ignored
+   * @param {Object} options
+   * @param {string} [options.direction='TB'] - TB, LR, BT or RL
+   * @param {number} [options.rankSpacing=60] - Gap between layers
+   * @param {number} [options.nodeSpacing=40] - Gap between nodes in a layer
+   * @param {number} [options.edgeSpacing=20] - Room for edges passing a layer
+   * @param {number} [options.iterations=24] - Crossing-minimization sweeps
+   * @returns {Object} - { positions: Map<id, {x, y}> (top-left corners,
+   *                     starting at 0,0), bends: Map<edge, [{x, y}]> for
+   *                     edges spanning several layers, width, height,
+   *                     layers, crossings, reversed: edges drawn against
+   *                     the flow }
+   * @throws {Error} If the direction is unknown
+   */
+  static compute(nodes, edges, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const direction = String(opts.direction || "TB").toUpperCase();
+    if (!LAYOUT_DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown layout direction "${opts.direction}"`);
+    }
+    const horizontal = direction === "LR" || direction === "RL";
+
+    const graph = LayeredLayout._buildGraph(nodes, edges, horizontal);
+    const reversed = LayeredLayout._breakCycles(graph);
+    LayeredLayout._assignLayers(graph);
+    const layers = LayeredLayout._normalize(graph, opts);
+    const crossings = LayeredLayout._orderLayers(layers, opts.iterations);
+    LayeredLayout._assignCoordinates(layers, opts);
+
+    return LayeredLayout._result(graph, layers, direction, opts, {
+      crossings,
+      reversed,
+    });
+  }
+
+  /**
+   * Count edge crossings between two ordered layers
+   *
+   * Inversion count over the lower endpoints (Barth, Jünger & Mutzel),
+   * O(E log V).
+   *
+   * @param {Array} upper - Layer nodes in order
+   * @param {Array} lower - Layer nodes in order
+   * @returns {number}
+   */
+  static countCrossings(upper, lower) {
+    const position = new Map(lower.map((node, i) => [node, i]));
+    const targets = [];
+    upper.forEach((node) => {
+      node.down
+        .map((n) => position.get(n))
+        .filter((p) => p !== undefined)
+        .sort((a, b) => a - b)
+        .forEach((p) => targets.push(p));
+    });
+
+    // Fenwick tree over lower positions
+    const tree = new Array(lower.length + 1).fill(0);
+    let crossings = 0;
+    targets.forEach((p, i) => {
+      // Edges seen so far that end right of p cross this one
+      let seenAtOrLeft = 0;
+      for (let j = p + 1; j > 0; j -= j & -j) seenAtOrLeft += tree[j];
+      crossings += i - seenAtOrLeft;
+      for (let j = p + 1; j <= lower.length; j += j & -j) tree[j]++;
+    });
+    return crossings;
+  }
+
+  /**
+   * Internal graph with sizes mapped to the top-to-bottom frame
+   * @private
+   */
+  static _buildGraph(nodes, edges, horizontal) {
+    const byId = new Map();
+    const list = nodes.map((node, index) => {
+      const width = Number(node.width) || 0;
+      const height = Number(node.height) || 0;
+      const entry = {
+        id: node.id,
+        index,
+        dummy: false,
+        // across = size along the layer, along = size across layers
+        across: horizontal ? height : width,
+        along: horizontal ? width : height,
+        layer: 0,
+        order: 0,
+        center: 0,
+        up: [], // neighbours in the layer above (dummies included)
+        down: [],
+        out: [], // successors after cycle breaking
+        in: [],
+      };
+      byId.set(node.id, entry);
+      return entry;
+    });
+
+    const links = [];
+    edges.forEach((edge) => {
+      const source = byId.get(edge.sourceId);
+      const target = byId.get(edge.targetId);
+      if (!source || !target || source === target) return;
+      links.push({ edge, source, target, reversed: false, dummies: [] });
+    });
+
+    return { nodes: list, byId, links };
+  }
+
+  /**
+   * Reverse back edges found by depth-first search so the graph is acyclic
+   * @private
+   */
+  static _breakCycles(graph) {
+    const outgoing = new Map(graph.nodes.map((n) => [n, []]));
+    graph.links.forEach((link) => outgoing.get(link.source).push(link));
+
+    const state = new Map(); // node -> 1 visiting, 2 done
+    const reversed = [];
+
+    // Start from sources so the natural flow direction wins
+    const hasIncoming = new Set(graph.links.map((link) => link.target));
+    const starts = [
+      ...graph.nodes.filter((n) => !hasIncoming.has(n)),
+      ...graph.nodes.filter((n) => hasIncoming.has(n)),
+    ];
+
+    starts.forEach((start) => {
+      if (state.has(start)) return;
+      // Iterative DFS: [node, next outgoing index]
+      const stack = [[start, 0]];
+      state.set(start, 1);
+
+      while (stack.length > 0) {
+        const top = stack[stack.length - 1];
+        const [node, index] = top;
+        const links = outgoing.get(node);
+
+        if (index >= links.length) {
+          state.set(node, 2);
+          stack.pop();
+          continue;
+        }
+        top[1]++;
+
+        const link = links[index];
+        const target = link.target;
+        if (state.get(target) === 1) {
+          link.reversed = true;
+          reversed.push(link.edge);
+        } else if (!state.has(target)) {
+          state.set(target, 1);
+          stack.push([target, 0]);
+        }
+      }
+    });
+
+    graph.links.forEach((link) => {
+      const from = link.reversed ? link.target : link.source;
+      const to = link.reversed ? link.source : link.target;
+      from.out.push(to);
+      to.in.push(from);
+    });
+
+    return reversed;
+  }
+
+  /**
+   * Longest-path layering, then pull sources towards their successors
+   * @private
+   */
+  static _assignLayers(graph) {
+    const pending = new Map(graph.nodes.map((n) => [n, n.in.length]));
+    const queue = graph.nodes.filter((n) => n.in.length === 0);
+    const order = [];
+
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      order.push(node);
+      node.out.forEach((next) => {
+        next.layer = Math.max(next.layer, node.layer + 1);
+        pending.set(next, pending.get(next) - 1);
+        if (pending.get(next) === 0) queue.push(next);
+      });
+    }
+
+    // A source with successors only needs to sit one layer above the
+    // nearest of them; processing bottom-up lets chains of sources follow
+    for (let i = order.length - 1; i >= 0; i--) {
+      const node = order[i];
+      if (node.in.length === 0 && node.out.length > 0) {
+        node.layer = Math.min(...node.out.map((next) => next.layer)) - 1;
+      }
+    }
+  }
+
+  /**
+   * Split long edges with dummy nodes and group nodes into layers
+   * @private
+   */
+  static _normalize(graph, opts) {
+    const count = Math.max(0, ...graph.nodes.map((n) => n.layer)) + 1;
+    const layers = Array.from({ length: count }, () => []);
+
+    graph.nodes.forEach((node) => layers[node.layer].push(node));
+
+    graph.links.forEach((link) => {
+      const from = link.reversed ? link.target : link.source;
+      const to = link.reversed ? link.source : link.target;
+      let previous = from;
+      link.dummies = [];
+      for (let layer = from.layer + 1; layer < to.layer; layer++) {
+        const dummy = {
+          id: null,
+          dummy: true,
+          across: opts.edgeSpacing,
+          along: 0,
+          layer,
+          order: 0,
+          center: 0,
+          up: [previous],
+          down: [],
+        };
+        previous.down.push(dummy);
+        layers[layer].push(dummy);
+        link.dummies.push(dummy);
+        previous = dummy;
+      }
+      previous.down.push(to);
+      to.up.push(previous);
+    });
+
+    // Initial order: depth-first from the top layer, so connected nodes
+    // start next to each other
+    const visited = new Set();
+    const sequence = [];
+    const visit = (start) => {
+      const stack = [start];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (visited.has(node)) continue;
+        visited.add(node);
+        sequence.push(node);
+        for (let i = node.down.length - 1; i >= 0; i--) {
+          stack.push(node.down[i]);
+        }
+      }
+    };
+    layers.forEach((layer) => layer.forEach(visit));
+
+    const rank = new Map(sequence.map((node, i) => [node, i]));
+    layers.forEach((layer) => {
+      layer.sort((a, b) => rank.get(a) - rank.get(b));
+      layer.forEach((node, i) => {
+        node.order = i;
+      });
+    });
+
+    return layers;
+  }
+
+  /**
+   * Barycenter sweeps with adjacent swaps; keeps the best ordering
+   * @private
+   */
+  static _orderLayers(layers, iterations) {
+    let best = layers.map((layer) => layer.slice());
+    let bestCrossings = LayeredLayout._totalCrossings(layers);
+
+    for (let i = 0; i < iterations && bestCrossings > 0; i++) {
+      const downward = i % 2 === 0;
+      if (downward) {
+        for (let l = 1; l < layers.length; l++) {
+          LayeredLayout._sortByBarycenter(layers[l], "up");
+        }
+      } else {
+        for (let l = layers.length - 2; l >= 0; l--) {
+          LayeredLayout._sortByBarycenter(layers[l], "down");
+        }
+      }
+      LayeredLayout._transpose(layers);
+
+      const crossings = LayeredLayout._totalCrossings(layers);
+      if (crossings < bestCrossings) {
+        bestCrossings = crossings;
+        best = layers.map((layer) => layer.slice());
+      }
+    }
+
+    best.forEach((layer, l) => {
+      layers[l] = layer;
+      layer.forEach((node, i) => {
+        node.order = i;
+      });
+    });
+    return bestCrossings;
+  }
+
+  /**
+   * Reorder a layer by the mean position of its neighbours on one side;
+   * nodes without such neighbours keep their slots
+   * @private
+   */
+  static _sortByBarycenter(layer, side) {
+    const movable = [];
+    const slots = [];
+    layer.forEach((node, i) => {
+      const neighbours = node[side];
+      if (neighbours.length === 0) return;
+      const sum = neighbours.reduce((total, n) => total + n.order, 0);
+      movable.push({ node, key: sum / neighbours.length, order: node.order });
+      slots.push(i);
+    });
+
+    movable.sort((a, b) => a.key - b.key || a.order - b.order);
+    slots.forEach((slot, i) => {
+      layer[slot] = movable[i].node;
+    });
+    layer.forEach((node, i) => {
+      node.order = i;
+    });
+  }
+
+  /**
+   * Swap neighbouring nodes while that removes crossings
+   * @private
+   */
+  static _transpose(layers) {
+    const crossingsOf = (left, right) => {
+      let count = 0;
+      ["up", "down"].forEach((side) => {
+        left[side].forEach((a) => {
+          right[side].forEach((b) => {
+            if (a.order > b.order) count++;
+          });
+        });
+      });
+      return count;
+    };
+
+    for (let pass = 0; pass < TRANSPOSE_PASSES; pass++) {
+      let improved = false;
+      layers.forEach((layer) => {
+        for (let i = 0; i + 1 < layer.length; i++) {
+          const left = layer[i];
+          const right = layer[i + 1];
+          if (crossingsOf(right, left) < crossingsOf(left, right)) {
+            layer[i] = right;
+            layer[i + 1] = left;
+            right.order = i;
+            left.order = i + 1;
+            improved = true;
+          }
+        }
+      });
+      if (!improved) break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _totalCrossings(layers) {
+    let total = 0;
+    for (let l = 0; l + 1 < layers.length; l++) {
+      total += LayeredLayout.countCrossings(layers[l], layers[l + 1]);
+    }
+    return total;
+  }
+
+  /**
+   * Place nodes along each layer
+   *
+   * Starts packed, then alternates passes that pull every node towards
+   * the weighted mean of its neighbours above or below. Each pass solves
+   * the layer exactly: minimum squared distance to the targets with the
+   * order and spacing kept (pool-adjacent-violators).
+   *
+   * @private
+   */
+  static _assignCoordinates(layers, opts) {
+    const gap = (a, b) =>
+      (a.across + b.across) / 2 +
+      (a.dummy && b.dummy ? opts.edgeSpacing : opts.nodeSpacing);
+
+    layers.forEach((layer) => {
+      let position = 0;
+      layer.forEach((node, i) => {
+        if (i > 0) position += gap(layer[i - 1], node);
+        node.center = position;
+      });
+    });
+
+    const passes = [];
+    for (let i = 0; i < 4; i++) passes.push("up", "down");
+    passes.push("both");
+
+    passes.forEach((side) => {
+      const sequence =
+        side === "down" ? layers.slice().reverse() : layers.slice();
+      sequence.forEach((layer) => {
+        const targets = layer.map((node) => {
+          const neighbours =
+            side === "both" ? [...node.up, ...node.down] : node[side];
+          let weight = 0;
+          let sum = 0;
+          neighbours.forEach((n) => {
+            const w =
+              node.dummy && n.dummy
+                ? WEIGHT_DUMMY
+                : node.dummy || n.dummy
+                ? WEIGHT_MIXED
+                : WEIGHT_REAL;
+            weight += w;
+            sum += w * n.center;
+          });
+          // Nodes without neighbours on this side stay put
+          return weight > 0
+            ? { value: sum / weight, weight }
+            : { value: node.center, weight: 0.01 };
+        });
+        LayeredLayout._placeLayer(layer, targets, gap);
+      });
+    });
+
+    // Shift so the leftmost node edge sits at 0
+    let min = Infinity;
+    layers.forEach((layer) =>
+      layer.forEach((node) => {
+        min = Math.min(min, node.center - node.across / 2);
+      })
+    );
+    layers.forEach((layer) =>
+      layer.forEach((node) => {
+        node.center -= min;
+      })
+    );
+  }
+
+  /**
+   * Weighted isotonic regression: positions closest to the targets with
+   * position[i + 1] - position[i] >= gap(i, i + 1)
+   * @private
+   */
+  static _placeLayer(layer, targets, gap) {
+    // Subtract the cumulative minimum offsets so the constraint becomes
+    // "non-decreasing"
+    const offsets = [0];
+    for (let i = 1; i < layer.length; i++) {
+      offsets.push(offsets[i - 1] + gap(layer[i - 1], layer[i]));
+    }
+
+    const blocks = []; // {value, weight, count}
+    targets.forEach((target, i) => {
+      blocks.push({
+        value: target.value - offsets[i],
+        weight: target.weight,
+        count: 1,
+      });
+      while (
+        blocks.length > 1 &&
+        blocks[blocks.length - 2].value > blocks[blocks.length - 1].value
+      ) {
+        const last = blocks.pop();
+        const previous = blocks[blocks.length - 1];
+        const weight = previous.weight + last.weight;
+        previous.value =
+          (previous.value * previous.weight + last.value * last.weight) /
+          weight;
+        previous.weight = weight;
+        previous.count += last.count;
+      }
+    });
+
+    let i = 0;
+    blocks.forEach((block) => {
+      for (let k = 0; k < block.count; k++, i++) {
+        layer[i].center = block.value + offsets[i];
+      }
+    });
+  }
+
+  /**
+   * Convert layer/centre coordinates to top-left positions in the
+   * requested direction
+   * @private
+   */
+  static _result(graph, layers, direction, opts, extra) {
+    // Layer bands: as thick as their tallest real node
+    const thickness = layers.map((layer) =>
+      Math.max(0, ...layer.filter((n) => !n.dummy).map((n) => n.along))
+    );
+    const bandStart = [];
+    let along = 0;
+    thickness.forEach((size, l) => {
+      bandStart.push(along);
+      along += size + (l < thickness.length - 1 ? opts.rankSpacing : 0);
+    });
+    const totalAlong = along;
+
+    let totalAcross = 0;
+    graph.nodes.forEach((node) => {
+      totalAcross = Math.max(totalAcross, node.center + node.across / 2);
+    });
+
+    const horizontal = direction === "LR" || direction === "RL";
+    const mirrored = direction === "BT" || direction === "RL";
+    const place = (node) => {
+      const left = node.center - node.across / 2;
+      let top =
+        bandStart[node.layer] + (thickness[node.layer] - node.along) / 2;
+      if (mirrored) top = totalAlong - top - node.along;
+      return horizontal ? { x: top, y: left } : { x: left, y: top };
+    };
+
+    const positions = new Map();
+    graph.nodes.forEach((node) => {
+      positions.set(node.id, place(node));
+    });
+
+    // Long edges bend through their dummy nodes, in the edge's own
+    // direction
+    const bends = new Map();
+    graph.links.forEach(({ edge, dummies, reversed }) => {
+      if (dummies.length === 0) return;
+      const points = dummies.map((dummy) => {
+        const corner = place(dummy);
+        return horizontal
+          ? { x: corner.x, y: corner.y + dummy.across / 2 }
+          : { x: corner.x + dummy.across / 2, y: corner.y };
+      });
+      bends.set(edge, reversed ? points.reverse() : points);
+    });
+
+    return {
+      positions,
+      bends,
+      width: horizontal ? totalAlong : totalAcross,
+      height: horizontal ? totalAcross : totalAlong,
+      layers: layers.length,
+      ...extra,
+    };
+  }
+}
@@ -0,0 +1,399 @@
+/**
+ * OrthogonalRouter.js - Obstacle-avoiding orthogonal edge routing
+ *
+ * Routes a connector between two node rectangles with horizontal and
+ * vertical segments only, keeping a clearance margin around every
+ * obstacle.
+ *
+ * The search runs A* over a sparse grid built from the obstacle borders
+ * (inflated by the margin), the port stubs and the channel between the
+ * two nodes. A search state is a grid point plus the direction it was
+ * entered from, so every turn can be charged a bend cost; the cheapest
+ * route is the shortest one among those with the fewest bends.
+ *
+ * Pure module: bounds in, points out.
+ *
+ * @module core/layout/OrthogonalRouter
+ */
+
+export const SIDES = ["top", "right", "bottom", "left"];
+
+const DEFAULT_OPTIONS = {
+  margin: 12, // clearance kept around every obstacle
+  bendCost: 40, // extra length a route may take to save one bend
+  sourceSide: null, // side the route leaves from (null: any)
+  targetSide: null, // side the route enters through (null: any)
+};
+
+// Unit steps per side, indexed like SIDES
+const STEPS = [
+  { x: 0, y: -1 },
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+];
+
+const EPSILON = 1e-6;
+
+export class OrthogonalRouter {
+  /**
+   * Route between two rectangles
+   * @param {Object} source - {x, y, width, height}
+   * @param {Object} target - {x, y, width, height}
+   * @param {Array} [obstacles=[]] - Rectangles to avoid; source and target
+   *                                 are always avoided
+   * @param {Object} options
+   * @param {number} [options.margin=12] - Clearance around obstacles
+   * @param {number} [options.bendCost=40] - Cost of one bend in pixels
+   * @param {string} [options.sourceSide] - top, right, bottom or left
+   * @param {string} [options.targetSide] - top, right, bottom or left
+   * @returns {Object} - { points: [{x, y}] from the source border to the
+   *                     target border, bends, routed: false if no route
+   *                     exists and a plain elbow was returned }
+   */
+  static route(source, target, obstacles = [], options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const margin = Math.max(0, opts.margin);
+
+    const rects = [source, target, ...obstacles].map((r) => ({
+      left: r.x - margin,
+      top: r.y - margin,
+      right: r.x + r.width + margin,
+      bottom: r.y + r.height + margin,
+    }));
+
+    const starts = OrthogonalRouter._ports(source, opts.sourceSide, margin);
+    const ends = OrthogonalRouter._ports(target, opts.targetSide, margin);
+
+    // Sparse grid lines
+    const xs = new Set();
+    const ys = new Set();
+    rects.forEach((r) => {
+      xs.add(r.left).add(r.right);
+      ys.add(r.top).add(r.bottom);
+    });
+    [...starts, ...ends].forEach(({ stub }) => {
+      xs.add(stub.x);
+      ys.add(stub.y);
+    });
+    xs.add((source.x + source.width / 2 + target.x + target.width / 2) / 2);
+    ys.add((source.y + source.height / 2 + target.y + target.height / 2) / 2);
+
+    const grid = {
+      xs: [...xs].sort((a, b) => a - b),
+      ys: [...ys].sort((a, b) => a - b),
+      rects,
+    };
+
+    const path = OrthogonalRouter._search(grid, starts, ends, opts.bendCost);
+    if (!path) {
+      return {
+        points: OrthogonalRouter.elbow(source, target),
+        bends: 2,
+        routed: false,
+      };
+    }
+
+    const points = OrthogonalRouter.simplify(path);
+    return { points, bends: points.length - 2, routed: true };
+  }
+
+  /**
+   * Side of a node a port sits on
+   * @param {Array} ports - Node ports ({id, position})
+   * @param {string} portId - Port id, or a side name
+   * @returns {string|null}
+   */
+  static sideOf(ports, portId) {
+    if (!portId) return null;
+    if (SIDES.includes(portId)) return portId;
+
+    const port = (ports || []).find((p) => p.id === portId);
+    return port && SIDES.includes(port.position) ? port.position : null;
+  }
+
+  /**
+   * Plain elbow between two rectangle centres (the fallback route)
+   * @param {Object} source - {x, y, width, height}
+   * @param {Object} target - {x, y, width, height}
+   * @returns {Array} - [{x, y}]
+   */
+  static elbow(source, target) {
+    const start = {
+      x: source.x + source.width / 2,
+      y: source.y + source.height / 2,
+    };
+    const end = {
+      x: target.x + target.width / 2,
+      y: target.y + target.height / 2,
+    };
+    const midX = (start.x + end.x) / 2;
+    return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+  }
+
+  /**
+   * Drop repeated points and points in the middle of straight runs
+   * @param {Array} points - [{x, y}]
+   * @returns {Array}
+   */
+  static simplify(points) {
+    const out = [];
+    points.forEach((point) => {
+      const last = out[out.length - 1];
+      if (last && last.x === point.x && last.y === point.y) return;
+
+      const before = out[out.length - 2];
+      if (
+        before &&
+        ((before.x === last.x && last.x === point.x) ||
+          (before.y === last.y && last.y === point.y))
+      ) {
+        out[out.length - 1] = point;
+      } else {
+        out.push(point);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Port and stub (first point outside the clearance) for each allowed side
+   * @private
+   */
+  static _ports(rect, side, margin) {
+    const sides = side && SIDES.includes(side) ? [side] : SIDES;
+    return sides.map((name) => {
+      const direction = SIDES.indexOf(name);
+      const step = STEPS[direction];
+      const port = {
+        x: rect.x + (rect.width * (1 + step.x)) / 2,
+        y: rect.y + (rect.height * (1 + step.y)) / 2,
+      };
+      return {
+        direction,
+        port,
+        stub: { x: port.x + step.x * margin, y: port.y + step.y * margin },
+      };
+    });
+  }
+
+  /**
+   * A* over grid points; returns the point list or null
+   * @private
+   */
+  static _search(grid, starts, ends, bendCost) {
+    const { xs, ys } = grid;
+    const index = (point) => ({
+      i: OrthogonalRouter._find(xs, point.x),
+      j: OrthogonalRouter._find(ys, point.y),
+    });
+    const keyOf = (i, j, direction) => (i * ys.length + j) * 4 + direction;
+
+    // Goal stubs, with the direction the route must arrive in
+    const goals = new Map();
+    ends.forEach((end) => {
+      if (OrthogonalRouter._blockedPoint(grid.rects, end.stub)) return;
+      const { i, j } = index(end.stub);
+      goals.set(i * ys.length + j, end);
+    });
+    if (goals.size === 0) return null;
+
+    const heuristic = (i, j) =>
+      Math.min(
+        ...ends.map(
+          ({ stub }) => Math.abs(xs[i] - stub.x) + Math.abs(ys[j] - stub.y)
+        )
+      );
+
+    const heap = new MinHeap();
+    const best = new Map(); // state key -> cost
+    const previous = new Map(); // state key -> state key
+    const origin = new Map(); // start state key -> start port
+
+    starts.forEach((start) => {
+      if (OrthogonalRouter._blockedPoint(grid.rects, start.stub)) return;
+      const { i, j } = index(start.stub);
+      const key = keyOf(i, j, start.direction);
+      const cost =
+        Math.abs(start.stub.x - start.port.x) +
+        Math.abs(start.stub.y - start.port.y);
+      best.set(key, cost);
+      origin.set(key, start.port);
+      heap.push({ f: cost + heuristic(i, j), g: cost, i, j, key });
+    });
+
+    while (heap.size > 0) {
+      const state = heap.pop();
+      if (state.goal) {
+        return OrthogonalRouter._trace(
+          state.from,
+          state.goal,
+          previous,
+          origin,
+          grid
+        );
+      }
+      if (state.g > best.get(state.key)) continue;
+
+      const direction = state.key % 4;
+      const goal = goals.get(state.i * ys.length + state.j);
+      if (goal) {
+        // Last leg: stub to port, entering against the side's direction
+        const inward = (goal.direction + 2) % 4;
+        const g =
+          state.g +
+          Math.abs(goal.stub.x - goal.port.x) +
+          Math.abs(goal.stub.y - goal.port.y) +
+          (direction === inward ? 0 : bendCost);
+        heap.push({ f: g, g, from: state.key, goal });
+      }
+
+      STEPS.forEach((step, next) => {
+        if (next === (direction + 2) % 4) return; // no U-turns
+        const i = state.i + step.x;
+        const j = state.j + step.y;
+        if (i < 0 || j < 0 || i >= xs.length || j >= ys.length) return;
+
+        const from = { x: xs[state.i], y: ys[state.j] };
+        const to = { x: xs[i], y: ys[j] };
+        if (OrthogonalRouter._blockedSegment(grid.rects, from, to)) return;
+
+        const g =
+          state.g +
+          Math.abs(to.x - from.x) +
+          Math.abs(to.y - from.y) +
+          (next === direction ? 0 : bendCost);
+        const key = keyOf(i, j, next);
+        if (best.has(key) && best.get(key) <= g) return;
+
+        best.set(key, g);
+        previous.set(key, state.key);
+        heap.push({ f: g + heuristic(i, j), g, i, j, key });
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Rebuild the point list from the search's back pointers
+   * @private
+   */
+  static _trace(key, goal, previous, origin, grid) {
+    const { xs, ys } = grid;
+    const points = [goal.port];
+    let current = key;
+    for (;;) {
+      const cell = Math.floor(current / 4);
+      points.push({
+        x: xs[Math.floor(cell / ys.length)],
+        y: ys[cell % ys.length],
+      });
+      if (!previous.has(current)) break;
+      current = previous.get(current);
+    }
+    points.push(origin.get(current));
+    return points.reverse();
+  }
+
+  /**
+   * Is a point strictly inside an inflated obstacle?
+   * @private
+   */
+  static _blockedPoint(rects, point) {
+    return rects.some(
+      (r) =>
+        point.x > r.left + EPSILON &&
+        point.x < r.right - EPSILON &&
+        point.y > r.top + EPSILON &&
+        point.y < r.bottom - EPSILON
+    );
+  }
+
+  /**
+   * Does an axis-aligned segment pass through an inflated obstacle?
+   * Running along an obstacle's border is allowed.
+   * @private
+   */
+  static _blockedSegment(rects, from, to) {
+    const x1 = Math.min(from.x, to.x);
+    const x2 = Math.max(from.x, to.x);
+    const y1 = Math.min(from.y, to.y);
+    const y2 = Math.max(from.y, to.y);
+    return rects.some(
+      (r) =>
+        x1 < r.right - EPSILON &&
+        x2 > r.left + EPSILON &&
+        y1 < r.bottom - EPSILON &&
+        y2 > r.top + EPSILON
+    );
+  }
+
+  /**
+   * Index of a value in a sorted array
+   * @private
+   */
+  static _find(values, value) {
+    let low = 0;
+    let high = values.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+}
+
+/**
+ * Binary min-heap on the f field
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].f <= item.f) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = item;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        let value = last.f;
+        if (left < items.length && items[left].f < value) {
+          smallest = left;
+          value = items[left].f;
+        }
+        if (right < items.length && items[right].f < value) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        items[i] = items[smallest];
+        i = smallest;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
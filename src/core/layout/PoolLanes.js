@@ -0,0 +1,320 @@
+/**
+ * PoolLanes.js - Geometry for swimlane pools with several lanes
+ *
+ * A pool is a swimlane node whose `pool` field lists its lanes:
+ *
+ *   { orientation: 'horizontal' | 'vertical',
+ *     lanes: [{ id, label, size }] }
+ *
+ * Horizontal lanes are bands stacked top to bottom; vertical lanes stand
+ * side by side. `size` is a lane's extent across the bands, so the pool's
+ * height (horizontal) or width (vertical) is the sum of the lane sizes.
+ * The pool label sits in a header strip at the start of the other axis,
+ * and every lane has a header strip of its own next to it.
+ *
+ * Everything here takes plain data and returns new objects, so callers can
+ * keep the old pool for undo.
+ *
+ * @module core/layout/PoolLanes
+ */
+
+export const POOL_HEADER_SIZE = 30;
+export const LANE_HEADER_SIZE = 30;
+export const MIN_LANE_SIZE = 60;
+
+export class PoolLanes {
+  /**
+   * Build a pool
+   * @param {Array} labels - One label per lane
+   * @param {Object} options
+   * @param {string} [options.orientation='horizontal']
+   * @param {number} [options.size=150] - Size of each lane
+   * @returns {Object} - Pool data
+   */
+  static create(labels, options = {}) {
+    const size = Math.max(MIN_LANE_SIZE, options.size || 150);
+    return {
+      orientation:
+        options.orientation === "vertical" ? "vertical" : "horizontal",
+      lanes: labels.map((label, i) => ({
+        id: `lane_${i + 1}`,
+        label: label || "",
+        size,
+      })),
+    };
+  }
+
+  /**
+   * Are the lanes horizontal bands?
+   * @param {Object} pool
+   * @returns {boolean}
+   */
+  static isHorizontal(pool) {
+    return !pool || pool.orientation !== "vertical";
+  }
+
+  /**
+   * Sum of the lane sizes: the pool's height (horizontal) or width
+   * @param {Object} pool
+   * @returns {number}
+   */
+  static extent(pool) {
+    return pool.lanes.reduce((sum, lane) => sum + lane.size, 0);
+  }
+
+  /**
+   * Offset of each lane from the pool's edge, by lane id
+   * @param {Object} pool
+   * @returns {Map} - laneId -> offset
+   */
+  static offsets(pool) {
+    const offsets = new Map();
+    let offset = 0;
+    pool.lanes.forEach((lane) => {
+      offsets.set(lane.id, offset);
+      offset += lane.size;
+    });
+    return offsets;
+  }
+
+  /**
+   * Pool header strip
+   * @param {Object} node - Pool node ({x, y, width, height, pool})
+   * @returns {Object} - {x, y, width, height}
+   */
+  static header(node) {
+    return PoolLanes._rect(node, 0, POOL_HEADER_SIZE, 0, null);
+  }
+
+  /**
+   * Lanes with their bounds. The last lane takes up any room the pool
+   * has beyond the lane sizes.
+   * @param {Object} node - Pool node ({x, y, width, height, pool})
+   * @returns {Array} - [{id, label, size, index, bounds, header, content}];
+   *                    header is the lane's label strip and content the
+   *                    area nodes go in
+   */
+  static lanes(node) {
+    const offsets = PoolLanes.offsets(node.pool);
+    const last = node.pool.lanes.length - 1;
+    return node.pool.lanes.map((lane, index) => {
+      const offset = offsets.get(lane.id);
+      const size =
+        index === last
+          ? Math.max(lane.size, PoolLanes._acrossSize(node) - offset)
+          : lane.size;
+      return {
+        ...lane,
+        index,
+        bounds: PoolLanes._rect(node, POOL_HEADER_SIZE, null, offset, size),
+        header: PoolLanes._rect(
+          node,
+          POOL_HEADER_SIZE,
+          LANE_HEADER_SIZE,
+          offset,
+          size
+        ),
+        content: PoolLanes._rect(
+          node,
+          POOL_HEADER_SIZE + LANE_HEADER_SIZE,
+          null,
+          offset,
+          size
+        ),
+      };
+    });
+  }
+
+  /**
+   * Lane holding a point
+   * @param {Object} node - Pool node
+   * @param {Object} point - {x, y}
+   * @returns {string|null} - Lane id
+   */
+  static laneAt(node, point) {
+    const lane = PoolLanes.lanes(node).find(({ bounds }) =>
+      PoolLanes._contains(bounds, point)
+    );
+    return lane ? lane.id : null;
+  }
+
+  /**
+   * Lane at a point's position across the lanes; points before the first
+   * lane or past the last one get that lane
+   * @param {Object} node - Pool node
+   * @param {Object} point - {x, y}
+   * @returns {string} - Lane id
+   */
+  static nearestLane(node, point) {
+    const across = PoolLanes.isHorizontal(node.pool)
+      ? point.y - node.y
+      : point.x - node.x;
+    const lanes = node.pool.lanes;
+    let end = 0;
+    const lane = lanes.find((l) => {
+      end += l.size;
+      return across < end;
+    });
+    return (lane || lanes[lanes.length - 1]).id;
+  }
+
+  /**
+   * Lane dividers: the far edge of every lane, which resizes that lane
+   * @param {Object} node - Pool node
+   * @returns {Array} - [{laneId, index, from: {x, y}, to: {x, y}}]
+   */
+  static dividers(node) {
+    const horizontal = PoolLanes.isHorizontal(node.pool);
+    return PoolLanes.lanes(node).map(({ id, index, bounds }) => {
+      const from = horizontal
+        ? { x: bounds.x, y: bounds.y + bounds.height }
+        : { x: bounds.x + bounds.width, y: bounds.y };
+      const to = horizontal
+        ? { x: bounds.x + bounds.width, y: from.y }
+        : { x: from.x, y: bounds.y + bounds.height };
+      return { laneId: id, index, from, to };
+    });
+  }
+
+  /**
+   * Divider within a distance of a point
+   * @param {Object} node - Pool node
+   * @param {Object} point - {x, y}
+   * @param {number} [tolerance=4]
+   * @returns {Object|null} - See dividers()
+   */
+  static dividerAt(node, point, tolerance = 4) {
+    return (
+      PoolLanes.dividers(node).find(({ from, to }) => {
+        const minX = Math.min(from.x, to.x) - tolerance;
+        const maxX = Math.max(from.x, to.x) + tolerance;
+        const minY = Math.min(from.y, to.y) - tolerance;
+        const maxY = Math.max(from.y, to.y) + tolerance;
+        return (
+          point.x >= minX &&
+          point.x <= maxX &&
+          point.y >= minY &&
+          point.y <= maxY
+        );
+      }) || null
+    );
+  }
+
+  /**
+   * Add a lane
+   * @param {Object} pool
+   * @param {number} index - Position of the new lane
+   * @param {Object} [lane] - {label, size}
+   * @returns {Object} - New pool; the new lane is at `index`
+   */
+  static insert(pool, index, lane = {}) {
+    const lanes = pool.lanes.map((l) => ({ ...l }));
+    const at = Math.max(0, Math.min(index, lanes.length));
+    lanes.splice(at, 0, {
+      id: PoolLanes.nextLaneId(pool),
+      label: lane.label || "",
+      size: Math.max(MIN_LANE_SIZE, lane.size || 150),
+    });
+    return { ...pool, lanes };
+  }
+
+  /**
+   * Remove a lane
+   * @param {Object} pool
+   * @param {string} laneId
+   * @returns {Object} - New pool
+   */
+  static remove(pool, laneId) {
+    return {
+      ...pool,
+      lanes: pool.lanes.filter((l) => l.id !== laneId).map((l) => ({ ...l })),
+    };
+  }
+
+  /**
+   * Move a lane to another position
+   * @param {Object} pool
+   * @param {string} laneId
+   * @param {number} index - New position
+   * @returns {Object} - New pool
+   */
+  static move(pool, laneId, index) {
+    const lanes = pool.lanes.map((l) => ({ ...l }));
+    const from = lanes.findIndex((l) => l.id === laneId);
+    if (from === -1) return { ...pool, lanes };
+
+    const [lane] = lanes.splice(from, 1);
+    lanes.splice(Math.max(0, Math.min(index, lanes.length)), 0, lane);
+    return { ...pool, lanes };
+  }
+
+  /**
+   * Change one lane's properties
+   * @param {Object} pool
+   * @param {string} laneId
+   * @param {Object} updates - {label, size}; size is kept >= MIN_LANE_SIZE
+   * @returns {Object} - New pool
+   */
+  static update(pool, laneId, updates) {
+    return {
+      ...pool,
+      lanes: pool.lanes.map((lane) => {
+        if (lane.id !== laneId) return { ...lane };
+        const next = { ...lane, ...updates };
+        next.size = Math.max(MIN_LANE_SIZE, Math.round(next.size));
+        return next;
+      }),
+    };
+  }
+
+  /**
+   * Unused lane id
+   * @param {Object} pool
+   * @returns {string}
+   */
+  static nextLaneId(pool) {
+    const ids = new Set(pool.lanes.map((l) => l.id));
+    let n = pool.lanes.length + 1;
+    while (ids.has(`lane_${n}`)) n++;
+    return `lane_${n}`;
+  }
+
+  /**
+   * Rectangle from offsets along the pool (where the headers are) and
+   * across it (where the lanes are); a null length runs to the far edge
+   * @private
+   */
+  static _rect(node, along, alongLength, across, acrossLength) {
+    const horizontal = PoolLanes.isHorizontal(node.pool);
+    const alongSize = horizontal ? node.width : node.height;
+    const a = alongLength === null ? alongSize - along : alongLength;
+    const c =
+      acrossLength === null
+        ? PoolLanes._acrossSize(node) - across
+        : acrossLength;
+    return horizontal
+      ? { x: node.x + along, y: node.y + across, width: a, height: c }
+      : { x: node.x + across, y: node.y + along, width: c, height: a };
+  }
+
+  /**
+   * Pool size across the lanes
+   * @private
+   */
+  static _acrossSize(node) {
+    return PoolLanes.isHorizontal(node.pool) ? node.height : node.width;
+  }
+
+  /**
+   * Is a point inside a rectangle (far edges excluded)?
+   * @private
+   */
+  static _contains(rect, point) {
+    return (
+      point.x >= rect.x &&
+      point.x < rect.x + rect.width &&
+      point.y >= rect.y &&
+      point.y < rect.y + rect.height
+    );
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * WaypointEditor.js - Geometry for user-editable edge waypoints
+ *
+ * Waypoints are the bend points an edge passes through between its source
+ * and target. Everything here works on plain {x, y} arrays and returns new
+ * arrays, so callers can keep the old list for undo.
+ *
+ * A "full" point list is [start, ...waypoints, end]; segment i runs from
+ * full[i] to full[i + 1].
+ *
+ * @module core/layout/WaypointEditor
+ */
+
+import { OrthogonalRouter, SIDES } from "./OrthogonalRouter.js";
+
+export class WaypointEditor {
+  /**
+   * Insert a bend into a segment
+   * @param {Array} waypoints
+   * @param {number} segment - Segment index in the full point list
+   * @param {Object} point - {x, y}
+   * @returns {Array} - New waypoints; the bend has index `segment`
+   */
+  static insert(waypoints, segment, point) {
+    const next = WaypointEditor._copy(waypoints);
+    const index = Math.max(0, Math.min(segment, next.length));
+    next.splice(index, 0, { x: point.x, y: point.y });
+    return next;
+  }
+
+  /**
+   * Move one bend
+   * @param {Array} waypoints
+   * @param {number} index - Waypoint index
+   * @param {Object} point - {x, y}
+   * @returns {Array}
+   */
+  static move(waypoints, index, point) {
+    const next = WaypointEditor._copy(waypoints);
+    if (index >= 0 && index < next.length) {
+      next[index] = { x: point.x, y: point.y };
+    }
+    return next;
+  }
+
+  /**
+   * Remove a bend
+   *
+   * On orthogonal edges a single bend can't go away on its own (the two
+   * segments it joins would turn diagonal and get a new elbow), so its
+   * neighbouring bend is removed with it.
+   *
+   * @param {Array} waypoints
+   * @param {number} index - Waypoint index
+   * @param {boolean} [orthogonal=false]
+   * @returns {Array}
+   */
+  static remove(waypoints, index, orthogonal = false) {
+    const next = WaypointEditor._copy(waypoints);
+    if (index < 0 || index >= next.length) return next;
+
+    if (orthogonal && next.length >= 2) {
+      const start = index < next.length - 1 ? index : index - 1;
+      next.splice(start, 2);
+    } else {
+      next.splice(index, 1);
+    }
+    return next;
+  }
+
+  /**
+   * Segments of a full point list, with their midpoints
+   * @param {Array} points - Full point list
+   * @returns {Array} - [{index, from, to, midpoint, orientation}] where
+   *                    orientation is 'horizontal', 'vertical' or null
+   */
+  static segments(points) {
+    return points.slice(1).map((to, i) => {
+      const from = points[i];
+      let orientation = null;
+      if (from.y === to.y && from.x !== to.x) orientation = "horizontal";
+      if (from.x === to.x && from.y !== to.y) orientation = "vertical";
+      return {
+        index: i,
+        from,
+        to,
+        midpoint: { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 },
+        orientation,
+      };
+    });
+  }
+
+  /**
+   * Shift one segment of an axis-aligned route so it passes through a point
+   *
+   * Horizontal segments move vertically and vertical segments horizontally,
+   * so the route stays axis-aligned. Moving the first or last segment adds
+   * a short leg so the route stays attached to its node.
+   *
+   * @param {Array} points - Full, axis-aligned point list
+   * @param {number} segment - Segment index
+   * @param {Object} position - {x, y} the segment should pass through
+   * @returns {Array} - New full point list
+   */
+  static moveSegment(points, segment, position) {
+    const next = WaypointEditor._copy(points);
+    const [info] = WaypointEditor.segments(points).slice(segment, segment + 1);
+    if (!info || !info.orientation) return next;
+
+    let index = segment;
+    if (index === next.length - 2) {
+      next.push({ ...next[next.length - 1] });
+    }
+    if (index === 0) {
+      next.unshift({ ...next[0] });
+      index = 1;
+    }
+
+    const axis = info.orientation === "horizontal" ? "y" : "x";
+    next[index][axis] = position[axis];
+    next[index + 1][axis] = position[axis];
+
+    return OrthogonalRouter.simplify(next);
+  }
+
+  /**
+   * Make a polyline axis-aligned by adding an elbow wherever two
+   * consecutive points differ in both coordinates. Each elbow continues
+   * in the direction of the previous leg, which saves a bend.
+   *
+   * @param {Array} points
+   * @param {boolean} [verticalFirst=false] - Direction of the first leg
+   * @returns {Array}
+   */
+  static orthogonalize(points, verticalFirst = false) {
+    if (points.length === 0) return [];
+
+    const out = [{ ...points[0] }];
+    let vertical = verticalFirst; // direction of the last leg
+    points.slice(1).forEach((point) => {
+      const last = out[out.length - 1];
+      if (last.x !== point.x && last.y !== point.y) {
+        out.push(
+          vertical ? { x: last.x, y: point.y } : { x: point.x, y: last.y }
+        );
+        vertical = !vertical;
+      } else if (last.x !== point.x || last.y !== point.y) {
+        vertical = last.x === point.x;
+      }
+      out.push({ x: point.x, y: point.y });
+    });
+    return OrthogonalRouter.simplify(out);
+  }
+
+  /**
+   * Axis-aligned route from a source node through waypoints to a target
+   * @param {Object} source - {x, y, width, height}
+   * @param {Object} target - {x, y, width, height}
+   * @param {Array} waypoints
+   * @param {Object} [options] - { sourceSide, targetSide }; a missing side
+   *                             is the one facing the nearest waypoint
+   * @returns {Array} - Full point list, node border to node border
+   */
+  static orthogonalRoute(source, target, waypoints, options = {}) {
+    const first = waypoints[0] || WaypointEditor._center(target);
+    const last =
+      waypoints[waypoints.length - 1] || WaypointEditor._center(source);
+    const sourceSide =
+      options.sourceSide || WaypointEditor.facingSide(source, first);
+    const targetSide =
+      options.targetSide || WaypointEditor.facingSide(target, last);
+    const startVertical = sourceSide === "top" || sourceSide === "bottom";
+    const endVertical = targetSide === "top" || targetSide === "bottom";
+
+    const points = WaypointEditor.orthogonalize(
+      [WaypointEditor.sidePoint(source, sourceSide), ...waypoints],
+      startVertical
+    );
+
+    // The last leg continues the previous one and enters the target square
+    // to its side: a Z when both run the same way, an L otherwise
+    const end = WaypointEditor.sidePoint(target, targetSide);
+    const tail = points[points.length - 1];
+    const before = points[points.length - 2];
+    const vertical = before ? before.x === tail.x : startVertical;
+    if (tail.x !== end.x && tail.y !== end.y) {
+      if (vertical === endVertical && vertical) {
+        const midY = (tail.y + end.y) / 2;
+        points.push({ x: tail.x, y: midY }, { x: end.x, y: midY });
+      } else if (vertical === endVertical) {
+        const midX = (tail.x + end.x) / 2;
+        points.push({ x: midX, y: tail.y }, { x: midX, y: end.y });
+      } else {
+        points.push(
+          vertical ? { x: tail.x, y: end.y } : { x: end.x, y: tail.y }
+        );
+      }
+    }
+    points.push(end);
+    return OrthogonalRouter.simplify(points);
+  }
+
+  /**
+   * Side of a rectangle that faces a point
+   * @param {Object} rect - {x, y, width, height}
+   * @param {Object} point - {x, y}
+   * @returns {string} - top, right, bottom or left
+   */
+  static facingSide(rect, point) {
+    const center = WaypointEditor._center(rect);
+    const dx = (point.x - center.x) / (rect.width || 1);
+    const dy = (point.y - center.y) / (rect.height || 1);
+    if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? "right" : "left";
+    return dy >= 0 ? "bottom" : "top";
+  }
+
+  /**
+   * Midpoint of one side of a rectangle
+   * @param {Object} rect - {x, y, width, height}
+   * @param {string} side - top, right, bottom or left
+   * @returns {Object} - {x, y}
+   */
+  static sidePoint(rect, side) {
+    switch (SIDES.includes(side) ? side : "right") {
+      case "top":
+        return { x: rect.x + rect.width / 2, y: rect.y };
+      case "bottom":
+        return { x: rect.x + rect.width / 2, y: rect.y + rect.height };
+      case "left":
+        return { x: rect.x, y: rect.y + rect.height / 2 };
+      default:
+        return { x: rect.x + rect.width, y: rect.y + rect.height / 2 };
+    }
+  }
+
+  /**
+   * SVG path data for a smooth curve through every point
+   * (Catmull-Rom spline converted to cubic Béziers)
+   * @param {Array} points - At least two points
+   * @returns {string}
+   */
+  static smoothPath(points) {
+    if (points.length < 3) {
+      return points
+        .map((p, i) => `${i === 0 ? "M" : "L"} ${p.x} ${p.y}`)
+        .join(" ");
+    }
+
+    let d = `M ${points[0].x} ${points[0].y}`;
+    for (let i = 0; i < points.length - 1; i++) {
+      const p0 = points[i - 1] || points[i];
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      const p3 = points[i + 2] || p2;
+      const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+      const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+      d += ` C ${WaypointEditor._round(c1.x)} ${WaypointEditor._round(
+        c1.y
+      )} ${WaypointEditor._round(c2.x)} ${WaypointEditor._round(c2.y)} ${
+        p2.x
+      } ${p2.y}`;
+    }
+    return d;
+  }
+
+  /**
+   * Point halfway along a polyline (for labels)
+   * @param {Array} points
+   * @returns {Object} - {x, y}
+   */
+  static midpoint(points) {
+    const lengths = points
+      .slice(1)
+      .map((p, i) => Math.hypot(p.x - points[i].x, p.y - points[i].y));
+    let remaining = lengths.reduce((sum, l) => sum + l, 0) / 2;
+
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i] && lengths[i] > 0) {
+        const t = remaining / lengths[i];
+        return {
+          x: points[i].x + (points[i + 1].x - points[i].x) * t,
+          y: points[i].y + (points[i + 1].y - points[i].y) * t,
+        };
+      }
+      remaining -= lengths[i];
+    }
+    return { ...(points[0] || { x: 0, y: 0 }) };
+  }
+
+  /**
+   * Copy of a point list
+   * @private
+   */
+  static _copy(points) {
+    return (points || []).map((p) => ({ x: p.x, y: p.y }));
+  }
+
+  /**
+   * Centre of a rectangle
+   * @private
+   */
+  static _center(rect) {
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+  }
+
+  /**
+   * Round to two decimals for path data
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
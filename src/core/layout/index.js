@@ -0,0 +1,15 @@
+/**
+ * layout/index.js - Barrel export for automatic layout engines
+ *
+ * @module core/layout
+ */
+
+export { LayeredLayout, LAYOUT_DIRECTIONS } from "./LayeredLayout.js";
+export { OrthogonalRouter, SIDES } from "./OrthogonalRouter.js";
+export { WaypointEditor } from "./WaypointEditor.js";
+export {
+  PoolLanes,
+  POOL_HEADER_SIZE,
+  LANE_HEADER_SIZE,
+  MIN_LANE_SIZE,
+} from "./PoolLanes.js";
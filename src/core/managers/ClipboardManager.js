@@ -7,24 +7,39 @@
  * - Cut operations (copy + delete)
  * - Duplicate selected items
  * - Handle clipboard data formats
- * - Support external clipboard integration
+ * - Write the system clipboard in several formats at once: labels as
+ *   text, HTML, the editor's JSON and PNG/SVG pictures of the copy
+ * - Paste from other apps: pictures become image nodes, text lines
+ *   process nodes, and Mermaid or DOT text a graph
+ * - Make each cut and paste a single undo step
  *
  * @module core/managers/ClipboardManager
  */
 
+import { CommandBus } from "../events/CommandBus.js";
+import { ClipboardFormat, CLIPBOARD_MIME } from "../formats/ClipboardFormat.js";
+
+// Types every browser with ClipboardItem can write
+const STANDARD_TYPES = ["text/plain", "text/html", "image/png"];
+
+const IMAGE_TYPES = ["image/svg+xml", "image/png"];
+
 export class ClipboardManager {
   constructor(
     eventBus,
     stateManager,
     nodeManager,
     edgeManager,
-    selectionManager
+    selectionManager,
+    exportManager = null
   ) {
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
     this.stateManager = stateManager;
     this.nodeManager = nodeManager;
     this.edgeManager = edgeManager;
     this.selectionManager = selectionManager;
+    this.exportManager = exportManager; // Renders pictures, parses graphs
 
     // Internal clipboard storage
     this.clipboard = {
@@ -135,12 +150,14 @@ export class ClipboardManager {
       const selection = this.selectionManager.getSelection();
 
       // Delete selected items
-      selection.edges.forEach((edgeId) => {
-        this.edgeManager.deleteEdge(edgeId);
-      });
-
-      selection.nodes.forEach((nodeId) => {
-        this.nodeManager.deleteNode(nodeId);
+      this.commandBus.batch("Cut", () => {
+        selection.edges.forEach((edgeId) => {
+          this.edgeManager.deleteEdge(edgeId);
+        });
+
+        selection.nodes.forEach((nodeId) => {
+          this.nodeManager.deleteNode(nodeId);
+        });
       });
 
       this.eventBus.emit("clipboard:cut", {
@@ -187,36 +204,47 @@ export class ClipboardManager {
       const createdNodes = [];
       const createdEdges = [];
 
-      // Create nodes with offset positions
-      this.clipboard.nodes.forEach((nodeData) => {
-        const newNodeData = {
-          ...nodeData,
-          id: undefined, // Let NodeManager generate new ID
-          x: position ? position.x : nodeData.x + pasteOffset.x,
-          y: position ? position.y : nodeData.y + pasteOffset.y,
-        };
-
-        const newNodeId = this.nodeManager.createNode(newNodeData);
-        idMap.set(nodeData.id, newNodeId);
-        createdNodes.push(newNodeId);
-      });
-
-      // Create edges with updated node references
-      this.clipboard.edges.forEach((edgeData) => {
-        const newSourceId = idMap.get(edgeData.sourceId);
-        const newTargetId = idMap.get(edgeData.targetId);
-
-        if (newSourceId && newTargetId) {
-          const newEdgeData = {
-            ...edgeData,
-            id: undefined, // Let EdgeManager generate new ID
-            sourceId: newSourceId,
-            targetId: newTargetId,
+      this.commandBus.batch("Paste", () => {
+        // Create nodes with offset positions
+        this.clipboard.nodes.forEach((nodeData) => {
+          const newNodeData = {
+            ...nodeData,
+            id: undefined, // Let NodeManager generate new ID
+            x: position ? position.x : nodeData.x + pasteOffset.x,
+            y: position ? position.y : nodeData.y + pasteOffset.y,
+            parentId: null,
           };
 
-          const newEdgeId = this.edgeManager.createEdge(newEdgeData);
-          createdEdges.push(newEdgeId);
-        }
+          const newNodeId = this.nodeManager.createNode(newNodeData);
+          idMap.set(nodeData.id, newNodeId);
+          createdNodes.push(newNodeId);
+        });
+
+        // Copied children go into their copied container
+        this.clipboard.nodes.forEach((nodeData) => {
+          const parentId = idMap.get(nodeData.parentId);
+          if (parentId) {
+            this.nodeManager.updateNode(idMap.get(nodeData.id), { parentId });
+          }
+        });
+
+        // Create edges with updated node references
+        this.clipboard.edges.forEach((edgeData) => {
+          const newSourceId = idMap.get(edgeData.sourceId);
+          const newTargetId = idMap.get(edgeData.targetId);
+
+          if (newSourceId && newTargetId) {
+            const newEdgeData = {
+              ...edgeData,
+              id: undefined, // Let EdgeManager generate new ID
+              sourceId: newSourceId,
+              targetId: newTargetId,
+            };
+
+            const newEdgeId = this.edgeManager.createEdge(newEdgeData);
+            createdEdges.push(newEdgeId);
+          }
+        });
       });
 
       // Select newly pasted items
@@ -304,60 +332,286 @@ export class ClipboardManager {
   }
 
   /**
-   * Write to system clipboard (if available)
+   * Paste what another app (or another editor window) put on the system
+   * clipboard. The editor's own data wins, then Mermaid or DOT text, then
+   * pictures, then plain text, one process node per line. What this
+   * window copied itself is pasted as by paste().
+   * @param {Object} data - Clipboard contents by MIME type; text as
+   *                        strings, image/png as a Uint8Array
+   * @param {Object} [options] - { position } for the top-left corner
+   * @returns {Promise<Object>} - Created node and edge IDs
+   */
+  async pasteExternal(data, options = {}) {
+    try {
+      const payload =
+        ClipboardFormat.parse(data[CLIPBOARD_MIME]) ||
+        ClipboardFormat.parse(ClipboardFormat.fromHTML(data["text/html"])) ||
+        ClipboardFormat.parse(data["text/plain"]);
+
+      if (payload) {
+        if (
+          payload.timestamp &&
+          payload.timestamp === this.clipboard.timestamp
+        ) {
+          return this.paste();
+        }
+        return this._pasteFragment(payload, options);
+      }
+
+      const fragment = await this._fragmentFromData(data);
+      if (!fragment || fragment.nodes.length === 0) {
+        // Nothing we understand; fall back to the editor's own clipboard
+        return this.paste();
+      }
+      return this._pasteFragment(fragment, options);
+    } catch (error) {
+      console.error("Error during paste:", error);
+      this.eventBus.emit("clipboard:error", { operation: "paste", error });
+      return { nodes: [], edges: [] };
+    }
+  }
+
+  /**
+   * Paste from the system clipboard through the async Clipboard API
+   * (asks the user for permission in some browsers)
+   * @param {Object} [options] - See pasteExternal()
+   * @returns {Promise<Object>} - Created node and edge IDs
+   */
+  async pasteFromSystem(options = {}) {
+    return this.pasteExternal(await this._readFromSystemClipboard(), options);
+  }
+
+  /**
+   * Paste from a DOM paste event
+   * @param {ClipboardEvent} event
+   * @param {Object} [options] - See pasteExternal()
+   * @returns {Promise<Object>} - Created node and edge IDs
+   */
+  async pasteFromClipboardEvent(event, options = {}) {
+    const transfer = event.clipboardData;
+    const data = {};
+
+    if (transfer) {
+      // The transfer is emptied once the event is handled; read it first
+      ["text/plain", "text/html"].forEach((type) => {
+        const value = transfer.getData(type);
+        if (value) data[type] = value;
+      });
+      const files = Array.from(transfer.files || []).filter((file) =>
+        IMAGE_TYPES.includes(file.type)
+      );
+
+      for (const file of files) {
+        data[file.type] = await this._readBlob(file);
+      }
+    }
+
+    return this.pasteExternal(data, options);
+  }
+
+  /**
+   * Make a fragment from foreign clipboard data
    * @private
    */
+  async _fragmentFromData(data) {
+    const text = data["text/plain"] || "";
+    const kind = text.trim() ? ClipboardFormat.detectText(text) : null;
+
+    if ((kind === "mermaid" || kind === "dot") && this.exportManager) {
+      try {
+        const graph = await this.exportManager.importFormat(kind, text);
+        return { nodes: graph.nodes, edges: graph.edges };
+      } catch (error) {
+        // Looked like a graph but is not one; paste it as lines
+        console.warn(`Could not read pasted ${kind} text:`, error);
+      }
+    }
+
+    const svg =
+      data["image/svg+xml"] || (/^\s*<svg\b/i.test(text) ? text : null);
+    if (svg) {
+      return ClipboardFormat.imageFragment(
+        ClipboardFormat.toDataURL(svg, "image/svg+xml"),
+        ClipboardFormat.svgSize(svg)
+      );
+    }
+
+    if (data["image/png"]) {
+      return ClipboardFormat.imageFragment(
+        ClipboardFormat.toDataURL(data["image/png"], "image/png"),
+        ClipboardFormat.pngSize(data["image/png"])
+      );
+    }
+
+    if (kind) {
+      return ClipboardFormat.linesToFragment(text);
+    }
+    return null;
+  }
+
+  /**
+   * Put a fragment on the clipboard and paste it where asked
+   * @private
+   */
+  _pasteFragment(fragment, options) {
+    const placed = options.position
+      ? ClipboardFormat.moveTo(fragment, options.position)
+      : fragment;
+
+    this.clipboard = {
+      nodes: placed.nodes,
+      edges: placed.edges,
+      timestamp: fragment.timestamp || Date.now(),
+      source: "external",
+    };
+    this.pasteCount = 0;
+
+    return this.paste({ offset: false });
+  }
+
+  /**
+   * Write the clipboard to the system clipboard in every format the
+   * browser takes. Called synchronously from copy() so the write still
+   * counts as part of the user's gesture.
+   * @private
+   * @returns {Promise<boolean>} - True if anything was written
+   */
   async _writeToSystemClipboard() {
-    if (!navigator.clipboard || !navigator.clipboard.writeText) {
-      return;
+    const clipboard =
+      typeof navigator !== "undefined" ? navigator.clipboard : null;
+    if (!clipboard) {
+      return false;
     }
 
-    try {
-      const data = JSON.stringify({
-        type: "flowchart-editor-clipboard",
-        version: "1.0",
-        nodes: this.clipboard.nodes,
-        edges: this.clipboard.edges,
-        timestamp: this.clipboard.timestamp,
-      });
+    const fragment = {
+      nodes: this.clipboard.nodes,
+      edges: this.clipboard.edges,
+    };
+    const payload = ClipboardFormat.serialize(
+      fragment,
+      this.clipboard.timestamp
+    );
 
-      await navigator.clipboard.writeText(data);
+    if (clipboard.write && typeof ClipboardItem !== "undefined") {
+      const representations = this._buildRepresentations(fragment, payload);
+
+      try {
+        await clipboard.write([new ClipboardItem(representations)]);
+        return true;
+      } catch (error) {
+        // Usually a picture failed to render; text alone still helps
+        console.warn("Could not write all clipboard formats:", error);
+      }
+
+      try {
+        await clipboard.write([
+          new ClipboardItem({
+            "text/plain": representations["text/plain"],
+            "text/html": representations["text/html"],
+          }),
+        ]);
+        return true;
+      } catch (error) {
+        console.warn("Could not write rich clipboard data:", error);
+      }
+    }
+
+    if (!clipboard.writeText) {
+      return false;
+    }
+
+    try {
+      await clipboard.writeText(payload);
+      return true;
     } catch (error) {
       // System clipboard write failed, but internal clipboard still works
       console.warn("Could not write to system clipboard:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Blobs (or promises of blobs) for a ClipboardItem, by MIME type
+   * @private
+   */
+  _buildRepresentations(fragment, payload) {
+    const supports = (type) =>
+      typeof ClipboardItem.supports === "function"
+        ? ClipboardItem.supports(type)
+        : STANDARD_TYPES.includes(type);
+    const blob = (text, type) => new Blob([text], { type });
+
+    const representations = {
+      "text/plain": blob(ClipboardFormat.toText(fragment), "text/plain"),
+      "text/html": blob(ClipboardFormat.toHTML(fragment, payload), "text/html"),
+    };
+
+    if (supports(CLIPBOARD_MIME)) {
+      representations[CLIPBOARD_MIME] = blob(payload, "application/json");
+    }
+
+    if (this.exportManager && fragment.nodes.length > 0) {
+      if (supports("image/svg+xml")) {
+        representations["image/svg+xml"] = blob(
+          this.exportManager.exportDocument("svg", fragment),
+          "image/svg+xml"
+        );
+      }
+      if (supports("image/png")) {
+        // Rendering is async; the browser waits for it
+        representations["image/png"] = Promise.resolve(
+          this.exportManager.exportDocument("png", fragment)
+        );
+      }
     }
+
+    return representations;
   }
 
   /**
-   * Read from system clipboard (if available)
+   * Read every type on the system clipboard
    * @private
+   * @returns {Promise<Object>} - Contents by MIME type (see pasteExternal)
    */
   async _readFromSystemClipboard() {
-    if (!navigator.clipboard || !navigator.clipboard.readText) {
-      return false;
+    const clipboard =
+      typeof navigator !== "undefined" ? navigator.clipboard : null;
+    const data = {};
+
+    if (!clipboard) {
+      return data;
     }
 
     try {
-      const text = await navigator.clipboard.readText();
-      const data = JSON.parse(text);
-
-      if (data.type === "flowchart-editor-clipboard") {
-        this.clipboard = {
-          nodes: data.nodes || [],
-          edges: data.edges || [],
-          timestamp: data.timestamp,
-          source: "external",
-        };
-
-        this.pasteCount = 0;
-        return true;
+      if (clipboard.read) {
+        const items = await clipboard.read();
+        for (const item of items) {
+          for (const type of item.types) {
+            if (!(type in data)) {
+              data[type] = await this._readBlob(await item.getType(type));
+            }
+          }
+        }
+      } else if (clipboard.readText) {
+        data["text/plain"] = await clipboard.readText();
       }
     } catch (error) {
-      // Not valid clipboard data
-      return false;
+      // Permission denied or nothing readable
+      console.warn("Could not read the system clipboard:", error);
     }
 
-    return false;
+    return data;
+  }
+
+  /**
+   * Blob contents: bytes for PNG, text for everything else
+   * @private
+   */
+  async _readBlob(blob) {
+    if (blob.type === "image/png") {
+      return new Uint8Array(await blob.arrayBuffer());
+    }
+    return blob.text();
   }
 
   /**
@@ -0,0 +1,804 @@
+/**
+ * CollaborationManager.js - Real-time collaborative editing
+ *
+ * Responsibilities:
+ * - Mirror local node, edge and layer changes into a CrdtDocument and send
+ *   the operations over a CollabTransport
+ * - Apply remote operations to the managers without recording them
+ * - Join rooms: an empty room gets the local diagram, otherwise the local
+ *   diagram is replaced with the room's
+ * - Share presence (cursor, selection) and keep track of peers
+ * - Emit collaboration events
+ *
+ * Local changes are picked up from the managers' events and diffed against
+ * the document, so every mutating API (and undo/redo, which goes through
+ * the same APIs) is shared without the managers knowing about it.
+ *
+ * Remote changes are applied with recording paused (command:pause), so
+ * HistoryManager only ever holds the local user's commands: undo reverts
+ * the local user's last change and shares the result like any other edit.
+ *
+ * The managers show the document's visible state: an edge whose node was
+ * deleted while it was being drawn elsewhere is hidden, a node whose
+ * container was deleted is shown at the top level, and a node whose layer
+ * was deleted is shown in the default layer (see _visible).
+ *
+ * Events: collab:connected, collab:joined, collab:disconnected,
+ * collab:remote:applied { siteId, changes }, collab:peer:joined,
+ * collab:peer:left, collab:presence { siteId, user, presence },
+ * collab:error
+ *
+ * @module core/managers/CollaborationManager
+ */
+
+import { CrdtDocument } from "../collab/CrdtDocument.js";
+
+/**
+ * Events that change one entity: [event, collection, id field]
+ */
+const ENTITY_EVENTS = [
+  ["node:created", "nodes", "nodeId"],
+  ["node:updated", "nodes", "nodeId"],
+  ["node:moved", "nodes", "nodeId"],
+  ["node:resized", "nodes", "nodeId"],
+  ["node:deleted", "nodes", "nodeId"],
+  ["layer:node:added", "nodes", "nodeId"],
+  ["layer:node:removed", "nodes", "nodeId"],
+  ["edge:created", "edges", "edgeId"],
+  ["edge:updated", "edges", "edgeId"],
+  ["edge:deleted", "edges", "edgeId"],
+  ["layer:created", "layers", "layerId"],
+  ["layer:deleted", "layers", "layerId"],
+  ["layer:renamed", "layers", "layerId"],
+  ["layer:visibility:changed", "layers", "layerId"],
+  ["layer:locked:changed", "layers", "layerId"],
+  ["layer:opacity:changed", "layers", "layerId"],
+];
+
+// Layers first so nodes can join them, nodes before the edges between them
+const APPLY_ORDER = ["layers", "nodes", "edges"];
+
+// Model fields that are not part of the shared document
+const LOCAL_FIELDS = ["id", "createdAt", "updatedAt"];
+
+const LAYER_SETTERS = {
+  name: "renameLayer",
+  visible: "setLayerVisible",
+  locked: "setLayerLocked",
+  opacity: "setLayerOpacity",
+};
+
+// Applying remote changes can make the managers change other entities
+// (edges of a deleted node, children of a deleted container); they are
+// brought back in line with the document this many times at most
+const MAX_SETTLE_PASSES = 3;
+
+export const PEER_COLORS = [
+  "#e53935",
+  "#8e24aa",
+  "#3949ab",
+  "#00897b",
+  "#7cb342",
+  "#fb8c00",
+  "#6d4c41",
+  "#d81b60",
+];
+
+export class CollaborationManager {
+  /**
+   * @param {EventBus} eventBus
+   * @param {StateManager} stateManager
+   * @param {NodeManager} nodeManager
+   * @param {EdgeManager} edgeManager
+   * @param {LayerManager} [layerManager]
+   * @param {Object} [options]
+   * @param {string} [options.siteId] - Unique id of this editor
+   * @param {Object} [options.user] - { name, color } shown to peers
+   * @param {number} [options.presenceInterval=50] - Min ms between
+   *                                                 presence messages
+   */
+  constructor(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager,
+    layerManager = null,
+    options = {}
+  ) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.nodeManager = nodeManager;
+    this.edgeManager = edgeManager;
+    this.layerManager = layerManager;
+
+    this.siteId =
+      options.siteId || `site-${Math.random().toString(36).slice(2, 10)}`;
+    const user = options.user || {};
+    this.user = {
+      name: user.name || "Guest",
+      color: user.color || colorFor(this.siteId),
+    };
+    this.presenceInterval =
+      options.presenceInterval !== undefined ? options.presenceInterval : 50;
+
+    // Connection
+    this.transport = null;
+    this.room = null;
+    this.joined = false;
+    this.unsubscribe = [];
+
+    // Shared document, created per room
+    this.doc = null;
+
+    // Operations waiting to be sent
+    this.outbox = [];
+    this.flushScheduled = false;
+
+    // Ids the managers changed while remote operations were applied, by
+    // collection (null when not applying)
+    this.touched = null;
+
+    // Other people in the room: siteId -> { siteId, user, presence }
+    this.peers = new Map();
+
+    // What peers see of this user
+    this.presence = { cursor: null, selection: { nodes: [], edges: [] } };
+    this.presenceTimer = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    ENTITY_EVENTS.forEach(([event, collection, key]) => {
+      this.eventBus.on(event, (data = {}) =>
+        this._onLocalChange(collection, data[key])
+      );
+    });
+
+    this.eventBus.on("layer:reordered", () => this._onLocalReset("layers"));
+    this.eventBus.on("nodes:cleared", () => this._onLocalReset("nodes"));
+    this.eventBus.on("edges:cleared", () => this._onLocalReset("edges"));
+
+    this.eventBus.on("selection:changed", ({ nodes = [], edges = [] }) => {
+      this.presence.selection = { nodes: [...nodes], edges: [...edges] };
+      this._schedulePresence();
+    });
+  }
+
+  /**
+   * Join a room
+   * @param {CollabTransport} transport - Connection to the relay
+   * @param {string} room - Room name
+   * @returns {Promise<void>} - Resolves once the join request is sent
+   */
+  async connect(transport, room) {
+    if (this.transport) {
+      this.disconnect();
+    }
+
+    this.transport = transport;
+    this.room = room;
+    this.doc = new CrdtDocument(this.siteId);
+    this.unsubscribe = [
+      transport.on("message", (message) => this._onMessage(message)),
+      transport.on("close", () => this._onClose()),
+    ];
+
+    try {
+      await transport.connect();
+    } catch (error) {
+      console.error("Error connecting to collaboration server:", error);
+      this._detach();
+      this.eventBus.emit("collab:error", { operation: "connect", error });
+      throw error;
+    }
+
+    this.eventBus.emit("collab:connected", { room, siteId: this.siteId });
+    transport.send({
+      type: "join",
+      room,
+      siteId: this.siteId,
+      user: this.user,
+    });
+  }
+
+  /**
+   * Leave the room
+   */
+  disconnect() {
+    const transport = this.transport;
+    if (!transport) return;
+
+    const room = this.room;
+    this.flush();
+    this._detach();
+    transport.close();
+
+    this.eventBus.emit("collab:disconnected", { room });
+  }
+
+  /**
+   * Is this editor in a room?
+   * @returns {boolean}
+   */
+  isConnected() {
+    return Boolean(this.transport && this.joined);
+  }
+
+  /**
+   * Send queued operations now (they are otherwise sent after the current
+   * task, so one user action goes out as one message)
+   */
+  flush() {
+    this.flushScheduled = false;
+    if (this.outbox.length === 0 || !this.transport) return;
+
+    const ops = this.outbox;
+    this.outbox = [];
+    this.transport.send({ type: "ops", ops });
+  }
+
+  /**
+   * Share the local cursor position
+   * @param {Object|null} point - {x, y} in canvas coordinates, or null
+   *                              when the pointer left the canvas
+   */
+  updateCursor(point) {
+    this.presence.cursor = point ? { x: point.x, y: point.y } : null;
+    this._schedulePresence();
+  }
+
+  /**
+   * Other people in the room
+   * @returns {Array} - [{ siteId, user, presence }]
+   */
+  getPeers() {
+    return Array.from(this.peers.values()).map((peer) => ({ ...peer }));
+  }
+
+  /**
+   * Visible shared document (for debugging and tests)
+   * @returns {Object|null} - { nodes, edges, layers } by id
+   */
+  getDocument() {
+    return this.doc ? this.doc.toJSON() : null;
+  }
+
+  /**
+   * Handle a message from the relay
+   * @private
+   */
+  _onMessage(message) {
+    switch (message.type) {
+      case "welcome":
+        this._onWelcome(message);
+        break;
+      case "ops":
+        this._applyRemote(message.ops || [], message.siteId);
+        break;
+      case "join":
+        this.peers.set(message.siteId, {
+          siteId: message.siteId,
+          user: message.user,
+          presence: null,
+        });
+        this.eventBus.emit("collab:peer:joined", {
+          siteId: message.siteId,
+          user: message.user,
+        });
+        // Let the newcomer see this user's cursor and selection
+        this._sendPresence();
+        break;
+      case "presence":
+        this.peers.set(message.siteId, {
+          siteId: message.siteId,
+          user: message.user,
+          presence: message.presence,
+        });
+        this.eventBus.emit("collab:presence", {
+          siteId: message.siteId,
+          user: message.user,
+          presence: message.presence,
+        });
+        break;
+      case "leave":
+        this.peers.delete(message.siteId);
+        this.eventBus.emit("collab:peer:left", { siteId: message.siteId });
+        break;
+      default:
+        console.warn(`Unknown collaboration message: ${message.type}`);
+    }
+  }
+
+  /**
+   * Seed an empty room or take over the room's document
+   * @private
+   */
+  _onWelcome({ ops = [], peers = [] }) {
+    this.joined = true;
+    const seeded = ops.length === 0;
+
+    if (seeded) {
+      APPLY_ORDER.forEach((collection) =>
+        this._localIds(collection).forEach((id) =>
+          this._publish(collection, id)
+        )
+      );
+      this.flush();
+    } else {
+      this._withRemote(() => {
+        ops.forEach((op) => this._applyOp(op));
+        APPLY_ORDER.forEach((collection) =>
+          this._allIds(collection).forEach((id) =>
+            this.touched.get(collection).add(id)
+          )
+        );
+      });
+      // The local history undoes edits to a document that is gone
+      this.eventBus.emit("command:clear");
+    }
+
+    peers.forEach((peer) => {
+      this.peers.set(peer.siteId, { ...peer });
+      this.eventBus.emit("collab:presence", { ...peer });
+    });
+
+    this.eventBus.emit("collab:joined", {
+      room: this.room,
+      siteId: this.siteId,
+      peers: this.getPeers(),
+      seeded,
+    });
+    this._sendPresence();
+  }
+
+  /**
+   * The relay went away
+   * @private
+   */
+  _onClose() {
+    const room = this.room;
+    this._detach();
+    this.eventBus.emit("collab:disconnected", { room });
+  }
+
+  /**
+   * Forget the connection and everything that came with it
+   * @private
+   */
+  _detach() {
+    this.unsubscribe.forEach((off) => off());
+    this.unsubscribe = [];
+    clearTimeout(this.presenceTimer);
+    this.presenceTimer = null;
+    this.transport = null;
+    this.joined = false;
+    this.outbox = [];
+    this.peers.clear();
+  }
+
+  /**
+   * A manager changed an entity
+   * @private
+   */
+  _onLocalChange(collection, id) {
+    if (!id) return;
+
+    if (this.touched) {
+      this.touched.get(collection).add(id);
+    } else if (this.joined) {
+      this._publish(collection, id);
+    }
+  }
+
+  /**
+   * A manager changed a whole collection
+   * @private
+   */
+  _onLocalReset(collection) {
+    this._allIds(collection).forEach((id) =>
+      this._onLocalChange(collection, id)
+    );
+  }
+
+  /**
+   * Record an entity's local state in the document and queue the operation
+   * @private
+   */
+  _publish(collection, id) {
+    const current = this._read(collection, id);
+    const known = this.doc.get(collection, id);
+
+    if (!current && !known) return;
+
+    if (!current) {
+      this._queue(this.doc.remove(collection, id));
+    } else if (!known) {
+      this._queue(this.doc.put(collection, id, current));
+    } else {
+      const fields = changedFields(known, current);
+      if (fields) {
+        this._queue(this.doc.set(collection, id, fields));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _queue(op) {
+    this.outbox.push(op);
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      Promise.resolve().then(() => this.flush());
+    }
+  }
+
+  /**
+   * Apply operations from a peer
+   * @private
+   */
+  _applyRemote(ops, siteId) {
+    const changes = [];
+
+    this._withRemote(() => {
+      ops.forEach((op) => {
+        const change = this._applyOp(op);
+        if (change) changes.push(change);
+      });
+    });
+
+    if (changes.length > 0) {
+      this.eventBus.emit("collab:remote:applied", { siteId, changes });
+    }
+  }
+
+  /**
+   * Apply one operation to the document and mark what it changed
+   * @private
+   */
+  _applyOp(op) {
+    try {
+      const change = this.doc.apply(op);
+      if (change) {
+        this.touched.get(change.collection).add(change.id);
+        // Edges follow their nodes (see _visible)
+        if (change.collection === "nodes" && change.type !== "updated") {
+          this.doc
+            .ids("edges")
+            .filter((edgeId) => {
+              const edge = this.doc.get("edges", edgeId);
+              return edge.sourceId === change.id || edge.targetId === change.id;
+            })
+            .forEach((edgeId) => this.touched.get("edges").add(edgeId));
+        }
+      }
+      return change;
+    } catch (error) {
+      console.error("Error applying collaboration operation:", error);
+      this.eventBus.emit("collab:error", { operation: "apply", op, error });
+      return null;
+    }
+  }
+
+  /**
+   * Run fn with recording paused, then make the managers show the
+   * document for everything that was touched
+   * @private
+   */
+  _withRemote(fn) {
+    this.touched = emptyTouched();
+    this.eventBus.emit("command:pause");
+
+    try {
+      fn();
+
+      for (let pass = 0; pass < MAX_SETTLE_PASSES; pass++) {
+        const touched = this.touched;
+        if (APPLY_ORDER.every((name) => touched.get(name).size === 0)) break;
+
+        this.touched = emptyTouched();
+        APPLY_ORDER.forEach((collection) =>
+          touched
+            .get(collection)
+            .forEach((id) => this._materialize(collection, id))
+        );
+        if (touched.get("layers").size > 0) {
+          this._reorderLayers();
+        }
+      }
+    } finally {
+      this.touched = null;
+      this.eventBus.emit("command:resume");
+    }
+  }
+
+  /**
+   * Make a manager's entity match the document
+   * @private
+   */
+  _materialize(collection, id) {
+    const value = this._visible(collection, id);
+    const current = this._read(collection, id);
+
+    try {
+      if (collection === "nodes") {
+        this._materializeNode(id, value, current);
+      } else if (collection === "edges") {
+        this._materializeEdge(id, value, current);
+      } else {
+        this._materializeLayer(id, value, current);
+      }
+    } catch (error) {
+      console.error(`Error applying remote change to ${id}:`, error);
+      this.eventBus.emit("collab:error", {
+        operation: "apply",
+        collection,
+        id,
+        error,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _materializeNode(id, value, current) {
+    if (!value) {
+      if (current) this.nodeManager.deleteNode(id);
+      return;
+    }
+
+    const { layerId, ...data } = value;
+    if (!current) {
+      this.nodeManager.createNode({ id, ...data });
+    } else {
+      const fields = changedFields(current, data) || {};
+      const { x, y, width, height, ...rest } = fields;
+
+      if (Object.keys(rest).length > 0) {
+        this.nodeManager.updateNode(id, rest);
+      }
+      if ([x, y, width, height].some((v) => v !== undefined)) {
+        // Children have their own entries, so they are not carried along
+        this.nodeManager.setNodeBounds(id, {
+          x: data.x,
+          y: data.y,
+          width: data.width,
+          height: data.height,
+        });
+      }
+    }
+
+    if (
+      layerId &&
+      this.layerManager &&
+      this.layerManager.getNodeLayer(id) !== layerId
+    ) {
+      this.layerManager.addNodeToLayer(id, layerId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _materializeEdge(id, value, current) {
+    if (!value) {
+      if (current) this.edgeManager.deleteEdge(id);
+    } else if (!current) {
+      this.edgeManager.createEdge({ id, ...value });
+    } else {
+      const fields = changedFields(current, value);
+      if (fields) this.edgeManager.updateEdge(id, fields);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _materializeLayer(id, value, current) {
+    const layers = this.layerManager;
+    if (!layers) return;
+
+    if (!value) {
+      if (current && id !== layers.defaultLayerId) layers.deleteLayer(id);
+      return;
+    }
+    if (!current) {
+      layers.createLayer(id, value);
+    }
+
+    const fields = changedFields(this._read("layers", id), value) || {};
+    Object.entries(LAYER_SETTERS).forEach(([key, method]) => {
+      if (key in fields) layers[method](id, fields[key]);
+    });
+  }
+
+  /**
+   * Put the layers in the document's order
+   * @private
+   */
+  _reorderLayers() {
+    const layers = this.layerManager;
+    if (!layers) return;
+
+    const index = (id) => {
+      const layer = this.doc.get("layers", id);
+      return layer && typeof layer.index === "number" ? layer.index : Infinity;
+    };
+    const order = [...layers.layerOrder].sort(
+      (a, b) => index(a) - index(b) || (a < b ? -1 : a > b ? 1 : 0)
+    );
+
+    if (order.some((id, i) => id !== layers.layerOrder[i])) {
+      layers.reorderLayers(order);
+    }
+  }
+
+  /**
+   * An entity as the managers have it, in document form
+   * @private
+   */
+  _read(collection, id) {
+    if (collection === "nodes") {
+      const node = this.nodeManager.getNode(id);
+      if (!node) return null;
+
+      const fields = withoutLocalFields(node.serialize());
+      if (this.layerManager) {
+        fields.layerId = this.layerManager.getNodeLayer(id) || null;
+      }
+      return fields;
+    }
+
+    if (collection === "edges") {
+      const edge = this.edgeManager.getEdge(id);
+      return edge ? withoutLocalFields(edge.serialize()) : null;
+    }
+
+    const layer = this.layerManager && this.layerManager.getLayer(id);
+    if (!layer) return null;
+    return {
+      name: layer.name,
+      visible: layer.visible,
+      locked: layer.locked,
+      opacity: layer.opacity,
+      color: layer.color,
+      description: layer.description,
+      index: this.layerManager.layerOrder.indexOf(id),
+    };
+  }
+
+  /**
+   * An entity as the managers should show it, or null if hidden
+   * @private
+   */
+  _visible(collection, id) {
+    const value = this.doc.get(collection, id);
+    if (!value) return null;
+
+    if (collection === "edges") {
+      const ends = [value.sourceId, value.targetId];
+      return ends.every((nodeId) => this.doc.get("nodes", nodeId))
+        ? value
+        : null;
+    }
+
+    if (collection === "nodes") {
+      if (value.parentId && !this.doc.get("nodes", value.parentId)) {
+        value.parentId = null;
+        value.laneId = null;
+      }
+      if (
+        value.layerId &&
+        this.layerManager &&
+        !this.doc.get("layers", value.layerId)
+      ) {
+        value.layerId = this.layerManager.defaultLayerId;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Ids of a collection in the managers
+   * @private
+   */
+  _localIds(collection) {
+    if (collection === "nodes") {
+      return this.nodeManager.getAllNodes().map((node) => node.id);
+    }
+    if (collection === "edges") {
+      return this.edgeManager.getAllEdges().map((edge) => edge.id);
+    }
+    return this.layerManager ? [...this.layerManager.layerOrder] : [];
+  }
+
+  /**
+   * Ids of a collection in the managers or the document
+   * @private
+   */
+  _allIds(collection) {
+    const ids = new Set(this._localIds(collection));
+    if (this.doc) {
+      this.doc.ids(collection).forEach((id) => ids.add(id));
+    }
+    return Array.from(ids);
+  }
+
+  /**
+   * Send presence at most every presenceInterval ms
+   * @private
+   */
+  _schedulePresence() {
+    if (!this.joined || this.presenceTimer) return;
+
+    this.presenceTimer = setTimeout(() => {
+      this.presenceTimer = null;
+      this._sendPresence();
+    }, this.presenceInterval);
+  }
+
+  /**
+   * @private
+   */
+  _sendPresence() {
+    if (!this.joined) return;
+    this.transport.send({ type: "presence", presence: this.presence });
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.disconnect();
+  }
+}
+
+/**
+ * Stable color for a site id
+ * @param {string} siteId
+ * @returns {string}
+ */
+export function colorFor(siteId) {
+  let hash = 0;
+  for (let i = 0; i < siteId.length; i++) {
+    hash = (hash * 31 + siteId.charCodeAt(i)) >>> 0;
+  }
+  return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
+/**
+ * Fields of `after` that differ from `before`, or null
+ * @private
+ */
+function changedFields(before, after) {
+  const fields = {};
+  Object.keys(after).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      fields[key] = after[key];
+    }
+  });
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * @private
+ */
+function withoutLocalFields(data) {
+  const fields = { ...data };
+  LOCAL_FIELDS.forEach((key) => delete fields[key]);
+  return fields;
+}
+
+/**
+ * @private
+ */
+function emptyTouched() {
+  return new Map(APPLY_ORDER.map((collection) => [collection, new Set()]));
+}
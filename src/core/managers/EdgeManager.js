@@ -4,19 +4,34 @@
  * Responsibilities:
  * - Create, read, update, delete edges
  * - Track all edges in the graph
- * - Manage edge routing and paths
+ * - Manage edge routing and paths (orthogonal routes avoid nodes)
+ * - Route edges through user-placed waypoints
+ * - Attach edges to collapsed containers in place of the nodes they hide
  * - Handle edge properties and styling
  * - Validate edge connections
+ * - Keep a spatial index of the area each edge covers
  * - Emit edge lifecycle events
+ * - Record every change as an undoable command (command:record)
  *
  * @module core/managers/EdgeManager
  */
 
+import { CommandBus } from "../events/CommandBus.js";
 import { EdgeModel } from "../models/EdgeModel.js";
+import { OrthogonalRouter } from "../layout/OrthogonalRouter.js";
+import { WaypointEditor } from "../layout/WaypointEditor.js";
+import { CONTAINER_TYPES } from "../formats/FormatUtils.js";
+import { SpatialIndex } from "../../utils/geometry/SpatialIndex.js";
+import {
+  AddEdgeCommand,
+  DeleteEdgeCommand,
+  UpdateEdgeCommand,
+} from "./HistoryManager.js";
 
 export class EdgeManager {
   constructor(eventBus, stateManager, nodeManager) {
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
     this.stateManager = stateManager;
     this.nodeManager = nodeManager;
 
@@ -33,6 +48,13 @@ export class EdgeManager {
     // Connection rules
     this.connectionRules = new Map();
 
+    // Orthogonal routing
+    this.routingOptions = { margin: 12, bendCost: 40 };
+    this.routeCache = new Map(); // edgeId -> { points, box }
+
+    // Area each edge covers: its ends, waypoints and cached route
+    this.spatialIndex = new SpatialIndex();
+
     this._setupEventListeners();
   }
 
@@ -47,9 +69,46 @@ export class EdgeManager {
     });
 
     // When a node moves, update edge paths
-    this.eventBus.on("node:moved", ({ nodeId }) => {
+    this.eventBus.on("node:moved", ({ nodeId, oldPosition }) => {
+      const node = this.nodeManager.getNode(nodeId);
+      const oldBounds =
+        node && oldPosition
+          ? { ...oldPosition, width: node.width, height: node.height }
+          : null;
+      this.updateEdgesForNode(nodeId, [oldBounds]);
+    });
+
+    this.eventBus.on("node:resized", ({ nodeId, oldSize }) => {
+      const node = this.nodeManager.getNode(nodeId);
+      const oldBounds =
+        node && oldSize ? { x: node.x, y: node.y, ...oldSize } : null;
+      this.updateEdgesForNode(nodeId, [oldBounds]);
+    });
+
+    // New or removed nodes can block or free orthogonal routes
+    this.eventBus.on("node:created", ({ nodeId }) => {
       this.updateEdgesForNode(nodeId);
     });
+
+    this.eventBus.on("node:deleted", ({ nodeData }) => {
+      if (nodeData) this._rerouteEdges(new Set(), [nodeData]);
+    });
+
+    // Edges of nodes inside a collapsed container end at the container
+    this.eventBus.on("node:visibility:changed", ({ nodeId }) => {
+      const node = this.nodeManager.getNode(nodeId);
+      this._rerouteEdges(new Set(this.edgesByNode.get(nodeId) || []), [
+        node ? this.nodeManager.getNodeBounds(nodeId) : null,
+      ]);
+    });
+
+    this.eventBus.on("edge:updated", ({ edgeId }) => {
+      this.routeCache.delete(edgeId);
+    });
+
+    this.eventBus.on("edge:deleted", ({ edgeId }) => {
+      this.routeCache.delete(edgeId);
+    });
   }
 
   /**
@@ -85,7 +144,9 @@ export class EdgeManager {
         type: data.type || "straight",
         label: data.label || "",
         style: data.style || {},
+        waypoints: data.waypoints || [],
         data: data.data || {},
+        metadata: data.metadata || {},
         animated: data.animated || false,
         markers: data.markers || { start: null, end: "arrow" },
       };
@@ -97,6 +158,7 @@ export class EdgeManager {
 
       // Track by nodes
       this._addEdgeToNodeTracking(edgeId, data.sourceId, data.targetId);
+      this._indexEdge(edgeId);
 
       // Track by type
       if (!this.edgesByType.has(edgeData.type)) {
@@ -115,6 +177,8 @@ export class EdgeManager {
         targetId: data.targetId,
       });
 
+      this.commandBus.record(new AddEdgeCommand(this, edge.serialize()));
+
       return edgeId;
     } catch (error) {
       console.error("Error creating edge:", error);
@@ -129,16 +193,18 @@ export class EdgeManager {
    * @returns {Array} - Array of created edge IDs
    */
   createEdges(edgesData) {
-    return edgesData
-      .map((data) => {
-        try {
-          return this.createEdge(data);
-        } catch (error) {
-          console.error("Error creating edge:", error);
-          return null;
-        }
-      })
-      .filter(Boolean);
+    return this.commandBus.batch("Add Edges", () =>
+      edgesData
+        .map((data) => {
+          try {
+            return this.createEdge(data);
+          } catch (error) {
+            console.error("Error creating edge:", error);
+            return null;
+          }
+        })
+        .filter(Boolean)
+    );
   }
 
   /**
@@ -302,6 +368,7 @@ export class EdgeManager {
 
       // Apply updates
       Object.assign(edge, updates);
+      this._indexEdge(edgeId);
 
       // Update type tracking if type changed
       if (updates.type && updates.type !== oldValues.type) {
@@ -319,6 +386,10 @@ export class EdgeManager {
         edge: edge.serialize(),
       });
 
+      this.commandBus.recordChange(
+        new UpdateEdgeCommand(this, edgeId, oldValues, { ...updates })
+      );
+
       return true;
     } catch (error) {
       console.error("Error updating edge:", error);
@@ -364,6 +435,7 @@ export class EdgeManager {
 
       // Remove edge
       this.edges.delete(edgeId);
+      this.spatialIndex.remove(edgeId);
 
       // Update state
       this._updateState();
@@ -374,6 +446,8 @@ export class EdgeManager {
         edgeData,
       });
 
+      this.commandBus.record(new DeleteEdgeCommand(this, edgeId, edgeData));
+
       return true;
     } catch (error) {
       console.error("Error deleting edge:", error);
@@ -390,10 +464,12 @@ export class EdgeManager {
   deleteEdges(edgeIds) {
     const deleted = [];
 
-    edgeIds.forEach((edgeId) => {
-      if (this.deleteEdge(edgeId)) {
-        deleted.push(edgeId);
-      }
+    this.commandBus.batch("Delete Edges", () => {
+      edgeIds.forEach((edgeId) => {
+        if (this.deleteEdge(edgeId)) {
+          deleted.push(edgeId);
+        }
+      });
     });
 
     return deleted;
@@ -411,18 +487,29 @@ export class EdgeManager {
 
   /**
    * Update edge paths for a node (when node moves)
+   *
+   * Besides the node's own edges, cached orthogonal routes that pass the
+   * node's current or previous area are recomputed.
+   *
    * @param {string} nodeId - Node identifier
+   * @param {Array} [oldAreas=[]] - Areas the node covered before, {x, y,
+   *                                width, height}
    */
-  updateEdgesForNode(nodeId) {
-    const edges = this.getEdgesForNode(nodeId);
-
-    edges.forEach((edge) => {
-      this.eventBus.emit("edge:path:update", {
-        edgeId: edge.id,
-        sourceId: edge.sourceId,
-        targetId: edge.targetId,
+  updateEdgesForNode(nodeId, oldAreas = []) {
+    const edgeIds = new Set(this.edgesByNode.get(nodeId) || []);
+
+    // A collapsed container also stands in for everything inside it
+    const node = this.nodeManager.getNode(nodeId);
+    if (node && node.collapsed) {
+      this.nodeManager.getDescendants(nodeId).forEach((descendant) => {
+        (this.edgesByNode.get(descendant.id) || []).forEach((edgeId) =>
+          edgeIds.add(edgeId)
+        );
       });
-    });
+    }
+
+    const areas = [this.nodeManager.getNodeBounds(nodeId), ...oldAreas];
+    this._rerouteEdges(edgeIds, areas);
   }
 
   /**
@@ -431,13 +518,17 @@ export class EdgeManager {
   clearAll() {
     const edgeIds = Array.from(this.edges.keys());
 
-    edgeIds.forEach((edgeId) => {
-      this.deleteEdge(edgeId);
+    this.commandBus.batch("Clear Edges", () => {
+      edgeIds.forEach((edgeId) => {
+        this.deleteEdge(edgeId);
+      });
     });
 
     this.edges.clear();
     this.edgesByNode.clear();
     this.edgesByType.clear();
+    this.routeCache.clear();
+    this.spatialIndex.clear();
     this.nextEdgeId = 1;
 
     this._updateState();
@@ -534,15 +625,30 @@ export class EdgeManager {
    */
   calculateEdgePath(edgeId) {
     const edge = this.getEdge(edgeId);
-    if (!edge) return [];
+    if (!edge || this.isEdgeHidden(edgeId)) return [];
 
-    const sourceNode = this.nodeManager.getNode(edge.sourceId);
-    const targetNode = this.nodeManager.getNode(edge.targetId);
+    // Ends inside a collapsed container attach to the container
+    const sourceNode = this.nodeManager.getVisibleNode(edge.sourceId);
+    const targetNode = this.nodeManager.getVisibleNode(edge.targetId);
 
     if (!sourceNode || !targetNode) return [];
 
-    const sourceBounds = this.nodeManager.getNodeBounds(edge.sourceId);
-    const targetBounds = this.nodeManager.getNodeBounds(edge.targetId);
+    const sourceBounds = this.nodeManager.getNodeBounds(sourceNode.id);
+    const targetBounds = this.nodeManager.getNodeBounds(targetNode.id);
+    const rerouted =
+      sourceNode.id !== edge.sourceId || targetNode.id !== edge.targetId;
+
+    // User-placed waypoints override automatic routing (they lie inside
+    // the container while an end is collapsed into it)
+    if (edge.waypoints && edge.waypoints.length > 0 && !rerouted) {
+      return this._calculateWaypointPath(
+        edge,
+        sourceNode,
+        targetNode,
+        sourceBounds,
+        targetBounds
+      );
+    }
 
     // Calculate connection points based on edge type
     switch (edge.type) {
@@ -556,7 +662,7 @@ export class EdgeManager {
         return this._calculateBezierPath(sourceBounds, targetBounds);
 
       case "orthogonal":
-        return this._calculateOrthogonalPath(sourceBounds, targetBounds);
+        return this._calculateOrthogonalPath(edge, sourceNode, targetNode);
 
       default:
         return [
@@ -566,6 +672,84 @@ export class EdgeManager {
     }
   }
 
+  /**
+   * Get edges whose area overlaps a rectangle: the box around their ends,
+   * waypoints and route, so a few may not actually cross it
+   * @param {Object} rect - {x, y, width, height}
+   * @returns {Array} - Edge IDs
+   */
+  getEdgesInRect(rect) {
+    return this.spatialIndex.search(rect);
+  }
+
+  /**
+   * Check if an edge is hidden because both of its ends are inside the
+   * same collapsed container
+   * @param {string} edgeId - Edge identifier
+   * @returns {boolean}
+   */
+  isEdgeHidden(edgeId) {
+    const edge = this.getEdge(edgeId);
+    if (!edge) return false;
+
+    const source = this.nodeManager.getVisibleNode(edge.sourceId);
+    const target = this.nodeManager.getVisibleNode(edge.targetId);
+    return (
+      Boolean(source && target) &&
+      source.id === target.id &&
+      (source.id !== edge.sourceId || target.id !== edge.targetId)
+    );
+  }
+
+  /**
+   * Replace an edge's waypoints
+   * @param {string} edgeId - Edge identifier
+   * @param {Array} waypoints - [{x, y}]
+   * @returns {boolean}
+   */
+  setEdgeWaypoints(edgeId, waypoints) {
+    return this.updateEdge(edgeId, {
+      waypoints: (waypoints || []).map((p) => ({ x: p.x, y: p.y })),
+    });
+  }
+
+  /**
+   * Path through an edge's waypoints; orthogonal edges get elbows so every
+   * segment stays axis-aligned
+   * @private
+   */
+  _calculateWaypointPath(
+    edge,
+    sourceNode,
+    targetNode,
+    sourceBounds,
+    targetBounds
+  ) {
+    if (edge.type === "orthogonal") {
+      return WaypointEditor.orthogonalRoute(
+        sourceBounds,
+        targetBounds,
+        edge.waypoints,
+        {
+          sourceSide: OrthogonalRouter.sideOf(
+            sourceNode.ports,
+            edge.sourcePort
+          ),
+          targetSide: OrthogonalRouter.sideOf(
+            targetNode.ports,
+            edge.targetPort
+          ),
+        }
+      );
+    }
+
+    return [
+      { x: sourceBounds.centerX, y: sourceBounds.centerY },
+      ...edge.waypoints.map((p) => ({ x: p.x, y: p.y })),
+      { x: targetBounds.centerX, y: targetBounds.centerY },
+    ];
+  }
+
   /**
    * Calculate bezier curve path
    * @private
@@ -589,16 +773,141 @@ export class EdgeManager {
   }
 
   /**
-   * Calculate orthogonal (right-angle) path
+   * Calculate orthogonal (right-angle) path around other nodes
+   *
+   * Routes are cached until the edge changes or a node moves across them.
+   *
    * @private
    */
-  _calculateOrthogonalPath(sourceBounds, targetBounds) {
-    const start = { x: sourceBounds.centerX, y: sourceBounds.centerY };
-    const end = { x: targetBounds.centerX, y: targetBounds.centerY };
+  _calculateOrthogonalPath(edge, sourceNode, targetNode) {
+    const cached = this.routeCache.get(edge.id);
+    if (cached) return cached.points;
+
+    const obstacles = this.nodeManager
+      .getAllNodes()
+      .filter(
+        (node) =>
+          node.visible !== false &&
+          !CONTAINER_TYPES.includes(node.type) &&
+          node.id !== sourceNode.id &&
+          node.id !== targetNode.id &&
+          !this.nodeManager.isNodeHidden(node.id)
+      )
+      .map((node) => this.nodeManager.getNodeBounds(node.id));
+
+    const { points } = OrthogonalRouter.route(
+      this.nodeManager.getNodeBounds(sourceNode.id),
+      this.nodeManager.getNodeBounds(targetNode.id),
+      obstacles,
+      {
+        ...this.routingOptions,
+        sourceSide: OrthogonalRouter.sideOf(sourceNode.ports, edge.sourcePort),
+        targetSide: OrthogonalRouter.sideOf(targetNode.ports, edge.targetPort),
+      }
+    );
 
-    const midX = (start.x + end.x) / 2;
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    this.routeCache.set(edge.id, {
+      points,
+      box: {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys),
+      },
+    });
+    this._indexEdge(edge.id);
+    return points;
+  }
 
-    return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+  /**
+   * Recompute paths for edges and for cached routes crossing any area,
+   * then emit edge:path:update for each
+   * @private
+   */
+  _rerouteEdges(edgeIds, areas) {
+    // Routes run at the clearance margin, so widen the areas by it
+    const margin = this.routingOptions.margin + 1;
+    const near = (box) =>
+      areas.some(
+        (area) =>
+          area &&
+          box.x <= area.x + area.width + margin &&
+          box.x + box.width >= area.x - margin &&
+          box.y <= area.y + area.height + margin &&
+          box.y + box.height >= area.y - margin
+      );
+
+    // An edge's indexed area holds its cached route
+    areas.forEach((area) => {
+      if (!area) return;
+      this.spatialIndex
+        .search({
+          x: area.x - margin,
+          y: area.y - margin,
+          width: area.width + margin * 2,
+          height: area.height + margin * 2,
+        })
+        .forEach((edgeId) => {
+          const cached = this.routeCache.get(edgeId);
+          if (cached && near(cached.box)) edgeIds.add(edgeId);
+        });
+    });
+
+    edgeIds.forEach((edgeId) => {
+      this.routeCache.delete(edgeId);
+      const edge = this.getEdge(edgeId);
+      if (!edge) return;
+      this._indexEdge(edgeId);
+
+      this.eventBus.emit("edge:path:update", {
+        edgeId,
+        sourceId: edge.sourceId,
+        targetId: edge.targetId,
+        points: this.calculateEdgePath(edgeId),
+        visible: !this.isEdgeHidden(edgeId),
+      });
+    });
+  }
+
+  /**
+   * Put the area an edge covers in the spatial index, or take it out
+   * while the edge is not drawn
+   * @private
+   */
+  _indexEdge(edgeId) {
+    const edge = this.getEdge(edgeId);
+    const source = edge && this.nodeManager.getVisibleNode(edge.sourceId);
+    const target = edge && this.nodeManager.getVisibleNode(edge.targetId);
+    if (!source || !target || this.isEdgeHidden(edgeId)) {
+      this.spatialIndex.remove(edgeId);
+      return;
+    }
+
+    const boxes = [
+      this.nodeManager.getNodeBounds(source.id),
+      this.nodeManager.getNodeBounds(target.id),
+      ...(edge.waypoints || []).map((p) => ({
+        x: p.x,
+        y: p.y,
+        width: 0,
+        height: 0,
+      })),
+    ];
+    const cached = this.routeCache.get(edgeId);
+    if (cached) boxes.push(cached.box);
+
+    const left = Math.min(...boxes.map((b) => b.x));
+    const top = Math.min(...boxes.map((b) => b.y));
+    const right = Math.max(...boxes.map((b) => b.x + b.width));
+    const bottom = Math.max(...boxes.map((b) => b.y + b.height));
+    this.spatialIndex.update(edgeId, {
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+    });
   }
 
   /**
@@ -606,7 +915,12 @@ export class EdgeManager {
    * @private
    */
   _generateEdgeId() {
-    return `edge_${this.nextEdgeId++}`;
+    // Skip ids brought back by undo
+    let edgeId;
+    do {
+      edgeId = `edge_${this.nextEdgeId++}`;
+    } while (this.edges.has(edgeId));
+    return edgeId;
   }
 
   /**
@@ -690,17 +1004,23 @@ export class EdgeManager {
    * @param {Array} edgesData - Serialized edges
    */
   deserialize(edgesData) {
-    // Clear existing edges
-    this.clearAll();
+    // Loading a document is not an undoable edit
+    this.eventBus.emit("command:pause");
+    try {
+      // Clear existing edges
+      this.clearAll();
 
-    // Create edges from data
-    edgesData.forEach((edgeData) => {
-      try {
-        this.createEdge(edgeData);
-      } catch (error) {
-        console.error("Error deserializing edge:", error);
-      }
-    });
+      // Create edges from data
+      edgesData.forEach((edgeData) => {
+        try {
+          this.createEdge(edgeData);
+        } catch (error) {
+          console.error("Error deserializing edge:", error);
+        }
+      });
+    } finally {
+      this.eventBus.emit("command:resume");
+    }
 
     // Update next ID to avoid conflicts
     const maxId = Math.max(
@@ -3,21 +3,50 @@
  *
  * Responsibilities:
  * - Export graph to JSON
- * - Export to image formats (PNG, SVG)
- * - Export to PDF
+ * - Export to image formats (PNG, SVG), rendered from the models
+ * - Export to PDF (fit to page or tiled at a print scale)
+ * - Import/export Mermaid flowcharts
+ * - Import draw.io / diagrams.net files
+ * - Import/export Graphviz DOT
+ * - Generate pseudocode and JavaScript from structured flowcharts
+ * - Keep every import/export format in a FormatRegistry, so dialogs,
+ *   file import and the clipboard pick formats from one place and
+ *   plugins can add their own
  * - Generate shareable links
  * - Handle export options and quality settings
  *
  * @module core/managers/ExportManager
  */
 
+import { createDocumentSchemaRegistry } from "../schema/documentSchemas.js";
+import { MermaidFormat } from "../formats/MermaidFormat.js";
+import { DrawioFormat } from "../formats/DrawioFormat.js";
+import { DotFormat } from "../formats/DotFormat.js";
+import { SvgFormat } from "../formats/SvgFormat.js";
+import { PdfFormat } from "../formats/PdfFormat.js";
+import { CodeFormat } from "../formats/CodeFormat.js";
+import { FormatRegistry } from "../formats/FormatRegistry.js";
+
 export class ExportManager {
-  constructor(eventBus, stateManager, nodeManager, edgeManager) {
+  constructor(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager,
+    schemaRegistry = createDocumentSchemaRegistry(),
+    formatRegistry = new FormatRegistry()
+  ) {
     this.eventBus = eventBus;
     this.stateManager = stateManager;
     this.nodeManager = nodeManager;
     this.edgeManager = edgeManager;
 
+    // Document versions and migrations
+    this.schemaRegistry = schemaRegistry;
+
+    // Import/export formats, built-in and added with registerFormat
+    this.formats = formatRegistry;
+
     // Export options
     this.defaultOptions = {
       json: {
@@ -32,10 +61,123 @@ export class ExportManager {
         padding: 20,
       },
       pdf: {
-        format: "A4",
+        format: "A4", // see PAGE_SIZES in formats/PdfFormat.js
         orientation: "landscape",
+        margins: 36, // points
+        mode: "fit", // 'fit' or 'tile'
+        scale: 1, // print scale for 'tile'
+        overlap: 0, // points repeated on neighbouring tiles
+        header: true,
+        footer: true,
+        title: "",
       },
     };
+
+    this._registerBuiltInFormats();
+  }
+
+  /**
+   * Put the built-in formats in the registry; each delegates to the
+   * matching export/import method
+   * @private
+   */
+  _registerBuiltInFormats() {
+    const raster = (format) => (document, options) =>
+      this._exportRasterImage({
+        ...this.defaultOptions.image,
+        ...options,
+        format,
+        document,
+      });
+
+    [
+      {
+        id: "json",
+        name: "JSON Data",
+        icon: "📋",
+        extensions: ["json"],
+        mimeTypes: ["application/json"],
+        export: (document, options) => this.exportJSON(options),
+        import: (text) => this.importJSON(text),
+      },
+      {
+        id: "svg",
+        name: "SVG Vector",
+        icon: "📐",
+        extensions: ["svg"],
+        mimeTypes: ["image/svg+xml"],
+        export: (document, options) => this.exportSVG({ ...options, document }),
+      },
+      {
+        id: "png",
+        name: "PNG Image",
+        icon: "🖼",
+        extensions: ["png"],
+        mimeTypes: ["image/png"],
+        binary: true,
+        export: raster("png"),
+      },
+      {
+        id: "jpeg",
+        name: "JPEG Image",
+        icon: "🖼",
+        extensions: ["jpg", "jpeg"],
+        mimeTypes: ["image/jpeg"],
+        binary: true,
+        export: raster("jpeg"),
+      },
+      {
+        id: "pdf",
+        name: "PDF Document",
+        icon: "📄",
+        extensions: ["pdf"],
+        mimeTypes: ["application/pdf"],
+        binary: true,
+        export: (document, options) => this.exportPDF(options),
+      },
+      {
+        id: "mermaid",
+        name: "Mermaid",
+        icon: "🧜",
+        extensions: ["mmd", "mermaid"],
+        mimeTypes: ["text/vnd.mermaid"],
+        export: (document, options) => this.exportMermaid(options),
+        import: (text, options) => this.importMermaid(text, options),
+      },
+      {
+        id: "drawio",
+        name: "draw.io",
+        icon: "🗂",
+        extensions: ["drawio", "dio"],
+        mimeTypes: ["application/vnd.jgraph.mxfile"],
+        import: (text, options) => this.importDrawio(text, options),
+      },
+      {
+        id: "dot",
+        name: "Graphviz DOT",
+        icon: "🕸",
+        extensions: ["dot", "gv"],
+        mimeTypes: ["text/vnd.graphviz"],
+        export: (document, options) => this.exportDOT(options),
+        import: (text, options) => this.importDOT(text, options),
+      },
+      {
+        id: "pseudocode",
+        name: "Pseudocode",
+        icon: "📝",
+        extensions: ["txt"],
+        mimeTypes: ["text/plain"],
+        export: (document, options) => this.exportPseudocode(options),
+      },
+      {
+        id: "javascript",
+        name: "JavaScript",
+        icon: "📜",
+        extensions: ["js"],
+        mimeTypes: ["text/javascript"],
+        export: (document, options) => this.exportJavaScript(options),
+      },
+    ].forEach((format) => this.formats.register(format));
   }
 
   /**
@@ -48,7 +190,7 @@ export class ExportManager {
 
     try {
       const data = {
-        version: "1.0",
+        version: this.schemaRegistry.currentVersion,
         type: "flowchart",
         metadata: opts.includeMetadata
           ? {
@@ -79,7 +221,11 @@ export class ExportManager {
 
   /**
    * Export graph to image
-   * @param {SVGElement} svgElement - SVG element to export
+   *
+   * Images are rendered from the node/edge models, not from the canvas,
+   * so they never include selection, handles or the grid.
+   *
+   * @param {SVGElement} [svgElement] - Ignored; kept for existing callers
    * @param {Object} options - Export options
    * @returns {Promise<Blob>} - Image blob
    */
@@ -87,11 +233,21 @@ export class ExportManager {
     const opts = { ...this.defaultOptions.image, ...options };
 
     try {
-      if (opts.format === "svg") {
-        return await this._exportSVG(svgElement, opts);
-      } else {
-        return await this._exportRasterImage(svgElement, opts);
+      const format = this.formats.get(opts.format);
+      if (
+        !format ||
+        !format.export ||
+        !format.mimeTypes.some((type) => type.startsWith("image/"))
+      ) {
+        throw new Error(`Unknown image format '${opts.format}'`);
       }
+
+      // Vector images keep their natural size; scale is for rasters
+      const result = await format.export(
+        this._collectDocument(),
+        format.binary ? opts : { ...opts, scale: 1 }
+      );
+      return this._toBlob(result, format);
     } catch (error) {
       console.error("Error exporting image:", error);
       this.eventBus.emit("export:error", { format: opts.format, error });
@@ -100,63 +256,76 @@ export class ExportManager {
   }
 
   /**
-   * Export to SVG format
-   * @private
+   * Export graph as standalone SVG markup
+   *
+   * Rendered through the shapes' render methods with styles and arrow
+   * markers inlined. Output is deterministic and works without a DOM.
+   *
+   * @param {Object} options - { padding, backgroundColor, title, scale,
+   *                            document }; document ({ nodes, edges })
+   *                            defaults to the whole graph
+   * @returns {string} - SVG document
    */
-  async _exportSVG(svgElement, options) {
-    // Clone SVG
-    const clone = svgElement.cloneNode(true);
-
-    // Get bounds
-    const bbox = svgElement.getBBox();
-
-    // Add padding
-    const padding = options.padding;
-    const width = bbox.width + padding * 2;
-    const height = bbox.height + padding * 2;
+  exportSVG(options = {}) {
+    const opts = { ...this.defaultOptions.image, scale: 1, ...options };
 
-    // Set viewBox
-    clone.setAttribute(
-      "viewBox",
-      `${bbox.x - padding} ${bbox.y - padding} ${width} ${height}`
-    );
-    clone.setAttribute("width", width);
-    clone.setAttribute("height", height);
-
-    // Add background if specified
-    if (options.backgroundColor && options.backgroundColor !== "transparent") {
-      const rect = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "rect"
+    try {
+      const svg = SvgFormat.serialize(
+        opts.document || this._collectDocument(),
+        this._svgOptions(opts)
       );
-      rect.setAttribute("x", bbox.x - padding);
-      rect.setAttribute("y", bbox.y - padding);
-      rect.setAttribute("width", width);
-      rect.setAttribute("height", height);
-      rect.setAttribute("fill", options.backgroundColor);
-      clone.insertBefore(rect, clone.firstChild);
-    }
 
-    // Serialize to string
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(clone);
+      this.eventBus.emit("export:svg:complete", { size: svg.length });
 
-    // Create blob
-    const blob = new Blob([svgString], { type: "image/svg+xml" });
+      return svg;
+    } catch (error) {
+      console.error("Error exporting SVG:", error);
+      this.eventBus.emit("export:error", { format: "svg", error });
+      throw error;
+    }
+  }
 
-    this.eventBus.emit("export:svg:complete", { size: blob.size });
+  /**
+   * Export and download as SVG
+   * @param {string} filename - File name
+   * @param {Object} options - Export options
+   */
+  downloadSVG(filename = "flowchart.svg", options = {}) {
+    const blob = new Blob([this.exportSVG(options)], {
+      type: "image/svg+xml",
+    });
+    this.downloadBlob(blob, filename);
+  }
 
-    return blob;
+  /**
+   * Map image options to SvgFormat options
+   * @private
+   */
+  _svgOptions(options) {
+    return {
+      padding: options.padding,
+      background: options.backgroundColor,
+      scale: options.scale,
+      title: options.title,
+      shapes: options.shapes,
+    };
   }
 
   /**
    * Export to raster image (PNG/JPEG)
    * @private
    */
-  async _exportRasterImage(svgElement, options) {
-    // Get SVG string
-    const svgBlob = await this._exportSVG(svgElement, options);
+  async _exportRasterImage(options) {
+    const svgBlob = new Blob([this.exportSVG({ ...options, scale: 1 })], {
+      type: "image/svg+xml",
+    });
     const svgUrl = URL.createObjectURL(svgBlob);
+    const bounds = SvgFormat.getBounds(
+      options.document || this._collectDocument(),
+      {
+        padding: options.padding,
+      }
+    );
 
     return new Promise((resolve, reject) => {
       const img = new Image();
@@ -164,10 +333,8 @@ export class ExportManager {
       img.onload = () => {
         // Create canvas
         const canvas = document.createElement("canvas");
-        const bbox = svgElement.getBBox();
-        const padding = options.padding;
-        const width = (bbox.width + padding * 2) * options.scale;
-        const height = (bbox.height + padding * 2) * options.scale;
+        const width = bounds.width * options.scale;
+        const height = bounds.height * options.scale;
 
         canvas.width = width;
         canvas.height = height;
@@ -213,6 +380,49 @@ export class ExportManager {
     });
   }
 
+  /**
+   * Export graph to PDF
+   *
+   * Vector output rendered from the models, either fitted to one page or
+   * tiled across several at a fixed print scale, with optional title
+   * header and page-number footer.
+   *
+   * @param {Object} options - See defaultOptions.pdf
+   * @returns {Blob} - PDF blob
+   */
+  exportPDF(options = {}) {
+    const opts = { ...this.defaultOptions.pdf, ...options };
+
+    try {
+      const document = this._collectDocument();
+      const bytes = PdfFormat.serialize(document, opts);
+      const { tiles } = PdfFormat.layout(
+        SvgFormat.getBounds(document, opts),
+        opts
+      );
+
+      this.eventBus.emit("export:pdf:complete", {
+        size: bytes.length,
+        pages: tiles.length,
+      });
+
+      return new Blob([bytes], { type: "application/pdf" });
+    } catch (error) {
+      console.error("Error exporting PDF:", error);
+      this.eventBus.emit("export:error", { format: "pdf", error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export and download as PDF
+   * @param {string} filename - File name
+   * @param {Object} options - Export options
+   */
+  downloadPDF(filename = "flowchart.pdf", options = {}) {
+    this.downloadBlob(this.exportPDF(options), filename);
+  }
+
   /**
    * Download blob as file
    * @param {Blob} blob - Data to download
@@ -242,7 +452,7 @@ export class ExportManager {
 
   /**
    * Export and download as image
-   * @param {SVGElement} svgElement - SVG to export
+   * @param {SVGElement} [svgElement] - Ignored; see exportImage()
    * @param {string} filename - File name
    * @param {Object} options - Export options
    */
@@ -253,31 +463,38 @@ export class ExportManager {
 
   /**
    * Import graph from JSON
+   *
+   * Older documents are upgraded through the schema registry's migration
+   * chain before being validated against the current schema.
+   *
    * @param {string} json - JSON string
-   * @returns {Object} - Imported data
+   * @returns {Object} - Imported data, at the current document version
+   * @throws {Error} If the document is invalid or from a newer version
    */
   importJSON(json) {
     try {
-      const data = JSON.parse(json);
+      const parsed = JSON.parse(json);
 
-      // Validate format
-      if (!data.nodes || !data.edges) {
+      if (!parsed || typeof parsed !== "object") {
         throw new Error("Invalid flowchart data");
       }
 
-      // Check version compatibility
-      if (data.version && data.version !== "1.0") {
-        console.warn(
-          `Importing from version ${data.version}, current version is 1.0`
-        );
-      }
+      // Upgrade to the current version (throws for newer documents)
+      const {
+        document: data,
+        fromVersion,
+        applied,
+      } = this.schemaRegistry.upgrade(parsed);
 
-      this.eventBus.emit("export:import:start", {
-        nodeCount: data.nodes.length,
-        edgeCount: data.edges.length,
-      });
+      if (applied.length > 0) {
+        this.eventBus.emit("export:import:migrated", {
+          fromVersion,
+          toVersion: data.version,
+          steps: applied,
+        });
+      }
 
-      return data;
+      return this._finishImport(data, "json");
     } catch (error) {
       console.error("Error importing JSON:", error);
       this.eventBus.emit("export:error", {
@@ -289,6 +506,411 @@ export class ExportManager {
     }
   }
 
+  /**
+   * Export graph to Mermaid flowchart text
+   * @param {Object} options - { direction: 'TD' | 'LR' | ... }
+   * @returns {string} - Mermaid source
+   */
+  exportMermaid(options = {}) {
+    try {
+      const text = MermaidFormat.serialize(this._collectDocument(), options);
+
+      this.eventBus.emit("export:mermaid:complete", { size: text.length });
+
+      return text;
+    } catch (error) {
+      console.error("Error exporting Mermaid:", error);
+      this.eventBus.emit("export:error", { format: "mermaid", error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export and download as Mermaid
+   * @param {string} filename - File name
+   * @param {Object} options - Export options
+   */
+  downloadMermaid(filename = "flowchart.mmd", options = {}) {
+    const text = this.exportMermaid(options);
+    const blob = new Blob([text], { type: "text/plain" });
+    this.downloadBlob(blob, filename);
+  }
+
+  /**
+   * Import graph from Mermaid flowchart text
+   * @param {string} text - Mermaid source
+   * @param {Object} options - { subgraphType: 'group' | 'swimlane' }
+   * @returns {Object} - Imported data, same shape as importJSON
+   */
+  importMermaid(text, options = {}) {
+    try {
+      const data = MermaidFormat.parse(text, options);
+      return this._finishImport(data, "mermaid");
+    } catch (error) {
+      console.error("Error importing Mermaid:", error);
+      this.eventBus.emit("export:error", {
+        format: "mermaid",
+        error,
+        operation: "import",
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Export graph as Graphviz DOT
+   * @param {Object} options - { name, direction: 'TB' | 'LR' | 'BT' | 'RL' }
+   * @returns {string} - DOT source
+   */
+  exportDOT(options = {}) {
+    try {
+      const text = DotFormat.serialize(this._collectDocument(), options);
+
+      this.eventBus.emit("export:dot:complete", { size: text.length });
+
+      return text;
+    } catch (error) {
+      console.error("Error exporting DOT:", error);
+      this.eventBus.emit("export:error", { format: "dot", error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export and download as Graphviz DOT
+   * @param {string} filename - File name
+   * @param {Object} options - Export options
+   */
+  downloadDOT(filename = "flowchart.dot", options = {}) {
+    const text = this.exportDOT(options);
+    const blob = new Blob([text], { type: "text/vnd.graphviz" });
+    this.downloadBlob(blob, filename);
+  }
+
+  /**
+   * Import graph from Graphviz DOT text
+   * @param {string} text - DOT source (digraph or graph)
+   * @param {Object} options - { clusterType: 'group' | 'swimlane' }
+   * @returns {Object} - Imported data, same shape as importJSON
+   */
+  importDOT(text, options = {}) {
+    try {
+      const data = DotFormat.parse(text, options);
+      return this._finishImport(data, "dot");
+    } catch (error) {
+      console.error("Error importing DOT:", error);
+      this.eventBus.emit("export:error", {
+        format: "dot",
+        error,
+        operation: "import",
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the graph can be turned into code
+   * @returns {Array} - Diagnostics { severity, nodeId, message }
+   */
+  analyzeCode() {
+    return CodeFormat.analyze(this._collectDocument()).diagnostics;
+  }
+
+  /**
+   * Export graph as pseudocode
+   * @param {Object} options - { indent }
+   * @returns {string} - Pseudocode
+   * @throws {Error} If the flowchart cannot be structured (see analyzeCode)
+   */
+  exportPseudocode(options = {}) {
+    try {
+      const text = CodeFormat.toPseudocode(this._collectDocument(), options);
+
+      this.eventBus.emit("export:pseudocode:complete", { size: text.length });
+
+      return text;
+    } catch (error) {
+      console.error("Error exporting pseudocode:", error);
+      this.eventBus.emit("export:error", { format: "pseudocode", error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export and download as pseudocode
+   * @param {string} filename - File name
+   * @param {Object} options - Export options
+   */
+  downloadPseudocode(filename = "flowchart.txt", options = {}) {
+    const text = this.exportPseudocode(options);
+    const blob = new Blob([text], { type: "text/plain" });
+    this.downloadBlob(blob, filename);
+  }
+
+  /**
+   * Export graph as JavaScript
+   * @param {Object} options - { functionName, invoke, indent }
+   * @returns {string} - JavaScript source
+   * @throws {Error} If the flowchart cannot be structured (see analyzeCode)
+   */
+  exportJavaScript(options = {}) {
+    try {
+      const text = CodeFormat.toJavaScript(this._collectDocument(), options);
+
+      this.eventBus.emit("export:javascript:complete", { size: text.length });
+
+      return text;
+    } catch (error) {
+      console.error("Error exporting JavaScript:", error);
+      this.eventBus.emit("export:error", { format: "javascript", error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export and download as JavaScript
+   * @param {string} filename - File name
+   * @param {Object} options - Export options
+   */
+  downloadJavaScript(filename = "flowchart.js", options = {}) {
+    const text = this.exportJavaScript(options);
+    const blob = new Blob([text], { type: "text/javascript" });
+    this.downloadBlob(blob, filename);
+  }
+
+  /**
+   * Add a format (see formats/FormatRegistry.js for the descriptor)
+   *
+   * export(document, options) gets the current graph as
+   * { nodes, edges }; import(text, options) returns { nodes, edges },
+   * which is validated like any other import. Both report
+   * export:<id>:complete / export:error like the built-in formats.
+   *
+   * @param {Object} format - Format descriptor
+   * @throws {Error} If the descriptor is incomplete or its id is taken
+   */
+  registerFormat(format) {
+    const { id } = format || {};
+    const report = (operation, error) => {
+      console.error(`Error ${operation}ing ${id}:`, error);
+      this.eventBus.emit("export:error", {
+        format: id,
+        error,
+        ...(operation === "import" ? { operation } : {}),
+      });
+      throw error;
+    };
+    const settle = (value, operation, done) => {
+      if (value && typeof value.then === "function") {
+        return value.then(done, (error) => report(operation, error));
+      }
+      return done(value);
+    };
+
+    this.formats.register({
+      ...format,
+      export:
+        format &&
+        typeof format.export === "function" &&
+        ((document, options) => {
+          try {
+            return settle(format.export(document, options), "export", (r) => {
+              this.eventBus.emit(`export:${id}:complete`, {
+                size: r instanceof Blob ? r.size : String(r).length,
+              });
+              return r;
+            });
+          } catch (error) {
+            return report("export", error);
+          }
+        }),
+      import:
+        format &&
+        typeof format.import === "function" &&
+        ((text, options) => {
+          try {
+            return settle(format.import(text, options), "import", (data) =>
+              this._finishImport(data, id)
+            );
+          } catch (error) {
+            return report("import", error);
+          }
+        }),
+    });
+    this.eventBus.emit("export:format:registered", { id });
+  }
+
+  /**
+   * Remove a format
+   * @param {string} id - Format id
+   * @returns {boolean} - Whether it was registered
+   */
+  unregisterFormat(id) {
+    const removed = this.formats.unregister(id);
+    if (removed) {
+      this.eventBus.emit("export:format:unregistered", { id });
+    }
+    return removed;
+  }
+
+  /**
+   * List formats
+   * @param {Object} [filter] - { canImport, canExport, text }
+   * @returns {Array} - [{ id, name, icon, extensions, mimeTypes, binary,
+   *   canImport, canExport }]
+   */
+  getFormats(filter = {}) {
+    return this.formats.list(filter).map((format) => ({
+      id: format.id,
+      name: format.name,
+      icon: format.icon,
+      extensions: [...format.extensions],
+      mimeTypes: [...format.mimeTypes],
+      binary: format.binary,
+      canImport: typeof format.import === "function",
+      canExport: typeof format.export === "function",
+    }));
+  }
+
+  /**
+   * Export graph in any registered format
+   * @param {string} id - Format id
+   * @param {Object} options - Passed to the format
+   * @returns {string|Blob|Promise<Blob>}
+   * @throws {Error} If the format cannot export
+   */
+  exportFormat(id, options = {}) {
+    return this.exportDocument(id, this._collectDocument(), options);
+  }
+
+  /**
+   * Export part of the graph (e.g. the selection) in a registered format.
+   * Formats that always write the whole diagram (json, pdf, mermaid, ...)
+   * ignore the document.
+   * @param {string} id - Format id
+   * @param {Object} document - { nodes, edges } with serialized models
+   * @param {Object} options - Passed to the format
+   * @returns {string|Blob|Promise<Blob>}
+   * @throws {Error} If the format cannot export
+   */
+  exportDocument(id, document, options = {}) {
+    const format = this.formats.get(id);
+    if (!format || typeof format.export !== "function") {
+      throw new Error(`No exporter for format '${id}'`);
+    }
+    return format.export(document, options);
+  }
+
+  /**
+   * Export and download in any registered format
+   * @param {string} id - Format id
+   * @param {string} [filename] - Defaults to flowchart.<first extension>
+   * @param {Object} options - Passed to the format
+   * @returns {Promise<void>}
+   */
+  async downloadFormat(id, filename, options = {}) {
+    const result = await this.exportFormat(id, options);
+    const format = this.formats.get(id);
+    this.downloadBlob(
+      this._toBlob(result, format),
+      filename || `flowchart.${format.extensions[0]}`
+    );
+  }
+
+  /**
+   * Import text in any registered format
+   * @param {string} id - Format id
+   * @param {string} text - File contents
+   * @param {Object} options - Passed to the format
+   * @returns {Promise<Object>} - Imported data, same shape as importJSON
+   * @throws {Error} If the format cannot import
+   */
+  async importFormat(id, text, options = {}) {
+    const format = this.formats.get(id);
+    if (!format || typeof format.import !== "function") {
+      throw new Error(`No importer for format '${id}'`);
+    }
+    return format.import(text, options);
+  }
+
+  /**
+   * Blob for an export result, typed with the format's first MIME type
+   * @private
+   */
+  _toBlob(result, format) {
+    return result instanceof Blob
+      ? result
+      : new Blob([result], { type: format.mimeTypes[0] || "text/plain" });
+  }
+
+  /**
+   * Import graph from a draw.io / diagrams.net file
+   *
+   * Cells that cannot be mapped are listed per cell id in
+   * metadata.warnings and announced with export:import:warnings.
+   *
+   * @param {string} xml - .drawio file contents
+   * @param {Object} options - { page: index or name }
+   * @returns {Promise<Object>} - Imported data, same shape as importJSON
+   */
+  async importDrawio(xml, options = {}) {
+    try {
+      const shapeRegistry = this.nodeManager.shapeRegistry;
+      const data = await DrawioFormat.parse(xml, {
+        hasShape: shapeRegistry
+          ? (type) => shapeRegistry.hasShape(type)
+          : undefined,
+        ...options,
+      });
+      return this._finishImport(data, "drawio");
+    } catch (error) {
+      console.error("Error importing draw.io file:", error);
+      this.eventBus.emit("export:error", {
+        format: "drawio",
+        error,
+        operation: "import",
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate an imported document and announce it
+   * @private
+   */
+  _finishImport(data, format) {
+    const validation = this.schemaRegistry.validate(data);
+    if (!validation.valid) {
+      throw new Error(
+        `Invalid flowchart data: ${validation.errors.slice(0, 5).join("; ")}`
+      );
+    }
+
+    const warnings = (data.metadata && data.metadata.warnings) || [];
+    if (warnings.length > 0) {
+      this.eventBus.emit("export:import:warnings", { format, warnings });
+    }
+
+    this.eventBus.emit("export:import:start", {
+      format,
+      nodeCount: data.nodes.length,
+      edgeCount: data.edges.length,
+    });
+
+    return data;
+  }
+
+  /**
+   * Collect the current graph as a plain document
+   * @private
+   */
+  _collectDocument() {
+    return {
+      nodes: this.nodeManager.getAllNodes().map((node) => node.serialize()),
+      edges: this.edgeManager.getAllEdges().map((edge) => edge.serialize()),
+    };
+  }
+
   /**
    * Import from file
    * @param {File} file - File to import
@@ -298,9 +920,13 @@ export class ExportManager {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
 
-      reader.onload = (e) => {
+      reader.onload = async (e) => {
         try {
-          const data = this.importJSON(e.target.result);
+          const data = await this._importText(
+            e.target.result,
+            file.name,
+            file.type
+          );
           this.eventBus.emit("export:import:complete", {
             filename: file.name,
             size: file.size,
@@ -319,25 +945,38 @@ export class ExportManager {
     });
   }
 
+  /**
+   * Pick an importer from the file extension, then the MIME type;
+   * anything unrecognised is read as JSON
+   * @private
+   */
+  async _importText(text, filename = "", mimeType = "") {
+    const format =
+      this.formats.findImporter(filename, mimeType) || this.formats.get("json");
+    return format.import(text);
+  }
+
   /**
    * Copy to clipboard
-   * @param {string} format - Format to copy ('json', 'svg')
-   * @param {SVGElement} svgElement - SVG element (for svg format)
+   *
+   * Text formats are written as text; binary ones (PNG, PDF, ...) as a
+   * clipboard item of their MIME type.
+   *
+   * @param {string} format - Id of a format that can export
+   * @param {SVGElement} [svgElement] - Ignored; SVG is rendered from the models
    */
   async copyToClipboard(format = "json", svgElement = null) {
     try {
-      let data;
+      const descriptor = this.formats.get(format);
+      const data = await this.exportFormat(format);
 
-      if (format === "json") {
-        data = this.exportJSON();
+      if (descriptor.binary) {
+        const blob = this._toBlob(data, descriptor);
+        await navigator.clipboard.write([
+          new ClipboardItem({ [blob.type]: blob }),
+        ]);
+      } else {
         await navigator.clipboard.writeText(data);
-      } else if (format === "svg" && svgElement) {
-        const blob = await this._exportSVG(
-          svgElement,
-          this.defaultOptions.image
-        );
-        const text = await blob.text();
-        await navigator.clipboard.writeText(text);
       }
 
       this.eventBus.emit("export:clipboard:success", { format });
@@ -6,8 +6,22 @@
  * - Execute undo/redo operations
  * - Manage history stack with size limits
  * - Support command grouping for atomic operations
+ * - Coalesce rapid repeats (drag moves, nudges, typing) into one step
+ * - Record commands reported by managers over the command bus
  * - Emit history change events
  *
+ * Command bus: every mutating manager API reports the change it made as
+ * an already-applied, reversible command. Events handled here:
+ * - command:record { command } - add an applied command
+ * - command:batch:begin { name } / command:batch:end - group commands
+ *   into one undo step (nestable)
+ * - command:pause / command:resume - stop recording (e.g. document load)
+ * - command:undo / command:redo - undo or redo the last step
+ * - command:clear - forget all steps (e.g. after the document was replaced)
+ *
+ * Commands recorded while undo, redo or execute() is running are ignored,
+ * since they are the replay of a command already in history.
+ *
  * @module core/managers/HistoryManager
  */
 
@@ -19,6 +33,8 @@ export class HistoryManager {
     // Configuration
     this.maxHistorySize = options.maxHistorySize || 100;
     this.enabled = options.enabled !== false;
+    this.mergeWindow =
+      options.mergeWindow !== undefined ? options.mergeWindow : 1000; // ms
 
     // History stacks
     this.undoStack = [];
@@ -31,6 +47,9 @@ export class HistoryManager {
     // Track if we're currently executing undo/redo
     this.isExecuting = false;
 
+    // Recording is paused while > 0
+    this.pauseDepth = 0;
+
     this._setupEventListeners();
   }
 
@@ -39,8 +58,17 @@ export class HistoryManager {
    * @private
    */
   _setupEventListeners() {
-    // Listen for state changes that should be recorded
-    // This is a simplified approach - in production you'd want more granular tracking
+    // Command bus
+    this.eventBus.on("command:record", ({ command }) => this.record(command));
+    this.eventBus.on("command:batch:begin", ({ name } = {}) =>
+      this.beginGroup(name)
+    );
+    this.eventBus.on("command:batch:end", () => this.endGroup());
+    this.eventBus.on("command:pause", () => this.pause());
+    this.eventBus.on("command:resume", () => this.resume());
+    this.eventBus.on("command:undo", () => this.undo());
+    this.eventBus.on("command:redo", () => this.redo());
+    this.eventBus.on("command:clear", () => this.clear());
   }
 
   /**
@@ -52,32 +80,106 @@ export class HistoryManager {
       return;
     }
 
+    this.isExecuting = true;
     try {
       // Execute the command
       command.execute();
-
-      // Add to history
-      if (this.currentGroup) {
-        // Add to current group
-        this.currentGroup.commands.push(command);
-      } else {
-        // Add directly to undo stack
-        this.undoStack.push(command);
-
-        // Clear redo stack when new action is performed
-        this.redoStack = [];
-
-        // Maintain max size
-        if (this.undoStack.length > this.maxHistorySize) {
-          this.undoStack.shift();
-        }
-      }
-
-      this._emitHistoryChange();
     } catch (error) {
       console.error("Error executing command:", error);
       this.eventBus.emit("history:error", { error, command });
+      return;
+    } finally {
+      this.isExecuting = false;
+    }
+
+    this._add(command);
+  }
+
+  /**
+   * Add a command that has already been applied
+   * @param {Command} command - Command object with execute() and undo() methods
+   * @returns {boolean} - True if the command was recorded
+   */
+  record(command) {
+    if (!this.enabled || this.isExecuting || this.pauseDepth > 0) {
+      return false;
+    }
+
+    this._add(command);
+    return true;
+  }
+
+  /**
+   * Run a function with everything it records grouped into one undo step
+   * @param {string} name - Group name/description
+   * @param {Function} fn - Function to run
+   * @returns {*} - The function's return value
+   */
+  transaction(name, fn) {
+    this.beginGroup(name);
+    try {
+      return fn();
+    } finally {
+      this.endGroup();
+    }
+  }
+
+  /**
+   * Stop recording commands (nestable)
+   */
+  pause() {
+    this.pauseDepth++;
+  }
+
+  /**
+   * Resume recording after pause()
+   */
+  resume() {
+    this.pauseDepth = Math.max(0, this.pauseDepth - 1);
+  }
+
+  /**
+   * Add a command to the open group or the undo stack
+   * @private
+   */
+  _add(command) {
+    if (this.currentGroup) {
+      this.currentGroup.add(command);
+      return;
+    }
+
+    this._pushUndo(command);
+    this._emitHistoryChange();
+  }
+
+  /**
+   * Push onto the undo stack, merging with the top command when it is a
+   * continuation of it (e.g. the next step of a drag)
+   * @private
+   */
+  _pushUndo(command) {
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (
+      last &&
+      typeof last.canMerge === "function" &&
+      last.canMerge(command, this.mergeWindow)
+    ) {
+      last.merge(command);
+      if (isNoop(last)) {
+        this.undoStack.pop();
+      }
+    } else {
+      this.undoStack.push(command);
+
+      // Maintain max size
+      if (this.undoStack.length > this.maxHistorySize) {
+        this.undoStack.shift();
+      }
     }
+
+    // Clear redo stack when new action is performed
+    this.redoStack = [];
   }
 
   /**
@@ -170,19 +272,7 @@ export class HistoryManager {
     this.groupDepth++;
 
     if (this.groupDepth === 1) {
-      this.currentGroup = {
-        name,
-        commands: [],
-        execute: function () {
-          this.commands.forEach((cmd) => cmd.execute());
-        },
-        undo: function () {
-          // Undo in reverse order
-          for (let i = this.commands.length - 1; i >= 0; i--) {
-            this.commands[i].undo();
-          }
-        },
-      };
+      this.currentGroup = new BatchCommand(name);
     }
   }
 
@@ -198,22 +288,15 @@ export class HistoryManager {
     this.groupDepth--;
 
     if (this.groupDepth === 0 && this.currentGroup) {
-      // Add group to undo stack if it has commands
-      if (this.currentGroup.commands.length > 0) {
-        this.undoStack.push(this.currentGroup);
-
-        // Clear redo stack
-        this.redoStack = [];
-
-        // Maintain max size
-        if (this.undoStack.length > this.maxHistorySize) {
-          this.undoStack.shift();
-        }
+      const group = this.currentGroup;
+      this.currentGroup = null;
 
+      // Add group to undo stack if it changed anything
+      group.compact();
+      if (group.commands.length > 0) {
+        this._pushUndo(group);
         this._emitHistoryChange();
       }
-
-      this.currentGroup = null;
     }
   }
 
@@ -225,6 +308,7 @@ export class HistoryManager {
     this.redoStack = [];
     this.currentGroup = null;
     this.groupDepth = 0;
+    this.pauseDepth = 0;
 
     this._emitHistoryChange();
     this.eventBus.emit("history:cleared");
@@ -373,6 +457,43 @@ export class Command {
     throw new Error("Command.undo() must be implemented");
   }
 
+  /**
+   * Can a command recorded right after this one be folded into it?
+   * @param {Command} other - The later command
+   * @param {number} window - Max time between the two (ms)
+   * @returns {boolean}
+   */
+  canMerge(other, window) {
+    return false;
+  }
+
+  /**
+   * Fold a later command into this one (keeps this one's old state)
+   * @param {Command} other
+   */
+  merge(other) {
+    this.timestamp = other.timestamp;
+  }
+
+  /**
+   * Does this command leave everything as it was?
+   * @returns {boolean}
+   */
+  isNoop() {
+    return false;
+  }
+
+  /**
+   * Is `other` the same kind of command, recorded within the window?
+   * @protected
+   */
+  _follows(other, window) {
+    return (
+      other instanceof this.constructor &&
+      other.timestamp - this.timestamp <= window
+    );
+  }
+
   serialize() {
     return {
       name: this.name,
@@ -382,18 +503,129 @@ export class Command {
 }
 
 /**
- * Example Command: Add Node
+ * Several commands undone and redone as one step
+ */
+export class BatchCommand extends Command {
+  constructor(name = "Group", commands = []) {
+    super(name);
+    this.commands = [];
+    commands.forEach((command) => this.add(command));
+  }
+
+  /**
+   * Add a command, folding it into an earlier one for the same target
+   * (e.g. the steps of a multi-node drag)
+   * @param {Command} command
+   */
+  add(command) {
+    const target = this.commands.find(
+      (cmd) =>
+        typeof cmd.canMerge === "function" && cmd.canMerge(command, Infinity)
+    );
+    if (target) {
+      target.merge(command);
+    } else {
+      this.commands.push(command);
+    }
+    this.timestamp = command.timestamp;
+  }
+
+  execute() {
+    this.commands.forEach((cmd) => cmd.execute());
+  }
+
+  undo() {
+    // Undo in reverse order
+    for (let i = this.commands.length - 1; i >= 0; i--) {
+      this.commands[i].undo();
+    }
+  }
+
+  /**
+   * Merges with a batch of the same name that repeats the same commands
+   * (e.g. the next arrow-key nudge of the same selection)
+   */
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      other.name === this.name &&
+      other.commands.length === this.commands.length &&
+      this.commands.every(
+        (cmd, i) =>
+          typeof cmd.canMerge === "function" &&
+          cmd.canMerge(other.commands[i], Infinity)
+      )
+    );
+  }
+
+  merge(other) {
+    this.commands.forEach((cmd, i) => cmd.merge(other.commands[i]));
+    super.merge(other);
+  }
+
+  isNoop() {
+    return this.commands.every(isNoop);
+  }
+
+  /**
+   * Drop commands that no longer change anything
+   */
+  compact() {
+    this.commands = this.commands.filter((cmd) => !isNoop(cmd));
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "Batch",
+      commands: this.commands
+        .map((cmd) => (cmd.serialize ? cmd.serialize() : null))
+        .filter(Boolean),
+    };
+  }
+}
+
+/**
+ * Does a command (possibly a plain {execute, undo} object) change nothing?
+ * @private
+ */
+function isNoop(command) {
+  return typeof command.isNoop === "function" && command.isNoop();
+}
+
+/**
+ * Values equal for undo purposes (plain data)
+ * @private
+ */
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Same keys, in any order
+ * @private
+ */
+function sameKeys(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => key in b);
+}
+
+/**
+ * Command: Add Node
  */
 export class AddNodeCommand extends Command {
   constructor(nodeManager, nodeData) {
     super("Add Node");
     this.nodeManager = nodeManager;
     this.nodeData = nodeData;
-    this.nodeId = null;
+    this.nodeId = nodeData.id || null;
   }
 
   execute() {
     this.nodeId = this.nodeManager.createNode(this.nodeData);
+
+    // Redo must bring back the same node
+    this.nodeData = { ...this.nodeData, id: this.nodeId };
   }
 
   undo() {
@@ -413,19 +645,22 @@ export class AddNodeCommand extends Command {
 }
 
 /**
- * Example Command: Delete Node
+ * Command: Delete Node
  */
 export class DeleteNodeCommand extends Command {
-  constructor(nodeManager, nodeId) {
+  constructor(nodeManager, nodeId, nodeData = null) {
     super("Delete Node");
     this.nodeManager = nodeManager;
     this.nodeId = nodeId;
-    this.nodeData = null;
+    this.nodeData = nodeData;
   }
 
   execute() {
+    const node = this.nodeManager.getNode(this.nodeId);
+    if (!node) return;
+
     // Save node data before deleting
-    this.nodeData = this.nodeManager.getNode(this.nodeId).serialize();
+    this.nodeData = node.serialize();
     this.nodeManager.deleteNode(this.nodeId);
   }
 
@@ -446,7 +681,9 @@ export class DeleteNodeCommand extends Command {
 }
 
 /**
- * Example Command: Move Node
+ * Command: Move Node
+ *
+ * Consecutive moves of the same node (a drag) merge into one.
  */
 export class MoveNodeCommand extends Command {
   constructor(nodeManager, nodeId, oldPosition, newPosition) {
@@ -465,6 +702,22 @@ export class MoveNodeCommand extends Command {
     this.nodeManager.updateNodePosition(this.nodeId, this.oldPosition);
   }
 
+  canMerge(other, window) {
+    return this._follows(other, window) && other.nodeId === this.nodeId;
+  }
+
+  merge(other) {
+    this.newPosition = other.newPosition;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return (
+      this.oldPosition.x === this.newPosition.x &&
+      this.oldPosition.y === this.newPosition.y
+    );
+  }
+
   serialize() {
     return {
       ...super.serialize(),
@@ -477,7 +730,156 @@ export class MoveNodeCommand extends Command {
 }
 
 /**
- * Example Command: Update Node Property
+ * Command: Resize Node
+ *
+ * Consecutive resizes of the same node merge into one.
+ */
+export class ResizeNodeCommand extends Command {
+  constructor(nodeManager, nodeId, oldSize, newSize) {
+    super("Resize Node");
+    this.nodeManager = nodeManager;
+    this.nodeId = nodeId;
+    this.oldSize = oldSize;
+    this.newSize = newSize;
+  }
+
+  execute() {
+    this.nodeManager.updateNodeSize(this.nodeId, this.newSize);
+  }
+
+  undo() {
+    this.nodeManager.updateNodeSize(this.nodeId, this.oldSize);
+  }
+
+  canMerge(other, window) {
+    return this._follows(other, window) && other.nodeId === this.nodeId;
+  }
+
+  merge(other) {
+    this.newSize = other.newSize;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return (
+      this.oldSize.width === this.newSize.width &&
+      this.oldSize.height === this.newSize.height
+    );
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "ResizeNode",
+      nodeId: this.nodeId,
+      oldSize: this.oldSize,
+      newSize: this.newSize,
+    };
+  }
+}
+
+/**
+ * Command: Set Node Bounds
+ *
+ * Moves and resizes a node without moving its children (a container
+ * growing around them). Consecutive changes of the same node merge.
+ */
+export class NodeBoundsCommand extends Command {
+  constructor(nodeManager, nodeId, oldBounds, newBounds) {
+    super("Fit Container");
+    this.nodeManager = nodeManager;
+    this.nodeId = nodeId;
+    this.oldBounds = oldBounds;
+    this.newBounds = newBounds;
+  }
+
+  execute() {
+    this.nodeManager.setNodeBounds(this.nodeId, this.newBounds);
+  }
+
+  undo() {
+    this.nodeManager.setNodeBounds(this.nodeId, this.oldBounds);
+  }
+
+  canMerge(other, window) {
+    return this._follows(other, window) && other.nodeId === this.nodeId;
+  }
+
+  merge(other) {
+    this.newBounds = other.newBounds;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return sameValue(this.oldBounds, this.newBounds);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "NodeBounds",
+      nodeId: this.nodeId,
+      oldBounds: this.oldBounds,
+      newBounds: this.newBounds,
+    };
+  }
+}
+
+/**
+ * Command: Update Node (any set of properties)
+ *
+ * Consecutive updates of the same properties of one node (typing a label,
+ * dragging a colour slider) merge into one.
+ */
+export class UpdateNodeCommand extends Command {
+  constructor(nodeManager, nodeId, oldValues, newValues) {
+    super("Update Node");
+    this.nodeManager = nodeManager;
+    this.nodeId = nodeId;
+    this.oldValues = oldValues;
+    this.newValues = newValues;
+  }
+
+  execute() {
+    this.nodeManager.updateNode(this.nodeId, this.newValues);
+  }
+
+  undo() {
+    this.nodeManager.updateNode(this.nodeId, this.oldValues);
+  }
+
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      other.nodeId === this.nodeId &&
+      sameKeys(other.newValues, this.newValues)
+    );
+  }
+
+  merge(other) {
+    this.newValues = other.newValues;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return Object.keys(this.newValues).every((key) =>
+      sameValue(this.oldValues[key], this.newValues[key])
+    );
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "UpdateNode",
+      nodeId: this.nodeId,
+      oldValues: this.oldValues,
+      newValues: this.newValues,
+    };
+  }
+}
+
+/**
+ * Command: Update Node Property
  */
 export class UpdateNodePropertyCommand extends Command {
   constructor(nodeManager, nodeId, property, oldValue, newValue) {
@@ -505,6 +907,23 @@ export class UpdateNodePropertyCommand extends Command {
     );
   }
 
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      other.nodeId === this.nodeId &&
+      other.property === this.property
+    );
+  }
+
+  merge(other) {
+    this.newValue = other.newValue;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return sameValue(this.oldValue, this.newValue);
+  }
+
   serialize() {
     return {
       ...super.serialize(),
@@ -516,3 +935,524 @@ export class UpdateNodePropertyCommand extends Command {
     };
   }
 }
+
+/**
+ * Command: Add Edge
+ */
+export class AddEdgeCommand extends Command {
+  constructor(edgeManager, edgeData) {
+    super("Add Edge");
+    this.edgeManager = edgeManager;
+    this.edgeData = edgeData;
+    this.edgeId = edgeData.id || null;
+  }
+
+  execute() {
+    this.edgeId = this.edgeManager.createEdge(this.edgeData);
+
+    // Redo must bring back the same edge
+    this.edgeData = { ...this.edgeData, id: this.edgeId };
+  }
+
+  undo() {
+    if (this.edgeId && this.edgeManager.hasEdge(this.edgeId)) {
+      this.edgeManager.deleteEdge(this.edgeId);
+    }
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "AddEdge",
+      edgeData: this.edgeData,
+      edgeId: this.edgeId,
+    };
+  }
+}
+
+/**
+ * Command: Delete Edge
+ */
+export class DeleteEdgeCommand extends Command {
+  constructor(edgeManager, edgeId, edgeData = null) {
+    super("Delete Edge");
+    this.edgeManager = edgeManager;
+    this.edgeId = edgeId;
+    this.edgeData = edgeData;
+  }
+
+  execute() {
+    // Already gone when its node was deleted earlier in the same batch
+    const edge = this.edgeManager.getEdge(this.edgeId);
+    if (!edge) return;
+
+    this.edgeData = edge.serialize();
+    this.edgeManager.deleteEdge(this.edgeId);
+  }
+
+  undo() {
+    if (this.edgeData && !this.edgeManager.hasEdge(this.edgeId)) {
+      this.edgeManager.createEdge(this.edgeData);
+    }
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "DeleteEdge",
+      edgeId: this.edgeId,
+      edgeData: this.edgeData,
+    };
+  }
+}
+
+/**
+ * Command: Update Edge (any set of properties)
+ */
+export class UpdateEdgeCommand extends Command {
+  constructor(edgeManager, edgeId, oldValues, newValues) {
+    super("Update Edge");
+    this.edgeManager = edgeManager;
+    this.edgeId = edgeId;
+    this.oldValues = oldValues;
+    this.newValues = newValues;
+  }
+
+  execute() {
+    this.edgeManager.updateEdge(this.edgeId, this.newValues);
+  }
+
+  undo() {
+    this.edgeManager.updateEdge(this.edgeId, this.oldValues);
+  }
+
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      other.edgeId === this.edgeId &&
+      sameKeys(other.newValues, this.newValues)
+    );
+  }
+
+  merge(other) {
+    this.newValues = other.newValues;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return Object.keys(this.newValues).every((key) =>
+      sameValue(this.oldValues[key], this.newValues[key])
+    );
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "UpdateEdge",
+      edgeId: this.edgeId,
+      oldValues: this.oldValues,
+      newValues: this.newValues,
+    };
+  }
+}
+
+/**
+ * Command: Update Edge Property
+ */
+export class UpdateEdgePropertyCommand extends Command {
+  constructor(edgeManager, edgeId, property, oldValue, newValue) {
+    super(`Update edge ${property}`);
+    this.edgeManager = edgeManager;
+    this.edgeId = edgeId;
+    this.property = property;
+    this.oldValue = oldValue;
+    this.newValue = newValue;
+  }
+
+  execute() {
+    this.edgeManager.updateEdgeProperty(
+      this.edgeId,
+      this.property,
+      this.newValue
+    );
+  }
+
+  undo() {
+    this.edgeManager.updateEdgeProperty(
+      this.edgeId,
+      this.property,
+      this.oldValue
+    );
+  }
+
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      other.edgeId === this.edgeId &&
+      other.property === this.property
+    );
+  }
+
+  merge(other) {
+    this.newValue = other.newValue;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return sameValue(this.oldValue, this.newValue);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "UpdateEdgeProperty",
+      edgeId: this.edgeId,
+      property: this.property,
+      oldValue: this.oldValue,
+      newValue: this.newValue,
+    };
+  }
+}
+
+/**
+ * Command: Add Layer
+ */
+export class AddLayerCommand extends Command {
+  constructor(layerManager, layerId, options = {}) {
+    super("Add Layer");
+    this.layerManager = layerManager;
+    this.layerId = layerId;
+    this.options = options;
+  }
+
+  execute() {
+    this.layerManager.createLayer(this.layerId, this.options);
+  }
+
+  undo() {
+    this.layerManager.deleteLayer(this.layerId);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "AddLayer",
+      layerId: this.layerId,
+      options: this.options,
+    };
+  }
+}
+
+/**
+ * Command: Delete Layer
+ *
+ * Undo brings the layer back at its old position, with its nodes.
+ */
+export class DeleteLayerCommand extends Command {
+  constructor(layerManager, layerData, index, moveToDefault = true) {
+    super("Delete Layer");
+    this.layerManager = layerManager;
+    this.layerData = layerData; // from LayerManager.getLayer()
+    this.index = index;
+    this.moveToDefault = moveToDefault;
+  }
+
+  execute() {
+    this.layerManager.deleteLayer(this.layerData.id, this.moveToDefault);
+  }
+
+  undo() {
+    const { id, nodes, ...options } = this.layerData;
+    this.layerManager.createLayer(id, options);
+    nodes.forEach((nodeId) => this.layerManager.addNodeToLayer(nodeId, id));
+
+    const order = this.layerManager.layerOrder.filter(
+      (layerId) => layerId !== id
+    );
+    order.splice(this.index, 0, id);
+    this.layerManager.reorderLayers(order);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "DeleteLayer",
+      layerData: this.layerData,
+      index: this.index,
+      moveToDefault: this.moveToDefault,
+    };
+  }
+}
+
+/**
+ * Command: Update Layer (name, visible, locked or opacity)
+ */
+export class UpdateLayerCommand extends Command {
+  constructor(layerManager, layerId, property, oldValue, newValue) {
+    super(`Update layer ${property}`);
+    this.layerManager = layerManager;
+    this.layerId = layerId;
+    this.property = property;
+    this.oldValue = oldValue;
+    this.newValue = newValue;
+  }
+
+  execute() {
+    this._apply(this.newValue);
+  }
+
+  undo() {
+    this._apply(this.oldValue);
+  }
+
+  /**
+   * @private
+   */
+  _apply(value) {
+    const setters = {
+      name: "renameLayer",
+      visible: "setLayerVisible",
+      locked: "setLayerLocked",
+      opacity: "setLayerOpacity",
+    };
+    this.layerManager[setters[this.property]](this.layerId, value);
+  }
+
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      other.layerId === this.layerId &&
+      other.property === this.property
+    );
+  }
+
+  merge(other) {
+    this.newValue = other.newValue;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return this.oldValue === this.newValue;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "UpdateLayer",
+      layerId: this.layerId,
+      property: this.property,
+      oldValue: this.oldValue,
+      newValue: this.newValue,
+    };
+  }
+}
+
+/**
+ * Command: Reorder Layers
+ */
+export class ReorderLayersCommand extends Command {
+  constructor(layerManager, oldOrder, newOrder) {
+    super("Reorder Layers");
+    this.layerManager = layerManager;
+    this.oldOrder = oldOrder;
+    this.newOrder = newOrder;
+  }
+
+  execute() {
+    this.layerManager.reorderLayers(this.newOrder);
+  }
+
+  undo() {
+    this.layerManager.reorderLayers(this.oldOrder);
+  }
+
+  isNoop() {
+    return sameValue(this.oldOrder, this.newOrder);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "ReorderLayers",
+      oldOrder: this.oldOrder,
+      newOrder: this.newOrder,
+    };
+  }
+}
+
+/**
+ * Command: Move Node To Layer
+ *
+ * A placement is { layerId, zIndex }, or null for "in no layer" (the node
+ * was deleted).
+ */
+export class MoveNodeToLayerCommand extends Command {
+  constructor(layerManager, nodeId, oldPlacement, newPlacement) {
+    super("Move Node To Layer");
+    this.layerManager = layerManager;
+    this.nodeId = nodeId;
+    this.oldPlacement = oldPlacement;
+    this.newPlacement = newPlacement;
+  }
+
+  execute() {
+    this._apply(this.newPlacement);
+  }
+
+  undo() {
+    this._apply(this.oldPlacement);
+  }
+
+  /**
+   * @private
+   */
+  _apply(placement) {
+    if (!placement) {
+      this.layerManager.removeNodeFromAllLayers(this.nodeId);
+      return;
+    }
+    this.layerManager.addNodeToLayer(this.nodeId, placement.layerId);
+    this.layerManager.setNodeZIndex(this.nodeId, placement.zIndex);
+  }
+
+  isNoop() {
+    return sameValue(this.oldPlacement, this.newPlacement);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "MoveNodeToLayer",
+      nodeId: this.nodeId,
+      oldPlacement: this.oldPlacement,
+      newPlacement: this.newPlacement,
+    };
+  }
+}
+
+/**
+ * Command: Set Z-Index (bring to front, send backward, ...)
+ */
+export class SetZIndexCommand extends Command {
+  constructor(layerManager, nodeId, oldZIndex, newZIndex) {
+    super("Change Stacking Order");
+    this.layerManager = layerManager;
+    this.nodeId = nodeId;
+    this.oldZIndex = oldZIndex;
+    this.newZIndex = newZIndex;
+  }
+
+  execute() {
+    this.layerManager.setNodeZIndex(this.nodeId, this.newZIndex);
+  }
+
+  undo() {
+    this.layerManager.setNodeZIndex(this.nodeId, this.oldZIndex);
+  }
+
+  canMerge(other, window) {
+    return this._follows(other, window) && other.nodeId === this.nodeId;
+  }
+
+  merge(other) {
+    this.newZIndex = other.newZIndex;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return this.oldZIndex === this.newZIndex;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "SetZIndex",
+      nodeId: this.nodeId,
+      oldZIndex: this.oldZIndex,
+      newZIndex: this.newZIndex,
+    };
+  }
+}
+
+/**
+ * Command: Set Theme
+ */
+export class SetThemeCommand extends Command {
+  constructor(themeManager, oldThemeId, newThemeId) {
+    super("Change Theme");
+    this.themeManager = themeManager;
+    this.oldThemeId = oldThemeId;
+    this.newThemeId = newThemeId;
+  }
+
+  execute() {
+    this.themeManager.setTheme(this.newThemeId);
+  }
+
+  undo() {
+    this.themeManager.setTheme(this.oldThemeId);
+  }
+
+  isNoop() {
+    return this.oldThemeId === this.newThemeId;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "SetTheme",
+      oldThemeId: this.oldThemeId,
+      newThemeId: this.newThemeId,
+    };
+  }
+}
+
+/**
+ * Command: Theme Colors (custom color overrides)
+ *
+ * Consecutive changes of the same color (a color picker drag) merge.
+ */
+export class ThemeColorsCommand extends Command {
+  constructor(themeManager, oldColors, newColors, path = null) {
+    super("Change Colors");
+    this.themeManager = themeManager;
+    this.oldColors = oldColors;
+    this.newColors = newColors;
+    this.path = path; // single color being set, or null
+  }
+
+  execute() {
+    this.themeManager.setCustomColors(this.newColors);
+  }
+
+  undo() {
+    this.themeManager.setCustomColors(this.oldColors);
+  }
+
+  canMerge(other, window) {
+    return (
+      this._follows(other, window) &&
+      this.path !== null &&
+      other.path === this.path
+    );
+  }
+
+  merge(other) {
+    this.newColors = other.newColors;
+    super.merge(other);
+  }
+
+  isNoop() {
+    return sameValue(this.oldColors, this.newColors);
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "ThemeColors",
+      oldColors: this.oldColors,
+      newColors: this.newColors,
+      path: this.path,
+    };
+  }
+}
@@ -7,13 +7,26 @@
  * - Bring to front / send to back operations
  * - Layer visibility and locking
  * - Layer groups and organization
+ * - Record user changes as undoable commands (command:record); automatic
+ *   bookkeeping for new nodes is not recorded
  *
  * @module core/managers/LayerManager
  */
 
+import { CommandBus } from "../events/CommandBus.js";
+import {
+  AddLayerCommand,
+  DeleteLayerCommand,
+  UpdateLayerCommand,
+  ReorderLayersCommand,
+  MoveNodeToLayerCommand,
+  SetZIndexCommand,
+} from "./HistoryManager.js";
+
 export class LayerManager {
   constructor(eventBus, stateManager, nodeManager) {
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
     this.stateManager = stateManager;
     this.nodeManager = nodeManager;
 
@@ -37,7 +50,7 @@ export class LayerManager {
    * @private
    */
   _initializeDefaultLayer() {
-    this.createLayer(this.defaultLayerId, {
+    this._createLayer(this.defaultLayerId, {
       name: "Default Layer",
       visible: true,
       locked: false,
@@ -52,9 +65,10 @@ export class LayerManager {
   _setupEventListeners() {
     this.eventBus.on("node:created", ({ nodeId }) => {
       // Assign new node to default layer with next z-index
-      this.addNodeToLayer(nodeId, this.defaultLayerId);
+      this._addNodeToLayer(nodeId, this.defaultLayerId);
     });
 
+    // Recorded, so undoing the node's deletion puts it back in its layer
     this.eventBus.on("node:deleted", ({ nodeId }) => {
       this.removeNodeFromAllLayers(nodeId);
     });
@@ -66,6 +80,19 @@ export class LayerManager {
    * @param {Object} options - Layer options
    */
   createLayer(layerId, options = {}) {
+    if (!this._createLayer(layerId, options)) {
+      return false;
+    }
+
+    this.commandBus.record(new AddLayerCommand(this, layerId, { ...options }));
+    return true;
+  }
+
+  /**
+   * Create a layer without recording it
+   * @private
+   */
+  _createLayer(layerId, options) {
     if (this.layers.has(layerId)) {
       console.warn(`Layer '${layerId}' already exists`);
       return false;
@@ -107,10 +134,17 @@ export class LayerManager {
       return false;
     }
 
+    const command = new DeleteLayerCommand(
+      this,
+      this.getLayer(layerId),
+      this.layerOrder.indexOf(layerId),
+      moveToDefault
+    );
+
     // Handle nodes in this layer
     if (moveToDefault) {
       layer.nodes.forEach((nodeId) => {
-        this.addNodeToLayer(nodeId, this.defaultLayerId);
+        this._addNodeToLayer(nodeId, this.defaultLayerId);
       });
     }
 
@@ -125,6 +159,8 @@ export class LayerManager {
     this.eventBus.emit("layer:deleted", { layerId });
     this._updateState();
 
+    this.commandBus.record(command);
+
     return true;
   }
 
@@ -134,6 +170,27 @@ export class LayerManager {
    * @param {string} layerId - Target layer
    */
   addNodeToLayer(nodeId, layerId) {
+    const oldPlacement = this._placement(nodeId);
+    if (!this._addNodeToLayer(nodeId, layerId)) {
+      return false;
+    }
+
+    this.commandBus.recordChange(
+      new MoveNodeToLayerCommand(
+        this,
+        nodeId,
+        oldPlacement,
+        this._placement(nodeId)
+      )
+    );
+    return true;
+  }
+
+  /**
+   * Add node to layer without recording it
+   * @private
+   */
+  _addNodeToLayer(nodeId, layerId) {
     const layer = this.layers.get(layerId);
     if (!layer) {
       console.warn(`Layer '${layerId}' not found`);
@@ -141,7 +198,12 @@ export class LayerManager {
     }
 
     // Remove from other layers first
-    this.removeNodeFromAllLayers(nodeId);
+    for (const [id, other] of this.layers) {
+      if (other.nodes.delete(nodeId)) {
+        this.eventBus.emit("layer:node:removed", { nodeId, layerId: id });
+      }
+    }
+    this.zIndexMap.delete(nodeId);
 
     // Add to layer
     layer.nodes.add(nodeId);
@@ -167,10 +229,20 @@ export class LayerManager {
       return false;
     }
 
+    const oldPlacement = this._placement(nodeId);
     layer.nodes.delete(nodeId);
 
     this.eventBus.emit("layer:node:removed", { nodeId, layerId });
 
+    this.commandBus.recordChange(
+      new MoveNodeToLayerCommand(
+        this,
+        nodeId,
+        oldPlacement,
+        this._placement(nodeId)
+      )
+    );
+
     return true;
   }
 
@@ -179,6 +251,8 @@ export class LayerManager {
    * @param {string} nodeId - Node to remove
    */
   removeNodeFromAllLayers(nodeId) {
+    const oldPlacement = this._placement(nodeId);
+
     for (const [layerId, layer] of this.layers) {
       if (layer.nodes.has(nodeId)) {
         layer.nodes.delete(nodeId);
@@ -187,6 +261,10 @@ export class LayerManager {
     }
 
     this.zIndexMap.delete(nodeId);
+
+    this.commandBus.recordChange(
+      new MoveNodeToLayerCommand(this, nodeId, oldPlacement, null)
+    );
   }
 
   /**
@@ -222,6 +300,13 @@ export class LayerManager {
     const layer = this.layers.get(layerId);
     if (!layer) return false;
 
+    const command = new UpdateLayerCommand(
+      this,
+      layerId,
+      "visible",
+      layer.visible,
+      visible
+    );
     layer.visible = visible;
 
     // Update all nodes in layer
@@ -231,6 +316,7 @@ export class LayerManager {
 
     this.eventBus.emit("layer:visibility:changed", { layerId, visible });
     this._updateState();
+    this.commandBus.recordChange(command);
 
     return true;
   }
@@ -244,6 +330,13 @@ export class LayerManager {
     const layer = this.layers.get(layerId);
     if (!layer) return false;
 
+    const command = new UpdateLayerCommand(
+      this,
+      layerId,
+      "locked",
+      layer.locked,
+      locked
+    );
     layer.locked = locked;
 
     // Update all nodes in layer
@@ -253,6 +346,7 @@ export class LayerManager {
 
     this.eventBus.emit("layer:locked:changed", { layerId, locked });
     this._updateState();
+    this.commandBus.recordChange(command);
 
     return true;
   }
@@ -266,6 +360,7 @@ export class LayerManager {
     const layer = this.layers.get(layerId);
     if (!layer) return false;
 
+    const oldOpacity = layer.opacity;
     layer.opacity = Math.max(0, Math.min(1, opacity));
 
     // Update all nodes in layer
@@ -281,6 +376,15 @@ export class LayerManager {
       opacity: layer.opacity,
     });
     this._updateState();
+    this.commandBus.recordChange(
+      new UpdateLayerCommand(
+        this,
+        layerId,
+        "opacity",
+        oldOpacity,
+        layer.opacity
+      )
+    );
 
     return true;
   }
@@ -294,10 +398,14 @@ export class LayerManager {
     const layer = this.layers.get(layerId);
     if (!layer) return false;
 
+    const oldName = layer.name;
     layer.name = newName;
 
     this.eventBus.emit("layer:renamed", { layerId, name: newName });
     this._updateState();
+    this.commandBus.recordChange(
+      new UpdateLayerCommand(this, layerId, "name", oldName, newName)
+    );
 
     return true;
   }
@@ -313,10 +421,14 @@ export class LayerManager {
       return false;
     }
 
+    const oldOrder = this.layerOrder;
     this.layerOrder = [...newOrder];
 
     this.eventBus.emit("layer:reordered", { order: this.layerOrder });
     this._updateState();
+    this.commandBus.recordChange(
+      new ReorderLayersCommand(this, oldOrder, [...newOrder])
+    );
 
     return true;
   }
@@ -372,8 +484,12 @@ export class LayerManager {
    * @param {number} zIndex - Z-index value
    */
   setNodeZIndex(nodeId, zIndex) {
+    const oldZIndex = this.getNodeZIndex(nodeId);
     this.zIndexMap.set(nodeId, zIndex);
     this.eventBus.emit("node:zindex:changed", { nodeId, zIndex });
+    this.commandBus.recordChange(
+      new SetZIndexCommand(this, nodeId, oldZIndex, zIndex)
+    );
   }
 
   /**
@@ -484,6 +600,15 @@ export class LayerManager {
       .map(([nodeId]) => nodeId);
   }
 
+  /**
+   * Layer and z-index of a node, or null if it is in no layer
+   * @private
+   */
+  _placement(nodeId) {
+    const layerId = this.getNodeLayer(nodeId);
+    return layerId ? { layerId, zIndex: this.getNodeZIndex(nodeId) } : null;
+  }
+
   /**
    * Update state manager
    * @private
@@ -521,6 +646,20 @@ export class LayerManager {
    * @param {Object} data - Serialized layer data
    */
   deserialize(data) {
+    // Loading a document is not an undoable edit
+    this.eventBus.emit("command:pause");
+    try {
+      this._restore(data);
+    } finally {
+      this.eventBus.emit("command:resume");
+    }
+  }
+
+  /**
+   * Replace all layers with serialized data
+   * @private
+   */
+  _restore(data) {
     // Clear existing layers except default
     for (const [layerId] of this.layers) {
       if (layerId !== this.defaultLayerId) {
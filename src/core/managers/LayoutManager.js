@@ -0,0 +1,213 @@
+/**
+ * LayoutManager.js - Applies automatic layouts to the graph
+ *
+ * Responsibilities:
+ * - Run the layered (hierarchical) layout on all or selected nodes
+ * - Read the graph through EdgeManager's incoming/outgoing edge indexes
+ * - Keep the laid-out nodes anchored where they were
+ * - Store bend points for long edges as edge waypoints
+ * - Apply the whole layout as one undoable history group
+ *
+ * @module core/managers/LayoutManager
+ */
+
+import { CommandBus } from "../events/CommandBus.js";
+import { LayeredLayout } from "../layout/LayeredLayout.js";
+import {
+  MoveNodeCommand,
+  UpdateEdgePropertyCommand,
+} from "./HistoryManager.js";
+
+export class LayoutManager {
+  constructor(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager,
+    historyManager = null
+  ) {
+    this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
+    this.stateManager = stateManager;
+    this.nodeManager = nodeManager;
+    this.edgeManager = edgeManager;
+    this.historyManager = historyManager;
+
+    // Layout options
+    this.defaultOptions = {
+      direction: "TB",
+      rankSpacing: 60,
+      nodeSpacing: 40,
+      edgeSpacing: 20,
+    };
+  }
+
+  /**
+   * Lay out nodes with the layered layout
+   *
+   * Hidden and locked nodes are left where they are, and nodes inside a
+   * container that is laid out move with it. The result keeps the
+   * top-left corner of the nodes' previous bounding box.
+   *
+   * @param {Object} options
+   * @param {Array} [options.nodeIds] - Nodes to lay out (default: all)
+   * @param {string} [options.direction='TB'] - TB, LR, BT or RL
+   * @param {number} [options.rankSpacing=60] - Gap between layers
+   * @param {number} [options.nodeSpacing=40] - Gap between nodes in a layer
+   * @param {number} [options.edgeSpacing=20] - Room for edges passing a layer
+   * @returns {Object|null} - { direction, nodeCount, edgeCount, crossings,
+   *                          bounds } or null if there was nothing to lay out
+   */
+  applyLayout(options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+
+    try {
+      const candidates = (
+        opts.nodeIds
+          ? this.nodeManager.getNodes(opts.nodeIds)
+          : this.nodeManager.getAllNodes()
+      ).filter(
+        (node) =>
+          node.visible !== false &&
+          !node.locked &&
+          !this.nodeManager.isNodeHidden(node.id)
+      );
+
+      // Nodes inside a container being laid out move with it
+      const candidateIds = new Set(candidates.map((node) => node.id));
+      const nodes = candidates.filter(
+        (node) =>
+          !this.nodeManager
+            .getAncestors(node.id)
+            .some((ancestor) => candidateIds.has(ancestor.id))
+      );
+      if (nodes.length === 0) return null;
+
+      const nodeIds = new Set(nodes.map((node) => node.id));
+      const { edges, boundary } = this._collectEdges(nodes, nodeIds);
+
+      const result = LayeredLayout.compute(nodes, edges, opts);
+      const origin = this.nodeManager.getNodesBounds([...nodeIds]);
+      const offset = (point) => ({
+        x: Math.round(origin.x + point.x),
+        y: Math.round(origin.y + point.y),
+      });
+
+      const commands = [];
+      nodes.forEach((node) => {
+        const position = offset(result.positions.get(node.id));
+        if (position.x !== node.x || position.y !== node.y) {
+          commands.push(
+            new MoveNodeCommand(
+              this.nodeManager,
+              node.id,
+              { x: node.x, y: node.y },
+              position
+            )
+          );
+        }
+      });
+
+      // Long edges follow their bend points; every other edge touching a
+      // moved node loses bend points that no longer fit
+      [...edges, ...boundary].forEach((edge) => {
+        const bends = result.bends.get(edge);
+        const command = this._waypointsCommand(
+          edge,
+          bends ? bends.map(offset) : null
+        );
+        if (command) commands.push(command);
+      });
+
+      this._run(commands);
+
+      const summary = {
+        direction: String(opts.direction).toUpperCase(),
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        crossings: result.crossings,
+        bounds: {
+          x: origin.x,
+          y: origin.y,
+          width: result.width,
+          height: result.height,
+        },
+      };
+      this.eventBus.emit("layout:applied", summary);
+      return summary;
+    } catch (error) {
+      console.error("Error applying layout:", error);
+      this.eventBus.emit("layout:error", { error, options: opts });
+      throw error;
+    }
+  }
+
+  /**
+   * Edges between laid-out nodes, plus edges leaving the set
+   * @private
+   */
+  _collectEdges(nodes, nodeIds) {
+    const edges = [];
+    const boundary = [];
+    nodes.forEach((node) => {
+      this.edgeManager.getOutgoingEdges(node.id).forEach((edge) => {
+        (nodeIds.has(edge.targetId) ? edges : boundary).push(edge);
+      });
+      this.edgeManager.getIncomingEdges(node.id).forEach((edge) => {
+        if (!nodeIds.has(edge.sourceId)) boundary.push(edge);
+      });
+    });
+    return { edges, boundary };
+  }
+
+  /**
+   * Command replacing an edge's waypoints, or null if unchanged
+   * @private
+   */
+  _waypointsCommand(edge, waypoints) {
+    const oldWaypoints = edge.waypoints || [];
+    const newWaypoints = waypoints || [];
+    if (JSON.stringify(oldWaypoints) === JSON.stringify(newWaypoints)) {
+      return null;
+    }
+
+    return new UpdateEdgePropertyCommand(
+      this.edgeManager,
+      edge.id,
+      "waypoints",
+      oldWaypoints,
+      newWaypoints
+    );
+  }
+
+  /**
+   * Execute commands as a single undo step
+   * @private
+   */
+  _run(commands) {
+    if (commands.length === 0) return;
+
+    const history = this.historyManager;
+    if (!history || !history.enabled) {
+      // The managers record the changes; group them on the command bus
+      this.commandBus.batch("Auto Layout", () =>
+        commands.forEach((command) => command.execute())
+      );
+      return;
+    }
+
+    history.beginGroup("Auto Layout");
+    try {
+      commands.forEach((command) => history.execute(command));
+    } finally {
+      history.endGroup();
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.historyManager = null;
+  }
+}
@@ -8,15 +8,41 @@
  * - Manage node properties and metadata
  * - Coordinate with ShapeRegistry for node rendering
  * - Emit node lifecycle events
+ * - Record every change as an undoable command (command:record)
+ * - Keep parent/child containment for group, frame and swimlane nodes:
+ *   moving a container moves its children, containers grow to fit them,
+ *   and collapsed containers hide them
+ * - Keep swimlane pools' lanes: insert, remove, reorder and resize lanes,
+ *   and assign nodes to the lane they sit in
+ * - Keep a spatial index of node bounds for point, rect and
+ *   nearest-neighbor queries
  *
  * @module core/managers/NodeManager
  */
 
+import { CommandBus } from "../events/CommandBus.js";
 import { NodeModel } from "../models/NodeModel.js";
+import { SpatialIndex } from "../../utils/geometry/SpatialIndex.js";
+import { CONTAINER_TYPES } from "../formats/FormatUtils.js";
+import {
+  LANE_HEADER_SIZE,
+  MIN_LANE_SIZE,
+  POOL_HEADER_SIZE,
+  PoolLanes,
+} from "../layout/PoolLanes.js";
+import {
+  AddNodeCommand,
+  DeleteNodeCommand,
+  MoveNodeCommand,
+  NodeBoundsCommand,
+  ResizeNodeCommand,
+  UpdateNodeCommand,
+} from "./HistoryManager.js";
 
 export class NodeManager {
   constructor(eventBus, stateManager, shapeRegistry) {
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
     this.stateManager = stateManager;
     this.shapeRegistry = shapeRegistry;
 
@@ -28,6 +54,20 @@ export class NodeManager {
 
     // Node tracking
     this.nodesByType = new Map(); // type -> Set of node IDs
+    this.childrenByParent = new Map(); // container ID -> Set of child IDs
+
+    // Node bounds, for area queries that don't scan every node
+    this.spatialIndex = new SpatialIndex();
+    this.creationOrder = new Map(); // nodeId -> sequence, to sort results
+    this.nextSequence = 0;
+
+    // Container geometry
+    this.containerOptions = {
+      padding: 20, // space kept around the children
+      headerHeight: 30, // title area above the children
+      collapsedWidth: 160,
+      collapsedHeight: 40,
+    };
 
     this._setupEventListeners();
   }
@@ -69,17 +109,25 @@ export class NodeManager {
         label: data.label || "",
         style: data.style || {},
         data: data.data || {},
+        metadata: data.metadata || {},
         ports: data.ports || [],
         locked: data.locked || false,
         visible: data.visible !== false,
         rotation: data.rotation || 0,
         zIndex: data.zIndex || 0,
+        parentId: data.parentId || null,
+        collapsed: data.collapsed === true,
+        expandedSize: data.expandedSize || null,
+        pool: data.pool || null,
+        laneId: data.laneId || null,
       };
 
       const node = new NodeModel(nodeData);
 
       // Store node
       this.nodes.set(nodeId, node);
+      this.creationOrder.set(nodeId, this.nextSequence++);
+      this._indexNode(node);
 
       // Track by type
       if (!this.nodesByType.has(data.type)) {
@@ -87,6 +135,9 @@ export class NodeManager {
       }
       this.nodesByType.get(data.type).add(nodeId);
 
+      // Track containment (the parent may be loaded after its children)
+      this._addChild(node.parentId, nodeId);
+
       // Update state
       this._updateState();
 
@@ -97,6 +148,15 @@ export class NodeManager {
         type: data.type,
       });
 
+      if (this.isNodeHidden(nodeId)) {
+        this.eventBus.emit("node:visibility:changed", {
+          nodeId,
+          visible: false,
+        });
+      }
+
+      this.commandBus.record(new AddNodeCommand(this, node.serialize()));
+
       return nodeId;
     } catch (error) {
       console.error("Error creating node:", error);
@@ -111,7 +171,9 @@ export class NodeManager {
    * @returns {Array} - Array of created node IDs
    */
   createNodes(nodesData) {
-    return nodesData.map((data) => this.createNode(data));
+    return this.commandBus.batch("Add Nodes", () =>
+      nodesData.map((data) => this.createNode(data))
+    );
   }
 
   /**
@@ -176,20 +238,38 @@ export class NodeManager {
     }
 
     try {
+      if ("parentId" in updates) {
+        updates = { ...updates, parentId: updates.parentId || null };
+        this._validateParent(nodeId, updates.parentId);
+      }
+
       // Store old values for undo
       const oldValues = {};
       Object.keys(updates).forEach((key) => {
         oldValues[key] = node[key];
       });
 
+      // Containment changes can show or hide the node and its descendants
+      const containment = "parentId" in updates || "collapsed" in updates;
+      const wasHidden = containment ? this._hiddenStates(nodeId) : null;
+
       // Apply updates
       Object.assign(node, updates);
+      if (["x", "y", "width", "height"].some((key) => key in updates)) {
+        this._indexNode(node);
+      }
 
       // Update type tracking if type changed
       if (updates.type && updates.type !== oldValues.type) {
         this._updateNodeTypeTracking(nodeId, oldValues.type, updates.type);
       }
 
+      // Update containment tracking if parent changed
+      if ("parentId" in updates && updates.parentId !== oldValues.parentId) {
+        this._removeChild(oldValues.parentId, nodeId);
+        this._addChild(updates.parentId, nodeId);
+      }
+
       // Update state
       this._updateState();
 
@@ -201,6 +281,20 @@ export class NodeManager {
         node: node.serialize(),
       });
 
+      if (containment) {
+        this._emitVisibilityChanges(wasHidden);
+      }
+      if ("collapsed" in updates && updates.collapsed !== oldValues.collapsed) {
+        this.eventBus.emit(
+          updates.collapsed ? "node:collapsed" : "node:expanded",
+          { nodeId }
+        );
+      }
+
+      this.commandBus.recordChange(
+        new UpdateNodeCommand(this, nodeId, oldValues, { ...updates })
+      );
+
       return true;
     } catch (error) {
       console.error("Error updating node:", error);
@@ -232,6 +326,7 @@ export class NodeManager {
 
     node.x = position.x;
     node.y = position.y;
+    this._indexNode(node);
 
     this.eventBus.emit("node:moved", {
       nodeId,
@@ -239,6 +334,21 @@ export class NodeManager {
       oldPosition,
     });
 
+    this.commandBus.recordChange(
+      new MoveNodeCommand(this, nodeId, oldPosition, {
+        x: position.x,
+        y: position.y,
+      })
+    );
+
+    // Children move with their container. Undoing the container's move
+    // carries them back, so their moves are not recorded.
+    this._moveChildren(
+      nodeId,
+      position.x - oldPosition.x,
+      position.y - oldPosition.y
+    );
+
     return true;
   }
 
@@ -251,26 +361,100 @@ export class NodeManager {
     const node = this.getNode(nodeId);
     if (!node) return false;
 
-    const oldSize = { width: node.width, height: node.height };
+    // The resize and the containers growing around it undo together
+    return this.commandBus.batch("Resize Node", () => {
+      const oldSize = { width: node.width, height: node.height };
 
-    node.width = size.width;
-    node.height = size.height;
+      node.width = size.width;
+      node.height = size.height;
+      this._indexNode(node);
 
-    this.eventBus.emit("node:resized", {
-      nodeId,
-      size,
-      oldSize,
+      this.eventBus.emit("node:resized", {
+        nodeId,
+        size,
+        oldSize,
+      });
+
+      this.commandBus.recordChange(
+        new ResizeNodeCommand(this, nodeId, oldSize, {
+          width: size.width,
+          height: size.height,
+        })
+      );
+
+      // A growing child makes its container grow
+      if (node.parentId) {
+        this.fitContainer(node.parentId);
+      }
+
+      return true;
     });
+  }
+
+  /**
+   * Set a node's position and size at once, without moving its children
+   * @param {string} nodeId - Node identifier
+   * @param {Object} bounds - {x, y, width, height}
+   * @returns {boolean}
+   */
+  setNodeBounds(nodeId, bounds) {
+    const node = this.getNode(nodeId);
+    if (!node) return false;
+
+    const oldBounds = {
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+    };
+    const newBounds = {
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height,
+    };
+
+    Object.assign(node, newBounds);
+    this._indexNode(node);
+
+    if (oldBounds.x !== newBounds.x || oldBounds.y !== newBounds.y) {
+      this.eventBus.emit("node:moved", {
+        nodeId,
+        position: { x: newBounds.x, y: newBounds.y },
+        oldPosition: { x: oldBounds.x, y: oldBounds.y },
+      });
+    }
+    if (
+      oldBounds.width !== newBounds.width ||
+      oldBounds.height !== newBounds.height
+    ) {
+      this.eventBus.emit("node:resized", {
+        nodeId,
+        size: { width: newBounds.width, height: newBounds.height },
+        oldSize: { width: oldBounds.width, height: oldBounds.height },
+      });
+    }
+
+    this.commandBus.recordChange(
+      new NodeBoundsCommand(this, nodeId, oldBounds, newBounds)
+    );
 
     return true;
   }
 
   /**
    * Delete a node
+   *
+   * A container's children are kept (moved up to the container's own
+   * parent) unless options.deleteChildren is set.
+   *
    * @param {string} nodeId - Node identifier
+   * @param {Object} [options]
+   * @param {boolean} [options.deleteChildren=false] - Delete a container's
+   *                                                   descendants with it
    * @returns {boolean}
    */
-  deleteNode(nodeId) {
+  deleteNode(nodeId, options = {}) {
     const node = this.getNode(nodeId);
     if (!node) {
       console.warn(`Node ${nodeId} not found`);
@@ -278,25 +462,49 @@ export class NodeManager {
     }
 
     try {
-      // Store node data for undo
-      const nodeData = node.serialize();
-
-      // Remove from type tracking
-      const typeSet = this.nodesByType.get(node.type);
-      if (typeSet) {
-        typeSet.delete(nodeId);
-      }
-
-      // Remove node
-      this.nodes.delete(nodeId);
-
-      // Update state
-      this._updateState();
-
-      // Emit event
-      this.eventBus.emit("node:deleted", {
-        nodeId,
-        nodeData,
+      // Edges, layer entries and children removed in response join the
+      // same undo step; the node itself is recorded last so undo restores
+      // it before them
+      this.commandBus.batch("Delete Node", () => {
+        this.getChildren(nodeId).forEach((child) => {
+          if (options.deleteChildren) {
+            this.deleteNode(child.id, options);
+          } else {
+            this.updateNode(child.id, {
+              parentId: node.parentId,
+              laneId: null,
+            });
+          }
+        });
+
+        // Store node data for undo
+        const nodeData = node.serialize();
+
+        // Remove from type tracking
+        const typeSet = this.nodesByType.get(node.type);
+        if (typeSet) {
+          typeSet.delete(nodeId);
+        }
+
+        // Remove from containment tracking
+        this._removeChild(node.parentId, nodeId);
+        this.childrenByParent.delete(nodeId);
+
+        // Remove node
+        this.nodes.delete(nodeId);
+        this.spatialIndex.remove(nodeId);
+        this.creationOrder.delete(nodeId);
+
+        // Update state
+        this._updateState();
+
+        // Emit event
+        this.eventBus.emit("node:deleted", {
+          nodeId,
+          nodeData,
+        });
+
+        this.commandBus.record(new DeleteNodeCommand(this, nodeId, nodeData));
       });
 
       return true;
@@ -310,15 +518,20 @@ export class NodeManager {
   /**
    * Delete multiple nodes
    * @param {Array} nodeIds - Array of node IDs
+   * @param {Object} [options] - See deleteNode()
    * @returns {Array} - Successfully deleted node IDs
    */
-  deleteNodes(nodeIds) {
+  deleteNodes(nodeIds, options = {}) {
     const deleted = [];
 
-    nodeIds.forEach((nodeId) => {
-      if (this.deleteNode(nodeId)) {
-        deleted.push(nodeId);
-      }
+    this.commandBus.batch("Delete Nodes", () => {
+      nodeIds.forEach((nodeId) => {
+        // Already gone with a deleted container
+        if (!this.hasNode(nodeId)) return;
+        if (this.deleteNode(nodeId, options)) {
+          deleted.push(nodeId);
+        }
+      });
     });
 
     return deleted;
@@ -330,12 +543,19 @@ export class NodeManager {
   clearAll() {
     const nodeIds = Array.from(this.nodes.keys());
 
-    nodeIds.forEach((nodeId) => {
-      this.deleteNode(nodeId);
+    this.commandBus.batch("Clear Nodes", () => {
+      nodeIds.forEach((nodeId) => {
+        if (this.hasNode(nodeId)) {
+          this.deleteNode(nodeId, { deleteChildren: true });
+        }
+      });
     });
 
     this.nodes.clear();
     this.nodesByType.clear();
+    this.childrenByParent.clear();
+    this.spatialIndex.clear();
+    this.creationOrder.clear();
     this.nextNodeId = 1;
 
     this._updateState();
@@ -375,6 +595,478 @@ export class NodeManager {
     return nodeIds.map((id) => this.cloneNode(id, offset)).filter(Boolean);
   }
 
+  /**
+   * Check if a node can hold other nodes (group, frame, swimlane)
+   * @param {string|Object} node - Node or node identifier
+   * @returns {boolean}
+   */
+  isContainer(node) {
+    const model = typeof node === "string" ? this.getNode(node) : node;
+    return Boolean(model) && CONTAINER_TYPES.includes(model.type);
+  }
+
+  /**
+   * Get a node's direct children
+   * @param {string} nodeId - Container identifier
+   * @returns {Array}
+   */
+  getChildren(nodeId) {
+    const childIds = this.childrenByParent.get(nodeId);
+    return childIds ? this.getNodes(Array.from(childIds)) : [];
+  }
+
+  /**
+   * Get all nodes inside a container, parents before their children
+   * @param {string} nodeId - Container identifier
+   * @returns {Array}
+   */
+  getDescendants(nodeId) {
+    const descendants = [];
+    const visit = (id) => {
+      this.getChildren(id).forEach((child) => {
+        descendants.push(child);
+        visit(child.id);
+      });
+    };
+    visit(nodeId);
+    return descendants;
+  }
+
+  /**
+   * Get the container holding a node
+   * @param {string} nodeId - Node identifier
+   * @returns {NodeModel|null}
+   */
+  getParent(nodeId) {
+    const node = this.getNode(nodeId);
+    return node && node.parentId ? this.getNode(node.parentId) : null;
+  }
+
+  /**
+   * Get the containers holding a node, innermost first
+   * @param {string} nodeId - Node identifier
+   * @returns {Array}
+   */
+  getAncestors(nodeId) {
+    const ancestors = [];
+    let parent = this.getParent(nodeId);
+    while (parent && !ancestors.includes(parent)) {
+      ancestors.push(parent);
+      parent = this.getParent(parent.id);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Check if a node is hidden inside a collapsed container
+   * @param {string} nodeId - Node identifier
+   * @returns {boolean}
+   */
+  isNodeHidden(nodeId) {
+    return this.getAncestors(nodeId).some((ancestor) => ancestor.collapsed);
+  }
+
+  /**
+   * Get the node that stands in for a node on screen: the outermost
+   * collapsed container holding it, or the node itself
+   * @param {string} nodeId - Node identifier
+   * @returns {NodeModel|null}
+   */
+  getVisibleNode(nodeId) {
+    const collapsed = this.getAncestors(nodeId).filter(
+      (ancestor) => ancestor.collapsed
+    );
+    return collapsed.length > 0
+      ? collapsed[collapsed.length - 1]
+      : this.getNode(nodeId);
+  }
+
+  /**
+   * Move a node into a container, or out of all containers
+   *
+   * The new container grows to fit the node. In a pool the node is
+   * assigned to the lane under its centre.
+   *
+   * @param {string} nodeId - Node identifier
+   * @param {string|null} parentId - Container identifier, or null
+   * @returns {boolean}
+   */
+  setParent(nodeId, parentId) {
+    const node = this.getNode(nodeId);
+    if (!node) {
+      console.warn(`Node ${nodeId} not found`);
+      return false;
+    }
+
+    return this.commandBus.batch("Move Into Container", () => {
+      const target = parentId || null;
+      if (node.parentId !== target && !this.updateNode(nodeId, { parentId })) {
+        return false;
+      }
+
+      // In a pool, the node joins the lane it sits in
+      const parent = this.getNode(target);
+      const laneId =
+        parent && parent.pool ? this._laneUnder(parent, node) : null;
+      if (node.laneId !== laneId) {
+        this.updateNode(nodeId, { laneId });
+      }
+
+      if (target) {
+        this.fitContainer(target);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Reparent a node after it was dropped: it moves into the innermost
+   * expanded container under its centre, or out of its container if
+   * there is none
+   * @param {string} nodeId - Node identifier
+   * @returns {boolean}
+   */
+  dropNode(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node) return false;
+
+    const centerX = node.x + node.width / 2;
+    const centerY = node.y + node.height / 2;
+    const excluded = new Set([
+      nodeId,
+      ...this.getDescendants(nodeId).map((descendant) => descendant.id),
+    ]);
+
+    let target = null;
+    let targetDepth = -1;
+    this.getAllNodes().forEach((candidate) => {
+      if (
+        excluded.has(candidate.id) ||
+        !this.isContainer(candidate) ||
+        candidate.collapsed ||
+        this.isNodeHidden(candidate.id) ||
+        !candidate.contains(centerX, centerY)
+      ) {
+        return;
+      }
+
+      // Innermost wins; among siblings, the smaller one
+      const depth = this.getAncestors(candidate.id).length;
+      if (
+        depth > targetDepth ||
+        (depth === targetDepth &&
+          candidate.width * candidate.height < target.width * target.height)
+      ) {
+        target = candidate;
+        targetDepth = depth;
+      }
+    });
+
+    return this.setParent(nodeId, target ? target.id : null);
+  }
+
+  /**
+   * Grow a container (and the containers holding it) around its children
+   *
+   * Containers only grow; collapsed containers are left alone. A pool
+   * grows along its lanes, and each lane grows to fit its own nodes.
+   *
+   * @param {string} nodeId - Container identifier
+   * @returns {boolean} - True if the container changed
+   */
+  fitContainer(nodeId) {
+    const container = this.getNode(nodeId);
+    const children = this.getChildren(nodeId);
+    if (!container || container.collapsed || children.length === 0) {
+      return false;
+    }
+    if (container.pool) {
+      return this._fitPool(container, children);
+    }
+
+    const { padding, headerHeight } = this.containerOptions;
+    const inner = this.getNodesBounds(children.map((child) => child.id));
+    const left = Math.min(container.x, inner.left - padding);
+    const top = Math.min(container.y, inner.top - padding - headerHeight);
+    const right = Math.max(
+      container.x + container.width,
+      inner.right + padding
+    );
+    const bottom = Math.max(
+      container.y + container.height,
+      inner.bottom + padding
+    );
+
+    if (
+      left === container.x &&
+      top === container.y &&
+      right === container.x + container.width &&
+      bottom === container.y + container.height
+    ) {
+      return false;
+    }
+
+    this.setNodeBounds(nodeId, {
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+    });
+    if (container.parentId) {
+      this.fitContainer(container.parentId);
+    }
+    return true;
+  }
+
+  /**
+   * Collapse a container to a small box that hides its children
+   * @param {string} nodeId - Container identifier
+   * @returns {boolean}
+   */
+  collapseContainer(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!this.isContainer(node) || node.collapsed) return false;
+
+    const { collapsedWidth, collapsedHeight } = this.containerOptions;
+    const expandedSize = { width: node.width, height: node.height };
+
+    // Resize first so edges are rerouted to the final box on node:collapsed
+    return this.commandBus.batch("Collapse", () => {
+      this.updateNodeSize(nodeId, {
+        width: Math.min(node.width, collapsedWidth),
+        height: Math.min(node.height, collapsedHeight),
+      });
+      return this.updateNode(nodeId, { collapsed: true, expandedSize });
+    });
+  }
+
+  /**
+   * Expand a collapsed container back to its size and show its children
+   * @param {string} nodeId - Container identifier
+   * @returns {boolean}
+   */
+  expandContainer(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node || !node.collapsed) return false;
+
+    const size = node.expandedSize || {
+      width: node.width,
+      height: node.height,
+    };
+
+    return this.commandBus.batch("Expand", () => {
+      if (!this.updateNode(nodeId, { collapsed: false, expandedSize: null })) {
+        return false;
+      }
+      this.updateNodeSize(nodeId, size);
+      this.fitContainer(nodeId);
+      return true;
+    });
+  }
+
+  /**
+   * Collapse or expand a container
+   * @param {string} nodeId - Container identifier
+   * @returns {boolean}
+   */
+  toggleCollapsed(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node) return false;
+
+    return node.collapsed
+      ? this.expandContainer(nodeId)
+      : this.collapseContainer(nodeId);
+  }
+
+  /**
+   * Get a pool's lanes with their bounds and nodes
+   * @param {string} nodeId - Pool identifier
+   * @returns {Array} - [{id, label, size, index, bounds, header, content,
+   *                    nodeIds}]; empty if the node is not a pool
+   */
+  getLanes(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node || !node.pool) return [];
+
+    const children = this.getChildren(nodeId);
+    return PoolLanes.lanes(node).map((lane) => ({
+      ...lane,
+      nodeIds: children
+        .filter((child) => this._laneOf(node, child) === lane.id)
+        .map((child) => child.id),
+    }));
+  }
+
+  /**
+   * Get the swimlane lane a node belongs to, through any containers
+   * between them. A swimlane without lanes counts as one lane named
+   * after the swimlane.
+   * @param {string} nodeId - Node identifier
+   * @returns {Object|null} - {poolId, laneId, label, index}, or null if the
+   *                          node is not in a swimlane
+   */
+  getNodeLane(nodeId) {
+    let member = this.getNode(nodeId);
+    let pool = this.getParent(nodeId);
+    while (pool && pool.type !== "swimlane") {
+      member = pool;
+      pool = this.getParent(pool.id);
+    }
+    if (!pool) return null;
+
+    if (!pool.pool) {
+      return { poolId: pool.id, laneId: null, label: pool.label, index: 0 };
+    }
+
+    const laneId = this._laneOf(pool, member);
+    const index = pool.pool.lanes.findIndex((lane) => lane.id === laneId);
+    return {
+      poolId: pool.id,
+      laneId,
+      label: pool.pool.lanes[index].label,
+      index,
+    };
+  }
+
+  /**
+   * Add a lane to a pool. A swimlane without lanes becomes a pool whose
+   * first lane is the swimlane's current area.
+   * @param {string} nodeId - Pool identifier
+   * @param {Object} [lane]
+   * @param {string} [lane.label='']
+   * @param {number} [lane.size=150]
+   * @param {number} [lane.index] - Position (default: after the last lane)
+   * @param {string} [lane.orientation='horizontal'] - For a new pool
+   * @returns {string|null} - New lane ID
+   */
+  insertLane(nodeId, lane = {}) {
+    return this._editPool(nodeId, "Insert Lane", null, (node) => {
+      if (!node.pool) {
+        this.updateNode(nodeId, {
+          pool: this._singleLanePool(node, lane.orientation),
+        });
+      }
+      const lanes = node.pool.lanes;
+      const index = Math.max(
+        0,
+        Math.min(
+          lane.index !== undefined ? lane.index : lanes.length,
+          lanes.length
+        )
+      );
+      const pool = PoolLanes.insert(node.pool, index, lane);
+      this._applyPool(nodeId, pool);
+      return pool.lanes[index].id;
+    });
+  }
+
+  /**
+   * Remove a lane; a neighbouring lane takes over its area and nodes
+   * @param {string} nodeId - Pool identifier
+   * @param {string} laneId - Lane identifier
+   * @returns {boolean}
+   */
+  removeLane(nodeId, laneId) {
+    return this._editPool(nodeId, "Remove Lane", false, (node) => {
+      const lanes = node.pool.lanes;
+      const index = this._laneIndex(node, laneId);
+      if (lanes.length === 1) {
+        throw new Error(`Cannot remove the only lane of pool ${nodeId}`);
+      }
+
+      const into = lanes[index > 0 ? index - 1 : 1];
+      const merged = PoolLanes.update(node.pool, into.id, {
+        size: into.size + lanes[index].size,
+      });
+      this._applyPool(nodeId, PoolLanes.remove(merged, laneId), [into.id]);
+      return true;
+    });
+  }
+
+  /**
+   * Move a lane to another position; its nodes travel with it
+   * @param {string} nodeId - Pool identifier
+   * @param {string} laneId - Lane identifier
+   * @param {number} index - New position
+   * @returns {boolean}
+   */
+  moveLane(nodeId, laneId, index) {
+    return this._editPool(nodeId, "Move Lane", false, (node) => {
+      this._laneIndex(node, laneId);
+      this._applyPool(nodeId, PoolLanes.move(node.pool, laneId, index));
+      return true;
+    });
+  }
+
+  /**
+   * Rename a lane
+   * @param {string} nodeId - Pool identifier
+   * @param {string} laneId - Lane identifier
+   * @param {string} label - New label
+   * @returns {boolean}
+   */
+  renameLane(nodeId, laneId, label) {
+    return this._editPool(nodeId, "Rename Lane", false, (node) => {
+      this._laneIndex(node, laneId);
+      return this.updateNode(nodeId, {
+        pool: PoolLanes.update(node.pool, laneId, { label: label || "" }),
+      });
+    });
+  }
+
+  /**
+   * Resize a lane, as dragging its divider does. The lanes after it and
+   * their nodes shift, and the pool grows or shrinks with it. A lane
+   * never gets smaller than its nodes.
+   * @param {string} nodeId - Pool identifier
+   * @param {string} laneId - Lane identifier
+   * @param {number} size - New size across the lane
+   * @returns {boolean}
+   */
+  resizeLane(nodeId, laneId, size) {
+    return this._editPool(nodeId, "Resize Lane", false, (node) => {
+      const lane = node.pool.lanes[this._laneIndex(node, laneId)];
+      const minSize = Math.max(
+        MIN_LANE_SIZE,
+        this._laneContentSize(node, lane)
+      );
+      this._applyPool(
+        nodeId,
+        PoolLanes.update(node.pool, laneId, { size: Math.max(size, minSize) })
+      );
+      return true;
+    });
+  }
+
+  /**
+   * Find the lane divider under a point, on any expanded pool
+   * @param {Object} point - {x, y}
+   * @param {number} [tolerance=4] - Distance in pixels
+   * @returns {Object|null} - {nodeId, laneId, index, from, to, orientation}
+   */
+  getLaneDividerAt(point, tolerance = 4) {
+    const pools = this.getNodesByType("swimlane").filter(
+      (node) => node.pool && !node.collapsed && !this.isNodeHidden(node.id)
+    );
+
+    // Nested pools are drawn on top of the pools holding them
+    pools.sort(
+      (a, b) => this.getAncestors(b.id).length - this.getAncestors(a.id).length
+    );
+
+    for (const node of pools) {
+      const divider = PoolLanes.dividerAt(node, point, tolerance);
+      if (divider) {
+        return {
+          nodeId: node.id,
+          ...divider,
+          orientation: node.pool.orientation,
+        };
+      }
+    }
+    return null;
+  }
+
   /**
    * Get node bounds (bounding box)
    * @param {string} nodeId - Node identifier
@@ -454,38 +1146,77 @@ export class NodeManager {
   /**
    * Get nodes at point
    * @param {Object} point - {x, y}
-   * @returns {Array} - Node IDs at point
+   * @param {number} [tolerance=0] - Also count nodes this close
+   * @returns {Array} - Node IDs at point, in creation order
    */
-  getNodesAtPoint(point) {
-    return this.getAllNodes()
-      .filter((node) => this.isPointInNode(node.id, point))
-      .map((node) => node.id);
+  getNodesAtPoint(point, tolerance = 0) {
+    return this._inCreationOrder(
+      this.spatialIndex.searchPoint(point, tolerance)
+    );
   }
 
   /**
    * Get nodes in rectangle
    * @param {Object} rect - {x, y, width, height}
-   * @returns {Array} - Node IDs in rectangle
+   * @param {Object} [options]
+   * @param {boolean} [options.contained=false] - Only nodes entirely
+   *                                              inside, not touching it
+   * @returns {Array} - Node IDs in rectangle, in creation order
    */
-  getNodesInRect(rect) {
-    return this.getAllNodes()
-      .filter((node) => {
-        const bounds = this.getNodeBounds(node.id);
-        return this._boundsIntersect(bounds, rect);
-      })
-      .map((node) => node.id);
+  getNodesInRect(rect, options = {}) {
+    let nodeIds = this.spatialIndex.search(rect);
+
+    if (options.contained) {
+      nodeIds = nodeIds.filter((nodeId) => {
+        const bounds = this.getNodeBounds(nodeId);
+        return (
+          bounds.left >= rect.x &&
+          bounds.top >= rect.y &&
+          bounds.right <= rect.x + rect.width &&
+          bounds.bottom <= rect.y + rect.height
+        );
+      });
+    }
+
+    return this._inCreationOrder(nodeIds);
+  }
+
+  /**
+   * Get the nodes closest to a point, measured to their bounds
+   * @param {Object} point - {x, y}
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - How many to return
+   * @param {number} [options.maxDistance=Infinity] - Ignore nodes further
+   * @param {Function} [options.filter] - (node) => boolean
+   * @returns {Array} - Node IDs, nearest first
+   */
+  getNearestNodes(point, options = {}) {
+    const { filter, ...rest } = options;
+    return this.spatialIndex.nearest(point, {
+      ...rest,
+      filter: filter ? (nodeId) => filter(this.getNode(nodeId)) : null,
+    });
+  }
+
+  /**
+   * Put a node's current bounds in the spatial index
+   * @private
+   */
+  _indexNode(node) {
+    this.spatialIndex.update(node.id, {
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+    });
   }
 
   /**
-   * Check if two bounds intersect
    * @private
    */
-  _boundsIntersect(bounds1, bounds2) {
-    return !(
-      bounds1.right < bounds2.x ||
-      bounds1.left > bounds2.x + bounds2.width ||
-      bounds1.bottom < bounds2.y ||
-      bounds1.top > bounds2.y + bounds2.height
+  _inCreationOrder(nodeIds) {
+    return nodeIds.sort(
+      (a, b) => this.creationOrder.get(a) - this.creationOrder.get(b)
     );
   }
 
@@ -561,7 +1292,292 @@ export class NodeManager {
    * @private
    */
   _generateNodeId() {
-    return `node_${this.nextNodeId++}`;
+    // Skip ids brought back by undo
+    let nodeId;
+    do {
+      nodeId = `node_${this.nextNodeId++}`;
+    } while (this.nodes.has(nodeId));
+    return nodeId;
+  }
+
+  /**
+   * Move a container's children by an offset without recording it
+   * @private
+   */
+  _moveChildren(nodeId, dx, dy) {
+    const children = this.getChildren(nodeId);
+    if (children.length === 0 || (dx === 0 && dy === 0)) return;
+
+    this.eventBus.emit("command:pause");
+    try {
+      children.forEach((child) => {
+        this.updateNodePosition(child.id, { x: child.x + dx, y: child.y + dy });
+      });
+    } finally {
+      this.eventBus.emit("command:resume");
+    }
+  }
+
+  /**
+   * Throw if a node cannot be moved into a container
+   * @private
+   */
+  _validateParent(nodeId, parentId) {
+    if (!parentId) return;
+
+    const parent = this.getNode(parentId);
+    if (!parent) {
+      throw new Error(`Container ${parentId} not found`);
+    }
+    if (!this.isContainer(parent)) {
+      throw new Error(`Node ${parentId} is not a container`);
+    }
+    if (
+      parentId === nodeId ||
+      this.getAncestors(parentId).some((ancestor) => ancestor.id === nodeId)
+    ) {
+      throw new Error(`Cannot move ${nodeId} into itself`);
+    }
+  }
+
+  /**
+   * Add a node to its container's child set
+   * @private
+   */
+  _addChild(parentId, nodeId) {
+    if (!parentId) return;
+
+    if (!this.childrenByParent.has(parentId)) {
+      this.childrenByParent.set(parentId, new Set());
+    }
+    this.childrenByParent.get(parentId).add(nodeId);
+  }
+
+  /**
+   * Remove a node from its container's child set
+   * @private
+   */
+  _removeChild(parentId, nodeId) {
+    const childIds = this.childrenByParent.get(parentId);
+    if (!childIds) return;
+
+    childIds.delete(nodeId);
+    if (childIds.size === 0) {
+      this.childrenByParent.delete(parentId);
+    }
+  }
+
+  /**
+   * Hidden state of a node and everything inside it
+   * @private
+   */
+  _hiddenStates(nodeId) {
+    const states = new Map();
+    [nodeId, ...this.getDescendants(nodeId).map((node) => node.id)].forEach(
+      (id) => states.set(id, this.isNodeHidden(id))
+    );
+    return states;
+  }
+
+  /**
+   * Emit node:visibility:changed for nodes whose hidden state flipped
+   * @private
+   */
+  _emitVisibilityChanges(wasHidden) {
+    wasHidden.forEach((wasNodeHidden, nodeId) => {
+      const hidden = this.isNodeHidden(nodeId);
+      if (this.hasNode(nodeId) && hidden !== wasNodeHidden) {
+        this.eventBus.emit("node:visibility:changed", {
+          nodeId,
+          visible: !hidden,
+        });
+      }
+    });
+  }
+
+  /**
+   * Grow a pool around its children: along the lanes like any container,
+   * and across them lane by lane
+   * @private
+   */
+  _fitPool(container, children) {
+    const { padding } = this.containerOptions;
+    const horizontal = PoolLanes.isHorizontal(container.pool);
+    const inner = this.getNodesBounds(children.map((child) => child.id));
+
+    const start = horizontal ? container.x : container.y;
+    const end = start + (horizontal ? container.width : container.height);
+    const headers = POOL_HEADER_SIZE + LANE_HEADER_SIZE;
+    const newStart = Math.min(
+      start,
+      (horizontal ? inner.left : inner.top) - padding - headers
+    );
+    const newEnd = Math.max(
+      end,
+      (horizontal ? inner.right : inner.bottom) + padding
+    );
+
+    const pool = PoolLanes.lanes(container).reduce((next, lane) => {
+      const size = horizontal ? lane.bounds.height : lane.bounds.width;
+      return PoolLanes.update(next, lane.id, {
+        size: Math.max(size, this._laneContentSize(container, lane)),
+      });
+    }, container.pool);
+    const lanesChanged = pool.lanes.some(
+      (lane, i) => lane.size !== container.pool.lanes[i].size
+    );
+
+    if (newStart === start && newEnd === end && !lanesChanged) {
+      return false;
+    }
+
+    if (newStart !== start || newEnd !== end) {
+      this.setNodeBounds(container.id, {
+        x: horizontal ? newStart : container.x,
+        y: horizontal ? container.y : newStart,
+        width: horizontal ? newEnd - newStart : container.width,
+        height: horizontal ? container.height : newEnd - newStart,
+      });
+    }
+    if (lanesChanged) {
+      this._applyPool(container.id, pool);
+    }
+    if (container.parentId) {
+      this.fitContainer(container.parentId);
+    }
+    return true;
+  }
+
+  /**
+   * Run a lane edit as one undo step, reporting failures as node:error
+   * @private
+   */
+  _editPool(nodeId, name, fallback, edit) {
+    try {
+      const node = this.getNode(nodeId);
+      if (!node || node.type !== "swimlane") {
+        throw new Error(`Node ${nodeId} is not a swimlane`);
+      }
+      if (node.collapsed) {
+        throw new Error(`Pool ${nodeId} is collapsed`);
+      }
+      return this.commandBus.batch(name, () => edit(node));
+    } catch (error) {
+      console.error("Error editing lanes:", error);
+      this.eventBus.emit("node:error", { operation: "lane", nodeId, error });
+      return fallback;
+    }
+  }
+
+  /**
+   * Give a pool new lanes: resize it to the lanes and shift each lane's
+   * nodes to where their lane now is, except in the `fixed` lanes. Nodes
+   * of a lane that is gone join the lane they now sit in.
+   * @private
+   */
+  _applyPool(nodeId, pool, fixed = []) {
+    const node = this.getNode(nodeId);
+    const horizontal = PoolLanes.isHorizontal(pool);
+    const axis = horizontal ? "y" : "x";
+    const oldOffsets = PoolLanes.offsets(node.pool);
+    const newOffsets = PoolLanes.offsets(pool);
+    const members = this.getChildren(nodeId).map((child) => ({
+      child,
+      laneId: this._laneOf(node, child),
+    }));
+
+    this.updateNode(nodeId, { pool });
+    const extent = PoolLanes.extent(pool);
+    if (extent !== (horizontal ? node.height : node.width)) {
+      this.updateNodeSize(nodeId, {
+        width: horizontal ? node.width : extent,
+        height: horizontal ? extent : node.height,
+      });
+    }
+
+    members.forEach(({ child, laneId }) => {
+      if (newOffsets.has(laneId)) {
+        const delta = fixed.includes(laneId)
+          ? 0
+          : newOffsets.get(laneId) - oldOffsets.get(laneId);
+        if (delta !== 0) {
+          this.updateNodePosition(child.id, {
+            x: child.x,
+            y: child.y,
+            [axis]: child[axis] + delta,
+          });
+        }
+      } else {
+        laneId = this._laneUnder(node, child);
+      }
+      if (child.laneId !== laneId) {
+        this.updateNode(child.id, { laneId });
+      }
+    });
+  }
+
+  /**
+   * Pool holding a swimlane's current area as its only lane
+   * @private
+   */
+  _singleLanePool(node, orientation) {
+    const pool = PoolLanes.create([""], { orientation });
+    const size = PoolLanes.isHorizontal(pool) ? node.height : node.width;
+    return PoolLanes.update(pool, pool.lanes[0].id, { size });
+  }
+
+  /**
+   * Lane a pool's child belongs to: its own laneId, or the lane it sits in
+   * @private
+   */
+  _laneOf(pool, node) {
+    const known =
+      node.laneId && pool.pool.lanes.some((lane) => lane.id === node.laneId);
+    return known ? node.laneId : this._laneUnder(pool, node);
+  }
+
+  /**
+   * Lane under a node's centre
+   * @private
+   */
+  _laneUnder(pool, node) {
+    return PoolLanes.nearestLane(pool, {
+      x: node.x + node.width / 2,
+      y: node.y + node.height / 2,
+    });
+  }
+
+  /**
+   * Position of a lane in a pool; throws if there is no such lane
+   * @private
+   */
+  _laneIndex(node, laneId) {
+    const index = node.pool
+      ? node.pool.lanes.findIndex((lane) => lane.id === laneId)
+      : -1;
+    if (index === -1) {
+      throw new Error(`Lane ${laneId} not found in pool ${node.id}`);
+    }
+    return index;
+  }
+
+  /**
+   * Size a lane needs to hold its nodes
+   * @private
+   */
+  _laneContentSize(node, lane) {
+    const horizontal = PoolLanes.isHorizontal(node.pool);
+    const start =
+      (horizontal ? node.y : node.x) +
+      PoolLanes.offsets(node.pool).get(lane.id);
+    const ends = this.getChildren(node.id)
+      .filter((child) => this._laneOf(node, child) === lane.id)
+      .map((child) =>
+        horizontal ? child.y + child.height : child.x + child.width
+      );
+    return ends.length > 0
+      ? Math.max(...ends) + this.containerOptions.padding - start
+      : 0;
   }
 
   /**
@@ -624,13 +1640,19 @@ export class NodeManager {
    * @param {Array} nodesData - Serialized nodes
    */
   deserialize(nodesData) {
-    // Clear existing nodes
-    this.clearAll();
+    // Loading a document is not an undoable edit
+    this.eventBus.emit("command:pause");
+    try {
+      // Clear existing nodes
+      this.clearAll();
 
-    // Create nodes from data
-    nodesData.forEach((nodeData) => {
-      this.createNode(nodeData);
-    });
+      // Create nodes from data
+      nodesData.forEach((nodeData) => {
+        this.createNode(nodeData);
+      });
+    } finally {
+      this.eventBus.emit("command:resume");
+    }
 
     // Update next ID to avoid conflicts
     const maxId = Math.max(
@@ -0,0 +1,568 @@
+/**
+ * PersistenceManager.js - Autosave, crash recovery and the local library
+ *
+ * Responsibilities:
+ * - Autosave the open diagram to a DocumentStore shortly after every change
+ * - Remember whether the last session ended cleanly and offer its
+ *   document for recovery when it did not
+ * - Keep a library of saved diagrams: list, open, rename, duplicate,
+ *   delete, start a new one
+ * - Render library thumbnails through ExportManager's raster export
+ * - Emit persistence events
+ *
+ * Every change a manager makes is reported on the command bus
+ * (command:record), including undo, redo and remote collaboration edits,
+ * so that is what triggers a save. Documents are stored as
+ * ExportManager.exportJSON() output plus LayerManager.serialize(), and
+ * opened through ExportManager.importJSON(), so older documents are
+ * migrated like imported files.
+ *
+ * A save writes the document and the session record first and the
+ * thumbnail after it, so a slow or failing render never holds back the
+ * diagram itself. Until its new thumbnail is stored a document keeps the
+ * previous one.
+ *
+ * The session record ({ documentId, clean }) is written as not clean on
+ * every save and as clean by markClean(), which the app calls when the
+ * page is hidden or closed. markClean() saves without a thumbnail, since
+ * the page may be gone before one is rendered.
+ *
+ * Events: persistence:saved { document }, persistence:opened { document },
+ * persistence:recovery { document }, persistence:library:changed,
+ * persistence:error
+ *
+ * @module core/managers/PersistenceManager
+ */
+
+import { MathUtils } from "../../utils/math/math.js";
+import { MemoryDocumentStore } from "../storage/DocumentStore.js";
+
+const SESSION_KEY = "session";
+const UNTITLED = "Untitled diagram";
+
+export class PersistenceManager {
+  /**
+   * @param {EventBus} eventBus
+   * @param {StateManager} stateManager
+   * @param {ExportManager} exportManager - Serializes, imports and renders
+   *                                        thumbnails
+   * @param {NodeManager} nodeManager
+   * @param {EdgeManager} edgeManager
+   * @param {LayerManager} [layerManager]
+   * @param {DocumentStore} [store] - Where documents are kept
+   * @param {Object} [options]
+   * @param {number} [options.debounce=1000] - ms of quiet before autosaving
+   * @param {boolean} [options.thumbnails=true] - Render thumbnails
+   * @param {number} [options.thumbnailSize=160] - Longest thumbnail side
+   */
+  constructor(
+    eventBus,
+    stateManager,
+    exportManager,
+    nodeManager,
+    edgeManager,
+    layerManager = null,
+    store = null,
+    options = {}
+  ) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.exportManager = exportManager;
+    this.nodeManager = nodeManager;
+    this.edgeManager = edgeManager;
+    this.layerManager = layerManager;
+    this.store = store || new MemoryDocumentStore();
+
+    this.debounce = options.debounce !== undefined ? options.debounce : 1000;
+    this.thumbnails = options.thumbnails !== false;
+    this.thumbnailSize = options.thumbnailSize || 160;
+
+    // The open document; saved the first time it changes
+    this.document = this._newDocumentInfo();
+
+    // Autosave
+    this.started = false;
+    this.dirty = false;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+
+    // Renders are numbered so a slow one never replaces a newer thumbnail
+    this.thumbnailCount = 0;
+    this.storedThumbnails = new Map(); // documentId -> render number
+
+    // Set while a document is being loaded into the managers
+    this.loading = false;
+
+    // Document of a session that ended unexpectedly, until dealt with
+    this.recovery = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    this.eventBus.on("command:record", () => this._onChange());
+  }
+
+  /**
+   * Open the store and check how the last session ended
+   * @returns {Promise<Object|null>} - Summary of the document to offer for
+   *                                   recovery, or null
+   */
+  async start() {
+    let recovery = null;
+
+    try {
+      await this.store.open();
+
+      const session = await this.store.getMeta(SESSION_KEY);
+      if (session && !session.clean && session.documentId) {
+        const record = await this.store.getDocument(session.documentId);
+        recovery = record ? summarize(record) : null;
+      }
+    } catch (error) {
+      this._reportError("start", error);
+      return null;
+    }
+
+    this.started = true;
+    this.recovery = recovery;
+    if (recovery) {
+      this.eventBus.emit("persistence:recovery", { document: recovery });
+    }
+    return recovery;
+  }
+
+  /**
+   * Save the open document now if it has unsaved changes
+   * @param {Object} [options]
+   * @param {boolean} [options.thumbnail=true] - Render and store a new
+   *                                             thumbnail after the document
+   * @returns {Promise<void>} - Resolves when every pending save is written;
+   *                            the thumbnail may still be rendering
+   */
+  save(options = {}) {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.dirty) return this.saving;
+    this.dirty = false;
+
+    // Capture now; later edits go into the next save
+    const record = this._snapshot();
+    const thumbnail =
+      this.thumbnails && options.thumbnail !== false
+        ? this._renderThumbnail()
+        : null;
+
+    this.saving = this.saving
+      .then(async () => {
+        await this.store.putDocument(record);
+        await this._writeSession(record.id, false);
+
+        if (this.document.id === record.id) {
+          this.document.saved = true;
+        }
+        this.eventBus.emit("persistence:saved", {
+          document: summarize(record),
+        });
+        this.eventBus.emit("persistence:library:changed");
+      })
+      .catch((error) => {
+        this.dirty = true;
+        this._reportError("save", error);
+      });
+
+    if (thumbnail) {
+      const count = ++this.thumbnailCount;
+      thumbnail.then((image) => {
+        this.saving = this.saving.then(() =>
+          this._storeThumbnail(record.id, image, count)
+        );
+      });
+    }
+
+    return this.saving;
+  }
+
+  /**
+   * Record that the session ended normally, after saving without a
+   * thumbnail
+   * @returns {Promise<void>}
+   */
+  async markClean() {
+    await this.save({ thumbnail: false });
+    try {
+      await this._writeSession(
+        this.document.saved ? this.document.id : null,
+        true
+      );
+    } catch (error) {
+      this._reportError("markClean", error);
+    }
+  }
+
+  /**
+   * Has the open document changed since it was last saved?
+   * @returns {boolean}
+   */
+  hasUnsavedChanges() {
+    return this.dirty;
+  }
+
+  /**
+   * The open document
+   * @returns {Object} - { id, name, createdAt, saved }
+   */
+  getCurrentDocument() {
+    const { id, name, createdAt, saved } = this.document;
+    return { id, name, createdAt, saved };
+  }
+
+  /**
+   * Saved documents, most recently changed first
+   * @returns {Promise<Array<Object>>} - Summaries without the diagram data
+   */
+  async listDocuments() {
+    const records = await this.store.listDocuments();
+    return records
+      .map(summarize)
+      .sort((a, b) =>
+        a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0
+      );
+  }
+
+  /**
+   * Replace the open diagram with a saved one
+   * @param {string} id - Document id
+   * @returns {Promise<Object>} - Summary of the opened document
+   */
+  async openDocument(id) {
+    try {
+      await this.save();
+
+      const record = await this.store.getDocument(id);
+      if (!record) {
+        throw new Error(`Document '${id}' not found`);
+      }
+
+      this._load(record);
+      await this._writeSession(record.id, false);
+
+      const document = summarize(record);
+      this.eventBus.emit("persistence:opened", { document });
+      return document;
+    } catch (error) {
+      this._reportError("open", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the document of the session that ended unexpectedly
+   * @returns {Promise<Object|null>} - Its summary, or null if there is none
+   */
+  async recover() {
+    const recovery = this.recovery;
+    if (!recovery) return null;
+
+    this.recovery = null;
+    return this.openDocument(recovery.id);
+  }
+
+  /**
+   * Keep the current document and stop offering recovery; the unsaved
+   * session's document stays in the library
+   * @returns {Promise<void>}
+   */
+  async discardRecovery() {
+    this.recovery = null;
+
+    // Once this session has saved, the record is already its own
+    if (this.document.saved) return;
+    try {
+      await this._writeSession(null, true);
+    } catch (error) {
+      this._reportError("discardRecovery", error);
+    }
+  }
+
+  /**
+   * Save the open diagram and start an empty one
+   * @returns {Promise<Object>} - The new document
+   */
+  async newDocument() {
+    await this.save();
+
+    this._load(null);
+    this.eventBus.emit("persistence:opened", {
+      document: this.getCurrentDocument(),
+    });
+    return this.getCurrentDocument();
+  }
+
+  /**
+   * Rename a saved document or the open one
+   * @param {string} id - Document id
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  async renameDocument(id, name) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) {
+      throw new Error("Document name cannot be empty");
+    }
+
+    try {
+      if (id === this.document.id) {
+        this.document.name = trimmed;
+      }
+
+      const record = await this.store.getDocument(id);
+      if (record) {
+        await this.store.putDocument({ ...record, name: trimmed });
+      } else if (id !== this.document.id) {
+        throw new Error(`Document '${id}' not found`);
+      }
+
+      this.eventBus.emit("persistence:library:changed");
+    } catch (error) {
+      this._reportError("rename", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a copy of a document under a new id
+   * @param {string} id - Document id
+   * @returns {Promise<Object>} - Summary of the copy
+   */
+  async duplicateDocument(id) {
+    try {
+      if (id === this.document.id) {
+        this.dirty = this.dirty || !this.document.saved;
+        await this.save();
+      }
+
+      const record = await this.store.getDocument(id);
+      if (!record) {
+        throw new Error(`Document '${id}' not found`);
+      }
+
+      const now = new Date().toISOString();
+      const copy = {
+        ...record,
+        id: MathUtils.uuid(),
+        name: `${record.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await this.store.putDocument(copy);
+
+      this.eventBus.emit("persistence:library:changed");
+      return summarize(copy);
+    } catch (error) {
+      this._reportError("duplicate", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved document. Deleting the open one keeps the diagram on
+   * the canvas as a new, unsaved document.
+   * @param {string} id - Document id
+   * @returns {Promise<void>}
+   */
+  async deleteDocument(id) {
+    try {
+      if (id === this.document.id) {
+        // Nothing may write the old id back after it is gone
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.saving;
+        this.document = this._newDocumentInfo();
+        this.dirty = false;
+      }
+
+      await this.store.deleteDocument(id);
+      this.eventBus.emit("persistence:library:changed");
+    } catch (error) {
+      this._reportError("delete", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Something changed; save once things are quiet
+   * @private
+   */
+  _onChange() {
+    if (!this.started || this.loading) return;
+
+    this.dirty = true;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.debounce);
+  }
+
+  /**
+   * The open diagram as a document record, with the thumbnail it had
+   * @private
+   */
+  _snapshot() {
+    return {
+      id: this.document.id,
+      name: this.document.name,
+      createdAt: this.document.createdAt,
+      updatedAt: new Date().toISOString(),
+      nodeCount: this.nodeManager.getAllNodes().length,
+      edgeCount: this.edgeManager.getAllEdges().length,
+      json: this.exportManager.exportJSON({ pretty: false }),
+      layers: this.layerManager ? this.layerManager.serialize() : null,
+      thumbnail: this.document.thumbnail || null,
+    };
+  }
+
+  /**
+   * Put a rendered thumbnail on a saved document, unless a newer render
+   * got there first
+   * @private
+   */
+  async _storeThumbnail(id, thumbnail, count) {
+    if (count < (this.storedThumbnails.get(id) || 0)) return;
+
+    try {
+      const record = await this.store.getDocument(id);
+      if (!record || record.thumbnail === thumbnail) return;
+
+      await this.store.putDocument({ ...record, thumbnail });
+      this.storedThumbnails.set(id, count);
+      if (this.document.id === id) {
+        this.document.thumbnail = thumbnail;
+      }
+      this.eventBus.emit("persistence:library:changed");
+    } catch (error) {
+      this._reportError("thumbnail", error);
+    }
+  }
+
+  /**
+   * Render a small PNG of the diagram; on failure the previous thumbnail
+   * is kept
+   * @private
+   */
+  _renderThumbnail() {
+    const previous = this.document.thumbnail || null;
+    const nodes = this.nodeManager.getAllNodes();
+    if (nodes.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    const padding = 10;
+    const bounds = this.nodeManager.getNodesBounds(nodes.map((n) => n.id));
+    const longest = Math.max(bounds.width, bounds.height) + padding * 2;
+
+    // exportImage collects the diagram before its first await
+    return this.exportManager
+      .exportImage(null, {
+        format: "png",
+        scale: Math.min(1, this.thumbnailSize / longest),
+        padding,
+      })
+      .catch((error) => {
+        console.warn("Could not render thumbnail:", error);
+        return previous;
+      });
+  }
+
+  /**
+   * Put a document into the managers, or an empty diagram for null
+   * @private
+   */
+  _load(record) {
+    const data = record
+      ? this.exportManager.importJSON(record.json)
+      : { nodes: [], edges: [] };
+
+    // Stop a pending save of the outgoing document
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    this.loading = true;
+    try {
+      this.nodeManager.deserialize(data.nodes);
+      this.edgeManager.deserialize(data.edges);
+      if (this.layerManager) {
+        this.layerManager.deserialize(
+          record && record.layers
+            ? record.layers
+            : { layerOrder: [this.layerManager.defaultLayerId], zIndexMap: [] }
+        );
+      }
+    } finally {
+      this.loading = false;
+    }
+
+    this.document = record
+      ? {
+          id: record.id,
+          name: record.name,
+          createdAt: record.createdAt,
+          saved: true,
+          thumbnail: record.thumbnail || null,
+        }
+      : this._newDocumentInfo();
+    this.dirty = false;
+
+    // The undo history belongs to the diagram that was replaced
+    this.eventBus.emit("command:clear");
+  }
+
+  /**
+   * @private
+   */
+  _newDocumentInfo() {
+    return {
+      id: MathUtils.uuid(),
+      name: UNTITLED,
+      createdAt: new Date().toISOString(),
+      saved: false,
+      thumbnail: null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _writeSession(documentId, clean) {
+    return this.store.setMeta(SESSION_KEY, { documentId, clean });
+  }
+
+  /**
+   * @private
+   */
+  _reportError(operation, error) {
+    console.error(`Error in persistence (${operation}):`, error);
+    this.eventBus.emit("persistence:error", { operation, error });
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.store.close();
+  }
+}
+
+/**
+ * A document record without the diagram data
+ * @private
+ */
+function summarize(record) {
+  const { json, layers, ...summary } = record;
+  return summary;
+}
@@ -2,79 +2,262 @@
  * PluginManager.js - Manages plugins and extensions
  *
  * Responsibilities:
- * - Register and load plugins
+ * - Register and load plugins (from ES module URLs with a manifest)
  * - Manage plugin lifecycle (init, enable, disable, destroy)
- * - Provide plugin API access to editor features
- * - Handle plugin dependencies
+ * - Give each plugin a context limited to its manifest's capabilities
+ * - Track plugin contributions and remove them when a plugin is disabled
+ * - Check plugin dependencies and their version ranges
  * - Emit plugin events
  *
+ * Each plugin gets its own context (see _createPluginContext). Logging
+ * and plugin-scoped events are always there; the rest is grouped by
+ * capability (see plugins/PluginManifest.js) and throws when the manifest
+ * did not ask for it:
+ *
+ *   context.graph     getNode, getNodes, getEdge, getEdges, getSelection,
+ *                     getDocument, getState           (graph:read)
+ *                     createNode, updateNode, deleteNode, createEdge,
+ *                     updateEdge, deleteEdge, batch   (graph:write)
+ *   context.ui        addMenuItem, addToolbarButton, registerCommand,
+ *                     notify                          (ui)
+ *   context.formats   registerFormat                  (export)
+ *
+ * context.on only reaches the events the capabilities allow (see
+ * PLUGIN_EVENTS). Reads, writes and event data are copies, so plugins
+ * cannot change models behind the managers' backs, and context.manifest is
+ * a frozen copy that grants nothing when edited. Plugin commands are kept
+ * apart from the bus and run with executeCommand("<plugin id>.<name>").
+ *
  * @module core/managers/PluginManager
  */
 
+import { CommandBus } from "../events/CommandBus.js";
+import { PluginManifest } from "../plugins/PluginManifest.js";
+import { Semver } from "../plugins/Semver.js";
+
 export class PluginManager {
   constructor(eventBus, stateManager, serviceContainer) {
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
     this.stateManager = stateManager;
     this.serviceContainer = serviceContainer;
 
     // Registered plugins
     this.plugins = new Map();
 
+    // Normalized manifests by plugin id
+    this.manifests = new Map();
+
     // Plugin states
     this.pluginStates = new Map(); // 'registered', 'initialized', 'enabled', 'disabled', 'error'
 
-    // Plugin API context
-    this.pluginContext = this._createPluginContext();
+    // Plugin API contexts by plugin id
+    this.contexts = new Map();
+
+    // Undo functions for each plugin's contributions, run on disable
+    this.contributions = new Map();
+
+    // Plugin commands by "<plugin id>.<name>"
+    this.commands = new Map();
+
+    // Module loader for loadPlugin (replaceable for tests)
+    this.importModule = (url) => import(/* @vite-ignore */ url);
   }
 
   /**
-   * Create plugin context/API
+   * Create a plugin's context/API
    * @private
    */
-  _createPluginContext() {
-    return {
-      // Event system access
-      on: (event, handler) => this.eventBus.on(event, handler),
-      off: (event, handler) => this.eventBus.off(event, handler),
-      emit: (event, data) => this.eventBus.emit(event, data),
-
-      // Service access
-      getService: (name) => this.serviceContainer.resolve(name),
-
-      // State access
-      getState: (path) => this.stateManager.getState(path),
-      setState: (path, value) => this.stateManager.setState(path, value),
-
-      // Plugin utilities
-      registerCommand: (name, handler) =>
-        this._registerPluginCommand(name, handler),
-      addMenuItem: (menu, item) => this._addPluginMenuItem(menu, item),
-      addToolbarButton: (button) => this._addPluginToolbarButton(button),
+  _createPluginContext(id) {
+    // Granted once: the plugin only ever sees a frozen copy of its manifest
+    const manifest = PluginManager._frozen(this.manifests.get(id));
+    const granted = new Set(manifest.capabilities);
+    const has = (capability) => granted.has(capability);
+    const guard =
+      (capability, fn) =>
+      (...args) => {
+        if (!has(capability)) {
+          throw new Error(
+            `Plugin '${id}' needs the '${capability}' capability for this`
+          );
+        }
+        return fn(...args);
+      };
+    const copy = (model) =>
+      model ? JSON.parse(JSON.stringify(model.serialize())) : null;
+    const read = (fn) => guard("graph:read", fn);
+    const write = (fn) => guard("graph:write", fn);
+
+    // Bus subscriptions by event, then by the plugin's handler
+    const subscriptions = new Map();
+    const unsubscribe = (event, handler) => {
+      const handlers = subscriptions.get(event);
+      if (handlers && handlers.has(handler)) {
+        handlers.get(handler)();
+        handlers.delete(handler);
+      }
     };
+
+    return Object.freeze({
+      id,
+      manifest,
+      hasCapability: has,
+
+      // Events the capabilities allow; subscriptions end when the plugin
+      // is disabled
+      on: (event, handler) => {
+        const capability = PluginManifest.eventCapability(event);
+        if (capability === undefined) {
+          throw new Error(`Plugin '${id}' cannot subscribe to '${event}'`);
+        }
+        if (capability) guard(capability, () => {})();
+
+        unsubscribe(event, handler);
+        if (!subscriptions.has(event)) subscriptions.set(event, new Map());
+        subscriptions.get(event).set(
+          handler,
+          this.eventBus.on(event, (data) => handler(PluginManager._plain(data)))
+        );
+        this._contribute(id, () => unsubscribe(event, handler));
+      },
+      off: (event, handler) => unsubscribe(event, handler),
+      // Plugins only emit their own events: plugin:<id>:<event>
+      emit: (event, data) => this.eventBus.emit(`plugin:${id}:${event}`, data),
+      log: (...args) => console.log(`[${id}]`, ...args),
+
+      graph: Object.freeze({
+        getNode: read((nodeId) =>
+          copy(this._service("nodeManager").getNode(nodeId))
+        ),
+        getNodes: read(() =>
+          this._service("nodeManager").getAllNodes().map(copy)
+        ),
+        getEdge: read((edgeId) =>
+          copy(this._service("edgeManager").getEdge(edgeId))
+        ),
+        getEdges: read(() =>
+          this._service("edgeManager").getAllEdges().map(copy)
+        ),
+        getSelection: read(() => {
+          const { nodes = [], edges = [] } =
+            this._service("selectionManager").getSelection();
+          return { nodes: [...nodes], edges: [...edges] };
+        }),
+        getDocument: read(() => ({
+          nodes: this._service("nodeManager").getAllNodes().map(copy),
+          edges: this._service("edgeManager").getAllEdges().map(copy),
+        })),
+        getState: read((path) =>
+          JSON.parse(JSON.stringify(this.stateManager.getState(path) ?? null))
+        ),
+
+        // Writes take copies, so plugins keep no references into models
+        createNode: write((data) =>
+          this._service("nodeManager").createNode(PluginManager._plain(data))
+        ),
+        updateNode: write((nodeId, updates) =>
+          this._service("nodeManager").updateNode(
+            nodeId,
+            PluginManager._plain(updates)
+          )
+        ),
+        deleteNode: write((nodeId) =>
+          this._service("nodeManager").deleteNode(nodeId)
+        ),
+        createEdge: write((data) =>
+          this._service("edgeManager").createEdge(PluginManager._plain(data))
+        ),
+        updateEdge: write((edgeId, updates) =>
+          this._service("edgeManager").updateEdge(
+            edgeId,
+            PluginManager._plain(updates)
+          )
+        ),
+        deleteEdge: write((edgeId) =>
+          this._service("edgeManager").deleteEdge(edgeId)
+        ),
+        // Run several changes as one undo step
+        batch: write((name, fn) => this.commandBus.batch(name, fn)),
+      }),
+
+      ui: Object.freeze({
+        registerCommand: guard("ui", (name, handler) =>
+          this._registerPluginCommand(id, name, handler)
+        ),
+        addMenuItem: guard("ui", (menu, item) =>
+          this._addPluginMenuItem(id, menu, item)
+        ),
+        addToolbarButton: guard("ui", (button) =>
+          this._addPluginToolbarButton(id, button)
+        ),
+        notify: guard("ui", (message, type = "info", duration) =>
+          this.eventBus.emit("status:message", { message, type, duration })
+        ),
+      }),
+
+      formats: Object.freeze({
+        registerFormat: guard("export", (format) =>
+          this._registerPluginFormat(id, format)
+        ),
+      }),
+    });
   }
 
   /**
    * Register a plugin
+   *
+   * The manifest comes from the argument, plugin.manifest, or the
+   * plugin's own name/version/dependencies fields (with no capabilities).
+   *
    * @param {string} id - Plugin identifier
    * @param {Object} plugin - Plugin instance
+   * @param {Object} [manifest] - Plugin manifest
+   * @returns {boolean}
    */
-  registerPlugin(id, plugin) {
+  registerPlugin(id, plugin, manifest = plugin && plugin.manifest) {
     if (this.plugins.has(id)) {
       console.warn(`Plugin '${id}' is already registered`);
       return false;
     }
 
     // Validate plugin interface
-    if (!plugin.name || typeof plugin.init !== "function") {
+    if (!plugin || !plugin.name || typeof plugin.init !== "function") {
       console.error(`Invalid plugin '${id}': must have name and init() method`);
       return false;
     }
 
+    let normalized;
+    try {
+      normalized = PluginManifest.normalize(
+        manifest || {
+          id,
+          name: plugin.name,
+          version: plugin.version || "0.0.0",
+          description: plugin.description,
+          dependencies: plugin.dependencies,
+        }
+      );
+      if (normalized.id !== id) {
+        throw new Error(`Plugin '${id}' has a manifest for '${normalized.id}'`);
+      }
+    } catch (error) {
+      console.error(error.message);
+      this.eventBus.emit("plugin:error", { id, error });
+      return false;
+    }
+
     // Store plugin
     this.plugins.set(id, plugin);
+    this.manifests.set(id, normalized);
     this.pluginStates.set(id, "registered");
+    this.contexts.set(id, this._createPluginContext(id));
 
-    this.eventBus.emit("plugin:registered", { id, name: plugin.name });
+    this.eventBus.emit("plugin:registered", {
+      id,
+      name: plugin.name,
+      version: normalized.version,
+      capabilities: normalized.capabilities,
+    });
 
     return true;
   }
@@ -102,15 +285,13 @@ export class PluginManager {
 
     try {
       // Check dependencies
-      if (plugin.dependencies) {
-        const missingDeps = this._checkDependencies(plugin.dependencies);
-        if (missingDeps.length > 0) {
-          throw new Error(`Missing dependencies: ${missingDeps.join(", ")}`);
-        }
+      const problems = this._checkDependencies(id);
+      if (problems.length > 0) {
+        throw new Error(`Unmet dependencies: ${problems.join(", ")}`);
       }
 
       // Call plugin init
-      await plugin.init(this.pluginContext);
+      await plugin.init(this.contexts.get(id));
 
       this.pluginStates.set(id, "initialized");
 
@@ -124,6 +305,7 @@ export class PluginManager {
       return true;
     } catch (error) {
       console.error(`Error initializing plugin '${id}':`, error);
+      this._removeContributions(id);
       this.pluginStates.set(id, "error");
       this.eventBus.emit("plugin:error", { id, error });
       return false;
@@ -156,7 +338,7 @@ export class PluginManager {
     try {
       // Call plugin enable hook if it exists
       if (typeof plugin.enable === "function") {
-        await plugin.enable(this.pluginContext);
+        await plugin.enable(this.contexts.get(id));
       }
 
       this.pluginStates.set(id, "enabled");
@@ -173,6 +355,12 @@ export class PluginManager {
 
   /**
    * Disable a plugin
+   *
+   * Enabled plugins that depend on it are disabled first. Everything the
+   * plugin contributed through its context (event handlers, commands,
+   * menu items, toolbar buttons, formats) is removed, even if its
+   * disable hook fails.
+   *
    * @param {string} id - Plugin identifier
    * @returns {Promise<boolean>}
    */
@@ -185,18 +373,20 @@ export class PluginManager {
       return false;
     }
 
-    if (state !== "enabled") {
+    if (state !== "enabled" && state !== "initialized") {
       return true; // Already disabled
     }
 
+    for (const dependent of this._getDependents(id)) {
+      await this.disablePlugin(dependent);
+    }
+
     try {
       // Call plugin disable hook if it exists
-      if (typeof plugin.disable === "function") {
-        await plugin.disable(this.pluginContext);
+      if (state === "enabled" && typeof plugin.disable === "function") {
+        await plugin.disable(this.contexts.get(id));
       }
 
-      this.pluginStates.set(id, "disabled");
-
       this.eventBus.emit("plugin:disabled", { id, name: plugin.name });
 
       return true;
@@ -204,6 +394,9 @@ export class PluginManager {
       console.error(`Error disabling plugin '${id}':`, error);
       this.eventBus.emit("plugin:error", { id, error });
       return false;
+    } finally {
+      this._removeContributions(id);
+      this.pluginStates.set(id, "disabled");
     }
   }
 
@@ -220,19 +413,19 @@ export class PluginManager {
     }
 
     // Disable first if enabled
-    const state = this.pluginStates.get(id);
-    if (state === "enabled") {
-      await this.disablePlugin(id);
-    }
+    await this.disablePlugin(id);
 
     try {
       // Call plugin destroy hook if it exists
       if (typeof plugin.destroy === "function") {
-        await plugin.destroy(this.pluginContext);
+        await plugin.destroy(this.contexts.get(id));
       }
 
+      this._removeContributions(id);
       this.plugins.delete(id);
+      this.manifests.delete(id);
       this.pluginStates.delete(id);
+      this.contexts.delete(id);
 
       this.eventBus.emit("plugin:unregistered", { id, name: plugin.name });
 
@@ -243,6 +436,29 @@ export class PluginManager {
     }
   }
 
+  /**
+   * Run a command a plugin registered
+   * @param {string} commandId - "<plugin id>.<name>"
+   * @param {...*} args - Passed to the command's handler
+   * @returns {*} - What the handler returned
+   * @throws {Error} If no enabled plugin registered the command
+   */
+  executeCommand(commandId, ...args) {
+    const handler = this.commands.get(commandId);
+    if (!handler) {
+      throw new Error(`Unknown plugin command '${commandId}'`);
+    }
+    return handler(...args);
+  }
+
+  /**
+   * Get the ids of all plugin commands
+   * @returns {Array<string>}
+   */
+  getCommands() {
+    return Array.from(this.commands.keys());
+  }
+
   /**
    * Get plugin by ID
    * @param {string} id - Plugin identifier
@@ -266,13 +482,17 @@ export class PluginManager {
    * @returns {Array}
    */
   getAllPlugins() {
-    return Array.from(this.plugins.entries()).map(([id, plugin]) => ({
-      id,
-      name: plugin.name,
-      version: plugin.version,
-      description: plugin.description,
-      state: this.pluginStates.get(id),
-    }));
+    return Array.from(this.plugins.keys()).map((id) => {
+      const manifest = this.manifests.get(id);
+      return {
+        id,
+        name: manifest.name,
+        version: manifest.version,
+        description: manifest.description,
+        capabilities: [...manifest.capabilities],
+        state: this.pluginStates.get(id),
+      };
+    });
   }
 
   /**
@@ -293,78 +513,304 @@ export class PluginManager {
   }
 
   /**
-   * Check plugin dependencies
-   * @private
+   * Get a plugin's manifest
+   * @param {string} id - Plugin identifier
+   * @returns {Object}
    */
-  _checkDependencies(dependencies) {
-    const missing = [];
+  getManifest(id) {
+    return this.manifests.get(id);
+  }
 
-    for (const dep of dependencies) {
-      if (!this.plugins.has(dep)) {
-        missing.push(dep);
+  /**
+   * Check plugin dependencies: each must be registered, in its version
+   * range, and initialized or enabled
+   * @private
+   */
+  _checkDependencies(id) {
+    const problems = [];
+
+    for (const [dep, range] of Object.entries(
+      this.manifests.get(id).dependencies
+    )) {
+      const manifest = this.manifests.get(dep);
+      const state = this.pluginStates.get(dep);
+
+      if (!manifest) {
+        problems.push(`${dep} is missing`);
+      } else if (!Semver.satisfies(manifest.version, range)) {
+        problems.push(`${dep}@${manifest.version} does not match ${range}`);
+      } else if (state !== "initialized" && state !== "enabled") {
+        problems.push(`${dep} is ${state}`);
       }
     }
 
-    return missing;
+    return problems;
   }
 
   /**
-   * Register plugin command
+   * Active plugins that depend on a plugin
    * @private
    */
-  _registerPluginCommand(name, handler) {
-    this.eventBus.on(`command:${name}`, handler);
+  _getDependents(id) {
+    return Array.from(this.manifests.values())
+      .filter((manifest) =>
+        Object.prototype.hasOwnProperty.call(manifest.dependencies, id)
+      )
+      .map((manifest) => manifest.id)
+      .filter((dependent) =>
+        ["initialized", "enabled"].includes(this.pluginStates.get(dependent))
+      );
   }
 
   /**
-   * Add plugin menu item
+   * Plugin ids with dependencies before their dependents
    * @private
    */
-  _addPluginMenuItem(menu, item) {
-    this.eventBus.emit("ui:menu:add", { menu, item });
+  _dependencyOrder(ids) {
+    const order = [];
+    const visiting = new Set();
+    const visit = (id) => {
+      if (order.includes(id) || visiting.has(id)) return;
+      visiting.add(id);
+      Object.keys(this.manifests.get(id).dependencies)
+        .filter((dep) => ids.includes(dep))
+        .forEach(visit);
+      visiting.delete(id);
+      order.push(id);
+    };
+    ids.forEach(visit);
+    return order;
   }
 
   /**
-   * Add plugin toolbar button
+   * Record how to undo something a plugin added
    * @private
    */
-  _addPluginToolbarButton(button) {
-    this.eventBus.emit("ui:toolbar:add", { button });
+  _contribute(id, remove) {
+    if (!this.contributions.has(id)) {
+      this.contributions.set(id, []);
+    }
+    this.contributions.get(id).push(remove);
   }
 
   /**
-   * Load plugins from configuration
-   * @param {Array} configs - Plugin configurations
+   * Undo everything a plugin added, newest first
+   * @private
    */
-  async loadPlugins(configs) {
-    for (const config of configs) {
+  _removeContributions(id) {
+    const removals = this.contributions.get(id) || [];
+    this.contributions.delete(id);
+
+    removals.reverse().forEach((remove) => {
       try {
-        // Dynamically import plugin module
-        const module = await import(config.path);
-        const PluginClass = module.default || module[config.className];
+        remove();
+      } catch (error) {
+        console.error(`Error removing contribution of plugin '${id}':`, error);
+      }
+    });
+  }
 
-        if (!PluginClass) {
-          console.error(`Plugin class not found at ${config.path}`);
-          continue;
-        }
+  /**
+   * Resolve a service from the container
+   * @private
+   */
+  _service(name) {
+    // ServiceContainer has get(); ServiceProvider has resolve()
+    return typeof this.serviceContainer.resolve === "function"
+      ? this.serviceContainer.resolve(name)
+      : this.serviceContainer.get(name);
+  }
+
+  /**
+   * Register plugin command as <plugin id>.<name>. Commands live here,
+   * not on the bus, so they cannot shadow or listen to editor commands.
+   * @private
+   */
+  _registerPluginCommand(id, name, handler) {
+    if (typeof handler !== "function") {
+      throw new Error(`Plugin '${id}': command '${name}' needs a handler`);
+    }
+    const commandId = `${id}.${name}`;
+    if (this.commands.has(commandId)) {
+      throw new Error(`Plugin '${id}' already has a command '${name}'`);
+    }
+
+    this.commands.set(commandId, handler);
+    this._contribute(id, () => this.commands.delete(commandId));
+
+    return commandId;
+  }
+
+  /**
+   * Copy event data for a plugin: plain values only, models as their
+   * serialized form, no functions or cycles
+   * @private
+   */
+  static _plain(value, seen = new WeakSet()) {
+    if (typeof value === "function") return undefined;
+    if (value === null || typeof value !== "object") return value;
+    if (seen.has(value)) return undefined;
+    seen.add(value);
+
+    if (typeof value.serialize === "function") {
+      return PluginManager._plain(value.serialize(), seen);
+    }
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message };
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => PluginManager._plain(item, seen) ?? null);
+    }
 
-        // Create plugin instance
-        const plugin = new PluginClass(config.options);
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      const item = PluginManager._plain(value[key], seen);
+      if (item !== undefined) result[key] = item;
+    });
+    return result;
+  }
 
-        // Register and initialize
-        this.registerPlugin(config.id, plugin);
-        await this.initializePlugin(config.id);
+  /**
+   * Deep-frozen plain copy of a value
+   * @private
+   */
+  static _frozen(value) {
+    const copy = PluginManager._plain(value);
+    const stack = [copy];
+    while (stack.length > 0) {
+      const item = stack.pop();
+      if (item && typeof item === "object" && !Object.isFrozen(item)) {
+        Object.freeze(item);
+        stack.push(...Object.values(item));
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Add plugin menu item; item.run is called when it is picked
+   * @private
+   */
+  _addPluginMenuItem(id, menu, item) {
+    const itemId = `${id}.${item.id}`;
+    const onAction = ({ action }) => {
+      if (action === itemId && typeof item.run === "function") item.run();
+    };
+
+    this.eventBus.on("menu:action", onAction);
+    this.eventBus.emit("ui:menu:add", {
+      menu,
+      item: { id: itemId, label: item.label, shortcut: item.shortcut },
+    });
+    this._contribute(id, () => {
+      this.eventBus.off("menu:action", onAction);
+      this.eventBus.emit("ui:menu:remove", { menu, itemId });
+    });
+
+    return itemId;
+  }
+
+  /**
+   * Add plugin toolbar button; button.run is called when it is clicked
+   * @private
+   */
+  _addPluginToolbarButton(id, button) {
+    const buttonId = `${id}.${button.id}`;
+
+    this.eventBus.emit("ui:toolbar:add", {
+      button: {
+        id: buttonId,
+        label: button.label,
+        icon: button.icon,
+        shortcut: button.shortcut,
+        onClick: () => button.run && button.run(),
+      },
+    });
+    this._contribute(id, () =>
+      this.eventBus.emit("ui:toolbar:remove", { buttonId })
+    );
+
+    return buttonId;
+  }
+
+  /**
+   * Add a plugin format to ExportManager
+   * @private
+   */
+  _registerPluginFormat(id, format) {
+    const exportManager = this._service("exportManager");
+    exportManager.registerFormat(format);
+    this._contribute(id, () => exportManager.unregisterFormat(format.id));
+    return format.id;
+  }
+
+  /**
+   * Load a plugin from an ES module URL
+   *
+   * The module exports the manifest as `manifest` (or as a static
+   * `manifest` on the plugin class) and the plugin as its default export:
+   * a class, instantiated with options, or a plugin object.
+   *
+   * @param {string} url - Module URL
+   * @param {Object} [options] - Options for the plugin class
+   * @returns {Promise<string>} - Plugin id
+   * @throws {Error} If the module has no valid manifest or plugin
+   */
+  async loadPlugin(url, options = {}) {
+    const module = await this.importModule(url);
+    const PluginClass = module.default || module.plugin;
+    if (!PluginClass) {
+      throw new Error(`No plugin exported from ${url}`);
+    }
+
+    const manifest = PluginManifest.normalize(
+      module.manifest || PluginClass.manifest
+    );
+    const plugin =
+      typeof PluginClass === "function"
+        ? new PluginClass(options)
+        : PluginClass;
+
+    if (!this.registerPlugin(manifest.id, plugin, manifest)) {
+      throw new Error(`Plugin '${manifest.id}' from ${url} was not registered`);
+    }
+
+    this.eventBus.emit("plugin:loaded", { id: manifest.id, url });
+
+    return manifest.id;
+  }
+
+  /**
+   * Load plugins and initialize them, dependencies first
+   * @param {Array<string|Object>} configs - Module URLs, or
+   *   { url, options } objects
+   * @returns {Promise<Array<string>>} - Ids of the plugins loaded
+   */
+  async loadPlugins(configs) {
+    const ids = [];
+
+    for (const config of configs) {
+      const url = typeof config === "string" ? config : config.url;
+      try {
+        ids.push(await this.loadPlugin(url, config.options));
       } catch (error) {
-        console.error(`Error loading plugin '${config.id}':`, error);
+        console.error(`Error loading plugin from ${url}:`, error);
+        this.eventBus.emit("plugin:error", { url, error });
       }
     }
+
+    for (const id of this._dependencyOrder(ids)) {
+      await this.initializePlugin(id);
+    }
+
+    return ids;
   }
 
   /**
    * Initialize all registered plugins
    */
   async initializeAll() {
-    const plugins = Array.from(this.plugins.keys());
+    const plugins = this._dependencyOrder(Array.from(this.plugins.keys()));
 
     for (const id of plugins) {
       await this.initializePlugin(id);
@@ -375,7 +821,7 @@ export class PluginManager {
    * Enable all initialized plugins
    */
   async enableAll() {
-    const plugins = Array.from(this.plugins.keys());
+    const plugins = this._dependencyOrder(Array.from(this.plugins.keys()));
 
     for (const id of plugins) {
       const state = this.pluginStates.get(id);
@@ -417,11 +863,10 @@ export class PluginManager {
    */
   async deserialize(data) {
     if (data.enabledPlugins) {
-      for (const id of data.enabledPlugins) {
-        if (this.plugins.has(id)) {
-          await this.initializePlugin(id);
-          await this.enablePlugin(id);
-        }
+      const ids = data.enabledPlugins.filter((id) => this.plugins.has(id));
+      for (const id of this._dependencyOrder(ids)) {
+        await this.initializePlugin(id);
+        await this.enablePlugin(id);
       }
     }
   }
@@ -440,6 +885,9 @@ export class PluginManager {
 
 /**
  * Base Plugin class that plugins can extend
+ *
+ * Plugins loaded from a URL take their manifest (and so their
+ * capabilities) from the module; see PluginManager.loadPlugin.
  */
 export class Plugin {
   constructor(options = {}) {
@@ -7,14 +7,16 @@
  * - Manage selection boxes and highlight rendering
  * - Emit selection change events
  * - Support selection filtering and queries
+ * - Marquee selection through NodeManager's spatial index
  *
  * @module core/managers/SelectionManager
  */
 
 export class SelectionManager {
-  constructor(eventBus, stateManager) {
+  constructor(eventBus, stateManager, nodeManager = null) {
     this.eventBus = eventBus;
     this.stateManager = stateManager;
+    this.nodeManager = nodeManager; // For marquee selection
 
     // Selection storage
     this.selectedNodes = new Set();
@@ -113,7 +115,7 @@ export class SelectionManager {
    * @param {Object} options - Selection options
    */
   selectEdge(edgeId, options = {}) {
-    const { mode = this.mode, emit = true } = options;
+    const { mode = this.mode, emit = true, focus = false } = options;
 
     const previousSelection = new Set(this.selectedEdges);
 
@@ -159,6 +161,10 @@ export class SelectionManager {
 
       this.eventBus.emit("edge:selected", { edgeId, mode });
     }
+
+    if (focus) {
+      this.eventBus.emit("edge:focus", { edgeId });
+    }
   }
 
   /**
@@ -336,16 +342,25 @@ export class SelectionManager {
   /**
    * Select nodes within a rectangular area
    * @param {Object} rect - Selection rectangle {x, y, width, height}
-   * @param {Function} getNodeBounds - Function to get node bounds
+   * @param {Object} [options]
+   * @param {string} [options.mode='replace'] - 'replace' or 'add'
+   * @param {boolean} [options.contained=false] - Only nodes entirely inside
+   *                                              the rectangle
+   * @returns {string[]} - Node IDs in the rectangle
    */
-  selectInRect(rect, getNodeBounds) {
-    const nodesInRect = [];
+  selectInRect(rect, options = {}) {
+    const { mode = "replace", contained = false } = options;
+    if (!this.nodeManager) {
+      console.warn("SelectionManager: selectInRect needs a NodeManager");
+      return [];
+    }
 
-    // This would typically iterate through all nodes
-    // and check if they intersect with the rectangle
-    // For now, this is a placeholder that would be called by the canvas
+    // Nodes inside collapsed containers can't be seen, so can't be picked
+    const nodesInRect = this.nodeManager
+      .getNodesInRect(rect, { contained })
+      .filter((nodeId) => !this.nodeManager.isNodeHidden(nodeId));
 
-    this.selectNodes(nodesInRect, { mode: "replace" });
+    this.selectNodes(nodesInRect, { mode });
 
     return nodesInRect;
   }
@@ -0,0 +1,333 @@
+/**
+ * SimulationManager.js - Steps through a flowchart like a debugger
+ *
+ * Responsibilities:
+ * - Find start terminators and walk outgoing edges from them
+ * - Pick a decision's branch by evaluating the condition in its metadata
+ *   against the variable context, or ask the user to choose a branch
+ * - Keep the path taken so steps can be undone (back) or restarted (reset)
+ * - Emit simulation events for views to highlight the current node and
+ *   the traversed edges
+ *
+ * Simulation never changes the document and is not recorded in history.
+ *
+ * @module core/managers/SimulationManager
+ */
+
+import { ExpressionEvaluator } from "../simulation/ExpressionEvaluator.js";
+
+export class SimulationManager {
+  constructor(eventBus, stateManager, nodeManager, edgeManager) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.nodeManager = nodeManager;
+    this.edgeManager = edgeManager;
+
+    // Run state
+    this.running = false;
+    this.trail = []; // [{ nodeId, edgeId }]; edgeId is the edge taken in
+    this.pendingChoice = null; // { nodeId, options } while waiting for user
+    this.ended = false;
+    this.variables = {};
+
+    // Branch labels matching boolean condition results
+    this.branchLabels = {
+      true: ["yes", "true", "y"],
+      false: ["no", "false", "n"],
+      fallback: ["else", "default", "otherwise"],
+    };
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    // The path is no longer valid once a node on it is gone
+    this.eventBus.on("node:deleted", ({ nodeId }) => {
+      if (this.trail.some((entry) => entry.nodeId === nodeId)) {
+        this.reset();
+      }
+    });
+  }
+
+  /**
+   * Get the nodes a simulation can start from: terminators labelled
+   * Start/Begin or with metadata.role 'start', else terminators without
+   * incoming edges
+   * @returns {Array}
+   */
+  getStartNodes() {
+    const terminators = this.nodeManager.getNodesByType("terminator");
+    const marked = terminators.filter(
+      (node) =>
+        (node.metadata && node.metadata.role === "start") ||
+        /^\s*(start|begin)\s*$/i.test(node.label || "")
+    );
+    if (marked.length > 0) return marked;
+
+    return terminators.filter(
+      (node) => this.edgeManager.getIncomingEdges(node.id).length === 0
+    );
+  }
+
+  /**
+   * Start a simulation
+   * @param {Object} [options]
+   * @param {string} [options.startId] - Node to start from (default: the
+   *                                     first start node)
+   * @param {Object} [options.variables] - Variable context for conditions
+   * @returns {Object|null} - State, or null if there is nowhere to start
+   */
+  start(options = {}) {
+    const startId =
+      options.startId || (this.getStartNodes()[0] || { id: null }).id;
+    if (!startId || !this.nodeManager.getNode(startId)) {
+      this._error(new Error("No start node found"), startId);
+      return null;
+    }
+
+    if (options.variables) {
+      this.variables = { ...options.variables };
+    }
+    this.running = true;
+    this.trail = [{ nodeId: startId, edgeId: null }];
+    this.pendingChoice = null;
+    this.ended = false;
+
+    this.eventBus.emit("simulation:started", { nodeId: startId });
+    this._changed();
+    return this.getState();
+  }
+
+  /**
+   * Advance one step along an outgoing edge
+   *
+   * A decision without a condition (or whose condition matches no branch)
+   * waits for choose(); so does any node with several outgoing edges.
+   *
+   * @returns {Object} - State
+   */
+  step() {
+    if (!this.running || this.ended || this.pendingChoice) {
+      return this.getState();
+    }
+
+    const node = this.nodeManager.getNode(this.getCurrentNodeId());
+    const edges = this.edgeManager.getOutgoingEdges(node.id);
+
+    if (edges.length === 0) {
+      this.ended = true;
+      this.eventBus.emit("simulation:ended", { nodeId: node.id });
+      this._changed();
+      return this.getState();
+    }
+
+    const edge = this._pickBranch(node, edges);
+    if (edge) {
+      this._take(edge);
+    } else {
+      this.pendingChoice = {
+        nodeId: node.id,
+        options: edges.map((e) => ({
+          edgeId: e.id,
+          label: e.label || "",
+          targetId: e.targetId,
+        })),
+      };
+      this.eventBus.emit("simulation:choice", { ...this.pendingChoice });
+      this._changed();
+    }
+    return this.getState();
+  }
+
+  /**
+   * Take the branch the user picked
+   * @param {string} edgeId - One of the pending choice's edges
+   * @returns {Object} - State
+   */
+  choose(edgeId) {
+    const pending = this.pendingChoice;
+    if (!pending || !pending.options.some((o) => o.edgeId === edgeId)) {
+      this._error(new Error(`Edge ${edgeId} is not a branch to choose`));
+      return this.getState();
+    }
+
+    this.pendingChoice = null;
+    this._take(this.edgeManager.getEdge(edgeId));
+    return this.getState();
+  }
+
+  /**
+   * Undo the last step
+   * @returns {Object} - State
+   */
+  back() {
+    if (!this.running) return this.getState();
+
+    if (this.pendingChoice || this.ended) {
+      // Still on the node; just stop waiting
+      this.pendingChoice = null;
+      this.ended = false;
+    } else if (this.trail.length > 1) {
+      this.trail.pop();
+    } else {
+      return this.getState();
+    }
+
+    this.eventBus.emit("simulation:back", {
+      nodeId: this.getCurrentNodeId(),
+    });
+    this._changed();
+    return this.getState();
+  }
+
+  /**
+   * Stop the simulation and clear its path
+   */
+  reset() {
+    if (!this.running) return;
+
+    this.running = false;
+    this.trail = [];
+    this.pendingChoice = null;
+    this.ended = false;
+
+    this.eventBus.emit("simulation:reset");
+    this._changed();
+  }
+
+  /**
+   * Replace the variable context
+   * @param {Object} variables
+   */
+  setVariables(variables) {
+    this.variables = { ...variables };
+    this._changed();
+  }
+
+  /**
+   * Get the node the simulation is on
+   * @returns {string|null}
+   */
+  getCurrentNodeId() {
+    const last = this.trail[this.trail.length - 1];
+    return last ? last.nodeId : null;
+  }
+
+  /**
+   * Get the edges taken so far, in order
+   * @returns {Array} - Edge IDs
+   */
+  getTraversedEdges() {
+    return this.trail.slice(1).map((entry) => entry.edgeId);
+  }
+
+  /**
+   * Get simulation state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      running: this.running,
+      ended: this.ended,
+      currentNodeId: this.getCurrentNodeId(),
+      path: this.trail.map((entry) => entry.nodeId),
+      traversedEdges: this.getTraversedEdges(),
+      pendingChoice: this.pendingChoice
+        ? {
+            nodeId: this.pendingChoice.nodeId,
+            options: this.pendingChoice.options.map((o) => ({ ...o })),
+          }
+        : null,
+      variables: { ...this.variables },
+      canStep: this.running && !this.ended && !this.pendingChoice,
+      canBack: this.running && (this.trail.length > 1 || this.ended),
+    };
+  }
+
+  /**
+   * Edge to follow from a node, or null if the user has to choose
+   * @private
+   */
+  _pickBranch(node, edges) {
+    const condition = node.metadata && node.metadata.condition;
+    if (condition) {
+      try {
+        const value = ExpressionEvaluator.evaluate(condition, this.variables);
+        return this._matchBranch(edges, value);
+      } catch (error) {
+        this._error(error, node.id);
+        return null;
+      }
+    }
+
+    if (node.type === "decision") return null;
+    return edges.length === 1 ? edges[0] : null;
+  }
+
+  /**
+   * Edge whose label matches a condition result, else the fallback
+   * branch (else/default/otherwise)
+   * @private
+   */
+  _matchBranch(edges, value) {
+    const labelOf = (edge) => (edge.label || "").trim().toLowerCase();
+    const matches =
+      typeof value === "boolean"
+        ? (edge) => this.branchLabels[value].includes(labelOf(edge))
+        : (edge) => labelOf(edge) === String(value).toLowerCase();
+
+    return (
+      edges.find(matches) ||
+      edges.find((edge) =>
+        this.branchLabels.fallback.includes(labelOf(edge))
+      ) ||
+      null
+    );
+  }
+
+  /**
+   * Follow an edge
+   * @private
+   */
+  _take(edge) {
+    const fromId = this.getCurrentNodeId();
+    this.trail.push({ nodeId: edge.targetId, edgeId: edge.id });
+
+    this.eventBus.emit("simulation:step", {
+      nodeId: edge.targetId,
+      edgeId: edge.id,
+      previousNodeId: fromId,
+    });
+    this._changed();
+  }
+
+  /**
+   * Report a problem without stopping the simulation
+   * @private
+   */
+  _error(error, nodeId = null) {
+    console.error("Simulation error:", error);
+    this.eventBus.emit("simulation:error", { error, nodeId });
+  }
+
+  /**
+   * Publish the new state
+   * @private
+   */
+  _changed() {
+    const state = this.getState();
+    this.stateManager.setState("simulation", state);
+    this.eventBus.emit("simulation:changed", state);
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.reset();
+  }
+}
@@ -4,18 +4,26 @@
  * Responsibilities:
  * - Grid snapping for nodes
  * - Smart guides (alignment with other nodes)
- * - Distance guides (equal spacing)
+ * - Distance guides (equal spacing, with the distances measured)
+ * - Size guides (matching a neighbor's width or height while resizing)
+ * - Spatial index of the nodes to compare against, so large diagrams
+ *   stay fast (NodeManager's own, when given one)
  * - Magnetic snapping to grid/guides
  * - Configurable snap settings
  *
  * @module core/managers/SnapManager
  */
 
+import { SpatialIndex } from "../../utils/geometry/SpatialIndex.js";
+
 export class SnapManager {
   constructor(eventBus, stateManager, options = {}) {
     this.eventBus = eventBus;
     this.stateManager = stateManager;
 
+    // Source of the nodes to snap to when no list is passed
+    this.nodeManager = options.nodeManager || null;
+
     // Grid settings
     this.gridEnabled = options.gridEnabled !== false;
     this.gridSize = options.gridSize || 10;
@@ -26,16 +34,24 @@ export class SnapManager {
     this.snapToGuides = options.snapToGuides !== false;
     this.snapThreshold = options.snapThreshold || 5; // pixels
 
+    // How far along a row or column to look for nodes to match
+    this.guideRange = options.guideRange || 1000;
+
     // Guide settings
     this.showGuides = options.showGuides !== false;
     this.guideColor = options.guideColor || "#00aaff";
+    this.dimensionOffset = 8; // width/height lines sit this far out
 
     // Active guides (temporary alignment guides)
     this.activeGuides = {
       vertical: [],
       horizontal: [],
+      distances: [],
     };
 
+    // Last node list compared against, and its spatial index
+    this._indexed = { nodes: null, index: null };
+
     this._setupEventListeners();
   }
 
@@ -73,12 +89,19 @@ export class SnapManager {
   /**
    * Snap a node position considering other nodes
    * @param {Object} node - Node being positioned
-   * @param {Array} otherNodes - Other nodes to align with
-   * @returns {Object} - {position: {x, y}, guides: [...]}
+   * @param {Array} [otherNodes] - Other nodes to align with. Pass the same
+   *                               array on every move of a drag so it is
+   *                               indexed only once. Without it, the
+   *                               NodeManager's visible nodes are used.
+   * @param {Object} [options]
+   * @param {Array} [options.exclude] - Node IDs not to snap to, such as the
+   *                                    rest of a dragged selection
+   * @returns {Object} - {position: {x, y}, guides: {vertical, horizontal,
+   *                     distances}}
    */
-  snapNodePosition(node, otherNodes) {
+  snapNodePosition(node, otherNodes = null, options = {}) {
     let position = { x: node.x, y: node.y };
-    const guides = { vertical: [], horizontal: [] };
+    const guides = { vertical: [], horizontal: [], distances: [] };
 
     // First, try grid snapping
     if (this.snapToGrid) {
@@ -86,8 +109,13 @@ export class SnapManager {
     }
 
     // Then, try guide snapping (overrides grid if closer)
-    if (this.snapToGuides && otherNodes && otherNodes.length > 0) {
-      const guideSnap = this._findGuideSnaps(node, otherNodes);
+    if (this.snapToGuides && this._canSnapTo(otherNodes)) {
+      const guideSnap = this._findGuideSnaps(
+        node,
+        otherNodes,
+        position,
+        options.exclude
+      );
 
       if (guideSnap.x !== null) {
         position.x = guideSnap.x;
@@ -98,100 +126,511 @@ export class SnapManager {
         position.y = guideSnap.y;
         guides.horizontal = guideSnap.horizontalGuides;
       }
+
+      guides.distances = guideSnap.distances;
     }
 
-    // Update active guides
-    this.activeGuides = guides;
+    this._showGuides(guides);
 
-    // Emit guide event if guides changed
-    if (guides.vertical.length > 0 || guides.horizontal.length > 0) {
-      this.eventBus.emit("snap:guides:show", { guides });
+    return { position, guides };
+  }
+
+  /**
+   * Snap the size of a node being resized to the width or height of nodes
+   * around it
+   * @param {Object} node - Proposed bounds {id, x, y, width, height}
+   * @param {Array} [otherNodes] - Nodes to match; without it, the
+   *                               NodeManager's visible nodes
+   * @param {Object} [options]
+   * @param {Object} [options.handle] - {xDir, yDir} of the dragged handle;
+   *                                    a negative direction keeps the far
+   *                                    edge in place
+   * @param {Array} [options.exclude] - Node IDs not to match
+   * @returns {Object} - {bounds: {x, y, width, height}, guides}
+   */
+  snapNodeSize(node, otherNodes = null, options = {}) {
+    const handle = options.handle || { xDir: 1, yDir: 1 };
+    const bounds = {
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+    };
+    const guides = { vertical: [], horizontal: [], distances: [] };
+
+    if (this.snapToGuides && this._canSnapTo(otherNodes)) {
+      const range = this.guideRange;
+      const nearby = this._queryNodes(
+        otherNodes,
+        node,
+        {
+          x: node.x - range,
+          y: node.y - range,
+          width: node.width + range * 2,
+          height: node.height + range * 2,
+        },
+        options.exclude
+      );
+
+      if (handle.xDir) {
+        const width = this._closestSize(bounds.width, nearby, "width");
+        if (width !== null) {
+          if (handle.xDir < 0) bounds.x += bounds.width - width;
+          bounds.width = width;
+        }
+      }
+      if (handle.yDir) {
+        const height = this._closestSize(bounds.height, nearby, "height");
+        if (height !== null) {
+          if (handle.yDir < 0) bounds.y += bounds.height - height;
+          bounds.height = height;
+        }
+      }
+
+      guides.distances = this._sizeGuides(
+        { id: node.id, ...bounds },
+        nearby,
+        handle
+      );
     }
 
-    return { position, guides };
+    this._showGuides(guides);
+
+    return { bounds, guides };
   }
 
   /**
-   * Find potential snap positions based on alignment with other nodes
+   * Find potential snap positions based on alignment with other nodes and
+   * on the spacing between them
    * @private
    */
-  _findGuideSnaps(node, otherNodes) {
-    const result = {
-      x: null,
-      y: null,
-      verticalGuides: [],
-      horizontalGuides: [],
+  _findGuideSnaps(node, otherNodes, fallback = node, exclude = []) {
+    const bounds = this._getNodeBounds(node);
+    const threshold = this.snapThreshold;
+    const range = this.guideRange;
+
+    // Nodes a vertical guide could run through, and those side by side
+    const column = this._queryNodes(
+      otherNodes,
+      node,
+      {
+        x: bounds.left - threshold,
+        y: bounds.top - range,
+        width: bounds.width + threshold * 2,
+        height: bounds.height + range * 2,
+      },
+      exclude
+    );
+    const row = this._queryNodes(
+      otherNodes,
+      node,
+      {
+        x: bounds.left - range,
+        y: bounds.top - threshold,
+        width: bounds.width + range * 2,
+        height: bounds.height + threshold * 2,
+      },
+      exclude
+    );
+
+    const candidatesX = [
+      ...this._alignmentCandidates(bounds, column, "x"),
+      ...this._spacingCandidates(bounds, row, "x"),
+    ];
+    const candidatesY = [
+      ...this._alignmentCandidates(bounds, row, "y"),
+      ...this._spacingCandidates(bounds, column, "y"),
+    ];
+    const x = this._closestOffset(candidatesX, bounds.left);
+    const y = this._closestOffset(candidatesY, bounds.top);
+
+    // Guides are drawn where the node ends up
+    const snapped = this._getNodeBounds({
+      ...node,
+      x: x !== null ? x : fallback.x,
+      y: y !== null ? y : fallback.y,
+    });
+    const matching = (candidates, offset) =>
+      offset === null
+        ? []
+        : candidates.filter((c) => Math.abs(c.offset - offset) < 0.001);
+    const matchesX = matching(candidatesX, x);
+    const matchesY = matching(candidatesY, y);
+
+    return {
+      x,
+      y,
+      verticalGuides: matchesX
+        .filter((c) => c.line !== undefined)
+        .map((c) => this._alignmentGuide(snapped, c, "x")),
+      horizontalGuides: matchesY
+        .filter((c) => c.line !== undefined)
+        .map((c) => this._alignmentGuide(snapped, c, "y")),
+      distances: [
+        ...this._spacingGuides(snapped, row, matchesX, "x"),
+        ...this._spacingGuides(snapped, column, matchesY, "y"),
+      ],
     };
+  }
 
-    const nodeBounds = this._getNodeBounds(node);
-    const threshold = this.snapThreshold;
+  /**
+   * Offsets that line an edge or the center up with another node
+   * @private
+   */
+  _alignmentCandidates(bounds, nodes, axis) {
+    const [start, center, end, size] =
+      axis === "x"
+        ? ["left", "centerX", "right", "width"]
+        : ["top", "centerY", "bottom", "height"];
+    const types =
+      axis === "x" ? ["left", "center", "right"] : ["top", "middle", "bottom"];
+    const candidates = [];
+
+    nodes.forEach((other) => {
+      const otherBounds = this._getNodeBounds(other);
+      [
+        [otherBounds[start], otherBounds[start]],
+        [otherBounds[center], otherBounds[center] - bounds[size] / 2],
+        [otherBounds[end], otherBounds[end] - bounds[size]],
+      ].forEach(([line, offset], i) =>
+        candidates.push({ offset, line, type: types[i], node: other })
+      );
+    });
+
+    return candidates;
+  }
 
-    // Check alignment with each other node
-    for (const otherNode of otherNodes) {
-      if (otherNode.id === node.id) continue;
-
-      const otherBounds = this._getNodeBounds(otherNode);
-
-      // Check vertical alignment (X axis)
-      // Left edge to left edge
-      if (Math.abs(nodeBounds.left - otherBounds.left) < threshold) {
-        result.x = otherBounds.left;
-        result.verticalGuides.push({
-          x: otherBounds.left,
-          type: "left",
-          nodeId: otherNode.id,
-        });
+  /**
+   * Offsets that repeat a gap found between nodes in the row (x) or the
+   * column (y), or that center the node between its two neighbors
+   * @private
+   */
+  _spacingCandidates(bounds, nodes, axis) {
+    const { before, after } = this._neighbors(bounds, nodes, axis);
+    const [start, end, size] =
+      axis === "x" ? ["left", "right", "width"] : ["top", "bottom", "height"];
+    const candidates = [];
+
+    this._gaps(nodes, axis).forEach(({ gap }) => {
+      if (before) {
+        candidates.push({ offset: before[end] + gap, gap });
       }
-      // Center to center
-      else if (Math.abs(nodeBounds.centerX - otherBounds.centerX) < threshold) {
-        result.x = otherBounds.centerX - nodeBounds.width / 2;
-        result.verticalGuides.push({
-          x: otherBounds.centerX,
-          type: "center",
-          nodeId: otherNode.id,
-        });
+      if (after) {
+        candidates.push({ offset: after[start] - gap - bounds[size], gap });
       }
-      // Right edge to right edge
-      else if (Math.abs(nodeBounds.right - otherBounds.right) < threshold) {
-        result.x = otherBounds.right - nodeBounds.width;
-        result.verticalGuides.push({
-          x: otherBounds.right,
-          type: "right",
-          nodeId: otherNode.id,
-        });
+    });
+
+    if (before && after) {
+      const gap = (after[start] - before[end] - bounds[size]) / 2;
+      if (gap > 0) {
+        candidates.push({ offset: before[end] + gap, gap });
       }
+    }
 
-      // Check horizontal alignment (Y axis)
-      // Top edge to top edge
-      if (Math.abs(nodeBounds.top - otherBounds.top) < threshold) {
-        result.y = otherBounds.top;
-        result.horizontalGuides.push({
-          y: otherBounds.top,
-          type: "top",
-          nodeId: otherNode.id,
-        });
+    return candidates;
+  }
+
+  /**
+   * Measurements of the gaps a spacing snap made equal
+   * @private
+   */
+  _spacingGuides(bounds, nodes, matches, axis) {
+    const gaps = matches.filter((c) => c.gap !== undefined).map((c) => c.gap);
+    if (gaps.length === 0) return [];
+
+    const { before, after } = this._neighbors(bounds, nodes, axis);
+    const [start, end] = axis === "x" ? ["left", "right"] : ["top", "bottom"];
+    const pairs = this._gaps(nodes, axis);
+    if (before) pairs.push({ a: before, b: bounds });
+    if (after) pairs.push({ a: bounds, b: after });
+
+    const guides = [];
+    const seen = new Set();
+    pairs.forEach(({ a, b }) => {
+      const gap = b[start] - a[end];
+      if (!gaps.some((g) => Math.abs(g - gap) < 0.5)) return;
+
+      const guide = this._measure(a, b, axis, "spacing");
+      const key = `${guide.from},${guide.to},${guide.at}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        guides.push(guide);
       }
-      // Middle to middle
-      else if (Math.abs(nodeBounds.centerY - otherBounds.centerY) < threshold) {
-        result.y = otherBounds.centerY - nodeBounds.height / 2;
-        result.horizontalGuides.push({
-          y: otherBounds.centerY,
-          type: "middle",
-          nodeId: otherNode.id,
-        });
+    });
+
+    return guides;
+  }
+
+  /**
+   * Closest node on each side of the bounds, among nodes sharing its row
+   * (x) or column (y)
+   * @private
+   */
+  _neighbors(bounds, nodes, axis) {
+    const [start, end] = axis === "x" ? ["left", "right"] : ["top", "bottom"];
+    const threshold = this.snapThreshold;
+    let before = null;
+    let after = null;
+
+    nodes.forEach((other) => {
+      const otherBounds = this._getNodeBounds(other);
+      if (otherBounds[end] <= bounds[start] + threshold) {
+        if (!before || otherBounds[end] > before[end]) before = otherBounds;
+      } else if (otherBounds[start] >= bounds[end] - threshold) {
+        if (!after || otherBounds[start] < after[start]) after = otherBounds;
+      }
+    });
+
+    return { before, after };
+  }
+
+  /**
+   * Gaps between each node and the next one along the axis that shares
+   * its row (x) or column (y)
+   * @private
+   */
+  _gaps(nodes, axis) {
+    const [start, end, crossStart, crossEnd] =
+      axis === "x"
+        ? ["left", "right", "top", "bottom"]
+        : ["top", "bottom", "left", "right"];
+    const sorted = nodes
+      .map((node) => this._getNodeBounds(node))
+      .sort((a, b) => a[start] - b[start]);
+    const gaps = [];
+
+    sorted.forEach((a, i) => {
+      for (let j = i + 1; j < sorted.length; j++) {
+        const b = sorted[j];
+        if (
+          b[start] >= a[end] &&
+          b[crossStart] < a[crossEnd] &&
+          b[crossEnd] > a[crossStart]
+        ) {
+          gaps.push({ a, b, gap: b[start] - a[end] });
+          break;
+        }
       }
-      // Bottom edge to bottom edge
-      else if (Math.abs(nodeBounds.bottom - otherBounds.bottom) < threshold) {
-        result.y = otherBounds.bottom - nodeBounds.height;
-        result.horizontalGuides.push({
-          y: otherBounds.bottom,
-          type: "bottom",
-          nodeId: otherNode.id,
-        });
+    });
+
+    return gaps.filter(({ gap }) => gap > 0);
+  }
+
+  /**
+   * Offset of the candidate closest to the current one, within the snap
+   * threshold
+   * @private
+   */
+  _closestOffset(candidates, current) {
+    let best = null;
+    let bestDistance = this.snapThreshold;
+
+    candidates.forEach(({ offset }) => {
+      const distance = Math.abs(offset - current);
+      if (distance < bestDistance) {
+        best = offset;
+        bestDistance = distance;
       }
+    });
+
+    return best;
+  }
+
+  /**
+   * Size of the node whose width or height is closest, within the snap
+   * threshold
+   * @private
+   */
+  _closestSize(current, nodes, dimension) {
+    let best = null;
+    let bestDistance = this.snapThreshold;
+
+    nodes.forEach((other) => {
+      const size = this._getNodeBounds(other)[dimension];
+      const distance = Math.abs(size - current);
+      if (distance < bestDistance) {
+        best = size;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Dimension lines over the resized node and every nearby node of the
+   * same width or height
+   * @private
+   */
+  _sizeGuides(node, nodes, handle) {
+    const guides = [];
+    const offset = this.dimensionOffset;
+
+    [
+      ["width", handle.xDir],
+      ["height", handle.yDir],
+    ].forEach(([dimension, dir]) => {
+      if (!dir) return;
+
+      const same = nodes.filter(
+        (other) =>
+          Math.abs(this._getNodeBounds(other)[dimension] - node[dimension]) <
+          0.5
+      );
+      if (same.length === 0) return;
+
+      [node, ...same].forEach((n) => {
+        const b = this._getNodeBounds(n);
+        guides.push(
+          dimension === "width"
+            ? {
+                type: "width",
+                axis: "x",
+                from: b.left,
+                to: b.right,
+                at: b.top - offset,
+                distance: b.width,
+                nodeId: n.id,
+              }
+            : {
+                type: "height",
+                axis: "y",
+                from: b.top,
+                to: b.bottom,
+                at: b.right + offset,
+                distance: b.height,
+                nodeId: n.id,
+              }
+        );
+      });
+    });
+
+    return guides;
+  }
+
+  /**
+   * Alignment guide spanning both nodes, with the gap between them
+   * @private
+   */
+  _alignmentGuide(bounds, candidate, axis) {
+    const other = this._getNodeBounds(candidate.node);
+    const [start, end, key, from, to] =
+      axis === "x"
+        ? ["top", "bottom", "x", "y1", "y2"]
+        : ["left", "right", "y", "x1", "x2"];
+
+    return {
+      [key]: candidate.line,
+      type: candidate.type,
+      nodeId: candidate.node.id,
+      [from]: Math.min(bounds[start], other[start]),
+      [to]: Math.max(bounds[end], other[end]),
+      distance: Math.max(
+        0,
+        other[start] - bounds[end],
+        bounds[start] - other[end]
+      ),
+    };
+  }
+
+  /**
+   * Measurement across the gap between two bounds, placed in the middle of
+   * the stretch they share
+   * @private
+   */
+  _measure(a, b, axis, type) {
+    const [start, end, crossStart, crossEnd] =
+      axis === "x"
+        ? ["left", "right", "top", "bottom"]
+        : ["top", "bottom", "left", "right"];
+    const low = Math.max(a[crossStart], b[crossStart]);
+    const high = Math.min(a[crossEnd], b[crossEnd]);
+
+    return {
+      type,
+      axis,
+      from: a[end],
+      to: b[start],
+      at: (low + high) / 2,
+      distance: b[start] - a[end],
+    };
+  }
+
+  /**
+   * Whether there is anything to snap to
+   * @private
+   */
+  _canSnapTo(otherNodes) {
+    if (otherNodes) return otherNodes.length > 0;
+    return Boolean(this.nodeManager) && this.nodeManager.getNodeCount() > 1;
+  }
+
+  /**
+   * Other nodes overlapping an area, found through a spatial index
+   * @private
+   */
+  _queryNodes(otherNodes, node, area, exclude = []) {
+    const skip = (id) =>
+      (id !== undefined && id === node.id) || exclude.includes(id);
+
+    if (!otherNodes) {
+      return this.nodeManager
+        .getNodesInRect(area)
+        .filter((id) => !skip(id) && !this.nodeManager.isNodeHidden(id))
+        .map((id) => this.nodeManager.getNode(id));
+    }
+
+    if (this._indexed.nodes !== otherNodes) {
+      const index = new SpatialIndex();
+      otherNodes.forEach((other, i) =>
+        index.insert(i, this._getNodeRect(other))
+      );
+      this._indexed = { nodes: otherNodes, index };
+    }
+
+    return this._indexed.index
+      .search(area)
+      .map((i) => otherNodes[i])
+      .filter((other) => !skip(other.id));
+  }
+
+  /**
+   * Emit the guides, or hide them when there are none
+   * @private
+   */
+  _showGuides(guides) {
+    const hadGuides = this._hasGuides(this.activeGuides);
+    this.activeGuides = guides;
+
+    if (this._hasGuides(guides)) {
+      this.eventBus.emit("snap:guides:show", { guides });
+    } else if (hadGuides) {
+      this.eventBus.emit("snap:guides:hide");
     }
+  }
+
+  /**
+   * @private
+   */
+  _hasGuides(guides) {
+    return (
+      guides.vertical.length > 0 ||
+      guides.horizontal.length > 0 ||
+      (guides.distances || []).length > 0
+    );
+  }
 
-    return result;
+  /**
+   * Node rect with the default size filled in
+   * @private
+   */
+  _getNodeRect(node) {
+    return {
+      x: node.x,
+      y: node.y,
+      width: node.width || 100,
+      height: node.height || 60,
+    };
   }
 
   /**
@@ -221,11 +660,21 @@ export class SnapManager {
     this.activeGuides = {
       vertical: [],
       horizontal: [],
+      distances: [],
     };
+    this.invalidateIndex();
 
     this.eventBus.emit("snap:guides:hide");
   }
 
+  /**
+   * Forget the index of the last node list, for callers that change the
+   * nodes in it rather than passing a new list
+   */
+  invalidateIndex() {
+    this._indexed = { nodes: null, index: null };
+  }
+
   /**
    * Get active guides
    * @returns {Object}
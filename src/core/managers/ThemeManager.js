@@ -7,13 +7,18 @@
  * - Handle theme switching
  * - Persist theme preferences
  * - Support custom color palettes
+ * - Record theme and color changes as undoable commands (command:record)
  *
  * @module core/managers/ThemeManager
  */
 
+import { CommandBus } from "../events/CommandBus.js";
+import { SetThemeCommand, ThemeColorsCommand } from "./HistoryManager.js";
+
 export class ThemeManager {
   constructor(eventBus, stateManager) {
     this.eventBus = eventBus;
+    this.commandBus = new CommandBus(eventBus);
     this.stateManager = stateManager;
 
     // Current theme
@@ -236,6 +241,7 @@ export class ThemeManager {
       return;
     }
 
+    const oldThemeId = this.currentTheme;
     this.currentTheme = themeId;
     const theme = this.themes.get(themeId);
 
@@ -257,6 +263,10 @@ export class ThemeManager {
 
     // Emit event
     this.eventBus.emit("theme:changed", { themeId, theme });
+
+    if (oldThemeId !== themeId) {
+      this.commandBus.record(new SetThemeCommand(this, oldThemeId, themeId));
+    }
   }
 
   /**
@@ -350,6 +360,7 @@ export class ThemeManager {
    * @param {string} color - Color value
    */
   setCustomColor(path, color) {
+    const oldColors = { ...this.customColors };
     this.customColors[path] = color;
 
     // Apply immediately if it's a DOM property
@@ -359,12 +370,41 @@ export class ThemeManager {
     }
 
     this.eventBus.emit("theme:color:changed", { path, color });
+
+    if (oldColors[path] !== color) {
+      this.commandBus.record(
+        new ThemeColorsCommand(this, oldColors, { ...this.customColors }, path)
+      );
+    }
+  }
+
+  /**
+   * Replace all custom color overrides
+   * @param {Object} colors - Dot notation path -> color
+   */
+  setCustomColors(colors) {
+    this.customColors = { ...colors };
+
+    // Re-apply current theme, then the overrides
+    const theme = this.themes.get(this.currentTheme);
+    this._applyThemeToDOM(theme);
+    Object.entries(this.customColors).forEach(([path, color]) => {
+      const cssVar = this._pathToCSSVar(path);
+      if (cssVar) {
+        document.documentElement.style.setProperty(cssVar, color);
+      }
+    });
+
+    this.eventBus.emit("theme:colors:changed", {
+      colors: { ...this.customColors },
+    });
   }
 
   /**
    * Clear custom color overrides
    */
   clearCustomColors() {
+    const oldColors = this.customColors;
     this.customColors = {};
 
     // Re-apply current theme
@@ -372,6 +412,10 @@ export class ThemeManager {
     this._applyThemeToDOM(theme);
 
     this.eventBus.emit("theme:colors:cleared");
+
+    if (Object.keys(oldColors).length > 0) {
+      this.commandBus.record(new ThemeColorsCommand(this, oldColors, {}));
+    }
   }
 
   /**
@@ -459,6 +503,20 @@ export class ThemeManager {
    * @param {Object} data - Serialized theme data
    */
   deserialize(data) {
+    // Loading settings is not an undoable edit
+    this.eventBus.emit("command:pause");
+    try {
+      this._restore(data);
+    } finally {
+      this.eventBus.emit("command:resume");
+    }
+  }
+
+  /**
+   * Apply serialized theme settings
+   * @private
+   */
+  _restore(data) {
     // Restore custom themes
     if (data.customThemes) {
       data.customThemes.forEach((theme) => {
@@ -6,12 +6,23 @@
  * - Check for circular dependencies
  * - Validate connection rules
  * - Check graph integrity
- * - Report validation errors/warnings
+ * - Report validation errors/warnings with the node and edge ids at fault
  * - Support custom validation rules
+ * - Check flowchart semantics (see validation/FlowchartRules.js)
+ * - Configure rules per diagram type ('flowchart', 'generic')
+ *
+ * Rules apply to the diagram types in their diagramTypes list (all when
+ * null). The diagram type is set with setDiagramType, or detected: a
+ * diagram using flowchart shapes is a flowchart, anything else generic.
  *
  * @module core/managers/ValidationManager
  */
 
+import {
+  FlowchartRules,
+  FLOWCHART_TYPES,
+} from "../validation/FlowchartRules.js";
+
 export class ValidationManager {
   constructor(eventBus, stateManager, nodeManager, edgeManager) {
     this.eventBus = eventBus;
@@ -22,6 +33,9 @@ export class ValidationManager {
     // Validation rules
     this.rules = new Map();
 
+    // Diagram type rules are picked for; null detects it from the shapes
+    this.diagramType = null;
+
     // Validation results
     this.errors = [];
     this.warnings = [];
@@ -39,9 +53,10 @@ export class ValidationManager {
    * @private
    */
   _registerDefaultRules() {
-    // No circular dependencies
+    // No circular dependencies (flowcharts loop on purpose)
     this.addRule("no-cycles", {
       level: "error",
+      diagramTypes: ["generic"],
       validate: (graph) => this._checkForCycles(graph),
       message: "Graph contains circular dependencies",
     });
@@ -56,6 +71,7 @@ export class ValidationManager {
     // No disconnected nodes (warning)
     this.addRule("no-orphans", {
       level: "warning",
+      diagramTypes: ["generic"],
       validate: (graph) => this._checkOrphanNodes(graph),
       message: "Some nodes are not connected to the graph",
     });
@@ -66,6 +82,62 @@ export class ValidationManager {
       validate: (graph) => this._checkDuplicateEdges(graph),
       message: "Duplicate edges found between same nodes",
     });
+
+    this._registerFlowchartRules();
+  }
+
+  /**
+   * Register the flowchart rule pack
+   * @private
+   */
+  _registerFlowchartRules() {
+    const diagramTypes = ["flowchart"];
+
+    this.addRule("single-start", {
+      level: "error",
+      diagramTypes,
+      validate: (graph, options) => FlowchartRules.singleStart(graph, options),
+      message: "Flowchart needs exactly one start terminator",
+    });
+
+    this.addRule("has-end", {
+      level: "error",
+      diagramTypes,
+      validate: (graph, options) => FlowchartRules.hasEnd(graph, options),
+      message: "Flowchart needs an end terminator",
+    });
+
+    this.addRule("reachable-from-start", {
+      level: "error",
+      diagramTypes,
+      validate: (graph, options) =>
+        FlowchartRules.reachableFromStart(graph, options),
+      message: "Some nodes cannot be reached from the start",
+    });
+
+    this.addRule("reaches-end", {
+      level: "warning",
+      diagramTypes,
+      validate: (graph, options) => FlowchartRules.reachesEnd(graph, options),
+      message: "Some nodes have no path to an end",
+    });
+
+    this.addRule("decision-branches", {
+      level: "error",
+      diagramTypes,
+      options: { minBranches: 2 },
+      validate: (graph, options) =>
+        FlowchartRules.decisionBranches(graph, options),
+      message: "Decisions need labelled branches",
+    });
+
+    this.addRule("node-degree", {
+      level: "warning",
+      diagramTypes,
+      options: { degrees: {} },
+      validate: (graph, options) => FlowchartRules.nodeDegrees(graph, options),
+      message: "Some nodes have an unexpected number of edges",
+    });
   }
 
   /**
@@ -79,11 +151,16 @@ export class ValidationManager {
       this.eventBus.on("edge:created", () => this.validate());
       this.eventBus.on("edge:deleted", () => this.validate());
       this.eventBus.on("node:updated", () => this.validate());
+      this.eventBus.on("edge:updated", () => this.validate());
     }
   }
 
   /**
    * Add a custom validation rule
+   *
+   * validate(graph, options) returns { valid, details }; a detail is a
+   * message string or { message, nodeIds, edgeIds }.
+   *
    * @param {string} name - Rule name
    * @param {Object} rule - Rule definition
    */
@@ -93,6 +170,9 @@ export class ValidationManager {
       validate: rule.validate,
       message: rule.message || "Validation failed",
       enabled: rule.enabled !== false,
+      diagramTypes: rule.diagramTypes || null, // null: every diagram type
+      options: { ...rule.options },
+      overrides: new Map(), // diagram type -> { enabled, level, options }
     });
   }
 
@@ -108,12 +188,67 @@ export class ValidationManager {
    * Enable/disable a rule
    * @param {string} name - Rule name
    * @param {boolean} enabled - Enable state
+   * @param {string} [diagramType] - Only for this diagram type
+   */
+  setRuleEnabled(name, enabled, diagramType = null) {
+    this.configureRule(name, { enabled }, diagramType);
+  }
+
+  /**
+   * Change a rule's enabled state, level or options
+   *
+   * With a diagram type the change applies to that type only and is
+   * layered over the rule's own settings.
+   *
+   * @param {string} name - Rule name
+   * @param {Object} config - { enabled, level, options }
+   * @param {string} [diagramType] - Only for this diagram type
    */
-  setRuleEnabled(name, enabled) {
+  configureRule(name, config, diagramType = null) {
     const rule = this.rules.get(name);
-    if (rule) {
-      rule.enabled = enabled;
+    if (!rule) return;
+
+    const target = diagramType ? rule.overrides.get(diagramType) || {} : rule;
+    if (config.enabled !== undefined) target.enabled = config.enabled;
+    if (config.level) target.level = config.level;
+    if (config.options) {
+      target.options = { ...target.options, ...config.options };
     }
+    if (diagramType) rule.overrides.set(diagramType, target);
+  }
+
+  /**
+   * Get a rule's settings as they apply to a diagram type
+   * @param {string} name - Rule name
+   * @param {string} [diagramType] - Defaults to the current diagram type
+   * @returns {Object|null} - { enabled, level, options, applies }
+   */
+  getRuleConfig(name, diagramType = this.getDiagramType()) {
+    const rule = this.rules.get(name);
+    return rule ? this._resolveRule(rule, diagramType) : null;
+  }
+
+  /**
+   * Set the diagram type rules are picked for
+   * @param {string|null} type - 'flowchart', 'generic', ... or null to
+   *                             detect it from the shapes in the diagram
+   */
+  setDiagramType(type) {
+    this.diagramType = type || null;
+    if (this.autoValidate) this.validate();
+  }
+
+  /**
+   * Get the diagram type rules are picked for
+   * @returns {string}
+   */
+  getDiagramType() {
+    if (this.diagramType) return this.diagramType;
+
+    const isFlowchart = this.nodeManager
+      .getAllNodes()
+      .some((node) => FLOWCHART_TYPES.includes(node.type));
+    return isFlowchart ? "flowchart" : "generic";
   }
 
   /**
@@ -125,23 +260,30 @@ export class ValidationManager {
     this.warnings = [];
 
     const graph = this._buildGraphRepresentation();
+    const diagramType = this.getDiagramType();
 
-    // Run all enabled rules
+    // Run all enabled rules for this diagram type
     for (const [name, rule] of this.rules.entries()) {
-      if (!rule.enabled) continue;
+      const config = this._resolveRule(rule, diagramType);
+      if (!config.enabled || !config.applies) continue;
 
       try {
-        const result = rule.validate(graph);
+        const result = rule.validate(graph, config.options);
 
         if (!result.valid) {
+          const details = (result.details || []).map((detail) =>
+            this._normalizeDetail(detail, rule)
+          );
           const issue = {
             rule: name,
-            level: rule.level,
+            level: config.level,
             message: rule.message,
-            details: result.details || [],
+            details,
+            nodeIds: [...new Set(details.flatMap((d) => d.nodeIds))],
+            edgeIds: [...new Set(details.flatMap((d) => d.edgeIds))],
           };
 
-          if (rule.level === "error") {
+          if (config.level === "error") {
             this.errors.push(issue);
           } else {
             this.warnings.push(issue);
@@ -157,6 +299,7 @@ export class ValidationManager {
     // Update state
     this.stateManager.setState("validation", {
       isValid,
+      diagramType,
       errorCount: this.errors.length,
       warningCount: this.warnings.length,
     });
@@ -164,17 +307,48 @@ export class ValidationManager {
     // Emit event
     this.eventBus.emit("validation:complete", {
       isValid,
+      diagramType,
       errors: this.errors,
       warnings: this.warnings,
     });
 
     return {
       isValid,
+      diagramType,
       errors: this.errors,
       warnings: this.warnings,
     };
   }
 
+  /**
+   * Settings of a rule for a diagram type
+   * @private
+   */
+  _resolveRule(rule, diagramType) {
+    const override = rule.overrides.get(diagramType) || {};
+    return {
+      enabled: override.enabled !== undefined ? override.enabled : rule.enabled,
+      level: override.level || rule.level,
+      options: { ...rule.options, ...override.options },
+      applies: !rule.diagramTypes || rule.diagramTypes.includes(diagramType),
+    };
+  }
+
+  /**
+   * Turn a rule's detail into { message, nodeIds, edgeIds }
+   * @private
+   */
+  _normalizeDetail(detail, rule) {
+    if (typeof detail === "string") {
+      return { message: detail, nodeIds: [], edgeIds: [] };
+    }
+    return {
+      message: detail.message || rule.message,
+      nodeIds: detail.nodeIds || [],
+      edgeIds: detail.edgeIds || [],
+    };
+  }
+
   /**
    * Validate a specific node
    * @param {string} nodeId - Node to validate
@@ -272,6 +446,9 @@ export class ValidationManager {
             return true;
           }
         } else if (recursionStack.has(edge.targetId)) {
+          // The stack from the target on is the cycle
+          const stack = [...recursionStack];
+          cycle = stack.slice(stack.indexOf(edge.targetId));
           return true;
         }
       }
@@ -280,10 +457,16 @@ export class ValidationManager {
       return false;
     };
 
+    let cycle = [];
     for (const node of graph.nodes) {
       if (!visited.has(node.id)) {
         if (hasCycle(node.id)) {
-          return { valid: false, details: ["Circular dependency detected"] };
+          return {
+            valid: false,
+            details: [
+              { message: "Circular dependency detected", nodeIds: cycle },
+            ],
+          };
         }
       }
     }
@@ -308,7 +491,10 @@ export class ValidationManager {
     if (invalidEdges.length > 0) {
       return {
         valid: false,
-        details: invalidEdges.map((id) => `Edge ${id} has invalid connections`),
+        details: invalidEdges.map((id) => ({
+          message: `Edge ${id} has invalid connections`,
+          edgeIds: [id],
+        })),
       };
     }
 
@@ -332,7 +518,10 @@ export class ValidationManager {
     if (orphans.length > 0) {
       return {
         valid: false,
-        details: orphans.map((node) => `Node ${node.id} is not connected`),
+        details: orphans.map((node) => ({
+          message: `Node ${node.id} is not connected`,
+          nodeIds: [node.id],
+        })),
       };
     }
 
@@ -351,7 +540,10 @@ export class ValidationManager {
       const key = `${edge.sourceId}->${edge.targetId}`;
 
       if (connections.has(key)) {
-        duplicates.push(`Duplicate: ${key}`);
+        duplicates.push({
+          message: `Duplicate: ${key}`,
+          edgeIds: [connections.get(key), edge.id],
+        });
       } else {
         connections.set(key, edge.id);
       }
@@ -373,6 +565,8 @@ export class ValidationManager {
       nodes: this.nodeManager.getAllNodes().map((n) => ({
         id: n.id,
         type: n.type,
+        label: n.label,
+        metadata: n.metadata,
         x: n.x,
         y: n.y,
       })),
@@ -380,6 +574,7 @@ export class ValidationManager {
         id: e.id,
         sourceId: e.sourceId,
         targetId: e.targetId,
+        label: e.label,
       })),
     };
   }
@@ -431,6 +626,7 @@ export class ValidationManager {
 
     this.stateManager.setState("validation", {
       isValid: true,
+      diagramType: this.getDiagramType(),
       errorCount: 0,
       warningCount: 0,
     });
@@ -12,10 +12,26 @@ export { SelectionManager } from "./SelectionManager.js";
 export {
   HistoryManager,
   Command,
+  BatchCommand,
   AddNodeCommand,
   DeleteNodeCommand,
   MoveNodeCommand,
+  ResizeNodeCommand,
+  NodeBoundsCommand,
+  UpdateNodeCommand,
   UpdateNodePropertyCommand,
+  AddEdgeCommand,
+  DeleteEdgeCommand,
+  UpdateEdgeCommand,
+  UpdateEdgePropertyCommand,
+  AddLayerCommand,
+  DeleteLayerCommand,
+  UpdateLayerCommand,
+  ReorderLayersCommand,
+  MoveNodeToLayerCommand,
+  SetZIndexCommand,
+  SetThemeCommand,
+  ThemeColorsCommand,
 } from "./HistoryManager.js";
 export { ClipboardManager } from "./ClipboardManager.js";
 export { SnapManager } from "./SnapManager.js";
@@ -24,3 +40,7 @@ export { ThemeManager } from "./ThemeManager.js";
 export { ExportManager } from "./ExportManager.js";
 export { PluginManager, Plugin } from "./PluginManager.js";
 export { LayerManager } from "./LayerManager.js";
+export { LayoutManager } from "./LayoutManager.js";
+export { SimulationManager } from "./SimulationManager.js";
+export { CollaborationManager } from "./CollaborationManager.js";
+export { PersistenceManager } from "./PersistenceManager.js";
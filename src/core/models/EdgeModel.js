@@ -26,6 +26,8 @@ class EdgeModel {
    *                                           'straight', 'bezier', 'orthogonal'
    * @param {string} [data.label=''] - Display text for the edge
    * @param {Object} [data.style={}] - CSS-like styling
+   * @param {Array} [data.waypoints=[]] - Bend points {x, y} between the
+   *                                      source and target, in order
    * @param {Object} [data.metadata={}] - Custom data
    *
    * @throws {Error} If required fields are missing
@@ -79,6 +81,9 @@ class EdgeModel {
       markerEnd: "url(#arrowhead)",
     };
 
+    // Bend points (user-placed or from auto layout)
+    this.waypoints = (data.waypoints || []).map((p) => ({ x: p.x, y: p.y }));
+
     // Custom data
     this.metadata = data.metadata || {};
 
@@ -121,6 +126,7 @@ class EdgeModel {
       sourcePort: this.sourcePort,
       targetPort: this.targetPort,
       style: { ...this.style },
+      waypoints: this.waypoints.map((p) => ({ ...p })),
       metadata: { ...this.metadata },
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -145,12 +151,24 @@ class EdgeModel {
       sourcePort: this.sourcePort,
       targetPort: this.targetPort,
       style: this.style,
+      waypoints: this.waypoints.map((p) => ({ ...p })),
       metadata: this.metadata,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
   }
 
+  /**
+   * Serialize edge for export, clipboard and events
+   *
+   * Same shape as toJSON(); this is the name the managers use.
+   *
+   * @returns {Object} Plain object representation
+   */
+  serialize() {
+    return this.toJSON();
+  }
+
   /**
    * Create edge from JSON
    *
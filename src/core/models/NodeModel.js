@@ -45,6 +45,13 @@ class NodeModel {
    * @param {Object} [data.style={}] - CSS-like styling (fill, stroke, etc.)
    * @param {Array} [data.ports=[]] - Connection ports for edges
    * @param {Object} [data.metadata={}] - Custom data attached to node
+   * @param {string|null} [data.parentId=null] - Container holding this node
+   * @param {boolean} [data.collapsed=false] - Container shows only its box
+   * @param {Object|null} [data.expandedSize=null] - Container size to restore
+   *                                                 on expand ({width, height})
+   * @param {Object|null} [data.pool=null] - Swimlane lanes
+   *                                         ({orientation, lanes})
+   * @param {string|null} [data.laneId=null] - Pool lane holding this node
    *
    * @throws {Error} If required fields are missing or invalid
    *
@@ -114,6 +121,18 @@ class NodeModel {
     // Custom data
     this.metadata = data.metadata || {};
 
+    // Containment
+    this.parentId = data.parentId || null;
+    this.collapsed = data.collapsed === true;
+    this.expandedSize = data.expandedSize ? { ...data.expandedSize } : null;
+    this.pool = data.pool
+      ? {
+          orientation: data.pool.orientation,
+          lanes: data.pool.lanes.map((lane) => ({ ...lane })),
+        }
+      : null;
+    this.laneId = data.laneId || null;
+
     // Timestamps
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
@@ -290,6 +309,11 @@ class NodeModel {
       style: { ...this.style },
       ports: this.ports.map((p) => ({ ...p })),
       metadata: { ...this.metadata },
+      parentId: this.parentId,
+      collapsed: this.collapsed,
+      expandedSize: this.expandedSize,
+      pool: this.pool,
+      laneId: this.laneId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     });
@@ -319,11 +343,27 @@ class NodeModel {
       style: this.style,
       ports: this.ports,
       metadata: this.metadata,
+      parentId: this.parentId,
+      collapsed: this.collapsed,
+      expandedSize: this.expandedSize,
+      pool: this.pool,
+      laneId: this.laneId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
   }
 
+  /**
+   * Serialize node for export, clipboard and events
+   *
+   * Same shape as toJSON(); this is the name the managers use.
+   *
+   * @returns {Object} Plain object representation
+   */
+  serialize() {
+    return this.toJSON();
+  }
+
   /**
    * Create node from JSON
    *
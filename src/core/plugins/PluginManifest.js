@@ -0,0 +1,173 @@
+/**
+ * PluginManifest.js - Plugin manifest format and validation
+ *
+ * A plugin module exports its manifest next to the plugin:
+ *
+ *   export const manifest = {
+ *     id: "acme.lanes",              // letters, digits, . _ -
+ *     name: "Lane tools",
+ *     version: "1.2.0",              // MAJOR.MINOR.PATCH
+ *     description: "...",
+ *     dependencies: { "acme.core": "^1.0.0" },   // id -> semver range
+ *     capabilities: ["graph:read", "ui"],
+ *   };
+ *   export default class LanePlugin extends Plugin { ... }
+ *
+ * Capabilities decide what the plugin's context can reach:
+ *
+ *   graph:read   read nodes, edges, the selection and the document
+ *   graph:write  create, update and delete nodes and edges
+ *   ui           menu items, toolbar buttons, commands, status messages
+ *   export       add import/export formats
+ *
+ * Capabilities also decide which bus events a plugin can subscribe to
+ * (see PLUGIN_EVENTS). Everything else on the bus, such as command:*
+ * and ui:*, stays out of reach.
+ *
+ * @module core/plugins/PluginManifest
+ */
+
+import { Semver } from "./Semver.js";
+
+/**
+ * Capabilities a manifest can request
+ */
+export const PLUGIN_CAPABILITIES = [
+  "graph:read",
+  "graph:write",
+  "ui",
+  "export",
+];
+
+/**
+ * Events a plugin can subscribe to, by the capability each needs. Plugin
+ * lifecycle events and events plugins emit (plugin:<id>:<event>) are
+ * open to all.
+ */
+export const PLUGIN_EVENTS = {
+  "graph:read": [
+    "node:created",
+    "node:updated",
+    "node:deleted",
+    "node:moved",
+    "node:resized",
+    "nodes:cleared",
+    "edge:created",
+    "edge:updated",
+    "edge:deleted",
+    "edges:cleared",
+    "selection:changed",
+    "selection:cleared",
+    "layout:applied",
+    "history:changed",
+    "persistence:opened",
+    "export:import:complete",
+  ],
+  ui: ["theme:changed"],
+  export: ["export:format:registered", "export:format:unregistered"],
+};
+
+const LIFECYCLE_EVENTS = [
+  "plugin:registered",
+  "plugin:loaded",
+  "plugin:initialized",
+  "plugin:enabled",
+  "plugin:disabled",
+  "plugin:unregistered",
+];
+
+const ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export class PluginManifest {
+  /**
+   * Check a manifest and fill in defaults
+   * @param {Object} manifest - Manifest as written by the plugin
+   * @returns {Object} - { id, name, version, description, dependencies,
+   *   capabilities }
+   * @throws {Error} Listing every problem found
+   */
+  static normalize(manifest) {
+    if (!manifest || typeof manifest !== "object") {
+      throw new Error("Invalid plugin manifest: expected an object");
+    }
+
+    const problems = [];
+    const { id, version } = manifest;
+
+    if (typeof id !== "string" || !ID_RE.test(id)) {
+      problems.push(`id "${id}" must be letters, digits, ".", "_" or "-"`);
+    }
+    if (!Semver.valid(version || "")) {
+      problems.push(`version "${version}" must be MAJOR.MINOR.PATCH`);
+    }
+
+    const dependencies = PluginManifest._dependencies(manifest.dependencies);
+    Object.entries(dependencies).forEach(([dependency, range]) => {
+      if (!Semver.validRange(range)) {
+        problems.push(
+          `dependency "${dependency}" has invalid range "${range}"`
+        );
+      }
+    });
+    if (Object.prototype.hasOwnProperty.call(dependencies, id)) {
+      problems.push("a plugin cannot depend on itself");
+    }
+
+    const capabilities = manifest.capabilities || [];
+    if (!Array.isArray(capabilities)) {
+      problems.push("capabilities must be an array");
+    } else {
+      capabilities
+        .filter((capability) => !PLUGIN_CAPABILITIES.includes(capability))
+        .forEach((capability) =>
+          problems.push(`unknown capability "${capability}"`)
+        );
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid plugin manifest${
+          typeof id === "string" ? ` '${id}'` : ""
+        }:\n- ${problems.join("\n- ")}`
+      );
+    }
+
+    return {
+      id,
+      name: manifest.name || id,
+      version: String(version).trim(),
+      description: manifest.description || "",
+      dependencies,
+      capabilities: [...new Set(capabilities)],
+    };
+  }
+
+  /**
+   * Capability a plugin needs to subscribe to an event
+   * @param {string} event - Event name
+   * @returns {string|null|undefined} - The capability, null when open to
+   *   all, undefined when plugins cannot subscribe to it at all
+   */
+  static eventCapability(event) {
+    if (LIFECYCLE_EVENTS.includes(event)) return null;
+
+    const scoped = /^plugin:([^:]+):./.exec(event);
+    if (scoped && ID_RE.test(scoped[1])) return null;
+
+    return Object.keys(PLUGIN_EVENTS).find((capability) =>
+      PLUGIN_EVENTS[capability].includes(event)
+    );
+  }
+
+  /**
+   * Dependencies as { id: range }; a list of ids accepts any version
+   * @private
+   */
+  static _dependencies(dependencies) {
+    if (!dependencies) return {};
+    if (Array.isArray(dependencies)) {
+      return Object.fromEntries(dependencies.map((id) => [id, "*"]));
+    }
+    return { ...dependencies };
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Semver.js - Semantic version parsing and range matching for plugins
+ *
+ * Versions are MAJOR.MINOR.PATCH with an optional -prerelease (build
+ * metadata after + is ignored). Ranges follow npm's syntax:
+ *
+ *   1.2.3  =1.2.3       exact
+ *   >1.2.3 >=1.2 <2     comparisons; missing parts count as 0
+ *   ^1.2.3              same major (same minor/patch below 1.0.0)
+ *   ~1.2.3              same minor
+ *   1.x  1.2.*  *  ""   wildcards
+ *   1.2.3 - 2.0.0       inclusive hyphen range
+ *   >=1.0.0 <2.0.0      space: all must match
+ *   ^1.0.0 || ^2.0.0    ||: any may match
+ *
+ * Unlike npm, a prerelease matches any range its version falls in.
+ *
+ * @module core/plugins/Semver
+ */
+
+const VERSION_RE =
+  /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE =
+  /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// Matches nothing (e.g. "<*")
+const NEVER = {
+  operator: "<",
+  version: { major: 0, minor: 0, patch: 0, prerelease: ["0"] },
+};
+
+export class Semver {
+  /**
+   * Parse a version
+   * @param {string} version - e.g. '1.4.0-beta.2'
+   * @returns {Object} - { major, minor, patch, prerelease: [] }
+   * @throws {Error} If the version is not MAJOR.MINOR.PATCH
+   */
+  static parse(version) {
+    const match = VERSION_RE.exec(String(version).trim());
+    if (!match) {
+      throw new Error(`Invalid version "${version}"`);
+    }
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2]),
+      patch: Number(match[3]),
+      prerelease: match[4] ? match[4].split(".") : [],
+    };
+  }
+
+  /**
+   * Whether a string is a valid version
+   * @param {string} version
+   * @returns {boolean}
+   */
+  static valid(version) {
+    return VERSION_RE.test(String(version).trim());
+  }
+
+  /**
+   * Compare two versions
+   * @param {string|Object} a - Version or parsed version
+   * @param {string|Object} b - Version or parsed version
+   * @returns {number} - Negative, zero or positive
+   */
+  static compare(a, b) {
+    const left = typeof a === "string" ? Semver.parse(a) : a;
+    const right = typeof b === "string" ? Semver.parse(b) : b;
+
+    for (const part of ["major", "minor", "patch"]) {
+      if (left[part] !== right[part]) return left[part] - right[part];
+    }
+
+    // A prerelease sorts before its release
+    if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+      return right.prerelease.length - left.prerelease.length;
+    }
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+      const x = left.prerelease[i];
+      const y = right.prerelease[i];
+      if (x === undefined) return -1;
+      if (y === undefined) return 1;
+      if (x === y) continue;
+
+      const xNumeric = /^\d+$/.test(x);
+      const yNumeric = /^\d+$/.test(y);
+      if (xNumeric && yNumeric) return Number(x) - Number(y);
+      if (xNumeric !== yNumeric) return xNumeric ? -1 : 1;
+      return x < y ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Whether a version is in a range
+   * @param {string} version - Version to test
+   * @param {string} range - npm-style range
+   * @returns {boolean}
+   * @throws {Error} If the version or range cannot be parsed
+   */
+  static satisfies(version, range) {
+    const parsed = Semver.parse(version);
+    return Semver.parseRange(range).some((comparators) =>
+      comparators.every(({ operator, version: bound }) => {
+        const order = Semver.compare(parsed, bound);
+        switch (operator) {
+          case ">":
+            return order > 0;
+          case ">=":
+            return order >= 0;
+          case "<":
+            return order < 0;
+          case "<=":
+            return order <= 0;
+          default:
+            return order === 0;
+        }
+      })
+    );
+  }
+
+  /**
+   * Whether a string is a valid range
+   * @param {string} range
+   * @returns {boolean}
+   */
+  static validRange(range) {
+    try {
+      Semver.parseRange(range);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a range into alternatives of comparators
+   * @param {string} range - npm-style range
+   * @returns {Array<Array<Object>>} - [[{ operator, version }]]
+   * @throws {Error} If the range cannot be parsed
+   */
+  static parseRange(range) {
+    return String(range)
+      .split("||")
+      .map((alternative) => {
+        const text = alternative
+          .trim()
+          // Operators may be written apart from their version: ">= 1.2"
+          .replace(/(<=|>=|<|>|=|\^|~)\s+/g, "$1");
+
+        const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+        if (hyphen) {
+          return [
+            ...Semver._comparators(`>=${hyphen[1]}`, range),
+            ...Semver._comparators(`<=${hyphen[2]}`, range),
+          ];
+        }
+
+        const parts = text.split(/\s+/).filter(Boolean);
+        return parts.length === 0
+          ? []
+          : parts.flatMap((part) => Semver._comparators(part, range));
+      });
+  }
+
+  /**
+   * Comparators for one term of a range
+   * @private
+   */
+  static _comparators(term, range) {
+    const match = /^(<=|>=|<|>|=|\^|~)?(.*)$/.exec(term);
+    const operator = match[1] || "";
+    const partial = PARTIAL_RE.exec(match[2]);
+    if (!partial) {
+      throw new Error(`Invalid version range "${range}"`);
+    }
+
+    const wild = (part) => part === undefined || /^[xX*]$/.test(part);
+    const [major, minor, patch] = [partial[1], partial[2], partial[3]].map(
+      (part) => (wild(part) ? null : Number(part))
+    );
+    const prerelease = partial[4] ? partial[4].split(".") : [];
+    const version = (ma, mi = 0, pa = 0, pre = []) => ({
+      major: ma,
+      minor: mi,
+      patch: pa,
+      prerelease: pre,
+    });
+    // Lowest prerelease of a version, so "<2.0.0" excludes 2.0.0-beta
+    const floor = (ma, mi = 0, pa = 0) => version(ma, mi, pa, ["0"]);
+
+    if (major === null) {
+      return operator === "<" || operator === ">" ? [NEVER] : [];
+    }
+
+    const exact = minor !== null && patch !== null;
+    const lower = version(major, minor || 0, patch || 0, prerelease);
+
+    switch (operator) {
+      case "^": {
+        let upper;
+        if (major > 0 || minor === null) upper = floor(major + 1);
+        else if (minor > 0 || patch === null) upper = floor(0, minor + 1);
+        else upper = floor(0, 0, patch + 1);
+        return [
+          { operator: ">=", version: lower },
+          { operator: "<", version: upper },
+        ];
+      }
+      case "~":
+        return [
+          { operator: ">=", version: lower },
+          {
+            operator: "<",
+            version:
+              minor === null ? floor(major + 1) : floor(major, minor + 1),
+          },
+        ];
+      case ">":
+        if (exact) return [{ operator: ">", version: lower }];
+        return [
+          {
+            operator: ">=",
+            version:
+              minor === null ? floor(major + 1) : floor(major, minor + 1),
+          },
+        ];
+      case ">=":
+        return [{ operator: ">=", version: lower }];
+      case "<":
+        return [
+          { operator: "<", version: exact ? lower : floor(major, minor || 0) },
+        ];
+      case "<=":
+        if (exact) return [{ operator: "<=", version: lower }];
+        return [
+          {
+            operator: "<",
+            version:
+              minor === null ? floor(major + 1) : floor(major, minor + 1),
+          },
+        ];
+      default:
+        if (exact) return [{ operator: "=", version: lower }];
+        // Partial versions match everything they leave open: 1.2 is ~1.2
+        return [
+          { operator: ">=", version: lower },
+          {
+            operator: "<",
+            version:
+              minor === null ? floor(major + 1) : floor(major, minor + 1),
+          },
+        ];
+    }
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * plugins/index.js - Barrel export for plugin manifest and version helpers
+ *
+ * @module core/plugins
+ */
+
+export { Semver } from "./Semver.js";
+export {
+  PluginManifest,
+  PLUGIN_CAPABILITIES,
+  PLUGIN_EVENTS,
+} from "./PluginManifest.js";
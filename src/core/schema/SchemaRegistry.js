@@ -0,0 +1,336 @@
+/**
+ * SchemaRegistry.js - Versioned document schemas and migrations
+ *
+ * Responsibilities:
+ * - Store a JSON Schema for every document version
+ * - Chain migration functions that upgrade older documents
+ * - Validate documents against the schema of their version
+ * - Reject documents written by a newer, unsupported editor
+ *
+ * Versions are MAJOR.MINOR. Every version given to the registry is
+ * normalized on the way in ("1" and "1.0.0" are "1.0"), so a patch level
+ * never changes which schema or migrations apply.
+ *
+ * @module core/schema/SchemaRegistry
+ */
+
+export class SchemaRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.currentVersion - Version written by exportJSON
+   * @param {string} [options.defaultVersion] - Version assumed for documents
+   *                                           without a `version` field
+   */
+  constructor(options = {}) {
+    if (!options.currentVersion) {
+      throw new Error("SchemaRegistry: currentVersion is required");
+    }
+
+    this.currentVersion = normalizeVersion(options.currentVersion);
+    this.defaultVersion = normalizeVersion(
+      options.defaultVersion || options.currentVersion
+    );
+
+    // Registered schemas
+    this.schemas = new Map(); // version -> JSON Schema
+
+    // Migration chain
+    this.migrations = new Map(); // fromVersion -> { to, migrate }
+  }
+
+  /**
+   * Register the JSON Schema for a document version
+   * @param {string} version - Document version
+   * @param {Object} schema - JSON Schema
+   */
+  registerSchema(version, schema) {
+    this.schemas.set(normalizeVersion(version), schema);
+  }
+
+  /**
+   * Get the JSON Schema for a document version
+   * @param {string} version - Document version
+   * @returns {Object|null}
+   */
+  getSchema(version) {
+    return this.schemas.get(normalizeVersion(version)) || null;
+  }
+
+  /**
+   * Check if a schema exists for a version
+   * @param {string} version - Document version
+   * @returns {boolean}
+   */
+  hasSchema(version) {
+    return this.schemas.has(normalizeVersion(version));
+  }
+
+  /**
+   * Get all registered versions, oldest first
+   * @returns {Array<string>}
+   */
+  getVersions() {
+    return Array.from(this.schemas.keys()).sort(compareVersions);
+  }
+
+  /**
+   * Register a migration between two consecutive versions
+   * @param {string} fromVersion - Version the migration reads
+   * @param {string} toVersion - Version the migration produces
+   * @param {Function} migrate - (document) => upgraded document
+   */
+  registerMigration(fromVersion, toVersion, migrate) {
+    fromVersion = normalizeVersion(fromVersion);
+    toVersion = normalizeVersion(toVersion);
+    if (compareVersions(fromVersion, toVersion) >= 0) {
+      throw new Error(
+        `Migration must upgrade: ${fromVersion} -> ${toVersion} goes backwards`
+      );
+    }
+    if (typeof migrate !== "function") {
+      throw new Error(
+        `Migration ${fromVersion} -> ${toVersion} is not a function`
+      );
+    }
+
+    this.migrations.set(fromVersion, { to: toVersion, migrate });
+  }
+
+  /**
+   * Get the version a document was written with
+   * @param {Object} document - Parsed document
+   * @returns {string}
+   */
+  getDocumentVersion(document) {
+    return document && document.version
+      ? normalizeVersion(document.version)
+      : this.defaultVersion;
+  }
+
+  /**
+   * Check whether a document version can be opened
+   * @param {string} version - Document version
+   * @returns {boolean}
+   */
+  isSupported(version) {
+    if (compareVersions(version, this.currentVersion) > 0) {
+      return false;
+    }
+    return this.getMigrationPath(version) !== null;
+  }
+
+  /**
+   * Get the list of migration steps from a version to the current one
+   * @param {string} version - Starting version
+   * @returns {Array|null} - Steps, or null if no path exists
+   */
+  getMigrationPath(version) {
+    const path = [];
+    let cursor = normalizeVersion(version);
+
+    while (cursor !== this.currentVersion) {
+      const step = this.migrations.get(cursor);
+      if (!step) return null;
+
+      path.push({ from: cursor, to: step.to, migrate: step.migrate });
+      cursor = step.to;
+    }
+
+    return path;
+  }
+
+  /**
+   * Upgrade a document to the current version
+   *
+   * The input document is not modified.
+   *
+   * @param {Object} document - Parsed document
+   * @returns {Object} - { document, fromVersion, applied: [versions] }
+   * @throws {Error} If the document is newer than the current version or
+   *                 no migration path exists
+   */
+  upgrade(document) {
+    const fromVersion = this.getDocumentVersion(document);
+
+    if (compareVersions(fromVersion, this.currentVersion) > 0) {
+      throw new Error(
+        `Document version ${fromVersion} is newer than the supported version ` +
+          `${this.currentVersion}. Update the editor to open this file.`
+      );
+    }
+
+    const path = this.getMigrationPath(fromVersion);
+    if (!path) {
+      throw new Error(
+        `Unsupported document version ${fromVersion}: no migration to ` +
+          `${this.currentVersion} is available`
+      );
+    }
+
+    let upgraded = JSON.parse(JSON.stringify(document));
+    const applied = [];
+
+    for (const step of path) {
+      upgraded = step.migrate(upgraded) || upgraded;
+      upgraded.version = step.to;
+      applied.push(step.to);
+    }
+
+    upgraded.version = this.currentVersion;
+
+    return { document: upgraded, fromVersion, applied };
+  }
+
+  /**
+   * Validate a document against the schema for a version
+   * @param {Object} document - Parsed document
+   * @param {string} [version] - Defaults to the document's own version
+   * @returns {Object} - { valid, errors: [string] }
+   */
+  validate(document, version = this.getDocumentVersion(document)) {
+    const schema = this.getSchema(version);
+    if (!schema) {
+      return {
+        valid: false,
+        errors: [`No schema registered for version ${version}`],
+      };
+    }
+
+    const errors = [];
+    this._validateValue(schema, document, "$", errors);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Validate a value against a JSON Schema subset
+   *
+   * Supports: type, enum, required, properties, additionalProperties,
+   * items, minimum, minItems.
+   *
+   * @private
+   */
+  _validateValue(schema, value, path, errors) {
+    if (!schema || typeof schema !== "object") return;
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => matchesType(type, value))) {
+        errors.push(`${path} must be ${types.join(" or ")}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+    }
+
+    if (typeof value === "number" && schema.minimum !== undefined) {
+      if (value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this._validateValue(schema.items, item, `${path}[${index}]`, errors);
+        });
+      }
+      return;
+    }
+
+    if (value && typeof value === "object") {
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.keys(value).forEach((key) => {
+        if (properties[key]) {
+          this._validateValue(
+            properties[key],
+            value[key],
+            `${path}.${key}`,
+            errors
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        } else if (typeof schema.additionalProperties === "object") {
+          this._validateValue(
+            schema.additionalProperties,
+            value[key],
+            `${path}.${key}`,
+            errors
+          );
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a)
+    .split(".")
+    .map((n) => parseInt(n, 10) || 0);
+  const partsB = String(b)
+    .split(".")
+    .map((n) => parseInt(n, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+/**
+ * Reduce a dotted version string to MAJOR.MINOR
+ * @param {string|number} version - e.g. "1", "1.3.0" or 1.2
+ * @returns {string} - e.g. "1.0", "1.3" or "1.2"
+ */
+export function normalizeVersion(version) {
+  const [major = 0, minor = 0] = String(version)
+    .split(".")
+    .map((n) => parseInt(n, 10) || 0);
+  return `${major}.${minor}`;
+}
+
+/**
+ * Check a value against a JSON Schema primitive type
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
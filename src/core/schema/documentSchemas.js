@@ -0,0 +1,259 @@
+/**
+ * documentSchemas.js - JSON Schemas and migrations for saved flowcharts
+ *
+ * Every version ever written by ExportManager.exportJSON gets a schema here.
+ * When NodeModel/EdgeModel fields change, bump CURRENT_DOCUMENT_VERSION,
+ * add the new schema and register a migration from the previous version,
+ * so files saved by older editors keep opening.
+ *
+ * @module core/schema/documentSchemas
+ */
+
+import { SchemaRegistry } from "./SchemaRegistry.js";
+
+/**
+ * Version stamped on newly exported documents
+ */
+export const CURRENT_DOCUMENT_VERSION = "1.3";
+
+const NODE_SCHEMA_1_0 = {
+  type: "object",
+  required: ["id", "type", "x", "y"],
+  properties: {
+    id: { type: "string" },
+    type: { type: "string" },
+    x: { type: "number" },
+    y: { type: "number" },
+    width: { type: "number", minimum: 0 },
+    height: { type: "number", minimum: 0 },
+    label: { type: "string" },
+    style: { type: "object" },
+    ports: { type: "array" },
+    metadata: { type: "object" },
+    createdAt: { type: "string" },
+    updatedAt: { type: "string" },
+  },
+};
+
+const EDGE_SCHEMA_1_0 = {
+  type: "object",
+  required: ["id", "sourceId", "targetId"],
+  properties: {
+    id: { type: "string" },
+    sourceId: { type: "string" },
+    targetId: { type: "string" },
+    type: { type: "string" },
+    label: { type: "string" },
+    sourcePort: { type: ["string", "null"] },
+    targetPort: { type: ["string", "null"] },
+    style: { type: "object" },
+    metadata: { type: "object" },
+    createdAt: { type: "string" },
+    updatedAt: { type: "string" },
+  },
+};
+
+/**
+ * Document schema for version 1.0
+ */
+export const DOCUMENT_SCHEMA_1_0 = {
+  $id: "flowchart-document/1.0",
+  type: "object",
+  required: ["nodes", "edges"],
+  properties: {
+    version: { type: "string" },
+    type: { type: "string" },
+    metadata: { type: "object" },
+    nodes: { type: "array", items: NODE_SCHEMA_1_0 },
+    edges: { type: "array", items: EDGE_SCHEMA_1_0 },
+    settings: { type: ["object", "null"] },
+  },
+};
+
+const POINT_SCHEMA = {
+  type: "object",
+  required: ["x", "y"],
+  properties: {
+    x: { type: "number" },
+    y: { type: "number" },
+  },
+};
+
+// 1.1: edges carry their bend points in `waypoints` (1.0 files kept them,
+// if at all, in metadata.waypoints)
+const EDGE_SCHEMA_1_1 = {
+  ...EDGE_SCHEMA_1_0,
+  properties: {
+    ...EDGE_SCHEMA_1_0.properties,
+    waypoints: { type: "array", items: POINT_SCHEMA },
+  },
+};
+
+/**
+ * Document schema for version 1.1
+ */
+export const DOCUMENT_SCHEMA_1_1 = {
+  ...DOCUMENT_SCHEMA_1_0,
+  $id: "flowchart-document/1.1",
+  properties: {
+    ...DOCUMENT_SCHEMA_1_0.properties,
+    edges: { type: "array", items: EDGE_SCHEMA_1_1 },
+  },
+};
+
+const SIZE_SCHEMA = {
+  type: ["object", "null"],
+  required: ["width", "height"],
+  properties: {
+    width: { type: "number", minimum: 0 },
+    height: { type: "number", minimum: 0 },
+  },
+};
+
+// 1.2: nodes name their container in `parentId`, and containers can be
+// collapsed (1.1 files listed a container's members in metadata.members)
+const NODE_SCHEMA_1_2 = {
+  ...NODE_SCHEMA_1_0,
+  properties: {
+    ...NODE_SCHEMA_1_0.properties,
+    parentId: { type: ["string", "null"] },
+    collapsed: { type: "boolean" },
+    expandedSize: SIZE_SCHEMA,
+  },
+};
+
+/**
+ * Document schema for version 1.2
+ */
+export const DOCUMENT_SCHEMA_1_2 = {
+  ...DOCUMENT_SCHEMA_1_1,
+  $id: "flowchart-document/1.2",
+  properties: {
+    ...DOCUMENT_SCHEMA_1_1.properties,
+    nodes: { type: "array", items: NODE_SCHEMA_1_2 },
+  },
+};
+
+const POOL_SCHEMA = {
+  type: ["object", "null"],
+  required: ["orientation", "lanes"],
+  properties: {
+    orientation: { enum: ["horizontal", "vertical"] },
+    lanes: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "size"],
+        properties: {
+          id: { type: "string" },
+          label: { type: "string" },
+          size: { type: "number", minimum: 0 },
+        },
+      },
+    },
+  },
+};
+
+// 1.3: swimlanes can be pools of several lanes (`pool`), and nodes in a
+// pool name their lane in `laneId`
+const NODE_SCHEMA_1_3 = {
+  ...NODE_SCHEMA_1_2,
+  properties: {
+    ...NODE_SCHEMA_1_2.properties,
+    pool: POOL_SCHEMA,
+    laneId: { type: ["string", "null"] },
+  },
+};
+
+/**
+ * Document schema for version 1.3
+ */
+export const DOCUMENT_SCHEMA_1_3 = {
+  ...DOCUMENT_SCHEMA_1_2,
+  $id: "flowchart-document/1.3",
+  properties: {
+    ...DOCUMENT_SCHEMA_1_2.properties,
+    nodes: { type: "array", items: NODE_SCHEMA_1_3 },
+  },
+};
+
+/**
+ * 1.0 -> 1.1: move metadata.waypoints to the edge's waypoints field
+ * @param {Object} document - 1.0 document (a copy the migration may modify)
+ * @returns {Object}
+ */
+function moveEdgeWaypoints(document) {
+  (document.edges || []).forEach((edge) => {
+    const metadata = edge.metadata || {};
+    const waypoints = Array.isArray(metadata.waypoints)
+      ? metadata.waypoints
+      : [];
+    edge.waypoints = waypoints.map((p) => ({ x: Number(p.x), y: Number(p.y) }));
+    delete metadata.waypoints;
+  });
+  return document;
+}
+
+/**
+ * 1.1 -> 1.2: turn container metadata.members lists into parentId fields
+ * @param {Object} document - 1.1 document (a copy the migration may modify)
+ * @returns {Object}
+ */
+function moveContainerMembers(document) {
+  const nodes = document.nodes || [];
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+
+  nodes.forEach((container) => {
+    const metadata = container.metadata || {};
+    if (!Array.isArray(metadata.members)) return;
+
+    metadata.members.forEach((memberId) => {
+      const member = byId.get(memberId);
+      if (member && !member.parentId && member !== container) {
+        member.parentId = container.id;
+      }
+    });
+    delete metadata.members;
+  });
+
+  nodes.forEach((node) => {
+    if (node.parentId === undefined) node.parentId = null;
+  });
+  return document;
+}
+
+/**
+ * 1.2 -> 1.3: every swimlane is a single-lane box and no node has a lane
+ * @param {Object} document - 1.2 document (a copy the migration may modify)
+ * @returns {Object}
+ */
+function addPoolLanes(document) {
+  (document.nodes || []).forEach((node) => {
+    if (node.pool === undefined) node.pool = null;
+    if (node.laneId === undefined) node.laneId = null;
+  });
+  return document;
+}
+
+/**
+ * Create a registry preloaded with every known document version
+ * @returns {SchemaRegistry}
+ */
+export function createDocumentSchemaRegistry() {
+  const registry = new SchemaRegistry({
+    currentVersion: CURRENT_DOCUMENT_VERSION,
+    // Files written before the version stamp existed are 1.0 documents
+    defaultVersion: "1.0",
+  });
+
+  registry.registerSchema("1.0", DOCUMENT_SCHEMA_1_0);
+  registry.registerSchema("1.1", DOCUMENT_SCHEMA_1_1);
+  registry.registerSchema("1.2", DOCUMENT_SCHEMA_1_2);
+  registry.registerSchema("1.3", DOCUMENT_SCHEMA_1_3);
+  registry.registerMigration("1.0", "1.1", moveEdgeWaypoints);
+  registry.registerMigration("1.1", "1.2", moveContainerMembers);
+  registry.registerMigration("1.2", "1.3", addPoolLanes);
+
+  return registry;
+}
@@ -0,0 +1,19 @@
+/**
+ * schema/index.js - Barrel export for document schemas
+ *
+ * @module core/schema
+ */
+
+export {
+  SchemaRegistry,
+  compareVersions,
+  normalizeVersion,
+} from "./SchemaRegistry.js";
+export {
+  CURRENT_DOCUMENT_VERSION,
+  DOCUMENT_SCHEMA_1_0,
+  DOCUMENT_SCHEMA_1_1,
+  DOCUMENT_SCHEMA_1_2,
+  DOCUMENT_SCHEMA_1_3,
+  createDocumentSchemaRegistry,
+} from "./documentSchemas.js";
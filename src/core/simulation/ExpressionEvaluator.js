@@ -0,0 +1,298 @@
+/**
+ * ExpressionEvaluator.js - Evaluates decision conditions for simulation
+ *
+ * Decision nodes can store a condition such as `amount > 1000 && !vip` in
+ * their metadata. This evaluates it against a variable context without
+ * eval or Function: only literals, variables (with dot access),
+ * parentheses and the operators below are understood.
+ *
+ *   ! -            unary
+ *   * / %          multiplicative
+ *   + -            additive
+ *   < <= > >=      relational
+ *   == != === !==  equality (== and != are strict too)
+ *   &&  ||         logical, short-circuit
+ *
+ * @module core/simulation/ExpressionEvaluator
+ */
+
+/**
+ * Binding strength of binary operators (higher binds tighter)
+ */
+export const BINARY_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "==": 3,
+  "!=": 3,
+  "===": 3,
+  "!==": 3,
+  "<": 4,
+  "<=": 4,
+  ">": 4,
+  ">=": 4,
+  "+": 5,
+  "-": 5,
+  "*": 6,
+  "/": 6,
+  "%": 6,
+};
+
+const OPERATORS = [
+  "===",
+  "!==",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "!",
+  "(",
+  ")",
+];
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+export class ExpressionEvaluator {
+  /**
+   * Evaluate an expression
+   * @param {string} source - Expression text
+   * @param {Object} [variables={}] - Values for the names in the expression
+   * @returns {*}
+   * @throws {Error} If the expression cannot be parsed
+   */
+  static evaluate(source, variables = {}) {
+    return ExpressionEvaluator._run(
+      ExpressionEvaluator.parse(source),
+      variables
+    );
+  }
+
+  /**
+   * Parse an expression into a tree
+   * @param {string} source - Expression text
+   * @returns {Object} - Expression tree
+   * @throws {Error} If the expression cannot be parsed
+   */
+  static parse(source) {
+    const tokens = ExpressionEvaluator._tokenize(String(source));
+    const parser = { tokens, index: 0 };
+    const tree = ExpressionEvaluator._parseBinary(parser, 1);
+    if (parser.index < tokens.length) {
+      ExpressionEvaluator._unexpected(tokens[parser.index]);
+    }
+    return tree;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @private
+   */
+  static _tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+      if (number) {
+        tokens.push({ type: "literal", value: Number(number[0]), at: i });
+        i += number[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const end = source.indexOf(char, i + 1);
+        if (end === -1) {
+          throw new Error(`Unterminated string at position ${i}`);
+        }
+        tokens.push({
+          type: "literal",
+          value: source.slice(i + 1, end),
+          at: i,
+        });
+        i = end + 1;
+        continue;
+      }
+
+      const name = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(
+        source.slice(i)
+      );
+      if (name) {
+        tokens.push(
+          name[0] in KEYWORDS
+            ? { type: "literal", value: KEYWORDS[name[0]], at: i }
+            : { type: "name", value: name[0], at: i }
+        );
+        i += name[0].length;
+        continue;
+      }
+
+      const operator = OPERATORS.find((op) => source.startsWith(op, i));
+      if (!operator) {
+        throw new Error(`Unexpected "${char}" at position ${i}`);
+      }
+      tokens.push({ type: "operator", value: operator, at: i });
+      i += operator.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse binary operators of at least the given precedence
+   * @private
+   */
+  static _parseBinary(parser, minPrecedence) {
+    let left = ExpressionEvaluator._parseUnary(parser);
+
+    for (;;) {
+      const token = parser.tokens[parser.index];
+      const precedence =
+        token && token.type === "operator" && BINARY_PRECEDENCE[token.value];
+      if (!precedence || precedence < minPrecedence) return left;
+
+      parser.index++;
+      const right = ExpressionEvaluator._parseBinary(parser, precedence + 1);
+      left = { type: "binary", operator: token.value, left, right };
+    }
+  }
+
+  /**
+   * Parse a unary operator, literal, name or parenthesised expression
+   * @private
+   */
+  static _parseUnary(parser) {
+    const token = parser.tokens[parser.index++];
+    if (!token) {
+      throw new Error("Unexpected end of expression");
+    }
+
+    if (token.type === "literal") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "name") {
+      return { type: "name", path: token.value.split(".") };
+    }
+    if (token.value === "!" || token.value === "-") {
+      return {
+        type: "unary",
+        operator: token.value,
+        operand: ExpressionEvaluator._parseUnary(parser),
+      };
+    }
+    if (token.value === "(") {
+      const inner = ExpressionEvaluator._parseBinary(parser, 1);
+      const close = parser.tokens[parser.index++];
+      if (!close || close.value !== ")") {
+        ExpressionEvaluator._unexpected(close);
+      }
+      return inner;
+    }
+
+    return ExpressionEvaluator._unexpected(token);
+  }
+
+  /**
+   * Throw a parse error at a token (or at the end)
+   * @private
+   */
+  static _unexpected(token) {
+    throw new Error(
+      token
+        ? `Unexpected "${token.value}" at position ${token.at}`
+        : "Unexpected end of expression"
+    );
+  }
+
+  /**
+   * Evaluate a tree
+   * @private
+   */
+  static _run(node, variables) {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+
+      case "name":
+        // Own properties only, so names cannot reach prototypes
+        return node.path.reduce(
+          (value, key) =>
+            value !== null &&
+            value !== undefined &&
+            Object.prototype.hasOwnProperty.call(value, key)
+              ? value[key]
+              : undefined,
+          variables
+        );
+
+      case "unary": {
+        const operand = ExpressionEvaluator._run(node.operand, variables);
+        return node.operator === "!" ? !operand : -operand;
+      }
+
+      case "binary": {
+        const left = ExpressionEvaluator._run(node.left, variables);
+        if (node.operator === "&&") {
+          return left && ExpressionEvaluator._run(node.right, variables);
+        }
+        if (node.operator === "||") {
+          return left || ExpressionEvaluator._run(node.right, variables);
+        }
+        const right = ExpressionEvaluator._run(node.right, variables);
+        return ExpressionEvaluator._apply(node.operator, left, right);
+      }
+
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Apply a binary operator
+   * @private
+   */
+  static _apply(operator, left, right) {
+    switch (operator) {
+      case "==":
+      case "===":
+        return left === right;
+      case "!=":
+      case "!==":
+        return left !== right;
+      case "<":
+        return left < right;
+      case "<=":
+        return left <= right;
+      case ">":
+        return left > right;
+      case ">=":
+        return left >= right;
+      case "+":
+        return left + right;
+      case "-":
+        return left - right;
+      case "*":
+        return left * right;
+      case "/":
+        return left / right;
+      case "%":
+        return left % right;
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+  }
+}
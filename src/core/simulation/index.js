@@ -0,0 +1,10 @@
+/**
+ * simulation/index.js - Barrel export for flowchart simulation helpers
+ *
+ * @module core/simulation
+ */
+
+export {
+  ExpressionEvaluator,
+  BINARY_PRECEDENCE,
+} from "./ExpressionEvaluator.js";
@@ -24,6 +24,7 @@
  * - Viewport mode management
  * - Theme operations
  * - State introspection and queries
+ * - Hold the summaries managers report (node counts, history, snapping)
  *
  * @example
  * const editorState = new EditorState(eventBus);
@@ -109,6 +110,44 @@ class StateManager {
     return this.editorState;
   }
 
+  // ==================== MANAGER STATE ====================
+
+  /**
+   * Store a summary a manager reports about itself
+   *
+   * Kept under "managers" in EditorState, apart from the state this class
+   * manages, so a manager's "selection" or "history" never replaces it.
+   *
+   * @param {string} path - Dot-notation path, e.g. "nodes" or "snap.gridSize"
+   * @param {*} value - New value
+   * @param {Object} [options] - Optional metadata
+   * @param {string} [options.reason] - Why it changed
+   *
+   * @example
+   * stateManager.setState("nodes", { count: 12, byType: { rect: 12 } });
+   */
+  setState(path, value, options = {}) {
+    this.editorState.set(`managers.${path}`, value, {
+      reason: options.reason || `${path} changed`,
+    });
+  }
+
+  /**
+   * Read what managers reported through setState()
+   *
+   * @param {string} [path] - Dot-notation path; all summaries if omitted
+   *
+   * @returns {*} The value, or undefined if nothing was reported there
+   *
+   * @example
+   * const { count } = stateManager.getState("nodes");
+   */
+  getState(path) {
+    return path
+      ? this.editorState.get(`managers.${path}`)
+      : this.editorState.get("managers", {});
+  }
+
   // ==================== CANVAS OPERATIONS ====================
 
   /**
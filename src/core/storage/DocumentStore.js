@@ -0,0 +1,263 @@
+/**
+ * DocumentStore.js - Local storage for saved diagrams
+ *
+ * A store keeps two kinds of records:
+ *
+ * - documents: { id, name, createdAt, updatedAt, nodeCount, edgeCount,
+ *   json, layers, thumbnail } - json is ExportManager.exportJSON() output,
+ *   layers is LayerManager.serialize() output and thumbnail an image Blob
+ *   (or null)
+ * - meta: small values by key, e.g. the current editing session
+ *
+ * - IndexedDBDocumentStore keeps them in the browser's IndexedDB
+ * - MemoryDocumentStore keeps them in memory, for tests and for browsers
+ *   without IndexedDB (private windows)
+ *
+ * All methods return promises; records are copied in and out, as they
+ * are by IndexedDB.
+ *
+ * @module core/storage/DocumentStore
+ */
+
+const DB_VERSION = 1;
+const DOCUMENTS = "documents";
+const META = "meta";
+
+/**
+ * Base store; subclasses implement every method
+ */
+export class DocumentStore {
+  /**
+   * Open the store
+   * @returns {Promise<void>}
+   */
+  open() {
+    throw new Error("DocumentStore.open() must be implemented");
+  }
+
+  /**
+   * @param {string} id - Document id
+   * @returns {Promise<Object|null>}
+   */
+  getDocument(id) {
+    throw new Error("DocumentStore.getDocument() must be implemented");
+  }
+
+  /**
+   * Add or replace a document
+   * @param {Object} record - Document record with an id
+   * @returns {Promise<void>}
+   */
+  putDocument(record) {
+    throw new Error("DocumentStore.putDocument() must be implemented");
+  }
+
+  /**
+   * @param {string} id - Document id
+   * @returns {Promise<void>}
+   */
+  deleteDocument(id) {
+    throw new Error("DocumentStore.deleteDocument() must be implemented");
+  }
+
+  /**
+   * Every document, in no particular order
+   * @returns {Promise<Array<Object>>}
+   */
+  listDocuments() {
+    throw new Error("DocumentStore.listDocuments() must be implemented");
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<*>} - The value, or null
+   */
+  getMeta(key) {
+    throw new Error("DocumentStore.getMeta() must be implemented");
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - Structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  setMeta(key, value) {
+    throw new Error("DocumentStore.setMeta() must be implemented");
+  }
+
+  /**
+   * Close the store
+   */
+  close() {}
+}
+
+/**
+ * Store in IndexedDB
+ */
+export class IndexedDBDocumentStore extends DocumentStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name="flowchart-editor"] - Database name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || "flowchart-editor";
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.db = null;
+  }
+
+  /**
+   * Is IndexedDB available here?
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof globalThis.indexedDB !== "undefined";
+  }
+
+  open() {
+    if (this.db) return Promise.resolve();
+    if (!this.indexedDB) {
+      return Promise.reject(new Error("IndexedDB is not available"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.name, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DOCUMENTS)) {
+          db.createObjectStore(DOCUMENTS, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(META)) {
+          db.createObjectStore(META);
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        reject(new Error(`Database '${this.name}' is open elsewhere`));
+    });
+  }
+
+  getDocument(id) {
+    return this._request(DOCUMENTS, "readonly", (store) => store.get(id)).then(
+      (record) => record || null
+    );
+  }
+
+  putDocument(record) {
+    return this._request(DOCUMENTS, "readwrite", (store) => store.put(record));
+  }
+
+  deleteDocument(id) {
+    return this._request(DOCUMENTS, "readwrite", (store) => store.delete(id));
+  }
+
+  listDocuments() {
+    return this._request(DOCUMENTS, "readonly", (store) => store.getAll());
+  }
+
+  getMeta(key) {
+    return this._request(META, "readonly", (store) => store.get(key)).then(
+      (value) => (value === undefined ? null : value)
+    );
+  }
+
+  setMeta(key, value) {
+    return this._request(META, "readwrite", (store) => store.put(value, key));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Run one request in its own transaction; resolves when the
+   * transaction is done, so writes are durable
+   * @private
+   */
+  _request(storeName, mode, makeRequest) {
+    if (!this.db) {
+      return Promise.reject(new Error("DocumentStore is not open"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error("Transaction aborted"));
+    });
+  }
+}
+
+/**
+ * Store in memory
+ */
+export class MemoryDocumentStore extends DocumentStore {
+  constructor() {
+    super();
+    this.documents = new Map();
+    this.meta = new Map();
+  }
+
+  open() {
+    return Promise.resolve();
+  }
+
+  getDocument(id) {
+    return Promise.resolve(
+      this.documents.has(id) ? copy(this.documents.get(id)) : null
+    );
+  }
+
+  putDocument(record) {
+    this.documents.set(record.id, copy(record));
+    return Promise.resolve();
+  }
+
+  deleteDocument(id) {
+    this.documents.delete(id);
+    return Promise.resolve();
+  }
+
+  listDocuments() {
+    return Promise.resolve(Array.from(this.documents.values()).map(copy));
+  }
+
+  getMeta(key) {
+    return Promise.resolve(
+      this.meta.has(key) ? copy(this.meta.get(key)) : null
+    );
+  }
+
+  setMeta(key, value) {
+    this.meta.set(key, copy(value));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Copy a record; Blobs are immutable and kept as they are
+ * @private
+ */
+function copy(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (typeof Blob !== "undefined" && value instanceof Blob) return value;
+  if (Array.isArray(value)) return value.map(copy);
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = copy(value[key]);
+  });
+  return result;
+}
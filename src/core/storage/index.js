@@ -0,0 +1,11 @@
+/**
+ * storage/index.js - Barrel export for local document storage
+ *
+ * @module core/storage
+ */
+
+export {
+  DocumentStore,
+  IndexedDBDocumentStore,
+  MemoryDocumentStore,
+} from "./DocumentStore.js";
@@ -0,0 +1,372 @@
+/**
+ * FlowchartRules.js - Flowchart semantics checks for ValidationManager
+ *
+ * Every check takes the graph ValidationManager builds ({ nodes, edges }
+ * with ids, types, labels and metadata) and the rule's options, and returns
+ * { valid, details } where each detail names the nodes and edges at fault:
+ *
+ *   { message, nodeIds: [], edgeIds: [] }
+ *
+ * Containers and annotations (notes, labels, callouts) are not part of the
+ * flow and are skipped; options.ignoreTypes replaces that list.
+ *
+ * Terminators are starts or ends: metadata.role ('start' / 'end') decides,
+ * then a Start/Begin or End/Stop/Exit label, then whether the terminator
+ * has incoming edges.
+ *
+ * @module core/validation/FlowchartRules
+ */
+
+import { CONTAINER_TYPES } from "../formats/FormatUtils.js";
+
+/**
+ * Shape types that make a diagram a flowchart
+ */
+export const FLOWCHART_TYPES = [
+  "terminator",
+  "process",
+  "decision",
+  "data",
+  "manual-input",
+  "predefined-process",
+  "preparation",
+  "document",
+  "display",
+];
+
+const IGNORED_TYPES = [...CONTAINER_TYPES, "note", "label", "callout"];
+
+const START_LABEL_RE = /^\s*(start|begin)\s*$/i;
+const END_LABEL_RE = /^\s*(end|stop|exit|finish|done)\s*$/i;
+
+const STEP_DEGREE = { in: [1, null], out: [1, 1] };
+
+/**
+ * Expected [min, max] edge counts by terminator role or shape type; a null
+ * max is unbounded
+ */
+export const DEFAULT_DEGREES = {
+  start: { in: [0, 0], out: [1, 1] },
+  end: { in: [1, null], out: [0, 0] },
+  decision: { in: [1, null], out: null }, // branches: see decisionBranches
+  process: STEP_DEGREE,
+  data: STEP_DEGREE,
+  "manual-input": STEP_DEGREE,
+  "predefined-process": STEP_DEGREE,
+  preparation: STEP_DEGREE,
+  document: STEP_DEGREE,
+  display: STEP_DEGREE,
+};
+
+export class FlowchartRules {
+  /**
+   * Exactly one start terminator
+   * @param {Object} graph - { nodes, edges }
+   * @param {Object} [options]
+   * @returns {Object} - { valid, details }
+   */
+  static singleStart(graph, options = {}) {
+    const { starts } = FlowchartRules._analyze(graph, options);
+
+    if (starts.length === 0) {
+      return FlowchartRules._result([
+        { message: "Flowchart has no start terminator" },
+      ]);
+    }
+    if (starts.length > 1) {
+      return FlowchartRules._result([
+        {
+          message: `Flowchart has ${starts.length} start terminators; it needs exactly one`,
+          nodeIds: starts.map((node) => node.id),
+        },
+      ]);
+    }
+    return { valid: true };
+  }
+
+  /**
+   * At least one end terminator
+   * @param {Object} graph - { nodes, edges }
+   * @param {Object} [options]
+   * @returns {Object} - { valid, details }
+   */
+  static hasEnd(graph, options = {}) {
+    const { ends } = FlowchartRules._analyze(graph, options);
+
+    return FlowchartRules._result(
+      ends.length === 0 ? [{ message: "Flowchart has no end terminator" }] : []
+    );
+  }
+
+  /**
+   * Every node can be reached from a start terminator
+   * @param {Object} graph - { nodes, edges }
+   * @param {Object} [options]
+   * @returns {Object} - { valid, details }
+   */
+  static reachableFromStart(graph, options = {}) {
+    const flow = FlowchartRules._analyze(graph, options);
+    // Without a start there is nothing to measure from; singleStart says so
+    if (flow.starts.length === 0) return { valid: true };
+
+    const reached = FlowchartRules._reach(
+      flow.starts.map((node) => node.id),
+      (id) => flow.outgoing.get(id).map((edge) => edge.targetId)
+    );
+
+    return FlowchartRules._result(
+      flow.nodes
+        .filter((node) => !reached.has(node.id))
+        .map((node) => ({
+          message: `${FlowchartRules._describe(
+            node
+          )} cannot be reached from the start`,
+          nodeIds: [node.id],
+        }))
+    );
+  }
+
+  /**
+   * Every node has a path to an end terminator
+   * @param {Object} graph - { nodes, edges }
+   * @param {Object} [options]
+   * @returns {Object} - { valid, details }
+   */
+  static reachesEnd(graph, options = {}) {
+    const flow = FlowchartRules._analyze(graph, options);
+    if (flow.ends.length === 0) return { valid: true };
+
+    const reaching = FlowchartRules._reach(
+      flow.ends.map((node) => node.id),
+      (id) => flow.incoming.get(id).map((edge) => edge.sourceId)
+    );
+
+    return FlowchartRules._result(
+      flow.nodes
+        .filter((node) => !reaching.has(node.id))
+        .map((node) => ({
+          message: `${FlowchartRules._describe(node)} has no path to an end`,
+          nodeIds: [node.id],
+        }))
+    );
+  }
+
+  /**
+   * Decisions have enough branches, each with its own non-empty label
+   * @param {Object} graph - { nodes, edges }
+   * @param {Object} [options]
+   * @param {number} [options.minBranches=2]
+   * @returns {Object} - { valid, details }
+   */
+  static decisionBranches(graph, options = {}) {
+    const flow = FlowchartRules._analyze(graph, options);
+    const minBranches = options.minBranches || 2;
+    const details = [];
+
+    flow.nodes
+      .filter((node) => node.type === "decision")
+      .forEach((node) => {
+        const name = FlowchartRules._describe(node);
+        const edges = flow.outgoing.get(node.id);
+
+        if (edges.length < minBranches) {
+          details.push({
+            message: `Decision ${name} has ${edges.length} branches; it needs at least ${minBranches}`,
+            nodeIds: [node.id],
+            edgeIds: edges.map((edge) => edge.id),
+          });
+        }
+
+        const unlabelled = edges.filter((edge) => !FlowchartRules._label(edge));
+        if (unlabelled.length > 0) {
+          details.push({
+            message: `Decision ${name} has unlabelled branches`,
+            nodeIds: [node.id],
+            edgeIds: unlabelled.map((edge) => edge.id),
+          });
+        }
+
+        const byLabel = new Map();
+        edges.forEach((edge) => {
+          const label = FlowchartRules._label(edge).toLowerCase();
+          if (!label) return;
+          if (!byLabel.has(label)) byLabel.set(label, []);
+          byLabel.get(label).push(edge);
+        });
+        byLabel.forEach((same) => {
+          if (same.length < 2) return;
+          details.push({
+            message: `Decision ${name} has ${
+              same.length
+            } branches labelled "${FlowchartRules._label(same[0])}"`,
+            nodeIds: [node.id],
+            edgeIds: same.map((edge) => edge.id),
+          });
+        });
+      });
+
+    return FlowchartRules._result(details);
+  }
+
+  /**
+   * Terminators and steps have the expected number of edges
+   * @param {Object} graph - { nodes, edges }
+   * @param {Object} [options]
+   * @param {Object} [options.degrees] - Overrides for DEFAULT_DEGREES
+   * @returns {Object} - { valid, details }
+   */
+  static nodeDegrees(graph, options = {}) {
+    const flow = FlowchartRules._analyze(graph, options);
+    const degrees = { ...DEFAULT_DEGREES, ...options.degrees };
+    const details = [];
+
+    flow.nodes.forEach((node) => {
+      const role = flow.roles.get(node.id);
+      const expected = degrees[role || node.type];
+      if (!expected) return;
+
+      const name =
+        role === "start" || role === "end"
+          ? `${
+              role === "start" ? "Start" : "End"
+            } terminator ${FlowchartRules._describe(node)}`
+          : FlowchartRules._describe(node);
+
+      [
+        ["incoming", expected.in, flow.incoming.get(node.id)],
+        ["outgoing", expected.out, flow.outgoing.get(node.id)],
+      ].forEach(([direction, range, edges]) => {
+        if (!range || FlowchartRules._inRange(edges.length, range)) return;
+        details.push({
+          message: `${name} has ${
+            edges.length
+          } ${direction} edges; expected ${FlowchartRules._formatRange(range)}`,
+          nodeIds: [node.id],
+          edgeIds: edges.map((edge) => edge.id),
+        });
+      });
+    });
+
+    return FlowchartRules._result(details);
+  }
+
+  /**
+   * Role of a terminator: 'start', 'end', or null for other shapes
+   * @param {Object} node - Graph node
+   * @param {number} incomingCount - Number of incoming edges
+   * @returns {string|null}
+   */
+  static terminatorRole(node, incomingCount) {
+    if (node.type !== "terminator") return null;
+
+    const role = node.metadata && node.metadata.role;
+    if (role === "start" || role === "end") return role;
+    if (START_LABEL_RE.test(node.label || "")) return "start";
+    if (END_LABEL_RE.test(node.label || "")) return "end";
+    return incomingCount === 0 ? "start" : "end";
+  }
+
+  /**
+   * Flow nodes with their edges and terminator roles
+   * @private
+   */
+  static _analyze(graph, options) {
+    const ignored = options.ignoreTypes || IGNORED_TYPES;
+    const nodes = graph.nodes.filter((node) => !ignored.includes(node.type));
+
+    const outgoing = new Map(nodes.map((node) => [node.id, []]));
+    const incoming = new Map(nodes.map((node) => [node.id, []]));
+    graph.edges.forEach((edge) => {
+      if (!outgoing.has(edge.sourceId) || !incoming.has(edge.targetId)) {
+        return;
+      }
+      outgoing.get(edge.sourceId).push(edge);
+      incoming.get(edge.targetId).push(edge);
+    });
+
+    const roles = new Map();
+    nodes.forEach((node) => {
+      const role = FlowchartRules.terminatorRole(
+        node,
+        incoming.get(node.id).length
+      );
+      if (role) roles.set(node.id, role);
+    });
+
+    return {
+      nodes,
+      outgoing,
+      incoming,
+      roles,
+      starts: nodes.filter((node) => roles.get(node.id) === "start"),
+      ends: nodes.filter((node) => roles.get(node.id) === "end"),
+    };
+  }
+
+  /**
+   * Ids reachable from some ids through a neighbour function
+   * @private
+   */
+  static _reach(fromIds, neighbours) {
+    const seen = new Set();
+    const stack = [...fromIds];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...neighbours(id));
+    }
+    return seen;
+  }
+
+  /**
+   * Rule result from a list of details
+   * @private
+   */
+  static _result(details) {
+    return details.length > 0
+      ? {
+          valid: false,
+          details: details.map((detail) => ({
+            nodeIds: [],
+            edgeIds: [],
+            ...detail,
+          })),
+        }
+      : { valid: true };
+  }
+
+  /**
+   * @private
+   */
+  static _inRange(count, [min, max]) {
+    return count >= min && (max === null || count <= max);
+  }
+
+  /**
+   * @private
+   */
+  static _formatRange([min, max]) {
+    if (max === null) return `at least ${min}`;
+    if (min === max) return min === 0 ? "none" : `exactly ${min}`;
+    return `${min} to ${max}`;
+  }
+
+  /**
+   * @private
+   */
+  static _label(edge) {
+    return String(edge.label || "").trim();
+  }
+
+  /**
+   * Node name for messages
+   * @private
+   */
+  static _describe(node) {
+    const label = String(node.label || "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return label ? `"${label}" (${node.id})` : node.id;
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * ValidationIssues.js - Views of ValidationManager results
+ *
+ * ValidationManager reports one issue per failing rule:
+ *
+ *   { rule, level, message, details: [{ message, nodeIds, edgeIds }] }
+ *
+ * The canvas wants the opposite view: for each node and edge, how bad it
+ * is and which messages mention it.
+ *
+ * @module core/validation/ValidationIssues
+ */
+
+export class ValidationIssues {
+  /**
+   * Problems of each node and edge named by the issues
+   *
+   * An element named by both an error and a warning is an error.
+   *
+   * @param {Object} result - { errors, warnings } from validate()
+   * @returns {Object} - { nodes, edges }: Maps of id to { level, messages }
+   */
+  static byElement({ errors = [], warnings = [] } = {}) {
+    const nodes = new Map();
+    const edges = new Map();
+
+    const mark = (map, id, level, message) => {
+      if (!map.has(id)) map.set(id, { level, messages: [] });
+      const problem = map.get(id);
+      if (level === "error") problem.level = "error";
+      if (!problem.messages.includes(message)) problem.messages.push(message);
+    };
+
+    [...errors, ...warnings].forEach((issue) => {
+      (issue.details || []).forEach((detail) => {
+        const message = detail.message || issue.message || issue.rule;
+        (detail.nodeIds || []).forEach((id) =>
+          mark(nodes, id, issue.level, message)
+        );
+        (detail.edgeIds || []).forEach((id) =>
+          mark(edges, id, issue.level, message)
+        );
+      });
+    });
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Number of details (individual problems) in a list of issues
+   * @param {Object[]} issues - Issues from validate()
+   * @returns {number}
+   */
+  static count(issues = []) {
+    return issues.reduce(
+      (total, issue) => total + Math.max(1, (issue.details || []).length),
+      0
+    );
+  }
+}
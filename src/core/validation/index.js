@@ -0,0 +1,12 @@
+/**
+ * validation/index.js - Barrel export for validation rule packs and helpers
+ *
+ * @module core/validation
+ */
+
+export {
+  FlowchartRules,
+  FLOWCHART_TYPES,
+  DEFAULT_DEGREES,
+} from "./FlowchartRules.js";
+export { ValidationIssues } from "./ValidationIssues.js";
@@ -5,7 +5,8 @@
  * Manages the visual representation of edges (connections) on the canvas including
  * paths, arrows, labels, and interactive feedback.
  *
- * DEPENDENCIES: None (pure SVG rendering)
+ * DEPENDENCIES: OrthogonalRouter (orthogonal routes when none are given),
+ *               WaypointEditor (paths through user-placed waypoints)
  *
  * @module src/views/EdgeView
  * @version 1.0.0
@@ -13,6 +14,7 @@
  * Purpose:
  * - Create SVG visual representation of edges
  * - Render paths with different routing types (straight, curved, orthogonal)
+ *   through any user-placed waypoints
  * - Apply styling and theming
  * - Handle selection and hover states
  * - Update edge visuals when data changes
@@ -37,6 +39,8 @@
  * - Arrow markers (SVG markers for direction)
  * - Label element (text along path)
  * - Selection indicators
+ * - Waypoint handles (bends and segment midpoints) on selected edges
+ * - Problem badge (validation error or warning) near the midpoint
  *
  * @example
  * const edgeView = new EdgeView();
@@ -63,6 +67,9 @@
  * });
  */
 
+import { OrthogonalRouter } from "../layout/OrthogonalRouter.js";
+import { WaypointEditor } from "../layout/WaypointEditor.js";
+
 /**
  * EdgeView Class
  *
@@ -94,6 +101,13 @@ class EdgeView {
       arrowColor: "#666666",
       curveOffsetFactor: 0.2,
       animationDuration: 200,
+      handleRadius: 5,
+      handleTolerance: 6,
+      traversedStroke: "#ff9800",
+      traversedStrokeWidth: 4,
+      errorColor: "#d32f2f",
+      warningColor: "#f9a825",
+      problemBadgeRadius: 7,
     };
 
     // CSS classes for styling
@@ -106,7 +120,14 @@ class EdgeView {
       edgeSelected: "edge-selected",
       edgeHovered: "edge-hovered",
       edgeDisabled: "edge-disabled",
+      edgeTraversed: "edge-traversed",
+      edgeError: "edge-error",
+      edgeWarning: "edge-warning",
+      problemBadge: "edge-problem-badge",
       selectionIndicator: "edge-selection-indicator",
+      waypointHandles: "edge-waypoint-handles",
+      bendHandle: "edge-bend-handle",
+      segmentHandle: "edge-segment-handle",
     };
 
     // Arrow marker counter for unique IDs
@@ -134,6 +155,13 @@ class EdgeView {
    * @param {string} [edgeData.stroke] - Stroke color
    * @param {number} [edgeData.strokeWidth] - Stroke width
    * @param {string} [edgeData.routingType] - Routing type (straight, curved, orthogonal)
+   * @param {string} [edgeData.type] - Edge model type, used when no
+   *                                   routingType is given (bezier = curved)
+   * @param {Array} [edgeData.waypoints] - Bend points the path runs through
+   * @param {Array} [edgeData.points] - Precomputed orthogonal route, e.g.
+   *                                    from EdgeManager.calculateEdgePath
+   * @param {Array} [edgeData.obstacles] - Node bounds an orthogonal route
+   *                                       should avoid when no points given
    * @param {Object} [options] - Render options
    * @param {boolean} [options.showArrow] - Show arrow marker?
    * @param {string} [options.arrowType] - Arrow type (standard, triangle, etc.)
@@ -162,11 +190,12 @@ class EdgeView {
     group.setAttribute("data-edge-id", edgeData.id);
 
     // Calculate path
-    const routingType = edgeData.routingType || "straight";
+    const routingType = this._routingType(edgeData);
     const pathData = this._calculatePath(
       edgeData.sourceNode,
       edgeData.targetNode,
-      routingType
+      routingType,
+      edgeData
     );
 
     // Create path element
@@ -233,8 +262,10 @@ class EdgeView {
     const group = document.createElementNS(this.SVG_NS, "g");
     group.classList.add(this.classes.edgeLabel);
 
-    // Calculate label position (midpoint)
-    const midPoint = this._calculateMidPoint(pathData.path);
+    // Calculate label position (halfway along the path)
+    const midPoint = pathData.points
+      ? WaypointEditor.midpoint(pathData.points)
+      : this._calculateMidPoint(pathData.path);
 
     // Background rectangle if enabled
     if (this.config.labelBackground) {
@@ -340,12 +371,22 @@ class EdgeView {
     return document.querySelector("svg.editor-canvas");
   }
 
+  /**
+   * Routing type of an edge: its routingType, else its model type
+   *
+   * @private
+   */
+  _routingType(edgeData) {
+    const type = edgeData.routingType || edgeData.type || "straight";
+    return type === "bezier" ? "curved" : type;
+  }
+
   /**
    * Calculate edge path
    *
    * @private
    */
-  _calculatePath(sourceNode, targetNode, routingType) {
+  _calculatePath(sourceNode, targetNode, routingType, edgeData = {}) {
     // Calculate connection points (node centers or edge points)
     const source = {
       x: sourceNode.x + sourceNode.width / 2,
@@ -357,12 +398,21 @@ class EdgeView {
       y: targetNode.y + targetNode.height / 2,
     };
 
+    const waypoints = edgeData.waypoints || [];
     let path;
-
-    if (routingType === "curved") {
+    let points = [source, ...waypoints, target];
+
+    if (routingType === "orthogonal") {
+      points = this._routeOrthogonal(sourceNode, targetNode, edgeData);
+      path = this._createOrthogonalPath(points);
+    } else if (waypoints.length > 0) {
+      // Curves bend smoothly through the waypoints, lines run straight
+      path =
+        routingType === "curved"
+          ? WaypointEditor.smoothPath(points)
+          : this._createOrthogonalPath(points);
+    } else if (routingType === "curved") {
       path = this._createCurvedPath(source, target);
-    } else if (routingType === "orthogonal") {
-      path = this._createOrthogonalPath(source, target);
     } else {
       // Default: straight line
       path = `M ${source.x} ${source.y} L ${target.x} ${target.y}`;
@@ -370,6 +420,7 @@ class EdgeView {
 
     return {
       path,
+      points,
       source,
       target,
       distance: Math.sqrt(
@@ -403,14 +454,54 @@ class EdgeView {
   }
 
   /**
-   * Create orthogonal (Manhattan) path
+   * Orthogonal route points: the given route, one through the edge's
+   * waypoints, or one around the edge's own nodes (and any obstacles
+   * passed in)
    *
    * @private
    */
-  _createOrthogonalPath(source, target) {
-    const midX = (source.x + target.x) / 2;
+  _routeOrthogonal(sourceNode, targetNode, edgeData) {
+    if (Array.isArray(edgeData.points) && edgeData.points.length >= 2) {
+      return edgeData.points;
+    }
+
+    const sides = {
+      sourceSide: OrthogonalRouter.sideOf(
+        sourceNode.ports,
+        edgeData.sourcePort
+      ),
+      targetSide: OrthogonalRouter.sideOf(
+        targetNode.ports,
+        edgeData.targetPort
+      ),
+    };
+
+    if (edgeData.waypoints && edgeData.waypoints.length > 0) {
+      return WaypointEditor.orthogonalRoute(
+        sourceNode,
+        targetNode,
+        edgeData.waypoints,
+        sides
+      );
+    }
+
+    return OrthogonalRouter.route(
+      sourceNode,
+      targetNode,
+      edgeData.obstacles || [],
+      sides
+    ).points;
+  }
 
-    return `M ${source.x} ${source.y} L ${midX} ${source.y} L ${midX} ${target.y} L ${target.x} ${target.y}`;
+  /**
+   * Create orthogonal (Manhattan) path
+   *
+   * @private
+   */
+  _createOrthogonalPath(points) {
+    return points
+      .map((point, i) => `${i === 0 ? "M" : "L"} ${point.x} ${point.y}`)
+      .join(" ");
   }
 
   /**
@@ -500,13 +591,34 @@ class EdgeView {
       edgeData.strokeWidth = updates.strokeWidth;
     }
 
-    // Recalculate path if nodes updated
-    if (sourceNode || targetNode) {
+    // New waypoints make any stored route stale
+    if (updates.waypoints !== undefined) {
+      edgeData.waypoints = updates.waypoints;
+      if (updates.points === undefined) delete edgeData.points;
+    }
+
+    // New route points replace the stored ones
+    if (updates.points !== undefined) {
+      edgeData.points = updates.points;
+    }
+
+    // Recalculate path if nodes or route updated
+    if (
+      sourceNode ||
+      targetNode ||
+      updates.points !== undefined ||
+      updates.waypoints !== undefined
+    ) {
       const source = sourceNode || edgeData.sourceNode;
       const target = targetNode || edgeData.targetNode;
-      const routingType = edgeData.routingType || "straight";
+      const routingType = this._routingType(edgeData);
 
-      const pathData = this._calculatePath(source, target, routingType);
+      const pathData = this._calculatePath(
+        source,
+        target,
+        routingType,
+        edgeData
+      );
       const pathElement = element.querySelector(`.${this.classes.edgePath}`);
 
       if (pathElement) {
@@ -516,7 +628,155 @@ class EdgeView {
       edgeData.sourceNode = source;
       edgeData.targetNode = target;
       element._pathData = pathData;
+
+      this._positionLabel(element, pathData);
+      this._positionProblemBadge(element, pathData);
+      if (element.querySelector(`.${this.classes.waypointHandles}`)) {
+        this.renderWaypointHandles(element);
+      }
+    }
+  }
+
+  /**
+   * Show draggable handles on an edge: one on every bend and one on the
+   * midpoint of every segment. Replaces any handles already shown.
+   *
+   * @param {SVGElement} element - Edge group element
+   *
+   * @example
+   * edgeView.renderWaypointHandles(element);
+   */
+  renderWaypointHandles(element) {
+    if (!element || !element._pathData) {
+      throw new Error("EdgeView.renderWaypointHandles: Invalid element");
+    }
+
+    this.clearWaypointHandles(element);
+
+    const points = element._pathData.points;
+    const group = document.createElementNS(this.SVG_NS, "g");
+    group.classList.add(this.classes.waypointHandles);
+
+    WaypointEditor.segments(points).forEach(({ index, midpoint }) => {
+      const handle = this._createHandle(midpoint, this.classes.segmentHandle);
+      handle.setAttribute("data-segment", index);
+      group.appendChild(handle);
+    });
+
+    points.slice(1, -1).forEach((point, index) => {
+      const handle = this._createHandle(point, this.classes.bendHandle);
+      handle.setAttribute("data-index", index);
+      group.appendChild(handle);
+    });
+
+    element.appendChild(group);
+  }
+
+  /**
+   * Remove waypoint handles from an edge
+   *
+   * @param {SVGElement} element - Edge group element
+   */
+  clearWaypointHandles(element) {
+    const group =
+      element && element.querySelector(`.${this.classes.waypointHandles}`);
+    if (group) group.remove();
+  }
+
+  /**
+   * Find the waypoint handle under a point
+   *
+   * Bends are the interior points of the rendered path; for orthogonal
+   * edges that includes elbows added between waypoints.
+   *
+   * @param {SVGElement} element - Edge group element
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   *
+   * @returns {Object|null} { kind: 'bend', index } (index into the bends),
+   *                        { kind: 'segment', index, orientation } or null
+   */
+  getHandleAt(element, x, y) {
+    if (!element || !element._pathData) return null;
+
+    const points = element._pathData.points;
+    const near = (point) =>
+      Math.hypot(point.x - x, point.y - y) <= this.config.handleTolerance;
+
+    const bend = points.slice(1, -1).findIndex(near);
+    if (bend !== -1) return { kind: "bend", index: bend };
+
+    const segment = WaypointEditor.segments(points).find((s) =>
+      near(s.midpoint)
+    );
+    return segment
+      ? {
+          kind: "segment",
+          index: segment.index,
+          orientation: segment.orientation,
+        }
+      : null;
+  }
+
+  /**
+   * Create one handle circle
+   *
+   * @private
+   */
+  _createHandle(point, className) {
+    const handle = document.createElementNS(this.SVG_NS, "circle");
+    handle.setAttribute("cx", point.x);
+    handle.setAttribute("cy", point.y);
+    handle.setAttribute("r", this.config.handleRadius);
+    handle.setAttribute(
+      "fill",
+      className === this.classes.bendHandle ? "#2196f3" : "#ffffff"
+    );
+    handle.setAttribute("stroke", "#2196f3");
+    handle.classList.add(className);
+    return handle;
+  }
+
+  /**
+   * Move the label to the middle of a recalculated path
+   *
+   * @private
+   */
+  _positionLabel(element, pathData) {
+    const labelGroup = element.querySelector(`.${this.classes.edgeLabel}`);
+    if (!labelGroup) return;
+
+    const midPoint = WaypointEditor.midpoint(pathData.points);
+    const bgRect = labelGroup.querySelector("rect");
+    if (bgRect) {
+      bgRect.setAttribute("x", midPoint.x - 40);
+      bgRect.setAttribute("y", midPoint.y - 10);
     }
+    const text = labelGroup.querySelector("text");
+    if (text) {
+      text.setAttribute("x", midPoint.x);
+      text.setAttribute("y", midPoint.y);
+    }
+  }
+
+  /**
+   * Move the problem badge next to the middle of a recalculated path
+   *
+   * @private
+   */
+  _positionProblemBadge(element, pathData) {
+    const badge = element.querySelector(`.${this.classes.problemBadge}`);
+    if (!badge) return;
+
+    const midPoint = pathData.points
+      ? WaypointEditor.midpoint(pathData.points)
+      : this._calculateMidPoint(pathData.path);
+    // Beside the label rather than on top of it
+    const offset = this.config.problemBadgeRadius;
+    badge.setAttribute(
+      "transform",
+      `translate(${midPoint.x + 40 + offset}, ${midPoint.y})`
+    );
   }
 
   /**
@@ -606,6 +866,109 @@ class EdgeView {
     }
   }
 
+  /**
+   * Set traversed state (edge taken by a running simulation)
+   *
+   * Only the colour changes here; animate() the stroke width to draw
+   * attention to a newly taken edge.
+   *
+   * @param {SVGElement} element - Edge element
+   * @param {boolean} isTraversed - Traversed state
+   *
+   * @example
+   * edgeView.setTraversed(element, true);
+   * edgeView.animate(element, {
+   *   from: { strokeWidth: 2 },
+   *   to: { strokeWidth: edgeView.config.traversedStrokeWidth }
+   * });
+   */
+  setTraversed(element, isTraversed) {
+    const pathElement = element.querySelector(`.${this.classes.edgePath}`);
+    const edgeData = element._edgeData || {};
+
+    if (isTraversed) {
+      element.classList.add(this.classes.edgeTraversed);
+      if (pathElement) {
+        pathElement.setAttribute("stroke", this.config.traversedStroke);
+      }
+    } else {
+      element.classList.remove(this.classes.edgeTraversed);
+      if (pathElement) {
+        pathElement.setAttribute(
+          "stroke",
+          edgeData.stroke || this.config.stroke
+        );
+        pathElement.setAttribute(
+          "stroke-width",
+          edgeData.strokeWidth || this.config.strokeWidth
+        );
+      }
+    }
+  }
+
+  /**
+   * Set validation problem state
+   *
+   * Marks the edge as an error or warning and shows a badge whose tooltip
+   * lists the messages. Pass null to clear.
+   *
+   * @param {SVGElement} element - Edge element
+   * @param {Object|null} problem - Problem to show
+   * @param {string} problem.level - 'error' or 'warning'
+   * @param {string[]} [problem.messages] - Messages for the tooltip
+   *
+   * @example
+   * edgeView.setProblem(element, {
+   *   level: 'warning',
+   *   messages: ['Decision has unlabelled branches']
+   * });
+   */
+  setProblem(element, problem) {
+    element.classList.remove(this.classes.edgeError, this.classes.edgeWarning);
+    const existing = element.querySelector(`.${this.classes.problemBadge}`);
+    if (existing) {
+      existing.remove();
+    }
+    if (!problem) return;
+
+    const isError = problem.level === "error";
+    element.classList.add(
+      isError ? this.classes.edgeError : this.classes.edgeWarning
+    );
+
+    const badge = document.createElementNS(this.SVG_NS, "g");
+    badge.classList.add(this.classes.problemBadge);
+
+    const circle = document.createElementNS(this.SVG_NS, "circle");
+    circle.setAttribute("r", this.config.problemBadgeRadius);
+    circle.setAttribute(
+      "fill",
+      isError ? this.config.errorColor : this.config.warningColor
+    );
+    circle.setAttribute("stroke", "#ffffff");
+    circle.setAttribute("stroke-width", "1.5");
+    badge.appendChild(circle);
+
+    const text = document.createElementNS(this.SVG_NS, "text");
+    text.setAttribute("text-anchor", "middle");
+    text.setAttribute("dominant-baseline", "middle");
+    text.setAttribute("font-size", "10");
+    text.setAttribute("font-weight", "bold");
+    text.setAttribute("fill", "#ffffff");
+    text.setAttribute("pointer-events", "none");
+    text.textContent = "!";
+    badge.appendChild(text);
+
+    const title = document.createElementNS(this.SVG_NS, "title");
+    title.textContent = (problem.messages || []).join("\n");
+    badge.appendChild(title);
+
+    element.appendChild(badge);
+    if (element._pathData) {
+      this._positionProblemBadge(element, element._pathData);
+    }
+  }
+
   /**
    * Animate edge
    *
@@ -21,6 +21,10 @@
  * - Initialize SVG canvas and container
  * - Manage render loop and batching
  * - Handle viewport transformations
+ * - Cull nodes and edges outside the viewport, found through the
+ *   managers' spatial indexes
+ * - Optionally draw only what is in view, simplified when zoomed out
+ *   (virtual rendering, see VirtualRenderer)
  * - Delegate events to handlers
  * - Provide rendering APIs (layers, groups)
  * - Clean up on destruction
@@ -50,6 +54,11 @@
  * });
  */
 
+import { VirtualRenderer } from "./VirtualRenderer.js";
+
+// State paths that move the view; virtual rendering redraws when they change
+const VIEWPORT_PATHS = ["canvas.zoom", "canvas.panX", "canvas.panY"];
+
 /**
  * EditorView Class
  *
@@ -116,8 +125,23 @@ class EditorView {
       showGrid: true,
       showGuides: true,
       pixelRatio: window.devicePixelRatio || 1,
+      cullOffscreen: true, // hide nodes and edges outside the viewport
+      cullMargin: 200, // screen pixels kept drawn around the viewport
+      lodZoom: 0.5, // virtual rendering simplifies below this zoom
     };
 
+    // Entities hidden by culling get this class
+    this.culledClass = "culled";
+
+    // Draws nodes and edges while virtual rendering is on
+    this.virtualRenderer = null;
+
+    // Unsubscribers for the zoom and pan listeners virtual rendering adds
+    this.viewportListeners = [];
+
+    // What the last render did, and how long it took
+    this.renderStats = null;
+
     // Cached services
     this.cachedServices = {
       editorState: null,
@@ -343,6 +367,7 @@ class EditorView {
     this.svg.addEventListener("mousemove", (e) => this._onMouseMove(e));
     this.svg.addEventListener("mouseup", (e) => this._onMouseUp(e));
     this.svg.addEventListener("mouseleave", (e) => this._onMouseLeave(e));
+    this.svg.addEventListener("dblclick", (e) => this._onDoubleClick(e));
 
     // Touch events
     this.svg.addEventListener("touchstart", (e) => this._onTouchStart(e));
@@ -430,6 +455,21 @@ class EditorView {
     });
   }
 
+  /**
+   * Handle double click event
+   *
+   * @private
+   */
+  _onDoubleClick(e) {
+    const coords = this._getEventCoordinates(e);
+
+    this.emit("canvas:dblclick", {
+      x: coords.x,
+      y: coords.y,
+      event: e,
+    });
+  }
+
   /**
    * Handle mouse leave event
    *
@@ -656,6 +696,7 @@ class EditorView {
     }
 
     this.isRendering = true;
+    const start = performance.now();
 
     try {
       // Update transform based on current zoom/pan
@@ -666,23 +707,41 @@ class EditorView {
         this._renderGrid();
       }
 
-      // Let managers render their content
-      const nodeManager = this.getNodeManager();
-      const edgeManager = this.getEdgeManager();
-
-      if (nodeManager && typeof nodeManager.render === "function") {
-        nodeManager.render(this);
-      }
-
-      if (edgeManager && typeof edgeManager.render === "function") {
-        edgeManager.render(this);
+      let virtual = null;
+      if (this.virtualRenderer) {
+        // Only what is in view gets drawn, so there is nothing to cull
+        virtual = this.virtualRenderer.update(
+          this.getVisibleRect(this.config.cullMargin),
+          this.getStateManager().getZoom()
+        );
+      } else {
+        // Let managers render their content
+        const nodeManager = this.getNodeManager();
+        const edgeManager = this.getEdgeManager();
+
+        if (nodeManager && typeof nodeManager.render === "function") {
+          nodeManager.render(this);
+        }
+
+        if (edgeManager && typeof edgeManager.render === "function") {
+          edgeManager.render(this);
+        }
+
+        if (this.config.cullOffscreen) {
+          this._cullContent();
+        }
       }
 
       // Render selection
       this._renderSelection();
 
+      this.renderStats = { duration: performance.now() - start, virtual };
+
       // Emit render event
-      this.emit("editor:rendered", { timestamp: Date.now() });
+      this.emit("editor:rendered", {
+        timestamp: Date.now(),
+        stats: this.renderStats,
+      });
     } catch (error) {
       console.error("Editor render error:", error);
     } finally {
@@ -690,6 +749,139 @@ class EditorView {
     }
   }
 
+  /**
+   * Draw only the nodes and edges in view (plus the cull margin), with
+   * simplified shapes below config.lodZoom. Meant for diagrams too large to
+   * keep an element per entity. Redraws whenever zoom, pan or the
+   * diagram changes.
+   *
+   * @param {Object} [options]
+   * @param {NodeView} [options.nodeView] - Defaults to the "nodeView" service
+   * @param {EdgeView} [options.edgeView] - Defaults to the "edgeView" service
+   * @param {number} [options.lodZoom] - Defaults to config.lodZoom
+   *
+   * @throws {Error} If the editor is not mounted
+   *
+   * @example
+   * editor.enableVirtualRendering({ lodZoom: 0.4 });
+   */
+  enableVirtualRendering(options = {}) {
+    if (!this.isMounted) {
+      throw new Error(
+        "EditorView.enableVirtualRendering: Mount the editor first"
+      );
+    }
+    this.disableVirtualRendering();
+
+    const service = (name) =>
+      typeof this.container.has === "function" && this.container.has(name)
+        ? this.container.get(name)
+        : null;
+
+    this.virtualRenderer = new VirtualRenderer(
+      this.getEventBus(),
+      this.layers.content,
+      this.getNodeManager(),
+      this.getEdgeManager(),
+      {
+        nodeView: options.nodeView ?? service("nodeView"),
+        edgeView: options.edgeView ?? service("edgeView"),
+        lodZoom: options.lodZoom ?? this.config.lodZoom,
+        // Model changes only mark entities dirty; redraw to show them
+        onChange: () => this.render(),
+      }
+    );
+
+    // What is drawn depends on the view, so zooming or panning redraws
+    const eventBus = this.getEventBus();
+    const moved = (paths) =>
+      paths.some((path) => VIEWPORT_PATHS.includes(path));
+    this.viewportListeners = [
+      eventBus.on("state:changed", ({ path }) => {
+        if (moved([path])) this.render();
+      }),
+      eventBus.on("state:batch-changed", ({ changes }) => {
+        if (moved(changes.map((change) => change.path))) this.render();
+      }),
+    ];
+    this.render();
+  }
+
+  /**
+   * Stop virtual rendering and remove what it drew
+   */
+  disableVirtualRendering() {
+    if (!this.virtualRenderer) return;
+
+    this._stopVirtualRendering();
+    this.render();
+  }
+
+  /**
+   * Remove the virtual renderer and its zoom and pan listeners
+   *
+   * @private
+   */
+  _stopVirtualRendering() {
+    this.viewportListeners.forEach((unsubscribe) => unsubscribe());
+    this.viewportListeners = [];
+    this.virtualRenderer.destroy();
+    this.virtualRenderer = null;
+  }
+
+  /**
+   * Get the part of the canvas in view, in canvas coordinates
+   *
+   * @param {number} [margin=0] - Grow it by this many screen pixels
+   *
+   * @returns {Object} Visible area { x, y, width, height }
+   *
+   * @example
+   * const nodeIds = nodeManager.getNodesInRect(editor.getVisibleRect());
+   */
+  getVisibleRect(margin = 0) {
+    const stateManager = this.getStateManager();
+    const zoom = stateManager.getZoom();
+    const pan = stateManager.getPan();
+
+    return {
+      x: (-pan.x - margin) / zoom,
+      y: (-pan.y - margin) / zoom,
+      width: (this.config.width + margin * 2) / zoom,
+      height: (this.config.height + margin * 2) / zoom,
+    };
+  }
+
+  /**
+   * Hide rendered nodes and edges outside the viewport, and show the ones
+   * that came back into it
+   *
+   * @private
+   */
+  _cullContent() {
+    const nodeManager = this.getNodeManager();
+    const edgeManager = this.getEdgeManager();
+    if (
+      !this.layers.content ||
+      typeof nodeManager?.getNodesInRect !== "function" ||
+      typeof edgeManager?.getEdgesInRect !== "function"
+    ) {
+      return;
+    }
+
+    const visible = this.getVisibleRect(this.config.cullMargin);
+    const nodeIds = new Set(nodeManager.getNodesInRect(visible));
+    const edgeIds = new Set(edgeManager.getEdgesInRect(visible));
+
+    this.layers.content
+      .querySelectorAll("[data-node-id], [data-edge-id]")
+      .forEach((element) => {
+        const { nodeId, edgeId } = element.dataset;
+        const inView = nodeId ? nodeIds.has(nodeId) : edgeIds.has(edgeId);
+        element.classList.toggle(this.culledClass, !inView);
+      });
+  }
+
   /**
    * Render grid
    *
@@ -956,6 +1148,8 @@ class EditorView {
       pan: this.getStateManager().getPan(),
       layersCount: Object.keys(this.layers).length,
       eventListenersCount: this.eventListeners.size,
+      virtualRendering: Boolean(this.virtualRenderer),
+      renderStats: this.renderStats,
     };
   }
 
@@ -998,6 +1192,10 @@ class EditorView {
       cancelAnimationFrame(this.renderFrame);
     }
 
+    if (this.virtualRenderer) {
+      this._stopVirtualRendering();
+    }
+
     // Remove DOM element
     if (this.svg && this.svg.parentElement) {
       this.svg.parentElement.removeChild(this.svg);
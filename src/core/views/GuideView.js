@@ -0,0 +1,209 @@
+/**
+ * GuideView.js - Smart guides and distance labels on the canvas
+ *
+ * Draws what SnapManager reports while a node is dragged or resized:
+ * alignment lines spanning the nodes they line up, and measurements (equal
+ * gaps, matched widths and heights) as lines with end ticks and a label
+ * giving the distance. Everything goes in one group in the canvas overlay
+ * layer, in canvas coordinates, and never takes pointer events.
+ *
+ * DEPENDENCIES: EventBus
+ *
+ * @module core/views/GuideView
+ *
+ * @example
+ * const guides = new GuideView(eventBus, editor.getLayer("overlay"), {
+ *   color: snapManager.guideColor,
+ * });
+ */
+
+class GuideView {
+  /**
+   * @param {EventBus} eventBus - Source of snap:guides:* events
+   * @param {SVGGElement} layer - Layer to draw in (canvas coordinates)
+   * @param {Object} [options]
+   * @param {string} [options.color="#00aaff"] - Alignment and size guides
+   * @param {string} [options.spacingColor="#ff4081"] - Equal-gap guides
+   *
+   * @throws {Error} If layer is not an element
+   */
+  constructor(eventBus, layer, options = {}) {
+    if (!layer || typeof layer.appendChild !== "function") {
+      throw new Error("GuideView: Constructor requires an SVG layer");
+    }
+
+    this.eventBus = eventBus;
+
+    // SVG namespace
+    this.SVG_NS = "http://www.w3.org/2000/svg";
+
+    // Configuration
+    this.config = {
+      color: options.color || "#00aaff",
+      spacingColor: options.spacingColor || "#ff4081",
+      tickSize: 4,
+      labelFontSize: 10,
+      labelCharWidth: 6,
+      labelPadding: 3,
+    };
+
+    // CSS classes for styling
+    this.classes = {
+      root: "guide-layer",
+      line: "guide-line",
+      measure: "guide-measure",
+      label: "guide-label",
+    };
+
+    this.root = document.createElementNS(this.SVG_NS, "g");
+    this.root.classList.add(this.classes.root);
+    this.root.setAttribute("pointer-events", "none");
+    layer.appendChild(this.root);
+
+    this.unsubscribe = [
+      this.eventBus.on("snap:guides:show", ({ guides }) => this.render(guides)),
+      this.eventBus.on("snap:guides:hide", () => this.clear()),
+    ];
+  }
+
+  /**
+   * Replace the drawn guides
+   * @param {Object} guides - {vertical, horizontal, distances}
+   */
+  render(guides) {
+    this.clear();
+
+    (guides.vertical || []).forEach((guide) =>
+      this.root.appendChild(
+        this._line(guide.x, guide.y1, guide.x, guide.y2, this.config.color)
+      )
+    );
+    (guides.horizontal || []).forEach((guide) =>
+      this.root.appendChild(
+        this._line(guide.x1, guide.y, guide.x2, guide.y, this.config.color)
+      )
+    );
+    (guides.distances || []).forEach((guide) =>
+      this.root.appendChild(this._measure(guide))
+    );
+  }
+
+  /**
+   * Remove every guide
+   */
+  clear() {
+    while (this.root.firstChild) {
+      this.root.removeChild(this.root.firstChild);
+    }
+  }
+
+  /**
+   * Line with end ticks and a distance label
+   * @private
+   */
+  _measure(guide) {
+    const { tickSize } = this.config;
+    const color =
+      guide.type === "spacing" ? this.config.spacingColor : this.config.color;
+    const horizontal = guide.axis === "x";
+    const point = (along, across) =>
+      horizontal ? [along, across] : [across, along];
+
+    const group = document.createElementNS(this.SVG_NS, "g");
+    group.classList.add(this.classes.measure);
+    group.setAttribute("data-type", guide.type);
+
+    group.appendChild(
+      this._line(
+        ...point(guide.from, guide.at),
+        ...point(guide.to, guide.at),
+        color
+      )
+    );
+    [guide.from, guide.to].forEach((end) =>
+      group.appendChild(
+        this._line(
+          ...point(end, guide.at - tickSize),
+          ...point(end, guide.at + tickSize),
+          color
+        )
+      )
+    );
+
+    const [x, y] = point((guide.from + guide.to) / 2, guide.at);
+    group.appendChild(
+      this._label(x, y, GuideView.format(guide.distance), color)
+    );
+
+    return group;
+  }
+
+  /**
+   * @private
+   */
+  _line(x1, y1, x2, y2, color) {
+    const line = document.createElementNS(this.SVG_NS, "line");
+    line.classList.add(this.classes.line);
+    line.setAttribute("x1", x1);
+    line.setAttribute("y1", y1);
+    line.setAttribute("x2", x2);
+    line.setAttribute("y2", y2);
+    line.setAttribute("stroke", color);
+    return line;
+  }
+
+  /**
+   * Pill with the distance, centered on a point
+   * @private
+   */
+  _label(x, y, text, color) {
+    const { labelFontSize, labelCharWidth, labelPadding } = this.config;
+    const width = text.length * labelCharWidth + labelPadding * 2;
+    const height = labelFontSize + labelPadding * 2;
+
+    const label = document.createElementNS(this.SVG_NS, "g");
+    label.classList.add(this.classes.label);
+    label.setAttribute("transform", `translate(${x}, ${y})`);
+
+    const pill = document.createElementNS(this.SVG_NS, "rect");
+    pill.setAttribute("x", -width / 2);
+    pill.setAttribute("y", -height / 2);
+    pill.setAttribute("width", width);
+    pill.setAttribute("height", height);
+    pill.setAttribute("rx", 3);
+    pill.setAttribute("fill", color);
+    label.appendChild(pill);
+
+    const value = document.createElementNS(this.SVG_NS, "text");
+    value.setAttribute("text-anchor", "middle");
+    value.setAttribute("dominant-baseline", "central");
+    value.setAttribute("font-size", labelFontSize);
+    value.setAttribute("fill", "#ffffff");
+    value.textContent = text;
+    label.appendChild(value);
+
+    return label;
+  }
+
+  /**
+   * Distance as shown on a label: whole pixels, or one decimal
+   * @param {number} distance
+   * @returns {string}
+   */
+  static format(distance) {
+    const rounded = Math.round(distance * 10) / 10;
+    return String(rounded);
+  }
+
+  /**
+   * Stop listening and remove everything drawn
+   */
+  destroy() {
+    this.unsubscribe.forEach((off) => off());
+    this.unsubscribe = [];
+    this.root.remove();
+  }
+}
+
+// Export for use in other modules
+export { GuideView };
@@ -108,6 +108,8 @@ class NodeView {
       portRadius: 4,
       portStroke: "#666666",
       badgeSize: 16,
+      errorColor: "#d32f2f",
+      warningColor: "#f9a825",
       animationDuration: 200,
     };
 
@@ -120,10 +122,14 @@ class NodeView {
       nodeSelected: "node-selected",
       nodeHovered: "node-hovered",
       nodeDisabled: "node-disabled",
+      nodeActive: "node-active",
+      nodeError: "node-error",
+      nodeWarning: "node-warning",
       selectionBox: "node-selection-box",
       handle: "node-handle",
       port: "node-port",
       badge: "node-badge",
+      problemBadge: "node-problem-badge",
     };
   }
 
@@ -451,6 +457,78 @@ class NodeView {
     }
   }
 
+  /**
+   * Set active state (the node a running simulation is on)
+   *
+   * @param {SVGElement} element - Node element
+   * @param {boolean} isActive - Active state
+   *
+   * @example
+   * nodeView.setActive(element, true);
+   */
+  setActive(element, isActive) {
+    if (isActive) {
+      element.classList.add(this.classes.nodeActive);
+    } else {
+      element.classList.remove(this.classes.nodeActive);
+    }
+  }
+
+  /**
+   * Set validation problem state
+   *
+   * Marks the node as an error or warning and shows a badge whose tooltip
+   * lists the messages. Pass null to clear.
+   *
+   * @param {SVGElement} element - Node element
+   * @param {Object|null} problem - Problem to show
+   * @param {string} problem.level - 'error' or 'warning'
+   * @param {string[]} [problem.messages] - Messages for the tooltip
+   *
+   * @example
+   * nodeView.setProblem(element, {
+   *   level: 'error',
+   *   messages: ['Decision has unlabelled branches']
+   * });
+   */
+  setProblem(element, problem) {
+    element.classList.remove(this.classes.nodeError, this.classes.nodeWarning);
+    const existing = element.querySelector(`.${this.classes.problemBadge}`);
+    if (existing) {
+      existing.remove();
+    }
+    if (!problem) return;
+
+    const isError = problem.level === "error";
+    element.classList.add(
+      isError ? this.classes.nodeError : this.classes.nodeWarning
+    );
+    this.addBadge(element, {
+      text: "!",
+      color: isError ? this.config.errorColor : this.config.warningColor,
+      position: "top-left",
+      className: this.classes.problemBadge,
+      title: (problem.messages || []).join("\n"),
+    });
+  }
+
+  /**
+   * Set hidden state (e.g. inside a collapsed container)
+   *
+   * @param {SVGElement} element - Node element
+   * @param {boolean} isHidden - Hidden state
+   *
+   * @example
+   * nodeView.setHidden(element, true);
+   */
+  setHidden(element, isHidden) {
+    if (isHidden) {
+      element.setAttribute("display", "none");
+    } else {
+      element.removeAttribute("display");
+    }
+  }
+
   /**
    * Render selection box around node
    *
@@ -498,6 +576,9 @@ class NodeView {
    * @param {string} [badge.text] - Badge text
    * @param {string} [badge.color] - Badge color
    * @param {string} [badge.position] - Position (top-right, top-left, etc.)
+   * @param {string} [badge.className] - Extra class for the badge group
+   * @param {string} [badge.title] - Tooltip text
+   * @returns {SVGGElement} - Badge group
    *
    * @example
    * nodeView.addBadge(element, {
@@ -543,6 +624,9 @@ class NodeView {
     // Create badge group
     const badgeGroup = document.createElementNS(this.SVG_NS, "g");
     badgeGroup.classList.add(this.classes.badge);
+    if (badge.className) {
+      badgeGroup.classList.add(badge.className);
+    }
     badgeGroup.setAttribute("transform", `translate(${x}, ${y})`);
 
     // Badge circle
@@ -570,7 +654,14 @@ class NodeView {
       badgeGroup.appendChild(text);
     }
 
+    if (badge.title) {
+      const title = document.createElementNS(this.SVG_NS, "title");
+      title.textContent = badge.title;
+      badgeGroup.appendChild(title);
+    }
+
     element.appendChild(badgeGroup);
+    return badgeGroup;
   }
 
   /**
@@ -0,0 +1,255 @@
+/**
+ * PresenceView.js - Other people's cursors and selections on the canvas
+ *
+ * Draws, for every peer in a collaboration room, a cursor with the peer's
+ * name and an outline around the nodes and edges they have selected, in
+ * the peer's color. Everything goes in one group in the canvas overlay
+ * layer, in canvas coordinates, so it pans and zooms with the diagram; it
+ * never takes pointer events.
+ *
+ * DEPENDENCIES: EventBus, NodeManager, EdgeManager
+ *
+ * @module core/views/PresenceView
+ *
+ * @example
+ * const presence = new PresenceView(
+ *   eventBus,
+ *   editor.getLayer("overlay"),
+ *   nodeManager,
+ *   edgeManager
+ * );
+ */
+
+class PresenceView {
+  /**
+   * @param {EventBus} eventBus - Source of collab:* and node/edge events
+   * @param {SVGGElement} layer - Layer to draw in (canvas coordinates)
+   * @param {NodeManager} nodeManager - For selected node bounds
+   * @param {EdgeManager} edgeManager - For selected edge paths
+   *
+   * @throws {Error} If layer is not an element
+   */
+  constructor(eventBus, layer, nodeManager, edgeManager) {
+    if (!layer || typeof layer.appendChild !== "function") {
+      throw new Error("PresenceView: Constructor requires an SVG layer");
+    }
+
+    this.eventBus = eventBus;
+    this.nodeManager = nodeManager;
+    this.edgeManager = edgeManager;
+
+    // SVG namespace
+    this.SVG_NS = "http://www.w3.org/2000/svg";
+
+    // Configuration
+    this.config = {
+      selectionPadding: 4,
+      selectionDasharray: "6,3",
+      labelFontSize: 11,
+      labelCharWidth: 6.5,
+      labelPadding: 4,
+    };
+
+    // CSS classes for styling
+    this.classes = {
+      root: "presence-layer",
+      peer: "presence-peer",
+      cursor: "presence-cursor",
+      label: "presence-label",
+      selection: "presence-selection",
+    };
+
+    this.root = document.createElementNS(this.SVG_NS, "g");
+    this.root.classList.add(this.classes.root);
+    this.root.setAttribute("pointer-events", "none");
+    layer.appendChild(this.root);
+
+    // siteId -> { group, user, presence }
+    this.peers = new Map();
+
+    this.unsubscribe = [];
+    this._setupEventListeners();
+  }
+
+  /**
+   * @private
+   */
+  _setupEventListeners() {
+    const on = (event, handler) =>
+      this.unsubscribe.push(this.eventBus.on(event, handler));
+
+    on("collab:presence", (e) => this.setPeer(e));
+    on("collab:peer:left", ({ siteId }) => this.removePeer(siteId));
+    on("collab:disconnected", () => this.clear());
+
+    // Selections follow the shapes they outline
+    [
+      "node:moved",
+      "node:resized",
+      "node:deleted",
+      "edge:updated",
+      "edge:deleted",
+      "edge:path:update",
+    ].forEach((event) => on(event, () => this.renderAll()));
+  }
+
+  /**
+   * Show or update a peer
+   * @param {Object} peer - { siteId, user: { name, color }, presence }
+   */
+  setPeer({ siteId, user, presence }) {
+    if (!this.peers.has(siteId)) {
+      const group = document.createElementNS(this.SVG_NS, "g");
+      group.classList.add(this.classes.peer);
+      group.setAttribute("data-site-id", siteId);
+      this.root.appendChild(group);
+      this.peers.set(siteId, { group });
+    }
+
+    Object.assign(this.peers.get(siteId), { user: user || {}, presence });
+    this._renderPeer(siteId);
+  }
+
+  /**
+   * Remove a peer's cursor and selection
+   * @param {string} siteId
+   */
+  removePeer(siteId) {
+    const peer = this.peers.get(siteId);
+    if (!peer) return;
+
+    peer.group.remove();
+    this.peers.delete(siteId);
+  }
+
+  /**
+   * Remove every peer
+   */
+  clear() {
+    Array.from(this.peers.keys()).forEach((siteId) => this.removePeer(siteId));
+  }
+
+  /**
+   * Redraw every peer
+   */
+  renderAll() {
+    this.peers.forEach((peer, siteId) => this._renderPeer(siteId));
+  }
+
+  /**
+   * @private
+   */
+  _renderPeer(siteId) {
+    const { group, user, presence } = this.peers.get(siteId);
+    const color = user.color || "#666666";
+
+    while (group.firstChild) {
+      group.removeChild(group.firstChild);
+    }
+    if (!presence) return;
+
+    const selection = presence.selection || {};
+    (selection.nodes || []).forEach((nodeId) => {
+      const outline = this._nodeOutline(nodeId, color);
+      if (outline) group.appendChild(outline);
+    });
+    (selection.edges || []).forEach((edgeId) => {
+      const outline = this._edgeOutline(edgeId, color);
+      if (outline) group.appendChild(outline);
+    });
+
+    if (presence.cursor) {
+      group.appendChild(
+        this._cursor(presence.cursor, user.name || siteId, color)
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _nodeOutline(nodeId, color) {
+    const node = this.nodeManager.getNode(nodeId);
+    if (!node) return null;
+
+    const padding = this.config.selectionPadding;
+    const rect = document.createElementNS(this.SVG_NS, "rect");
+    rect.classList.add(this.classes.selection);
+    rect.setAttribute("x", node.x - padding);
+    rect.setAttribute("y", node.y - padding);
+    rect.setAttribute("width", node.width + padding * 2);
+    rect.setAttribute("height", node.height + padding * 2);
+    rect.setAttribute("fill", "none");
+    rect.setAttribute("stroke", color);
+    rect.setAttribute("stroke-dasharray", this.config.selectionDasharray);
+    return rect;
+  }
+
+  /**
+   * @private
+   */
+  _edgeOutline(edgeId, color) {
+    const points = this.edgeManager.calculateEdgePath(edgeId);
+    if (points.length < 2) return null;
+
+    const line = document.createElementNS(this.SVG_NS, "polyline");
+    line.classList.add(this.classes.selection);
+    line.setAttribute("points", points.map((p) => `${p.x},${p.y}`).join(" "));
+    line.setAttribute("fill", "none");
+    line.setAttribute("stroke", color);
+    line.setAttribute("stroke-dasharray", this.config.selectionDasharray);
+    return line;
+  }
+
+  /**
+   * Arrow pointer with a name tag
+   * @private
+   */
+  _cursor(point, name, color) {
+    const { labelFontSize, labelCharWidth, labelPadding } = this.config;
+
+    const cursor = document.createElementNS(this.SVG_NS, "g");
+    cursor.classList.add(this.classes.cursor);
+    cursor.setAttribute("transform", `translate(${point.x}, ${point.y})`);
+
+    const arrow = document.createElementNS(this.SVG_NS, "path");
+    arrow.setAttribute("d", "M0,0 L0,16 L4.5,12 L8,19 L10.5,18 L7,11 L13,11 Z");
+    arrow.setAttribute("fill", color);
+    arrow.setAttribute("stroke", "#ffffff");
+    cursor.appendChild(arrow);
+
+    const tag = document.createElementNS(this.SVG_NS, "rect");
+    tag.classList.add(this.classes.label);
+    tag.setAttribute("x", 12);
+    tag.setAttribute("y", 18);
+    tag.setAttribute("width", name.length * labelCharWidth + labelPadding * 2);
+    tag.setAttribute("height", labelFontSize + labelPadding * 2);
+    tag.setAttribute("rx", 3);
+    tag.setAttribute("fill", color);
+    cursor.appendChild(tag);
+
+    const text = document.createElementNS(this.SVG_NS, "text");
+    text.classList.add(this.classes.label);
+    text.setAttribute("x", 12 + labelPadding);
+    text.setAttribute("y", 18 + labelPadding + labelFontSize - 1);
+    text.setAttribute("font-size", labelFontSize);
+    text.setAttribute("fill", "#ffffff");
+    text.textContent = name;
+    cursor.appendChild(text);
+
+    return cursor;
+  }
+
+  /**
+   * Stop listening and remove everything drawn
+   */
+  destroy() {
+    this.unsubscribe.forEach((off) => off());
+    this.unsubscribe = [];
+    this.peers.clear();
+    this.root.remove();
+  }
+}
+
+// Export for use in other modules
+export { PresenceView };
@@ -0,0 +1,385 @@
+/**
+ * RenderBenchmark.js - Frame timings for rendering very large diagrams
+ *
+ * Generates a synthetic graph (10,000 nodes by default), loads it into
+ * fresh managers and an EditorView, then sweeps the camera across it while
+ * zooming out and back in, and reports frame times for each render mode:
+ *
+ * - "full": an element for every node and edge, culled by class as the
+ *   editor does without virtual rendering
+ * - "virtual": elements only for what is in view, at full detail
+ * - "lod": as "virtual", simplified below the zoom threshold
+ *
+ * Frame time is measured between animation frames, so in a browser it
+ * includes style, layout and paint. Render time is the script time of
+ * EditorView's render alone.
+ *
+ * A development tool, run from benchmark.html; the editor never loads it.
+ *
+ * DEPENDENCIES: EventBus, NodeManager, EdgeManager, ShapeRegistry,
+ *               EditorView, EdgeView, VirtualRenderer
+ *
+ * @module core/views/RenderBenchmark
+ *
+ * @example
+ * const benchmark = new RenderBenchmark(document.getElementById("stage"));
+ * const graph = RenderBenchmark.generateGraph({ nodes: 10000 });
+ * const reports = await benchmark.runAll(graph);
+ * console.log(RenderBenchmark.format(reports));
+ */
+
+import { EventBus } from "../events/EventBus.js";
+import { NodeManager } from "../managers/NodeManager.js";
+import { EdgeManager } from "../managers/EdgeManager.js";
+import { ShapeRegistry } from "../../shapes/registry/ShapeRegistry.js";
+import { getAllShapeClasses } from "../../shapes/index.js";
+import { EditorView } from "./EditorView.js";
+import { EdgeView } from "./EdgeView.js";
+import { VirtualRenderer } from "./VirtualRenderer.js";
+
+// Shapes the generated nodes cycle through
+const NODE_TYPES = ["process", "decision", "terminator", "data", "document"];
+
+export const RENDER_MODES = ["full", "virtual", "lod"];
+
+class RenderBenchmark {
+  /**
+   * @param {HTMLElement} element - Where each run mounts its editor
+   * @param {Object} [options] - Defaults for every run
+   * @param {number} [options.width=1280] - Canvas width
+   * @param {number} [options.height=800] - Canvas height
+   * @param {number} [options.frames=120] - Frames per run
+   * @param {number} [options.maxZoom=1] - Zoom at the start and end
+   * @param {number} [options.minZoom=0.2] - Zoom halfway through
+   * @param {number} [options.lodZoom=0.5] - Threshold for the "lod" mode
+   * @param {Function} [options.nextFrame] - Resolves on the next frame;
+   *                                         requestAnimationFrame by default
+   *
+   * @throws {Error} If element is not an HTMLElement
+   */
+  constructor(element, options = {}) {
+    if (!element || !(element instanceof HTMLElement)) {
+      throw new Error("RenderBenchmark: Constructor requires an HTMLElement");
+    }
+
+    this.element = element;
+    this.options = {
+      width: 1280,
+      height: 800,
+      frames: 120,
+      maxZoom: 1,
+      minZoom: 0.2,
+      lodZoom: 0.5,
+      nextFrame: () => new Promise((resolve) => requestAnimationFrame(resolve)),
+      ...options,
+    };
+
+    const shapes = getAllShapeClasses();
+    this.shapeRegistry = new ShapeRegistry();
+    NODE_TYPES.forEach((type) =>
+      this.shapeRegistry.registerShape(type, shapes[type])
+    );
+  }
+
+  /**
+   * Make a diagram: nodes on a jittered grid, edges mostly to neighbours
+   * with a few long ones. The same seed gives the same graph.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.nodes=10000]
+   * @param {number} [options.edgesPerNode=1.5]
+   * @param {number} [options.longEdges=0.02] - Share of edges to a random node
+   * @param {number} [options.spacing=200] - Grid pitch
+   * @param {number} [options.seed=1]
+   *
+   * @returns {Object} { nodes, edges } as createNode/createEdge take them
+   */
+  static generateGraph(options = {}) {
+    const {
+      nodes: count = 10000,
+      edgesPerNode = 1.5,
+      longEdges = 0.02,
+      spacing = 200,
+      seed = 1,
+    } = options;
+    const random = RenderBenchmark._random(seed);
+    const columns = Math.ceil(Math.sqrt(count));
+
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+      nodes.push({
+        id: `n${i}`,
+        type: NODE_TYPES[i % NODE_TYPES.length],
+        x: (i % columns) * spacing + Math.round(random() * spacing * 0.3),
+        y: Math.floor(i / columns) * spacing + Math.round(random() * 40),
+        width: 120,
+        height: 60,
+        label: `Node ${i}`,
+      });
+    }
+
+    const edges = [];
+    const target = (i) => {
+      if (random() < longEdges) return Math.floor(random() * count);
+      const right = i % columns < columns - 1 && i + 1 < count;
+      const below = i + columns < count;
+      if (right && (!below || random() < 0.5)) return i + 1;
+      return below ? i + columns : -1;
+    };
+    for (let i = 0; i < Math.round(count * edgesPerNode); i++) {
+      const source = i % count;
+      const to = target(source);
+      if (to < 0 || to === source) continue;
+      edges.push({
+        id: `e${edges.length}`,
+        sourceId: `n${source}`,
+        targetId: `n${to}`,
+        type: random() < 0.2 ? "bezier" : "straight",
+        label: random() < 0.1 ? `e${edges.length}` : "",
+      });
+    }
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Time one render mode on a graph
+   *
+   * @param {Object} graph - From generateGraph()
+   * @param {string} [mode="lod"] - One of RENDER_MODES
+   * @param {Object} [options] - Overrides the constructor's
+   *
+   * @returns {Promise<Object>} Report: { mode, nodes, edges, frames, load,
+   *   render, frame, materialized, elements }; render and frame are
+   *   summaries from summarize()
+   *
+   * @throws {Error} If mode is unknown
+   */
+  async run(graph, mode = "lod", options = {}) {
+    if (!RENDER_MODES.includes(mode)) {
+      throw new Error(`RenderBenchmark: Unknown mode "${mode}"`);
+    }
+    const config = { ...this.options, ...options };
+    const setup = this._setup(graph, config);
+    const { editor, viewport } = setup;
+
+    const renderTimes = [];
+    const frameTimes = [];
+    let materialized = 0;
+    let renderer = null;
+    editor.on("editor:rendered", ({ stats }) => {
+      renderTimes.push(stats.duration);
+      if (stats.virtual) {
+        materialized = Math.max(
+          materialized,
+          stats.virtual.nodes + stats.virtual.edges
+        );
+      }
+    });
+
+    try {
+      if (mode === "full") {
+        renderer = new VirtualRenderer(
+          setup.eventBus,
+          editor.getLayer("content"),
+          setup.nodeManager,
+          setup.edgeManager,
+          { edgeView: new EdgeView(), virtualize: false, lodZoom: 0 }
+        );
+        const stats = renderer.update(null, 1);
+        materialized = stats.nodes + stats.edges;
+      } else {
+        editor.enableVirtualRendering({
+          edgeView: new EdgeView(),
+          lodZoom: mode === "lod" ? config.lodZoom : 0,
+        });
+      }
+
+      const bounds = setup.nodeManager.spatialIndex.getBounds();
+      await config.nextFrame();
+      let last = performance.now();
+      for (let i = 0; i < config.frames; i++) {
+        Object.assign(viewport, RenderBenchmark._camera(bounds, i, config));
+        editor.render();
+        await config.nextFrame();
+
+        const now = performance.now();
+        frameTimes.push(now - last);
+        last = now;
+      }
+
+      return {
+        mode,
+        nodes: graph.nodes.length,
+        edges: graph.edges.length,
+        frames: config.frames,
+        load: setup.load,
+        render: RenderBenchmark.summarize(renderTimes),
+        frame: RenderBenchmark.summarize(frameTimes),
+        materialized,
+        elements: editor.getLayer("content").getElementsByTagName("*").length,
+      };
+    } finally {
+      if (renderer) renderer.destroy();
+      editor.destroy();
+    }
+  }
+
+  /**
+   * Run every mode in turn
+   *
+   * @param {Object} graph - From generateGraph()
+   * @param {Object} [options] - As for run()
+   *
+   * @returns {Promise<Array<Object>>} One report per mode
+   */
+  async runAll(graph, options = {}) {
+    const reports = [];
+    for (const mode of RENDER_MODES) {
+      reports.push(await this.run(graph, mode, options));
+    }
+    return reports;
+  }
+
+  /**
+   * Mean, median, 95th percentile and max of some timings
+   *
+   * @param {Array<number>} samples - Milliseconds
+   *
+   * @returns {Object} { mean, median, p95, max, fps }
+   */
+  static summarize(samples) {
+    if (samples.length === 0) {
+      return { mean: 0, median: 0, p95: 0, max: 0, fps: 0 };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const at = (fraction) =>
+      sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+
+    return {
+      mean,
+      median: at(0.5),
+      p95: at(0.95),
+      max: sorted[sorted.length - 1],
+      fps: mean > 0 ? 1000 / mean : 0,
+    };
+  }
+
+  /**
+   * Reports as a plain-text table
+   *
+   * @param {Array<Object>} reports - From run() or runAll()
+   *
+   * @returns {string}
+   */
+  static format(reports) {
+    const ms = (value) => value.toFixed(1).padStart(7);
+    const lines = [
+      "mode     elements  frame mean   p95    max   fps  render mean   p95",
+    ];
+    reports.forEach((report) => {
+      lines.push(
+        [
+          report.mode.padEnd(8),
+          String(report.materialized).padStart(8),
+          ms(report.frame.mean),
+          ms(report.frame.p95),
+          ms(report.frame.max),
+          report.frame.fps.toFixed(0).padStart(5),
+          ms(report.render.mean),
+          ms(report.render.p95),
+        ].join(" ")
+      );
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * Fresh managers and a mounted editor holding the graph
+   * @private
+   */
+  _setup(graph, config) {
+    const eventBus = new EventBus();
+
+    // Just what the managers and EditorView read from the state manager
+    const viewport = {
+      zoom: config.maxZoom,
+      pan: { x: 0, y: 0 },
+      getZoom: () => viewport.zoom,
+      getPan: () => viewport.pan,
+      getCanvasSize: () => ({ width: config.width, height: config.height }),
+      setCanvasSize() {},
+      setState() {},
+      getState: () => ({}),
+      getSelectedNodeIds: () => [],
+      getNode: () => null,
+    };
+
+    const nodeManager = new NodeManager(eventBus, viewport, this.shapeRegistry);
+    const edgeManager = new EdgeManager(eventBus, viewport, nodeManager);
+
+    const start = performance.now();
+    graph.nodes.forEach((node) => nodeManager.createNode(node));
+    graph.edges.forEach((edge) => edgeManager.createEdge(edge));
+    const load = performance.now() - start;
+
+    const services = {
+      eventBus,
+      stateManager: viewport,
+      nodeManager,
+      edgeManager,
+    };
+    const editor = new EditorView({
+      has: (name) => name in services,
+      get: (name) => services[name],
+    });
+    editor.mount(this.element, { width: config.width, height: config.height });
+    editor.config.showGrid = false;
+
+    return { eventBus, viewport, nodeManager, edgeManager, editor, load };
+  }
+
+  /**
+   * Zoom and pan for a frame: along the diagonal of the diagram, zooming
+   * out to minZoom halfway and back in
+   * @private
+   */
+  static _camera(bounds, frame, config) {
+    const t = config.frames > 1 ? frame / (config.frames - 1) : 0;
+    const zoom =
+      config.minZoom +
+      ((config.maxZoom - config.minZoom) * (1 + Math.cos(2 * Math.PI * t))) / 2;
+    const center = {
+      x: bounds.x + bounds.width * t,
+      y: bounds.y + bounds.height * t,
+    };
+
+    return {
+      zoom,
+      pan: {
+        x: config.width / 2 - center.x * zoom,
+        y: config.height / 2 - center.y * zoom,
+      },
+    };
+  }
+
+  /**
+   * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+   * @private
+   */
+  static _random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+// Export for use in other modules
+export { RenderBenchmark };
@@ -0,0 +1,444 @@
+/**
+ * VirtualRenderer.js - Viewport-driven rendering for large diagrams
+ *
+ * Keeps SVG elements only for the nodes and edges that intersect the area
+ * it is given (the viewport plus a margin), found through NodeManager's and
+ * EdgeManager's spatial indexes. Entities scrolling into view are drawn,
+ * ones leaving it are removed, and ones that changed are redrawn in place,
+ * so the DOM stays the size of the screen rather than of the diagram.
+ *
+ * Below a zoom threshold it draws a simplified level of detail: no labels,
+ * every node as a plain rectangle and every edge as a straight line between
+ * node centres.
+ *
+ * DEPENDENCIES: EventBus, NodeManager, EdgeManager,
+ *               NodeView and EdgeView (optional, for full detail)
+ *
+ * @module core/views/VirtualRenderer
+ *
+ * Responsibilities:
+ * - Materialize elements for entities in view, release the rest
+ * - Redraw entities whose data, geometry or visibility changed
+ * - Switch between full and simplified detail by zoom
+ * - Keep nodes in creation order above the edges
+ * - Report what each update did, for benchmarks
+ *
+ * @example
+ * const renderer = new VirtualRenderer(
+ *   eventBus,
+ *   editor.getLayer("content"),
+ *   nodeManager,
+ *   edgeManager,
+ *   { nodeView, edgeView }
+ * );
+ * renderer.update(editor.getVisibleRect(200), stateManager.getZoom());
+ */
+
+class VirtualRenderer {
+  /**
+   * @param {EventBus} eventBus - Source of node and edge change events
+   * @param {SVGGElement} layer - Layer to draw in (canvas coordinates)
+   * @param {NodeManager} nodeManager
+   * @param {EdgeManager} edgeManager
+   * @param {Object} [options]
+   * @param {NodeView} [options.nodeView] - Draws nodes at full detail
+   * @param {EdgeView} [options.edgeView] - Draws edges at full detail
+   * @param {number} [options.lodZoom=0.5] - Simplify below this zoom
+   * @param {boolean} [options.virtualize=true] - False keeps every entity
+   *                                              drawn, wherever it is
+   * @param {Function} [options.onChange] - Called when the model changes
+   *                                        and the next update has work
+   *
+   * @throws {Error} If layer is not an element
+   */
+  constructor(eventBus, layer, nodeManager, edgeManager, options = {}) {
+    if (!layer || typeof layer.appendChild !== "function") {
+      throw new Error("VirtualRenderer: Constructor requires an SVG layer");
+    }
+
+    this.eventBus = eventBus;
+    this.nodeManager = nodeManager;
+    this.edgeManager = edgeManager;
+    this.nodeView = options.nodeView || null;
+    this.edgeView = options.edgeView || null;
+    this.onChange = options.onChange || (() => {});
+
+    // SVG namespace
+    this.SVG_NS = "http://www.w3.org/2000/svg";
+
+    // Configuration
+    this.config = {
+      lodZoom: options.lodZoom ?? 0.5,
+      virtualize: options.virtualize !== false,
+      fill: "#ffffff",
+      stroke: "#666666",
+      strokeWidth: 2,
+      fontSize: 12,
+    };
+
+    // CSS classes for styling
+    this.classes = {
+      root: "virtual-layer",
+      edges: "virtual-edges",
+      nodes: "virtual-nodes",
+      node: "node-group",
+      edge: "edge-group",
+      lod: "lod",
+    };
+
+    this.root = document.createElementNS(this.SVG_NS, "g");
+    this.root.classList.add(this.classes.root);
+    this.edgeLayer = document.createElementNS(this.SVG_NS, "g");
+    this.edgeLayer.classList.add(this.classes.edges);
+    this.nodeLayer = document.createElementNS(this.SVG_NS, "g");
+    this.nodeLayer.classList.add(this.classes.nodes);
+    this.root.appendChild(this.edgeLayer);
+    this.root.appendChild(this.nodeLayer);
+    layer.appendChild(this.root);
+
+    // id -> materialized element
+    this.nodeElements = new Map();
+    this.edgeElements = new Map();
+
+    // Materialized entities to redraw on the next update
+    this.dirtyNodes = new Set();
+    this.dirtyEdges = new Set();
+
+    // Whether the last update drew simplified detail
+    this.simplified = false;
+
+    // Views that failed once are not tried again
+    this.failedViews = new Set();
+
+    this.unsubscribe = this._setupEventListeners();
+  }
+
+  /**
+   * Mark entities dirty as the managers change them, and report each
+   * change through onChange so the owner can schedule an update
+   * @private
+   */
+  _setupEventListeners() {
+    const nodeChanged = ({ nodeId }) => {
+      this.dirtyNodes.add(nodeId);
+      this.edgeManager
+        .getEdgesForNode(nodeId)
+        .forEach((edge) => this.dirtyEdges.add(edge.id));
+      this.onChange();
+    };
+    const edgeChanged = ({ edgeId }) => {
+      this.dirtyEdges.add(edgeId);
+      this.onChange();
+    };
+    const cleared = () => {
+      this.clear();
+      this.onChange();
+    };
+
+    return [
+      // New entities are drawn by the next update if they are in view
+      this.eventBus.on("node:created", () => this.onChange()),
+      this.eventBus.on("edge:created", () => this.onChange()),
+      this.eventBus.on("node:updated", nodeChanged),
+      this.eventBus.on("node:moved", nodeChanged),
+      this.eventBus.on("node:resized", nodeChanged),
+      this.eventBus.on("node:visibility:changed", nodeChanged),
+      this.eventBus.on("node:theme:changed", nodeChanged),
+      this.eventBus.on("node:deleted", ({ nodeId }) => {
+        this.dirtyNodes.add(nodeId);
+        this.onChange();
+      }),
+      this.eventBus.on("edge:updated", edgeChanged),
+      this.eventBus.on("edge:path:update", edgeChanged),
+      this.eventBus.on("edge:deleted", edgeChanged),
+      this.eventBus.on("nodes:cleared", cleared),
+      this.eventBus.on("edges:cleared", cleared),
+    ];
+  }
+
+  /**
+   * Bring the drawn entities in line with an area of the canvas
+   *
+   * @param {Object} rect - Area to draw, in canvas coordinates
+   * @param {number} [zoom=1] - Current zoom, for the level of detail
+   *
+   * @returns {Object} { nodes, edges, created, removed, simplified }
+   *
+   * @example
+   * const stats = renderer.update(editor.getVisibleRect(200), 0.3);
+   * console.log(`${stats.nodes} nodes drawn, simplified: ${stats.simplified}`);
+   */
+  update(rect, zoom = 1) {
+    const simplified = zoom < this.config.lodZoom;
+    if (simplified !== this.simplified) {
+      this.clear();
+      this.simplified = simplified;
+    }
+
+    const nodeIds = (
+      this.config.virtualize
+        ? this.nodeManager.getNodesInRect(rect)
+        : this.nodeManager.getAllNodes().map((node) => node.id)
+    ).filter((id) => !this.nodeManager.isNodeHidden(id));
+    const edgeIds = this.config.virtualize
+      ? this.edgeManager.getEdgesInRect(rect)
+      : this.edgeManager
+          .getAllEdges()
+          .map((edge) => edge.id)
+          .filter((id) => !this.edgeManager.isEdgeHidden(id));
+
+    const nodes = this._sync(
+      this.nodeElements,
+      this.dirtyNodes,
+      nodeIds,
+      this.nodeLayer,
+      (id) => this._renderNode(id)
+    );
+    const edges = this._sync(
+      this.edgeElements,
+      this.dirtyEdges,
+      edgeIds,
+      this.edgeLayer,
+      (id) => this._renderEdge(id)
+    );
+
+    return {
+      nodes: this.nodeElements.size,
+      edges: this.edgeElements.size,
+      created: nodes.created + edges.created,
+      removed: nodes.removed + edges.removed,
+      simplified,
+    };
+  }
+
+  /**
+   * Release elements no longer wanted, then draw the missing ones in order
+   * @private
+   */
+  _sync(elements, dirty, ids, layer, render) {
+    const wanted = new Set(ids);
+    let created = 0;
+    let removed = 0;
+
+    elements.forEach((element, id) => {
+      if (!wanted.has(id) || dirty.has(id)) {
+        this._release(element);
+        elements.delete(id);
+        removed++;
+      }
+    });
+    dirty.clear();
+
+    // Each new element goes after the previous wanted one, so existing
+    // elements never move and the layer follows the order of ids
+    let previous = null;
+    ids.forEach((id) => {
+      let element = elements.get(id);
+      if (!element) {
+        element = render(id);
+        if (!element) return;
+        layer.insertBefore(
+          element,
+          previous ? previous.nextSibling : layer.firstChild
+        );
+        elements.set(id, element);
+        created++;
+      }
+      previous = element;
+    });
+
+    return { created, removed };
+  }
+
+  /**
+   * @private
+   */
+  _renderNode(nodeId) {
+    const node = this.nodeManager.getNode(nodeId);
+    if (!node) return null;
+
+    if (!this.simplified && this.nodeView) {
+      const element = this._tryView(this.nodeView, "NodeView", () =>
+        this.nodeView.render({
+          id: node.id,
+          shapeType: node.type,
+          x: node.x,
+          y: node.y,
+          width: node.width,
+          height: node.height,
+          label: node.label,
+          fill: node.style?.fill,
+          stroke: node.style?.stroke,
+          strokeWidth: node.style?.strokeWidth,
+        })
+      );
+      if (element) return element;
+    }
+
+    return this._renderBasicNode(node);
+  }
+
+  /**
+   * Rectangle, with the label unless simplified
+   * @private
+   */
+  _renderBasicNode(node) {
+    const style = node.style || {};
+    const group = document.createElementNS(this.SVG_NS, "g");
+    group.classList.add(this.classes.node);
+    if (this.simplified) group.classList.add(this.classes.lod);
+    group.setAttribute("data-node-id", node.id);
+    group.setAttribute("transform", `translate(${node.x}, ${node.y})`);
+
+    const rect = document.createElementNS(this.SVG_NS, "rect");
+    rect.setAttribute("width", node.width);
+    rect.setAttribute("height", node.height);
+    rect.setAttribute("fill", style.fill || this.config.fill);
+    rect.setAttribute("stroke", style.stroke || this.config.stroke);
+    rect.setAttribute("stroke-width", style.strokeWidth || 1);
+    group.appendChild(rect);
+
+    if (node.label && !this.simplified) {
+      const text = document.createElementNS(this.SVG_NS, "text");
+      text.setAttribute("x", node.width / 2);
+      text.setAttribute("y", node.height / 2);
+      text.setAttribute("text-anchor", "middle");
+      text.setAttribute("dominant-baseline", "middle");
+      text.setAttribute("font-size", this.config.fontSize);
+      text.setAttribute("pointer-events", "none");
+      text.textContent = node.label;
+      group.appendChild(text);
+    }
+
+    return group;
+  }
+
+  /**
+   * @private
+   */
+  _renderEdge(edgeId) {
+    const edge = this.edgeManager.getEdge(edgeId);
+    if (!edge) return null;
+
+    const source = this.nodeManager.getVisibleNode(edge.sourceId);
+    const target = this.nodeManager.getVisibleNode(edge.targetId);
+    if (!source || !target) return null;
+    const sourceNode = this.nodeManager.getNodeBounds(source.id);
+    const targetNode = this.nodeManager.getNodeBounds(target.id);
+
+    if (!this.simplified && this.edgeView) {
+      const element = this._tryView(this.edgeView, "EdgeView", () =>
+        this.edgeView.render({
+          id: edge.id,
+          sourceNode,
+          targetNode,
+          label: edge.label,
+          stroke: edge.style?.stroke,
+          strokeWidth: edge.style?.strokeWidth,
+          type: edge.type,
+          waypoints: edge.waypoints,
+          points:
+            edge.type === "orthogonal"
+              ? this.edgeManager.calculateEdgePath(edge.id)
+              : undefined,
+        })
+      );
+      if (element) return element;
+    }
+
+    return this._renderBasicEdge(edge, sourceNode, targetNode);
+  }
+
+  /**
+   * Straight line between node centres
+   * @private
+   */
+  _renderBasicEdge(edge, sourceNode, targetNode) {
+    const group = document.createElementNS(this.SVG_NS, "g");
+    group.classList.add(this.classes.edge);
+    if (this.simplified) group.classList.add(this.classes.lod);
+    group.setAttribute("data-edge-id", edge.id);
+
+    const line = document.createElementNS(this.SVG_NS, "line");
+    line.setAttribute("x1", sourceNode.x + sourceNode.width / 2);
+    line.setAttribute("y1", sourceNode.y + sourceNode.height / 2);
+    line.setAttribute("x2", targetNode.x + targetNode.width / 2);
+    line.setAttribute("y2", targetNode.y + targetNode.height / 2);
+    line.setAttribute("stroke", edge.style?.stroke || this.config.stroke);
+    line.setAttribute("stroke-width", this.simplified ? 1 : 2);
+    group.appendChild(line);
+
+    return group;
+  }
+
+  /**
+   * Draw with a view, falling back to basic shapes if it fails
+   * @private
+   */
+  _tryView(view, name, render) {
+    if (this.failedViews.has(view)) return null;
+
+    try {
+      return render();
+    } catch (error) {
+      console.warn(
+        `VirtualRenderer: ${name} failed, drawing basic shapes`,
+        error
+      );
+      this.failedViews.add(view);
+      return null;
+    }
+  }
+
+  /**
+   * Remove an element and any arrow markers made for it
+   * @private
+   */
+  _release(element) {
+    element.querySelectorAll("[marker-start], [marker-end]").forEach((path) =>
+      ["marker-start", "marker-end"].forEach((name) => {
+        const match = /url\(#(.+)\)/.exec(path.getAttribute(name) || "");
+        const marker = match && element.ownerDocument.getElementById(match[1]);
+        if (marker) marker.remove();
+      })
+    );
+    element.remove();
+  }
+
+  /**
+   * Id of every materialized node and edge
+   *
+   * @returns {Object} { nodes: Array<string>, edges: Array<string> }
+   */
+  getMaterialized() {
+    return {
+      nodes: Array.from(this.nodeElements.keys()),
+      edges: Array.from(this.edgeElements.keys()),
+    };
+  }
+
+  /**
+   * Remove everything drawn; the next update draws afresh
+   */
+  clear() {
+    this.nodeElements.forEach((element) => this._release(element));
+    this.edgeElements.forEach((element) => this._release(element));
+    this.nodeElements.clear();
+    this.edgeElements.clear();
+    this.dirtyNodes.clear();
+    this.dirtyEdges.clear();
+  }
+
+  /**
+   * Stop listening and remove everything drawn
+   */
+  destroy() {
+    this.clear();
+    this.unsubscribe.forEach((off) => off());
+    this.unsubscribe = [];
+    this.root.remove();
+  }
+}
+
+// Export for use in other modules
+export { VirtualRenderer };
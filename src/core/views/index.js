@@ -19,3 +19,6 @@
 export { EditorView } from "./EditorView.js";
 export { NodeView } from "./NodeView.js";
 export { EdgeView } from "./EdgeView.js";
+export { PresenceView } from "./PresenceView.js";
+export { GuideView } from "./GuideView.js";
+export { VirtualRenderer } from "./VirtualRenderer.js";
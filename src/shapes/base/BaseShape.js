@@ -132,6 +132,22 @@ export class BaseShape {
     };
   }
 
+  /**
+   * Shape bounds, for shapes that render from `this.bounds`
+   * @returns {Object} - Same as getBounds()
+   */
+  get bounds() {
+    return this.getBounds();
+  }
+
+  /**
+   * Get the style used for rendering
+   * @returns {Object} - {fill, stroke, strokeWidth, opacity, ...}
+   */
+  getComputedStyle() {
+    return { ...this.style };
+  }
+
   /**
    * Check if a point is inside the shape
    * @param {Object} point - {x, y}
@@ -238,6 +254,70 @@ export class BaseShape {
     Object.assign(this.textStyle, textStyle);
   }
 
+  /**
+   * Create the centred label for SVG rendering
+   * @param {Document} doc - Document used to create elements
+   * @returns {SVGTextElement}
+   * @protected
+   */
+  _createTextElement(doc) {
+    const SVG_NS = "http://www.w3.org/2000/svg";
+    const bounds = this.getBounds();
+    const lines = String(this.label).split("\n");
+    const text = doc.createElementNS(SVG_NS, "text");
+
+    text.setAttribute("x", bounds.centerX);
+    text.setAttribute("y", bounds.centerY);
+    text.setAttribute("text-anchor", "middle");
+    text.setAttribute("dominant-baseline", "middle");
+    text.setAttribute("fill", this.textStyle.color);
+    text.setAttribute("font-size", this.textStyle.fontSize);
+    text.setAttribute("font-family", this.textStyle.fontFamily);
+    text.setAttribute("font-weight", this.textStyle.fontWeight);
+
+    if (lines.length === 1) {
+      text.textContent = this.label;
+    } else {
+      // Centre the block of lines vertically
+      lines.forEach((line, i) => {
+        const tspan = doc.createElementNS(SVG_NS, "tspan");
+        tspan.setAttribute("x", bounds.centerX);
+        tspan.setAttribute(
+          "dy",
+          i === 0 ? `${-0.6 * (lines.length - 1)}em` : "1.2em"
+        );
+        tspan.textContent = line;
+        text.appendChild(tspan);
+      });
+    }
+
+    return text;
+  }
+
+  /**
+   * Draw the centred label on a canvas
+   * @param {CanvasRenderingContext2D} ctx
+   * @protected
+   */
+  _drawText(ctx) {
+    const bounds = this.getBounds();
+    const lines = String(this.label).split("\n");
+    const lineHeight = this.textStyle.fontSize * 1.2;
+
+    ctx.fillStyle = this.textStyle.color;
+    ctx.font = `${this.textStyle.fontWeight} ${this.textStyle.fontSize}px ${this.textStyle.fontFamily}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    lines.forEach((line, i) => {
+      ctx.fillText(
+        line,
+        bounds.centerX,
+        bounds.centerY + (i - (lines.length - 1) / 2) * lineHeight
+      );
+    });
+  }
+
   /**
    * Get port positions
    * @returns {Array} - Array of {id, x, y, type}
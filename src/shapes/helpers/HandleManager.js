@@ -92,6 +92,11 @@ export class HandleManager {
    * @param {string} handleId - Handle being dragged
    * @param {Object} delta - {dx, dy} movement delta
    * @param {Object} options - Resize options
+   * @param {SnapManager} [options.snapManager] - Match the width or height
+   *                                              of options.siblings
+   * @param {Array} [options.siblings] - Nodes to match the size of (by
+   *                                    default, every node the snap
+   *                                    manager's NodeManager has)
    * @returns {Object} - {x, y, width, height}
    */
   static calculateResize(shape, handleId, delta, options = {}) {
@@ -100,6 +105,8 @@ export class HandleManager {
       snapToGrid = false,
       gridSize = 10,
       constrainProportions = false,
+      snapManager = null,
+      siblings = null,
     } = options;
 
     const handle = HandleManager.HANDLE_POSITIONS[handleId];
@@ -137,7 +144,8 @@ export class HandleManager {
     }
 
     // Apply aspect ratio constraint
-    if (maintainAspectRatio || shape.constraints.aspectRatio) {
+    const keepRatio = maintainAspectRatio || shape.constraints.aspectRatio;
+    if (keepRatio) {
       newBounds = HandleManager._applyAspectRatio(
         bounds,
         newBounds,
@@ -146,11 +154,23 @@ export class HandleManager {
       );
     }
 
+    // Match a sibling's width or height (would break a kept ratio)
+    let sizeMatched = false;
+    if (snapManager && !keepRatio) {
+      const snap = snapManager.snapNodeSize(
+        { id: shape.id, ...newBounds },
+        siblings,
+        { handle }
+      );
+      newBounds = snap.bounds;
+      sizeMatched = snap.guides.distances.length > 0;
+    }
+
     // Apply constraints
     newBounds = HandleManager._applyConstraints(newBounds, shape.constraints);
 
-    // Apply grid snapping
-    if (snapToGrid) {
+    // Apply grid snapping, unless that would undo a matched size
+    if (snapToGrid && !sizeMatched) {
       newBounds = HandleManager._snapToGrid(newBounds, gridSize);
     }
 
@@ -15,6 +15,51 @@ export const SHAPE_CATEGORIES = {
   TEXT: "text",
 };
 
+// Built-in shape types by category, in palette order
+export const SHAPE_GROUPS = {
+  [SHAPE_CATEGORIES.BASIC]: [
+    "rect",
+    "circle",
+    "ellipse",
+    "diamond",
+    "triangle",
+    "polygon",
+    "star",
+    "image",
+  ],
+  [SHAPE_CATEGORIES.FLOWCHART]: [
+    "process",
+    "decision",
+    "terminator",
+    "data",
+    "document",
+    "predefined-process",
+    "manual-input",
+    "display",
+    "preparation",
+  ],
+  [SHAPE_CATEGORIES.NETWORK]: [
+    "server",
+    "workstation",
+    "database",
+    "cloud",
+    "router",
+    "switch",
+    "firewall",
+  ],
+  [SHAPE_CATEGORIES.UML]: [
+    "class",
+    "interface",
+    "actor",
+    "component",
+    "package",
+    "note",
+  ],
+  [SHAPE_CATEGORIES.CONTAINER]: ["swimlane", "group", "frame"],
+  [SHAPE_CATEGORIES.ARROWS]: ["straight-arrow", "curved-arrow", "double-arrow"],
+  [SHAPE_CATEGORIES.TEXT]: ["label", "callout", "note-text"],
+};
+
 // Shape registry helper
 export function getAllShapeClasses() {
   return {
@@ -22,6 +67,7 @@ export function getAllShapeClasses() {
     circle: CircleShape,
     diamond: DiamondShape,
     ellipse: EllipseShape,
+    image: ImageShape,
     polygon: PolygonShape,
     rect: RectShape,
     star: StarShape,
@@ -76,6 +122,7 @@ import {
   CircleShape,
   DiamondShape,
   EllipseShape,
+  ImageShape,
   PolygonShape,
   RectShape,
   StarShape,
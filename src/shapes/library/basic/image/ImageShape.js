@@ -0,0 +1,82 @@
+/**
+ * ImageShape.js - Picture shape
+ *
+ * Shows the image at style.imageUrl (usually a data: URL, e.g. from a
+ * pasted PNG or SVG) scaled into the node's box, keeping its proportions.
+ * Without an image it draws a dashed placeholder.
+ *
+ * @module shapes/library/basic/image/ImageShape
+ */
+
+import { BaseShape } from "../../../base/BaseShape.js";
+import { PathGenerator } from "../../../helpers/PathGenerator.js";
+import { ShapeRenderer } from "../../../helpers/ShapeRenderer.js";
+
+export class ImageShape extends BaseShape {
+  /**
+   * Create an image shape
+   * @param {Object} config - Shape configuration
+   */
+  constructor(config = {}) {
+    super({
+      type: "image",
+      name: "Image",
+      category: "basic",
+      width: 160,
+      height: 120,
+      ...config,
+    });
+
+    // Set default ports if not provided
+    if (!config.ports || config.ports.length === 0) {
+      this.ports = [
+        { id: "top", x: 0.5, y: 0, type: "input", direction: "top" },
+        { id: "right", x: 1, y: 0.5, type: "output", direction: "right" },
+        { id: "bottom", x: 0.5, y: 1, type: "output", direction: "bottom" },
+        { id: "left", x: 0, y: 0.5, type: "input", direction: "left" },
+      ];
+    }
+
+    // Set default handles if not provided
+    if (!config.handles || config.handles.length === 0) {
+      this.handles = ["nw", "n", "ne", "e", "se", "s", "sw", "w"];
+    }
+  }
+
+  /**
+   * Render the image to SVG
+   * @returns {SVGElement}
+   */
+  render() {
+    const url = this.style.imageUrl;
+
+    if (!url) {
+      return ShapeRenderer.createSVGElement("rect", {
+        x: this.x,
+        y: this.y,
+        width: this.width,
+        height: this.height,
+        fill: "none",
+        stroke: this.style.stroke,
+        "stroke-dasharray": "4,4",
+      });
+    }
+
+    return ShapeRenderer.createSVGElement("image", {
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      href: url,
+      preserveAspectRatio: "xMidYMid meet",
+    });
+  }
+
+  /**
+   * Get the shape's path for hit detection
+   * @returns {string} - SVG path string
+   */
+  getPath() {
+    return PathGenerator.rectangle(this.x, this.y, this.width, this.height);
+  }
+}
@@ -7,6 +7,7 @@
 export { CircleShape } from "./circle/CircleShape.js";
 export { DiamondShape } from "./diamond/DiamondShape.js";
 export { EllipseShape } from "./ellipse/EllipseShape.js";
+export { ImageShape } from "./image/ImageShape.js";
 export { PolygonShape } from "./polygon/PolygonShape.js";
 export { RectShape } from "./rect/RectShape.js";
 export { StarShape } from "./star/StarShape.js";
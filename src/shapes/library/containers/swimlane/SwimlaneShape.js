@@ -1,10 +1,17 @@
 /** ContainerShapes.js */
+import { PoolLanes } from "../../../../core/layout/PoolLanes.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
 export class SwimlaneShape {
   constructor(config) {
     this.id = "swimlane";
     this.type = "swimlane";
   }
   render(container, node) {
+    if (node.pool && !node.collapsed) {
+      return this._renderPool(container, node);
+    }
     const { x, y, width, height } = node;
     const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
     rect.setAttribute("x", x);
@@ -42,6 +49,110 @@ export class SwimlaneShape {
     }
     return container;
   }
+  /**
+   * Pool with a header strip and one band per lane; the far edge of each
+   * lane is a divider the user can drag
+   * @private
+   */
+  _renderPool(container, node) {
+    const horizontal = PoolLanes.isHorizontal(node.pool);
+    const stroke = node.style?.stroke || "#1976d2";
+
+    container.appendChild(
+      this._element("rect", {
+        x: node.x,
+        y: node.y,
+        width: node.width,
+        height: node.height,
+        fill: node.style?.fill || "#e3f2fd",
+        stroke,
+        "stroke-width": 2,
+      })
+    );
+
+    const header = PoolLanes.header(node);
+    container.appendChild(
+      this._element("rect", {
+        ...header,
+        fill: "#bbdefb",
+        stroke,
+        "stroke-width": 2,
+      })
+    );
+    if (node.label) {
+      container.appendChild(
+        this._label(header, node.label, horizontal, { "font-weight": "bold" })
+      );
+    }
+
+    PoolLanes.lanes(node).forEach((lane) => {
+      container.appendChild(
+        this._element("rect", {
+          ...lane.header,
+          fill: "#e3f2fd",
+          stroke,
+          "stroke-width": 1,
+          "data-lane-id": lane.id,
+        })
+      );
+      if (lane.label) {
+        container.appendChild(this._label(lane.header, lane.label, horizontal));
+      }
+    });
+
+    PoolLanes.dividers(node).forEach((divider) => {
+      container.appendChild(
+        this._element("line", {
+          x1: divider.from.x,
+          y1: divider.from.y,
+          x2: divider.to.x,
+          y2: divider.to.y,
+          stroke,
+          "stroke-width": 2,
+          class: "lane-divider",
+          cursor: horizontal ? "row-resize" : "col-resize",
+          "data-lane-id": divider.laneId,
+        })
+      );
+    });
+
+    return container;
+  }
+
+  /**
+   * Label centred in a header strip; strips along the left edge of
+   * horizontal lanes are read bottom to top
+   * @private
+   */
+  _label(rect, text, rotated, attributes = {}) {
+    const cx = rect.x + rect.width / 2;
+    const cy = rect.y + rect.height / 2;
+    const label = this._element("text", {
+      x: cx,
+      y: cy,
+      "text-anchor": "middle",
+      "dominant-baseline": "middle",
+      ...attributes,
+    });
+    if (rotated) {
+      label.setAttribute("transform", `rotate(-90 ${cx} ${cy})`);
+    }
+    label.textContent = text;
+    return label;
+  }
+
+  /**
+   * Create an SVG element
+   * @private
+   */
+  _element(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) =>
+      element.setAttribute(name, value)
+    );
+    return element;
+  }
+
   getConnectionPoints(node) {
     const { x, y, width, height } = node;
     return [
@@ -7,6 +7,7 @@ export {
   CircleShape,
   DiamondShape,
   EllipseShape,
+  ImageShape,
   PolygonShape,
   RectShape,
   StarShape,
@@ -71,6 +71,37 @@ export class ShapeRegistry {
     }
   }
 
+  /**
+   * Register a shape class, taking what the definition leaves out (name,
+   * category, default size) from a default instance of the class
+   * @param {string} type - Shape type identifier
+   * @param {Class} ShapeClass - Shape class constructor
+   * @param {Object} [definition] - Known parts of the definition
+   */
+  registerShape(type, ShapeClass, definition = {}) {
+    let instance = {};
+    try {
+      instance = new ShapeClass({}) || {};
+    } catch (error) {
+      // Some classes need a full config; the fallbacks below will do
+    }
+
+    this.register(type, ShapeClass, {
+      // BaseShape names every shape "Base Shape" unless told otherwise
+      name:
+        instance.name && instance.name !== "Base Shape"
+          ? instance.name
+          : titleCase(type),
+      category: instance.category || "basic",
+      tags: [type],
+      defaultSize: {
+        width: instance.width || 100,
+        height: instance.height || 80,
+      },
+      ...definition,
+    });
+  }
+
   /**
    * Unregister a shape type
    * @param {string} type - Shape type to unregister
@@ -151,6 +182,15 @@ export class ShapeRegistry {
     return this.shapes.has(type);
   }
 
+  /**
+   * Same as has(); the name NodeManager validates types with
+   * @param {string} type - Shape type
+   * @returns {boolean}
+   */
+  hasShape(type) {
+    return this.has(type);
+  }
+
   /**
    * Get shape class for a type
    * @param {string} type - Shape type
@@ -405,3 +445,14 @@ export class ShapeRegistry {
     };
   }
 }
+
+/**
+ * 'manual-input' -> 'Manual Input'
+ * @private
+ */
+function titleCase(type) {
+  return type
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
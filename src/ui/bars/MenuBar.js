@@ -231,6 +231,14 @@ export class MenuBar {
       this._closeAllMenus();
     });
 
+    // Items contributed by plugins
+    this.eventBus.on("ui:menu:add", ({ menu, item }) => {
+      this.addMenuItem(menu, item);
+    });
+    this.eventBus.on("ui:menu:remove", ({ itemId }) => {
+      this.removeMenuItem(itemId);
+    });
+
     this.eventBus.on("history:changed", ({ canUndo, canRedo }) => {
       this._setMenuItemEnabled("undo", canUndo);
       this._setMenuItemEnabled("redo", canRedo);
@@ -282,6 +290,15 @@ export class MenuBar {
     }
   }
 
+  removeMenuItem(itemId) {
+    const item = this.container.querySelector(
+      `.menu-item[data-action="${itemId}"]`
+    );
+    if (item) {
+      item.remove();
+    }
+  }
+
   destroy() {
     this.menus = [];
     if (this.container) {
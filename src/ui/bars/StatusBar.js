@@ -2,6 +2,8 @@
  * StatusBar.js - Bottom status bar with information display
  */
 
+import { ValidationIssues } from "../../core/validation/ValidationIssues.js";
+
 export class StatusBar {
   constructor(eventBus, stateManager) {
     this.eventBus = eventBus;
@@ -54,6 +56,17 @@ export class StatusBar {
     rightSection.appendChild(statsEl);
     this.sections.set("stats", statsEl);
 
+    // Clicking the counts asks for the problems panel
+    const problemsEl = document.createElement("span");
+    problemsEl.className = "statusbar-problems";
+    problemsEl.title = "Show problems";
+    problemsEl.addEventListener("click", () =>
+      this.eventBus.emit("problems:show")
+    );
+    rightSection.appendChild(problemsEl);
+    this.sections.set("problems", problemsEl);
+    this.updateProblems(0, 0);
+
     const zoomEl = document.createElement("span");
     zoomEl.className = "statusbar-zoom";
     zoomEl.textContent = "100%";
@@ -81,6 +94,14 @@ export class StatusBar {
     this.eventBus.on("edge:created", () => this._updateStats());
     this.eventBus.on("edge:deleted", () => this._updateStats());
 
+    // Update validation problem counts
+    this.eventBus.on("validation:complete", ({ errors, warnings }) => {
+      this.updateProblems(
+        ValidationIssues.count(errors),
+        ValidationIssues.count(warnings)
+      );
+    });
+
     // Update zoom level
     this.eventBus.on("viewport:zoom", ({ zoom }) => {
       this.updateZoom(zoom);
@@ -124,6 +145,18 @@ export class StatusBar {
     }
   }
 
+  updateProblems(errorCount, warningCount) {
+    const problemsEl = this.sections.get("problems");
+    if (!problemsEl) return;
+
+    problemsEl.textContent = `✖ ${errorCount}  ⚠ ${warningCount}`;
+    problemsEl.classList.toggle("has-errors", errorCount > 0);
+    problemsEl.classList.toggle(
+      "has-warnings",
+      errorCount === 0 && warningCount > 0
+    );
+  }
+
   updateZoom(zoom) {
     const zoomEl = this.sections.get("zoom");
     if (zoomEl) {
@@ -79,7 +79,7 @@ export class ToolBar {
     const btn = document.createElement("button");
     btn.className = "toolbar-button";
     btn.dataset.tool = tool.id;
-    btn.title = `${tool.label} (${tool.shortcut})`;
+    btn.title = tool.shortcut ? `${tool.label} (${tool.shortcut})` : tool.label;
 
     if (tool.id === this.activeTool) {
       btn.classList.add("active");
@@ -95,7 +95,10 @@ export class ToolBar {
     label.textContent = tool.label;
     btn.appendChild(label);
 
-    btn.addEventListener("click", () => this.setActiveTool(tool.id));
+    // Action buttons (e.g. from plugins) run instead of becoming the tool
+    btn.addEventListener("click", () =>
+      tool.onClick ? tool.onClick() : this.setActiveTool(tool.id)
+    );
 
     this.tools.set(tool.id, btn);
     return btn;
@@ -168,6 +171,12 @@ export class ToolBar {
       }
     });
 
+    // Buttons contributed by plugins
+    this.eventBus.on("ui:toolbar:add", ({ button }) => this.addTool(button));
+    this.eventBus.on("ui:toolbar:remove", ({ buttonId }) =>
+      this.removeTool(buttonId)
+    );
+
     // Listen for selection changes to enable/disable delete
     this.eventBus.on("selection:changed", ({ nodes, edges }) => {
       const hasSelection = nodes.length > 0 || edges.length > 0;
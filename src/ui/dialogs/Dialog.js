@@ -2,6 +2,10 @@
  * UI Dialogs and Overlays
  */
 
+import { PAGE_SIZES } from "../../core/formats/PdfFormat.js";
+
+const POINTS_PER_MM = 72 / 25.4;
+
 /**
  * Modal Dialog Base Class
  */
@@ -167,11 +171,17 @@ export class ShapePickerDialog extends Dialog {
 
 /**
  * ExportDialog
+ *
+ * Lists the formats in the ExportManager's registry that can export,
+ * plugin formats included. PDF opens a second step with page setup:
+ * paper size, orientation, margins, fit-to-page or tiling at a print
+ * scale, and header/footer.
  */
 export class ExportDialog extends Dialog {
   constructor(eventBus, exportManager, options = {}) {
     super(eventBus);
     this.exportManager = exportManager;
+    this.title = options.title || "";
   }
 
   render() {
@@ -183,12 +193,9 @@ export class ExportDialog extends Dialog {
     const body = document.createElement("div");
     body.className = "dialog-body";
 
-    const formats = [
-      { id: "png", name: "PNG Image", icon: "🖼" },
-      { id: "svg", name: "SVG Vector", icon: "📐" },
-      { id: "pdf", name: "PDF Document", icon: "📄" },
-      { id: "json", name: "JSON Data", icon: "📋" },
-    ];
+    const formats = this.exportManager
+      ? this.exportManager.getFormats({ canExport: true })
+      : [];
 
     const formatList = document.createElement("div");
     formatList.className = "export-format-list";
@@ -196,20 +203,532 @@ export class ExportDialog extends Dialog {
     formats.forEach((format) => {
       const item = document.createElement("button");
       item.className = "export-format-item";
-      item.innerHTML = `<span class="icon">${format.icon}</span><span>${format.name}</span>`;
+      const icon = document.createElement("span");
+      icon.className = "icon";
+      icon.textContent = format.icon || "📄";
+      const name = document.createElement("span");
+      name.textContent = format.name;
+      item.append(icon, name);
       item.addEventListener("click", () => {
-        this._export(format.id);
+        if (format.id === "pdf") {
+          this._renderPdfOptions();
+        } else {
+          this._export(format.id, {}, error);
+        }
       });
       formatList.appendChild(item);
     });
 
+    const error = document.createElement("div");
+    error.className = "export-error";
+
     body.appendChild(formatList);
+    body.appendChild(error);
     this.dialog.appendChild(body);
   }
 
-  _export(format) {
-    this.eventBus.emit("export:start", { format });
-    this.close();
+  /**
+   * Replace the format list with PDF page setup
+   * @private
+   */
+  _renderPdfOptions() {
+    const defaults = this.exportManager
+      ? this.exportManager.getDefaultOptions("pdf")
+      : {};
+    this.dialog.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "dialog-header";
+    header.textContent = "PDF Page Setup";
+    this.dialog.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "dialog-body export-pdf-options";
+
+    const pageSize = this._select(
+      Object.keys(PAGE_SIZES).map((name) => [name, name]),
+      defaults.format || "A4"
+    );
+    const orientation = this._select(
+      [
+        ["landscape", "Landscape"],
+        ["portrait", "Portrait"],
+      ],
+      defaults.orientation || "landscape"
+    );
+    const margins = this._input(
+      "number",
+      Math.round(
+        (typeof defaults.margins === "number" ? defaults.margins : 36) /
+          POINTS_PER_MM
+      )
+    );
+    margins.min = "0";
+    const mode = this._select(
+      [
+        ["fit", "Fit to one page"],
+        ["tile", "Tile across pages"],
+      ],
+      defaults.mode || "fit"
+    );
+    const scale = this._input(
+      "number",
+      Math.round((defaults.scale || 1) * 100)
+    );
+    scale.min = "10";
+    scale.step = "10";
+    const title = this._input("text", defaults.title || this.title);
+    title.placeholder = "Flowchart";
+    const showHeader = this._input("checkbox");
+    showHeader.checked = defaults.header !== false;
+    const showFooter = this._input("checkbox");
+    showFooter.checked = defaults.footer !== false;
+
+    const updateScale = () => {
+      scale.disabled = mode.value !== "tile";
+    };
+    mode.addEventListener("change", updateScale);
+    updateScale();
+
+    [
+      ["Page size", pageSize],
+      ["Orientation", orientation],
+      ["Margins (mm)", margins],
+      ["Layout", mode],
+      ["Print scale (%)", scale],
+      ["Header with title", showHeader],
+      ["Title", title],
+      ["Footer with page numbers", showFooter],
+    ].forEach(([label, input]) => body.appendChild(this._row(label, input)));
+
+    const error = document.createElement("div");
+    error.className = "export-error";
+    body.appendChild(error);
+    this.dialog.appendChild(body);
+
+    const footer = document.createElement("div");
+    footer.className = "dialog-footer";
+
+    const backBtn = document.createElement("button");
+    backBtn.textContent = "Back";
+    backBtn.className = "btn btn-secondary";
+    backBtn.addEventListener("click", () => {
+      this.dialog.innerHTML = "";
+      this.render();
+    });
+    footer.appendChild(backBtn);
+
+    const exportBtn = document.createElement("button");
+    exportBtn.textContent = "Export PDF";
+    exportBtn.className = "btn btn-primary";
+    exportBtn.addEventListener("click", () => {
+      this._export(
+        "pdf",
+        {
+          format: pageSize.value,
+          orientation: orientation.value,
+          margins: Math.max(0, parseFloat(margins.value) || 0) * POINTS_PER_MM,
+          mode: mode.value,
+          scale: Math.max(10, parseFloat(scale.value) || 100) / 100,
+          header: showHeader.checked,
+          footer: showFooter.checked,
+          title: title.value,
+        },
+        error
+      );
+    });
+    footer.appendChild(exportBtn);
+
+    this.dialog.appendChild(footer);
+  }
+
+  /**
+   * @private
+   */
+  _row(labelText, input) {
+    const row = document.createElement("div");
+    row.className = "property-row";
+
+    const label = document.createElement("label");
+    label.textContent = labelText;
+    row.appendChild(label);
+    row.appendChild(input);
+
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  _select(options, value) {
+    const select = document.createElement("select");
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  }
+
+  /**
+   * @private
+   */
+  _input(type, value) {
+    const input = document.createElement("input");
+    input.type = type;
+    if (value !== undefined) input.value = value;
+    return input;
+  }
+
+  /**
+   * Export and download in a registered format; failures are shown in
+   * the error element and keep the dialog open
+   * @private
+   */
+  async _export(format, options = {}, errorElement = null) {
+    this.eventBus.emit("export:start", { format, options });
+    try {
+      if (this.exportManager) {
+        await this.exportManager.downloadFormat(format, undefined, options);
+      }
+      this.close();
+    } catch (e) {
+      if (errorElement) errorElement.textContent = e.message;
+    }
+  }
+}
+
+/**
+ * DeleteContainerDialog
+ *
+ * Asks whether deleting containers (group, frame, swimlane) should keep
+ * the nodes inside them or delete those too.
+ */
+export class DeleteContainerDialog extends Dialog {
+  constructor(eventBus, options = {}) {
+    super(eventBus);
+    this.count = options.count || 1;
+    this.onConfirm = options.onConfirm || (() => {});
+  }
+
+  render() {
+    const header = document.createElement("div");
+    header.className = "dialog-header";
+    header.textContent =
+      this.count > 1 ? "Delete Containers" : "Delete Container";
+    this.dialog.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "dialog-body";
+    body.textContent =
+      "What should happen to the shapes inside? Kept shapes move to the " +
+      "enclosing container.";
+    this.dialog.appendChild(body);
+
+    const footer = document.createElement("div");
+    footer.className = "dialog-footer";
+
+    const choices = [
+      { label: "Cancel", className: "btn btn-secondary", value: null },
+      { label: "Keep Contents", className: "btn btn-secondary", value: false },
+      { label: "Delete All", className: "btn btn-primary", value: true },
+    ];
+    choices.forEach(({ label, className, value }) => {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.className = className;
+      button.addEventListener("click", () => {
+        if (value !== null) {
+          this.onConfirm({ deleteChildren: value });
+        }
+        this.close();
+      });
+      footer.appendChild(button);
+    });
+
+    this.dialog.appendChild(footer);
+  }
+}
+
+/**
+ * RecoveryDialog
+ *
+ * Offered on startup when the last session ended without closing cleanly:
+ * restore its autosaved diagram or keep the empty one.
+ */
+export class RecoveryDialog extends Dialog {
+  constructor(eventBus, options = {}) {
+    super(eventBus);
+    this.document = options.document || {};
+    this.onRestore = options.onRestore || (() => {});
+    this.onDiscard = options.onDiscard || (() => {});
+  }
+
+  render() {
+    const header = document.createElement("div");
+    header.className = "dialog-header";
+    header.textContent = "Restore Unsaved Work?";
+    this.dialog.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "dialog-body";
+    const saved = this.document.updatedAt
+      ? new Date(this.document.updatedAt).toLocaleString()
+      : "earlier";
+    body.textContent =
+      `The editor was closed unexpectedly. "${this.document.name}" was ` +
+      `autosaved ${saved}. It stays in the library either way.`;
+    this.dialog.appendChild(body);
+
+    const footer = document.createElement("div");
+    footer.className = "dialog-footer";
+
+    const discardBtn = document.createElement("button");
+    discardBtn.textContent = "Start Fresh";
+    discardBtn.className = "btn btn-secondary";
+    discardBtn.addEventListener("click", () => {
+      this.onDiscard();
+      this.close();
+    });
+    footer.appendChild(discardBtn);
+
+    const restoreBtn = document.createElement("button");
+    restoreBtn.textContent = "Restore";
+    restoreBtn.className = "btn btn-primary";
+    restoreBtn.addEventListener("click", () => {
+      this.onRestore();
+      this.close();
+    });
+    footer.appendChild(restoreBtn);
+
+    this.dialog.appendChild(footer);
+  }
+}
+
+/**
+ * LibraryDialog
+ *
+ * Recent documents from the PersistenceManager with thumbnails; open,
+ * rename, duplicate, delete, or start a new diagram.
+ */
+export class LibraryDialog extends Dialog {
+  constructor(eventBus, persistenceManager) {
+    super(eventBus);
+    this.persistence = persistenceManager;
+    this.list = null;
+    this.error = null;
+    this.thumbnailUrls = [];
+    this.unsubscribe = null;
+  }
+
+  open() {
+    super.open();
+    this.unsubscribe = this.eventBus.on("persistence:library:changed", () =>
+      this._refresh()
+    );
+  }
+
+  close() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this._revokeThumbnails();
+    super.close();
+  }
+
+  render() {
+    const header = document.createElement("div");
+    header.className = "dialog-header";
+    header.textContent = "Diagrams";
+    this.dialog.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "dialog-body";
+
+    this.list = document.createElement("div");
+    this.list.className = "library-list";
+    body.appendChild(this.list);
+
+    this.error = document.createElement("div");
+    this.error.className = "export-error";
+    body.appendChild(this.error);
+    this.dialog.appendChild(body);
+
+    const footer = document.createElement("div");
+    footer.className = "dialog-footer";
+
+    const closeBtn = document.createElement("button");
+    closeBtn.textContent = "Close";
+    closeBtn.className = "btn btn-secondary";
+    closeBtn.addEventListener("click", () => this.close());
+    footer.appendChild(closeBtn);
+
+    const newBtn = document.createElement("button");
+    newBtn.textContent = "New Diagram";
+    newBtn.className = "btn btn-primary";
+    newBtn.addEventListener("click", () =>
+      this._run(() => this.persistence.newDocument(), true)
+    );
+    footer.appendChild(newBtn);
+
+    this.dialog.appendChild(footer);
+
+    this._refresh();
+  }
+
+  /**
+   * Reload the document list
+   * @private
+   */
+  async _refresh() {
+    let documents;
+    try {
+      documents = await this.persistence.listDocuments();
+    } catch (e) {
+      this.error.textContent = e.message;
+      return;
+    }
+    if (!this.isOpen) return;
+
+    this._revokeThumbnails();
+    this.list.innerHTML = "";
+
+    if (documents.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "library-empty";
+      empty.textContent = "Diagrams are saved here as you edit them.";
+      this.list.appendChild(empty);
+      return;
+    }
+
+    const currentId = this.persistence.getCurrentDocument().id;
+    documents.forEach((doc) =>
+      this.list.appendChild(this._item(doc, doc.id === currentId))
+    );
+  }
+
+  /**
+   * @private
+   */
+  _item(doc, isCurrent) {
+    const item = document.createElement("div");
+    item.className = "library-item";
+    item.classList.toggle("current", isCurrent);
+
+    const preview = document.createElement("button");
+    preview.className = "library-thumbnail";
+    preview.title = "Open";
+    if (doc.thumbnail) {
+      const url = URL.createObjectURL(doc.thumbnail);
+      this.thumbnailUrls.push(url);
+      const img = document.createElement("img");
+      img.src = url;
+      img.alt = "";
+      preview.appendChild(img);
+    }
+    preview.addEventListener("click", () =>
+      this._run(() => this.persistence.openDocument(doc.id), true)
+    );
+    item.appendChild(preview);
+
+    const name = document.createElement("div");
+    name.className = "library-name";
+    name.textContent = doc.name;
+    item.appendChild(name);
+
+    const details = document.createElement("div");
+    details.className = "library-details";
+    details.textContent =
+      `${doc.nodeCount} shapes · ` + new Date(doc.updatedAt).toLocaleString();
+    item.appendChild(details);
+
+    const actions = document.createElement("div");
+    actions.className = "library-actions";
+
+    const rename = this._action("Rename", () => this._rename(doc, name));
+    const duplicate = this._action("Duplicate", () =>
+      this._run(() => this.persistence.duplicateDocument(doc.id))
+    );
+    // Deleting takes a second click
+    const remove = this._action("Delete", () => {
+      if (!remove.classList.contains("confirm")) {
+        remove.classList.add("confirm");
+        remove.textContent = "Really delete?";
+        return;
+      }
+      this._run(() => this.persistence.deleteDocument(doc.id));
+    });
+    actions.append(rename, duplicate, remove);
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Swap the name for a text field; Enter or leaving it renames
+   * @private
+   */
+  _rename(doc, nameElement) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = doc.name;
+    input.className = "library-name-input";
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (commit && input.value.trim() && input.value !== doc.name) {
+        this._run(() => this.persistence.renameDocument(doc.id, input.value));
+      } else {
+        input.replaceWith(nameElement);
+      }
+    };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finish(true);
+      if (e.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(true));
+
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * @private
+   */
+  _action(label, onClick) {
+    const button = document.createElement("button");
+    button.className = "btn btn-secondary library-action";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Run a library operation; failures are shown in the dialog
+   * @private
+   */
+  async _run(operation, closeAfter = false) {
+    this.error.textContent = "";
+    try {
+      await operation();
+      if (closeAfter) this.close();
+    } catch (e) {
+      this.error.textContent = e.message;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _revokeThumbnails() {
+    this.thumbnailUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.thumbnailUrls = [];
   }
 }
 
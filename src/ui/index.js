@@ -12,8 +12,11 @@ export {
   LeftPalette,
   RightInspector,
   LayersPanel,
+  SimulationPanel,
+  ProblemsPanel,
   MiniMap,
 } from "./panels/Panels.js";
+export { ShapePreview } from "./panels/ShapePreview.js";
 
 // Dialogs
 export {
@@ -21,6 +24,9 @@ export {
   ColorPickerDialog,
   ShapePickerDialog,
   ExportDialog,
+  DeleteContainerDialog,
+  RecoveryDialog,
+  LibraryDialog,
 } from "./dialogs/Dialog.js";
 
 // Overlays
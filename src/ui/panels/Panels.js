@@ -1,21 +1,62 @@
 /**
- * Panels.js - All panel components (LeftPalette, RightInspector, LayersPanel, MiniMap)
+ * Panels.js - All panel components (LeftPalette, RightInspector, LayersPanel,
+ * SimulationPanel, ProblemsPanel, MiniMap)
  */
 
+import { ValidationIssues } from "../../core/validation/ValidationIssues.js";
+import { ShapePreview, DEFAULT_PREVIEW_COLORS } from "./ShapePreview.js";
+
+// Favorites and recently used shapes, kept between sessions
+const PALETTE_STORAGE_KEY = "flowchart-editor-palette";
+const MAX_RECENT = 8;
+
+// Palette order of the built-in categories; others follow
+const CATEGORY_NAMES = {
+  basic: "Basic",
+  flowchart: "Flowchart",
+  network: "Network",
+  uml: "UML",
+  container: "Container",
+  arrows: "Arrows",
+  text: "Text",
+};
+
 /**
  * LeftPalette - Shape selection palette
+ *
+ * Thumbnails are drawn by the registered shape classes in the current
+ * theme's node colours. Favorites and recently used shapes come first;
+ * search lists ShapeRegistry.search() hits with the match highlighted.
  */
 export class LeftPalette {
-  constructor(eventBus, stateManager, shapeRegistry) {
+  constructor(
+    eventBus,
+    stateManager,
+    shapeRegistry,
+    themeManager = null,
+    options = {}
+  ) {
     this.eventBus = eventBus;
     this.stateManager = stateManager;
     this.shapeRegistry = shapeRegistry;
+    this.themeManager = themeManager;
+    this.getZoom = options.getZoom || (() => 1); // Drag ghosts match it
     this.container = null;
+    this.content = null;
+    this.pinned = null;
+    this.hoverPreview = null;
     this.categories = new Map();
+    this.previews = new Map(); // type -> thumbnail, cloned for each item
+    this.favorites = [];
+    this.recent = [];
+    this.query = "";
+
+    this._loadPreferences();
   }
 
   initialize(containerElement) {
     this.container = containerElement;
+    this._setupEventListeners();
     this.render();
   }
 
@@ -32,63 +73,159 @@ export class LeftPalette {
     search.type = "text";
     search.className = "palette-search";
     search.placeholder = "Search shapes...";
+    search.value = this.query;
     search.addEventListener("input", (e) => this._filterShapes(e.target.value));
     this.container.appendChild(search);
 
-    const content = document.createElement("div");
-    content.className = "palette-content";
+    this.content = document.createElement("div");
+    this.content.className = "palette-content";
+    this.container.appendChild(this.content);
 
-    const categories = [
-      {
-        id: "basic",
-        name: "Basic",
-        shapes: ["rect", "circle", "diamond", "polygon", "star"],
-      },
-      {
-        id: "flowchart",
-        name: "Flowchart",
-        shapes: [
-          "process",
-          "decision",
-          "manual-input",
-          "display",
-          "preparation",
-        ],
-      },
-      {
-        id: "network",
-        name: "Network",
-        shapes: ["switch", "firewall", "cloud", "database", "workstation"],
-      },
-      {
-        id: "uml",
-        name: "UML",
-        shapes: ["class", "interface", "actor", "component", "package"],
-      },
-      {
-        id: "container",
-        name: "Container",
-        shapes: ["swimlane", "group", "frame"],
-      },
-      {
-        id: "arrows",
-        name: "Arrows",
-        shapes: ["straight-arrow", "curved-arrow", "double-arrow"],
-      },
-    ];
+    this._renderContent();
+  }
+
+  /**
+   * Star or unstar a shape
+   * @param {string} shapeId
+   * @returns {boolean} - True if it is now a favorite
+   */
+  toggleFavorite(shapeId) {
+    const favorite = !this.isFavorite(shapeId);
+    this.favorites = favorite
+      ? [...this.favorites, shapeId]
+      : this.favorites.filter((id) => id !== shapeId);
+    this._savePreferences();
+
+    if (this.content) {
+      this.content
+        .querySelectorAll(`.shape-item[data-shape="${shapeId}"]`)
+        .forEach((item) => this._updateFavoriteButton(item, favorite));
+      if (!this.query) this._renderPinned();
+    }
+
+    return favorite;
+  }
 
-    categories.forEach((category) => {
+  /**
+   * @param {string} shapeId
+   * @returns {boolean}
+   */
+  isFavorite(shapeId) {
+    return this.favorites.includes(shapeId);
+  }
+
+  /**
+   * Move a shape to the front of the recently used list
+   * @param {string} shapeId
+   */
+  markUsed(shapeId) {
+    this.recent = [
+      shapeId,
+      ...this.recent.filter((id) => id !== shapeId),
+    ].slice(0, MAX_RECENT);
+    this._savePreferences();
+    if (this.content && !this.query) this._renderPinned();
+  }
+
+  _setupEventListeners() {
+    // Thumbnails follow the theme
+    ["theme:changed", "theme:colors:changed", "theme:colors:cleared"].forEach(
+      (event) =>
+        this.eventBus.on(event, () => {
+          this.previews.clear();
+          if (this.content) this._renderContent();
+        })
+    );
+  }
+
+  _renderContent() {
+    this.content.innerHTML = "";
+    this.categories.clear();
+
+    if (this.query) {
+      this._renderResults();
+      return;
+    }
+
+    this.pinned = document.createElement("div");
+    this.pinned.className = "palette-pinned";
+    this.content.appendChild(this.pinned);
+    this._renderPinned();
+
+    this._getCategories().forEach((category) => {
       const categoryEl = this._createCategory(category);
-      content.appendChild(categoryEl);
+      this.content.appendChild(categoryEl);
       this.categories.set(category.id, categoryEl);
     });
+  }
 
-    this.container.appendChild(content);
+  /**
+   * Favorites and Recently Used
+   * @private
+   */
+  _renderPinned() {
+    this.pinned.innerHTML = "";
+
+    const known = (ids) => ids.filter((id) => this.shapeRegistry.has(id));
+    const sections = [
+      { id: "favorites", name: "Favorites", shapes: known(this.favorites) },
+      { id: "recent", name: "Recently Used", shapes: known(this.recent) },
+    ];
+
+    sections
+      .filter((section) => section.shapes.length > 0)
+      .forEach((section) =>
+        this.pinned.appendChild(this._createCategory(section))
+      );
+  }
+
+  /**
+   * Search hits, best first
+   * @private
+   */
+  _renderResults() {
+    const query = this.query;
+    const results = this.shapeRegistry.search(query);
+
+    if (results.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "palette-empty";
+      empty.textContent = `No shapes match "${query}"`;
+      this.content.appendChild(empty);
+      return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "category-grid palette-results";
+    results.forEach(({ type }) =>
+      grid.appendChild(this._createShapeItem(type, query))
+    );
+    this.content.appendChild(grid);
+  }
+
+  /**
+   * Registered categories, built-in ones in their usual order
+   * @private
+   */
+  _getCategories() {
+    const order = Object.keys(CATEGORY_NAMES);
+    const rank = (id) =>
+      order.includes(id) ? order.indexOf(id) : order.length;
+
+    return this.shapeRegistry
+      .getCategories()
+      .sort((a, b) => rank(a) - rank(b))
+      .map((id) => ({
+        id,
+        name: CATEGORY_NAMES[id] || id.charAt(0).toUpperCase() + id.slice(1),
+        shapes: this.shapeRegistry.getTypesByCategory(id),
+      }));
   }
 
   _createCategory(category) {
     const categoryEl = document.createElement("div");
     categoryEl.className = "palette-category";
+    categoryEl.dataset.category = category.id;
 
     const header = document.createElement("div");
     header.className = "category-header";
@@ -110,46 +247,238 @@ export class LeftPalette {
     return categoryEl;
   }
 
-  _createShapeItem(shapeId) {
+  /**
+   * One palette entry
+   * @param {string} shapeId
+   * @param {string} [query] - Search text to highlight in the name
+   * @private
+   */
+  _createShapeItem(shapeId, query = "") {
+    const definition = this.shapeRegistry.getDefinition(shapeId) || {};
+    const name = definition.name || shapeId;
+
     const item = document.createElement("div");
-    item.className = "shape-item";
+    item.className = query ? "shape-item search-hit" : "shape-item";
     item.dataset.shape = shapeId;
-    item.title = shapeId;
+    item.title = definition.description || name;
     item.draggable = true;
 
     const preview = document.createElement("div");
     preview.className = "shape-preview";
-    preview.textContent = shapeId[0].toUpperCase();
+    preview.appendChild(this._getPreview(shapeId));
     item.appendChild(preview);
 
     const label = document.createElement("div");
     label.className = "shape-label";
-    label.textContent = shapeId;
+    label.appendChild(this._highlight(name, query));
     item.appendChild(label);
 
+    const favorite = document.createElement("button");
+    favorite.type = "button";
+    favorite.className = "shape-favorite";
+    favorite.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleFavorite(shapeId);
+    });
+    item.appendChild(favorite);
+    this._updateFavoriteButton(item, this.isFavorite(shapeId));
+
+    item.addEventListener("mouseenter", () =>
+      this._showHoverPreview(shapeId, item)
+    );
+    item.addEventListener("mouseleave", () => this._hideHoverPreview());
+
     item.addEventListener("dragstart", (e) => {
       e.dataTransfer.setData("shape", shapeId);
       e.dataTransfer.effectAllowed = "copy";
+      this._hideHoverPreview();
+      this._setDragGhost(e, shapeId);
+    });
+    item.addEventListener("dragend", (e) => {
+      if (e.dataTransfer && e.dataTransfer.dropEffect !== "none") {
+        this.markUsed(shapeId);
+      }
     });
 
     item.addEventListener("click", () => {
       this.eventBus.emit("shape:selected", { shapeId });
+      this.markUsed(shapeId);
     });
 
     return item;
   }
 
-  _filterShapes(query) {
-    const lowerQuery = query.toLowerCase();
-    this.container.querySelectorAll(".shape-item").forEach((item) => {
-      const shapeId = item.dataset.shape;
-      const matches = shapeId.toLowerCase().includes(lowerQuery);
-      item.style.display = matches ? "flex" : "none";
+  _updateFavoriteButton(item, favorite) {
+    const button = item.querySelector(".shape-favorite");
+    button.textContent = favorite ? "★" : "☆";
+    button.title = favorite ? "Remove from favorites" : "Add to favorites";
+    button.classList.toggle("active", favorite);
+  }
+
+  /**
+   * Thumbnail for a shape; drawn once per theme, then cloned
+   * @private
+   */
+  _getPreview(shapeId) {
+    if (!this.previews.has(shapeId)) {
+      this.previews.set(
+        shapeId,
+        ShapePreview.render(this.shapeRegistry, shapeId, {
+          colors: this._getColors(),
+        })
+      );
+    }
+    return this.previews.get(shapeId).cloneNode(true);
+  }
+
+  /**
+   * Node colours of the current theme
+   * @private
+   */
+  _getColors() {
+    const theme = this.themeManager && this.themeManager.getCurrentTheme();
+    if (!theme || !theme.node) return DEFAULT_PREVIEW_COLORS;
+
+    return {
+      fill: theme.node.fill,
+      stroke: theme.node.stroke,
+      strokeWidth: theme.node.strokeWidth,
+      text: theme.node.text,
+    };
+  }
+
+  /**
+   * Name with the first occurrence of the query marked
+   * @private
+   */
+  _highlight(name, query) {
+    const fragment = document.createDocumentFragment();
+    const index = query ? name.toLowerCase().indexOf(query.toLowerCase()) : -1;
+
+    if (index < 0) {
+      fragment.appendChild(document.createTextNode(name));
+      return fragment;
+    }
+
+    const mark = document.createElement("mark");
+    mark.textContent = name.slice(index, index + query.length);
+    fragment.appendChild(document.createTextNode(name.slice(0, index)));
+    fragment.appendChild(mark);
+    fragment.appendChild(
+      document.createTextNode(name.slice(index + query.length))
+    );
+    return fragment;
+  }
+
+  /**
+   * Larger preview next to the hovered item
+   * @private
+   */
+  _showHoverPreview(shapeId, item) {
+    if (!this.hoverPreview) {
+      this.hoverPreview = document.createElement("div");
+      this.hoverPreview.className = "palette-hover-preview";
+      document.body.appendChild(this.hoverPreview);
+    }
+
+    const definition = this.shapeRegistry.getDefinition(shapeId) || {};
+    this.hoverPreview.innerHTML = "";
+    this.hoverPreview.appendChild(
+      ShapePreview.render(this.shapeRegistry, shapeId, {
+        size: 120,
+        colors: this._getColors(),
+        label: definition.name || shapeId,
+      })
+    );
+
+    const name = document.createElement("div");
+    name.className = "hover-preview-name";
+    name.textContent = definition.name || shapeId;
+    this.hoverPreview.appendChild(name);
+
+    if (definition.description) {
+      const description = document.createElement("div");
+      description.className = "hover-preview-description";
+      description.textContent = definition.description;
+      this.hoverPreview.appendChild(description);
+    }
+
+    const rect = item.getBoundingClientRect();
+    this.hoverPreview.style.left = `${rect.right + 8}px`;
+    this.hoverPreview.style.top = `${rect.top}px`;
+    this.hoverPreview.classList.add("visible");
+  }
+
+  _hideHoverPreview() {
+    if (this.hoverPreview) this.hoverPreview.classList.remove("visible");
+  }
+
+  /**
+   * Drag the shape itself, at canvas size, instead of the palette tile
+   * @private
+   */
+  _setDragGhost(e, shapeId) {
+    if (!e.dataTransfer || !e.dataTransfer.setDragImage) return;
+
+    const ghost = document.createElement("div");
+    ghost.className = "palette-drag-ghost";
+    const svg = ShapePreview.render(this.shapeRegistry, shapeId, {
+      scale: this.getZoom(),
+      colors: this._getColors(),
     });
+    ghost.appendChild(svg);
+    // The browser snapshots the ghost, so it only has to exist right now
+    document.body.appendChild(ghost);
+
+    e.dataTransfer.setDragImage(
+      ghost,
+      Number(svg.getAttribute("width")) / 2,
+      Number(svg.getAttribute("height")) / 2
+    );
+    setTimeout(() => ghost.remove(), 0);
+  }
+
+  _filterShapes(query) {
+    this.query = query.trim();
+    this._hideHoverPreview();
+    this._renderContent();
+  }
+
+  /**
+   * Load favorites and recent shapes
+   * @private
+   */
+  _loadPreferences() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PALETTE_STORAGE_KEY));
+      if (saved) {
+        this.favorites = Array.isArray(saved.favorites) ? saved.favorites : [];
+        this.recent = Array.isArray(saved.recent) ? saved.recent : [];
+      }
+    } catch (error) {
+      // localStorage not available or unreadable
+    }
+  }
+
+  /**
+   * @private
+   */
+  _savePreferences() {
+    try {
+      localStorage.setItem(
+        PALETTE_STORAGE_KEY,
+        JSON.stringify({ favorites: this.favorites, recent: this.recent })
+      );
+    } catch (error) {
+      // localStorage not available
+    }
   }
 
   destroy() {
     this.categories.clear();
+    this.previews.clear();
+    if (this.hoverPreview) this.hoverPreview.remove();
+    this.hoverPreview = null;
     if (this.container) this.container.innerHTML = "";
   }
 }
@@ -487,6 +816,271 @@ export class LayersPanel {
   }
 }
 
+/**
+ * SimulationPanel - Step/back/reset controls for walking through a flowchart
+ */
+export class SimulationPanel {
+  constructor(eventBus, stateManager, simulationManager, nodeManager) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.simulationManager = simulationManager;
+    this.nodeManager = nodeManager;
+    this.container = null;
+    this.message = "";
+  }
+
+  initialize(containerElement) {
+    this.container = containerElement;
+    this.render();
+    this._setupEventListeners();
+  }
+
+  render() {
+    this.container.innerHTML = "";
+    this.container.classList.add("flowchart-simulation-panel");
+
+    const header = document.createElement("div");
+    header.className = "panel-header";
+    header.textContent = "Simulation";
+    this.container.appendChild(header);
+
+    const controls = document.createElement("div");
+    controls.className = "simulation-controls";
+    [
+      ["start", "▶ Start", () => this._start()],
+      ["step", "⤼ Step", () => this.simulationManager.step()],
+      ["back", "⤺ Back", () => this.simulationManager.back()],
+      ["reset", "■ Reset", () => this.simulationManager.reset()],
+    ].forEach(([action, text, onClick]) => {
+      const button = document.createElement("button");
+      button.className = "simulation-btn";
+      button.dataset.action = action;
+      button.textContent = text;
+      button.addEventListener("click", onClick);
+      controls.appendChild(button);
+    });
+    this.container.appendChild(controls);
+
+    const variables = document.createElement("textarea");
+    variables.className = "simulation-variables";
+    variables.placeholder = '{ "amount": 1200 }';
+    variables.value = JSON.stringify(this.simulationManager.variables);
+    this.container.appendChild(variables);
+
+    const status = document.createElement("div");
+    status.className = "simulation-status";
+    this.container.appendChild(status);
+
+    const choices = document.createElement("div");
+    choices.className = "simulation-choices";
+    this.container.appendChild(choices);
+
+    this._update(this.simulationManager.getState());
+  }
+
+  _setupEventListeners() {
+    // Errors stay on screen until the simulation moves
+    ["started", "step", "back", "reset"].forEach((name) =>
+      this.eventBus.on(`simulation:${name}`, () => {
+        this.message = "";
+      })
+    );
+    this.eventBus.on("simulation:changed", (state) => this._update(state));
+    this.eventBus.on("simulation:error", ({ error }) => {
+      this.message = error.message;
+      this._update(this.simulationManager.getState());
+    });
+  }
+
+  _start() {
+    const text = this.container.querySelector(".simulation-variables").value;
+    let variables;
+    try {
+      variables = text.trim() ? JSON.parse(text) : {};
+    } catch (error) {
+      this.message = `Variables are not valid JSON: ${error.message}`;
+      this._update(this.simulationManager.getState());
+      return;
+    }
+    this.simulationManager.start({ variables });
+  }
+
+  _update(state) {
+    const button = (action) =>
+      this.container.querySelector(`[data-action="${action}"]`);
+    button("step").disabled = !state.canStep;
+    button("back").disabled = !state.canBack;
+    button("reset").disabled = !state.running;
+
+    const node = state.running
+      ? this.nodeManager.getNode(state.currentNodeId)
+      : null;
+    let status = "Not running";
+    if (node) {
+      const name = node.label || node.id;
+      status = state.ended
+        ? `Finished at ${name}`
+        : `At ${name} (step ${state.path.length})`;
+    }
+    if (this.message) {
+      status += ` - ${this.message}`;
+    }
+    this.container.querySelector(".simulation-status").textContent = status;
+
+    const choices = this.container.querySelector(".simulation-choices");
+    choices.innerHTML = "";
+    if (state.pendingChoice) {
+      state.pendingChoice.options.forEach((option) => {
+        const target = this.nodeManager.getNode(option.targetId);
+        const choice = document.createElement("button");
+        choice.className = "simulation-choice";
+        choice.textContent =
+          option.label || `to ${target ? target.label || target.id : "?"}`;
+        choice.addEventListener("click", () =>
+          this.simulationManager.choose(option.edgeId)
+        );
+        choices.appendChild(choice);
+      });
+    }
+  }
+
+  destroy() {
+    if (this.container) this.container.innerHTML = "";
+  }
+}
+
+/**
+ * ProblemsPanel - Validation errors and warnings grouped by rule; clicking a
+ * problem selects the elements at fault and centers the view on them
+ */
+export class ProblemsPanel {
+  constructor(eventBus, stateManager, validationManager, selectionManager) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.validationManager = validationManager;
+    this.selectionManager = selectionManager;
+    this.container = null;
+  }
+
+  initialize(containerElement) {
+    this.container = containerElement;
+    this.render();
+    this._setupEventListeners();
+  }
+
+  render() {
+    this.container.innerHTML = "";
+    this.container.classList.add("flowchart-problems-panel");
+
+    const header = document.createElement("div");
+    header.className = "panel-header";
+
+    const title = document.createElement("span");
+    title.textContent = "Problems";
+    header.appendChild(title);
+
+    const summary = document.createElement("span");
+    summary.className = "problems-summary";
+    header.appendChild(summary);
+
+    this.container.appendChild(header);
+
+    const content = document.createElement("div");
+    content.className = "problems-content";
+    this.container.appendChild(content);
+
+    this._renderProblems({
+      errors: this.validationManager.getErrors(),
+      warnings: this.validationManager.getWarnings(),
+    });
+  }
+
+  _setupEventListeners() {
+    this.eventBus.on("validation:complete", (result) =>
+      this._renderProblems(result)
+    );
+  }
+
+  _renderProblems({ errors, warnings }) {
+    const content = this.container.querySelector(".problems-content");
+    if (!content) return;
+
+    const errorCount = ValidationIssues.count(errors);
+    const warningCount = ValidationIssues.count(warnings);
+    this.container.querySelector(
+      ".problems-summary"
+    ).textContent = `✖ ${errorCount}  ⚠ ${warningCount}`;
+
+    content.innerHTML = "";
+    if (errors.length === 0 && warnings.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "problems-empty";
+      empty.textContent = "No problems";
+      content.appendChild(empty);
+      return;
+    }
+
+    // Errors first; each issue is one rule's findings
+    [...errors, ...warnings].forEach((issue) => {
+      content.appendChild(this._createRuleGroup(issue));
+    });
+  }
+
+  _createRuleGroup(issue) {
+    const group = document.createElement("div");
+    group.className = `problems-rule problems-${issue.level}`;
+    group.dataset.rule = issue.rule;
+
+    const details =
+      issue.details && issue.details.length > 0
+        ? issue.details
+        : [{ message: issue.message || issue.rule, nodeIds: [], edgeIds: [] }];
+
+    const heading = document.createElement("div");
+    heading.className = "problems-rule-header";
+    heading.textContent = `${issue.level === "error" ? "✖" : "⚠"} ${
+      issue.message || issue.rule
+    } (${details.length})`;
+    heading.title = issue.rule;
+    group.appendChild(heading);
+
+    details.forEach((detail) => {
+      const item = document.createElement("div");
+      item.className = "problems-item";
+      item.textContent = detail.message;
+
+      if (detail.nodeIds.length > 0 || detail.edgeIds.length > 0) {
+        item.classList.add("problems-item-link");
+        item.addEventListener("click", () => this._reveal(detail));
+      }
+      group.appendChild(item);
+    });
+
+    return group;
+  }
+
+  _reveal({ nodeIds, edgeIds }) {
+    // The first element is selected on its own and focused, the rest added
+    const targets = [
+      ...nodeIds.map((id) => ["node", id]),
+      ...edgeIds.map((id) => ["edge", id]),
+    ];
+    targets.forEach(([type, id], index) => {
+      const options =
+        index === 0 ? { mode: "replace", focus: true } : { mode: "add" };
+      if (type === "node") {
+        this.selectionManager.selectNode(id, options);
+      } else {
+        this.selectionManager.selectEdge(id, options);
+      }
+    });
+  }
+
+  destroy() {
+    if (this.container) this.container.innerHTML = "";
+  }
+}
+
 /**
  * MiniMap - Overview mini-map panel
  */
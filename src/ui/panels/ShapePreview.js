@@ -0,0 +1,120 @@
+/**
+ * ShapePreview.js - Thumbnails of registered shapes
+ *
+ * Draws a shape the way the canvas and the SVG export do: an instance from
+ * ShapeRegistry.create() rendered by its own render method, in the theme's
+ * node colours, inside a standalone <svg>.
+ */
+
+import { SvgFormat } from "../../core/formats/SvgFormat.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Node colours when there is no ThemeManager (the light theme's)
+export const DEFAULT_PREVIEW_COLORS = {
+  fill: "#ffffff",
+  stroke: "#1976d2",
+  strokeWidth: 2,
+  text: "#333333",
+};
+
+export class ShapePreview {
+  /**
+   * Render a registered shape
+   * @param {ShapeRegistry} shapeRegistry
+   * @param {string} type - Shape type
+   * @param {Object} [options]
+   * @param {number} [options.size=40] - Fit into a square of this many px
+   * @param {number} [options.scale] - Draw at the shape's default size
+   *                                   times this instead (drag ghosts)
+   * @param {Object} [options.colors] - { fill, stroke, strokeWidth, text }
+   * @param {string} [options.label=''] - Text drawn in the shape
+   * @returns {SVGSVGElement}
+   */
+  static render(shapeRegistry, type, options = {}) {
+    const colors = { ...DEFAULT_PREVIEW_COLORS, ...options.colors };
+    const { width, height } = ShapePreview.getSize(shapeRegistry, type);
+    const padding = colors.strokeWidth + 1;
+
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("class", "shape-preview-svg");
+    svg.setAttribute(
+      "viewBox",
+      `${-padding} ${-padding} ${width + padding * 2} ${height + padding * 2}`
+    );
+    if (options.scale) {
+      svg.setAttribute("width", (width + padding * 2) * options.scale);
+      svg.setAttribute("height", (height + padding * 2) * options.scale);
+    } else {
+      const size = options.size || 40;
+      svg.setAttribute("width", size);
+      svg.setAttribute("height", size);
+    }
+
+    const node = {
+      id: `preview-${type}`,
+      type,
+      x: 0,
+      y: 0,
+      width,
+      height,
+      label: options.label || "",
+      style: {
+        fill: colors.fill,
+        stroke: colors.stroke,
+        strokeWidth: colors.strokeWidth,
+        textColor: colors.text,
+      },
+    };
+
+    try {
+      const shape = shapeRegistry.create(type, SvgFormat.shapeConfig(node));
+      svg.appendChild(SvgFormat.renderShape(document, shape, node));
+    } catch (error) {
+      console.warn(`ShapePreview: could not render "${type}":`, error);
+      svg.appendChild(ShapePreview._placeholder(type, node));
+    }
+
+    return svg;
+  }
+
+  /**
+   * Default size of a shape type
+   * @param {ShapeRegistry} shapeRegistry
+   * @param {string} type
+   * @returns {Object} - {width, height}
+   */
+  static getSize(shapeRegistry, type) {
+    const definition = shapeRegistry.getDefinition(type) || {};
+    const size = definition.defaultSize || {};
+    return { width: size.width || 100, height: size.height || 80 };
+  }
+
+  /**
+   * Outline with the type's initial, for shapes that fail to render
+   * @private
+   */
+  static _placeholder(type, node) {
+    const group = document.createElementNS(SVG_NS, "g");
+
+    const rect = document.createElementNS(SVG_NS, "rect");
+    rect.setAttribute("width", node.width);
+    rect.setAttribute("height", node.height);
+    rect.setAttribute("fill", node.style.fill);
+    rect.setAttribute("stroke", node.style.stroke);
+    rect.setAttribute("stroke-dasharray", "4,4");
+    group.appendChild(rect);
+
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", node.width / 2);
+    text.setAttribute("y", node.height / 2);
+    text.setAttribute("text-anchor", "middle");
+    text.setAttribute("dominant-baseline", "middle");
+    text.setAttribute("font-size", Math.min(node.width, node.height) / 2);
+    text.setAttribute("fill", node.style.stroke);
+    text.textContent = type.charAt(0).toUpperCase();
+    group.appendChild(text);
+
+    return group;
+  }
+}
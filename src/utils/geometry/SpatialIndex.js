@@ -0,0 +1,424 @@
+/**
+ * SpatialIndex.js - Quadtree of rectangles for fast area lookups
+ *
+ * Stores rectangles by id and answers "what is in this rect", "what is
+ * under this point" and "what is nearest to this point" without looking at
+ * every entry. Each rect lives in the smallest quad that fully contains it,
+ * so rects straddling a split line stay in the parent quad. The root grows
+ * to take rects outside it, so no world size has to be chosen up front.
+ *
+ * @module utils/geometry/SpatialIndex
+ *
+ * @example
+ * const index = new SpatialIndex();
+ * index.insert("a", { x: 0, y: 0, width: 100, height: 60 });
+ * index.search({ x: 50, y: 50, width: 10, height: 10 }); // ["a"]
+ * index.nearest({ x: 300, y: 0 }); // ["a"]
+ */
+
+// Side of the first root quad; it doubles as rects land outside it
+const INITIAL_SIZE = 256;
+
+export class SpatialIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxItems=8] - Entries a quad holds before split
+   * @param {number} [options.maxDepth=16] - Quads below the root, at most
+   */
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || 8;
+    this.maxDepth = options.maxDepth || 16;
+
+    this.root = null;
+
+    // id -> { left, top, right, bottom }
+    this.boxes = new Map();
+
+    // id -> quad holding it
+    this.owners = new Map();
+  }
+
+  /**
+   * Number of entries
+   * @returns {number}
+   */
+  get size() {
+    return this.boxes.size;
+  }
+
+  /**
+   * Add an entry, replacing any with the same id
+   * @param {string} id
+   * @param {Object} rect - {x, y, width, height}
+   * @throws {Error} If the rect has non-finite coordinates
+   */
+  insert(id, rect) {
+    if (this.boxes.has(id)) {
+      this.remove(id);
+    }
+
+    const box = SpatialIndex._box(rect);
+    if (!Object.values(box).every(Number.isFinite)) {
+      throw new Error(`SpatialIndex: "${id}" has no finite bounds`);
+    }
+    if (!this.root) {
+      const size = Math.max(
+        INITIAL_SIZE,
+        box.right - box.left,
+        box.bottom - box.top
+      );
+      this.root = SpatialIndex._quad(box.left, box.top, size, 0);
+    }
+    while (!SpatialIndex._contains(this.root, box)) {
+      this._grow(box);
+    }
+
+    this.boxes.set(id, box);
+    this._insert(this.root, id, box);
+  }
+
+  /**
+   * Move or resize an entry
+   * @param {string} id
+   * @param {Object} rect - {x, y, width, height}
+   */
+  update(id, rect) {
+    this.insert(id, rect);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id
+   * @returns {boolean} - Whether there was one
+   */
+  remove(id) {
+    const quad = this.owners.get(id);
+    if (!quad) return false;
+
+    quad.items.delete(id);
+    this.owners.delete(id);
+    this.boxes.delete(id);
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.boxes.has(id);
+  }
+
+  /**
+   * Rect an entry was stored with
+   * @param {string} id
+   * @returns {Object|null} - {x, y, width, height}
+   */
+  get(id) {
+    const box = this.boxes.get(id);
+    return box ? SpatialIndex._rect(box) : null;
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.root = null;
+    this.boxes.clear();
+    this.owners.clear();
+  }
+
+  /**
+   * Replace the contents with a list of items
+   * @param {Array} items - Objects with id, x, y, width, height
+   */
+  load(items) {
+    this.clear();
+    items.forEach((item) => this.insert(item.id, item));
+  }
+
+  /**
+   * Ids of entries overlapping a rect (touching edges count)
+   * @param {Object} rect - {x, y, width, height}
+   * @returns {Array<string>}
+   */
+  search(rect) {
+    const box = SpatialIndex._box(rect);
+    const result = [];
+    if (!this.root) return result;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const quad = stack.pop();
+      quad.items.forEach((id) => {
+        if (SpatialIndex._intersects(this.boxes.get(id), box)) {
+          result.push(id);
+        }
+      });
+      if (quad.children) {
+        quad.children.forEach((child) => {
+          if (SpatialIndex._intersects(child, box)) stack.push(child);
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Ids of entries containing a point
+   * @param {Object} point - {x, y}
+   * @param {number} [tolerance=0] - Grow every entry by this much
+   * @returns {Array<string>}
+   */
+  searchPoint(point, tolerance = 0) {
+    return this.search({
+      x: point.x - tolerance,
+      y: point.y - tolerance,
+      width: tolerance * 2,
+      height: tolerance * 2,
+    });
+  }
+
+  /**
+   * Ids of the entries closest to a point, nearest first. Distance is to
+   * the entry's rect, so 0 for entries containing the point.
+   * @param {Object} point - {x, y}
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - How many to return
+   * @param {number} [options.maxDistance=Infinity] - Ignore entries further
+   * @param {Function} [options.filter] - (id) => boolean
+   * @returns {Array<string>}
+   */
+  nearest(point, options = {}) {
+    const { count = 1, maxDistance = Infinity, filter = null } = options;
+    const result = [];
+    if (!this.root || count <= 0) return result;
+
+    // Best-first: quads and entries ordered by distance, closest popped
+    const queue = [
+      { distance: SpatialIndex._distance(this.root, point), quad: this.root },
+    ];
+    while (queue.length > 0 && result.length < count) {
+      const next = queue.shift();
+      if (next.distance > maxDistance) break;
+
+      if (next.id !== undefined) {
+        result.push(next.id);
+        continue;
+      }
+
+      const { quad } = next;
+      quad.items.forEach((id) => {
+        if (filter && !filter(id)) return;
+        SpatialIndex._enqueue(queue, {
+          distance: SpatialIndex._distance(this.boxes.get(id), point),
+          id,
+        });
+      });
+      if (quad.children) {
+        quad.children.forEach((child) =>
+          SpatialIndex._enqueue(queue, {
+            distance: SpatialIndex._distance(child, point),
+            quad: child,
+          })
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Bounding rect of every entry
+   * @returns {Object|null} - {x, y, width, height}
+   */
+  getBounds() {
+    if (this.boxes.size === 0) return null;
+
+    const bounds = {
+      left: Infinity,
+      top: Infinity,
+      right: -Infinity,
+      bottom: -Infinity,
+    };
+    this.boxes.forEach((box) => {
+      bounds.left = Math.min(bounds.left, box.left);
+      bounds.top = Math.min(bounds.top, box.top);
+      bounds.right = Math.max(bounds.right, box.right);
+      bounds.bottom = Math.max(bounds.bottom, box.bottom);
+    });
+    return SpatialIndex._rect(bounds);
+  }
+
+  /**
+   * @private
+   */
+  _insert(quad, id, box) {
+    while (quad.children) {
+      const child = quad.children.find((c) => SpatialIndex._contains(c, box));
+      if (!child) break;
+      quad = child;
+    }
+
+    quad.items.add(id);
+    this.owners.set(id, quad);
+
+    if (
+      !quad.children &&
+      quad.items.size > this.maxItems &&
+      quad.depth < this.maxDepth
+    ) {
+      this._split(quad);
+    }
+  }
+
+  /**
+   * Give a full quad four children and push its entries down
+   * @private
+   */
+  _split(quad) {
+    const half = quad.size / 2;
+    const depth = quad.depth + 1;
+    quad.children = [
+      SpatialIndex._quad(quad.left, quad.top, half, depth),
+      SpatialIndex._quad(quad.left + half, quad.top, half, depth),
+      SpatialIndex._quad(quad.left, quad.top + half, half, depth),
+      SpatialIndex._quad(quad.left + half, quad.top + half, half, depth),
+    ];
+
+    Array.from(quad.items).forEach((id) => {
+      const box = this.boxes.get(id);
+      const child = quad.children.find((c) => SpatialIndex._contains(c, box));
+      if (child) {
+        quad.items.delete(id);
+        this._insert(child, id, box);
+      }
+    });
+  }
+
+  /**
+   * Double the root towards a box outside it
+   * @private
+   */
+  _grow(box) {
+    const old = this.root;
+    const size = old.size * 2;
+    const growLeft = box.left < old.left;
+    const growUp = box.top < old.top;
+    const left = growLeft ? old.left - old.size : old.left;
+    const top = growUp ? old.top - old.size : old.top;
+
+    const root = SpatialIndex._quad(left, top, size, 0);
+    root.children = [
+      SpatialIndex._quad(left, top, old.size, 1),
+      SpatialIndex._quad(left + old.size, top, old.size, 1),
+      SpatialIndex._quad(left, top + old.size, old.size, 1),
+      SpatialIndex._quad(left + old.size, top + old.size, old.size, 1),
+    ];
+    // The old root is the quadrant opposite the growth. Placed by index:
+    // with fractional origins, left + size may not land back on old.left
+    root.children[(growUp ? 2 : 0) + (growLeft ? 1 : 0)] = old;
+
+    // Everything under the old root is one level deeper now
+    const stack = [old];
+    while (stack.length > 0) {
+      const quad = stack.pop();
+      quad.depth++;
+      if (quad.children) stack.push(...quad.children);
+    }
+
+    this.root = root;
+  }
+
+  /**
+   * Keep the queue sorted by distance
+   * @private
+   */
+  static _enqueue(queue, entry) {
+    let low = 0;
+    let high = queue.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (queue[mid].distance <= entry.distance) low = mid + 1;
+      else high = mid;
+    }
+    queue.splice(low, 0, entry);
+  }
+
+  /**
+   * @private
+   */
+  static _quad(left, top, size, depth) {
+    return {
+      left,
+      top,
+      right: left + size,
+      bottom: top + size,
+      size,
+      depth,
+      items: new Set(),
+      children: null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _box(rect) {
+    const width = rect.width || 0;
+    const height = rect.height || 0;
+    return {
+      left: rect.x,
+      top: rect.y,
+      right: rect.x + width,
+      bottom: rect.y + height,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _rect(box) {
+    return {
+      x: box.left,
+      y: box.top,
+      width: box.right - box.left,
+      height: box.bottom - box.top,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _contains(outer, inner) {
+    return (
+      inner.left >= outer.left &&
+      inner.right <= outer.right &&
+      inner.top >= outer.top &&
+      inner.bottom <= outer.bottom
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _intersects(a, b) {
+    return (
+      a.left <= b.right &&
+      a.right >= b.left &&
+      a.top <= b.bottom &&
+      a.bottom >= b.top
+    );
+  }
+
+  /**
+   * Distance from a point to the nearest point of a box
+   * @private
+   */
+  static _distance(box, point) {
+    const dx = Math.max(box.left - point.x, 0, point.x - box.right);
+    const dy = Math.max(box.top - point.y, 0, point.y - box.bottom);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+}
@@ -3,6 +3,7 @@
  */
 
 export { GeometryUtils } from "./geometry/geometry.js";
+export { SpatialIndex } from "./geometry/SpatialIndex.js";
 export { ValidationUtils } from "./validation/validation.js";
 export { DOMUtils } from "./dom/dom.js";
 export { MathUtils } from "./math/math.js";
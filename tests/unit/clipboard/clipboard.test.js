@@ -0,0 +1,299 @@
+/**
+ * Unit Tests for System Clipboard Formats
+ */
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { SelectionManager } from "../../../src/core/managers/SelectionManager.js";
+import { ExportManager } from "../../../src/core/managers/ExportManager.js";
+import { ClipboardManager } from "../../../src/core/managers/ClipboardManager.js";
+import {
+  ClipboardFormat,
+  CLIPBOARD_MIME,
+} from "../../../src/core/formats/ClipboardFormat.js";
+import { createCore, track } from "../fixtures.js";
+
+const setup = (exportManager) => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const selectionManager = new SelectionManager(eventBus, stateManager);
+  const exporter =
+    exportManager === undefined
+      ? new ExportManager(eventBus, stateManager, nodeManager, edgeManager)
+      : exportManager;
+  const clipboard = new ClipboardManager(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager,
+    selectionManager,
+    exporter
+  );
+  return track({
+    eventBus,
+    nodeManager,
+    edgeManager,
+    selectionManager,
+    clipboard,
+  });
+};
+
+const node = (id, label, x, y) => ({
+  id,
+  type: "process",
+  label,
+  x,
+  y,
+  width: 100,
+  height: 50,
+});
+
+// A stand-in for the async Clipboard API that keeps what was written
+const stubClipboard = (supported = null) => {
+  const written = [];
+  class FakeClipboardItem {
+    constructor(items) {
+      this.items = items;
+    }
+    static supports(type) {
+      return supported ? supported.includes(type) : true;
+    }
+  }
+  vi.stubGlobal("ClipboardItem", FakeClipboardItem);
+  vi.stubGlobal("navigator", {
+    clipboard: {
+      write: async (items) => written.push(items[0].items),
+      writeText: async (text) => written.push({ text }),
+    },
+  });
+  return written;
+};
+
+// jsdom's Blob has no text()
+const readText = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("ClipboardFormat", () => {
+  it("lists labels in graph order, not creation order", () => {
+    const fragment = {
+      nodes: [
+        node("end", "Done", 0, 400),
+        node("check", "Valid?", 0, 200),
+        node("side", "Note", 300, 0),
+        node("start", "Begin", 0, 0),
+        node("blank", "", 0, 600),
+      ],
+      edges: [
+        { id: "e1", sourceId: "start", targetId: "check" },
+        { id: "e2", sourceId: "check", targetId: "end" },
+        { id: "e3", sourceId: "end", targetId: "check" },
+      ],
+    };
+
+    expect(ClipboardFormat.toText(fragment)).toBe("Begin\nNote\nValid?\nDone");
+  });
+
+  it("round-trips the payload through HTML", () => {
+    const fragment = { nodes: [node("a", 'Say "<hi>" & go', 0, 0)], edges: [] };
+    const payload = ClipboardFormat.serialize(fragment, 42);
+    const html = ClipboardFormat.toHTML(fragment, payload);
+
+    expect(html).toContain("<li>Say &quot;&lt;hi&gt;&quot; &amp; go</li>");
+    expect(ClipboardFormat.parse(ClipboardFormat.fromHTML(html))).toEqual({
+      nodes: fragment.nodes,
+      edges: [],
+      timestamp: 42,
+    });
+    expect(ClipboardFormat.parse("not json")).toBeNull();
+  });
+
+  it("tells Mermaid and DOT from plain lines", () => {
+    expect(ClipboardFormat.detectText("flowchart LR\n  a --> b")).toBe(
+      "mermaid"
+    );
+    expect(ClipboardFormat.detectText("%% notes\ngraph TD;\nA-->B")).toBe(
+      "mermaid"
+    );
+    expect(ClipboardFormat.detectText("digraph G {\n a -> b\n}")).toBe("dot");
+    expect(ClipboardFormat.detectText("strict graph { a -- b }")).toBe("dot");
+    expect(ClipboardFormat.detectText("graph paper\nflowchart")).toBe("lines");
+  });
+
+  it("reads picture sizes from PNG headers and SVG markup", () => {
+    const png = new Uint8Array(24);
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    png.set([0, 0, 1, 44], 16); // 300
+    png.set([0, 0, 0, 150], 20);
+
+    expect(ClipboardFormat.pngSize(png)).toEqual({ width: 300, height: 150 });
+    expect(ClipboardFormat.pngSize(new Uint8Array(24))).toBeNull();
+    expect(
+      ClipboardFormat.svgSize('<svg width="120px" height="80"></svg>')
+    ).toEqual({ width: 120, height: 80 });
+    expect(
+      ClipboardFormat.svgSize('<svg width="100%" viewBox="0 0 640 480">')
+    ).toEqual({ width: 640, height: 480 });
+  });
+});
+
+describe("ClipboardManager system clipboard", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("copies text, HTML, JSON and pictures in one clipboard item", async () => {
+    const written = stubClipboard();
+    const exportManager = {
+      exportDocument: vi.fn((format, document) =>
+        format === "svg"
+          ? `<svg data-count="${document.nodes.length}"/>`
+          : Promise.resolve(new Blob(["png"], { type: "image/png" }))
+      ),
+    };
+    const { nodeManager, edgeManager, selectionManager, clipboard } =
+      setup(exportManager);
+
+    nodeManager.createNode(node("b", "Second", 0, 200));
+    nodeManager.createNode(node("a", "First", 0, 0));
+    nodeManager.createNode(node("c", "Not copied", 0, 400));
+    edgeManager.createEdge({ id: "e", sourceId: "a", targetId: "b" });
+    selectionManager.selectNodes(["a", "b"]);
+    selectionManager.selectEdges(["e"], { mode: "add" });
+
+    expect(clipboard.copy()).toBe(true);
+    // Written during copy() itself, while the key press still counts
+    expect(written).toHaveLength(1);
+
+    const item = written[0];
+    expect(Object.keys(item).sort()).toEqual(
+      [
+        "text/plain",
+        "text/html",
+        "image/png",
+        "image/svg+xml",
+        CLIPBOARD_MIME,
+      ].sort()
+    );
+    expect(await readText(item["text/plain"])).toBe("First\nSecond");
+    expect(await readText(item["image/svg+xml"])).toBe('<svg data-count="2"/>');
+    expect((await item["image/png"]).type).toBe("image/png");
+
+    const payload = ClipboardFormat.parse(await readText(item[CLIPBOARD_MIME]));
+    expect(payload.nodes.map((n) => n.id).sort()).toEqual(["a", "b"]);
+    expect(payload.edges).toHaveLength(1);
+    expect(
+      ClipboardFormat.parse(
+        ClipboardFormat.fromHTML(await readText(item["text/html"]))
+      )
+    ).toEqual(payload);
+  });
+
+  it("falls back to text when the browser rejects the rich item", async () => {
+    const written = stubClipboard(["text/plain", "text/html"]);
+    navigator.clipboard.write = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("NotAllowedError"))
+      .mockImplementation(async (items) => written.push(items[0].items));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const { nodeManager, selectionManager, clipboard } = setup(null);
+    nodeManager.createNode(node("a", "Only", 0, 0));
+    selectionManager.selectNodes(["a"]);
+
+    clipboard.copy();
+    await settle();
+
+    expect(navigator.clipboard.write).toHaveBeenCalledTimes(2);
+    expect(Object.keys(written[0]).sort()).toEqual(["text/html", "text/plain"]);
+  });
+
+  it("pastes plain text lines as process nodes at the pointer", async () => {
+    const { nodeManager, selectionManager, clipboard } = setup();
+
+    const result = await clipboard.pasteExternal(
+      { "text/plain": "Collect data\n\n  Review  \nShip\n" },
+      { position: { x: 500, y: 100 } }
+    );
+
+    expect(result.nodes).toHaveLength(3);
+    const nodes = result.nodes.map((id) => nodeManager.getNode(id));
+    expect(nodes.map((n) => n.label)).toEqual([
+      "Collect data",
+      "Review",
+      "Ship",
+    ]);
+    expect(nodes.every((n) => n.type === "process")).toBe(true);
+    expect(nodes[0]).toMatchObject({ x: 500, y: 100 });
+    expect(nodes[1].y).toBeGreaterThan(nodes[0].y);
+    expect(selectionManager.getSelection().nodes).toEqual(result.nodes);
+  });
+
+  it("pastes Mermaid text as a connected graph", async () => {
+    const { nodeManager, edgeManager, clipboard } = setup();
+
+    const result = await clipboard.pasteExternal(
+      { "text/plain": "flowchart TD\n  A[Start] --> B{Ok?}\n  B --> C[End]" },
+      { position: { x: 0, y: 0 } }
+    );
+
+    expect(result.nodes).toHaveLength(3);
+    expect(result.edges).toHaveLength(2);
+    expect(nodeManager.getNodeCount()).toBe(3);
+    const labels = result.nodes.map((id) => nodeManager.getNode(id).label);
+    expect(labels.sort()).toEqual(["End", "Ok?", "Start"]);
+    const edge = edgeManager.getEdge(result.edges[0]);
+    expect(result.nodes).toContain(edge.sourceId);
+    expect(result.nodes).toContain(edge.targetId);
+  });
+
+  it("pastes pictures as image nodes sized from the picture", async () => {
+    const { nodeManager, clipboard } = setup();
+    const svg =
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 200">';
+
+    const [id] = (
+      await clipboard.pasteExternal(
+        { "image/svg+xml": svg, "text/html": "<img>" },
+        { position: { x: 10, y: 20 } }
+      )
+    ).nodes;
+
+    const image = nodeManager.getNode(id);
+    expect(image).toMatchObject({
+      type: "image",
+      x: 10,
+      y: 20,
+      width: 400,
+      height: 100,
+    });
+    expect(image.style.imageUrl).toMatch(/^data:image\/svg\+xml/);
+  });
+
+  it("pastes another window's copy as the editor's own data", async () => {
+    const { nodeManager, clipboard } = setup();
+    const payload = ClipboardFormat.serialize(
+      {
+        nodes: [node("x", "From elsewhere", 0, 0), node("y", "Too", 0, 100)],
+        edges: [{ id: "e", sourceId: "x", targetId: "y" }],
+      },
+      1
+    );
+
+    const result = await clipboard.pasteExternal({
+      "text/plain": "From elsewhere\nToo",
+      "text/html": ClipboardFormat.toHTML({ nodes: [] }, payload),
+    });
+
+    expect(result.nodes).toHaveLength(2);
+    expect(result.edges).toHaveLength(1);
+    expect(nodeManager.getNode(result.nodes[0]).label).toBe("From elsewhere");
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for Collaborative Editing
+ */
+
+import { describe, it, expect } from "vitest";
+import { CrdtDocument } from "../../../src/core/collab/CrdtDocument.js";
+import { MemoryHub } from "../../../src/core/collab/CollabTransport.js";
+import { HistoryManager } from "../../../src/core/managers/HistoryManager.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { LayerManager } from "../../../src/core/managers/LayerManager.js";
+import { CollaborationManager } from "../../../src/core/managers/CollaborationManager.js";
+import { createCore, track } from "../fixtures.js";
+
+const editor = (siteId) => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const history = new HistoryManager(eventBus, stateManager);
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const layerManager = new LayerManager(eventBus, stateManager, nodeManager);
+  const collab = new CollaborationManager(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager,
+    layerManager,
+    { siteId, user: { name: siteId }, presenceInterval: 0 }
+  );
+  return track({
+    eventBus,
+    history,
+    nodeManager,
+    edgeManager,
+    layerManager,
+    collab,
+  });
+};
+
+// Two editors in one room; "a" seeds it with two connected nodes
+const room = async () => {
+  const hub = new MemoryHub();
+  const a = editor("alice");
+  const b = editor("bob");
+
+  a.nodeManager.createNode({ id: "n1", type: "rect", x: 0, y: 0 });
+  a.nodeManager.createNode({ id: "n2", type: "rect", x: 300, y: 0 });
+  a.edgeManager.createEdge({ id: "e1", sourceId: "n1", targetId: "n2" });
+  a.history.clear();
+
+  await a.collab.connect(hub.createTransport(), "map");
+  await b.collab.connect(hub.createTransport(), "map");
+  return { hub, a, b };
+};
+
+// Deliver concurrent edits: both queue before either sends
+const sync = (...editors) => editors.forEach(({ collab }) => collab.flush());
+
+describe("CrdtDocument", () => {
+  it("should converge whatever order operations arrive in", () => {
+    const a = new CrdtDocument("a");
+    const b = new CrdtDocument("b");
+
+    const ops = [
+      a.put("nodes", "n", { label: "Start", x: 0 }),
+      a.set("nodes", "n", { x: 10 }),
+    ];
+    ops.forEach((op) => b.apply(op));
+    const fromA = a.set("nodes", "n", { label: "A" });
+    const fromB = b.set("nodes", "n", { label: "B" });
+    const remove = b.remove("nodes", "n");
+
+    const first = new CrdtDocument("c");
+    [...ops, fromA, fromB, remove].forEach((op) => first.apply(op));
+    const second = new CrdtDocument("d");
+    [remove, fromB, ...ops, fromA, fromA].forEach((op) => second.apply(op));
+
+    expect(first.toJSON()).toEqual(second.toJSON());
+    expect(first.get("nodes", "n")).toBe(null);
+  });
+
+  it("should let a concurrent delete win over an edit", () => {
+    const a = new CrdtDocument("a");
+    const b = new CrdtDocument("b");
+    b.apply(a.put("nodes", "n", { label: "Start" }));
+
+    const edit = a.set("nodes", "n", { label: "Edited" });
+    const remove = b.remove("nodes", "n");
+    a.apply(remove);
+    b.apply(edit);
+
+    expect(a.get("nodes", "n")).toBe(null);
+    expect(b.get("nodes", "n")).toBe(null);
+  });
+});
+
+describe("CollaborationManager", () => {
+  it("should seed an empty room and give joiners its diagram", async () => {
+    const hub = new MemoryHub();
+    const a = editor("alice");
+    const b = editor("bob");
+    a.nodeManager.createNode({ id: "n1", type: "rect", label: "Start" });
+    b.nodeManager.createNode({ id: "stale", type: "rect" });
+
+    const joined = [];
+    a.eventBus.on("collab:joined", (e) => joined.push(e));
+    b.eventBus.on("collab:joined", (e) => joined.push(e));
+
+    await a.collab.connect(hub.createTransport(), "map");
+    await b.collab.connect(hub.createTransport(), "map");
+
+    expect(joined.map((e) => e.seeded)).toEqual([true, false]);
+    expect(b.nodeManager.getNode("n1").label).toBe("Start");
+    expect(b.nodeManager.hasNode("stale")).toBe(false);
+    expect(b.history.getState().undoCount).toBe(0);
+    expect(a.collab.getPeers().map((peer) => peer.siteId)).toEqual(["bob"]);
+  });
+
+  it("should merge concurrent moves and label edits deterministically", async () => {
+    const { a, b } = await room();
+
+    a.nodeManager.updateNodePosition("n1", { x: 50, y: 60 });
+    a.nodeManager.updateNode("n2", { label: "From Alice" });
+    b.nodeManager.updateNodePosition("n1", { x: 70, y: 80 });
+    b.nodeManager.updateNode("n2", { label: "From Bob" });
+    b.nodeManager.updateNode("n1", { label: "Only Bob" });
+    sync(a, b);
+
+    expect(a.collab.getDocument()).toEqual(b.collab.getDocument());
+    const shared = ({ nodeManager }, id) => {
+      const { createdAt, updatedAt, ...fields } = nodeManager
+        .getNode(id)
+        .serialize();
+      return fields;
+    };
+    ["n1", "n2"].forEach((id) => expect(shared(a, id)).toEqual(shared(b, id)));
+    expect(a.nodeManager.getNode("n1").label).toBe("Only Bob");
+  });
+
+  it("should hide an edge drawn to a node deleted elsewhere", async () => {
+    const { a, b } = await room();
+
+    a.edgeManager.createEdge({ id: "e2", sourceId: "n2", targetId: "n1" });
+    b.nodeManager.deleteNode("n1");
+    sync(a, b);
+
+    [a, b].forEach(({ nodeManager, edgeManager }) => {
+      expect(nodeManager.hasNode("n1")).toBe(false);
+      expect(edgeManager.hasEdge("e1")).toBe(false);
+      expect(edgeManager.hasEdge("e2")).toBe(false);
+    });
+    expect(a.collab.getDocument()).toEqual(b.collab.getDocument());
+  });
+
+  it("should undo only the local user's changes", async () => {
+    const { a, b } = await room();
+
+    a.nodeManager.updateNode("n1", { label: "Alice" });
+    sync(a);
+    b.nodeManager.updateNode("n2", { label: "Bob" });
+    sync(b);
+    expect(a.history.getState().undoCount).toBe(1);
+
+    a.history.undo();
+    sync(a);
+
+    [a, b].forEach(({ nodeManager }) => {
+      expect(nodeManager.getNode("n1").label).toBe("");
+      expect(nodeManager.getNode("n2").label).toBe("Bob");
+    });
+  });
+
+  it("should share presence and forget peers that leave", async () => {
+    const { a, b } = await room();
+    const seen = [];
+    a.eventBus.on("collab:presence", (e) => seen.push(e));
+
+    b.eventBus.emit("selection:changed", { nodes: ["n1"], edges: [] });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    expect(seen.pop().presence.selection.nodes).toEqual(["n1"]);
+
+    b.collab.disconnect();
+    expect(a.collab.getPeers()).toEqual([]);
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Unit Tests for Container Nodes (group, frame, swimlane)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { HistoryManager } from "../../../src/core/managers/HistoryManager.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { SelectionManager } from "../../../src/core/managers/SelectionManager.js";
+import { NodeController } from "../../../src/core/controllers/NodeController.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const setup = () => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const history = new HistoryManager(eventBus, stateManager);
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+
+  // A lane holding a group holding "a"; "b" and "out" sit outside
+  nodeManager.createNode({
+    id: "lane",
+    type: "swimlane",
+    x: 0,
+    y: 0,
+    width: 600,
+    height: 400,
+  });
+  nodeManager.createNode({
+    id: "group",
+    type: "group",
+    x: 50,
+    y: 50,
+    width: 300,
+    height: 200,
+    parentId: "lane",
+  });
+  nodeManager.createNode({
+    id: "a",
+    type: "rect",
+    x: 100,
+    y: 100,
+    parentId: "group",
+  });
+  nodeManager.createNode({ id: "b", type: "rect", x: 400, y: 100 });
+  nodeManager.createNode({ id: "out", type: "rect", x: 900, y: 100 });
+  history.clear();
+
+  return { eventBus, stateManager, history, nodeManager, edgeManager };
+};
+
+describe("NodeManager containment", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should track children and descendants", () => {
+    const { nodeManager } = context;
+
+    expect(nodeManager.getChildren("lane").map((n) => n.id)).toEqual(["group"]);
+    expect(nodeManager.getDescendants("lane").map((n) => n.id)).toEqual([
+      "group",
+      "a",
+    ]);
+    expect(nodeManager.getParent("a").id).toBe("group");
+    expect(nodeManager.isContainer("lane")).toBe(true);
+    expect(nodeManager.isContainer("a")).toBe(false);
+  });
+
+  it("should move children with their container as one undo step", () => {
+    const { history, nodeManager } = context;
+
+    nodeManager.updateNodePosition("lane", { x: 10, y: 20 });
+    expect(nodeManager.getNode("group")).toMatchObject({ x: 60, y: 70 });
+    expect(nodeManager.getNode("a")).toMatchObject({ x: 110, y: 120 });
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNode("a")).toMatchObject({ x: 100, y: 100 });
+    history.redo();
+    expect(nodeManager.getNode("a")).toMatchObject({ x: 110, y: 120 });
+  });
+
+  it("should reparent a dropped node and grow the container", () => {
+    const { eventBus, history, nodeManager } = context;
+
+    // Drag "b" over the group's lower right corner
+    eventBus.emit("command:batch:begin", { name: "Move Node" });
+    nodeManager.updateNodePosition("b", { x: 280, y: 190 });
+    nodeManager.dropNode("b");
+    eventBus.emit("command:batch:end");
+
+    expect(nodeManager.getNode("b").parentId).toBe("group");
+    const group = nodeManager.getNode("group");
+    expect(group.x + group.width).toBe(280 + 120 + 20);
+    expect(group.y + group.height).toBe(190 + 80 + 20);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNode("b").parentId).toBe(null);
+    expect(nodeManager.getNode("group")).toMatchObject({
+      width: 300,
+      height: 200,
+    });
+
+    // Dropped on empty canvas: out of every container
+    nodeManager.updateNodePosition("a", { x: 1000, y: 1000 });
+    nodeManager.dropNode("a");
+    expect(nodeManager.getNode("a").parentId).toBe(null);
+    expect(nodeManager.getChildren("group")).toHaveLength(0);
+  });
+
+  it("should grow containers around a resized child as one undo step", () => {
+    const { history, nodeManager } = context;
+    const before = nodeManager.getNode("group").serialize();
+
+    nodeManager.updateNodeSize("a", { width: 400, height: 300 });
+    expect(nodeManager.getNode("group").width).toBe(100 + 400 + 20 - 50);
+    expect(nodeManager.getNode("lane").height).toBeGreaterThan(400);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNode("a")).toMatchObject({ width: 120, height: 80 });
+    expect(nodeManager.getNode("group").serialize()).toEqual(before);
+    expect(nodeManager.getNode("lane")).toMatchObject({
+      width: 600,
+      height: 400,
+    });
+  });
+
+  it("should reject parents that are not containers or would nest a loop", () => {
+    const { eventBus, nodeManager } = context;
+    const errors = [];
+    eventBus.on("node:error", ({ error }) => errors.push(error.message));
+
+    expect(nodeManager.setParent("b", "a")).toBe(false);
+    expect(nodeManager.setParent("lane", "group")).toBe(false);
+    expect(errors).toEqual([
+      "Node a is not a container",
+      "Cannot move lane into itself",
+    ]);
+    expect(nodeManager.getNode("lane").parentId).toBe(null);
+  });
+
+  it("should hide children of a collapsed container and reroute edges", () => {
+    const { eventBus, history, nodeManager, edgeManager } = context;
+    edgeManager.createEdge({ id: "in", sourceId: "a", targetId: "group" });
+    edgeManager.createEdge({ id: "cross", sourceId: "a", targetId: "out" });
+    history.clear();
+
+    const visibility = [];
+    const paths = new Map();
+    eventBus.on("node:visibility:changed", ({ nodeId, visible }) =>
+      visibility.push(`${nodeId}:${visible}`)
+    );
+    eventBus.on("edge:path:update", (e) => paths.set(e.edgeId, e));
+
+    nodeManager.collapseContainer("lane");
+    expect(visibility).toEqual(["group:false", "a:false"]);
+    expect(nodeManager.getNode("lane")).toMatchObject({
+      collapsed: true,
+      width: 160,
+      height: 40,
+      expandedSize: { width: 600, height: 400 },
+    });
+    expect(nodeManager.getVisibleNode("a").id).toBe("lane");
+    expect(edgeManager.isEdgeHidden("in")).toBe(true);
+    expect(paths.get("in").visible).toBe(false);
+    expect(paths.get("cross").visible).toBe(true);
+    expect(paths.get("cross").points[0]).toEqual({ x: 80, y: 20 });
+
+    // Collapse is one step; undo shows everything again
+    expect(history.getState().undoCount).toBe(1);
+    history.undo();
+    expect(nodeManager.getNode("lane")).toMatchObject({
+      collapsed: false,
+      width: 600,
+    });
+    expect(visibility.slice(2)).toEqual(["group:true", "a:true"]);
+    expect(edgeManager.isEdgeHidden("in")).toBe(false);
+
+    history.redo();
+    nodeManager.expandContainer("lane");
+    expect(nodeManager.getNode("lane")).toMatchObject({
+      collapsed: false,
+      width: 600,
+      height: 400,
+    });
+    expect(nodeManager.isNodeHidden("a")).toBe(false);
+  });
+
+  it("should keep or delete children when a container is deleted", () => {
+    const { history, nodeManager } = context;
+
+    nodeManager.deleteNode("group");
+    expect(nodeManager.getNode("a").parentId).toBe("lane");
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNode("a").parentId).toBe("group");
+    expect(nodeManager.getParent("group").id).toBe("lane");
+
+    nodeManager.deleteNodes(["lane", "group"], { deleteChildren: true });
+    expect(nodeManager.getAllNodes().map((n) => n.id)).toEqual(["b", "out"]);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getDescendants("lane").map((n) => n.id)).toEqual([
+      "group",
+      "a",
+    ]);
+  });
+});
+
+describe("NodeController containers", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  // An editor that hands its canvas events to the test
+  const control = ({ eventBus, stateManager, nodeManager }) => {
+    const listeners = {};
+    const editor = {
+      on: (event, handler) => (listeners[event] = handler),
+      getLayer: () => null,
+      fire: (event, data = {}) => listeners[event](data),
+    };
+    const selection = new SelectionManager(eventBus, stateManager, nodeManager);
+    const controller = new NodeController(
+      nodeManager,
+      null,
+      editor,
+      stateManager,
+      eventBus,
+      selection
+    );
+    return { editor, selection, controller };
+  };
+
+  it("should drop a dragged node into a container as one undo step", () => {
+    const { history, nodeManager } = context;
+    const { editor, selection } = control(context);
+
+    editor.fire("canvas:mousedown", { x: 410, y: 110 });
+    expect(selection.getSelectedNodes()).toEqual(["b"]);
+    editor.fire("canvas:mousemove", { x: 300, y: 150 });
+    editor.fire("canvas:mouseup", { x: 300, y: 150 });
+
+    expect(nodeManager.getNode("b")).toMatchObject({
+      x: 290,
+      y: 140,
+      parentId: "group",
+    });
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNode("b")).toMatchObject({
+      x: 400,
+      y: 100,
+      parentId: null,
+    });
+  });
+
+  it("should pick the innermost node and take Editor's DOM events", () => {
+    const { controller, editor, selection } = control(context);
+
+    expect(controller.getNodeAt({ x: 110, y: 110 })).toBe("a");
+    expect(controller.getNodeAt({ x: 60, y: 60 })).toBe("group");
+    expect(controller.getNodeAt({ x: 5, y: 5 })).toBe("lane");
+
+    editor.fire("canvas:mousedown", {
+      detail: { point: { x: 110, y: 110 }, event: { ctrlKey: true } },
+    });
+    editor.fire("canvas:mouseup", { detail: { point: { x: 110, y: 110 } } });
+    expect(selection.getSelectedNodes()).toEqual(["a"]);
+  });
+
+  it("should nudge a container without moving its children twice", () => {
+    const { history, nodeManager } = context;
+    const { editor, selection } = control(context);
+    selection.selectNodes(["group", "a"]);
+
+    editor.fire("canvas:keydown", {
+      key: "ArrowRight",
+      shiftKey: true,
+      event: { preventDefault() {} },
+    });
+    expect(nodeManager.getNode("group").x).toBe(60);
+    expect(nodeManager.getNode("a").x).toBe(110);
+
+    // Keys the application already handled are left alone
+    editor.fire("canvas:keydown", {
+      key: "ArrowRight",
+      event: { defaultPrevented: true },
+    });
+    expect(nodeManager.getNode("group").x).toBe(60);
+
+    history.undo();
+    expect(nodeManager.getNode("a").x).toBe(100);
+
+    // A failed nudge still closes its undo step
+    const move = vi
+      .spyOn(nodeManager, "updateNodePosition")
+      .mockImplementationOnce(() => {
+        throw new Error("locked");
+      });
+    expect(() =>
+      editor.fire("canvas:keydown", {
+        key: "ArrowDown",
+        event: { preventDefault() {} },
+      })
+    ).toThrow("locked");
+    move.mockRestore();
+    const steps = history.getState().undoCount;
+    nodeManager.updateNode("out", { label: "Outside" });
+    expect(history.getState().undoCount).toBe(steps + 1);
+  });
+
+  it("should offer collapsing containers and leaving them", () => {
+    const { nodeManager } = context;
+    const { controller } = control(context);
+    const labels = (nodeId) =>
+      controller.getMenuItems(nodeId).map((item) => item.label);
+
+    expect(labels("out")).toEqual([]);
+    expect(labels("a")).toEqual(["Move Out of Container"]);
+    expect(labels("group")).toEqual(["Collapse", "Move Out of Container"]);
+
+    controller.getMenuItems("group")[0].action();
+    expect(nodeManager.getNode("group").collapsed).toBe(true);
+    expect(labels("group")[0]).toBe("Expand");
+
+    controller.getMenuItems("a")[0].action();
+    expect(nodeManager.getNode("a").parentId).toBe(null);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Shared fixtures for the unit tests
+ *
+ * The real EventBus, StateManager and ShapeRegistry the managers are built
+ * on, so tests exercise the state updates and shape checks the editor makes.
+ *
+ * @example
+ * let core, nodeManager;
+ *
+ * beforeEach(() => {
+ *   core = createCore();
+ *   nodeManager = new NodeManager(
+ *     core.eventBus,
+ *     core.stateManager,
+ *     core.shapeRegistry
+ *   );
+ * });
+ *
+ * afterEach(() => {
+ *   destroyAll({ nodeManager });
+ * });
+ *
+ * // Or let a factory hand its fixture over, destroyed after the test
+ * const setup = () => track({ nodeManager: new NodeManager(...) });
+ */
+
+import { afterEach } from "vitest";
+import { EventBus } from "../../src/core/events/EventBus.js";
+import { EditorState } from "../../src/core/state/EditorState.js";
+import { StateManager } from "../../src/core/state/StateManager.js";
+import { ShapeRegistry } from "../../src/shapes/registry/ShapeRegistry.js";
+import { getAllShapeClasses } from "../../src/shapes/index.js";
+
+/**
+ * A StateManager over a fresh EditorState
+ * @param {EventBus} eventBus
+ * @returns {StateManager}
+ */
+export const createStateManager = (eventBus) =>
+  new StateManager(new EditorState(eventBus));
+
+/**
+ * A ShapeRegistry holding every built-in shape
+ * @returns {ShapeRegistry}
+ */
+export const createShapeRegistry = () => {
+  const registry = new ShapeRegistry();
+  Object.entries(getAllShapeClasses()).forEach(([type, ShapeClass]) =>
+    registry.registerShape(type, ShapeClass)
+  );
+  return registry;
+};
+
+/**
+ * What every manager is constructed with
+ * @returns {Object} { eventBus, stateManager, shapeRegistry }
+ */
+export const createCore = () => {
+  const eventBus = new EventBus();
+  return {
+    eventBus,
+    stateManager: createStateManager(eventBus),
+    shapeRegistry: createShapeRegistry(),
+  };
+};
+
+/**
+ * Destroy everything in a fixture that can be destroyed
+ * @param {Object} fixture - Managers, controllers and views by name
+ */
+export const destroyAll = (fixture) => {
+  Object.values(fixture || {}).forEach((value) => {
+    if (value && typeof value.destroy === "function") {
+      value.destroy();
+    }
+  });
+};
+
+// Fixtures passed to track(), destroyed after each test
+const tracked = [];
+
+afterEach(() => {
+  tracked.splice(0).forEach(destroyAll);
+});
+
+/**
+ * Destroy a fixture after the test that built it
+ * @param {Object} fixture - Managers, controllers and views by name
+ * @returns {Object} The fixture
+ */
+export const track = (fixture) => {
+  tracked.push(fixture);
+  return fixture;
+};
@@ -0,0 +1,1014 @@
+/**
+ * Unit Tests for Import/Export Formats
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { MermaidFormat } from "../../../src/core/formats/MermaidFormat.js";
+import { DrawioFormat } from "../../../src/core/formats/DrawioFormat.js";
+import { DotFormat } from "../../../src/core/formats/DotFormat.js";
+import { SvgFormat } from "../../../src/core/formats/SvgFormat.js";
+import { PdfFormat } from "../../../src/core/formats/PdfFormat.js";
+import { PdfPainter } from "../../../src/core/formats/PdfPainter.js";
+import { PdfWriter } from "../../../src/core/formats/PdfWriter.js";
+import { CodeFormat } from "../../../src/core/formats/CodeFormat.js";
+import { FormatRegistry } from "../../../src/core/formats/FormatRegistry.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { ExportManager } from "../../../src/core/managers/ExportManager.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+describe("MermaidFormat", () => {
+  describe("parse", () => {
+    it("should map node shapes to flowchart types", () => {
+      const doc = MermaidFormat.parse(`flowchart TD
+        start([Start]) --> input[/Read order/]
+        input --> check{Valid?}
+        check -->|yes| ship[[Ship order]]
+        check -- no --> stop([Stop])
+      `);
+
+      const types = Object.fromEntries(doc.nodes.map((n) => [n.id, n.type]));
+      expect(types).toEqual({
+        start: "terminator",
+        input: "data",
+        check: "decision",
+        ship: "predefined-process",
+        stop: "terminator",
+      });
+
+      const labels = doc.edges.map((e) => e.label);
+      expect(labels).toEqual(["", "", "yes", "no"]);
+    });
+
+    it("should expand chains and & groups", () => {
+      const doc = MermaidFormat.parse("graph LR\nA & B --> C --> D");
+
+      expect(doc.edges.map((e) => `${e.sourceId}->${e.targetId}`)).toEqual([
+        "A->C",
+        "B->C",
+        "C->D",
+      ]);
+      expect(doc.metadata.direction).toBe("LR");
+    });
+
+    it("should turn subgraphs into containers around their members", () => {
+      const doc = MermaidFormat.parse(
+        `flowchart TD
+  subgraph sales [Sales]
+    a[Quote] --> b[Order]
+  end
+  b --> c[Invoice]`,
+        { subgraphType: "swimlane" }
+      );
+
+      const lane = doc.nodes.find((n) => n.id === "sales");
+      const quote = doc.nodes.find((n) => n.id === "a");
+
+      expect(doc.nodes[0].id).toBe("sales");
+      expect(lane.type).toBe("swimlane");
+      expect(
+        doc.nodes.filter((n) => n.parentId === "sales").map((n) => n.id)
+      ).toEqual(["a", "b"]);
+      expect(quote.x).toBeGreaterThan(lane.x);
+      expect(quote.y).toBeGreaterThan(lane.y);
+    });
+
+    it("should report skipped statements", () => {
+      const doc = MermaidFormat.parse(
+        "flowchart TD\nA --> B\nclassDef hot fill:#f00"
+      );
+
+      expect(doc.metadata.warnings).toHaveLength(1);
+      expect(doc.metadata.warnings[0].line).toBe(3);
+    });
+
+    it("should throw on a missing header", () => {
+      expect(() => MermaidFormat.parse("A --> B")).toThrow(/header/);
+    });
+  });
+
+  describe("serialize", () => {
+    it("should round-trip shapes, labels and subgraphs", () => {
+      const source = MermaidFormat.parse(`flowchart LR
+  subgraph g1 ["Review (legal)"]
+    d{"Approve?"}
+  end
+  s([Start]) --> d
+  d -->|"a | b"| e[(Store)]
+  d -.-> s`);
+      // Text that looks like entity codes or line breaks stays literal
+      source.nodes.find((n) => n.id === "e").label = 'Say "hi" #1;';
+      source.nodes.find((n) => n.id === "s").label = "a <br> b\nc";
+      source.edges[0].label = "#quot; #124; <b>; a";
+
+      const text = MermaidFormat.serialize(source, { direction: "LR" });
+      const again = MermaidFormat.parse(text);
+
+      expect(again.nodes.map((n) => [n.id, n.type, n.label])).toEqual(
+        source.nodes.map((n) => [n.id, n.type, n.label])
+      );
+      expect(again.edges.map((e) => [e.label, e.style])).toEqual(
+        source.edges.map((e) => [e.label, e.style])
+      );
+      expect(text).toContain('subgraph g1 ["Review (legal)"]');
+    });
+  });
+});
+
+describe("DrawioFormat", () => {
+  const model = `<mxGraphModel><root>
+    <mxCell id="0"/>
+    <mxCell id="1" parent="0"/>
+    <mxCell id="lane" value="Sales" style="swimlane;" vertex="1" parent="1">
+      <mxGeometry x="100" y="50" width="300" height="200" as="geometry"/>
+    </mxCell>
+    <mxCell id="check" value="Valid?" style="rhombus;whiteSpace=wrap;" vertex="1" parent="lane">
+      <mxGeometry x="20" y="40" width="80" height="80" as="geometry"/>
+    </mxCell>
+    <mxCell id="sub" value="&lt;b&gt;Charge&lt;/b&gt; card" style="shape=process;html=1;fillColor=#dae8fc;" vertex="1" parent="1">
+      <mxGeometry x="500" y="90" width="120" height="60" as="geometry"/>
+    </mxCell>
+    <mxCell id="db" value="Orders" style="shape=cylinder3;" vertex="1" parent="1">
+      <mxGeometry x="500" y="250" width="60" height="80" as="geometry"/>
+    </mxCell>
+    <mxCell id="dot" style="ellipse;aspect=fixed;" vertex="1" parent="1">
+      <mxGeometry x="0" y="0" width="30" height="30" as="geometry"/>
+    </mxCell>
+    <mxCell id="odd" value="Cloud" style="shape=mxgraph.aws4.lambda;" vertex="1" parent="1">
+      <mxGeometry x="700" y="0" width="50" height="50" as="geometry"/>
+    </mxCell>
+    <mxCell id="e1" value="yes" style="edgeStyle=orthogonalEdgeStyle;dashed=1;" edge="1" parent="1" source="check" target="sub">
+      <mxGeometry relative="1" as="geometry">
+        <Array as="points"><mxPoint x="300" y="130"/><mxPoint x="300" y="120"/></Array>
+      </mxGeometry>
+    </mxCell>
+    <mxCell id="e2" edge="1" parent="1" source="sub">
+      <mxGeometry relative="1" as="geometry"/>
+    </mxCell>
+  </root></mxGraphModel>`;
+
+  it("should map shapes and make child coordinates absolute", async () => {
+    const doc = await DrawioFormat.parse(model);
+    const byId = Object.fromEntries(doc.nodes.map((n) => [n.id, n]));
+
+    expect(byId.lane.type).toBe("swimlane");
+    expect(byId.check.parentId).toBe("lane");
+    expect(byId.check).toMatchObject({ type: "decision", x: 120, y: 90 });
+    expect(byId.sub).toMatchObject({
+      type: "predefined-process",
+      label: "Charge card",
+    });
+    expect(byId.sub.style.fill).toBe("#dae8fc");
+    expect(byId.db.type).toBe("database");
+    expect(byId.dot.type).toBe("circle");
+  });
+
+  it("should keep edge waypoints, labels and style", async () => {
+    const doc = await DrawioFormat.parse(model);
+
+    expect(doc.edges).toHaveLength(1);
+    expect(doc.edges[0]).toMatchObject({
+      sourceId: "check",
+      targetId: "sub",
+      label: "yes",
+      type: "orthogonal",
+    });
+    expect(doc.edges[0].style.strokeDasharray).toBe("5,5");
+    expect(doc.edges[0].waypoints).toEqual([
+      { x: 300, y: 130 },
+      { x: 300, y: 120 },
+    ]);
+  });
+
+  it("should report unsupported shapes and dangling edges by cell id", async () => {
+    const doc = await DrawioFormat.parse(model, {
+      hasShape: (type) => type !== "circle",
+    });
+    const cellIds = doc.metadata.warnings.map((w) => w.cellId);
+
+    expect(cellIds).toEqual(expect.arrayContaining(["odd", "dot", "e2"]));
+    expect(doc.nodes.find((n) => n.id === "odd").type).toBe("process");
+  });
+
+  it("should read compressed pages from an mxfile", async () => {
+    const inner = `<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>
+      <mxCell id="a" value="Start" style="rounded=1;arcSize=50;" vertex="1" parent="1">
+        <mxGeometry x="10" y="10" width="120" height="40" as="geometry"/>
+      </mxCell></root></mxGraphModel>`;
+    const stream = new Response(encodeURIComponent(inner)).body.pipeThrough(
+      new CompressionStream("deflate-raw")
+    );
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    const payload = btoa(String.fromCharCode(...bytes));
+
+    const doc = await DrawioFormat.parse(
+      `<mxfile><diagram id="p1" name="Main">${payload}</diagram></mxfile>`
+    );
+
+    expect(doc.nodes).toHaveLength(1);
+    expect(doc.nodes[0]).toMatchObject({ type: "terminator", label: "Start" });
+  });
+
+  it("should read HTML labels without running their markup", async () => {
+    window.drawioLabelHandler = vi.fn();
+    const createElement = vi.spyOn(document, "createElement");
+    const label =
+      "&lt;img src=&quot;missing.png&quot; " +
+      "onerror=&quot;drawioLabelHandler()&quot;&gt;Pay&lt;br&gt;now";
+
+    const doc = await DrawioFormat.parse(`<mxGraphModel><root>
+      <mxCell id="0"/><mxCell id="1" parent="0"/>
+      <mxCell id="a" value="${label}" style="html=1;" vertex="1" parent="1">
+        <mxGeometry x="0" y="0" width="120" height="60" as="geometry"/>
+      </mxCell></root></mxGraphModel>`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(doc.nodes[0].label).toBe("Pay\nnow");
+    expect(createElement).not.toHaveBeenCalled();
+    expect(window.drawioLabelHandler).not.toHaveBeenCalled();
+    createElement.mockRestore();
+    delete window.drawioLabelHandler;
+  });
+
+  it("should throw on malformed XML", async () => {
+    await expect(DrawioFormat.parse("<mxfile><diagram>")).rejects.toThrow();
+  });
+});
+
+describe("DotFormat", () => {
+  describe("parse", () => {
+    it("should map shapes, labels and edge styles", () => {
+      const doc = DotFormat.parse(`// generated by the build
+digraph pipeline {
+  rankdir=LR;
+  node [shape=box];
+  start [shape=box, style="rounded,filled", fillcolor="#d5e8d4", label="Start"];
+  check [shape=diamond, label="Tests\\npass?"];
+  cache [shape=cylinder];
+  "publish step" [label=<<b>Publish</b>>];
+  readme [shape=note];
+  start -> check;
+  check -> "publish step" [label="yes", style=dashed, color="red:blue"];
+  check -> cache [dir=none, penwidth=4];
+}`);
+      const byId = Object.fromEntries(doc.nodes.map((n) => [n.id, n]));
+
+      expect(doc.metadata.direction).toBe("LR");
+      expect(byId.start).toMatchObject({ type: "terminator", label: "Start" });
+      expect(byId.start.style.fill).toBe("#d5e8d4");
+      expect(byId.check).toMatchObject({
+        type: "decision",
+        label: "Tests\npass?",
+      });
+      expect(byId.cache.type).toBe("database");
+      expect(byId["publish step"]).toMatchObject({
+        type: "process",
+        label: "Publish",
+      });
+      expect(byId.readme.type).toBe("note");
+
+      expect(doc.edges).toHaveLength(3);
+      expect(doc.edges[1]).toMatchObject({
+        sourceId: "check",
+        targetId: "publish step",
+        label: "yes",
+      });
+      expect(doc.edges[1].style).toMatchObject({
+        stroke: "red",
+        strokeDasharray: "5,5",
+      });
+      expect(doc.edges[2].style).toMatchObject({
+        strokeWidth: 4,
+        markerEnd: "none",
+      });
+    });
+
+    it("should expand chains and subgraph endpoints into clusters", () => {
+      const doc = DotFormat.parse(`strict digraph {
+  a -> b -> { c d }
+  subgraph cluster_build { label="Build"; b; c }
+  a -> b
+}`);
+      const cluster = doc.nodes.find((n) => n.id === "cluster_build");
+
+      expect(cluster).toMatchObject({ type: "group", label: "Build" });
+      expect(
+        doc.nodes.filter((n) => n.parentId === "cluster_build").map((n) => n.id)
+      ).toEqual(["b", "c"]);
+      expect(doc.nodes[0].id).toBe("cluster_build");
+      expect(doc.edges.map((e) => `${e.sourceId}>${e.targetId}`)).toEqual([
+        "a>b",
+        "b>c",
+        "b>d",
+      ]);
+    });
+
+    it("should warn about unsupported shapes and self-loops", () => {
+      const doc = DotFormat.parse(`digraph {
+  a [shape=egg];
+  a -> a;
+}`);
+
+      expect(doc.nodes[0].type).toBe("process");
+      expect(doc.metadata.warnings.map((w) => w.line)).toEqual([2, 3]);
+      expect(doc.edges).toHaveLength(0);
+    });
+
+    it("should report syntax errors with a line number", () => {
+      expect(() => DotFormat.parse("digraph {\n  a -> ;\n}")).toThrow(
+        /DOT line 2/
+      );
+      expect(() => DotFormat.parse("graph { a -> b }")).toThrow(/not allowed/);
+    });
+  });
+
+  describe("serialize", () => {
+    it("should round-trip types, labels, styles and positions", () => {
+      const source = {
+        nodes: [
+          {
+            id: "g",
+            type: "swimlane",
+            x: 0,
+            y: 0,
+            width: 400,
+            height: 300,
+            label: "Lane",
+            style: {},
+            metadata: {},
+          },
+          {
+            id: "s",
+            type: "terminator",
+            x: 20,
+            y: 50,
+            width: 120,
+            height: 60,
+            label: 'Say "hi"',
+            style: { fill: "#fff2cc" },
+            metadata: {},
+            parentId: "g",
+          },
+          {
+            id: "d",
+            type: "decision",
+            x: 300,
+            y: 400,
+            width: 100,
+            height: 100,
+            label: "Ok?\nReally",
+            style: {},
+            metadata: {},
+          },
+          {
+            id: "p",
+            type: "predefined-process",
+            x: 600,
+            y: 400,
+            width: 144,
+            height: 72,
+            label: "Sub",
+            style: {},
+            metadata: {},
+          },
+        ],
+        edges: [
+          {
+            id: "edge_1",
+            sourceId: "s",
+            targetId: "d",
+            label: "go",
+            style: {
+              stroke: "#000000",
+              strokeWidth: 2,
+              strokeDasharray: "5,5",
+              markerEnd: "url(#arrowhead)",
+            },
+          },
+          {
+            id: "edge_2",
+            sourceId: "d",
+            targetId: "p",
+            label: "",
+            style: { stroke: "#ff0000", strokeWidth: 2, markerEnd: "none" },
+          },
+          { id: "edge_3", sourceId: "g", targetId: "p", label: "", style: {} },
+        ],
+      };
+
+      const text = DotFormat.serialize(source, { direction: "LR" });
+      const again = DotFormat.parse(text, { clusterType: "swimlane" });
+      const byId = Object.fromEntries(again.nodes.map((n) => [n.id, n]));
+
+      expect(text).toContain('subgraph "cluster_g" {');
+      expect(text).toContain("rankdir=LR;");
+      expect(byId.s.parentId).toBe("cluster_g");
+      expect(byId.s).toMatchObject({
+        type: "terminator",
+        label: 'Say "hi"',
+        x: 20,
+        y: 50,
+        width: 120,
+        height: 60,
+      });
+      expect(byId.s.style.fill).toBe("#fff2cc");
+      expect(byId.d).toMatchObject({
+        type: "decision",
+        label: "Ok?\nReally",
+        x: 300,
+        y: 400,
+      });
+      expect(byId.p.type).toBe("predefined-process");
+      expect(again.edges.map((e) => [e.id, e.label, e.style])).toEqual(
+        source.edges.slice(0, 2).map((e) => [e.id, e.label, e.style])
+      );
+    });
+  });
+});
+
+describe("SvgFormat", () => {
+  const doc = {
+    nodes: [
+      {
+        id: "lane",
+        type: "swimlane",
+        x: 0,
+        y: 0,
+        width: 500,
+        height: 300,
+        label: "Lane",
+        style: {},
+      },
+      {
+        id: "s",
+        type: "terminator",
+        x: 20,
+        y: 40,
+        width: 120,
+        height: 60,
+        label: "Start",
+        style: { fill: "#d5e8d4" },
+      },
+      {
+        id: "d",
+        type: "decision",
+        x: 200,
+        y: 40,
+        width: 100,
+        height: 100,
+        label: "A & <B>",
+        style: {},
+      },
+      {
+        id: "r",
+        type: "rect",
+        x: 350,
+        y: 200,
+        width: 100,
+        height: 60,
+        label: "Rect",
+        style: {},
+      },
+      {
+        id: "x",
+        type: "unknown-shape",
+        x: 350,
+        y: 40,
+        width: 100,
+        height: 60,
+        label: "Other",
+        style: {},
+      },
+    ],
+    edges: [
+      {
+        id: "e1",
+        sourceId: "s",
+        targetId: "d",
+        type: "straight",
+        label: "go",
+        style: { stroke: "#000000", strokeWidth: 2 },
+        metadata: {},
+      },
+      {
+        id: "e2",
+        sourceId: "d",
+        targetId: "r",
+        type: "orthogonal",
+        label: "",
+        style: { stroke: "#ff0000", strokeWidth: 2, strokeDasharray: "5,5" },
+        metadata: {},
+      },
+      {
+        id: "e3",
+        sourceId: "r",
+        targetId: "x",
+        type: "straight",
+        label: "",
+        style: { markerEnd: "none" },
+        metadata: { waypoints: [{ x: 600, y: 230 }] },
+      },
+    ],
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("should render shapes, labels and inline arrow markers", () => {
+    const svg = SvgFormat.serialize(doc);
+
+    expect(svg).toMatch(
+      /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="640" height="340" viewBox="-20 -20 640 340">/
+    );
+    expect(svg).toContain('<marker id="arrow-1"');
+    expect(svg).toContain('<path d="M 0 0 L 10 5 L 0 10 Z" fill="#ff0000"/>');
+    expect(svg).toContain('fill="#d5e8d4"');
+    expect(svg).toContain(">A &amp; &lt;B&gt;</text>");
+    expect(svg).toContain(">Other</text>");
+    expect(svg).toContain('d="M 250 140 L 250 230 L 350 230"');
+    expect(svg).toContain('d="M 450 230 L 600 230 L 437.5 100"');
+    expect(svg).not.toMatch(/var\(--|handle|selection/);
+  });
+
+  it("should draw containers, then edges, then nodes", () => {
+    const svg = SvgFormat.serialize(doc);
+
+    expect(svg.indexOf('data-node-id="lane"')).toBeLessThan(
+      svg.indexOf('data-edge-id="e1"')
+    );
+    expect(svg.indexOf('data-edge-id="e3"')).toBeLessThan(
+      svg.indexOf('data-node-id="s"')
+    );
+  });
+
+  it("should render without a DOM and produce identical output each time", () => {
+    vi.stubGlobal("document", undefined);
+
+    const first = SvgFormat.serialize(doc, { background: null, title: "Flow" });
+    const second = SvgFormat.serialize(doc, {
+      background: null,
+      title: "Flow",
+    });
+
+    expect(first).toBe(second);
+    expect(first).toContain("<title>Flow</title>");
+    expect(first).toContain(">Start</text>");
+    expect(first).not.toContain('fill="#ffffff"/>\n  <g class="containers">');
+    expect(globalThis.document).toBeUndefined();
+  });
+
+  it("should include padding and waypoints in the bounds", () => {
+    expect(SvgFormat.getBounds(doc, { padding: 10 })).toEqual({
+      x: -10,
+      y: -10,
+      width: 620,
+      height: 320,
+    });
+    expect(SvgFormat.getBounds({ nodes: [], edges: [] })).toEqual({
+      x: -20,
+      y: -20,
+      width: 40,
+      height: 40,
+    });
+  });
+});
+
+describe("PdfFormat", () => {
+  const bounds = { x: 0, y: 0, width: 2000, height: 1000 };
+  const decode = (bytes) => String.fromCharCode(...bytes);
+
+  it("should fit the drawing on one centred page", () => {
+    const layout = PdfFormat.layout(bounds, {
+      format: "A4",
+      orientation: "landscape",
+      margins: 36,
+      header: false,
+      footer: false,
+    });
+
+    expect(layout.width).toBeCloseTo(841.89);
+    expect(layout.height).toBeCloseTo(595.28);
+    expect(layout.tiles).toHaveLength(1);
+    expect(layout.scale).toBeCloseTo(769.89 / 2000);
+    // Wider than the page ratio: spare height is split above and below
+    expect(layout.tiles[0].x).toBe(0);
+    expect(layout.tiles[0].y).toBeCloseTo(-(523.28 / layout.scale - 1000) / 2);
+  });
+
+  it("should tile at the print scale with overlap and bands", () => {
+    const layout = PdfFormat.layout(bounds, {
+      format: "letter",
+      orientation: "portrait",
+      margins: { top: 36, right: 36, bottom: 36, left: 36 },
+      mode: "tile",
+      scale: 1,
+      overlap: 18,
+    });
+
+    // 540 x 672 pt drawing area (two 24 pt bands) at 0.75 pt per unit
+    expect(layout.area).toEqual({ x: 36, y: 60, width: 540, height: 672 });
+    expect(layout.columns).toBe(3);
+    expect(layout.rows).toBe(2);
+    expect(layout.tiles.map((t) => [t.page, t.row, t.column])).toEqual([
+      [1, 1, 1],
+      [2, 1, 2],
+      [3, 1, 3],
+      [4, 2, 1],
+      [5, 2, 2],
+      [6, 2, 3],
+    ]);
+    expect(layout.tiles[1].x).toBeCloseTo(720 - 24);
+    expect(layout.tiles[3].y).toBeCloseTo(896 - 24);
+  });
+
+  it("should reject invalid page setups", () => {
+    expect(() => PdfFormat.pageSize("B7")).toThrow(/Unknown PDF page size/);
+    expect(() => PdfFormat.layout(bounds, { margins: 400 })).toThrow(/no room/);
+    expect(() => PdfFormat.layout(bounds, { mode: "poster" })).toThrow(
+      /Unknown PDF layout mode/
+    );
+    expect(() =>
+      PdfFormat.layout(
+        { x: 0, y: 0, width: 100000, height: 100000 },
+        { mode: "tile", scale: 4 }
+      )
+    ).toThrow(/pages \(limit 500\)/);
+  });
+
+  it("should write a well-formed file with one page per tile", () => {
+    const doc = {
+      nodes: [
+        { id: "a", type: "process", x: 0, y: 0, width: 120, height: 60 },
+        { id: "b", type: "process", x: 1400, y: 0, width: 120, height: 60 },
+      ],
+      edges: [{ id: "e", sourceId: "a", targetId: "b", label: "(next)" }],
+    };
+    const pdf = decode(
+      PdfFormat.serialize(doc, { mode: "tile", title: "Audit – Q3" })
+    );
+
+    expect(pdf.startsWith("%PDF-1.4\n")).toBe(true);
+    expect(pdf.endsWith("%%EOF\n")).toBe(true);
+    expect(pdf).toContain("/Type /Pages /Kids [");
+    expect(pdf).toContain("/Count 2 >>");
+    expect(pdf).toContain("/Title (Audit \\226 Q3)");
+    expect(pdf).toContain("(Page 2 of 2) Tj");
+    expect(pdf).toContain("(Row 1, column 2) Tj");
+    expect(pdf).toContain("(\\(next\\)) Tj");
+    // The drawing is stored once and drawn on each page
+    expect(pdf.match(/\/Fm1 Do/g)).toHaveLength(2);
+
+    // Every xref entry points at its object
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const entries = pdf.slice(xref).match(/^\d{10} 00000 n $/gm);
+    entries.forEach((entry, i) => {
+      expect(pdf.startsWith(`${i + 1} 0 obj`, Number(entry.slice(0, 10)))).toBe(
+        true
+      );
+    });
+  });
+
+  it("should convert path data to absolute lines and cubic curves", () => {
+    const segments = PdfPainter.parsePath(
+      "M10 10 h20 v20 q 10 10 20 0 A10 10 0 0 1 70 30 z"
+    );
+
+    expect(segments.slice(0, 3)).toEqual([
+      { type: "M", x: 10, y: 10 },
+      { type: "L", x: 30, y: 10 },
+      { type: "L", x: 30, y: 30 },
+    ]);
+    expect(segments[3]).toMatchObject({ type: "C", x: 50, y: 30 });
+    expect(segments[3].x1).toBeCloseTo(30 + 20 / 3);
+    // Half circle from (50,30) to (70,30): two quarter curves through (60,20)
+    expect(segments[4]).toMatchObject({ type: "C" });
+    expect(segments[4].x).toBeCloseTo(60);
+    expect(segments[4].y).toBeCloseTo(20);
+    expect(segments[5]).toMatchObject({ type: "C", x: 70, y: 30 });
+    expect(segments[6]).toEqual({ type: "Z" });
+  });
+
+  it("should measure and escape text for the standard fonts", () => {
+    expect(PdfWriter.textWidth("Hi", 10)).toBeCloseTo(9.44);
+    expect(PdfWriter.textWidth("Hi", 10, true)).toBeCloseTo(10);
+    expect(PdfWriter.string("a\\b (c) é 中")).toBe("(a\\\\b \\(c\\) \\351 ?)");
+  });
+});
+
+describe("CodeFormat", () => {
+  const chart = (nodes, edges) => ({
+    nodes: nodes.map(([id, type, label, metadata = {}]) => ({
+      id,
+      type,
+      label,
+      metadata,
+    })),
+    edges: edges.map(([sourceId, targetId, label = ""], i) => ({
+      id: `e${i}`,
+      sourceId,
+      targetId,
+      label,
+    })),
+  });
+
+  // Run generated JavaScript with scripted input, collecting output
+  const run = (code, inputs = {}) => {
+    const output = [];
+    const main = new Function(`${code}\nreturn main;`)();
+    main({
+      input: (name) => inputs[name],
+      output: (value) => output.push(value),
+      ask: () => false,
+    });
+    return output;
+  };
+
+  const grading = chart(
+    [
+      ["start", "terminator", "Start"],
+      ["read", "manual-input", "Read score"],
+      ["pass", "decision", "score >= 50?"],
+      ["merit", "decision", "Merit?", { condition: "score >= 80" }],
+      ["high", "process", "grade = 'merit'"],
+      ["ok", "process", "grade = 'pass'"],
+      ["fail", "process", "grade = 'fail'"],
+      ["log", "predefined-process", "Log result"],
+      ["show", "data", "Print grade"],
+      ["end", "terminator", "End"],
+    ],
+    [
+      ["start", "read"],
+      ["read", "pass"],
+      ["pass", "fail", "No"],
+      ["pass", "merit", "Yes"],
+      ["merit", "high", "yes"],
+      ["merit", "ok", "no"],
+      ["high", "log"],
+      ["ok", "log"],
+      ["fail", "log"],
+      ["log", "show"],
+      ["show", "end"],
+    ]
+  );
+
+  it("should turn decisions into if/else chains", () => {
+    expect(CodeFormat.toPseudocode(grading)).toBe(
+      [
+        "BEGIN",
+        "  INPUT score",
+        "  IF score >= 50 THEN",
+        "    IF score >= 80 THEN",
+        "      grade = 'merit'",
+        "    ELSE",
+        "      grade = 'pass'",
+        "    END IF",
+        "  ELSE",
+        "    grade = 'fail'",
+        "  END IF",
+        "  CALL Log result",
+        "  OUTPUT grade",
+        "END",
+        "",
+      ].join("\n")
+    );
+
+    const code = CodeFormat.toJavaScript(grading, { invoke: false });
+    expect(code).toContain("function logResult() {");
+    expect(code).toContain("  if (score >= 50) {\n    if (score >= 80) {");
+    expect(run(code, { score: 85 })).toEqual(["merit"]);
+    expect(run(code, { score: 60 })).toEqual(["pass"]);
+    expect(run(code, { score: 10 })).toEqual(["fail"]);
+  });
+
+  it("should turn back edges into while and repeat loops", () => {
+    const loops = chart(
+      [
+        ["start", "terminator", "Start"],
+        ["read", "manual-input", "n"],
+        ["init", "process", "i = 0"],
+        ["test", "decision", "i < n"],
+        ["inc", "process", "i = i + 2"],
+        ["show", "data", "Output i"],
+        ["count", "process", "n = n - 1"],
+        ["again", "decision", "Done?", { condition: "n <= 0" }],
+        ["end", "terminator", "End"],
+      ],
+      [
+        ["start", "read"],
+        ["read", "init"],
+        ["init", "test"],
+        ["test", "show", "no"],
+        ["test", "inc", "yes"],
+        ["inc", "test"],
+        ["show", "count"],
+        ["count", "again"],
+        ["again", "show", "no"],
+        ["again", "end", "yes"],
+      ]
+    );
+
+    expect(CodeFormat.toPseudocode(loops)).toBe(
+      [
+        "BEGIN",
+        "  INPUT n",
+        "  i = 0",
+        "  WHILE i < n DO",
+        "    i = i + 2",
+        "  END WHILE",
+        "  REPEAT",
+        "    OUTPUT i",
+        "    n = n - 1",
+        "  UNTIL n <= 0",
+        "END",
+        "",
+      ].join("\n")
+    );
+
+    const code = CodeFormat.toJavaScript(loops, { invoke: false });
+    expect(code).toContain("} while (!(n <= 0));");
+    expect(run(code, { n: 3 })).toEqual([4, 4, 4]);
+  });
+
+  it("should explain what keeps a chart from being structured", () => {
+    const analyze = (nodes, edges) =>
+      CodeFormat.analyze(chart(nodes, edges)).diagnostics.filter(
+        (d) => d.severity === "error"
+      );
+
+    // The no branch jumps into the middle of the yes branch
+    const goto = analyze(
+      [
+        ["start", "terminator", "Start"],
+        ["check", "decision", "x > 1"],
+        ["a", "process", "A"],
+        ["b", "process", "B"],
+        ["end", "terminator", "End"],
+      ],
+      [
+        ["start", "check"],
+        ["check", "a", "yes"],
+        ["check", "b", "no"],
+        ["a", "b"],
+        ["b", "end"],
+        ["a", "end"],
+      ]
+    );
+    expect(goto).toEqual([
+      expect.objectContaining({
+        nodeId: "a",
+        message: expect.stringContaining("only a decision can branch"),
+      }),
+    ]);
+
+    // Leaving a loop from its body is a break
+    const exit = analyze(
+      [
+        ["start", "terminator", "Start"],
+        ["test", "decision", "i < 3"],
+        ["step", "decision", "i == 1"],
+        ["inc", "process", "i = i + 1"],
+        ["end", "terminator", "End"],
+      ],
+      [
+        ["start", "test"],
+        ["test", "step", "yes"],
+        ["test", "end", "no"],
+        ["step", "end", "yes"],
+        ["step", "inc", "no"],
+        ["inc", "test"],
+      ]
+    );
+    expect(exit).toEqual([
+      expect.objectContaining({
+        nodeId: "step",
+        message: expect.stringContaining("only the loop's condition"),
+      }),
+    ]);
+
+    expect(() =>
+      CodeFormat.toJavaScript(chart([["a", "process", "A"]], []))
+    ).toThrow("No start node");
+  });
+});
+
+describe("FormatRegistry", () => {
+  const text = { id: "text", export: () => "" };
+
+  it("should reject formats without an id, a function or a free id", () => {
+    const registry = new FormatRegistry();
+    registry.register(text);
+
+    expect(() => registry.register({ export: () => "" })).toThrow(/id/);
+    expect(() => registry.register({ id: "empty" })).toThrow(/import\(\)/);
+    expect(() => registry.register(text)).toThrow(/already registered/);
+  });
+
+  it("should find importers by extension, then by MIME type", () => {
+    const registry = new FormatRegistry();
+    registry.register(text);
+    registry.register({
+      id: "csv",
+      extensions: [".CSV"],
+      mimeTypes: ["Text/CSV"],
+      import: () => ({}),
+    });
+
+    expect(registry.get("csv").extensions).toEqual(["csv"]);
+    expect(registry.findImporter("Orders.CSV").id).toBe("csv");
+    expect(registry.findImporter("orders", "text/csv").id).toBe("csv");
+    expect(registry.findImporter("notes.text")).toBeNull();
+    expect(registry.list({ canExport: true }).map((f) => f.id)).toEqual([
+      "text",
+    ]);
+  });
+});
+
+describe("ExportManager formats", () => {
+  const setup = () => {
+    const { eventBus, stateManager, shapeRegistry } = createCore();
+    const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+    const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+    const exportManager = new ExportManager(
+      eventBus,
+      stateManager,
+      nodeManager,
+      edgeManager
+    );
+    nodeManager.createNode({ id: "a", type: "process", label: "A" });
+    return { eventBus, exportManager };
+  };
+
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should list the built-in formats", () => {
+    const { exportManager } = context;
+    const ids = (filter) => exportManager.getFormats(filter).map((f) => f.id);
+
+    expect(ids({ canImport: true })).toEqual([
+      "json",
+      "mermaid",
+      "drawio",
+      "dot",
+    ]);
+    expect(ids({ canExport: true })).toContain("png");
+    expect(ids({ canExport: true })).not.toContain("drawio");
+  });
+
+  it("should pick importers from the file name", async () => {
+    const { exportManager } = context;
+
+    const mermaid = await exportManager._importText(
+      "graph TD\nA --> B",
+      "chart.MMD"
+    );
+    expect(mermaid.nodes.map((n) => n.id)).toEqual(["A", "B"]);
+
+    const dot = await exportManager._importText("digraph { x -> y }", "g.gv");
+    expect(dot.edges).toHaveLength(1);
+
+    const json = exportManager.exportJSON();
+    const fallback = await exportManager._importText(json, "backup.bak");
+    expect(fallback.nodes.map((n) => n.id)).toEqual(["a"]);
+  });
+
+  it("should import and export through added formats", async () => {
+    const { eventBus, exportManager } = context;
+    const events = [];
+    eventBus.on("export:csv:complete", (data) => events.push(data));
+    eventBus.on("export:import:start", (data) => events.push(data));
+
+    exportManager.registerFormat({
+      id: "csv",
+      name: "CSV",
+      mimeTypes: ["text/csv"],
+      export: (doc) => doc.nodes.map((n) => `${n.id},${n.label}`).join("\n"),
+      import: (text) => ({
+        nodes: text.split("\n").map((line) => {
+          const [id, label] = line.split(",");
+          return { id, type: "process", label, x: 0, y: 0 };
+        }),
+        edges: [],
+      }),
+    });
+
+    expect(exportManager.exportFormat("csv")).toBe("a,A");
+    const data = await exportManager._importText("b,B", "list.csv");
+    expect(data.nodes[0].label).toBe("B");
+    expect(events).toEqual([
+      { size: 3 },
+      { format: "csv", nodeCount: 1, edgeCount: 0 },
+    ]);
+
+    expect(exportManager.unregisterFormat("csv")).toBe(true);
+    expect(() => exportManager.exportFormat("csv")).toThrow(/No exporter/);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Unit Tests for the Undo History Command Bus
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { CommandBus } from "../../../src/core/events/CommandBus.js";
+import {
+  HistoryManager,
+  MoveNodeCommand,
+} from "../../../src/core/managers/HistoryManager.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { LayerManager } from "../../../src/core/managers/LayerManager.js";
+import { ThemeManager } from "../../../src/core/managers/ThemeManager.js";
+import { ClipboardManager } from "../../../src/core/managers/ClipboardManager.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const setup = () => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const history = new HistoryManager(eventBus, stateManager);
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const layerManager = new LayerManager(eventBus, stateManager, nodeManager);
+  return {
+    eventBus,
+    stateManager,
+    history,
+    nodeManager,
+    edgeManager,
+    layerManager,
+  };
+};
+
+const graph = (context) => {
+  context.nodeManager.createNode({ id: "a", type: "rect", x: 0, y: 0 });
+  context.nodeManager.createNode({ id: "b", type: "rect", x: 300, y: 0 });
+  context.edgeManager.createEdge({ id: "e", sourceId: "a", targetId: "b" });
+  context.history.clear();
+};
+
+describe("HistoryManager command bus", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should record manager changes and undo them in order", () => {
+    const { stateManager, history, nodeManager, edgeManager } = context;
+
+    nodeManager.createNode({ id: "a", type: "rect" });
+    nodeManager.createNode({ id: "b", type: "rect", x: 300 });
+    edgeManager.createEdge({ id: "e", sourceId: "a", targetId: "b" });
+    nodeManager.updateNode("a", { label: "Start" });
+    expect(history.getState().undoCount).toBe(4);
+    expect(stateManager.getState("nodes").count).toBe(2);
+    expect(stateManager.getState("history")).toMatchObject({ canUndo: true });
+
+    history.undo();
+    expect(nodeManager.getNode("a").label).toBe("");
+    history.undo();
+    expect(edgeManager.hasEdge("e")).toBe(false);
+
+    history.redo();
+    expect(edgeManager.getEdge("e").sourceId).toBe("a");
+    expect(history.getState().undoCount).toBe(3);
+  });
+
+  it("should not record undo, redo or paused changes", () => {
+    const { eventBus, history, nodeManager } = context;
+
+    eventBus.emit("command:pause");
+    nodeManager.createNode({ id: "a", type: "rect" });
+    eventBus.emit("command:resume");
+    expect(history.canUndo()).toBe(false);
+
+    nodeManager.updateNodePosition("a", { x: 10, y: 10 });
+    history.undo();
+    history.redo();
+    expect(history.getState()).toMatchObject({ undoCount: 1, redoCount: 0 });
+  });
+
+  it("should coalesce consecutive moves of a node", () => {
+    const { history, nodeManager } = context;
+    nodeManager.createNode({ id: "a", type: "rect" });
+    nodeManager.createNode({ id: "b", type: "rect" });
+    history.clear();
+
+    [10, 20, 30].forEach((x) =>
+      nodeManager.updateNodePosition("a", { x, y: 0 })
+    );
+    nodeManager.updateNodePosition("b", { x: 5, y: 5 });
+    expect(history.getState().undoCount).toBe(2);
+
+    history.undo();
+    history.undo();
+    expect(nodeManager.getNode("a").x).toBe(0);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it("should make a multi-node drag one step and drop a cancelled one", () => {
+    const { eventBus, history, nodeManager } = context;
+    nodeManager.createNode({ id: "a", type: "rect" });
+    nodeManager.createNode({ id: "b", type: "rect", x: 200 });
+    history.clear();
+
+    eventBus.emit("command:batch:begin", { name: "Move Node" });
+    [1, 2, 3].forEach((step) => {
+      nodeManager.updateNodePosition("a", { x: step * 10, y: 0 });
+      nodeManager.updateNodePosition("b", { x: 200 + step * 10, y: 0 });
+    });
+    eventBus.emit("command:batch:end");
+
+    expect(history.undoStack).toHaveLength(1);
+    expect(history.undoStack[0].commands).toHaveLength(2);
+
+    history.undo();
+    expect(nodeManager.getNode("a").x).toBe(0);
+    expect(nodeManager.getNode("b").x).toBe(200);
+
+    history.clear();
+    eventBus.emit("command:batch:begin", { name: "Move Node" });
+    nodeManager.updateNodePosition("a", { x: 50, y: 0 });
+    nodeManager.updateNodePosition("a", { x: 0, y: 0 });
+    eventBus.emit("command:batch:end");
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it("should merge repeated batches of the same moves", () => {
+    const { history, nodeManager } = context;
+    nodeManager.createNode({ id: "a", type: "rect" });
+    history.clear();
+
+    [1, 2, 3].forEach((step) =>
+      history.transaction("Nudge", () =>
+        nodeManager.updateNodePosition("a", { x: step, y: 0 })
+      )
+    );
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNode("a").x).toBe(0);
+  });
+
+  it("should not merge commands outside the merge window", () => {
+    const first = new MoveNodeCommand(
+      null,
+      "a",
+      { x: 0, y: 0 },
+      { x: 1, y: 0 }
+    );
+    const second = new MoveNodeCommand(
+      null,
+      "a",
+      { x: 1, y: 0 },
+      { x: 2, y: 0 }
+    );
+    second.timestamp = first.timestamp + 2000;
+
+    expect(first.canMerge(second, 1000)).toBe(false);
+    expect(first.canMerge(second, 5000)).toBe(true);
+  });
+
+  it("should close a batch whose work throws", () => {
+    const { eventBus, history, nodeManager } = context;
+    graph(context);
+    const commands = new CommandBus(eventBus);
+
+    expect(() =>
+      commands.batch("Broken", () => {
+        nodeManager.updateNode("a", { label: "Half done" });
+        throw new Error("failed");
+      })
+    ).toThrow("failed");
+    nodeManager.updateNode("b", { label: "Later" });
+
+    expect(history.getState().undoCount).toBe(2);
+    history.undo();
+    expect(nodeManager.getNode("a").label).toBe("Half done");
+  });
+
+  it("should restore a deleted node with its edges and layer", () => {
+    const { history, nodeManager, edgeManager, layerManager } = context;
+    graph(context);
+    layerManager.createLayer("top");
+    layerManager.addNodeToLayer("a", "top");
+    layerManager.setNodeZIndex("a", 7);
+    history.clear();
+
+    nodeManager.deleteNode("a");
+    expect(edgeManager.hasEdge("e")).toBe(false);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.hasNode("a")).toBe(true);
+    expect(edgeManager.getEdge("e").targetId).toBe("b");
+    expect(layerManager.getNodeLayer("a")).toBe("top");
+    expect(layerManager.getNodeZIndex("a")).toBe(7);
+
+    history.redo();
+    expect(nodeManager.hasNode("a")).toBe(false);
+    expect(edgeManager.hasEdge("e")).toBe(false);
+  });
+
+  it("should not reuse ids of nodes brought back by undo", () => {
+    const { history, nodeManager } = context;
+    nodeManager.createNode({ type: "rect" });
+    nodeManager.clearAll();
+    history.undo();
+
+    expect(nodeManager.createNode({ type: "rect" })).toBe("node_2");
+  });
+
+  it("should undo a paste as one step", () => {
+    const { eventBus, stateManager, history, nodeManager, edgeManager } =
+      context;
+    graph(context);
+    const selectionManager = {
+      getSelection: () => ({ nodes: ["a", "b"], edges: ["e"] }),
+      selectNodes() {},
+      selectEdges() {},
+    };
+    const clipboard = new ClipboardManager(
+      eventBus,
+      stateManager,
+      nodeManager,
+      edgeManager,
+      selectionManager
+    );
+
+    clipboard.copy();
+    const pasted = clipboard.paste();
+    expect(pasted.nodes).toHaveLength(2);
+    expect(pasted.edges).toHaveLength(1);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(nodeManager.getNodeCount()).toBe(2);
+    expect(edgeManager.getEdgeCount()).toBe(1);
+
+    history.redo();
+    expect(edgeManager.getEdge(pasted.edges[0]).sourceId).toBe(pasted.nodes[0]);
+  });
+
+  it("should undo layer and stacking order changes", () => {
+    const { history, layerManager } = context;
+    graph(context);
+
+    layerManager.createLayer("notes", { name: "Notes" });
+    layerManager.renameLayer("notes", "Comments");
+    layerManager.setLayerVisible("notes", false);
+    layerManager.moveLayerUp("notes");
+    layerManager.addNodeToLayer("b", "notes");
+    layerManager.bringToFront("a");
+
+    const front = layerManager.getNodeZIndex("a");
+    history.undo();
+    expect(layerManager.getNodeZIndex("a")).toBeLessThan(front);
+    history.undo();
+    expect(layerManager.getNodeLayer("b")).toBe("default");
+    history.undo();
+    expect(layerManager.layerOrder).toEqual(["default", "notes"]);
+    history.undo();
+    expect(layerManager.isLayerVisible("notes")).toBe(true);
+    history.undo();
+    expect(layerManager.getLayer("notes").name).toBe("Notes");
+    history.undo();
+    expect(layerManager.getLayer("notes")).toBe(null);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it("should bring back a deleted layer with its nodes", () => {
+    const { history, layerManager } = context;
+    graph(context);
+    layerManager.createLayer("top");
+    layerManager.createLayer("notes");
+    layerManager.addNodeToLayer("a", "notes");
+    history.clear();
+
+    layerManager.deleteLayer("notes");
+    expect(layerManager.getNodeLayer("a")).toBe("default");
+
+    history.undo();
+    expect(layerManager.getNodeLayer("a")).toBe("notes");
+    expect(layerManager.layerOrder).toEqual(["default", "top", "notes"]);
+  });
+
+  it("should undo theme and custom color changes", () => {
+    const { eventBus, stateManager, history } = context;
+    const themeManager = new ThemeManager(eventBus, stateManager);
+    themeManager.setTheme("light");
+    history.clear();
+
+    themeManager.setTheme("dark");
+    themeManager.setCustomColor("node.fill", "#111111");
+    themeManager.setCustomColor("node.fill", "#222222");
+    expect(history.getState().undoCount).toBe(2);
+
+    history.undo();
+    expect(themeManager.customColors).toEqual({});
+    history.undo();
+    expect(themeManager.currentTheme).toBe("light");
+
+    history.redo();
+    history.redo();
+    expect(themeManager.customColors).toEqual({ "node.fill": "#222222" });
+  });
+});
@@ -0,0 +1,588 @@
+/**
+ * Unit Tests for Automatic Layout
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { LayeredLayout } from "../../../src/core/layout/LayeredLayout.js";
+import { LayoutManager } from "../../../src/core/managers/LayoutManager.js";
+import {
+  HistoryManager,
+  UpdateEdgePropertyCommand,
+} from "../../../src/core/managers/HistoryManager.js";
+import { OrthogonalRouter } from "../../../src/core/layout/OrthogonalRouter.js";
+import { WaypointEditor } from "../../../src/core/layout/WaypointEditor.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { createCore, createStateManager, destroyAll } from "../fixtures.js";
+
+const box = (id, width = 120, height = 60) => ({ id, width, height });
+const link = (sourceId, targetId) => ({ sourceId, targetId });
+
+const overlaps = (nodes, positions) =>
+  nodes.some((a, i) =>
+    nodes.slice(i + 1).some((b) => {
+      const p = positions.get(a.id);
+      const q = positions.get(b.id);
+      return (
+        p.x < q.x + b.width &&
+        q.x < p.x + a.width &&
+        p.y < q.y + b.height &&
+        q.y < p.y + a.height
+      );
+    })
+  );
+
+describe("LayeredLayout", () => {
+  const nodes = ["start", "check", "yes", "no", "end"].map((id) => box(id));
+  const edges = [
+    link("start", "check"),
+    link("check", "yes"),
+    link("check", "no"),
+    link("yes", "end"),
+    link("no", "end"),
+  ];
+
+  it("should place layers along the flow in every direction", () => {
+    const along = {
+      TB: (p) => p.y,
+      BT: (p) => -p.y,
+      LR: (p) => p.x,
+      RL: (p) => -p.x,
+    };
+
+    Object.entries(along).forEach(([direction, key]) => {
+      const { positions, layers } = LayeredLayout.compute(nodes, edges, {
+        direction,
+      });
+      expect(layers).toBe(4);
+      expect(key(positions.get("start"))).toBeLessThan(
+        key(positions.get("check"))
+      );
+      expect(key(positions.get("yes"))).toBe(key(positions.get("no")));
+      expect(key(positions.get("no"))).toBeLessThan(key(positions.get("end")));
+      expect(overlaps(nodes, positions)).toBe(false);
+    });
+  });
+
+  it("should honour node sizes and spacing", () => {
+    const sized = [box("a", 200, 100), box("b", 80, 40), box("c", 80, 40)];
+    const { positions, width, height } = LayeredLayout.compute(
+      sized,
+      [link("a", "b"), link("a", "c")],
+      { rankSpacing: 50, nodeSpacing: 30 }
+    );
+
+    expect(positions.get("b").y).toBe(150);
+    expect(
+      Math.abs(positions.get("c").x - positions.get("b").x)
+    ).toBeGreaterThanOrEqual(110);
+    expect(height).toBe(190);
+    expect(width).toBeGreaterThanOrEqual(200);
+  });
+
+  it("should break cycles by reversing back edges", () => {
+    const loop = [box("a"), box("b"), box("c")];
+    const back = link("c", "a");
+    const result = LayeredLayout.compute(loop, [
+      link("a", "b"),
+      link("b", "c"),
+      back,
+    ]);
+
+    expect(result.layers).toBe(3);
+    expect(result.reversed).toEqual([back]);
+    expect(result.bends.get(back)).toHaveLength(1);
+    expect(result.positions.get("a").y).toBeLessThan(
+      result.positions.get("c").y
+    );
+  });
+
+  it("should route long edges through bend points between layers", () => {
+    const chain = [box("a"), box("b"), box("c"), box("d")];
+    const skip = link("a", "d");
+    const { positions, bends } = LayeredLayout.compute(chain, [
+      link("a", "b"),
+      link("b", "c"),
+      link("c", "d"),
+      skip,
+    ]);
+
+    const points = bends.get(skip);
+    expect(points).toHaveLength(2);
+    points.forEach((point) => {
+      const inside = chain.some(({ id, width, height }) => {
+        const p = positions.get(id);
+        return (
+          point.x > p.x &&
+          point.x < p.x + width &&
+          point.y > p.y &&
+          point.y < p.y + height
+        );
+      });
+      expect(inside).toBe(false);
+    });
+  });
+
+  it("should remove avoidable crossings", () => {
+    const graph = ["a", "b", "x", "y"].map((id) => box(id));
+    const result = LayeredLayout.compute(graph, [
+      link("a", "y"),
+      link("b", "x"),
+      link("a", "x"),
+    ]);
+    expect(result.crossings).toBe(0);
+  });
+
+  it("should count crossings between ordered layers", () => {
+    const x = { down: [] };
+    const y = { down: [] };
+    const a = { down: [y] };
+    const b = { down: [x] };
+    expect(LayeredLayout.countCrossings([a, b], [x, y])).toBe(1);
+    expect(LayeredLayout.countCrossings([a, b], [y, x])).toBe(0);
+  });
+
+  it("should reject unknown directions", () => {
+    expect(() =>
+      LayeredLayout.compute([box("a")], [], { direction: "UP" })
+    ).toThrow("Unknown layout direction");
+  });
+});
+
+describe("LayoutManager", () => {
+  const setup = () => {
+    const events = [];
+    const eventBus = {
+      on() {},
+      emit: (name, data) => events.push({ name, data }),
+    };
+    const nodes = new Map(
+      [
+        { id: "a", x: 500, y: 400, width: 120, height: 60 },
+        { id: "b", x: 500, y: 400, width: 120, height: 60 },
+        { id: "c", x: 500, y: 400, width: 120, height: 60 },
+        { id: "pinned", x: 0, y: 0, width: 120, height: 60, locked: true },
+      ].map((n) => [n.id, n])
+    );
+    const edges = [
+      { id: "e1", sourceId: "a", targetId: "b", waypoints: [] },
+      { id: "e2", sourceId: "b", targetId: "c", waypoints: [] },
+      {
+        id: "e3",
+        sourceId: "a",
+        targetId: "c",
+        waypoints: [{ x: 0, y: 0 }],
+      },
+    ];
+    const nodeManager = {
+      getAllNodes: () => [...nodes.values()],
+      getNodes: (ids) => ids.map((id) => nodes.get(id)).filter(Boolean),
+      getNodesBounds: (ids) => {
+        const list = ids.map((id) => nodes.get(id));
+        return {
+          x: Math.min(...list.map((n) => n.x)),
+          y: Math.min(...list.map((n) => n.y)),
+        };
+      },
+      updateNodePosition: (id, { x, y }) =>
+        Object.assign(nodes.get(id), { x, y }),
+      isNodeHidden: () => false,
+      getAncestors: () => [],
+    };
+    const edgeManager = {
+      getOutgoingEdges: (id) => edges.filter((e) => e.sourceId === id),
+      getIncomingEdges: (id) => edges.filter((e) => e.targetId === id),
+      updateEdgeProperty: (id, property, value) => {
+        edges.find((e) => e.id === id)[property] = value;
+      },
+    };
+    const stateManager = createStateManager(eventBus);
+    const history = new HistoryManager(eventBus, stateManager);
+    const layout = new LayoutManager(
+      eventBus,
+      stateManager,
+      nodeManager,
+      edgeManager,
+      history
+    );
+    return { events, nodes, edges, history, layout };
+  };
+
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should lay out unlocked nodes from the previous top-left corner", () => {
+    const { nodes, events, layout } = context;
+    const summary = layout.applyLayout();
+
+    expect(summary.nodeCount).toBe(3);
+    expect(nodes.get("a").y).toBe(400);
+    expect(nodes.get("b").y).toBe(520);
+    expect(nodes.get("c").y).toBe(640);
+    expect(nodes.get("pinned")).toMatchObject({ x: 0, y: 0 });
+    expect(events.some((e) => e.name === "layout:applied")).toBe(true);
+  });
+
+  it("should store bend points and undo as a single step", () => {
+    const { nodes, edges, history, layout } = context;
+    layout.applyLayout();
+
+    expect(edges[2].waypoints).toHaveLength(1);
+    expect(edges[2].waypoints[0]).not.toEqual({ x: 0, y: 0 });
+    expect(edges[0].waypoints).toEqual([]);
+    expect(history.undoStack).toHaveLength(1);
+
+    history.undo();
+    ["a", "b", "c"].forEach((id) => {
+      expect(nodes.get(id)).toMatchObject({ x: 500, y: 400 });
+    });
+    expect(edges[2].waypoints).toEqual([{ x: 0, y: 0 }]);
+  });
+
+  it("should apply directly when history is disabled", () => {
+    const { nodes, history, layout } = context;
+    history.enabled = false;
+    layout.applyLayout({ direction: "LR", nodeIds: ["a", "b"] });
+
+    expect(nodes.get("b").x).toBe(nodes.get("a").x + 180);
+    expect(nodes.get("c")).toMatchObject({ x: 500, y: 400 });
+    expect(history.undoStack).toHaveLength(0);
+  });
+
+  it("should report layout errors", () => {
+    const { events, layout } = context;
+    expect(() => layout.applyLayout({ direction: "diagonal" })).toThrow();
+    expect(events.some((e) => e.name === "layout:error")).toBe(true);
+  });
+});
+
+describe("OrthogonalRouter", () => {
+  const source = { x: 0, y: 0, width: 100, height: 50 };
+  const target = { x: 400, y: 0, width: 100, height: 50 };
+  const wall = { x: 200, y: -100, width: 60, height: 250 };
+
+  const crosses = (points, rect) =>
+    points.slice(1).some((to, i) => {
+      const from = points[i];
+      return (
+        Math.min(from.x, to.x) < rect.x + rect.width &&
+        Math.max(from.x, to.x) > rect.x &&
+        Math.min(from.y, to.y) < rect.y + rect.height &&
+        Math.max(from.y, to.y) > rect.y
+      );
+    });
+
+  it("should run straight between facing sides when nothing is in the way", () => {
+    const { points, bends } = OrthogonalRouter.route(source, target);
+    expect(points).toEqual([
+      { x: 100, y: 25 },
+      { x: 400, y: 25 },
+    ]);
+    expect(bends).toBe(0);
+  });
+
+  it("should go around obstacles with clearance and axis-aligned segments", () => {
+    const { points, routed } = OrthogonalRouter.route(source, target, [wall], {
+      margin: 10,
+    });
+
+    expect(routed).toBe(true);
+    expect(crosses(points, wall)).toBe(false);
+    expect(crosses(points, { x: 191, y: -109, width: 78, height: 268 })).toBe(
+      false
+    );
+    points.slice(1).forEach((to, i) => {
+      expect(to.x === points[i].x || to.y === points[i].y).toBe(true);
+    });
+    expect(points).toHaveLength(4);
+  });
+
+  it("should leave and enter through the requested sides", () => {
+    const below = { x: 300, y: 200, width: 100, height: 50 };
+    const { points } = OrthogonalRouter.route(source, below, [], {
+      sourceSide: "bottom",
+      targetSide: "top",
+    });
+
+    expect(points[0]).toEqual({ x: 50, y: 50 });
+    expect(points[points.length - 1]).toEqual({ x: 350, y: 200 });
+    expect(points).toHaveLength(4);
+  });
+
+  it("should prefer fewer bends over a slightly shorter route", () => {
+    const { bends } = OrthogonalRouter.route(
+      source,
+      { x: 300, y: 120, width: 100, height: 50 },
+      [],
+      { sourceSide: "right", targetSide: "top" }
+    );
+    expect(bends).toBe(1);
+  });
+
+  it("should fall back to an elbow when the target is enclosed", () => {
+    const box = { x: 380, y: -20, width: 140, height: 90 };
+    const { points, routed } = OrthogonalRouter.route(source, target, [box]);
+    expect(routed).toBe(false);
+    expect(points).toEqual(OrthogonalRouter.elbow(source, target));
+  });
+
+  it("should resolve port sides from ids or side names", () => {
+    const ports = [{ id: "out", position: "bottom" }];
+    expect(OrthogonalRouter.sideOf(ports, "out")).toBe("bottom");
+    expect(OrthogonalRouter.sideOf(ports, "left")).toBe("left");
+    expect(OrthogonalRouter.sideOf(ports, "missing")).toBeNull();
+  });
+});
+
+describe("EdgeManager orthogonal routing", () => {
+  const setup = () => {
+    const { eventBus, stateManager, shapeRegistry } = createCore();
+    const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+    const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+
+    const add = (id, x, y) =>
+      nodeManager.createNode({
+        id,
+        type: "rect",
+        x,
+        y,
+        width: 100,
+        height: 50,
+      });
+    add("a", 0, 0);
+    add("b", 400, 0);
+    add("c", 0, 300);
+    add("d", 400, 300);
+    edgeManager.createEdge({
+      id: "top",
+      sourceId: "a",
+      targetId: "b",
+      type: "orthogonal",
+    });
+    edgeManager.createEdge({
+      id: "bottom",
+      sourceId: "c",
+      targetId: "d",
+      type: "orthogonal",
+    });
+
+    const updates = [];
+    eventBus.on("edge:path:update", (e) => updates.push(e));
+    return { nodeManager, edgeManager, updates, add };
+  };
+
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should route around nodes in the way", () => {
+    const { edgeManager, add } = context;
+    add("wall", 200, 0);
+
+    const points = edgeManager.calculateEdgePath("top");
+    expect(points[0]).toEqual({ x: 100, y: 25 });
+    expect(points[points.length - 1]).toEqual({ x: 400, y: 25 });
+    expect(points.length).toBeGreaterThan(2);
+  });
+
+  it("should reroute only the edges a moved node touches or crosses", () => {
+    const { nodeManager, edgeManager, updates } = context;
+    edgeManager.calculateEdgePath("top");
+    edgeManager.calculateEdgePath("bottom");
+    nodeManager.createNode({
+      id: "e",
+      type: "rect",
+      x: 200,
+      y: 150,
+      width: 40,
+      height: 40,
+    });
+    updates.length = 0;
+
+    nodeManager.updateNodePosition("e", { x: 200, y: 0 });
+    expect(updates.map((u) => u.edgeId)).toEqual(["top"]);
+    expect(updates[0].points.length).toBeGreaterThan(2);
+
+    updates.length = 0;
+    nodeManager.updateNodePosition("e", { x: 200, y: 150 });
+    expect(updates.map((u) => u.edgeId)).toEqual(["top"]);
+    expect(updates[0].points).toHaveLength(2);
+  });
+});
+
+describe("WaypointEditor", () => {
+  const a = { x: 0, y: 0, width: 100, height: 50 };
+  const b = { x: 400, y: 200, width: 100, height: 50 };
+
+  it("should insert, move and remove bends without touching the input", () => {
+    const waypoints = [{ x: 200, y: 25 }];
+    const inserted = WaypointEditor.insert(waypoints, 0, { x: 150, y: 0 });
+
+    expect(inserted).toEqual([
+      { x: 150, y: 0 },
+      { x: 200, y: 25 },
+    ]);
+    expect(WaypointEditor.move(inserted, 1, { x: 5, y: 5 })[1]).toEqual({
+      x: 5,
+      y: 5,
+    });
+    expect(WaypointEditor.remove(inserted, 0)).toEqual(waypoints);
+    expect(WaypointEditor.remove(inserted, 1, true)).toEqual([]);
+    expect(waypoints).toEqual([{ x: 200, y: 25 }]);
+  });
+
+  it("should route through waypoints with axis-aligned segments", () => {
+    const points = WaypointEditor.orthogonalRoute(a, b, [{ x: 200, y: 100 }], {
+      sourceSide: "right",
+      targetSide: "left",
+    });
+
+    expect(points).toEqual([
+      { x: 100, y: 25 },
+      { x: 200, y: 25 },
+      { x: 200, y: 225 },
+      { x: 400, y: 225 },
+    ]);
+    WaypointEditor.segments(points).forEach((segment) => {
+      expect(segment.orientation).not.toBeNull();
+    });
+  });
+
+  it("should move a segment across its own axis only", () => {
+    const points = WaypointEditor.orthogonalRoute(a, b, [], {
+      sourceSide: "right",
+      targetSide: "left",
+    });
+    const moved = WaypointEditor.moveSegment(points, 1, { x: 300, y: 999 });
+
+    expect(moved).toEqual([
+      { x: 100, y: 25 },
+      { x: 300, y: 25 },
+      { x: 300, y: 225 },
+      { x: 400, y: 225 },
+    ]);
+  });
+
+  it("should keep end segments attached to their nodes", () => {
+    const points = WaypointEditor.orthogonalRoute(a, b, [], {
+      sourceSide: "right",
+      targetSide: "left",
+    });
+    const moved = WaypointEditor.moveSegment(points, 0, { x: 0, y: 60 });
+
+    expect(moved[0]).toEqual({ x: 100, y: 25 });
+    expect(moved[1]).toEqual({ x: 100, y: 60 });
+    expect(moved[moved.length - 1]).toEqual({ x: 400, y: 225 });
+  });
+
+  it("should draw a smooth curve through every point", () => {
+    const d = WaypointEditor.smoothPath([
+      { x: 0, y: 0 },
+      { x: 50, y: 50 },
+      { x: 100, y: 0 },
+    ]);
+
+    expect(d.startsWith("M 0 0 C")).toBe(true);
+    expect(d).toContain(" 50 50 C ");
+    expect(d.endsWith(" 100 0")).toBe(true);
+  });
+});
+
+describe("Edge waypoints", () => {
+  const setup = () => {
+    const { eventBus, stateManager, shapeRegistry } = createCore();
+    const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+    const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+    const add = (id, x, y) =>
+      nodeManager.createNode({
+        id,
+        type: "rect",
+        x,
+        y,
+        width: 100,
+        height: 50,
+      });
+    add("a", 0, 0);
+    add("b", 400, 200);
+    return { eventBus, stateManager, nodeManager, edgeManager };
+  };
+
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should route straight and orthogonal edges through waypoints", () => {
+    const { edgeManager } = context;
+    edgeManager.createEdge({
+      id: "line",
+      sourceId: "a",
+      targetId: "b",
+      waypoints: [{ x: 300, y: 25 }],
+    });
+    edgeManager.createEdge({
+      id: "elbow",
+      sourceId: "a",
+      targetId: "b",
+      type: "orthogonal",
+      waypoints: [{ x: 200, y: 100 }],
+    });
+
+    expect(edgeManager.calculateEdgePath("line")).toEqual([
+      { x: 50, y: 25 },
+      { x: 300, y: 25 },
+      { x: 450, y: 225 },
+    ]);
+    expect(edgeManager.calculateEdgePath("elbow")).toEqual([
+      { x: 100, y: 25 },
+      { x: 200, y: 25 },
+      { x: 200, y: 225 },
+      { x: 400, y: 225 },
+    ]);
+  });
+
+  it("should serialize waypoints and restore them on undo", () => {
+    const { eventBus, stateManager, edgeManager } = context;
+    const history = new HistoryManager(eventBus, stateManager);
+    edgeManager.createEdge({ id: "e", sourceId: "a", targetId: "b" });
+
+    history.execute(
+      new UpdateEdgePropertyCommand(
+        edgeManager,
+        "e",
+        "waypoints",
+        [],
+        [{ x: 300, y: 25 }]
+      )
+    );
+    const saved = edgeManager.serialize();
+    expect(saved[0].waypoints).toEqual([{ x: 300, y: 25 }]);
+
+    history.undo();
+    expect(edgeManager.getEdge("e").waypoints).toEqual([]);
+    history.redo();
+    expect(edgeManager.getEdge("e").waypoints).toEqual([{ x: 300, y: 25 }]);
+
+    edgeManager.clearAll();
+    edgeManager.deserialize(saved);
+    expect(edgeManager.getEdge("e").waypoints).toEqual([{ x: 300, y: 25 }]);
+  });
+});
@@ -4,7 +4,6 @@
 
 import { describe, it, expect, beforeEach, afterEach } from "vitest";
 import { EventBus } from "../../../src/core/events/EventBus.js";
-import { StateManager } from "../../../src/core/state/StateManager.js";
 import { NodeManager } from "../../../src/core/managers/NodeManager.js";
 import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
 import { SelectionManager } from "../../../src/core/managers/SelectionManager.js";
@@ -14,13 +13,14 @@ import {
 } from "../../../src/core/managers/HistoryManager.js";
 import { ClipboardManager } from "../../../src/core/managers/ClipboardManager.js";
 import { ShapeRegistry } from "../../../src/shapes/registry/ShapeRegistry.js";
+import { createStateManager } from "../fixtures.js";
 
 describe("NodeManager", () => {
   let eventBus, stateManager, shapeRegistry, nodeManager;
 
   beforeEach(() => {
     eventBus = new EventBus();
-    stateManager = new StateManager(eventBus);
+    stateManager = createStateManager(eventBus);
     shapeRegistry = new ShapeRegistry();
     shapeRegistry.registerShape("rect", class RectShape {});
     nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
@@ -157,7 +157,7 @@ describe("EdgeManager", () => {
 
   beforeEach(() => {
     eventBus = new EventBus();
-    stateManager = new StateManager(eventBus);
+    stateManager = createStateManager(eventBus);
     shapeRegistry = new ShapeRegistry();
     shapeRegistry.registerShape("rect", class RectShape {});
     nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
@@ -240,7 +240,7 @@ describe("SelectionManager", () => {
 
   beforeEach(() => {
     eventBus = new EventBus();
-    stateManager = new StateManager(eventBus);
+    stateManager = createStateManager(eventBus);
     selectionManager = new SelectionManager(eventBus, stateManager);
   });
 
@@ -308,7 +308,7 @@ describe("HistoryManager", () => {
 
   beforeEach(() => {
     eventBus = new EventBus();
-    stateManager = new StateManager(eventBus);
+    stateManager = createStateManager(eventBus);
     historyManager = new HistoryManager(eventBus, stateManager);
   });
 
@@ -429,7 +429,7 @@ describe("ClipboardManager", () => {
 
   beforeEach(() => {
     eventBus = new EventBus();
-    stateManager = new StateManager(eventBus);
+    stateManager = createStateManager(eventBus);
     shapeRegistry = new ShapeRegistry();
     shapeRegistry.registerShape("rect", class RectShape {});
     nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for the Shape Palette
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { ThemeManager } from "../../../src/core/managers/ThemeManager.js";
+import { ShapeRegistry } from "../../../src/shapes/registry/ShapeRegistry.js";
+import { getAllShapeClasses, SHAPE_GROUPS } from "../../../src/shapes/index.js";
+import { LeftPalette } from "../../../src/ui/panels/Panels.js";
+import { ShapePreview } from "../../../src/ui/panels/ShapePreview.js";
+import { createCore, track } from "../fixtures.js";
+
+// The registry as the app fills it
+const createRegistry = () => {
+  const registry = new ShapeRegistry();
+  const shapes = getAllShapeClasses();
+  Object.entries(SHAPE_GROUPS).forEach(([category, types]) =>
+    types.forEach((type) =>
+      registry.registerShape(type, shapes[type], { category })
+    )
+  );
+  return registry;
+};
+
+const setup = (options = {}) => {
+  const { eventBus, stateManager } = createCore();
+  const themeManager = new ThemeManager(eventBus, stateManager);
+  const registry = createRegistry();
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+
+  const palette = new LeftPalette(
+    eventBus,
+    stateManager,
+    registry,
+    themeManager,
+    options
+  );
+  palette.initialize(container);
+  return track({ eventBus, themeManager, registry, container, palette });
+};
+
+const item = (container, type, section = null) =>
+  container.querySelector(
+    `${
+      section ? `[data-category="${section}"] ` : ""
+    }.shape-item[data-shape="${type}"]`
+  );
+
+const sections = (container) =>
+  Array.from(container.querySelectorAll(".palette-category")).map(
+    (el) => el.dataset.category
+  );
+
+describe("LeftPalette", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+    vi.restoreAllMocks();
+  });
+
+  it("registers built-in shapes with names and palette categories", () => {
+    const registry = createRegistry();
+
+    expect(registry.hasShape("manual-input")).toBe(true);
+    expect(registry.getDefinition("manual-input").name).toBe("Manual Input");
+    expect(registry.getDefinition("rect")).toMatchObject({
+      name: "Rectangle",
+      category: "basic",
+    });
+    expect(registry.getTypesByCategory("container")).toEqual([
+      "swimlane",
+      "group",
+      "frame",
+    ]);
+  });
+
+  it("draws every shape with its own render method", () => {
+    const warn = vi.spyOn(console, "warn");
+    const { container, registry } = setup();
+
+    expect(sections(container)).toEqual(Object.keys(SHAPE_GROUPS));
+    registry.getTypes().forEach((type) => {
+      const svg = item(container, type).querySelector("svg");
+      expect(svg.childNodes.length, type).toBeGreaterThan(0);
+    });
+    expect(warn).not.toHaveBeenCalled();
+
+    const rect = item(container, "rect").querySelector("svg rect");
+    expect(rect.getAttribute("stroke")).toBe("#1976d2");
+    expect(item(container, "decision").querySelector("svg text")).toBeNull();
+  });
+
+  it("redraws previews in the new theme's colours", () => {
+    const { container, themeManager } = setup();
+
+    themeManager.setTheme("dark", false);
+
+    const rect = item(container, "rect").querySelector("svg rect");
+    expect(rect.getAttribute("stroke")).toBe("#64b5f6");
+    expect(rect.getAttribute("fill")).toBe("#2d2d2d");
+  });
+
+  it("lists search hits best first with the match highlighted", () => {
+    const { container } = setup();
+    const search = container.querySelector(".palette-search");
+
+    search.value = "proc";
+    search.dispatchEvent(new Event("input"));
+
+    const hits = Array.from(container.querySelectorAll(".shape-item"));
+    expect(sections(container)).toEqual([]);
+    expect(hits.every((hit) => hit.classList.contains("search-hit"))).toBe(
+      true
+    );
+    expect(hits.map((hit) => hit.dataset.shape)).toContain(
+      "predefined-process"
+    );
+    expect(hits[0].querySelector("mark").textContent).toBe("Proc");
+
+    search.value = "zzz";
+    search.dispatchEvent(new Event("input"));
+    expect(container.querySelector(".palette-empty").textContent).toContain(
+      "zzz"
+    );
+
+    search.value = "";
+    search.dispatchEvent(new Event("input"));
+    expect(sections(container)).toEqual(Object.keys(SHAPE_GROUPS));
+  });
+
+  it("keeps favorites and recently used shapes across sessions", () => {
+    const first = setup();
+    const selected = [];
+    first.eventBus.on("shape:selected", (data) => selected.push(data));
+
+    item(first.container, "decision").querySelector(".shape-favorite").click();
+    item(first.container, "cloud").click();
+    item(first.container, "rect").click();
+
+    expect(selected).toEqual([{ shapeId: "cloud" }, { shapeId: "rect" }]);
+    expect(sections(first.container).slice(0, 2)).toEqual([
+      "favorites",
+      "recent",
+    ]);
+    expect(item(first.container, "decision", "favorites")).not.toBeNull();
+    expect(
+      item(first.container, "decision")
+        .querySelector(".shape-favorite")
+        .classList.contains("active")
+    ).toBe(true);
+
+    const second = setup();
+    expect(second.palette.isFavorite("decision")).toBe(true);
+    const recent = second.container.querySelectorAll(
+      '[data-category="recent"] .shape-item'
+    );
+    expect(Array.from(recent).map((el) => el.dataset.shape)).toEqual([
+      "rect",
+      "cloud",
+    ]);
+
+    second.palette.toggleFavorite("decision");
+    expect(sections(second.container)[0]).toBe("recent");
+  });
+
+  it("shows an enlarged preview on hover", () => {
+    const { container } = setup();
+
+    item(container, "database").dispatchEvent(new Event("mouseenter"));
+
+    const popup = document.querySelector(".palette-hover-preview.visible");
+    expect(popup.querySelector("svg").getAttribute("width")).toBe("120");
+    expect(popup.querySelector(".hover-preview-name").textContent).toBe(
+      "Database"
+    );
+
+    item(container, "database").dispatchEvent(new Event("mouseleave"));
+    expect(popup.classList.contains("visible")).toBe(false);
+  });
+
+  it("drags a ghost of the shape at canvas size", () => {
+    const { container, registry } = setup({ getZoom: () => 2 });
+    const dataTransfer = {
+      setData: vi.fn(),
+      setDragImage: vi.fn(),
+    };
+    const event = new Event("dragstart");
+    event.dataTransfer = dataTransfer;
+
+    item(container, "process").dispatchEvent(event);
+
+    expect(dataTransfer.setData).toHaveBeenCalledWith("shape", "process");
+    const [ghost, x, y] = dataTransfer.setDragImage.mock.calls[0];
+    const svg = ghost.querySelector("svg");
+    const { width, height } = ShapePreview.getSize(registry, "process");
+    expect(Number(svg.getAttribute("width"))).toBeGreaterThan(width * 2);
+    expect(x).toBe(Number(svg.getAttribute("width")) / 2);
+    expect(y).toBe(Number(svg.getAttribute("height")) / 2);
+    expect(height).toBeGreaterThan(0);
+  });
+});
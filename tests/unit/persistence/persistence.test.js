@@ -0,0 +1,226 @@
+/**
+ * Unit Tests for Autosave, Recovery and the Document Library
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { MemoryDocumentStore } from "../../../src/core/storage/DocumentStore.js";
+import { HistoryManager } from "../../../src/core/managers/HistoryManager.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { LayerManager } from "../../../src/core/managers/LayerManager.js";
+import { ExportManager } from "../../../src/core/managers/ExportManager.js";
+import { PersistenceManager } from "../../../src/core/managers/PersistenceManager.js";
+import { createCore, track } from "../fixtures.js";
+
+// One editor session on a shared store
+const session = async (store = new MemoryDocumentStore(), options = {}) => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const history = new HistoryManager(eventBus, stateManager);
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const layerManager = new LayerManager(eventBus, stateManager, nodeManager);
+  const exportManager = new ExportManager(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager
+  );
+  const persistence = new PersistenceManager(
+    eventBus,
+    stateManager,
+    exportManager,
+    nodeManager,
+    edgeManager,
+    layerManager,
+    store,
+    { debounce: 0, thumbnails: false, ...options }
+  );
+  const recovery = await persistence.start();
+  return track({
+    store,
+    eventBus,
+    history,
+    nodeManager,
+    edgeManager,
+    layerManager,
+    exportManager,
+    persistence,
+    recovery,
+  });
+};
+
+const draw = ({ nodeManager, edgeManager }) => {
+  nodeManager.createNode({ id: "a", type: "rect", label: "Start" });
+  nodeManager.createNode({ id: "b", type: "rect", x: 300 });
+  edgeManager.createEdge({ id: "e", sourceId: "a", targetId: "b" });
+};
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe("MemoryDocumentStore", () => {
+  it("should copy records in and out", async () => {
+    const store = new MemoryDocumentStore();
+    const record = { id: "d", name: "One", layers: { order: ["x"] } };
+    await store.putDocument(record);
+    record.layers.order.push("y");
+
+    const stored = await store.getDocument("d");
+    stored.name = "Changed";
+    expect(await store.getDocument("d")).toEqual({
+      id: "d",
+      name: "One",
+      layers: { order: ["x"] },
+    });
+    expect(await store.getMeta("missing")).toBe(null);
+  });
+});
+
+describe("PersistenceManager", () => {
+  it("should autosave after changes and reopen the diagram", async () => {
+    const first = await session();
+    const saved = [];
+    first.eventBus.on("persistence:saved", (e) => saved.push(e.document));
+
+    draw(first);
+    first.layerManager.createLayer("notes", { name: "Notes" });
+    first.layerManager.addNodeToLayer("b", "notes");
+    expect(first.persistence.hasUnsavedChanges()).toBe(true);
+    await settle();
+    await first.persistence.save();
+
+    expect(saved.length).toBeGreaterThan(0);
+    expect(saved.pop()).toMatchObject({ nodeCount: 2, edgeCount: 1 });
+    expect(first.persistence.hasUnsavedChanges()).toBe(false);
+
+    const second = await session(first.store);
+    const [doc] = await second.persistence.listDocuments();
+    expect(doc.json).toBeUndefined();
+    await second.persistence.openDocument(doc.id);
+
+    expect(second.nodeManager.getNode("a").label).toBe("Start");
+    expect(second.edgeManager.hasEdge("e")).toBe(true);
+    expect(second.layerManager.getNodeLayer("b")).toBe("notes");
+    expect(second.history.getState().undoCount).toBe(0);
+    expect(second.persistence.hasUnsavedChanges()).toBe(false);
+  });
+
+  it("should offer recovery only after an unclean exit", async () => {
+    const crashed = await session();
+    draw(crashed);
+    await crashed.persistence.save();
+
+    const next = await session(crashed.store);
+    expect(next.recovery.id).toBe(crashed.persistence.getCurrentDocument().id);
+    await next.persistence.recover();
+    expect(next.nodeManager.getNodeCount()).toBe(2);
+
+    await next.persistence.markClean();
+    const clean = await session(crashed.store);
+    expect(clean.recovery).toBe(null);
+  });
+
+  it("should forget the recovery offer once discarded", async () => {
+    const crashed = await session();
+    draw(crashed);
+    await crashed.persistence.save();
+
+    const next = await session(crashed.store);
+    await next.persistence.discardRecovery();
+    expect(await next.persistence.recover()).toBe(null);
+
+    const later = await session(crashed.store);
+    expect(later.recovery).toBe(null);
+    expect(await later.persistence.listDocuments()).toHaveLength(1);
+  });
+
+  it("should rename, duplicate and delete library documents", async () => {
+    const editor = await session();
+    draw(editor);
+    await editor.persistence.save();
+    const { id } = editor.persistence.getCurrentDocument();
+
+    await editor.persistence.renameDocument(id, "  Onboarding ");
+    expect(editor.persistence.getCurrentDocument().name).toBe("Onboarding");
+    await expect(editor.persistence.renameDocument(id, " ")).rejects.toThrow(
+      "empty"
+    );
+
+    const copy = await editor.persistence.duplicateDocument(id);
+    expect(copy.name).toBe("Onboarding (copy)");
+    expect(copy.id).not.toBe(id);
+
+    await editor.persistence.deleteDocument(id);
+    const names = (await editor.persistence.listDocuments()).map(
+      (doc) => doc.name
+    );
+    expect(names).toEqual(["Onboarding (copy)"]);
+
+    // The deleted document's diagram stays open as a new one
+    expect(editor.nodeManager.getNodeCount()).toBe(2);
+    expect(editor.persistence.getCurrentDocument().id).not.toBe(id);
+    expect(editor.persistence.getCurrentDocument().saved).toBe(false);
+  });
+
+  it("should save the open diagram before starting a new one", async () => {
+    const editor = await session();
+    draw(editor);
+
+    await editor.persistence.newDocument();
+
+    expect(editor.nodeManager.getNodeCount()).toBe(0);
+    expect(editor.persistence.hasUnsavedChanges()).toBe(false);
+    const [saved] = await editor.persistence.listDocuments();
+    expect(saved.nodeCount).toBe(2);
+  });
+
+  it("should write the document before rendering its thumbnail", async () => {
+    const editor = await session(undefined, {
+      debounce: 60000,
+      thumbnails: true,
+    });
+    let finish;
+    vi.spyOn(editor.exportManager, "exportImage").mockReturnValue(
+      new Promise((resolve) => (finish = resolve))
+    );
+    draw(editor);
+
+    await editor.persistence.save();
+
+    const { id } = editor.persistence.getCurrentDocument();
+    expect(await editor.store.getDocument(id)).toMatchObject({
+      nodeCount: 2,
+      thumbnail: null,
+    });
+    expect(await editor.store.getMeta("session")).toEqual({
+      documentId: id,
+      clean: false,
+    });
+
+    finish("data:image/png;base64,AAAA");
+    await settle();
+    await editor.persistence.save();
+    const [summary] = await editor.persistence.listDocuments();
+    expect(summary.thumbnail).toBe("data:image/png;base64,AAAA");
+  });
+
+  it("should not wait for a thumbnail when the page is hidden", async () => {
+    const editor = await session(undefined, {
+      debounce: 60000,
+      thumbnails: true,
+    });
+    const render = vi
+      .spyOn(editor.exportManager, "exportImage")
+      .mockReturnValue(new Promise(() => {}));
+    draw(editor);
+
+    await editor.persistence.markClean();
+
+    expect(render).not.toHaveBeenCalled();
+    const { id } = editor.persistence.getCurrentDocument();
+    expect((await editor.store.getDocument(id)).nodeCount).toBe(2);
+    expect(await editor.store.getMeta("session")).toEqual({
+      documentId: id,
+      clean: true,
+    });
+  });
+});
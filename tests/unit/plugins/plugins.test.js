@@ -0,0 +1,346 @@
+/**
+ * Unit Tests for Plugins
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { ExportManager } from "../../../src/core/managers/ExportManager.js";
+import { PluginManager } from "../../../src/core/managers/PluginManager.js";
+import { Semver } from "../../../src/core/plugins/Semver.js";
+import { PluginManifest } from "../../../src/core/plugins/PluginManifest.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const setup = () => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const exportManager = new ExportManager(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager
+  );
+  const services = { nodeManager, edgeManager, exportManager };
+  const plugins = new PluginManager(eventBus, stateManager, {
+    get: (name) => services[name],
+  });
+
+  nodeManager.createNode({ id: "a", type: "process", label: "A" });
+
+  return { eventBus, nodeManager, exportManager, plugins };
+};
+
+const plugin = (hooks = {}) => ({ name: "Test", init() {}, ...hooks });
+
+describe("Semver", () => {
+  it("should match npm-style ranges", () => {
+    expect(Semver.satisfies("1.4.2", "^1.2.0")).toBe(true);
+    expect(Semver.satisfies("2.0.0-beta.1", "^1.2.0")).toBe(false);
+    expect(Semver.satisfies("0.3.0", "^0.2.1")).toBe(false);
+    expect(Semver.satisfies("1.2.9", "~1.2.3")).toBe(true);
+    expect(Semver.satisfies("1.3.0", "~1.2.3")).toBe(false);
+    expect(Semver.satisfies("1.9.0", "1.x")).toBe(true);
+    expect(Semver.satisfies("2.0.0", "1.2.3 - 2.0.0")).toBe(true);
+    expect(Semver.satisfies("3.1.0", ">=1.0.0 <2.0.0 || ^3.0.0")).toBe(true);
+    expect(Semver.compare("1.0.0-beta.2", "1.0.0-beta.11")).toBeLessThan(0);
+    expect(() => Semver.satisfies("1.0.0", "^one")).toThrow(
+      'Invalid version range "^one"'
+    );
+  });
+});
+
+describe("PluginManifest", () => {
+  it("should list every problem in a manifest", () => {
+    expect(() =>
+      PluginManifest.normalize({
+        id: "acme tools",
+        version: "1.0",
+        dependencies: { core: "^one" },
+        capabilities: ["graph:read", "network"],
+      })
+    ).toThrow(
+      [
+        "Invalid plugin manifest 'acme tools':",
+        '- id "acme tools" must be letters, digits, ".", "_" or "-"',
+        '- version "1.0" must be MAJOR.MINOR.PATCH',
+        '- dependency "core" has invalid range "^one"',
+        '- unknown capability "network"',
+      ].join("\n")
+    );
+
+    expect(
+      PluginManifest.normalize({
+        id: "acme.tools",
+        version: "1.0.0",
+        dependencies: ["acme.core"],
+      })
+    ).toEqual({
+      id: "acme.tools",
+      name: "acme.tools",
+      version: "1.0.0",
+      description: "",
+      dependencies: { "acme.core": "*" },
+      capabilities: [],
+    });
+  });
+});
+
+describe("PluginManager", () => {
+  let fixture;
+
+  beforeEach(() => {
+    fixture = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(fixture);
+  });
+
+  it("should only give plugins the capabilities they asked for", async () => {
+    const { nodeManager, plugins } = fixture;
+    let context;
+
+    plugins.registerPlugin(
+      "reader",
+      plugin({ init: (ctx) => (context = ctx) }),
+      { id: "reader", version: "1.0.0", capabilities: ["graph:read"] }
+    );
+    await plugins.initializePlugin("reader");
+
+    // Reads are copies
+    const node = context.graph.getNode("a");
+    node.label = "changed";
+    expect(nodeManager.getNode("a").label).toBe("A");
+    expect(context.graph.getDocument().nodes.map((n) => n.id)).toEqual(["a"]);
+
+    expect(() => context.graph.createNode({ type: "process" })).toThrow(
+      "Plugin 'reader' needs the 'graph:write' capability for this"
+    );
+    expect(() => context.ui.addMenuItem("Tools", { id: "x" })).toThrow(
+      "'ui' capability"
+    );
+    expect(context.getService).toBeUndefined();
+    expect(context.setState).toBeUndefined();
+  });
+
+  it("should not let plugins grant themselves capabilities", async () => {
+    const { nodeManager, plugins } = fixture;
+    let context;
+    plugins.registerPlugin(
+      "sneaky",
+      plugin({ init: (ctx) => (context = ctx) }),
+      { id: "sneaky", version: "1.0.0", capabilities: [] }
+    );
+    await plugins.initializePlugin("sneaky");
+
+    expect(() => context.manifest.capabilities.push("graph:write")).toThrow();
+    expect(() => {
+      context.manifest.capabilities = ["graph:write"];
+    }).toThrow();
+    plugins.getManifest("sneaky").capabilities.push("graph:write");
+
+    expect(context.manifest.capabilities).toEqual([]);
+    expect(context.hasCapability("graph:write")).toBe(false);
+    expect(() => context.graph.createNode({ type: "process" })).toThrow(
+      "'graph:write' capability"
+    );
+    expect(nodeManager.getAllNodes()).toHaveLength(1);
+  });
+
+  it("should copy what plugins write", async () => {
+    const { nodeManager, plugins } = fixture;
+    let context;
+    plugins.registerPlugin(
+      "writer",
+      plugin({ init: (ctx) => (context = ctx) }),
+      { id: "writer", version: "1.0.0", capabilities: ["graph:write"] }
+    );
+    await plugins.initializePlugin("writer");
+
+    const style = { fill: "#ffffff" };
+    const metadata = { owner: "me" };
+    const nodeId = context.graph.createNode({
+      type: "process",
+      style,
+      metadata,
+    });
+    const updates = { style: { fill: "#000000" } };
+    context.graph.updateNode("a", updates);
+    style.fill = "#ff0000";
+    metadata.owner = "someone else";
+    updates.style.fill = "#ff0000";
+
+    expect(nodeManager.getNode(nodeId).style.fill).toBe("#ffffff");
+    expect(nodeManager.getNode(nodeId).metadata.owner).toBe("me");
+    expect(nodeManager.getNode("a").style.fill).toBe("#000000");
+  });
+
+  it("should keep the graph out of reach of plugins without access", async () => {
+    const { eventBus, nodeManager, plugins } = fixture;
+    let context;
+    plugins.registerPlugin(
+      "sneaky",
+      plugin({ init: (ctx) => (context = ctx) }),
+      { id: "sneaky", version: "1.0.0", capabilities: [] }
+    );
+    await plugins.initializePlugin("sneaky");
+
+    expect(() => context.on("command:record", () => {})).toThrow(
+      "Plugin 'sneaky' cannot subscribe to 'command:record'"
+    );
+    expect(() => context.on("node:created", () => {})).toThrow(
+      "'graph:read' capability"
+    );
+    expect(() => context.ui.registerCommand("record", () => {})).toThrow(
+      "'ui' capability"
+    );
+
+    // Even open events carry copies, not live models
+    const seen = [];
+    context.on("plugin:other:ping", ({ node }) => {
+      node.label = "changed";
+      seen.push(node);
+    });
+    eventBus.emit("plugin:other:ping", { node: nodeManager.getNode("a") });
+
+    expect(nodeManager.getNode("a").label).toBe("A");
+    expect(seen[0].nodeManager).toBeUndefined();
+    expect(seen[0].serialize).toBeUndefined();
+  });
+
+  it("should give event handlers copies and keep commands off the bus", async () => {
+    const { eventBus, nodeManager, plugins } = fixture;
+    let context;
+    plugins.registerPlugin(
+      "reader",
+      plugin({ init: (ctx) => (context = ctx) }),
+      { id: "reader", version: "1.0.0", capabilities: ["graph:read", "ui"] }
+    );
+    await plugins.initializePlugin("reader");
+
+    context.on("node:created", ({ node }) => {
+      node.label = "changed";
+    });
+    nodeManager.createNode({ id: "b", type: "process", label: "B" });
+    expect(nodeManager.getNode("b").label).toBe("B");
+
+    const record = vi.fn(() => "done");
+    const commandId = context.ui.registerCommand("record", record);
+    eventBus.emit("command:record", { command: {} });
+
+    expect(commandId).toBe("reader.record");
+    expect(record).not.toHaveBeenCalled();
+    expect(plugins.executeCommand("reader.record", 1)).toBe("done");
+    expect(record).toHaveBeenCalledWith(1);
+
+    await plugins.disablePlugin("reader");
+    expect(plugins.getCommands()).toEqual([]);
+    expect(() => plugins.executeCommand("reader.record")).toThrow(
+      "Unknown plugin command 'reader.record'"
+    );
+  });
+
+  it("should remove contributions when a plugin is disabled", async () => {
+    const { eventBus, exportManager, plugins } = fixture;
+    const ui = [];
+    ["ui:menu:add", "ui:menu:remove", "ui:toolbar:remove"].forEach((event) =>
+      eventBus.on(event, (data) => ui.push([event, data.itemId || data.menu]))
+    );
+    const seen = [];
+    const run = vi.fn();
+
+    plugins.registerPlugin(
+      "tools",
+      plugin({
+        init(context) {
+          context.on("node:created", ({ nodeId }) => seen.push(nodeId));
+          context.ui.addMenuItem("Tools", { id: "tidy", label: "Tidy", run });
+          context.ui.addToolbarButton({ id: "go", label: "Go", run });
+          context.formats.registerFormat({
+            id: "csv",
+            extensions: ["csv"],
+            export: (doc) => doc.nodes.map((n) => n.label).join("\n"),
+          });
+        },
+      }),
+      {
+        id: "tools",
+        version: "1.0.0",
+        capabilities: ["graph:read", "ui", "export"],
+      }
+    );
+    await plugins.initializePlugin("tools");
+    expect(plugins.getPluginState("tools")).toBe("enabled");
+
+    eventBus.emit("node:created", { nodeId: "b" });
+    eventBus.emit("menu:action", { action: "tools.tidy" });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(exportManager.exportFormat("csv")).toBe("A");
+
+    await plugins.disablePlugin("tools");
+    eventBus.emit("node:created", { nodeId: "c" });
+    eventBus.emit("menu:action", { action: "tools.tidy" });
+
+    expect(seen).toEqual(["b"]);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(exportManager.getFormats().map((f) => f.id)).not.toContain("csv");
+    expect(ui).toEqual([
+      ["ui:menu:add", "Tools"],
+      ["ui:toolbar:remove", undefined],
+      ["ui:menu:remove", "tools.tidy"],
+    ]);
+  });
+
+  it("should load plugins from module URLs in dependency order", async () => {
+    const { plugins } = fixture;
+    const order = [];
+    const modules = {
+      "https://cdn.test/core.js": {
+        manifest: { id: "acme.core", version: "1.3.0" },
+        default: class {
+          constructor() {
+            this.name = "Core";
+          }
+          init() {
+            order.push("acme.core");
+          }
+        },
+      },
+      "https://cdn.test/lanes.js": {
+        manifest: {
+          id: "acme.lanes",
+          version: "0.1.0",
+          dependencies: { "acme.core": "^1.2.0" },
+        },
+        default: plugin({ init: () => order.push("acme.lanes") }),
+      },
+      "https://cdn.test/old.js": {
+        manifest: {
+          id: "acme.old",
+          version: "0.1.0",
+          dependencies: { "acme.core": "^2.0.0" },
+        },
+        default: plugin(),
+      },
+    };
+    plugins.importModule = async (url) => modules[url];
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const ids = await plugins.loadPlugins([
+      "https://cdn.test/lanes.js",
+      { url: "https://cdn.test/old.js" },
+      "https://cdn.test/core.js",
+    ]);
+
+    expect(ids).toEqual(["acme.lanes", "acme.old", "acme.core"]);
+    expect(order).toEqual(["acme.core", "acme.lanes"]);
+    expect(plugins.getPluginState("acme.old")).toBe("error");
+
+    // Disabling a dependency disables its dependents first
+    await plugins.disablePlugin("acme.core");
+    expect(plugins.getPluginState("acme.lanes")).toBe("disabled");
+
+    console.error.mockRestore();
+  });
+});
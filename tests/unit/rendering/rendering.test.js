@@ -0,0 +1,334 @@
+/**
+ * Unit Tests for Virtual Rendering
+ */
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { EditorView } from "../../../src/core/views/EditorView.js";
+import { EdgeView } from "../../../src/core/views/EdgeView.js";
+import { VirtualRenderer } from "../../../src/core/views/VirtualRenderer.js";
+import {
+  RenderBenchmark,
+  RENDER_MODES,
+} from "../../../src/core/views/RenderBenchmark.js";
+import { createCore, track } from "../fixtures.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const setup = (options = {}) => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const layer = document.createElementNS(SVG_NS, "g");
+  const renderer = new VirtualRenderer(
+    eventBus,
+    layer,
+    nodeManager,
+    edgeManager,
+    options
+  );
+  return track({
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager,
+    layer,
+    renderer,
+  });
+};
+
+// A row of nodes 200px apart, each linked to the next
+const row = ({ nodeManager, edgeManager }, count) => {
+  for (let i = 0; i < count; i++) {
+    nodeManager.createNode({
+      id: `n${i}`,
+      type: "process",
+      x: i * 200,
+      y: 0,
+      width: 100,
+      height: 60,
+      label: `Node ${i}`,
+    });
+    if (i > 0) {
+      edgeManager.createEdge({
+        id: `e${i}`,
+        sourceId: `n${i - 1}`,
+        targetId: `n${i}`,
+      });
+    }
+  }
+};
+
+const ids = (layer, attribute) =>
+  Array.from(layer.querySelectorAll(`[${attribute}]`)).map((el) =>
+    el.getAttribute(attribute)
+  );
+
+describe("VirtualRenderer", () => {
+  it("draws only what intersects the area", () => {
+    const context = setup();
+    row(context, 50);
+    const { renderer, layer } = context;
+
+    const stats = renderer.update({ x: 0, y: 0, width: 500, height: 100 });
+
+    expect(ids(layer, "data-node-id")).toEqual(["n0", "n1", "n2"]);
+    expect(ids(layer, "data-edge-id").sort()).toEqual(["e1", "e2", "e3"]);
+    expect(stats).toMatchObject({ nodes: 3, edges: 3, created: 6 });
+
+    const moved = renderer.update({ x: 310, y: 0, width: 500, height: 100 });
+
+    expect(ids(layer, "data-node-id")).toEqual(["n2", "n3", "n4"]);
+    expect(ids(layer, "data-edge-id").sort()).toEqual(["e2", "e3", "e4", "e5"]);
+    expect(moved).toMatchObject({ created: 4, removed: 3 });
+    expect(layer.querySelectorAll("*").length).toBeLessThan(40);
+  });
+
+  it("keeps nodes in creation order and above edges", () => {
+    const context = setup();
+    row(context, 10);
+    const { renderer, layer } = context;
+
+    renderer.update({ x: 900, y: 0, width: 200, height: 100 });
+    renderer.update({ x: 0, y: 0, width: 1150, height: 100 });
+
+    expect(ids(layer, "data-node-id")).toEqual([
+      "n0",
+      "n1",
+      "n2",
+      "n3",
+      "n4",
+      "n5",
+    ]);
+    const groups = renderer.root.children;
+    expect(groups[0].classList.contains("virtual-edges")).toBe(true);
+    expect(groups[1].classList.contains("virtual-nodes")).toBe(true);
+  });
+
+  it("redraws nodes and their edges as they change", () => {
+    const context = setup();
+    row(context, 3);
+    const { renderer, layer, nodeManager } = context;
+    const area = { x: 0, y: 0, width: 1000, height: 1000 };
+    renderer.update(area);
+    const untouched = layer.querySelector('[data-node-id="n2"]');
+
+    nodeManager.updateNodePosition("n0", { x: 0, y: 500 });
+    nodeManager.updateNode("n1", { label: "Renamed" });
+    nodeManager.deleteNode("n2");
+    const stats = renderer.update(area);
+
+    expect(
+      layer.querySelector('[data-node-id="n0"]').getAttribute("transform")
+    ).toBe("translate(0, 500)");
+    expect(layer.querySelector('[data-node-id="n1"] text').textContent).toBe(
+      "Renamed"
+    );
+    expect(
+      layer.querySelector('[data-edge-id="e1"] line').getAttribute("y1")
+    ).toBe("530");
+    expect(untouched.isConnected).toBe(false);
+    expect(ids(layer, "data-edge-id")).toEqual(["e1"]);
+    expect(stats.nodes).toBe(2);
+  });
+
+  it("simplifies below the zoom threshold", () => {
+    const context = setup({ edgeView: new EdgeView(), lodZoom: 0.5 });
+    row(context, 3);
+    context.edgeManager.updateEdge("e1", { label: "yes" });
+    const { renderer, layer } = context;
+    const area = { x: 0, y: 0, width: 1000, height: 100 };
+
+    renderer.update(area, 1);
+    expect(layer.querySelectorAll("text").length).toBe(4);
+    expect(layer.querySelector('[data-edge-id="e1"] path')).not.toBeNull();
+
+    const stats = renderer.update(area, 0.3);
+
+    expect(stats.simplified).toBe(true);
+    expect(layer.querySelectorAll("text")).toHaveLength(0);
+    expect(layer.querySelectorAll("path")).toHaveLength(0);
+    expect(layer.querySelectorAll(".lod rect")).toHaveLength(3);
+    expect(layer.querySelectorAll(".lod line")).toHaveLength(2);
+  });
+
+  it("falls back to basic shapes when a view fails", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const nodeView = {
+      render: vi.fn(() => {
+        throw new Error("no shape builder");
+      }),
+    };
+    const context = setup({ nodeView });
+    row(context, 3);
+
+    context.renderer.update({ x: 0, y: 0, width: 1000, height: 100 });
+
+    expect(ids(context.layer, "data-node-id")).toEqual(["n0", "n1", "n2"]);
+    expect(nodeView.render).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  it("can draw everything but nodes inside collapsed containers", () => {
+    const context = setup({ virtualize: false });
+    row(context, 20);
+    const { nodeManager } = context;
+    nodeManager.createNode({ id: "box", type: "group", x: 5000, y: 0 });
+    nodeManager.createNode({ id: "kid", type: "process", parentId: "box" });
+    nodeManager.collapseContainer("box");
+
+    const stats = context.renderer.update(null);
+
+    expect(stats.nodes).toBe(21);
+    expect(context.renderer.getMaterialized().nodes).not.toContain("kid");
+    expect(stats.edges).toBe(19);
+
+    context.renderer.destroy();
+    expect(context.layer.childNodes).toHaveLength(0);
+  });
+});
+
+describe("EditorView virtual rendering", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // A 400x300 editor over setup()'s managers
+  const mount = (context) => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    // Render frames run as soon as they are requested
+    vi.spyOn(window, "requestAnimationFrame").mockImplementation((frame) => {
+      frame();
+      return 1;
+    });
+    const services = {
+      eventBus: context.eventBus,
+      stateManager: context.stateManager,
+      nodeManager: context.nodeManager,
+      edgeManager: context.edgeManager,
+    };
+    const editor = new EditorView({ get: (name) => services[name] });
+    editor.mount(document.createElement("div"), { width: 400, height: 300 });
+    editor.config.showGrid = false;
+    return editor;
+  };
+
+  it("draws what is in view and follows zoom and pan", () => {
+    const context = setup();
+    row(context, 40);
+    const { stateManager } = context;
+    const editor = mount(context);
+    const rendered = vi.fn();
+    editor.on("editor:rendered", rendered);
+
+    editor.enableVirtualRendering();
+
+    // 400px wide plus the 200px margin each side: x from -200 to 600
+    const content = editor.getLayer("content");
+    expect(ids(content, "data-node-id")).toEqual(["n0", "n1", "n2", "n3"]);
+    expect(rendered.mock.calls[0][0].stats.virtual).toMatchObject({
+      nodes: 4,
+      simplified: false,
+    });
+
+    stateManager.setPan(-2000, 0);
+    expect(ids(content, "data-node-id")).toEqual([
+      "n9",
+      "n10",
+      "n11",
+      "n12",
+      "n13",
+    ]);
+
+    stateManager.setPan(0, 0);
+    stateManager.setZoom(0.05);
+    expect(content.querySelectorAll(".lod[data-node-id]").length).toBe(40);
+
+    editor.disableVirtualRendering();
+    expect(content.querySelectorAll("[data-node-id]")).toHaveLength(0);
+    const renders = rendered.mock.calls.length;
+    stateManager.setZoom(1);
+    expect(rendered).toHaveBeenCalledTimes(renders);
+    expect(() =>
+      new EditorView({ get: () => null }).enableVirtualRendering()
+    ).toThrow();
+  });
+
+  it("redraws as nodes are created, moved and deleted", () => {
+    const context = setup();
+    const { nodeManager, edgeManager } = context;
+    const editor = mount(context);
+    editor.enableVirtualRendering();
+    const content = editor.getLayer("content");
+    const drawn = (id) => content.querySelector(`[data-node-id="${id}"]`);
+
+    nodeManager.createNode({ id: "a", type: "process", x: 0, y: 0 });
+    nodeManager.createNode({ id: "b", type: "process", x: 200, y: 0 });
+    edgeManager.createEdge({ id: "e", sourceId: "a", targetId: "b" });
+    expect(ids(content, "data-node-id")).toEqual(["a", "b"]);
+    expect(ids(content, "data-edge-id")).toEqual(["e"]);
+
+    nodeManager.updateNodePosition("a", { x: 10, y: 40 });
+    expect(drawn("a").getAttribute("transform")).toBe("translate(10, 40)");
+
+    nodeManager.updateNode("b", { label: "Renamed" });
+    expect(drawn("b").querySelector("text").textContent).toBe("Renamed");
+
+    nodeManager.deleteNode("b");
+    expect(drawn("b")).toBeNull();
+    expect(ids(content, "data-edge-id")).toEqual([]);
+
+    nodeManager.clearAll();
+    expect(content.querySelectorAll("[data-node-id]")).toHaveLength(0);
+    editor.destroy();
+  });
+});
+
+describe("RenderBenchmark", () => {
+  it("generates the same large graph for the same seed", () => {
+    const graph = RenderBenchmark.generateGraph({ nodes: 10000 });
+    const again = RenderBenchmark.generateGraph({ nodes: 10000 });
+
+    expect(graph.nodes).toHaveLength(10000);
+    expect(graph.edges.length).toBeGreaterThan(14000);
+    expect(again.edges.slice(0, 50)).toEqual(graph.edges.slice(0, 50));
+    expect(new Set(graph.nodes.map((n) => n.id)).size).toBe(10000);
+    expect(graph.edges.every((e) => e.sourceId !== e.targetId)).toBe(true);
+  });
+
+  it("summarizes frame times", () => {
+    expect(RenderBenchmark.summarize([10, 20, 30, 40])).toEqual({
+      mean: 25,
+      median: 30,
+      p95: 40,
+      max: 40,
+      fps: 40,
+    });
+  });
+
+  it("reports frame times for every mode", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const stage = document.createElement("div");
+    const benchmark = new RenderBenchmark(stage, {
+      width: 400,
+      height: 300,
+      frames: 6,
+    });
+    const graph = RenderBenchmark.generateGraph({ nodes: 400 });
+
+    const reports = await benchmark.runAll(graph);
+
+    expect(reports.map((r) => r.mode)).toEqual(RENDER_MODES);
+    reports.forEach((report) => {
+      expect(report.frame.mean).toBeGreaterThan(0);
+      expect(report.render.max).toBeGreaterThan(0);
+    });
+    const [full, virtual] = reports;
+    expect(full.materialized).toBe(400 + graph.edges.length);
+    expect(virtual.materialized).toBeLessThan(full.materialized);
+    expect(RenderBenchmark.format(reports).split("\n")).toHaveLength(4);
+    expect(stage.childNodes).toHaveLength(0);
+  });
+});
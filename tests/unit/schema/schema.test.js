@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for Document Schemas
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  SchemaRegistry,
+  compareVersions,
+  normalizeVersion,
+  createDocumentSchemaRegistry,
+  CURRENT_DOCUMENT_VERSION,
+} from "../../../src/core/schema/index.js";
+
+describe("compareVersions", () => {
+  it("should compare versions numerically", () => {
+    expect(compareVersions("1.0", "1.0")).toBe(0);
+    expect(compareVersions("1.2", "1.10")).toBeLessThan(0);
+    expect(compareVersions("2.0", "1.9")).toBeGreaterThan(0);
+    expect(compareVersions("1", "1.0")).toBe(0);
+  });
+
+  it("should normalize versions to major and minor", () => {
+    expect(normalizeVersion("1")).toBe("1.0");
+    expect(normalizeVersion("1.0.0")).toBe("1.0");
+    expect(normalizeVersion("1.3.0")).toBe("1.3");
+    expect(normalizeVersion(1.2)).toBe("1.2");
+  });
+});
+
+describe("SchemaRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new SchemaRegistry({ currentVersion: "1.2" });
+    registry.registerSchema("1.2", {
+      type: "object",
+      required: ["nodes"],
+      properties: {
+        nodes: {
+          type: "array",
+          items: { type: "object", required: ["id", "metadata"] },
+        },
+      },
+    });
+    registry.registerMigration("1.0", "1.1", (doc) => {
+      doc.nodes = doc.nodes.map(({ data, ...node }) => ({
+        ...node,
+        metadata: data || {},
+      }));
+      return doc;
+    });
+    registry.registerMigration("1.1", "1.2", (doc) => doc);
+  });
+
+  describe("upgrade", () => {
+    it("should run the migration chain in order", () => {
+      const original = {
+        version: "1.0",
+        nodes: [{ id: "n1", data: { owner: "ops" } }],
+      };
+
+      const { document, fromVersion, applied } = registry.upgrade(original);
+
+      expect(fromVersion).toBe("1.0");
+      expect(applied).toEqual(["1.1", "1.2"]);
+      expect(document.version).toBe("1.2");
+      expect(document.nodes[0].metadata).toEqual({ owner: "ops" });
+      expect(original.nodes[0].data).toEqual({ owner: "ops" });
+    });
+
+    it("should treat versions with and without a patch level alike", () => {
+      ["1", "1.0.0"].forEach((version) => {
+        const { fromVersion, applied, document } = registry.upgrade({
+          version,
+          nodes: [{ id: "n1" }],
+        });
+
+        expect(fromVersion).toBe("1.0");
+        expect(applied).toEqual(["1.1", "1.2"]);
+        expect(document.version).toBe("1.2");
+      });
+      expect(registry.getMigrationPath("1.2.0")).toEqual([]);
+      expect(registry.isSupported("1.1.0")).toBe(true);
+      expect(registry.hasSchema("1.2.0")).toBe(true);
+    });
+
+    it("should reject documents from a newer version", () => {
+      expect(() => registry.upgrade({ version: "2.0", nodes: [] })).toThrow(
+        /newer than the supported version 1.2/
+      );
+    });
+
+    it("should reject versions without a migration path", () => {
+      expect(() => registry.upgrade({ version: "0.9", nodes: [] })).toThrow(
+        /no migration/
+      );
+    });
+  });
+
+  describe("validate", () => {
+    it("should report schema violations with paths", () => {
+      const result = registry.validate({ version: "1.2", nodes: [{ id: 1 }] });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain("$.nodes[0].metadata is required");
+    });
+  });
+});
+
+describe("createDocumentSchemaRegistry", () => {
+  it("should accept documents without a version stamp", () => {
+    const registry = createDocumentSchemaRegistry();
+    const { document } = registry.upgrade({
+      nodes: [{ id: "node_1", type: "rect", x: 0, y: 0 }],
+      edges: [],
+    });
+
+    expect(document.version).toBe(CURRENT_DOCUMENT_VERSION);
+    expect(registry.validate(document).valid).toBe(true);
+  });
+
+  it("should open current documents stamped with a patch level", () => {
+    const registry = createDocumentSchemaRegistry();
+    const { document, applied } = registry.upgrade({
+      version: "1.3.0",
+      nodes: [{ id: "node_1", type: "rect", x: 0, y: 0 }],
+      edges: [],
+    });
+
+    expect(applied).toEqual([]);
+    expect(document.version).toBe("1.3");
+    expect(registry.validate({ ...document, version: "1.3.0" }).valid).toBe(
+      true
+    );
+  });
+});
+
+describe("document migrations", () => {
+  it("should move 1.0 edge waypoints out of metadata", () => {
+    const registry = createDocumentSchemaRegistry();
+    const { document } = registry.upgrade({
+      version: "1.0",
+      nodes: [],
+      edges: [
+        {
+          id: "edge_1",
+          sourceId: "a",
+          targetId: "b",
+          metadata: { waypoints: [{ x: 10, y: 20 }], note: "kept" },
+        },
+        { id: "edge_2", sourceId: "b", targetId: "a" },
+      ],
+    });
+
+    expect(document.version).toBe(CURRENT_DOCUMENT_VERSION);
+    expect(document.edges[0].waypoints).toEqual([{ x: 10, y: 20 }]);
+    expect(document.edges[0].metadata).toEqual({ note: "kept" });
+    expect(document.edges[1].waypoints).toEqual([]);
+  });
+
+  it("should turn 1.1 container members into parent ids", () => {
+    const registry = createDocumentSchemaRegistry();
+    const { document } = registry.upgrade({
+      version: "1.1",
+      nodes: [
+        {
+          id: "lane",
+          type: "swimlane",
+          x: 0,
+          y: 0,
+          metadata: { members: ["a", "missing"], title: "Sales" },
+        },
+        { id: "a", type: "rect", x: 10, y: 40 },
+        { id: "b", type: "rect", x: 400, y: 40 },
+      ],
+      edges: [],
+    });
+
+    expect(document.version).toBe(CURRENT_DOCUMENT_VERSION);
+    expect(document.nodes.map((node) => node.parentId)).toEqual([
+      null,
+      "lane",
+      null,
+    ]);
+    expect(document.nodes[0].metadata).toEqual({ title: "Sales" });
+    expect(registry.validate(document).valid).toBe(true);
+  });
+
+  it("should give 1.2 nodes no lanes", () => {
+    const registry = createDocumentSchemaRegistry();
+    const { document } = registry.upgrade({
+      version: "1.2",
+      nodes: [
+        { id: "lane", type: "swimlane", x: 0, y: 0, parentId: null },
+        { id: "a", type: "rect", x: 10, y: 40, parentId: "lane" },
+      ],
+      edges: [],
+    });
+
+    expect(document.version).toBe("1.3");
+    expect(document.nodes[0].pool).toBe(null);
+    expect(document.nodes[1].laneId).toBe(null);
+    expect(registry.validate(document).valid).toBe(true);
+
+    document.nodes[0].pool = { orientation: "diagonal", lanes: [] };
+    expect(registry.validate(document).valid).toBe(false);
+  });
+});
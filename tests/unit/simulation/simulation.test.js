@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for Flowchart Simulation
+ */
+
+import { describe, it, expect } from "vitest";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { SimulationManager } from "../../../src/core/managers/SimulationManager.js";
+import { ExpressionEvaluator } from "../../../src/core/simulation/ExpressionEvaluator.js";
+import { createCore, track } from "../fixtures.js";
+
+const setup = (condition = "amount > 1000") => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const simulation = new SimulationManager(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager
+  );
+
+  // Start -> Check -yes-> Approve -> End
+  //                -no--> Auto ----^
+  [
+    { id: "start", type: "terminator", label: "Start" },
+    { id: "check", type: "decision", metadata: { condition } },
+    { id: "approve", type: "process", label: "Approve" },
+    { id: "auto", type: "process", label: "Auto" },
+    { id: "end", type: "terminator", label: "End" },
+  ].forEach((node) => nodeManager.createNode(node));
+  [
+    ["start", "check", ""],
+    ["check", "approve", "Yes"],
+    ["check", "auto", "No"],
+    ["approve", "end", ""],
+    ["auto", "end", ""],
+  ].forEach(([sourceId, targetId, label]) =>
+    edgeManager.createEdge({
+      id: `${sourceId}-${targetId}`,
+      sourceId,
+      targetId,
+      label,
+    })
+  );
+
+  return track({ eventBus, nodeManager, simulation });
+};
+
+describe("ExpressionEvaluator", () => {
+  it("should evaluate conditions against variables", () => {
+    const variables = { amount: 1200, customer: { tier: "gold" } };
+
+    expect(ExpressionEvaluator.evaluate("amount > 1000", variables)).toBe(true);
+    expect(
+      ExpressionEvaluator.evaluate(
+        "customer.tier == 'gold' && !(amount % 2 == 1)",
+        variables
+      )
+    ).toBe(true);
+    expect(ExpressionEvaluator.evaluate("1 + 2 * 3 - -1")).toBe(8);
+    expect(ExpressionEvaluator.evaluate("missing || 'fallback'")).toBe(
+      "fallback"
+    );
+    expect(ExpressionEvaluator.evaluate("amount.constructor", variables)).toBe(
+      undefined
+    );
+  });
+
+  it("should reject what it cannot parse", () => {
+    expect(() => ExpressionEvaluator.evaluate("amount >")).toThrow(
+      "Unexpected end of expression"
+    );
+    expect(() => ExpressionEvaluator.evaluate("alert(1)")).toThrow(
+      'Unexpected "(" at position 5'
+    );
+    expect(() => ExpressionEvaluator.evaluate("a = 1")).toThrow(
+      'Unexpected "=" at position 2'
+    );
+  });
+});
+
+describe("SimulationManager", () => {
+  it("should walk the branch a condition picks", () => {
+    const { simulation } = setup();
+
+    simulation.start({ variables: { amount: 1500 } });
+    expect(simulation.getCurrentNodeId()).toBe("start");
+
+    simulation.step();
+    simulation.step();
+    expect(simulation.getCurrentNodeId()).toBe("approve");
+
+    simulation.step();
+    const state = simulation.step();
+    expect(state).toMatchObject({
+      ended: true,
+      currentNodeId: "end",
+      path: ["start", "check", "approve", "end"],
+      traversedEdges: ["start-check", "check-approve", "approve-end"],
+      canStep: false,
+    });
+  });
+
+  it("should ask which branch to take when there is no condition", () => {
+    const { eventBus, simulation } = setup(null);
+    const choices = [];
+    eventBus.on("simulation:choice", ({ options }) =>
+      choices.push(options.map((o) => o.label))
+    );
+
+    simulation.start();
+    simulation.step();
+    simulation.step();
+    expect(simulation.getCurrentNodeId()).toBe("check");
+    expect(choices).toEqual([["Yes", "No"]]);
+    expect(simulation.getState().canStep).toBe(false);
+
+    simulation.choose("check-auto");
+    expect(simulation.getCurrentNodeId()).toBe("auto");
+  });
+
+  it("should fall back to asking when a condition fails", () => {
+    const { eventBus, simulation } = setup("amount >");
+    const errors = [];
+    eventBus.on("simulation:error", ({ error, nodeId }) =>
+      errors.push(`${nodeId}: ${error.message}`)
+    );
+
+    simulation.start();
+    simulation.step();
+    const state = simulation.step();
+    expect(errors).toEqual(["check: Unexpected end of expression"]);
+    expect(state.pendingChoice.nodeId).toBe("check");
+  });
+
+  it("should step back and reset", () => {
+    const { nodeManager, simulation } = setup();
+    const changes = [];
+    simulation.eventBus.on("simulation:changed", (state) =>
+      changes.push(state.currentNodeId)
+    );
+
+    simulation.start({ variables: { amount: 10 } });
+    simulation.step();
+    simulation.step();
+    expect(simulation.getCurrentNodeId()).toBe("auto");
+
+    simulation.back();
+    expect(simulation.getState()).toMatchObject({
+      currentNodeId: "check",
+      traversedEdges: ["start-check"],
+    });
+    expect(changes).toEqual(["start", "check", "auto", "check"]);
+
+    simulation.reset();
+    expect(simulation.getState()).toMatchObject({
+      running: false,
+      path: [],
+      traversedEdges: [],
+    });
+
+    // Deleting a node on the path ends the run
+    simulation.start();
+    simulation.step();
+    nodeManager.deleteNode("check");
+    expect(simulation.getState().running).toBe(false);
+  });
+});
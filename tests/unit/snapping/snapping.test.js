@@ -0,0 +1,281 @@
+/**
+ * Unit Tests for Smart Guides and the Spatial Index
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { SnapManager } from "../../../src/core/managers/SnapManager.js";
+import { HandleManager } from "../../../src/shapes/helpers/HandleManager.js";
+import { GuideView } from "../../../src/core/views/GuideView.js";
+import { SpatialIndex } from "../../../src/utils/geometry/SpatialIndex.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const setup = (options = {}) => {
+  const { eventBus, stateManager } = createCore();
+  const snap = new SnapManager(eventBus, stateManager, {
+    snapToGrid: false,
+    ...options,
+  });
+  return { eventBus, snap };
+};
+
+const node = (id, x, y, width = 100, height = 60) => ({
+  id,
+  x,
+  y,
+  width,
+  height,
+});
+
+describe("SpatialIndex", () => {
+  it("finds rects by area, point and distance", () => {
+    const index = new SpatialIndex();
+    index.insert("a", { x: 0, y: 0, width: 100, height: 60 });
+    index.insert("b", { x: 200, y: 0, width: 100, height: 60 });
+    index.insert("far", { x: -5000, y: 9000, width: 10, height: 10 });
+
+    expect(
+      index.search({ x: 50, y: 50, width: 200, height: 5 }).sort()
+    ).toEqual(["a", "b"]);
+    expect(index.searchPoint({ x: 250, y: 30 })).toEqual(["b"]);
+    expect(index.nearest({ x: 180, y: 30 }, { count: 2 })).toEqual(["b", "a"]);
+    expect(index.nearest({ x: 0, y: 8000 })).toEqual(["far"]);
+    expect(index.nearest({ x: 0, y: 8000 }, { maxDistance: 100 })).toEqual([]);
+
+    index.update("a", { x: 1000, y: 1000, width: 10, height: 10 });
+    index.remove("b");
+    expect(index.searchPoint({ x: 50, y: 30 })).toEqual([]);
+    expect(index.get("a")).toEqual({ x: 1000, y: 1000, width: 10, height: 10 });
+    expect(index.size).toBe(2);
+    expect(() => index.insert("bad", { x: NaN, y: 0 })).toThrow();
+  });
+
+  it("keeps its entries when growing from a fractional origin", () => {
+    const moves = [
+      { x: -400, y: 80.7 },
+      { x: 100.3, y: -400 },
+      { x: -400.9, y: -400.1 },
+    ];
+    moves.forEach((far) => {
+      const index = new SpatialIndex();
+      index.insert("a", { x: 100.3, y: 80.7, width: 100, height: 60 });
+      index.insert("b", { ...far, width: 100, height: 60 });
+
+      expect(index.searchPoint({ x: 150, y: 110 })).toEqual(["a"]);
+      expect(
+        index.search({ x: -1000, y: -1000, width: 2000, height: 2000 }).sort()
+      ).toEqual(["a", "b"]);
+      expect(index.nearest({ x: 150, y: 110 })).toEqual(["a"]);
+    });
+  });
+
+  it("agrees with a linear scan over thousands of rects", () => {
+    const index = new SpatialIndex();
+    const rects = [];
+    for (let i = 0; i < 3000; i++) {
+      const rect = {
+        id: `n${i}`,
+        x: ((i * 7919) % 6000) - 3000,
+        y: ((i * 104729) % 4000) - 2000,
+        width: 40 + (i % 5) * 30,
+        height: 30 + (i % 3) * 20,
+      };
+      rects.push(rect);
+      index.insert(rect.id, rect);
+    }
+
+    const area = { x: -200, y: -150, width: 500, height: 300 };
+    const expected = rects
+      .filter(
+        (r) =>
+          r.x <= area.x + area.width &&
+          r.x + r.width >= area.x &&
+          r.y <= area.y + area.height &&
+          r.y + r.height >= area.y
+      )
+      .map((r) => r.id);
+
+    expect(index.search(area).sort()).toEqual(expected.sort());
+    expect(index.getBounds().x).toBe(Math.min(...rects.map((r) => r.x)));
+  });
+});
+
+describe("SnapManager smart guides", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("aligns edges and reports the gap along the guide", () => {
+    const { snap } = context;
+
+    const { position, guides } = snap.snapNodePosition(node("m", 103, 200), [
+      node("a", 100, 0),
+    ]);
+
+    expect(position).toEqual({ x: 100, y: 200 });
+    expect(guides.vertical[0]).toMatchObject({
+      x: 100,
+      type: "left",
+      nodeId: "a",
+      y1: 0,
+      y2: 260,
+      distance: 140,
+    });
+  });
+
+  it("repeats the gap between nodes in the row", () => {
+    const { snap, eventBus } = context;
+    const shown = [];
+    eventBus.on("snap:guides:show", ({ guides }) => shown.push(guides));
+    const row = [node("a", 0, 0), node("b", 140, 0)];
+
+    // b ends at 240; a 40px gap puts the dragged node at 280
+    const { position, guides } = snap.snapNodePosition(node("m", 283, 3), row);
+
+    expect(position.x).toBe(280);
+    const gaps = guides.distances.filter((d) => d.type === "spacing");
+    expect(gaps.map((d) => [d.from, d.to, d.distance])).toEqual([
+      [100, 140, 40],
+      [240, 280, 40],
+    ]);
+    expect(gaps.every((d) => d.axis === "x")).toBe(true);
+    expect(shown).toHaveLength(1);
+  });
+
+  it("centers a node between its neighbors in a column", () => {
+    const { snap } = context;
+    const column = [node("top", 0, 0), node("bottom", 0, 300)];
+
+    // 240px between them, less 60 of node, leaves 90 each side
+    const { position, guides } = snap.snapNodePosition(
+      node("m", 0, 147),
+      column
+    );
+
+    expect(position.y).toBe(150);
+    expect(
+      guides.distances.map((d) => [d.axis, d.from, d.to, d.distance])
+    ).toEqual([
+      ["y", 60, 150, 90],
+      ["y", 210, 300, 90],
+    ]);
+  });
+
+  it("leaves the node alone with nothing in range", () => {
+    const { snap, eventBus } = context;
+    const hidden = vi.fn();
+    eventBus.on("snap:guides:hide", hidden);
+
+    snap.snapNodePosition(node("m", 3, 200), [node("a", 0, 0)]);
+    const { position, guides } = snap.snapNodePosition(node("m", 500, 900), [
+      node("a", 0, 0),
+    ]);
+
+    expect(position).toEqual({ x: 500, y: 900 });
+    expect(guides.distances).toEqual([]);
+    expect(hidden).toHaveBeenCalledTimes(1);
+  });
+
+  it("indexes the nodes once per drag", () => {
+    const { snap } = context;
+    const others = [];
+    for (let i = 0; i < 2000; i++) {
+      others.push(node(`n${i}`, (i % 50) * 150, Math.floor(i / 50) * 100));
+    }
+    const insert = vi.spyOn(SpatialIndex.prototype, "insert");
+
+    for (let x = 0; x < 30; x++) {
+      snap.snapNodePosition(node("m", 3003 + x, 1503), others);
+    }
+
+    expect(insert).toHaveBeenCalledTimes(2000);
+    insert.mockRestore();
+  });
+});
+
+describe("size guides", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  const shape = {
+    id: "m",
+    getBounds: () => ({ x: 0, y: 200, width: 100, height: 60 }),
+    constraints: { minWidth: 20, minHeight: 20 },
+  };
+
+  it("matches a sibling's width while resizing", () => {
+    const { snap } = context;
+    const siblings = [node("a", 0, 0, 150, 60), node("b", 300, 0, 80, 60)];
+
+    const bounds = HandleManager.calculateResize(
+      shape,
+      "e",
+      { dx: 47, dy: 0 },
+      { snapManager: snap, siblings, snapToGrid: true, gridSize: 20 }
+    );
+
+    expect(bounds).toEqual({ x: 0, y: 200, width: 150, height: 60 });
+    const widths = snap.getActiveGuides().distances;
+    expect(widths.map((d) => [d.type, d.nodeId, d.distance])).toEqual([
+      ["width", "m", 150],
+      ["width", "a", 150],
+    ]);
+  });
+
+  it("keeps the opposite edge when matching from the top handle", () => {
+    const { snap } = context;
+
+    const { bounds } = snap.snapNodeSize(
+      node("m", 0, 183, 100, 77),
+      [node("a", 300, 0, 100, 80)],
+      { handle: { xDir: 0, yDir: -1 } }
+    );
+
+    expect(bounds).toEqual({ x: 0, y: 180, width: 100, height: 80 });
+  });
+});
+
+describe("GuideView", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("draws guides with distance labels", () => {
+    const { eventBus, snap } = context;
+    const layer = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    const view = new GuideView(eventBus, layer);
+
+    snap.snapNodePosition(node("m", 283, 0), [
+      node("a", 0, 0),
+      node("b", 140, 0),
+    ]);
+
+    const labels = Array.from(layer.querySelectorAll(".guide-label text")).map(
+      (text) => text.textContent
+    );
+    expect(labels).toEqual(["40", "40"]);
+    expect(layer.querySelectorAll(".guide-line").length).toBeGreaterThan(2);
+    expect(GuideView.format(12.345)).toBe("12.3");
+
+    eventBus.emit("snap:guides:hide");
+    expect(view.root.childNodes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Unit Tests for Spatial Queries
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { SelectionManager } from "../../../src/core/managers/SelectionManager.js";
+import { SnapManager } from "../../../src/core/managers/SnapManager.js";
+import { EditorView } from "../../../src/core/views/EditorView.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const setup = () => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  return { eventBus, stateManager, nodeManager, edgeManager };
+};
+
+const node = (id, x, y, width = 100, height = 60) => ({
+  id,
+  type: "process",
+  x,
+  y,
+  width,
+  height,
+});
+
+describe("NodeManager spatial queries", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("follows nodes as they are created, moved, resized and deleted", () => {
+    const { nodeManager } = context;
+    nodeManager.createNode(node("a", 0, 0));
+    nodeManager.createNode(node("b", 50, 30));
+    nodeManager.createNode(node("c", 500, 500));
+
+    expect(nodeManager.getNodesAtPoint({ x: 60, y: 40 })).toEqual(["a", "b"]);
+
+    nodeManager.updateNodePosition("a", { x: 1000, y: 0 });
+    nodeManager.updateNodeSize("c", { width: 20, height: 20 });
+    nodeManager.updateNode("b", { x: 700 });
+
+    expect(nodeManager.getNodesAtPoint({ x: 60, y: 40 })).toEqual([]);
+    expect(nodeManager.getNodesAtPoint({ x: 1010, y: 10 })).toEqual(["a"]);
+    expect(nodeManager.getNodesAtPoint({ x: 550, y: 550 })).toEqual([]);
+    expect(nodeManager.getNodesAtPoint({ x: 518, y: 518 })).toEqual(["c"]);
+    expect(nodeManager.getNodesAtPoint({ x: 750, y: 40 })).toEqual(["b"]);
+
+    nodeManager.setNodeBounds("c", { x: 0, y: 0, width: 10, height: 10 });
+    nodeManager.deleteNode("a");
+    expect(
+      nodeManager.getNodesInRect({ x: -10, y: -10, width: 2000, height: 100 })
+    ).toEqual(["b", "c"]);
+
+    nodeManager.clearAll();
+    expect(nodeManager.getNodesAtPoint({ x: 5, y: 5 })).toEqual([]);
+  });
+
+  it("finds nodes touching or inside a rectangle", () => {
+    const { nodeManager } = context;
+    nodeManager.createNode(node("inside", 10, 10));
+    nodeManager.createNode(node("across", 150, 10));
+    nodeManager.createNode(node("outside", 400, 10));
+    const rect = { x: 0, y: 0, width: 200, height: 100 };
+
+    expect(nodeManager.getNodesInRect(rect)).toEqual(["inside", "across"]);
+    expect(nodeManager.getNodesInRect(rect, { contained: true })).toEqual([
+      "inside",
+    ]);
+  });
+
+  it("finds the nearest nodes", () => {
+    const { nodeManager } = context;
+    nodeManager.createNode(node("near", 0, 0));
+    nodeManager.createNode(node("mid", 300, 0));
+    nodeManager.createNode({ ...node("far", 900, 0), type: "decision" });
+
+    const point = { x: 250, y: 30 };
+    expect(nodeManager.getNearestNodes(point)).toEqual(["mid"]);
+    expect(nodeManager.getNearestNodes(point, { count: 3 })).toEqual([
+      "mid",
+      "near",
+      "far",
+    ]);
+    expect(
+      nodeManager.getNearestNodes(point, {
+        filter: (n) => n.type === "decision",
+      })
+    ).toEqual(["far"]);
+    expect(nodeManager.getNearestNodes(point, { maxDistance: 10 })).toEqual([]);
+  });
+
+  it("matches a linear scan on a large diagram", () => {
+    const { nodeManager } = context;
+    for (let i = 0; i < 2000; i++) {
+      nodeManager.createNode(
+        node(`n${i}`, (i % 40) * 160 + (i % 7), Math.floor(i / 40) * 90)
+      );
+    }
+    const rect = { x: 1000, y: 900, width: 700, height: 400 };
+
+    const expected = nodeManager
+      .getAllNodes()
+      .filter(
+        (n) =>
+          n.x <= rect.x + rect.width &&
+          n.x + n.width >= rect.x &&
+          n.y <= rect.y + rect.height &&
+          n.y + n.height >= rect.y
+      )
+      .map((n) => n.id);
+
+    expect(nodeManager.getNodesInRect(rect)).toEqual(expected);
+  });
+});
+
+describe("spatial index callers", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("selects the visible nodes under a marquee", () => {
+    const { eventBus, stateManager, nodeManager } = context;
+    const selection = new SelectionManager(eventBus, stateManager, nodeManager);
+    nodeManager.createNode({ ...node("box", 0, 0, 300, 200), type: "group" });
+    nodeManager.createNode({ ...node("kid", 20, 50), parentId: "box" });
+    nodeManager.createNode(node("other", 400, 0));
+    nodeManager.createNode(node("away", 2000, 0));
+
+    expect(
+      selection.selectInRect({ x: -10, y: -10, width: 600, height: 300 })
+    ).toEqual(["box", "kid", "other"]);
+    expect(selection.getSelectedNodes()).toEqual(["box", "kid", "other"]);
+
+    nodeManager.collapseContainer("box");
+    selection.selectInRect(
+      { x: 390, y: -10, width: 200, height: 100 },
+      { contained: true }
+    );
+    selection.selectInRect(
+      { x: -10, y: -10, width: 400, height: 300 },
+      { mode: "add" }
+    );
+    expect(selection.getSelectedNodes()).toEqual(["other", "box"]);
+  });
+
+  it("keeps edge areas current as their nodes move", () => {
+    const { nodeManager, edgeManager } = context;
+    nodeManager.createNode(node("a", 0, 0));
+    nodeManager.createNode(node("b", 1000, 0));
+    nodeManager.createNode(node("c", 0, 500));
+    edgeManager.createEdge({ id: "ab", sourceId: "a", targetId: "b" });
+    edgeManager.createEdge({
+      id: "ac",
+      sourceId: "a",
+      targetId: "c",
+      waypoints: [{ x: -300, y: 250 }],
+    });
+
+    // Between a and b, away from both
+    const gap = { x: 400, y: 0, width: 100, height: 50 };
+    expect(edgeManager.getEdgesInRect(gap)).toEqual(["ab"]);
+    expect(
+      edgeManager.getEdgesInRect({ x: -310, y: 240, width: 20, height: 20 })
+    ).toEqual(["ac"]);
+
+    nodeManager.updateNodePosition("b", { x: 0, y: 1000 });
+    expect(edgeManager.getEdgesInRect(gap)).toEqual([]);
+
+    edgeManager.deleteEdge("ac");
+    expect(
+      edgeManager.getEdgesInRect({ x: -310, y: 240, width: 20, height: 20 })
+    ).toEqual([]);
+  });
+
+  it("reroutes only the orthogonal routes a moved node crosses", () => {
+    const { eventBus, nodeManager, edgeManager } = context;
+    nodeManager.createNode(node("a", 0, 0));
+    nodeManager.createNode(node("b", 400, 0));
+    nodeManager.createNode(node("c", 0, 800));
+    nodeManager.createNode(node("d", 400, 800));
+    nodeManager.createNode(node("mover", 2000, 2000));
+    edgeManager.createEdge({
+      id: "top",
+      sourceId: "a",
+      targetId: "b",
+      type: "orthogonal",
+    });
+    edgeManager.createEdge({
+      id: "bottom",
+      sourceId: "c",
+      targetId: "d",
+      type: "orthogonal",
+    });
+    edgeManager.calculateEdgePath("top");
+    edgeManager.calculateEdgePath("bottom");
+
+    const updated = [];
+    eventBus.on("edge:path:update", ({ edgeId }) => updated.push(edgeId));
+    nodeManager.updateNodePosition("mover", { x: 200, y: 0 });
+
+    expect(updated).toEqual(["top"]);
+  });
+
+  it("snaps to NodeManager's nodes when given no list", () => {
+    const { eventBus, stateManager, nodeManager } = context;
+    const snap = new SnapManager(eventBus, stateManager, {
+      snapToGrid: false,
+      nodeManager,
+    });
+    nodeManager.createNode(node("a", 100, 0));
+    nodeManager.createNode(node("b", 400, 0));
+    nodeManager.createNode(node("m", 103, 200));
+
+    expect(snap.snapNodePosition(nodeManager.getNode("m")).position).toEqual({
+      x: 100,
+      y: 200,
+    });
+    expect(
+      snap.snapNodePosition(nodeManager.getNode("m"), null, {
+        exclude: ["a"],
+      }).position
+    ).toEqual({ x: 103, y: 200 });
+  });
+});
+
+describe("EditorView culling", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  const mount = (services) => {
+    const editor = new EditorView({ get: (name) => services[name] });
+    editor.mount(document.createElement("div"), { width: 400, height: 300 });
+    editor.config.showGrid = false;
+    return editor;
+  };
+
+  it("hides nodes and edges outside the viewport", () => {
+    const { nodeManager, edgeManager, stateManager } = context;
+    stateManager.setZoom(2);
+    const services = { nodeManager, edgeManager, stateManager };
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const editor = mount(services);
+
+    nodeManager.createNode(node("shown", 10, 10));
+    nodeManager.createNode(node("offscreen", 2000, 10));
+    nodeManager.createNode(node("beyond", 2000, 2000));
+    edgeManager.createEdge({
+      id: "e",
+      sourceId: "offscreen",
+      targetId: "beyond",
+    });
+    const content = editor.getLayer("content");
+    ["shown", "offscreen", "beyond"].forEach((id) => {
+      const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+      g.setAttribute("data-node-id", id);
+      content.appendChild(g);
+    });
+    const edge = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    edge.setAttribute("data-edge-id", "e");
+    content.appendChild(edge);
+
+    const culled = () =>
+      Array.from(content.querySelectorAll(".culled")).map(
+        (el) => el.dataset.nodeId || el.dataset.edgeId
+      );
+
+    // 400x300 at zoom 2, plus 200px margin: canvas x -100 to 300
+    expect(editor.getVisibleRect(200)).toEqual({
+      x: -100,
+      y: -100,
+      width: 400,
+      height: 350,
+    });
+    editor._performRender();
+    expect(culled()).toEqual(["offscreen", "beyond", "e"]);
+
+    stateManager.setPan(-3900, 0);
+    editor._performRender();
+    expect(culled()).toEqual(["shown", "beyond"]);
+  });
+});
@@ -0,0 +1,376 @@
+/**
+ * Unit Tests for Swimlane Pools and Lanes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { HistoryManager } from "../../../src/core/managers/HistoryManager.js";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { SelectionManager } from "../../../src/core/managers/SelectionManager.js";
+import { PoolLanes } from "../../../src/core/layout/PoolLanes.js";
+import { NodeController } from "../../../src/core/controllers/NodeController.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const setup = () => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const history = new HistoryManager(eventBus, stateManager);
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+
+  // Two 150px lanes: "a" is in Sales, "b" in Ops
+  nodeManager.createNode({
+    id: "pool",
+    type: "swimlane",
+    label: "Orders",
+    x: 0,
+    y: 0,
+    width: 600,
+    height: 300,
+    pool: PoolLanes.create(["Sales", "Ops"]),
+  });
+  nodeManager.createNode({
+    id: "a",
+    type: "rect",
+    x: 100,
+    y: 40,
+    parentId: "pool",
+    laneId: "lane_1",
+  });
+  nodeManager.createNode({
+    id: "b",
+    type: "rect",
+    x: 100,
+    y: 190,
+    parentId: "pool",
+    laneId: "lane_2",
+  });
+  history.clear();
+
+  return { eventBus, stateManager, history, nodeManager };
+};
+
+const laneSizes = (nodeManager) =>
+  nodeManager.getNode("pool").pool.lanes.map((lane) => lane.size);
+
+describe("PoolLanes", () => {
+  it("should lay out horizontal and vertical lanes", () => {
+    const node = {
+      x: 10,
+      y: 20,
+      width: 400,
+      height: 200,
+      pool: PoolLanes.create(["A", "B"], { size: 100 }),
+    };
+
+    const [first, second] = PoolLanes.lanes(node);
+    expect(first.bounds).toEqual({ x: 40, y: 20, width: 370, height: 100 });
+    expect(second.header).toEqual({ x: 40, y: 120, width: 30, height: 100 });
+    expect(second.content).toEqual({ x: 70, y: 120, width: 340, height: 100 });
+    expect(PoolLanes.laneAt(node, { x: 200, y: 150 })).toBe("lane_2");
+    expect(PoolLanes.laneAt(node, { x: 20, y: 150 })).toBe(null);
+    expect(PoolLanes.dividerAt(node, { x: 200, y: 122 }).laneId).toBe("lane_1");
+
+    const vertical = {
+      ...node,
+      pool: { ...node.pool, orientation: "vertical" },
+    };
+    // The last lane fills the rest of the pool
+    expect(PoolLanes.lanes(vertical)[1].bounds).toEqual({
+      x: 110,
+      y: 50,
+      width: 300,
+      height: 170,
+    });
+  });
+
+  it("should return new pools for lane edits", () => {
+    const pool = PoolLanes.create(["A", "B"]);
+
+    const inserted = PoolLanes.insert(pool, 1, { label: "C", size: 10 });
+    expect(inserted.lanes.map((lane) => lane.id)).toEqual([
+      "lane_1",
+      "lane_3",
+      "lane_2",
+    ]);
+    expect(inserted.lanes[1].size).toBe(60);
+    expect(pool.lanes).toHaveLength(2);
+
+    const moved = PoolLanes.move(inserted, "lane_1", 2);
+    expect(moved.lanes.map((lane) => lane.label)).toEqual(["C", "B", "A"]);
+    expect(PoolLanes.offsets(moved).get("lane_1")).toBe(210);
+  });
+});
+
+describe("NodeManager pools", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should report the lane a node belongs to", () => {
+    const { nodeManager } = context;
+    nodeManager.createNode({
+      id: "group",
+      type: "group",
+      x: 300,
+      y: 160,
+      width: 200,
+      height: 120,
+      parentId: "pool",
+    });
+    nodeManager.createNode({ id: "c", type: "rect", x: 320, y: 190 });
+    nodeManager.setParent("c", "group");
+
+    expect(nodeManager.getNodeLane("a")).toEqual({
+      poolId: "pool",
+      laneId: "lane_1",
+      label: "Sales",
+      index: 0,
+    });
+    expect(nodeManager.getNodeLane("c").label).toBe("Ops");
+    expect(nodeManager.getLanes("pool").map((lane) => lane.nodeIds)).toEqual([
+      ["a"],
+      ["b", "group"],
+    ]);
+  });
+
+  it("should assign a dropped node to the lane under it", () => {
+    const { history, nodeManager } = context;
+
+    nodeManager.updateNodePosition("a", { x: 300, y: 170 });
+    nodeManager.dropNode("a");
+    expect(nodeManager.getNode("a").laneId).toBe("lane_2");
+    expect(nodeManager.getNodeLane("a").label).toBe("Ops");
+
+    history.undo();
+    expect(nodeManager.getNode("a").laneId).toBe("lane_1");
+  });
+
+  it("should insert a lane and move the nodes after it as one step", () => {
+    const { history, nodeManager } = context;
+
+    const laneId = nodeManager.insertLane("pool", { index: 0, label: "Legal" });
+    expect(laneId).toBe("lane_3");
+    expect(nodeManager.getNode("pool").height).toBe(450);
+    expect(nodeManager.getNode("a").y).toBe(190);
+    expect(nodeManager.getNode("b").y).toBe(340);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(laneSizes(nodeManager)).toEqual([150, 150]);
+    expect(nodeManager.getNode("pool").height).toBe(300);
+    expect(nodeManager.getNode("a").y).toBe(40);
+  });
+
+  it("should reorder, rename and remove lanes", () => {
+    const { eventBus, history, nodeManager } = context;
+
+    nodeManager.moveLane("pool", "lane_2", 0);
+    expect(nodeManager.getNode("a").y).toBe(190);
+    expect(nodeManager.getNode("b").y).toBe(40);
+
+    nodeManager.renameLane("pool", "lane_2", "Operations");
+    expect(nodeManager.getNodeLane("b").label).toBe("Operations");
+
+    // The neighbouring lane takes over the removed lane and its nodes
+    nodeManager.removeLane("pool", "lane_2");
+    expect(laneSizes(nodeManager)).toEqual([300]);
+    expect(nodeManager.getNode("b")).toMatchObject({
+      y: 40,
+      laneId: "lane_1",
+    });
+
+    const errors = [];
+    eventBus.on("node:error", ({ error }) => errors.push(error.message));
+    expect(nodeManager.removeLane("pool", "lane_1")).toBe(false);
+    expect(errors).toEqual(["Cannot remove the only lane of pool pool"]);
+
+    history.undo();
+    history.undo();
+    history.undo();
+    expect(nodeManager.getNode("pool").pool.lanes[0].label).toBe("Sales");
+    expect(nodeManager.getNode("b")).toMatchObject({
+      y: 190,
+      laneId: "lane_2",
+    });
+  });
+
+  it("should resize a lane by dragging its divider as one step", () => {
+    const { eventBus, history, nodeManager } = context;
+
+    eventBus.emit("command:batch:begin", { name: "Resize Lane" });
+    [160, 180, 200].forEach((size) =>
+      nodeManager.resizeLane("pool", "lane_1", size)
+    );
+    eventBus.emit("command:batch:end");
+
+    expect(laneSizes(nodeManager)).toEqual([200, 150]);
+    expect(nodeManager.getNode("pool").height).toBe(350);
+    expect(nodeManager.getNode("b").y).toBe(240);
+    expect(history.getState().undoCount).toBe(1);
+
+    // A lane keeps room for its nodes
+    nodeManager.resizeLane("pool", "lane_1", 0);
+    expect(laneSizes(nodeManager)).toEqual([140, 150]);
+
+    expect(nodeManager.getLaneDividerAt({ x: 300, y: 142 }, 4)).toMatchObject({
+      nodeId: "pool",
+      laneId: "lane_1",
+    });
+  });
+
+  it("should grow a lane to fit a growing node as one step", () => {
+    const { history, nodeManager } = context;
+
+    nodeManager.updateNodeSize("a", { width: 120, height: 200 });
+    expect(laneSizes(nodeManager)).toEqual([260, 150]);
+    expect(nodeManager.getNode("pool").height).toBe(410);
+    expect(nodeManager.getNode("b").y).toBe(300);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(laneSizes(nodeManager)).toEqual([150, 150]);
+    expect(nodeManager.getNode("pool").height).toBe(300);
+    expect(nodeManager.getNode("a").height).toBe(80);
+    expect(nodeManager.getNode("b").y).toBe(190);
+
+    history.redo();
+    expect(nodeManager.getNode("pool").height).toBe(410);
+    expect(nodeManager.getNode("b").y).toBe(300);
+  });
+
+  it("should turn a plain swimlane into a pool", () => {
+    const { nodeManager } = context;
+    nodeManager.createNode({
+      id: "plain",
+      type: "swimlane",
+      x: 0,
+      y: 500,
+      width: 400,
+      height: 200,
+    });
+    nodeManager.createNode({ id: "c", type: "rect", x: 50, y: 560 });
+    nodeManager.setParent("c", "plain");
+    expect(nodeManager.getNodeLane("c")).toMatchObject({ laneId: null });
+
+    nodeManager.insertLane("plain", { label: "Review", size: 100 });
+    expect(nodeManager.getLanes("plain").map((lane) => lane.size)).toEqual([
+      200, 100,
+    ]);
+    expect(nodeManager.getNode("plain").height).toBe(300);
+    expect(nodeManager.getNode("c").laneId).toBe("lane_1");
+  });
+});
+
+describe("NodeController lanes", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  const control = ({ eventBus, stateManager, nodeManager }) => {
+    const listeners = {};
+    const editor = {
+      on: (event, handler) => (listeners[event] = handler),
+      getLayer: () => null,
+      fire: (event, data = {}) => listeners[event](data),
+    };
+    const selection = new SelectionManager(eventBus, stateManager, nodeManager);
+    const controller = new NodeController(
+      nodeManager,
+      null,
+      editor,
+      stateManager,
+      eventBus,
+      selection
+    );
+    return { editor, controller };
+  };
+
+  const menu = (controller, point) =>
+    controller
+      .getMenuItems("pool", point)
+      .filter((item) => item.label)
+      .reduce((items, item) => ({ ...items, [item.label]: item.action }), {});
+
+  it("should offer commands for the lane under the pointer", () => {
+    const { history, nodeManager } = context;
+    const { controller } = control(context);
+
+    const sales = menu(controller, { x: 300, y: 60 });
+    expect(Object.keys(sales)).toEqual([
+      "Collapse",
+      "Add Lane",
+      "Rename Lane...",
+      "Move Lane Down",
+      "Remove Lane",
+    ]);
+    expect(Object.keys(menu(controller, { x: 300, y: 250 }))).toContain(
+      "Move Lane Up"
+    );
+    expect(Object.keys(menu(controller))).toEqual(["Collapse", "Add Lane"]);
+
+    sales["Move Lane Down"]();
+    expect(nodeManager.getLanes("pool").map((lane) => lane.label)).toEqual([
+      "Ops",
+      "Sales",
+    ]);
+    expect(nodeManager.getNode("a").y).toBe(190);
+
+    sales["Add Lane"]();
+    expect(nodeManager.getLanes("pool")).toHaveLength(3);
+    expect(nodeManager.getLanes("pool")[1].label).not.toBe("Sales");
+
+    history.undo();
+    history.undo();
+    expect(nodeManager.getLanes("pool").map((lane) => lane.label)).toEqual([
+      "Sales",
+      "Ops",
+    ]);
+  });
+
+  it("should rename and remove lanes from the menu", () => {
+    const { nodeManager } = context;
+    const { controller } = control(context);
+    const prompt = vi.spyOn(window, "prompt").mockReturnValueOnce("Billing");
+
+    menu(controller, { x: 300, y: 60 })["Rename Lane..."]();
+    expect(prompt).toHaveBeenCalledWith("Lane name:", "Sales");
+    expect(nodeManager.getLanes("pool")[0].label).toBe("Billing");
+
+    prompt.mockReturnValueOnce(null);
+    menu(controller, { x: 300, y: 60 })["Rename Lane..."]();
+    expect(nodeManager.getLanes("pool")[0].label).toBe("Billing");
+    prompt.mockRestore();
+
+    menu(controller, { x: 300, y: 250 })["Remove Lane"]();
+    expect(nodeManager.getLanes("pool")).toHaveLength(1);
+    expect(Object.keys(menu(controller, { x: 300, y: 60 }))).not.toContain(
+      "Remove Lane"
+    );
+  });
+
+  it("should resize a lane by dragging its divider as one undo step", () => {
+    const { history, nodeManager } = context;
+    const { editor } = control(context);
+
+    editor.fire("canvas:mousedown", { x: 300, y: 150 });
+    editor.fire("canvas:mousemove", { x: 300, y: 170 });
+    editor.fire("canvas:mousemove", { x: 300, y: 200 });
+    editor.fire("canvas:mouseup", { x: 300, y: 200 });
+
+    expect(laneSizes(nodeManager)).toEqual([200, 150]);
+    expect(history.getState().undoCount).toBe(1);
+
+    history.undo();
+    expect(laneSizes(nodeManager)).toEqual([150, 150]);
+  });
+});
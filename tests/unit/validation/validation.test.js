@@ -0,0 +1,347 @@
+/**
+ * Unit Tests for Validation Rules
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { NodeManager } from "../../../src/core/managers/NodeManager.js";
+import { EdgeManager } from "../../../src/core/managers/EdgeManager.js";
+import { ValidationManager } from "../../../src/core/managers/ValidationManager.js";
+import { FlowchartRules } from "../../../src/core/validation/FlowchartRules.js";
+import { ValidationIssues } from "../../../src/core/validation/ValidationIssues.js";
+import { createCore, destroyAll } from "../fixtures.js";
+
+const graph = (nodes, edges) => ({
+  nodes: nodes.map(([id, type, label = ""]) => ({ id, type, label })),
+  edges: edges.map(([sourceId, targetId, label = ""]) => ({
+    id: `${sourceId}-${targetId}`,
+    sourceId,
+    targetId,
+    label,
+  })),
+});
+
+const setup = () => {
+  const { eventBus, stateManager, shapeRegistry } = createCore();
+  const nodeManager = new NodeManager(eventBus, stateManager, shapeRegistry);
+  const edgeManager = new EdgeManager(eventBus, stateManager, nodeManager);
+  const validation = new ValidationManager(
+    eventBus,
+    stateManager,
+    nodeManager,
+    edgeManager
+  );
+
+  const node = (id, type, label = "") =>
+    nodeManager.createNode({ id, type, label, x: 0, y: 0 });
+  const edge = (sourceId, targetId, label = "") =>
+    edgeManager.createEdge({
+      id: `${sourceId}-${targetId}`,
+      sourceId,
+      targetId,
+      label,
+    });
+
+  return { eventBus, edgeManager, validation, node, edge };
+};
+
+describe("FlowchartRules", () => {
+  const loop = graph(
+    [
+      ["start", "terminator", "Start"],
+      ["work", "process", "Work"],
+      ["more", "decision", "More?"],
+      ["end", "terminator", "End"],
+    ],
+    [
+      ["start", "work"],
+      ["work", "more"],
+      ["more", "work", "Yes"],
+      ["more", "end", "No"],
+    ]
+  );
+
+  it("should accept a well-formed flowchart with a loop", () => {
+    [
+      "singleStart",
+      "hasEnd",
+      "reachableFromStart",
+      "reachesEnd",
+      "decisionBranches",
+      "nodeDegrees",
+    ].forEach((rule) =>
+      expect(FlowchartRules[rule](loop)).toEqual({ valid: true })
+    );
+  });
+
+  it("should tell starts from ends", () => {
+    const { nodes } = graph(
+      [
+        ["a", "terminator", "Begin"],
+        ["b", "terminator", "Done"],
+        ["c", "terminator", "Checkout"],
+      ],
+      []
+    );
+    nodes[2].metadata = { role: "end" };
+
+    expect(nodes.map((n) => FlowchartRules.terminatorRole(n, 0))).toEqual([
+      "start",
+      "end",
+      "end",
+    ]);
+    expect(FlowchartRules.terminatorRole({ type: "terminator" }, 2)).toBe(
+      "end"
+    );
+    expect(FlowchartRules.terminatorRole({ type: "process" }, 0)).toBe(null);
+  });
+
+  it("should report start, end and reachability problems by node", () => {
+    const broken = graph(
+      [
+        ["s1", "terminator", "Start"],
+        ["s2", "terminator", "Begin"],
+        ["a", "process", "A"],
+        ["spin", "process", "Spin"],
+        ["island", "process", "Island"],
+        ["note", "note", "Ignored"],
+        ["end", "terminator", "End"],
+      ],
+      [
+        ["s1", "a"],
+        ["s2", "a"],
+        ["a", "spin"],
+        ["spin", "spin"],
+        ["island", "end"],
+      ]
+    );
+
+    expect(FlowchartRules.singleStart(broken).details).toEqual([
+      {
+        message: "Flowchart has 2 start terminators; it needs exactly one",
+        nodeIds: ["s1", "s2"],
+        edgeIds: [],
+      },
+    ]);
+    expect(
+      FlowchartRules.reachableFromStart(broken).details.map((d) => d.nodeIds)
+    ).toEqual([["island"], ["end"]]);
+    expect(
+      FlowchartRules.reachesEnd(broken).details.map((d) => d.nodeIds)
+    ).toEqual([["s1"], ["s2"], ["a"], ["spin"]]);
+    expect(
+      FlowchartRules.hasEnd(graph([["s", "terminator", "Start"]], []))
+        .details[0].message
+    ).toBe("Flowchart has no end terminator");
+  });
+
+  it("should check decision branches and node degrees", () => {
+    const chart = graph(
+      [
+        ["start", "terminator", "Start"],
+        ["d", "decision", "Ok?"],
+        ["a", "process", "A"],
+        ["b", "process", "B"],
+        ["end", "terminator", "End"],
+      ],
+      [
+        ["start", "d"],
+        ["d", "a", "yes"],
+        ["d", "b", " Yes "],
+        ["d", "end"],
+        ["a", "end"],
+        ["a", "b"],
+      ]
+    );
+
+    expect(FlowchartRules.decisionBranches(chart).details).toEqual([
+      {
+        message: 'Decision "Ok?" (d) has unlabelled branches',
+        nodeIds: ["d"],
+        edgeIds: ["d-end"],
+      },
+      {
+        message: 'Decision "Ok?" (d) has 2 branches labelled "yes"',
+        nodeIds: ["d"],
+        edgeIds: ["d-a", "d-b"],
+      },
+    ]);
+    expect(
+      FlowchartRules.decisionBranches(chart, { minBranches: 4 }).details[0]
+        .message
+    ).toBe('Decision "Ok?" (d) has 3 branches; it needs at least 4');
+
+    expect(
+      FlowchartRules.nodeDegrees(chart).details.map((d) => d.message)
+    ).toEqual([
+      '"A" (a) has 2 outgoing edges; expected exactly 1',
+      '"B" (b) has 0 outgoing edges; expected exactly 1',
+    ]);
+    expect(
+      FlowchartRules.nodeDegrees(chart, {
+        degrees: { process: { in: [1, null], out: [0, 2] } },
+      })
+    ).toEqual({ valid: true });
+  });
+});
+
+describe("ValidationManager", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should pick rules by the detected diagram type", () => {
+    const { validation, node, edge } = context;
+    node("a", "rect");
+    node("b", "rect");
+    edge("a", "b");
+    edge("b", "a");
+
+    let result = validation.validate();
+    expect(result.diagramType).toBe("generic");
+    expect(result.errors.map((e) => e.rule)).toEqual(["no-cycles"]);
+    expect(result.errors[0].nodeIds).toEqual(["a", "b"]);
+
+    // Loops are fine in flowcharts, a missing start is not
+    node("c", "process", "Step");
+    result = validation.validate();
+    expect(result.diagramType).toBe("flowchart");
+    expect(result.errors.map((e) => e.rule)).toEqual([
+      "single-start",
+      "has-end",
+    ]);
+
+    validation.setDiagramType("generic");
+    expect(validation.validate().errors.map((e) => e.rule)).toEqual([
+      "no-cycles",
+    ]);
+  });
+
+  it("should configure rules per diagram type", () => {
+    const { validation, node, edge } = context;
+    node("start", "terminator", "Start");
+    node("d", "decision", "Ok?");
+    node("end", "terminator", "End");
+    edge("start", "d");
+    edge("d", "end", "Yes");
+
+    let result = validation.validate();
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toMatchObject({
+      rule: "decision-branches",
+      nodeIds: ["d"],
+      edgeIds: ["d-end"],
+    });
+
+    validation.configureRule(
+      "decision-branches",
+      { level: "warning", options: { minBranches: 1 } },
+      "flowchart"
+    );
+    result = validation.validate();
+    expect(result.isValid).toBe(true);
+    expect(result.warnings.map((w) => w.rule)).toEqual([]);
+    expect(validation.getRuleConfig("decision-branches")).toMatchObject({
+      level: "warning",
+      options: { minBranches: 1 },
+      applies: true,
+    });
+    // Other diagram types keep the rule's own settings
+    expect(
+      validation.getRuleConfig("decision-branches", "generic")
+    ).toMatchObject({ level: "error", applies: false });
+
+    validation.setRuleEnabled("has-end", false, "flowchart");
+    expect(validation.getRuleConfig("has-end").enabled).toBe(false);
+    expect(validation.getRuleConfig("has-end", "other").enabled).toBe(true);
+  });
+
+  it("should keep plain-string details from custom rules", () => {
+    const { validation } = context;
+    validation.addRule("always", {
+      level: "warning",
+      validate: () => ({ valid: false, details: ["Something"] }),
+    });
+
+    expect(validation.validate().warnings).toEqual([
+      {
+        rule: "always",
+        level: "warning",
+        message: "Validation failed",
+        details: [{ message: "Something", nodeIds: [], edgeIds: [] }],
+        nodeIds: [],
+        edgeIds: [],
+      },
+    ]);
+  });
+});
+
+describe("ValidationIssues", () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  afterEach(() => {
+    destroyAll(context);
+  });
+
+  it("should map live validation results onto nodes and edges", () => {
+    const { eventBus, edgeManager, node, edge } = context;
+    let result = null;
+    eventBus.on("validation:complete", (e) => (result = e));
+
+    node("start", "terminator", "Start");
+    node("check", "decision", "Ok?");
+    node("fix", "process", "Fix");
+    node("end", "terminator", "End");
+    edge("start", "check");
+    edge("check", "end", "Yes");
+    edge("check", "fix");
+    edge("fix", "end");
+
+    let problems = ValidationIssues.byElement(result);
+    expect([...problems.nodes.keys()]).toEqual(["check"]);
+    expect(problems.edges.get("check-fix")).toEqual({
+      level: "error",
+      messages: ['Decision "Ok?" (check) has unlabelled branches'],
+    });
+    expect(ValidationIssues.count(result.errors)).toBe(1);
+
+    // Relabelling the branch revalidates
+    edgeManager.updateEdge("check-fix", { label: "No" });
+    problems = ValidationIssues.byElement(result);
+    expect(problems.nodes.size + problems.edges.size).toBe(0);
+  });
+
+  it("should rank errors above warnings on the same element", () => {
+    const detail = (message, nodeIds) => ({ message, nodeIds, edgeIds: [] });
+    const problems = ValidationIssues.byElement({
+      errors: [
+        { rule: "a", level: "error", details: [detail("Broken", ["n1"])] },
+      ],
+      warnings: [
+        {
+          rule: "b",
+          level: "warning",
+          details: [detail("Odd", ["n1", "n2"]), detail("Odd", ["n2"])],
+        },
+      ],
+    });
+
+    expect(problems.nodes.get("n1")).toEqual({
+      level: "error",
+      messages: ["Broken", "Odd"],
+    });
+    expect(problems.nodes.get("n2")).toEqual({
+      level: "warning",
+      messages: ["Odd"],
+    });
+  });
+});
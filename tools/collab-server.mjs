@@ -0,0 +1,244 @@
+/**
+ * collab-server.mjs - Reference relay for collaborative editing
+ *
+ * A small WebSocket server for trying collaboration locally. It has no
+ * dependencies beyond Node (18+) and speaks the messages described in
+ * src/core/collab/CollabTransport.js:
+ *
+ * - keeps every room's operations in arrival order and sends them to
+ *   people who join later
+ * - relays operations and presence to everybody else in the room
+ * - announces joins and leaves
+ *
+ * Rooms live in memory only; restarting the server empties them.
+ *
+ * Usage:
+ *   node tools/collab-server.mjs [port]      (default 8787)
+ *
+ * then open the editor with ?room=<name> (and &collab=ws://host:port for
+ * another server).
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// room name -> { ops: [], clients: Map(socket -> client) }
+const rooms = new Map();
+
+/**
+ * Encode a server frame (never masked)
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Take complete frames off the front of a buffer
+ * @returns {{ frames: Array, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7f;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      throw new Error("Frame too large");
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < position + maskLength + length) break;
+
+    const mask = buffer.subarray(position, position + maskLength);
+    position += maskLength;
+    const payload = Buffer.from(buffer.subarray(position, position + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = position + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(socket, message) {
+  if (!socket.destroyed) {
+    socket.write(
+      encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)))
+    );
+  }
+}
+
+function broadcast(room, sender, message) {
+  room.clients.forEach((client, socket) => {
+    if (socket !== sender) send(socket, message);
+  });
+}
+
+function roomOf(socket) {
+  for (const room of rooms.values()) {
+    if (room.clients.has(socket)) return room;
+  }
+  return null;
+}
+
+function leave(socket) {
+  const room = roomOf(socket);
+  if (!room) return;
+
+  const { siteId } = room.clients.get(socket);
+  room.clients.delete(socket);
+  broadcast(room, socket, { type: "leave", siteId });
+}
+
+function handleMessage(socket, message) {
+  if (message.type === "join") {
+    leave(socket);
+    if (!rooms.has(message.room)) {
+      rooms.set(message.room, { ops: [], clients: new Map() });
+    }
+    const room = rooms.get(message.room);
+    const welcome = {
+      type: "welcome",
+      ops: room.ops,
+      peers: Array.from(room.clients.values()),
+    };
+
+    room.clients.set(socket, {
+      siteId: message.siteId,
+      user: message.user,
+      presence: null,
+    });
+    broadcast(room, socket, {
+      type: "join",
+      siteId: message.siteId,
+      user: message.user,
+    });
+    send(socket, welcome);
+    return;
+  }
+
+  const room = roomOf(socket);
+  if (!room) return;
+  const client = room.clients.get(socket);
+
+  if (message.type === "ops" && Array.isArray(message.ops)) {
+    room.ops.push(...message.ops);
+    broadcast(room, socket, {
+      type: "ops",
+      siteId: client.siteId,
+      ops: message.ops,
+    });
+  } else if (message.type === "presence") {
+    client.presence = message.presence;
+    broadcast(room, socket, {
+      type: "presence",
+      siteId: client.siteId,
+      user: client.user,
+      presence: message.presence,
+    });
+  }
+}
+
+function accept(request, socket) {
+  const key = request.headers["sec-websocket-key"];
+  if (!key || request.headers.upgrade.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+
+  socket.on("data", (chunk) => {
+    let decoded;
+    try {
+      decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+    } catch (error) {
+      socket.destroy();
+      return;
+    }
+    buffered = decoded.rest;
+
+    decoded.frames.forEach(({ fin, opcode, payload }) => {
+      if (opcode === OPCODES.close) {
+        socket.end(encodeFrame(OPCODES.close));
+      } else if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.text || opcode === 0x0) {
+        fragments.push(payload);
+        if (!fin) return;
+
+        const text = Buffer.concat(fragments).toString("utf8");
+        fragments = [];
+        try {
+          handleMessage(socket, JSON.parse(text));
+        } catch (error) {
+          console.warn("Ignoring malformed message:", error.message);
+        }
+      }
+    });
+  });
+
+  socket.on("close", () => leave(socket));
+  socket.on("error", () => socket.destroy());
+}
+
+const port = Number(process.argv[2]) || 8787;
+const server = http.createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain" });
+  response.end("Collaboration relay: connect with a WebSocket\n");
+});
+server.on("upgrade", accept);
+server.listen(port, () => {
+  console.log(`Collaboration relay listening on ws://localhost:${port}`);
+});